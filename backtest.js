@@ -0,0 +1,87 @@
+const path = require('path');
+const StrategyConfig = require('./config/strategy');
+const BacktestEngine = require('./core/backtest/backtest-engine');
+const Helpers = require('./utils/helpers');
+
+/**
+ * 回测入口
+ *
+ * 用法：
+ *   node backtest.js --data data/recordings/BTC_USDT --out backtest-results/run1
+ *
+ * 参数：
+ *   --data <路径>       回测数据文件或目录（默认使用 config/trading.js 中的 backtest.dataPath）
+ *   --out <目录>        报告输出目录（默认 backtest.outputDir/<时间戳>）
+ *   --base <数量>       初始基础货币余额
+ *   --quote <数量>      初始计价货币余额
+ *   --maker-fee <费率>  挂单手续费率
+ *   --taker-fee <费率>  吃单手续费率
+ *   --latency <毫秒>    模拟下单延迟
+ *   --queue <模型>      排队模型 conservative | optimistic
+ *   --verbose           显示策略运行输出
+ */
+
+/**
+ * 根据命令行参数生成回测配置覆盖项
+ */
+function buildBacktestOverrides(args) {
+    const overrides = {};
+    const numberArgs = {
+        base: 'initialBase',
+        quote: 'initialQuote',
+        'maker-fee': 'makerFee',
+        'taker-fee': 'takerFee',
+        latency: 'latency'
+    };
+    for (const [arg, key] of Object.entries(numberArgs)) {
+        if (args[arg] !== undefined) {
+            const value = parseFloat(args[arg]);
+            if (isNaN(value)) {
+                throw new Error(`参数 --${arg} 必须为数字`);
+            }
+            overrides[key] = value;
+        }
+    }
+    if (args.data) {
+        overrides.dataPath = args.data;
+    }
+    if (args.queue) {
+        overrides.queuePositionModel = args.queue;
+    }
+    return overrides;
+}
+
+async function main() {
+    const args = Helpers.parseCommandLineArgs(process.argv.slice(2));
+
+    const config = new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: args.verbose ? 'info' : 'warn',
+        logFile: 'logs/backtest.log',
+        backtest: buildBacktestOverrides(args)
+    });
+
+    const backtestConfig = config.get('backtest');
+    const outputDir = args.out || path.join(backtestConfig.outputDir, new Date().toISOString().replace(/[:.]/g, '-'));
+
+    console.log(`🚀 开始回测 | 交易对: ${config.get('symbol')} | 数据: ${backtestConfig.dataPath}`);
+    console.log(`⚙️ 初始余额: ${backtestConfig.initialBase} ${config.get('baseCurrency')} + ${backtestConfig.initialQuote} ${config.get('quoteCurrency')} | 手续费: 挂单${backtestConfig.makerFee} 吃单${backtestConfig.takerFee} | 延迟: ${backtestConfig.latency}ms | 排队模型: ${backtestConfig.queuePositionModel}`);
+
+    const engine = new BacktestEngine(config, { quiet: !args.verbose });
+    const report = await engine.run();
+
+    report.print();
+    const files = report.save(outputDir);
+    console.log(`\n💾 报告已保存: ${path.dirname(files.summary)}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(`❌ 回测失败: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { buildBacktestOverrides };
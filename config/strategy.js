@@ -43,6 +43,157 @@ class ConfigValidator {
         if (config.updateInterval < 100) {
             errors.push('UPDATE_INTERVAL must be at least 100ms');
         }
+        if (config.orderLevels !== undefined && (!Number.isInteger(config.orderLevels) || config.orderLevels < 1)) {
+            errors.push('ORDER_LEVELS must be a positive integer');
+        }
+        if (config.levelDistances !== undefined && !(config.levelDistances >= 0)) {
+            errors.push('LEVEL_DISTANCES must be non-negative');
+        }
+        if (config.symbols !== undefined) {
+            if (!Array.isArray(config.symbols)) {
+                errors.push('SYMBOLS must be an array');
+            } else {
+                const seen = new Set();
+                for (const entry of config.symbols) {
+                    if (!entry || typeof entry.symbol !== 'string' || !/^[^/]+\/[^/]+$/.test(entry.symbol)) {
+                        errors.push('SYMBOLS entries must have a symbol like BTC/USDT');
+                    } else if (seen.has(entry.symbol)) {
+                        errors.push(`SYMBOLS contains duplicate symbol ${entry.symbol}`);
+                    } else {
+                        seen.add(entry.symbol);
+                    }
+                }
+                if (config.symbols.length > 0 && config.tradingMode === 'backtest') {
+                    errors.push('SYMBOLS is not supported in backtest mode, run one backtest per symbol');
+                }
+            }
+        }
+        const portfolioRisk = config.portfolioRisk || {};
+        for (const key of ['maxTotalPositionValue', 'maxTotalDailyLoss']) {
+            const limit = portfolioRisk[key];
+            if (limit !== undefined && !(typeof limit === 'number' && limit >= 0)) {
+                errors.push(`PORTFOLIO_RISK.${key} must be a non-negative number`);
+            }
+        }
+        if ((portfolioRisk.maxTotalPositionValue > 0 || portfolioRisk.maxTotalDailyLoss > 0) && Array.isArray(config.symbols)) {
+            const quotes = new Set(config.symbols.filter(entry => entry && typeof entry.symbol === 'string')
+                .map(entry => entry.quoteCurrency || entry.symbol.split('/')[1]));
+            if (quotes.size > 1) {
+                errors.push('PORTFOLIO_RISK limits require all SYMBOLS to share one quote currency');
+            }
+        }
+        const controlApi = config.controlApi || {};
+        if (controlApi.enabled) {
+            if (!Number.isInteger(controlApi.port) || controlApi.port < 0 || controlApi.port > 65535) {
+                errors.push('CONTROL_API.port must be an integer between 0 and 65535');
+            }
+            if (!controlApi.token || controlApi.token.length < 16) {
+                errors.push('CONTROL_API_TOKEN of at least 16 characters is required when the control API is enabled');
+            }
+        }
+        const metrics = config.metrics || {};
+        if (metrics.enabled && (!Number.isInteger(metrics.port) || metrics.port < 0 || metrics.port > 65535)) {
+            errors.push('METRICS.port must be an integer between 0 and 65535');
+        }
+        const alerts = config.alerts || {};
+        if (alerts.enabled) {
+            const severities = ['info', 'warning', 'critical'];
+            for (const [name, channel] of [['ALERTS', alerts], ...['webhook', 'telegram', 'slack', 'email'].map(key => [`ALERTS.${key}`, alerts[key]])]) {
+                if (channel && channel.minSeverity !== undefined && !severities.includes(channel.minSeverity)) {
+                    errors.push(`${name}.minSeverity must be one of ${severities.join(', ')}`);
+                }
+            }
+            const webhook = alerts.webhook || {};
+            if (webhook.enabled && !/^https?:\/\//.test(webhook.url || '')) {
+                errors.push('ALERTS.webhook.url must be an http(s) URL when the webhook notifier is enabled');
+            }
+            const telegram = alerts.telegram || {};
+            if (telegram.enabled && (!telegram.botToken || !telegram.chatId)) {
+                errors.push('TELEGRAM_BOT_TOKEN and ALERTS.telegram.chatId are required when the Telegram notifier is enabled');
+            }
+            const slack = alerts.slack || {};
+            if (slack.enabled && !/^https?:\/\//.test(slack.webhookUrl || '')) {
+                errors.push('SLACK_WEBHOOK_URL must be an http(s) URL when the Slack notifier is enabled');
+            }
+            const email = alerts.email || {};
+            if (email.enabled) {
+                if (!email.host || !email.from || !Array.isArray(email.to) || email.to.length === 0) {
+                    errors.push('ALERTS.email requires host, from and a non-empty to list when the email notifier is enabled');
+                }
+                if (!Number.isInteger(email.port) || email.port <= 0 || email.port > 65535) {
+                    errors.push('ALERTS.email.port must be an integer between 1 and 65535');
+                }
+            }
+        }
+        const inventoryTarget = config.inventoryTarget;
+        if (!inventoryTarget || typeof inventoryTarget !== 'object' || Array.isArray(inventoryTarget)) {
+            errors.push('INVENTORY_TARGET must be an object with mode percentage, amount or external');
+        } else {
+            if (!['percentage', 'amount', 'external'].includes(inventoryTarget.mode)) {
+                errors.push('INVENTORY_TARGET.mode must be percentage, amount or external');
+            }
+            if (!(typeof inventoryTarget.basePercent === 'number' && inventoryTarget.basePercent >= 0 && inventoryTarget.basePercent <= 100)) {
+                errors.push('INVENTORY_TARGET.basePercent must be a number between 0 and 100');
+            }
+            if (!(typeof inventoryTarget.baseAmount === 'number' && inventoryTarget.baseAmount >= 0)) {
+                errors.push('INVENTORY_TARGET.baseAmount must be a non-negative number');
+            }
+            if (inventoryTarget.mode === 'amount' && !(inventoryTarget.baseAmount > 0)) {
+                errors.push('INVENTORY_TARGET.baseAmount must be positive in amount mode');
+            }
+            if (inventoryTarget.signalFile !== null && inventoryTarget.signalFile !== undefined && typeof inventoryTarget.signalFile !== 'string') {
+                errors.push('INVENTORY_TARGET.signalFile must be null or a file path');
+            }
+            if (!(typeof inventoryTarget.signalMaxAge === 'number' && inventoryTarget.signalMaxAge >= 0)) {
+                errors.push('INVENTORY_TARGET.signalMaxAge must be a non-negative number');
+            }
+        }
+        const referencePrice = config.referencePrice;
+        if (!referencePrice || typeof referencePrice !== 'object' || Array.isArray(referencePrice)) {
+            errors.push('REFERENCE_PRICE must be an object with a price source');
+        } else {
+            if (!['mid', 'last', 'microprice', 'depth', 'vwap'].includes(referencePrice.source)) {
+                errors.push('REFERENCE_PRICE.source must be mid, last, microprice, depth or vwap');
+            }
+            if (!(Number.isInteger(referencePrice.depthLevels) && referencePrice.depthLevels >= 1)) {
+                errors.push('REFERENCE_PRICE.depthLevels must be a positive integer');
+            }
+            if (!(typeof referencePrice.vwapWindow === 'number' && referencePrice.vwapWindow > 0)) {
+                errors.push('REFERENCE_PRICE.vwapWindow must be a positive number of milliseconds');
+            }
+            if (typeof referencePrice.ofiEnabled !== 'boolean') {
+                errors.push('REFERENCE_PRICE.ofiEnabled must be a boolean');
+            }
+            if (!(Number.isInteger(referencePrice.ofiWindow) && referencePrice.ofiWindow >= 1)) {
+                errors.push('REFERENCE_PRICE.ofiWindow must be a positive integer');
+            }
+            if (!(typeof referencePrice.ofiMaxSkewBps === 'number' && referencePrice.ofiMaxSkewBps >= 0 && referencePrice.ofiMaxSkewBps <= 100)) {
+                errors.push('REFERENCE_PRICE.ofiMaxSkewBps must be a number between 0 and 100');
+            }
+        }
+        const capitalAllocation = config.capitalAllocation;
+        if (!capitalAllocation || typeof capitalAllocation !== 'object' || Array.isArray(capitalAllocation)) {
+            errors.push('CAPITAL_ALLOCATION must be an object with enabled, baseAmount and quoteAmount');
+        } else {
+            if (typeof capitalAllocation.enabled !== 'boolean') {
+                errors.push('CAPITAL_ALLOCATION.enabled must be a boolean');
+            }
+            for (const key of ['baseAmount', 'quoteAmount']) {
+                if (!(typeof capitalAllocation[key] === 'number' && capitalAllocation[key] >= 0)) {
+                    errors.push(`CAPITAL_ALLOCATION.${key} must be a non-negative number`);
+                }
+            }
+            if (capitalAllocation.enabled && !(capitalAllocation.baseAmount > 0 || capitalAllocation.quoteAmount > 0)) {
+                errors.push('CAPITAL_ALLOCATION requires a positive baseAmount or quoteAmount when enabled');
+            }
+        }
+        const transactionCosts = config.transactionCosts || {};
+        for (const key of ['makerFee', 'takerFee']) {
+            const fee = transactionCosts[key];
+            if (fee !== null && fee !== undefined && !(typeof fee === 'number' && fee > -0.01 && fee < 0.1)) {
+                errors.push(`TRANSACTION_COSTS.${key} must be null or a fee rate between -0.01 and 0.1`);
+            }
+        }
         
         return errors;
     }
@@ -80,18 +231,61 @@ class ConfigValidator {
         if (config.emergencyStopThreshold <= 0 || config.emergencyStopThreshold > 100) {
             errors.push('EMERGENCY_STOP_THRESHOLD must be between 0 and 100');
         }
+        if (!['average', 'fifo'].includes(config.costBasisMethod)) {
+            errors.push('COST_BASIS_METHOD must be average or fifo');
+        }
+        const riskResponse = config.riskResponse || {};
+        for (const level of ['medium', 'high']) {
+            const multipliers = riskResponse[level] || {};
+            if (!(multipliers.spreadMultiplier >= 1)) {
+                errors.push(`RISK_RESPONSE.${level}.spreadMultiplier must be at least 1`);
+            }
+            if (!(multipliers.orderSizeMultiplier > 0 && multipliers.orderSizeMultiplier <= 1)) {
+                errors.push(`RISK_RESPONSE.${level}.orderSizeMultiplier must be between 0 (exclusive) and 1`);
+            }
+        }
+        if (!['ioc', 'limit'].includes(riskResponse.reduceOrderType)) {
+            errors.push('RISK_RESPONSE.reduceOrderType must be ioc or limit');
+        }
+        if (!(riskResponse.reductionRatio > 0 && riskResponse.reductionRatio <= 1)) {
+            errors.push('RISK_RESPONSE.reductionRatio must be between 0 (exclusive) and 1');
+        }
+        for (const key of ['cooldown', 'maxSlippagePct', 'reduceInterval']) {
+            if (!(typeof riskResponse[key] === 'number' && riskResponse[key] >= 0)) {
+                errors.push(`RISK_RESPONSE.${key} must be a non-negative number`);
+            }
+        }
+        const shutdown = config.shutdown || {};
+        for (const key of ['policy', 'emergencyPolicy']) {
+            if (!['none', 'passive', 'aggressive'].includes(shutdown[key])) {
+                errors.push(`SHUTDOWN.${key} must be none, passive or aggressive`);
+            }
+        }
+        for (const key of ['timeout', 'repriceInterval', 'maxSlippagePct']) {
+            if (!(typeof shutdown[key] === 'number' && shutdown[key] >= 0)) {
+                errors.push(`SHUTDOWN.${key} must be a non-negative number`);
+            }
+        }
+        if (!(Number.isInteger(shutdown.maxAttempts) && shutdown.maxAttempts >= 1)) {
+            errors.push('SHUTDOWN.maxAttempts must be a positive integer');
+        }
         
         return errors;
     }
 }
 
 class StrategyConfig {
-    constructor() {
+    /**
+     * @param {Object} overrides - 覆盖配置，用于回测等场景在验证前替换部分参数
+     */
+    constructor(overrides = {}) {
         this.config = {};
+        this.overrides = overrides;
         this.validators = new Map();
         this.watchers = new Map();
         
         this.loadConfig();
+        this.applyOverrides(overrides);
         this.setupValidators();
         this.validateConfig();
     }
@@ -111,31 +305,51 @@ class StrategyConfig {
             symbol: tradingConfig.symbol,
             baseCurrency: tradingConfig.baseCurrency,
             quoteCurrency: tradingConfig.quoteCurrency,
+            symbols: (tradingConfig.symbols || []).map(entry => ({ ...entry })),
+            portfolioRisk: { ...tradingConfig.portfolioRisk },
 
             // 策略参数 - 从trading.js读取
             riskFactor: tradingConfig.riskFactor,
             orderAmount: tradingConfig.orderAmount,
             minSpread: tradingConfig.minSpread,
             maxSpread: tradingConfig.maxSpread,
-            inventoryTarget: tradingConfig.inventoryTarget,
+            inventoryTarget: { ...tradingConfig.inventoryTarget },
+            capitalAllocation: { ...tradingConfig.capitalAllocation },
             shapeFactor: tradingConfig.shapeFactor,
+            orderLevels: tradingConfig.orderLevels,
+            levelDistances: tradingConfig.levelDistances,
+
+            // 定价模型配置 - 从trading.js读取
+            pricing: { ...tradingConfig.pricing },
+            referencePrice: { ...tradingConfig.referencePrice },
 
             // 执行控制 - 从trading.js读取
             updateInterval: tradingConfig.updateInterval,
             maxOrders: tradingConfig.maxOrders,
             orderTimeout: tradingConfig.orderTimeout,
+            priceChangeThreshold: tradingConfig.priceChangeThreshold,
+            orderRefreshTolerancePct: tradingConfig.orderRefreshTolerancePct,
+            maxOrderAge: tradingConfig.maxOrderAge,
             filledOrderDelay: 1000, // 默认值
+            tradeUpdateInterval: tradingConfig.tradeUpdateInterval,
+            fillUpdateInterval: tradingConfig.fillUpdateInterval,
+            streaming: { ...tradingConfig.streaming },
+            executionTimeframe: { ...tradingConfig.executionTimeframe },
+            hangingOrders: { ...tradingConfig.hangingOrders },
+            transactionCosts: { ...tradingConfig.transactionCosts },
 
             // 技术指标配置 - 从trading.js读取
             volatilityBufferSize: tradingConfig.volatilityBufferSize,
             volatilityAlpha: tradingConfig.volatilityAlpha,
             tradingIntensityBufferSize: tradingConfig.tradingIntensityBufferSize,
-            orderBookDepth: tradingConfig.orderBookDepth,
+            tradingIntensityBucketCount: tradingConfig.tradingIntensityBucketCount,
+            tradingIntensityMinTrades: tradingConfig.tradingIntensityMinTrades,
+            tradingIntensityFallbackKappa: tradingConfig.tradingIntensityFallbackKappa,
 
             // 风险管理 - 从trading.js读取
             maxPositionSizePercent: 10.0, // 默认值
             maxPositionValuePercent: tradingConfig.maxPositionValuePercent,
-            targetInventory: tradingConfig.targetInventory,
+            costBasisMethod: tradingConfig.costBasisMethod || 'average',
             stopLossPercent: tradingConfig.stopLossPercent,
             stopLossAmountPercent: tradingConfig.stopLossAmountPercent,
             trailingStopLoss: tradingConfig.trailingStopLoss,
@@ -145,6 +359,40 @@ class StrategyConfig {
             maxOrderValuePercent: tradingConfig.maxOrderValuePercent,
             riskCheckInterval: tradingConfig.riskCheckInterval,
             emergencyStopThreshold: tradingConfig.emergencyStopThreshold,
+            riskResponse: { ...tradingConfig.riskResponse },
+            shutdown: { ...tradingConfig.shutdown },
+
+            // 运行模式 - 从trading.js读取
+            tradingMode: tradingConfig.tradingMode || 'live',
+
+            // 回测配置 - 从trading.js读取
+            backtest: { ...tradingConfig.backtest },
+
+            // 参数优化配置 - 从trading.js读取
+            optimizer: { ...tradingConfig.optimizer, parameters: { ...tradingConfig.optimizer.parameters } },
+
+            // 数据录制配置 - 从trading.js读取
+            recorder: { ...tradingConfig.recorder },
+
+            // 模拟盘配置 - 从trading.js读取
+            paper: { ...tradingConfig.paper },
+
+            // 状态持久化配置 - 从trading.js读取
+            stateStore: { ...tradingConfig.stateStore },
+
+            // 控制接口配置 - 从trading.js读取，令牌从环境变量读取
+            controlApi: { ...tradingConfig.controlApi, token: process.env.CONTROL_API_TOKEN },
+
+            // 指标导出配置 - 从trading.js读取
+            metrics: { ...tradingConfig.metrics },
+
+            // 警报通知配置 - 从trading.js读取，渠道密钥从环境变量读取
+            alerts: {
+                ...tradingConfig.alerts,
+                telegram: { ...tradingConfig.alerts.telegram, botToken: process.env.TELEGRAM_BOT_TOKEN },
+                slack: { ...tradingConfig.alerts.slack, webhookUrl: process.env.SLACK_WEBHOOK_URL },
+                email: { ...tradingConfig.alerts.email, password: process.env.SMTP_PASSWORD }
+            },
 
             // 日志配置 - 从trading.js读取
             logLevel: tradingConfig.logLevel,
@@ -158,6 +406,18 @@ class StrategyConfig {
         };
     }
 
+    applyOverrides(overrides) {
+        for (const [key, value] of Object.entries(overrides || {})) {
+            const current = this.config[key];
+            if (current && value && typeof current === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+                // 对象类型配置（如pricing、referencePrice、inventoryTarget、capitalAllocation、executionTimeframe、hangingOrders、transactionCosts、streaming、portfolioRisk、riskResponse、shutdown、backtest、optimizer、paper、recorder、stateStore、controlApi、metrics、alerts、proxy）按字段合并
+                this.config[key] = { ...current, ...value };
+            } else {
+                this.config[key] = value;
+            }
+        }
+    }
+
     setupValidators() {
         this.validators.set('exchange', ConfigValidator.validateExchange);
         this.validators.set('strategy', ConfigValidator.validateStrategy);
@@ -167,9 +427,11 @@ class StrategyConfig {
     validateConfig() {
         const errors = [];
 
-        // 验证交易所配置
-        const exchangeErrors = this.validators.get('exchange')(this.config.exchange);
-        errors.push(...exchangeErrors);
+        // 验证交易所配置（仅实盘模式需要API密钥）
+        if (this.isLive()) {
+            const exchangeErrors = this.validators.get('exchange')(this.config.exchange);
+            errors.push(...exchangeErrors);
+        }
 
         // 验证策略配置
         const strategyErrors = this.validators.get('strategy')(this.config);
@@ -272,6 +534,28 @@ class StrategyConfig {
         }
     }
 
+    // 检查是否为多交易对做市
+    isMultiSymbol() {
+        return Array.isArray(this.config.symbols) && this.config.symbols.length > 0;
+    }
+
+    /**
+     * 多交易对时为每个交易对创建独立的配置，未覆盖的字段沿用全局配置（含构造时的覆盖配置）
+     * @returns {StrategyConfig[]} 未配置symbols时只返回自身
+     */
+    getSymbolConfigs() {
+        if (!this.isMultiSymbol()) {
+            return [this];
+        }
+        return this.config.symbols.map(entry => {
+            const [baseCurrency, quoteCurrency] = entry.symbol.split('/');
+            const symbolConfig = new StrategyConfig({ ...this.overrides, symbols: [] });
+            symbolConfig.applyOverrides({ baseCurrency, quoteCurrency, ...entry });
+            symbolConfig.validateConfig();
+            return symbolConfig;
+        });
+    }
+
     // 获取交易所配置
     getExchangeConfig() {
         return this.config.exchange;
@@ -285,7 +569,10 @@ class StrategyConfig {
             minSpread: this.config.minSpread,
             maxSpread: this.config.maxSpread,
             inventoryTarget: this.config.inventoryTarget,
-            shapeFactor: this.config.shapeFactor
+            capitalAllocation: this.config.capitalAllocation,
+            shapeFactor: this.config.shapeFactor,
+            orderLevels: this.config.orderLevels,
+            levelDistances: this.config.levelDistances
         };
     }
 
@@ -303,6 +590,21 @@ class StrategyConfig {
         return this.config.nodeEnv === 'development';
     }
 
+    // 检查是否为实盘模式
+    isLive() {
+        return (this.config.tradingMode || 'live') === 'live';
+    }
+
+    // 检查是否为模拟盘模式
+    isPaper() {
+        return this.config.tradingMode === 'paper';
+    }
+
+    // 检查是否为离线回放录制数据的模拟盘
+    isOfflinePaper() {
+        return this.isPaper() && !!(this.config.paper && this.config.paper.dataPath);
+    }
+
     // 检查是否为沙盒模式
     isSandbox() {
         return this.config.exchange.sandbox;
@@ -317,6 +619,7 @@ class StrategyConfig {
             orderAmount: this.config.orderAmount,
             updateInterval: this.config.updateInterval,
             sandbox: this.config.exchange.sandbox,
+            tradingMode: this.config.tradingMode,
             environment: this.config.nodeEnv
         };
     }
@@ -9,24 +9,105 @@ module.exports = {
     baseCurrency: 'BTC',                   // 基础货币，即被交易的货币
     quoteCurrency: 'USDT',                 // 计价货币，即用于计价的货币
 
+    // 多交易对做市，同一进程共用一个交易所连接和限频
+    // 为空时只交易上面的symbol；每项至少包含symbol，其他字段覆盖本文件的同名配置，如
+    // [{ symbol: 'BTC/USDT', orderAmount: 0.0001 }, { symbol: 'ETH/USDT', orderAmount: 0.002, pricing: { timeHorizon: 2 } }]
+    symbols: [],
+
+    // 组合风险限制（多交易对时生效），按所有交易对合计，金额以计价货币为单位，所有交易对需使用同一计价货币
+    portfolioRisk: {
+        maxTotalPositionValue: 0,          // 所有交易对持仓价值（按中间价）合计上限，超过后只允许减仓方向的订单，0为不限制
+        maxTotalDailyLoss: 0               // 所有交易对当日已实现盈亏加未实现盈亏合计的最大亏损，达到后停止所有交易对，0为不限制
+    },
+
     // 策略参数
     riskFactor: 1,                       // 风险因子，控制策略的激进程度，值越大风险越高
     orderAmount: 0.00002,                  // 单笔订单数量，以基础货币为单位
     minSpread: 0.002,                      // 最小价差，低于此值不会下单
     maxSpread: 0.03,                       // 最大价差，高于此值不会下单
-    inventoryTarget: 0,                    // 库存目标，0表示中性，正数表示做多偏好，负数表示做空偏好
     shapeFactor: 2.0,                      // 形状因子，影响订单簿的形状，控制订单分布
+    // 目标库存，库存偏离目标时保留价向减少偏离的方向移动
+    inventoryTarget: {
+        mode: 'percentage',                // percentage为基础货币价值占总价值的百分比（对应Hummingbot的inventory_target_base_pct），amount为固定的基础货币数量，external为运行时由信号文件或控制接口设置
+        basePercent: 50,                   // 目标百分比（0-100），external模式没有有效信号时也按此值计算
+        baseAmount: 0,                     // amount模式的目标基础货币数量
+        signalFile: null,                  // external模式的信号文件，内容为{"baseAmount": 0.5}或{"basePercent": 40}（可带timestamp），多交易对时可写为{"BTC/USDT": {...}}
+        signalMaxAge: 0                    // 外部信号有效期，单位为毫秒，过期后按basePercent计算，0为不过期
+    },
+    // 资金分配：账户同时用于其他用途时，策略只使用分配的资金，库存、目标库存和下单风险检查都按分配的资金计算
+    // 分配的资金按策略自身的成交记账；多交易对时可在symbols中按交易对分别设置
+    capitalAllocation: {
+        enabled: false,                    // 关闭时使用整个账户的余额
+        baseAmount: 0,                     // 分配给策略的基础货币数量
+        quoteAmount: 0                     // 分配给策略的计价货币数量
+    },
+    orderLevels: 1,                        // 每侧订单档位数（对应Hummingbot的order_levels），总订单数不超过maxOrders
+    levelDistances: 0,                     // 相邻档位的间距，以最优价差一半的百分比表示（对应Hummingbot的level_distances）
+
+    // 定价模型配置
+    pricing: {
+        model: 'avellaneda',               // 定价模型，计算保留价和最优价差，可在core/pricing中注册自定义模型
+        timeHorizon: 1,                    // 时间地平线T，单位为小时，库存项和风险项按剩余时间(T−t)计算；有限执行时间窗口使用窗口长度
+        maxReservationOffset: 0.01         // 保留价相对中间价的最大偏移比例
+    },
+
+    // 参考价格：定价模型以参考价格代替中间价计算保留价和报价，由技术指标根据已获取的订单簿和公开成交计算
+    referencePrice: {
+        source: 'mid',                     // mid为买一卖一中间价，last为最新成交价，microprice为按买一卖一数量加权的微价格，depth为前depthLevels档买卖盘各自加权均价的中间价，vwap为最近vwapWindow内公开成交的成交量加权均价；不可用时回退到中间价
+        depthLevels: 5,                    // depth使用的每侧盘口档数
+        vwapWindow: 60000,                 // vwap的成交时间窗口，单位为毫秒
+        ofiEnabled: false,                 // 是否按订单流不平衡（OFI）偏移参考价格，买方压力时上移、卖方压力时下移
+        ofiWindow: 20,                     // 计算OFI的订单簿更新次数（每次市场数据更新一次）
+        ofiMaxSkewBps: 5                   // OFI为±1时参考价格的偏移基点数
+    },
 
     // 执行控制
     updateInterval: 5000,                  // 更新间隔，策略执行频率，单位为毫秒
-    maxOrders: 2,                         // 最大订单数量，同时存在的订单上限
+    maxOrders: 2,                         // 最大订单数量，同时存在的订单上限，多档位时需不少于2×orderLevels
     orderTimeout: 10000,                   // 订单超时时间，单位为毫秒，超时后取消订单
     priceChangeThreshold: 0.001,           // 价格变化阈值，只有当价格变化超过此百分比时才更新订单，避免无意义的订单更新
-    orderMonitoringInterval: 5000,         // 订单监控间隔，单位为毫秒，用于主动检查订单状态变化
+    orderRefreshTolerancePct: 0,           // 订单刷新容忍度百分比，刷新时价格与新目标价偏差不超过此值的订单保留（对应Hummingbot的order_refresh_tolerance_pct）
+    maxOrderAge: 1800000,                  // 订单最大存活时间，单位为毫秒，超过后即使价格未变化也撤销重挂（对应Hummingbot的max_order_age）
+    orderMonitoringInterval: 5000,         // 订单监控间隔，单位为毫秒，定期核对挂单状态（成交由账户成交事件及时发现）
+    fillUpdateInterval: 1000,              // 账户成交查询间隔，单位为毫秒，仅在实盘没有账户成交推送时查询，0为不查询
+    tradeUpdateInterval: 2000,             // 公开成交获取间隔，单位为毫秒，没有成交推送时轮询；κ由公开成交拟合，实盘报价依赖成交数据，0为不获取（需配置tradingIntensityFallbackKappa）
+
+    // 实时行情推送（ccxt.pro WebSocket）
+    streaming: {
+        enabled: true,                     // 是否使用WebSocket推送订单簿、价格、公开成交、订单和余额，交易所不支持时使用REST轮询
+        orderBookDepth: 20,                // 本地订单簿保留的档位数
+        staleTimeout: 10000,               // 订单簿超过此时间没有推送时切换到REST轮询，单位为毫秒
+        maxConsecutiveErrors: 3,           // 任一订阅连续出错达到此次数时切换到REST轮询
+        retryDelay: 1000,                  // 订阅出错后的重试间隔，按连续出错次数递增，单位为毫秒
+        recoveryMessages: 5                // 轮询期间订单簿连续推送此次数且各订阅无错误时切回推送
+    },
+
+    // 执行时间窗口（对应Hummingbot的execution_timeframe_mode）
+    executionTimeframe: {
+        mode: 'infinite',                  // infinite为一直运行，daily_between_times为每天固定时段运行，from_date_to_date为在指定起止时间之间运行
+        startTime: '00:00',                // daily_between_times的每日开始时间（UTC），格式HH:mm或HH:mm:ss
+        endTime: '23:59',                  // daily_between_times的每日结束时间（UTC），早于开始时间时跨越午夜
+        startDatetime: '',                 // from_date_to_date的开始时间，ISO格式，如2026-01-01T00:00:00Z
+        endDatetime: '',                   // from_date_to_date的结束时间，ISO格式
+        flattenOutsideWindow: false        // 离开时间窗口时是否将库存调整到目标库存，按shutdown.maxSlippagePct限价下IOC单（同aggressive停止策略）
+    },
+
+    // 挂起订单（对应Hummingbot的hanging_orders_mode）
+    hangingOrders: {
+        enabled: false,                    // 是否启用挂起订单，同一档位的买卖单一侧成交后，另一侧订单不随报价刷新撤销
+        cancelPct: 10                      // 挂起订单价格偏离中间价超过此百分比时撤销
+    },
+
+    // 交易成本（对应Hummingbot的add_transaction_costs）
+    transactionCosts: {
+        enabled: false,                    // 是否将挂单手续费加入报价，买价乘以(1−挂单费率)、卖价乘以(1+挂单费率)
+        makerFee: null,                    // 挂单费率覆盖（如VIP等级费率0.0002），null为使用交易所返回的费率，返佣可填负数
+        takerFee: null                     // 吃单费率覆盖，null为使用交易所返回的费率
+    },
 
     // 风险管理 - 持仓控制
     maxPositionValuePercent: 20.0,         // 最大持仓价值百分比，相对于账户总价值
-    targetInventory: 0,                    // 目标库存，0表示中性，正数表示做多偏好，负数表示做空偏好
+    costBasisMethod: 'average',            // 持仓成本价计算方式，average为加权平均成本，fifo为先进先出，用于计算已实现和未实现盈亏
 
     // 风险管理 - 止损设置
     stopLossPercent: 2.0,                  // 止损百分比，当亏损达到此百分比时触发止损
@@ -45,11 +126,178 @@ module.exports = {
     riskCheckInterval: 5000,               // 风险检查间隔，单位为毫秒
     emergencyStopThreshold: 10.0,          // 紧急停止阈值，当回撤达到此百分比时触发紧急停止
 
+    // 风险管理 - 分级风险应对
+    // MEDIUM风险放宽价差，HIGH风险放宽价差并缩小订单量，持仓价值超限时下减仓单；风险条件解除并经过冷却时间后恢复参数
+    // 需要主动启用：默认只记录日志和发送警报，不自动修改参数或下减仓单
+    riskResponse: {
+        enabled: false,                    // 是否启用自动风险应对（需主动开启），false时只记录日志和发送警报
+        cooldown: 300000,                  // 风险条件解除后恢复参数前的冷却时间（毫秒）
+        medium: {
+            spreadMultiplier: 1.5,         // 最小/最大价差的放大倍数
+            orderSizeMultiplier: 1         // 订单数量的缩小倍数
+        },
+        high: {
+            spreadMultiplier: 2,
+            orderSizeMultiplier: 0.5
+        },
+        reduceOrderType: 'ioc',            // 减仓单类型：ioc为按对手价立即成交、未成交部分取消，limit为按己方最优价挂单
+        reductionRatio: 0.5,               // 每次减仓的持仓比例（至少减到持仓价值限制以内）
+        maxSlippagePct: 0.5,               // IOC减仓单相对对手价的最大滑点百分比
+        reduceInterval: 30000              // 两次减仓的最小间隔（毫秒）
+    },
+
+    // 风险管理 - 停止时的库存处理
+    // 撤单后把库存调整到目标库存：none保留现有库存，passive按己方最优价挂限价单（超时后停止），aggressive下IOC单吃单
+    shutdown: {
+        policy: 'none',                    // 正常停止（SIGINT/SIGTERM、策略停止）时的策略
+        emergencyPolicy: 'none',           // 紧急停止（风险管理器或组合风险触发）时的策略
+        timeout: 60000,                    // 调整库存的最长时间（毫秒），超时后撤单并继续停止
+        repriceInterval: 5000,             // passive重新挂单间隔、aggressive重试间隔（毫秒）
+        maxSlippagePct: 0.5,               // 相对开始调整时中间价的最大滑点百分比，限价单和IOC单价格都不超过
+        maxAttempts: 3                     // aggressive最多下IOC单次数
+    },
+
     // 技术指标配置
     volatilityBufferSize: 20,              // 波动率指标缓冲区大小，减少等待时间
     volatilityAlpha: 0.94,                 // 波动率计算平滑因子，0-1之间
-    tradingIntensityBufferSize: 20,        // 交易强度指标缓冲区大小，减少等待时间
-    orderBookDepth: 10,                    // 订单簿深度，用于计算交易强度
+    tradingIntensityBufferSize: 20,        // 交易强度指标缓冲区大小（采样周期数），减少等待时间
+    tradingIntensityBucketCount: 20,       // 交易强度拟合的距离分档数，公开成交按与中间价的距离分档后回归α和κ
+    tradingIntensityMinTrades: 20,         // 使用拟合κ所需的最少公开成交数
+    tradingIntensityFallbackKappa: 0,      // 成交样本不足时使用的备用κ（单位为1/价格，与拟合结果相同），0为不使用，此时κ拟合出来之前不报价
+
+    // 运行模式
+    tradingMode: 'live',                   // 运行模式，live为实盘，paper为模拟盘，backtest为历史数据回测
+
+    // 回测配置（tradingMode为backtest时生效）
+    backtest: {
+        dataPath: 'data/recordings',       // 回测数据路径，可以是单个文件或目录（支持.jsonl/.ndjson/.json及其.gz压缩格式）
+        initialBase: 0.01,                 // 初始基础货币余额
+        initialQuote: 1000,                // 初始计价货币余额
+        makerFee: 0.001,                   // 挂单手续费率
+        takerFee: 0.001,                   // 吃单手续费率
+        latency: 50,                       // 模拟下单/撤单延迟，单位为毫秒
+        queuePositionModel: 'conservative', // 排队模型，conservative仅在成交时推进队列，optimistic在盘口数量减少时也推进队列
+        pricePrecision: 0.01,              // 价格最小变动单位
+        amountPrecision: 0.000001,         // 数量最小变动单位
+        equitySampleInterval: 60000,       // 权益曲线采样间隔，单位为毫秒
+        outputDir: 'backtest-results'      // 回测报告输出目录
+    },
+
+    // 参数优化配置（npm run optimize，在录制数据上用回测搜索策略参数）
+    // parameters中每个参数可以是{min, max, step}区间（step为0时连续取值）或{values: [...]}候选值列表
+    optimizer: {
+        method: 'random',                  // 搜索方法，grid为网格搜索，random为随机搜索，bayesian为基于已有结果的TPE搜索
+        trials: 50,                        // 试验次数上限（网格搜索时为网格点数上限）
+        initialTrials: 10,                 // bayesian搜索先随机试验的次数
+        workers: 0,                        // 并行工作线程数，0为CPU核数减1（至少1个）
+        metric: 'sharpe',                  // 排序指标，sharpe、pnl、fillRate或maxInventory（越小越好）
+        seed: 1,                           // 随机种子，相同种子和数据得到相同的试验序列
+        outputDir: 'optimize-results',     // 结果输出目录
+        parameters: {
+            riskFactor: { min: 0.1, max: 1, step: 0.1 },            // γ 风险因子
+            shapeFactor: { min: 0.5, max: 4, step: 0.5 },           // η 形状因子
+            minSpread: { min: 0.0005, max: 0.005, step: 0.0005 },   // 最小价差
+            maxSpread: { min: 0.01, max: 0.05, step: 0.01 },        // 最大价差
+            priceChangeThreshold: { values: [0.0005, 0.001, 0.002] }, // 订单更新的价格变化阈值
+            orderTimeout: { values: [5000, 10000, 30000] }          // 订单超时时间（毫秒）
+        }
+    },
+
+    // 市场数据录制配置
+    // 录制文件按交易对和UTC日期分区（<dataPath>/<BTC_USDT>/<YYYY-MM-DD>/），每行一个事件，可直接用于回测和模拟盘回放
+    recorder: {
+        enabled: false,                    // 实盘/模拟盘运行时是否同时录制数据（独立录制请使用 npm run record）
+        dataPath: 'data/recordings',       // 录制数据根目录
+        compress: true,                    // 是否使用gzip压缩
+        orderBookDepth: 20,                // 订单簿录制档位数，0为全部档位
+        recordOrderBook: true,             // 是否录制订单簿
+        recordTicker: true,                // 是否录制行情
+        recordTrades: true,                // 是否录制公开成交
+        recordOrders: true,                // 是否录制自己的订单生命周期事件
+        flushInterval: 5000                // 刷新到磁盘的间隔，单位为毫秒，进程异常退出时最多丢失该间隔内的数据
+    },
+
+    // 状态持久化配置
+    // 已实现盈亏、历史峰值、日盈亏和订单历史保存在<path>/<交易模式>-<BTC_USDT>/下，重启后自动恢复，回测模式下不生效
+    stateStore: {
+        enabled: false,                    // 是否启用状态持久化，实盘运行建议开启（实盘未开启时启动会警告：重启后风险状态重置）
+        path: 'data/state',                // 状态文件根目录
+        snapshotInterval: 60000,           // 定期快照间隔，单位为毫秒
+        maxJournalEntries: 1000,           // 预写日志记录数超过此值时合并为快照
+        maxOrderHistory: 200               // 持久化的最近订单历史条数
+    },
+
+    // 本地HTTP控制接口配置
+    // 只监听127.0.0.1，请求需在Authorization头携带环境变量CONTROL_API_TOKEN设置的令牌（Bearer <令牌>）
+    controlApi: {
+        enabled: false,                    // 是否启用控制接口（查询状态、热更新参数、暂停/恢复、撤销全部订单、重置紧急停止）
+        port: 8686                         // 监听端口，0为由系统分配
+    },
+
+    // Prometheus指标导出配置
+    // 只监听127.0.0.1，GET /metrics返回行情、报价、指标、盈亏、风险、订单耗时、API错误、主循环耗时和网络质量
+    metrics: {
+        enabled: false,                    // 是否启用指标导出
+        port: 9464                         // 监听端口，0为由系统分配
+    },
+
+    // 警报通知配置
+    // 风险事件、紧急停止、交易所连接中断/恢复和每日盈亏汇总发送到已启用的渠道，级别为info、warning、critical
+    // 密钥从环境变量读取：TELEGRAM_BOT_TOKEN、SLACK_WEBHOOK_URL、SMTP_PASSWORD
+    alerts: {
+        enabled: false,                    // 是否启用警报通知
+        minSeverity: 'info',               // 发送的最低级别
+        dedupWindow: 300000,               // 去重窗口（毫秒），同一警报窗口内只发送一次
+        rateLimit: {
+            maxAlerts: 10,                 // 每个渠道在时间窗口内最多发送的警报数（critical不受限）
+            interval: 60000                // 限流时间窗口（毫秒）
+        },
+        templates: {},                     // 消息模板覆盖，如 { emergencyStop: { title: '...', text: '原因: {{reason}}' } }
+        webhook: {
+            enabled: false,
+            url: '',                       // POST完整警报JSON的地址
+            headers: {},                   // 额外的请求头
+            minSeverity: 'info'
+        },
+        telegram: {
+            enabled: false,
+            chatId: '',                    // 接收消息的chat_id
+            minSeverity: 'warning'
+        },
+        slack: {
+            enabled: false,                // Slack兼容的Incoming Webhook，地址从SLACK_WEBHOOK_URL读取
+            minSeverity: 'warning'
+        },
+        email: {
+            enabled: false,
+            host: '',                      // SMTP服务器
+            port: 587,
+            secure: false,                 // 是否直接使用TLS（465端口），否则服务器支持时使用STARTTLS
+            requireTLS: true,              // 服务器不支持STARTTLS时拒绝发送
+            username: '',
+            from: '',
+            to: [],                        // 收件人列表
+            minSeverity: 'critical'
+        }
+    },
+
+    // 模拟盘配置（tradingMode为paper时生效）
+    // 订单在本地撮合，不会发送到交易所，也不需要API密钥
+    paper: {
+        dataPath: '',                      // 录制数据路径，为空时使用交易所实时公开行情，设置后离线回放录制数据
+        replaySpeed: 1,                    // 回放速度倍数，1为按录制时的真实间隔回放
+        loop: false,                       // 录制数据回放结束后是否从头循环
+        initialBase: 0.01,                 // 初始基础货币余额
+        initialQuote: 1000,                // 初始计价货币余额
+        makerFee: 0.001,                   // 挂单手续费率
+        takerFee: 0.001,                   // 吃单手续费率
+        latency: 50,                       // 模拟下单/撤单延迟，单位为毫秒
+        queuePositionModel: 'conservative', // 排队模型，conservative或optimistic
+        pricePrecision: 0.01,              // 离线回放时的价格最小变动单位
+        amountPrecision: 0.000001,         // 离线回放时的数量最小变动单位
+        maxClosedOrders: 1000,             // 撮合引擎保留的已结束订单数量，更早的订单不能再查询（长时间运行时限制内存）
+        maxFills: 10000                    // 撮合引擎保留的最近成交记录数量
+    },
 
     // 日志配置
     logLevel: 'info',                      // 日志级别，可选值：debug, info, warn, error
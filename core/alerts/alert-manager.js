@@ -0,0 +1,304 @@
+const Logger = require('../../utils/logger');
+const PortfolioManager = require('../portfolio/portfolio-manager');
+const { SEVERITY_LEVELS, createNotifiers } = require('./notifiers');
+
+// 默认消息模板，{{字段}}取自警报数据（以及symbol、severity、type、timestamp）
+const DEFAULT_TEMPLATES = {
+    riskEvent: {
+        title: '{{symbol}} 风险事件 {{riskType}}',
+        text: '{{message}}'
+    },
+    emergencyStop: {
+        title: '{{symbol}} 紧急停止',
+        text: '策略已紧急停止，原因: {{reason}}\n需人工确认后通过控制接口重置紧急停止'
+    },
+    connectionLost: {
+        title: '{{symbol}} 交易所连接中断',
+        text: '{{exchange}} 连接中断，报价已暂停，正在等待自动重连'
+    },
+    connectionRestored: {
+        title: '{{symbol}} 交易所连接已恢复',
+        text: '{{exchange}} 连接已恢复，中断 {{downtime}} 秒'
+    },
+    dailySummary: {
+        title: '{{symbol}} 日报 {{date}}',
+        text: '当日盈亏: {{dailyPnL}}\n已实现盈亏: {{realizedPnL}}\n未实现盈亏: {{unrealizedPnL}}\n当前回撤: {{drawdown}}%\n风险事件: {{riskEvents}} 次'
+    }
+};
+
+const SEVERITY_LABELS = { info: 'INFO', warning: 'WARNING', critical: 'CRITICAL' };
+
+/**
+ * 渲染模板，没有对应字段的占位符原样保留
+ */
+function renderTemplate(template, context) {
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+        context[name] === undefined || context[name] === null ? placeholder : String(context[name]));
+}
+
+/**
+ * 警报管理器
+ * 订阅风险事件、紧急停止、交易所连接中断/恢复和每日盈亏汇总，按模板生成消息后发送到已启用的通知渠道
+ * （通用Webhook、Telegram、Slack兼容Webhook、SMTP邮件）。
+ * 每个渠道按最低级别（和可选的警报类型）路由；同一警报在去重窗口内只发送一次；
+ * 每个渠道按时间窗口限流，critical级别不受限流影响。发送失败只记录日志，不影响策略运行
+ */
+class AlertManager {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} strategy - 策略实例或多交易对组合管理器
+     * @param {Notifier[]} notifiers - 通知渠道（未提供时按配置创建）
+     */
+    constructor(config, strategy, notifiers = null) {
+        this.config = config;
+        this.strategy = strategy;
+        this.logger = new Logger(config);
+
+        const alertsConfig = config.get('alerts') || {};
+        this.minSeverity = alertsConfig.minSeverity || 'info';
+        this.dedupWindow = alertsConfig.dedupWindow === undefined ? 300000 : alertsConfig.dedupWindow;
+        this.rateLimit = { maxAlerts: 10, interval: 60000, ...alertsConfig.rateLimit };
+        this.templates = {};
+        for (const type of new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(alertsConfig.templates || {})])) {
+            this.templates[type] = { ...DEFAULT_TEMPLATES[type], ...(alertsConfig.templates || {})[type] };
+        }
+
+        this.notifiers = notifiers || createNotifiers(alertsConfig);
+        this.listeners = []; // [emitter, 事件名, 处理函数]，停止时移除
+        this.lastSent = new Map(); // 去重键 -> 上次发送时间
+        this.sentTimes = new Map(this.notifiers.map(notifier => [notifier.name, []])); // 渠道 -> 时间窗口内的发送时间
+        this.connectionLostAt = new Map(); // 交易所管理器 -> 连接中断时间
+        this.pending = new Set();
+
+        this.stats = {
+            alerts: 0,
+            delivered: 0,
+            failed: 0,
+            deduplicated: 0,
+            rateLimited: 0
+        };
+        this.notifierStats = new Map(this.notifiers.map(notifier => [notifier.name, { sent: 0, failed: 0, rateLimited: 0, lastError: null }]));
+    }
+
+    /**
+     * 各交易对的策略实例
+     * @returns {Map<string, Object>} 交易对 -> 策略实例
+     */
+    getStrategies() {
+        return this.strategy instanceof PortfolioManager
+            ? this.strategy.strategies
+            : new Map([[this.strategy.config.get('symbol'), this.strategy]]);
+    }
+
+    /**
+     * 订阅事件
+     */
+    start() {
+        const strategies = this.getStrategies();
+        for (const [symbol, strategy] of strategies) {
+            const { riskManager, exchangeManager } = strategy;
+
+            this.listen(riskManager, 'riskAlert', (event) => this.notify({
+                type: 'riskEvent',
+                severity: event.level,
+                symbol,
+                key: `riskEvent:${symbol}:${event.type}`,
+                data: { riskType: event.type, message: event.message, riskSeverity: event.severity, ...event.data }
+            }));
+
+            this.listen(riskManager, 'dailySummary', (summary) => this.notify({
+                type: 'dailySummary',
+                severity: 'info',
+                symbol,
+                key: `dailySummary:${symbol}:${summary.date}`,
+                data: {
+                    date: summary.date,
+                    dailyPnL: summary.dailyPnL.toFixed(2),
+                    realizedPnL: summary.realizedPnL.toFixed(2),
+                    unrealizedPnL: summary.unrealizedPnL.toFixed(2),
+                    drawdown: summary.drawdown.toFixed(2),
+                    riskEvents: summary.riskEvents
+                }
+            }));
+
+            this.listen(strategy, 'emergencyStop', (data) => this.notify({
+                type: 'emergencyStop',
+                severity: 'critical',
+                symbol,
+                key: `emergencyStop:${symbol}`,
+                data: { reason: data.reason }
+            }));
+
+            // 共用连接时只订阅主交易所管理器，连接警报列出共用该连接的所有交易对
+            if (!exchangeManager.connection) {
+                const shared = Array.from(strategies).filter(([, leg]) =>
+                    leg.exchangeManager === exchangeManager || leg.exchangeManager.connection === exchangeManager);
+                this.attachConnectionListeners(exchangeManager, shared.map(([legSymbol]) => legSymbol).join(','));
+            }
+        }
+
+        if (this.strategy instanceof PortfolioManager) {
+            this.listen(this.strategy.portfolioRisk, 'portfolioStop', (data) => this.notify({
+                type: 'emergencyStop',
+                severity: 'critical',
+                symbol: 'portfolio',
+                key: 'emergencyStop:portfolio',
+                data: { reason: data.reason }
+            }));
+        }
+
+        this.logger.info('警报通知已启动', { notifiers: this.notifiers.map(notifier => notifier.name) });
+    }
+
+    /**
+     * 订阅连接中断/恢复（启动时的首次连接成功不发送恢复警报）
+     */
+    attachConnectionListeners(exchangeManager, symbol) {
+        const exchange = this.config.get('exchange').name;
+        this.listen(exchangeManager, 'connectionLost', () => {
+            if (!this.connectionLostAt.has(exchangeManager)) {
+                this.connectionLostAt.set(exchangeManager, Date.now());
+            }
+            this.notify({
+                type: 'connectionLost',
+                severity: 'critical',
+                symbol,
+                key: `connectionLost:${symbol}`,
+                data: { exchange }
+            });
+        });
+        this.listen(exchangeManager, 'connectionRestored', () => {
+            const lostAt = this.connectionLostAt.get(exchangeManager);
+            if (lostAt === undefined) {
+                return;
+            }
+            this.connectionLostAt.delete(exchangeManager);
+            // 恢复后再次中断需要重新发送
+            this.lastSent.delete(`connectionLost:${symbol}`);
+            this.notify({
+                type: 'connectionRestored',
+                severity: 'info',
+                symbol,
+                key: `connectionRestored:${symbol}:${lostAt}`,
+                data: { exchange, downtime: Math.round((Date.now() - lostAt) / 1000) }
+            });
+        });
+    }
+
+    listen(emitter, event, handler) {
+        emitter.on(event, handler);
+        this.listeners.push([emitter, event, handler]);
+    }
+
+    /**
+     * 发送警报
+     * @param {Object} alert - {type, severity, symbol, data, key}，key为去重键（默认按类型、交易对和消息）
+     * @returns {Promise<string[]>} 成功发送的渠道
+     */
+    notify(alert) {
+        const entry = {
+            type: alert.type,
+            severity: SEVERITY_LEVELS[alert.severity] === undefined ? 'warning' : alert.severity,
+            symbol: alert.symbol || null,
+            data: alert.data || {},
+            timestamp: new Date().toISOString()
+        };
+        if (SEVERITY_LEVELS[entry.severity] < SEVERITY_LEVELS[this.minSeverity]) {
+            return Promise.resolve([]);
+        }
+
+        const now = Date.now();
+        const key = alert.key || `${entry.type}:${entry.symbol}:${entry.data.message || ''}`;
+        const lastSent = this.lastSent.get(key);
+        if (lastSent !== undefined && now - lastSent < this.dedupWindow) {
+            this.stats.deduplicated++;
+            this.logger.debug('重复警报已忽略', { key });
+            return Promise.resolve([]);
+        }
+        this.lastSent.set(key, now);
+        this.stats.alerts++;
+
+        const message = this.render(entry);
+        const targets = this.notifiers.filter(notifier => notifier.accepts(entry) && this.acquire(notifier, entry, now));
+        const delivery = Promise.all(targets.map(notifier => this.deliver(notifier, entry, message)))
+            .then(results => targets.filter((notifier, index) => results[index]).map(notifier => notifier.name));
+
+        this.pending.add(delivery);
+        delivery.finally(() => this.pending.delete(delivery));
+        return delivery;
+    }
+
+    /**
+     * 渠道限流，critical级别不受限
+     */
+    acquire(notifier, alert, now) {
+        const times = this.sentTimes.get(notifier.name).filter(time => now - time < this.rateLimit.interval);
+        this.sentTimes.set(notifier.name, times);
+        if (alert.severity !== 'critical' && times.length >= this.rateLimit.maxAlerts) {
+            this.stats.rateLimited++;
+            this.notifierStats.get(notifier.name).rateLimited++;
+            this.logger.warn('警报发送过于频繁，已限流', { notifier: notifier.name, type: alert.type });
+            return false;
+        }
+        times.push(now);
+        return true;
+    }
+
+    async deliver(notifier, alert, message) {
+        const stats = this.notifierStats.get(notifier.name);
+        try {
+            await notifier.deliver(alert, message);
+            stats.sent++;
+            this.stats.delivered++;
+            return true;
+        } catch (error) {
+            stats.failed++;
+            stats.lastError = error.message;
+            this.stats.failed++;
+            this.logger.error('警报发送失败', { notifier: notifier.name, type: alert.type, errorMessage: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * 按模板生成消息 {title, text}
+     */
+    render(alert) {
+        const template = this.templates[alert.type] || { title: '{{type}}', text: '{{message}}' };
+        const context = { ...alert.data, symbol: alert.symbol, severity: alert.severity, type: alert.type, timestamp: alert.timestamp };
+        return {
+            title: `[${SEVERITY_LABELS[alert.severity]}] ${renderTemplate(template.title || '{{type}}', context)}`,
+            text: renderTemplate(template.text || '', context)
+        };
+    }
+
+    /**
+     * 移除事件订阅，并等待发送中的警报完成
+     */
+    async stop() {
+        for (const [emitter, event, handler] of this.listeners) {
+            emitter.removeListener(event, handler);
+        }
+        this.listeners = [];
+        await Promise.allSettled(Array.from(this.pending));
+        this.logger.info('警报通知已停止', this.stats);
+    }
+
+    /**
+     * 获取警报统计
+     */
+    getStatus() {
+        return {
+            notifiers: this.notifiers.map(notifier => ({
+                name: notifier.name,
+                minSeverity: notifier.minSeverity,
+                ...this.notifierStats.get(notifier.name)
+            })),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = AlertManager;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+module.exports.renderTemplate = renderTemplate;
@@ -0,0 +1,190 @@
+const http = require('http');
+const https = require('https');
+const SmtpClient = require('./smtp-client');
+
+// 警报级别，数字越大越严重
+const SEVERITY_LEVELS = { info: 0, warning: 1, critical: 2 };
+
+/**
+ * POST JSON请求，非2xx状态码视为失败
+ * @returns {Promise<Object|null>} 响应JSON（不是JSON时为null）
+ */
+function postJson(url, payload, { headers = {}, timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const body = JSON.stringify(payload);
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(new Error(`HTTP ${res.statusCode}: ${text.slice(0, 200)}`));
+                    return;
+                }
+                try {
+                    resolve(text ? JSON.parse(text) : null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeout}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * 通知渠道基类
+ * 子类实现deliver(alert, message)，message为模板渲染后的 {title, text}
+ */
+class Notifier {
+    /**
+     * @param {string} name - 渠道名称
+     * @param {Object} options - 渠道配置，minSeverity为该渠道接收的最低级别，events为只接收的警报类型（为空时接收全部）
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.minSeverity = options.minSeverity || 'info';
+        this.events = Array.isArray(options.events) && options.events.length > 0 ? options.events : null;
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * 是否接收该警报（按级别和类型路由）
+     */
+    accepts(alert) {
+        return SEVERITY_LEVELS[alert.severity] >= SEVERITY_LEVELS[this.minSeverity] &&
+            (!this.events || this.events.includes(alert.type));
+    }
+
+    async deliver() {
+        throw new Error(`${this.name} notifier does not implement deliver()`);
+    }
+}
+
+/**
+ * 通用Webhook：POST完整的警报JSON
+ */
+class WebhookNotifier extends Notifier {
+    constructor(options) {
+        super('webhook', options);
+    }
+
+    deliver(alert, message) {
+        return postJson(this.options.url, {
+            type: alert.type,
+            severity: alert.severity,
+            symbol: alert.symbol,
+            title: message.title,
+            text: message.text,
+            data: alert.data,
+            timestamp: alert.timestamp
+        }, { headers: this.options.headers, timeout: this.timeout });
+    }
+}
+
+/**
+ * Telegram机器人：调用sendMessage发送到指定chatId
+ */
+class TelegramNotifier extends Notifier {
+    constructor(options) {
+        super('telegram', options);
+        this.apiUrl = (options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+    }
+
+    async deliver(alert, message) {
+        const response = await postJson(`${this.apiUrl}/bot${this.options.botToken}/sendMessage`, {
+            chat_id: this.options.chatId,
+            text: `${message.title}\n${message.text}`,
+            disable_web_page_preview: true
+        }, { timeout: this.timeout });
+        if (!response || response.ok !== true) {
+            throw new Error(`Telegram API error: ${response && response.description ? response.description : 'unknown response'}`);
+        }
+        return response;
+    }
+}
+
+/**
+ * Slack兼容的Incoming Webhook（Mattermost、Rocket.Chat等也接受相同格式）
+ */
+class SlackNotifier extends Notifier {
+    constructor(options) {
+        super('slack', options);
+    }
+
+    deliver(alert, message) {
+        return postJson(this.options.webhookUrl, {
+            text: `*${message.title}*\n${message.text}`
+        }, { timeout: this.timeout });
+    }
+}
+
+/**
+ * SMTP邮件
+ */
+class EmailNotifier extends Notifier {
+    constructor(options) {
+        super('email', options);
+    }
+
+    deliver(alert, message) {
+        const client = new SmtpClient({
+            host: this.options.host,
+            port: this.options.port,
+            secure: this.options.secure,
+            requireTLS: this.options.requireTLS,
+            username: this.options.username,
+            password: this.options.password,
+            timeout: this.timeout,
+            tlsOptions: this.options.tlsOptions
+        });
+        return client.send({
+            from: this.options.from,
+            to: this.options.to,
+            subject: message.title,
+            text: message.text
+        });
+    }
+}
+
+const NOTIFIER_TYPES = {
+    webhook: WebhookNotifier,
+    telegram: TelegramNotifier,
+    slack: SlackNotifier,
+    email: EmailNotifier
+};
+
+/**
+ * 按警报配置创建已启用的通知渠道
+ * @param {Object} alertsConfig - 警报配置（webhook、telegram、slack、email各自的enabled）
+ * @returns {Notifier[]}
+ */
+function createNotifiers(alertsConfig = {}) {
+    return Object.entries(NOTIFIER_TYPES)
+        .filter(([name]) => alertsConfig[name] && alertsConfig[name].enabled)
+        .map(([name, NotifierClass]) => new NotifierClass(alertsConfig[name]));
+}
+
+module.exports = {
+    SEVERITY_LEVELS,
+    Notifier,
+    WebhookNotifier,
+    TelegramNotifier,
+    SlackNotifier,
+    EmailNotifier,
+    createNotifiers,
+    postJson
+};
@@ -0,0 +1,282 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * SMTP错误，code为服务器返回的状态码（连接或超时错误时为null）
+ */
+class SmtpError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = code;
+    }
+}
+
+/**
+ * RFC 2047编码的邮件头（含非ASCII字符时使用UTF-8 Base64）
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * 组装纯文本邮件，正文使用Base64编码（每行76个字符）
+ */
+function buildMessage({ from, to, subject, text, date = new Date() }) {
+    const domain = (from.split('@')[1] || 'localhost').replace(/>$/, '');
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * 最小的SMTP客户端（只用于发送警报邮件）
+ * 支持直接TLS（secure，通常为465端口）和STARTTLS升级（服务器支持时自动升级，requireTLS时必须升级），
+ * 以及AUTH PLAIN/LOGIN认证。每次发送建立一个连接，发送完成后QUIT
+ */
+class SmtpClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.host - SMTP服务器
+     * @param {number} options.port - 端口
+     * @param {boolean} options.secure - 是否直接使用TLS连接
+     * @param {boolean} options.requireTLS - 服务器不支持STARTTLS时是否拒绝发送
+     * @param {string} options.username - 用户名，为空时不认证
+     * @param {string} options.password - 密码
+     * @param {number} options.timeout - 连接和每条命令的超时（毫秒）
+     * @param {Object} options.tlsOptions - 额外的TLS选项（如测试时的rejectUnauthorized）
+     */
+    constructor({ host, port = 587, secure = false, requireTLS = false, username = '', password = '', timeout = 10000, tlsOptions = {} }) {
+        this.host = host;
+        this.port = port;
+        this.secure = secure;
+        this.requireTLS = requireTLS;
+        this.username = username;
+        this.password = password;
+        this.timeout = timeout;
+        this.tlsOptions = tlsOptions;
+
+        this.socket = null;
+        this.buffer = '';
+        this.lines = [];
+        this.responses = []; // 尚未被读取的响应
+        this.waiter = null;
+        this.error = null; // 没有等待中的命令时发生的连接错误
+    }
+
+    /**
+     * 发送一封邮件
+     * @param {Object} message - {from, to: [], subject, text}
+     */
+    async send(message) {
+        const recipients = Array.isArray(message.to) ? message.to : [message.to];
+        try {
+            await this.connect();
+            await this.expect(220);
+            let capabilities = await this.ehlo();
+
+            if (!this.secure && capabilities.includes('STARTTLS')) {
+                await this.command('STARTTLS', 220);
+                await this.upgrade();
+                capabilities = await this.ehlo();
+            } else if (!this.secure && this.requireTLS) {
+                throw new SmtpError('SMTP server does not support STARTTLS');
+            }
+
+            if (this.username) {
+                await this.authenticate(capabilities);
+            }
+
+            await this.command(`MAIL FROM:<${this.extractAddress(message.from)}>`, 250);
+            for (const recipient of recipients) {
+                await this.command(`RCPT TO:<${this.extractAddress(recipient)}>`, [250, 251]);
+            }
+            await this.command('DATA', 354);
+            // 以"."开头的行需要再加一个"."（dot-stuffing）
+            const data = buildMessage({ ...message, to: recipients }).replace(/\r\n\./g, '\r\n..');
+            await this.command(`${data}\r\n.`, 250);
+            await this.command('QUIT', 221).catch(() => {});
+        } finally {
+            this.close();
+        }
+    }
+
+    /**
+     * 建立连接
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const onConnect = () => {
+                socket.removeListener('error', onError);
+                this.attach(socket);
+                resolve();
+            };
+            const onError = (error) => reject(new SmtpError(`SMTP connection failed: ${error.message}`));
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host, ...this.tlsOptions }, onConnect)
+                : net.connect({ host: this.host, port: this.port }, onConnect);
+            socket.setTimeout(this.timeout, () => socket.destroy(new Error('timeout')));
+            socket.once('error', onError);
+        });
+    }
+
+    /**
+     * STARTTLS后把现有连接升级为TLS
+     */
+    upgrade() {
+        return new Promise((resolve, reject) => {
+            const plain = this.detach();
+            const socket = tls.connect({ socket: plain, servername: this.host, ...this.tlsOptions }, () => {
+                socket.removeListener('error', onError);
+                this.attach(socket);
+                resolve();
+            });
+            const onError = (error) => reject(new SmtpError(`SMTP TLS upgrade failed: ${error.message}`));
+            socket.once('error', onError);
+        });
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('timeout')));
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('error', (error) => this.fail(new SmtpError(`SMTP connection error: ${error.message}`)));
+        socket.on('close', () => this.fail(new SmtpError('SMTP connection closed')));
+    }
+
+    detach() {
+        const socket = this.socket;
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('error');
+        socket.removeAllListeners('close');
+        socket.setTimeout(0);
+        this.socket = null;
+        return socket;
+    }
+
+    close() {
+        if (this.socket) {
+            const socket = this.detach();
+            socket.on('error', () => {});
+            socket.end();
+            socket.destroy();
+        }
+    }
+
+    /**
+     * 按行收集响应，"250-"为多行响应的中间行，"250 "为最后一行
+     */
+    handleData(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const lines = this.lines;
+                this.lines = [];
+                this.resolveWaiter({ code: Number(line.slice(0, 3)), lines: lines.map(entry => entry.slice(4)) });
+            }
+        }
+    }
+
+    resolveWaiter(response) {
+        const waiter = this.waiter;
+        this.waiter = null;
+        if (waiter) {
+            waiter.resolve(response);
+        } else {
+            this.responses.push(response);
+        }
+    }
+
+    fail(error) {
+        const waiter = this.waiter;
+        this.waiter = null;
+        if (waiter) {
+            waiter.reject(error);
+        } else if (!this.error) {
+            this.error = error;
+        }
+    }
+
+    /**
+     * 等待下一条响应并检查状态码
+     */
+    expect(codes) {
+        const expected = Array.isArray(codes) ? codes : [codes];
+        return new Promise((resolve, reject) => {
+            if (this.responses.length > 0) {
+                resolve(this.responses.shift());
+            } else if (this.error) {
+                reject(this.error);
+            } else {
+                this.waiter = { resolve, reject };
+            }
+        }).then(response => {
+            if (!expected.includes(response.code)) {
+                throw new SmtpError(`Unexpected SMTP response ${response.code}: ${response.lines.join(' ')}`, response.code);
+            }
+            return response;
+        });
+    }
+
+    /**
+     * 发送命令并等待响应
+     */
+    command(line, codes) {
+        const response = this.expect(codes);
+        this.socket.write(`${line}\r\n`);
+        return response;
+    }
+
+    /**
+     * EHLO，返回服务器支持的扩展（大写）
+     */
+    async ehlo() {
+        const response = await this.command(`EHLO ${os.hostname() || 'localhost'}`, 250);
+        return response.lines.slice(1).map(line => line.toUpperCase());
+    }
+
+    /**
+     * 认证，优先使用AUTH PLAIN
+     */
+    async authenticate(capabilities) {
+        const auth = capabilities.find(line => line.startsWith('AUTH')) || '';
+        if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+            const credentials = Buffer.from(`\0${this.username}\0${this.password}`, 'utf8').toString('base64');
+            await this.command(`AUTH PLAIN ${credentials}`, 235);
+            return;
+        }
+        await this.command('AUTH LOGIN', 334);
+        await this.command(Buffer.from(this.username, 'utf8').toString('base64'), 334);
+        await this.command(Buffer.from(this.password, 'utf8').toString('base64'), 235);
+    }
+
+    /**
+     * 从"名称 <地址>"中取出地址
+     */
+    extractAddress(value) {
+        const match = /<([^>]+)>/.exec(value);
+        return match ? match[1] : value.trim();
+    }
+}
+
+module.exports = SmtpClient;
+module.exports.SmtpError = SmtpError;
+module.exports.buildMessage = buildMessage;
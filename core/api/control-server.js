@@ -0,0 +1,343 @@
+const http = require('http');
+const crypto = require('crypto');
+const Logger = require('../../utils/logger');
+const PortfolioManager = require('../portfolio/portfolio-manager');
+const InventoryTarget = require('../strategy/inventory-target');
+
+const HOST = '127.0.0.1';
+const MAX_BODY_SIZE = 64 * 1024;
+// 可热更新的策略参数
+const PARAMETER_KEYS = ['riskFactor', 'timeHorizon', 'minSpread', 'maxSpread', 'orderAmount'];
+
+/**
+ * 接口错误，status为返回的HTTP状态码
+ */
+class ControlApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ControlApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * 本地HTTP控制接口
+ * 只监听127.0.0.1，所有请求需携带令牌（Authorization: Bearer <令牌>）。
+ * 提供状态、订单、风险和指标查询，以及热更新参数、设置外部库存目标、暂停/恢复、撤销全部订单和重置紧急停止；
+ * 多交易对时可用?symbol=BTC/USDT指定交易对，不指定时作用于所有交易对。返回格式为 {success, data} 或 {success, error}
+ */
+class ControlServer {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} strategy - 策略实例或多交易对组合管理器
+     */
+    constructor(config, strategy) {
+        this.config = config;
+        this.strategy = strategy;
+        this.logger = new Logger(config);
+
+        const controlApi = config.get('controlApi') || {};
+        this.port = controlApi.port === undefined ? 8686 : controlApi.port;
+        this.token = controlApi.token || '';
+
+        this.server = null;
+        this.stats = {
+            requests: 0,
+            unauthorized: 0,
+            errors: 0
+        };
+
+        // 路由表："方法 路径" -> 处理函数
+        this.routes = new Map([
+            ['GET /api/status', (query) => this.getStrategyStatus(query)],
+            ['GET /api/orders', (query) => this.forEachStrategy(query, strategy => ({
+                active: strategy.orderManager.getActiveOrders(),
+                hanging: strategy.orderManager.getHangingOrders(),
+                history: strategy.orderManager.getOrderHistory()
+            }))],
+            ['GET /api/risk', (query) => this.getRisk(query)],
+            ['GET /api/indicators', (query) => this.forEachStrategy(query, strategy => ({
+                values: strategy.indicators.getCurrentValues(),
+                status: strategy.indicators.getStatus(),
+                strategyState: strategy.strategyState
+            }))],
+            ['GET /api/parameters', (query) => this.forEachStrategy(query, strategy => strategy.getParameters())],
+            ['POST /api/parameters', (query, body) => this.updateParameters(query, body)],
+            ['GET /api/inventory-target', (query) => this.forEachStrategy(query, strategy => strategy.inventoryTarget.getStatus())],
+            ['POST /api/inventory-target', (query, body) => this.setInventoryTarget(query, body)],
+            ['POST /api/pause', (query) => this.forEachStrategy(query, strategy => {
+                strategy.pause();
+                return { isPaused: strategy.lifecycleManager.isPaused };
+            })],
+            ['POST /api/resume', (query) => this.forEachStrategy(query, strategy => {
+                strategy.resume();
+                return { isPaused: strategy.lifecycleManager.isPaused };
+            })],
+            ['POST /api/cancel-all', (query) => this.forEachStrategy(query, async strategy => {
+                await strategy.cancelAllOrders();
+                return {
+                    activeCount: strategy.orderManager.getActiveOrdersCount(),
+                    hangingCount: strategy.orderManager.getHangingOrders().length
+                };
+            })],
+            ['POST /api/emergency-stop/reset', (query) => this.resetEmergencyStop(query)]
+        ]);
+    }
+
+    /**
+     * 启动监听
+     * @returns {Promise<number>} 实际监听的端口
+     */
+    start() {
+        if (!this.token) {
+            return Promise.reject(new Error('Control API token is not configured'));
+        }
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, HOST, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                this.logger.info('控制接口已启动', { host: HOST, port: this.port });
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * 停止监听
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => {
+                this.logger.info('控制接口已停止');
+                resolve();
+            });
+            if (typeof server.closeAllConnections === 'function') {
+                server.closeAllConnections();
+            }
+        });
+    }
+
+    /**
+     * 控制接口地址
+     */
+    getAddress() {
+        return `http://${HOST}:${this.port}`;
+    }
+
+    /**
+     * 处理一个请求
+     */
+    async handleRequest(req, res) {
+        this.stats.requests++;
+        try {
+            if (!this.isAuthorized(req)) {
+                this.stats.unauthorized++;
+                throw new ControlApiError(401, 'Unauthorized');
+            }
+
+            const url = new URL(req.url, this.getAddress());
+            const handler = this.routes.get(`${req.method} ${url.pathname}`);
+            if (!handler) {
+                const pathExists = Array.from(this.routes.keys()).some(key => key.endsWith(` ${url.pathname}`));
+                throw new ControlApiError(pathExists ? 405 : 404, pathExists ? 'Method not allowed' : 'Not found');
+            }
+
+            const body = req.method === 'POST' ? await this.readBody(req) : null;
+            const data = await handler(url.searchParams, body);
+            if (req.method === 'POST') {
+                this.logger.info('控制接口操作', { action: url.pathname, symbol: url.searchParams.get('symbol'), body });
+            }
+            this.sendJson(res, 200, { success: true, data });
+        } catch (error) {
+            const status = error instanceof ControlApiError ? error.status : 500;
+            if (status === 500) {
+                this.stats.errors++;
+                this.logger.error('控制接口请求出错', { url: req.url, errorMessage: error.message });
+            }
+            this.sendJson(res, status, { success: false, error: error.message });
+        }
+    }
+
+    /**
+     * 校验令牌（固定时间比较）
+     */
+    isAuthorized(req) {
+        const header = req.headers.authorization || '';
+        const match = /^Bearer (.+)$/.exec(header);
+        if (!match) {
+            return false;
+        }
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(match[1]);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * 读取JSON请求体
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size <= MAX_BODY_SIZE) {
+                    chunks.push(chunk);
+                }
+            });
+            req.on('end', () => {
+                if (size > MAX_BODY_SIZE) {
+                    reject(new ControlApiError(413, 'Request body too large'));
+                    return;
+                }
+                const text = Buffer.concat(chunks).toString('utf8').trim();
+                if (!text) {
+                    resolve({});
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(text));
+                } catch (error) {
+                    reject(new ControlApiError(400, `Invalid JSON body: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, status, payload) {
+        const body = JSON.stringify(payload);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    /**
+     * 按symbol参数选出要操作的策略，不指定时返回所有交易对
+     * @returns {Map<string, Object>} 交易对 -> 策略实例
+     */
+    resolveStrategies(query) {
+        const strategies = this.strategy instanceof PortfolioManager
+            ? new Map(this.strategy.strategies)
+            : new Map([[this.strategy.config.get('symbol'), this.strategy]]);
+        const symbol = query.get('symbol');
+        if (!symbol) {
+            return strategies;
+        }
+        if (!strategies.has(symbol)) {
+            throw new ControlApiError(404, `Unknown symbol: ${symbol}`);
+        }
+        return new Map([[symbol, strategies.get(symbol)]]);
+    }
+
+    /**
+     * 对选出的每个交易对执行操作，结果按交易对返回
+     */
+    async forEachStrategy(query, action) {
+        const result = {};
+        for (const [symbol, strategy] of this.resolveStrategies(query)) {
+            result[symbol] = await action(strategy);
+        }
+        return result;
+    }
+
+    /**
+     * 完整状态，指定交易对时返回该交易对的策略状态
+     */
+    getStrategyStatus(query) {
+        if (query.get('symbol')) {
+            const [strategy] = this.resolveStrategies(query).values();
+            return strategy.getStatus();
+        }
+        return this.strategy.getStatus();
+    }
+
+    /**
+     * 风险状态，多交易对时附带组合风险
+     */
+    async getRisk(query) {
+        const strategies = await this.forEachStrategy(query, strategy => strategy.riskManager.getRiskStatus());
+        if (this.strategy instanceof PortfolioManager) {
+            return { portfolio: this.strategy.portfolioRisk.getStatus(), strategies };
+        }
+        return { strategies };
+    }
+
+    /**
+     * 热更新策略参数，验证失败时不修改任何交易对
+     */
+    async updateParameters(query, body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+            throw new ControlApiError(400, 'Request body must be a non-empty JSON object of parameters');
+        }
+        const unknown = Object.keys(body).filter(key => !PARAMETER_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new ControlApiError(400, `Unsupported parameters: ${unknown.join(', ')}, allowed: ${PARAMETER_KEYS.join(', ')}`);
+        }
+        const strategies = this.resolveStrategies(query);
+        for (const strategy of strategies.values()) {
+            const validation = strategy.strategyCore.validateParameters(body);
+            if (!validation.valid) {
+                throw new ControlApiError(400, `Invalid parameters: ${validation.errors.join(', ')}`);
+            }
+        }
+        return this.forEachStrategy(query, strategy => {
+            strategy.updateParameters(body);
+            return strategy.getParameters();
+        });
+    }
+
+    /**
+     * 设置外部库存目标（external模式），验证失败时不修改任何交易对
+     */
+    async setInventoryTarget(query, body) {
+        const validation = InventoryTarget.validateSignal(body);
+        if (!validation.valid) {
+            throw new ControlApiError(400, `Invalid inventory target: ${validation.errors.join(', ')}`);
+        }
+        const strategies = this.resolveStrategies(query);
+        for (const [symbol, strategy] of strategies) {
+            if (strategy.inventoryTarget.mode !== 'external') {
+                throw new ControlApiError(409, `Inventory target mode of ${symbol} is ${strategy.inventoryTarget.mode}, only external mode accepts runtime targets`);
+            }
+        }
+        return this.forEachStrategy(query, strategy => strategy.setInventoryTarget(body));
+    }
+
+    /**
+     * 重置紧急停止，多交易对且不指定交易对时同时解除组合风险停止
+     */
+    async resetEmergencyStop(query) {
+        const result = await this.forEachStrategy(query, strategy => {
+            strategy.riskManager.resetEmergencyStop();
+            return { isEmergencyStop: strategy.riskManager.riskState.isEmergencyStop };
+        });
+        if (this.strategy instanceof PortfolioManager && !query.get('symbol')) {
+            this.strategy.portfolioRisk.resetHalt();
+        }
+        return result;
+    }
+
+    /**
+     * 获取控制接口状态
+     */
+    getStatus() {
+        return {
+            running: !!this.server,
+            address: this.getAddress(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = ControlServer;
+module.exports.ControlApiError = ControlApiError;
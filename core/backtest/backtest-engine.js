@@ -0,0 +1,287 @@
+const AvellanedaStrategy = require('../strategy');
+const Logger = require('../../utils/logger');
+const { SimulatedClock } = require('../../utils/clock');
+const BacktestDataLoader = require('./data-loader');
+const BacktestExchangeManager = require('./backtest-exchange');
+const BacktestReport = require('./backtest-report');
+
+/**
+ * 事件驱动回测引擎
+ * 按时间顺序回放录制的市场数据，在模拟时钟上驱动AvellanedaStrategy的主循环，
+ * 订单通过本地撮合引擎按排队位置和价格穿越成交
+ */
+class BacktestEngine {
+    /**
+     * @param {Object} config - 策略配置（StrategyConfig实例）
+     * @param {Object} options
+     * @param {string} options.dataPath - 回测数据路径（默认使用配置中的backtest.dataPath）
+     * @param {boolean} options.quiet - 是否屏蔽策略的控制台输出
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.logger = new Logger(config);
+        this.backtestConfig = config.get('backtest') || {};
+        this.dataPath = options.dataPath || this.backtestConfig.dataPath;
+        this.quiet = options.quiet !== undefined ? options.quiet : true;
+
+        this.loopInterval = config.get('loopInterval') || 1000;
+        this.equitySampleInterval = this.backtestConfig.equitySampleInterval || 60000;
+
+        this.clock = null;
+        this.exchangeManager = null;
+        this.strategy = null;
+
+        this.loopTask = null;
+        this.nextLoopTime = 0;
+        this.lastSampleTime = 0;
+        this.equityCurve = [];
+        this.stopReason = null;
+    }
+
+    /**
+     * 运行回测
+     * @returns {BacktestReport} 回测报告
+     */
+    async run() {
+        const loader = new BacktestDataLoader(this.dataPath, { symbol: this.config.get('symbol') });
+        const events = loader.events();
+
+        const first = await events.next();
+        if (first.done) {
+            throw new Error(`回测数据为空: ${this.dataPath}`);
+        }
+
+        const originalLog = console.log;
+        if (this.quiet) {
+            console.log = () => {};
+        }
+
+        let startTime = first.value.timestamp;
+        let endTime = startTime;
+        let initialBalances;
+
+        try {
+            await this.setup(startTime);
+            initialBalances = this.getBalanceSnapshot();
+
+            this.applyEvent(first.value);
+            this.sampleEquity(true);
+            for await (const event of events) {
+                if (!this.strategy.isRunning) {
+                    break;
+                }
+                // 乱序事件按当前时间处理，模拟时钟不会倒退
+                await this.advanceTo(Math.max(event.timestamp, this.clock.now()));
+                this.applyEvent(event);
+                this.sampleEquity(false);
+                endTime = this.clock.now();
+            }
+
+            await this.finish();
+        } finally {
+            console.log = originalLog;
+        }
+
+        const loaderStats = loader.getStats();
+        this.logger.info('回测完成', {
+            dataPath: this.dataPath,
+            events: loaderStats.events,
+            skipped: loaderStats.skipped,
+            stopReason: this.stopReason
+        });
+
+        return new BacktestReport({
+            meta: {
+                symbol: this.config.get('symbol'),
+                dataPath: this.dataPath,
+                startTime,
+                endTime,
+                events: loaderStats.events,
+                skippedEvents: loaderStats.skipped,
+                stopReason: this.stopReason,
+                parameters: {
+                    riskFactor: this.config.get('riskFactor'),
+                    orderAmount: this.config.get('orderAmount'),
+                    minSpread: this.config.get('minSpread'),
+                    maxSpread: this.config.get('maxSpread'),
+                    loopInterval: this.loopInterval
+                },
+                backtest: this.backtestConfig
+            },
+            initialBalances,
+            finalBalances: this.getBalanceSnapshot(),
+            fills: this.exchangeManager.getFills(),
+            equityCurve: this.equityCurve,
+            orderStats: this.exchangeManager.matchingEngine.getStats()
+        });
+    }
+
+    /**
+     * 创建模拟时钟、回测交易所和策略实例
+     */
+    async setup(startTime) {
+        this.clock = new SimulatedClock(startTime);
+        this.exchangeManager = new BacktestExchangeManager(this.config, this.clock);
+        await this.exchangeManager.initialize();
+
+        this.strategy = new AvellanedaStrategy(this.config, {
+            exchangeManager: this.exchangeManager,
+            clock: this.clock
+        });
+        this.strategy.eventHandler.setupEventListeners();
+        this.strategy.on('emergencyStop', (data) => { this.stopReason = `emergencyStop: ${data.reason}`; });
+        this.strategy.on('strategyStop', (data) => { this.stopReason = `strategyStop: ${data.reason}`; });
+        this.exchangeManager.on('fill', () => this.sampleEquity(true));
+
+        // 回测由引擎驱动主循环，不启动实盘的定时器
+        this.strategy.isInitialized = true;
+        this.strategy.isRunning = true;
+        this.strategy.lifecycleManager.isRunning = true;
+        this.strategy.lifecycleManager.startTime = startTime;
+
+        this.nextLoopTime = startTime;
+        this.lastSampleTime = 0;
+    }
+
+    /**
+     * 回放单个市场事件
+     */
+    applyEvent(event) {
+        this.clock.advanceTo(Math.max(event.timestamp, this.clock.now()));
+        if (event.type === 'orderBook') {
+            this.exchangeManager.applyOrderBook(event);
+        } else if (event.type === 'ticker') {
+            this.exchangeManager.applyTicker(event);
+        } else if (event.type === 'trade') {
+            this.exchangeManager.applyTrade(event);
+        }
+    }
+
+    /**
+     * 让出事件循环，使已就绪的异步任务执行完毕
+     */
+    flush() {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+
+    /**
+     * 推进模拟时间到目标时间戳
+     * 期间按时间顺序触发策略主循环和模拟定时器（下单延迟等），主循环未结束时跳过新的循环周期
+     */
+    async advanceTo(targetTime) {
+        while (true) {
+            await this.flush();
+
+            const nextTimerTime = this.clock.getNextTimerTime();
+            const nextLoopTime = this.loopTask || !this.strategy.isRunning ? null : this.nextLoopTime;
+            const candidates = [nextTimerTime, nextLoopTime].filter(time => time !== null && time <= targetTime);
+            if (candidates.length === 0) {
+                break;
+            }
+
+            const nextTime = Math.min(...candidates);
+            if (nextTime === nextLoopTime && (nextTimerTime === null || nextLoopTime < nextTimerTime)) {
+                this.clock.advanceTo(nextLoopTime);
+                this.startLoop();
+            } else {
+                this.clock.advanceTo(nextTimerTime);
+            }
+        }
+
+        this.clock.advanceTo(targetTime);
+    }
+
+    /**
+     * 启动一次策略主循环
+     */
+    startLoop() {
+        const lifecycle = this.strategy.lifecycleManager;
+        this.loopTask = lifecycle.mainLoop()
+            .catch(error => {
+                this.logger.error('回测主循环执行出错', { errorMessage: error.message });
+            })
+            .finally(() => {
+                this.loopTask = null;
+            });
+
+        // 下一个循环周期不早于当前时间
+        while (this.nextLoopTime <= this.clock.now()) {
+            this.nextLoopTime += this.loopInterval;
+        }
+    }
+
+    /**
+     * 等待异步任务完成，期间按需推进模拟定时器
+     */
+    async runTask(task) {
+        let settled = false;
+        const wrapped = task.finally(() => { settled = true; });
+
+        while (!settled) {
+            await this.flush();
+            if (settled) {
+                break;
+            }
+            const nextTimerTime = this.clock.getNextTimerTime();
+            if (nextTimerTime === null) {
+                throw new Error('回测任务无法完成：没有待触发的模拟定时器');
+            }
+            this.clock.advanceTo(nextTimerTime);
+        }
+
+        return wrapped;
+    }
+
+    /**
+     * 数据回放结束：等待主循环完成并撤销所有挂单
+     */
+    async finish() {
+        if (this.loopTask) {
+            await this.runTask(this.loopTask);
+        }
+        this.strategy.isRunning = false;
+        this.strategy.lifecycleManager.isRunning = false;
+        await this.runTask(this.strategy.orderManager.cancelAllOrders());
+        this.strategy.eventHandler.removeEventListeners();
+        this.sampleEquity(true);
+    }
+
+    /**
+     * 获取当前余额快照
+     */
+    getBalanceSnapshot() {
+        const balances = this.exchangeManager.getBalances();
+        return {
+            base: balances[this.config.get('baseCurrency')].total,
+            quote: balances[this.config.get('quoteCurrency')].total
+        };
+    }
+
+    /**
+     * 采样权益曲线
+     * @param {boolean} force - 是否忽略采样间隔
+     */
+    sampleEquity(force) {
+        const now = this.clock.now();
+        if (!force && now - this.lastSampleTime < this.equitySampleInterval) {
+            return;
+        }
+
+        const midPrice = this.exchangeManager.getMarketPrice();
+        if (!midPrice) {
+            return;
+        }
+
+        const { base, quote } = this.getBalanceSnapshot();
+        this.equityCurve.push({
+            timestamp: now,
+            midPrice,
+            base,
+            quote,
+            equity: quote + base * midPrice
+        });
+        this.lastSampleTime = now;
+    }
+}
+
+module.exports = BacktestEngine;
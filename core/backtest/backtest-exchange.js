@@ -0,0 +1,327 @@
+const EventEmitter = require('events');
+const Logger = require('../../utils/logger');
+const Helpers = require('../../utils/helpers');
+const MatchingEngine = require('./matching-engine');
+
+/**
+ * 回测交易所管理器
+ * 实现与ExchangeManager相同的接口，市场数据由回测引擎回放推送，订单由本地撮合引擎处理
+ */
+class BacktestExchangeManager extends EventEmitter {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} clock - 模拟时钟
+     */
+    constructor(config, clock) {
+        super();
+        this.config = config;
+        this.clock = clock;
+        this.logger = new Logger(config);
+        this.backtestConfig = config.get('backtest') || {};
+
+        this.isConnected = false;
+        this.networkManager = null;
+        this.marketInfo = null;
+        this.latency = this.backtestConfig.latency || 0;
+
+        this.marketData = {
+            orderBook: null,
+            ticker: null,
+            lastTrade: null,
+            lastUpdate: 0
+        };
+
+        this.matchingEngine = new MatchingEngine({
+            symbol: config.get('symbol'),
+            base: config.get('baseCurrency'),
+            quote: config.get('quoteCurrency'),
+            initialBase: this.backtestConfig.initialBase,
+            initialQuote: this.backtestConfig.initialQuote,
+            makerFee: this.backtestConfig.makerFee,
+            takerFee: this.backtestConfig.takerFee,
+            queuePositionModel: this.backtestConfig.queuePositionModel,
+            clock
+        });
+
+        // 撮合引擎的订单更新直接转发给策略
+        this.matchingEngine.on('orderUpdate', (order) => this.emit('orderUpdate', order));
+        this.matchingEngine.on('fill', (fill) => this.emit('fill', fill));
+    }
+
+    /**
+     * 初始化（回测无需连接交易所）
+     */
+    async initialize() {
+        this.marketInfo = {
+            symbol: this.config.get('symbol'),
+            base: this.config.get('baseCurrency'),
+            quote: this.config.get('quoteCurrency'),
+            precision: {
+                price: this.backtestConfig.pricePrecision || 0.01,
+                amount: this.backtestConfig.amountPrecision || 0.000001
+            },
+            limits: {
+                amount: { min: this.backtestConfig.amountPrecision || 0.000001 }
+            },
+            active: true,
+            fees: this.getSimulatedFees()
+        };
+        this.isConnected = true;
+        this.logger.info('回测交易所已初始化', {
+            symbol: this.marketInfo.symbol,
+            latency: this.latency
+        });
+        return true;
+    }
+
+    /**
+     * 回放订单簿事件
+     */
+    applyOrderBook(event) {
+        const orderBook = {
+            symbol: event.symbol || this.config.get('symbol'),
+            bids: event.bids || [],
+            asks: event.asks || [],
+            timestamp: event.timestamp,
+            datetime: new Date(event.timestamp).toISOString()
+        };
+        this.marketData.orderBook = orderBook;
+        this.marketData.lastUpdate = event.timestamp;
+        this.matchingEngine.onOrderBook(orderBook);
+    }
+
+    /**
+     * 回放行情事件
+     */
+    applyTicker(event) {
+        this.marketData.ticker = {
+            symbol: event.symbol || this.config.get('symbol'),
+            last: event.last,
+            bid: event.bid,
+            ask: event.ask,
+            timestamp: event.timestamp,
+            datetime: new Date(event.timestamp).toISOString()
+        };
+        this.marketData.lastUpdate = event.timestamp;
+    }
+
+    /**
+     * 回放成交事件
+     */
+    applyTrade(event) {
+        this.marketData.lastTrade = {
+            price: event.price,
+            amount: event.amount,
+            side: event.side,
+            timestamp: event.timestamp
+        };
+        this.marketData.lastUpdate = event.timestamp;
+        this.matchingEngine.onTrade(this.marketData.lastTrade);
+
+        // 与实盘一致推送公开成交，策略据此估计订单到达强度
+        this.emit('tradeUpdate', {
+            symbol: event.symbol || this.config.get('symbol'),
+            ...this.marketData.lastTrade
+        });
+    }
+
+    /**
+     * 获取当前订单簿
+     */
+    getOrderBook() {
+        return this.marketData.orderBook;
+    }
+
+    /**
+     * 获取当前价格数据
+     * 录制数据中没有行情事件时，使用最近成交或订单簿中间价合成
+     */
+    getTicker() {
+        if (this.marketData.ticker) {
+            return this.marketData.ticker;
+        }
+
+        const orderBook = this.marketData.orderBook;
+        const last = this.marketData.lastTrade ? this.marketData.lastTrade.price : this.getMarketPrice();
+        if (!last) {
+            return null;
+        }
+        return {
+            symbol: this.config.get('symbol'),
+            last,
+            bid: orderBook && orderBook.bids.length > 0 ? orderBook.bids[0][0] : undefined,
+            ask: orderBook && orderBook.asks.length > 0 ? orderBook.asks[0][0] : undefined,
+            timestamp: this.marketData.lastUpdate
+        };
+    }
+
+    /**
+     * 获取当前市场价格
+     */
+    getMarketPrice() {
+        const orderBook = this.marketData.orderBook;
+        if (orderBook && orderBook.bids.length > 0 && orderBook.asks.length > 0) {
+            return Helpers.calculateMidPrice(orderBook.bids[0][0], orderBook.asks[0][0]);
+        }
+        return this.marketData.lastTrade ? this.marketData.lastTrade.price : 0;
+    }
+
+    /**
+     * 获取当前余额
+     */
+    getBalances() {
+        return this.matchingEngine.getBalances();
+    }
+
+    /**
+     * 获取市场信息
+     */
+    getMarketInfo() {
+        return this.marketInfo;
+    }
+
+    /**
+     * 撮合引擎使用的挂单/吃单费率
+     */
+    getSimulatedFees() {
+        return { maker: this.matchingEngine.makerFee, taker: this.matchingEngine.takerFee };
+    }
+
+    /**
+     * 撮合引擎每次成交都会同步发出累计的订单更新，不需要按成交汇总
+     */
+    needsFillTracking() {
+        return false;
+    }
+
+    /**
+     * 成交来自撮合引擎，不获取账户成交
+     */
+    getFillSource() {
+        return null;
+    }
+
+    /**
+     * 创建订单（模拟网络延迟）
+     */
+    async createOrder(side, amount, price, type = 'limit', params = {}) {
+        if (!this.isConnected) {
+            throw new Error('Exchange not connected');
+        }
+
+        await this.clock.sleep(this.latency);
+
+        const order = this.matchingEngine.createOrder({
+            side,
+            type,
+            amount: this.formatAmount(amount),
+            price: type === 'limit' ? this.formatPrice(price) : undefined,
+            clientOrderId: params.clientOrderId || Helpers.generateUniqueId(),
+            timeInForce: params.timeInForce
+        });
+
+        this.logger.debug('回测订单已创建', {
+            id: order.id,
+            side: order.side,
+            amount: order.amount,
+            price: order.price,
+            status: order.status
+        });
+        this.emit('orderUpdate', order);
+        return order;
+    }
+
+    /**
+     * 取消订单（模拟网络延迟）
+     */
+    async cancelOrder(orderId, symbol = null) {
+        if (!this.isConnected) {
+            throw new Error('Exchange not connected');
+        }
+
+        await this.clock.sleep(this.latency);
+        return this.matchingEngine.cancelOrder(orderId);
+    }
+
+    /**
+     * 获取订单信息
+     */
+    async getOrder(orderId, symbol = null) {
+        return this.matchingEngine.getOrder(orderId);
+    }
+
+    /**
+     * 根据订单ID获取订单信息（别名方法）
+     */
+    async getOrderById(orderId, symbol = null) {
+        return this.getOrder(orderId, symbol);
+    }
+
+    /**
+     * 通过 clientOrderId 获取订单信息
+     */
+    async getOrderByClientOrderId(clientOrderId, symbol = null) {
+        return this.matchingEngine.getOrderByClientOrderId(clientOrderId);
+    }
+
+    /**
+     * 获取挂单
+     */
+    async getOpenOrders(symbol = null) {
+        return this.matchingEngine.getOpenOrders();
+    }
+
+    /**
+     * 格式化价格（对齐到最小价格变动单位）
+     */
+    formatPrice(price) {
+        const tickSize = this.marketInfo ? this.marketInfo.precision.price : 0;
+        if (!tickSize) {
+            return price;
+        }
+        const decimals = Math.max(0, -Math.floor(Math.log10(tickSize)));
+        return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(decimals));
+    }
+
+    /**
+     * 格式化数量（向下对齐到最小数量单位）
+     */
+    formatAmount(amount) {
+        const step = this.marketInfo ? this.marketInfo.precision.amount : 0;
+        if (!step) {
+            return amount;
+        }
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        return parseFloat((Math.floor(amount / step + 1e-9) * step).toFixed(decimals));
+    }
+
+    /**
+     * 获取成交记录
+     */
+    getFills() {
+        return this.matchingEngine.fills;
+    }
+
+    /**
+     * 关闭（回测无需释放连接）
+     */
+    async close() {
+        this.isConnected = false;
+        this.removeAllListeners();
+    }
+
+    /**
+     * 获取状态
+     */
+    getStatus() {
+        return {
+            isConnected: this.isConnected,
+            mode: 'backtest',
+            lastUpdate: this.marketData.lastUpdate,
+            symbol: this.config.get('symbol'),
+            ...this.matchingEngine.getStats()
+        };
+    }
+}
+
+module.exports = BacktestExchangeManager;
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 回测报告 - 根据成交记录和权益采样计算盈亏、库存和成交统计
+ */
+class BacktestReport {
+    /**
+     * @param {Object} params
+     * @param {Object} params.meta - 回测元信息（交易对、时间范围、参数等）
+     * @param {Object} params.initialBalances - 初始余额 {base, quote}
+     * @param {Object} params.finalBalances - 最终余额 {base, quote}
+     * @param {Array} params.fills - 成交记录
+     * @param {Array} params.equityCurve - 权益采样 [{timestamp, midPrice, base, quote, equity}]
+     * @param {Object} params.orderStats - 撮合统计
+     */
+    constructor({ meta, initialBalances, finalBalances, fills, equityCurve, orderStats }) {
+        this.meta = meta;
+        this.initialBalances = initialBalances;
+        this.finalBalances = finalBalances;
+        this.fills = fills;
+        this.equityCurve = equityCurve;
+        this.orderStats = orderStats;
+        this.summary = this.buildSummary();
+    }
+
+    /**
+     * 计算汇总指标
+     */
+    buildSummary() {
+        const firstPoint = this.equityCurve[0];
+        const lastPoint = this.equityCurve[this.equityCurve.length - 1];
+        const startMid = firstPoint ? firstPoint.midPrice : 0;
+        const endMid = lastPoint ? lastPoint.midPrice : 0;
+
+        // 按期末中间价计算权益
+        const initialEquity = this.initialBalances.quote + this.initialBalances.base * startMid;
+        const finalEquity = this.finalBalances.quote + this.finalBalances.base * endMid;
+        // 持有初始仓位不交易的权益，用于区分做市收益和行情收益
+        const holdEquity = this.initialBalances.quote + this.initialBalances.base * endMid;
+
+        const buyFills = this.fills.filter(fill => fill.side === 'buy');
+        const sellFills = this.fills.filter(fill => fill.side === 'sell');
+        const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+        const buyVolume = sum(buyFills, 'amount');
+        const sellVolume = sum(sellFills, 'amount');
+        const buyCost = sum(buyFills, 'cost');
+        const sellCost = sum(sellFills, 'cost');
+        const totalFees = this.fills.reduce((total, fill) => total + fill.fee.cost, 0);
+
+        // 已实现盈亏：按平均买入价和平均卖出价计算已配对部分的价差收益
+        const matchedVolume = Math.min(buyVolume, sellVolume);
+        const avgBuyPrice = buyVolume > 0 ? buyCost / buyVolume : 0;
+        const avgSellPrice = sellVolume > 0 ? sellCost / sellVolume : 0;
+        const realizedPnL = matchedVolume > 0 ? matchedVolume * (avgSellPrice - avgBuyPrice) - totalFees : -totalFees;
+
+        // 库存和回撤
+        let maxInventory = this.initialBalances.base;
+        let minInventory = this.initialBalances.base;
+        let peakEquity = -Infinity;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        for (const point of this.equityCurve) {
+            maxInventory = Math.max(maxInventory, point.base);
+            minInventory = Math.min(minInventory, point.base);
+            peakEquity = Math.max(peakEquity, point.equity);
+            const drawdown = peakEquity - point.equity;
+            if (drawdown > maxDrawdown) {
+                maxDrawdown = drawdown;
+                maxDrawdownPercent = peakEquity > 0 ? (drawdown / peakEquity) * 100 : 0;
+            }
+        }
+
+        const submittedOrders = this.orderStats.submittedOrders || 0;
+
+        return {
+            symbol: this.meta.symbol,
+            startTime: this.meta.startTime,
+            endTime: this.meta.endTime,
+            events: this.meta.events,
+            startMidPrice: startMid,
+            endMidPrice: endMid,
+            initialEquity,
+            finalEquity,
+            totalPnL: finalEquity - initialEquity,
+            totalPnLPercent: initialEquity > 0 ? ((finalEquity - initialEquity) / initialEquity) * 100 : 0,
+            pnlVsHold: finalEquity - holdEquity,
+            realizedPnL,
+            totalFees,
+            fills: this.fills.length,
+            buyFills: buyFills.length,
+            sellFills: sellFills.length,
+            makerFills: this.fills.filter(fill => fill.takerOrMaker === 'maker').length,
+            takerFills: this.fills.filter(fill => fill.takerOrMaker === 'taker').length,
+            buyVolume,
+            sellVolume,
+            avgBuyPrice,
+            avgSellPrice,
+            submittedOrders,
+            filledOrders: this.orderStats.filledOrders || 0,
+            fillRate: submittedOrders > 0 ? (this.orderStats.filledOrders / submittedOrders) * 100 : 0,
+            initialInventory: this.initialBalances.base,
+            finalInventory: this.finalBalances.base,
+            minInventory,
+            maxInventory,
+            maxDrawdown,
+            maxDrawdownPercent,
+            sharpeRatio: this.calculateSharpeRatio()
+        };
+    }
+
+    /**
+     * 计算年化夏普比率（无风险利率按0计算）
+     * 权益曲线在成交时会额外采样，这里按采样间隔取每个区间最后一个点，得到等间隔的收益率序列
+     */
+    calculateSharpeRatio() {
+        const interval = (this.meta.backtest && this.meta.backtest.equitySampleInterval) || 60000;
+        const equities = [];
+        let lastBucket = null;
+        for (const point of this.equityCurve) {
+            const bucket = Math.floor(point.timestamp / interval);
+            if (bucket === lastBucket) {
+                equities[equities.length - 1] = point.equity;
+            } else {
+                equities.push(point.equity);
+                lastBucket = bucket;
+            }
+        }
+
+        const returns = [];
+        for (let i = 1; i < equities.length; i++) {
+            if (equities[i - 1] > 0) {
+                returns.push(equities[i] / equities[i - 1] - 1);
+            }
+        }
+        if (returns.length < 2) {
+            return 0;
+        }
+
+        const mean = returns.reduce((total, value) => total + value, 0) / returns.length;
+        const variance = returns.reduce((total, value) => total + (value - mean) ** 2, 0) / (returns.length - 1);
+        const std = Math.sqrt(variance);
+        if (!(std > 0)) {
+            return 0;
+        }
+        const periodsPerYear = (365 * 24 * 60 * 60 * 1000) / interval;
+        return (mean / std) * Math.sqrt(periodsPerYear);
+    }
+
+    /**
+     * 获取汇总指标
+     */
+    getSummary() {
+        return this.summary;
+    }
+
+    /**
+     * 打印回测摘要
+     */
+    print() {
+        const s = this.summary;
+        const time = (timestamp) => timestamp ? new Date(timestamp).toISOString() : 'N/A';
+        console.log(`\n📈 回测报告 [${s.symbol}]`);
+        console.log(`⏱️ 时间范围: ${time(s.startTime)} ~ ${time(s.endTime)} | 事件数: ${s.events}`);
+        console.log(`💰 权益: ${s.initialEquity.toFixed(4)} → ${s.finalEquity.toFixed(4)} | 盈亏: ${s.totalPnL.toFixed(4)} (${s.totalPnLPercent.toFixed(4)}%) | 相对持有: ${s.pnlVsHold.toFixed(4)}`);
+        console.log(`💵 已实现盈亏: ${s.realizedPnL.toFixed(4)} | 手续费: ${s.totalFees.toFixed(4)}`);
+        console.log(`📋 订单: 提交${s.submittedOrders}个, 成交${s.filledOrders}个 (成交率 ${s.fillRate.toFixed(2)}%)`);
+        console.log(`🔄 成交: ${s.fills}笔 (买${s.buyFills}/卖${s.sellFills}, 挂单${s.makerFills}/吃单${s.takerFills}) | 买量: ${s.buyVolume.toFixed(6)} 卖量: ${s.sellVolume.toFixed(6)}`);
+        console.log(`📦 库存: 初始${s.initialInventory.toFixed(6)} → 期末${s.finalInventory.toFixed(6)} (区间 ${s.minInventory.toFixed(6)} ~ ${s.maxInventory.toFixed(6)})`);
+        console.log(`📉 最大回撤: ${s.maxDrawdown.toFixed(4)} (${s.maxDrawdownPercent.toFixed(4)}%) | 夏普比率: ${s.sharpeRatio.toFixed(4)}`);
+    }
+
+    /**
+     * 转为CSV文本
+     */
+    toCsv(rows, columns) {
+        const escape = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns.join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(column => escape(row[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 保存报告到目录
+     * @param {string} outputDir - 输出目录
+     * @returns {Object} 生成的文件路径
+     */
+    save(outputDir) {
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const files = {
+            summary: path.join(outputDir, 'summary.json'),
+            fills: path.join(outputDir, 'fills.csv'),
+            equity: path.join(outputDir, 'equity.csv')
+        };
+
+        fs.writeFileSync(files.summary, JSON.stringify({ meta: this.meta, summary: this.summary }, null, 2));
+        fs.writeFileSync(files.fills, this.toCsv(
+            this.fills.map(fill => ({ ...fill, fee: fill.fee.cost })),
+            ['timestamp', 'datetime', 'id', 'order', 'side', 'price', 'amount', 'cost', 'fee', 'takerOrMaker']
+        ));
+        fs.writeFileSync(files.equity, this.toCsv(
+            this.equityCurve,
+            ['timestamp', 'midPrice', 'base', 'quote', 'equity']
+        ));
+
+        return files;
+    }
+}
+
+module.exports = BacktestReport;
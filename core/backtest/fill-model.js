@@ -0,0 +1,106 @@
+/**
+ * 成交模型 - 根据排队位置和价格穿越判断挂单是否成交
+ *
+ * 挂单进入订单簿时，排在同价位已有挂单之后（queueAhead为下单时该价位的可见数量）。
+ * - 价格穿越：对手盘最优价达到或越过挂单价格时，视为全部成交
+ * - 成交消耗：在挂单价位发生的成交先消耗排在前面的数量，剩余部分成交我们的挂单
+ * - 成交穿越：成交价格优于挂单价格时（买单遇到更低的成交价），视为全部成交
+ */
+class QueueFillModel {
+    /**
+     * @param {Object} options
+     * @param {string} options.queuePositionModel - conservative仅在成交时推进队列，optimistic在盘口数量减少时也推进队列
+     */
+    constructor(options = {}) {
+        this.queuePositionModel = options.queuePositionModel || 'conservative';
+        if (!['conservative', 'optimistic'].includes(this.queuePositionModel)) {
+            throw new Error(`不支持的排队模型: ${this.queuePositionModel}`);
+        }
+    }
+
+    /**
+     * 获取订单簿中指定价位的数量
+     * @param {Array} levels - 订单簿价位数组 [[price, amount], ...]
+     * @param {number} price - 价格
+     * @returns {number} 该价位的数量
+     */
+    getLevelAmount(levels, price) {
+        if (!levels) {
+            return 0;
+        }
+        const level = levels.find(([levelPrice]) => Math.abs(levelPrice - price) < 1e-9);
+        return level ? level[1] : 0;
+    }
+
+    /**
+     * 挂单进入订单簿时初始化排队位置
+     * @param {Object} order - 挂单
+     * @param {Object} orderBook - 当前订单簿
+     */
+    onOrderPlaced(order, orderBook) {
+        const levels = order.side === 'buy' ? orderBook?.bids : orderBook?.asks;
+        order.queueAhead = this.getLevelAmount(levels, order.price);
+        order.lastLevelAmount = order.queueAhead;
+    }
+
+    /**
+     * 订单簿更新时检查挂单成交
+     * @param {Object} order - 挂单
+     * @param {Object} orderBook - 新订单簿
+     * @returns {number} 成交数量
+     */
+    onOrderBook(order, orderBook) {
+        if (!orderBook || !orderBook.bids || !orderBook.asks) {
+            return 0;
+        }
+
+        // 价格穿越：对手盘最优价达到挂单价格
+        if (order.side === 'buy' && orderBook.asks.length > 0 && orderBook.asks[0][0] <= order.price) {
+            return order.remaining;
+        }
+        if (order.side === 'sell' && orderBook.bids.length > 0 && orderBook.bids[0][0] >= order.price) {
+            return order.remaining;
+        }
+
+        // 乐观模型：同价位数量减少时认为减少的是排在前面的挂单
+        const levels = order.side === 'buy' ? orderBook.bids : orderBook.asks;
+        const levelAmount = this.getLevelAmount(levels, order.price);
+        if (this.queuePositionModel === 'optimistic' && levelAmount < order.lastLevelAmount) {
+            order.queueAhead = Math.max(0, order.queueAhead - (order.lastLevelAmount - levelAmount));
+        }
+        // 排在前面的数量不会超过该价位的可见数量
+        order.queueAhead = Math.min(order.queueAhead, levelAmount);
+        order.lastLevelAmount = levelAmount;
+
+        return 0;
+    }
+
+    /**
+     * 市场成交时检查挂单成交
+     * @param {Object} order - 挂单
+     * @param {Object} trade - 市场成交 {price, amount, side}，side为主动方方向
+     * @returns {number} 成交数量
+     */
+    onTrade(order, trade) {
+        // 买单只会被主动卖出成交，卖单只会被主动买入成交；未知方向的成交两侧都参与匹配
+        if (trade.side && trade.side === order.side) {
+            return 0;
+        }
+
+        const isThrough = order.side === 'buy' ? trade.price < order.price : trade.price > order.price;
+        if (isThrough) {
+            return order.remaining;
+        }
+
+        const isAtPrice = Math.abs(trade.price - order.price) < 1e-9;
+        if (!isAtPrice) {
+            return 0;
+        }
+
+        const consumed = Math.min(order.queueAhead, trade.amount);
+        order.queueAhead -= consumed;
+        return Math.min(order.remaining, trade.amount - consumed);
+    }
+}
+
+module.exports = QueueFillModel;
@@ -0,0 +1,423 @@
+const ccxt = require('ccxt');
+const EventEmitter = require('events');
+const QueueFillModel = require('./fill-model');
+
+/**
+ * 本地撮合引擎 - 模拟交易所的订单簿撮合、余额冻结和手续费
+ * 回测和模拟盘共用，订单和余额结构与ccxt统一格式保持一致。
+ * 挂单单独索引，撮合和冻结余额只遍历挂单；已结束订单和成交记录按上限保留最近的部分（回测默认不限制，报告需要完整成交）
+ */
+class MatchingEngine extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.symbol - 交易对
+     * @param {string} options.base - 基础货币
+     * @param {string} options.quote - 计价货币
+     * @param {number} options.initialBase - 初始基础货币余额
+     * @param {number} options.initialQuote - 初始计价货币余额
+     * @param {number} options.makerFee - 挂单手续费率
+     * @param {number} options.takerFee - 吃单手续费率
+     * @param {string} options.queuePositionModel - 排队模型
+     * @param {number} options.maxClosedOrders - 保留的已结束订单数量上限，默认不限制
+     * @param {number} options.maxFills - 保留的成交记录数量上限，默认不限制
+     * @param {Object} options.clock - 时钟
+     */
+    constructor(options) {
+        super();
+        this.symbol = options.symbol;
+        this.base = options.base;
+        this.quote = options.quote;
+        this.makerFee = options.makerFee || 0;
+        this.takerFee = options.takerFee || 0;
+        this.clock = options.clock;
+        this.fillModel = new QueueFillModel({ queuePositionModel: options.queuePositionModel });
+
+        this.balances = {
+            [this.base]: { free: options.initialBase || 0, used: 0, total: options.initialBase || 0 },
+            [this.quote]: { free: options.initialQuote || 0, used: 0, total: options.initialQuote || 0 }
+        };
+
+        this.maxClosedOrders = options.maxClosedOrders > 0 ? options.maxClosedOrders : Infinity;
+        this.maxFills = options.maxFills > 0 ? options.maxFills : Infinity;
+
+        this.orders = new Map(); // 挂单和保留的已结束订单
+        this.openOrders = new Map(); // 挂单
+        this.closedOrderIds = []; // 已结束订单ID，按结束顺序
+        this.fills = [];
+        this.orderBook = null;
+        this.consumedLiquidity = new Map(); // 当前订单簿快照中已被吃单消耗的数量，按对手盘价格记录，下次订单簿更新时清空
+        this.nextOrderId = 1;
+        this.nextTradeId = 1;
+        this.totalFees = 0;
+        this.filledOrders = 0;
+        this.fillCount = 0;
+    }
+
+    /**
+     * 生成ccxt格式的订单副本
+     */
+    toCcxtOrder(order) {
+        return {
+            id: order.id,
+            clientOrderId: order.clientOrderId,
+            timestamp: order.timestamp,
+            datetime: new Date(order.timestamp).toISOString(),
+            lastTradeTimestamp: order.lastTradeTimestamp,
+            symbol: order.symbol,
+            type: order.type,
+            timeInForce: order.timeInForce,
+            side: order.side,
+            price: order.price,
+            average: order.filled > 0 ? order.cost / order.filled : undefined,
+            amount: order.amount,
+            filled: order.filled,
+            remaining: order.remaining,
+            cost: order.cost,
+            status: order.status,
+            fee: { cost: order.feeCost, currency: this.quote },
+            trades: []
+        };
+    }
+
+    /**
+     * 获取余额副本
+     */
+    getBalances() {
+        return {
+            [this.base]: { ...this.balances[this.base] },
+            [this.quote]: { ...this.balances[this.quote] }
+        };
+    }
+
+    /**
+     * 根据挂单重新计算冻结余额
+     * 买单冻结 剩余数量*价格*(1+挂单费率) 的计价货币，卖单冻结剩余数量的基础货币
+     */
+    recalculateUsedBalances() {
+        let usedBase = 0;
+        let usedQuote = 0;
+        for (const order of this.openOrders.values()) {
+            if (order.side === 'buy') {
+                usedQuote += order.remaining * order.price * (1 + this.makerFee);
+            } else {
+                usedBase += order.remaining;
+            }
+        }
+
+        const baseBalance = this.balances[this.base];
+        const quoteBalance = this.balances[this.quote];
+        baseBalance.used = usedBase;
+        baseBalance.free = baseBalance.total - usedBase;
+        quoteBalance.used = usedQuote;
+        quoteBalance.free = quoteBalance.total - usedQuote;
+    }
+
+    /**
+     * 提交订单
+     * @param {Object} params - {side, type, amount, price, clientOrderId, timeInForce}，timeInForce为IOC时未成交部分立即取消
+     * @returns {Object} ccxt格式订单
+     */
+    createOrder({ side, type = 'limit', amount, price, clientOrderId, timeInForce = 'GTC' }) {
+        if (!['buy', 'sell'].includes(side)) {
+            throw new ccxt.InvalidOrder(`无效的订单方向: ${side}`);
+        }
+        if (!(amount > 0)) {
+            throw new ccxt.InvalidOrder(`无效的订单数量: ${amount}`);
+        }
+        if (type === 'limit' && !(price > 0)) {
+            throw new ccxt.InvalidOrder(`无效的订单价格: ${price}`);
+        }
+
+        // 市价单按对手盘最差可成交价估算冻结金额
+        const referencePrice = type === 'market' ? this.getWorstBookPrice(side) : price;
+        if (!(referencePrice > 0)) {
+            throw new ccxt.InvalidOrder('订单簿为空，无法提交市价单');
+        }
+
+        // 余额检查
+        if (side === 'buy') {
+            const required = amount * referencePrice * (1 + Math.max(this.makerFee, this.takerFee));
+            if (this.balances[this.quote].free + 1e-12 < required) {
+                throw new ccxt.InsufficientFunds(`余额不足：需要 ${required} ${this.quote}，可用 ${this.balances[this.quote].free} ${this.quote}`);
+            }
+        } else if (this.balances[this.base].free + 1e-12 < amount) {
+            throw new ccxt.InsufficientFunds(`余额不足：需要 ${amount} ${this.base}，可用 ${this.balances[this.base].free} ${this.base}`);
+        }
+
+        const now = this.clock.now();
+        const order = {
+            id: String(this.nextOrderId++),
+            clientOrderId,
+            timestamp: now,
+            lastTradeTimestamp: undefined,
+            symbol: this.symbol,
+            type,
+            timeInForce: type === 'market' ? 'IOC' : timeInForce,
+            side,
+            price: type === 'market' ? referencePrice : price,
+            amount,
+            filled: 0,
+            remaining: amount,
+            cost: 0,
+            feeCost: 0,
+            status: 'open',
+            queueAhead: 0,
+            lastLevelAmount: 0
+        };
+        this.orders.set(order.id, order);
+        this.openOrders.set(order.id, order);
+
+        // 可立即成交的部分作为吃单成交
+        this.matchAgainstBook(order);
+
+        if (order.status === 'open') {
+            if (type === 'market' || timeInForce === 'IOC') {
+                // 市价单和IOC限价单未成交部分直接取消
+                order.status = 'canceled';
+                this.finalizeOrder(order);
+            } else {
+                this.fillModel.onOrderPlaced(order, this.orderBook);
+            }
+        }
+
+        this.recalculateUsedBalances();
+        return this.toCcxtOrder(order);
+    }
+
+    /**
+     * 获取对手盘最差价格（用于市价单）
+     */
+    getWorstBookPrice(side) {
+        const levels = side === 'buy' ? this.orderBook?.asks : this.orderBook?.bids;
+        if (!levels || levels.length === 0) {
+            return 0;
+        }
+        return levels[levels.length - 1][0];
+    }
+
+    /**
+     * 新订单与当前订单簿撮合（吃单）
+     * 同一订单簿快照内已被之前的吃单消耗的数量不能再次成交，直到下次订单簿更新
+     */
+    matchAgainstBook(order) {
+        if (!this.orderBook) {
+            return;
+        }
+
+        const bookSide = order.side === 'buy' ? 'asks' : 'bids';
+        for (const [levelPrice, levelAmount] of this.orderBook[bookSide]) {
+            if (order.remaining <= 0) {
+                break;
+            }
+            const crosses = order.type === 'market' ||
+                (order.side === 'buy' ? levelPrice <= order.price : levelPrice >= order.price);
+            if (!crosses) {
+                break;
+            }
+            const key = `${bookSide}:${levelPrice}`;
+            const consumed = this.consumedLiquidity.get(key) || 0;
+            const available = levelAmount - consumed;
+            if (available <= 1e-12) {
+                continue;
+            }
+            const fillAmount = Math.min(order.remaining, available);
+            this.consumedLiquidity.set(key, consumed + fillAmount);
+            this.applyFill(order, fillAmount, levelPrice, 'taker');
+        }
+    }
+
+    /**
+     * 取消订单
+     * @param {string} orderId - 订单ID
+     * @returns {Object} ccxt格式订单
+     */
+    cancelOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order || order.status !== 'open') {
+            throw new ccxt.OrderNotFound(`Order not found: ${orderId}`);
+        }
+
+        order.status = 'canceled';
+        this.finalizeOrder(order);
+        this.recalculateUsedBalances();
+
+        const ccxtOrder = this.toCcxtOrder(order);
+        this.emit('orderUpdate', ccxtOrder);
+        return ccxtOrder;
+    }
+
+    /**
+     * 订单进入终态：移出挂单索引，超过保留上限时移除最早结束的订单
+     */
+    finalizeOrder(order) {
+        if (!this.openOrders.delete(order.id)) {
+            return;
+        }
+        this.closedOrderIds.push(order.id);
+        if (this.closedOrderIds.length > this.maxClosedOrders) {
+            this.orders.delete(this.closedOrderIds.shift());
+        }
+    }
+
+    /**
+     * 获取订单（已移除的历史订单视为不存在）
+     */
+    getOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            throw new ccxt.OrderNotFound(`Order not found: ${orderId}`);
+        }
+        return this.toCcxtOrder(order);
+    }
+
+    /**
+     * 通过clientOrderId获取订单
+     */
+    getOrderByClientOrderId(clientOrderId) {
+        for (const order of this.orders.values()) {
+            if (order.clientOrderId === clientOrderId) {
+                return this.toCcxtOrder(order);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * 获取所有挂单
+     */
+    getOpenOrders() {
+        return Array.from(this.openOrders.values()).map(order => this.toCcxtOrder(order));
+    }
+
+    /**
+     * 处理订单簿更新，检查挂单成交
+     * @param {Object} orderBook - {bids, asks, timestamp}
+     */
+    onOrderBook(orderBook) {
+        this.orderBook = orderBook;
+        this.consumedLiquidity.clear();
+        for (const order of this.getRestingOrders()) {
+            const fillAmount = this.fillModel.onOrderBook(order, orderBook);
+            if (fillAmount > 0) {
+                this.applyFill(order, fillAmount, order.price, 'maker');
+            }
+        }
+        this.recalculateUsedBalances();
+    }
+
+    /**
+     * 处理市场成交，检查挂单成交
+     * @param {Object} trade - {price, amount, side}
+     */
+    onTrade(trade) {
+        let remainingTradeAmount = trade.amount;
+        for (const order of this.getRestingOrders()) {
+            if (remainingTradeAmount <= 0) {
+                break;
+            }
+            const fillAmount = this.fillModel.onTrade(order, { ...trade, amount: remainingTradeAmount });
+            if (fillAmount > 0) {
+                this.applyFill(order, fillAmount, order.price, 'maker');
+                remainingTradeAmount -= fillAmount;
+            }
+        }
+        this.recalculateUsedBalances();
+    }
+
+    /**
+     * 获取仍在订单簿中的限价挂单（按价格优先、时间优先排序）
+     */
+    getRestingOrders() {
+        const resting = Array.from(this.openOrders.values())
+            .filter(order => order.type === 'limit');
+        const byTime = (a, b) => a.timestamp - b.timestamp || Number(a.id) - Number(b.id);
+        const buys = resting.filter(order => order.side === 'buy')
+            .sort((a, b) => b.price - a.price || byTime(a, b));
+        const sells = resting.filter(order => order.side === 'sell')
+            .sort((a, b) => a.price - b.price || byTime(a, b));
+        return [...buys, ...sells];
+    }
+
+    /**
+     * 记录成交并更新余额
+     * @param {Object} order - 内部订单
+     * @param {number} amount - 成交数量
+     * @param {number} price - 成交价格
+     * @param {string} takerOrMaker - 吃单或挂单
+     */
+    applyFill(order, amount, price, takerOrMaker) {
+        if (amount <= 0) {
+            return;
+        }
+
+        const now = this.clock.now();
+        const cost = amount * price;
+        const feeRate = takerOrMaker === 'taker' ? this.takerFee : this.makerFee;
+        const feeCost = cost * feeRate;
+
+        if (order.filled === 0) {
+            this.filledOrders++;
+        }
+        order.filled += amount;
+        order.remaining = Math.max(0, order.amount - order.filled);
+        order.cost += cost;
+        order.feeCost += feeCost;
+        order.lastTradeTimestamp = now;
+        if (order.remaining <= order.amount * 1e-9) {
+            order.remaining = 0;
+            order.status = 'closed';
+            this.finalizeOrder(order);
+        }
+
+        // 手续费统一以计价货币收取
+        const baseBalance = this.balances[this.base];
+        const quoteBalance = this.balances[this.quote];
+        if (order.side === 'buy') {
+            baseBalance.total += amount;
+            quoteBalance.total -= cost + feeCost;
+        } else {
+            baseBalance.total -= amount;
+            quoteBalance.total += cost - feeCost;
+        }
+        this.totalFees += feeCost;
+        this.recalculateUsedBalances();
+
+        const fill = {
+            id: String(this.nextTradeId++),
+            order: order.id,
+            clientOrderId: order.clientOrderId,
+            timestamp: now,
+            datetime: new Date(now).toISOString(),
+            symbol: order.symbol,
+            side: order.side,
+            price,
+            amount,
+            cost,
+            takerOrMaker,
+            fee: { cost: feeCost, currency: this.quote, rate: feeRate }
+        };
+        this.fills.push(fill);
+        this.fillCount++;
+        if (this.fills.length > this.maxFills) {
+            this.fills.shift();
+        }
+
+        this.emit('fill', fill);
+        this.emit('orderUpdate', this.toCcxtOrder(order));
+    }
+
+    /**
+     * 获取撮合统计
+     */
+    getStats() {
+        return {
+            submittedOrders: this.nextOrderId - 1,
+            filledOrders: this.filledOrders,
+            openOrders: this.openOrders.size,
+            fillCount: this.fillCount,
+            totalFees: this.totalFees
+        };
+    }
+}
+
+module.exports = MatchingEngine;
@@ -1,215 +1,148 @@
 const Helpers = require('../utils/helpers');
 const Logger = require('../utils/logger');
+const { createPricingModel } = require('./pricing');
+const InventoryTarget = require('./strategy/inventory-target');
 
 /**
  * Avellaneda-Stoikov模型核心计算器
- * 实现最优价差、最优价格和订单数量计算
+ * 实现订单数量、档位价格和交易成本计算，保留价和最优价差由策略核心通过定价模型计算
  */
 class AvellanedaCalculator {
-    constructor(config, exchangeManager = null) {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} exchangeManager - 交易所管理器，用于获取价格精度
+     * @param {Object} pricingModel - 定价模型（默认按配置创建）
+     * @param {InventoryTarget} inventoryTarget - 目标库存（默认按配置创建，策略中与数据管理器共用）
+     */
+    constructor(config, exchangeManager = null, pricingModel = null, inventoryTarget = null) {
         this.config = config;
         this.logger = new Logger(config);
         this.exchangeManager = exchangeManager;
+        this.pricingModel = pricingModel || createPricingModel(config);
         
         // 核心参数
-        this.gamma = config.get('riskFactor'); // 风险因子
         this.eta = config.get('shapeFactor'); // 形状因子
-        this.inventoryTargetBase = config.get('inventoryTarget') || 0.5; // 库存目标比例
-        
-        // 状态变量
-        this.reservationPrice = 0;
-        this.optimalSpread = 0;
-        this.optimalBid = 0;
-        this.optimalAsk = 0;
+        this.inventoryTarget = inventoryTarget || new InventoryTarget(config.get('inventoryTarget'), { symbol: config.get('symbol') });
+        this.transactionCosts = config.get('transactionCosts') || {}; // 交易成本（报价外推手续费）
         
         this.logger.info('AvellanedaCalculator initialized', {
-            gamma: this.gamma,
+            pricingModel: this.pricingModel.name,
+            gamma: this.pricingModel.gamma,
             eta: this.eta,
-            inventoryTargetBase: this.inventoryTargetBase,
-            hasExchangeManager: !!exchangeManager
+            inventoryTargetMode: this.inventoryTarget.mode,
+            hasExchangeManager: !!exchangeManager,
+            addTransactionCosts: this.transactionCosts.enabled === true
         });
     }
 
     /**
-     * 计算最优价差
-     * 公式: γ * σ² * t + (2/γ) * ln(1 + γ/k)
-     * @param {number} volatility - 波动率
-     * @param {number} tradingIntensity - 交易强度
-     * @param {number} timeToExpiry - 到期时间(秒)
-     * @returns {number} 最优价差
+     * 获取挂单/吃单费率
+     * 配置覆盖（如VIP等级费率）优先，其次为交易所市场信息中的费率
+     * @returns {Object} {maker, taker, source}
      */
-    calculateOptimalSpread(volatility, tradingIntensity, timeToExpiry = 0) {
-        try {
-            if (!volatility || !tradingIntensity || volatility <= 0 || tradingIntensity <= 0) {
-                this.logger.warn('最优价差计算参数无效', {
-                    volatility,
-                    tradingIntensity,
-                    timeToExpiry,
-                    reason: tradingIntensity <= 0 ? '交易强度为零，可能是订单簿数据不完整' : '波动率无效'
-                });
-                return this.config.get('minSpread');
-            }
-
-            // 时间项 (γ * σ² * t)
-            const timeComponent = this.gamma * Math.pow(volatility, 2) * timeToExpiry;
-            
-            // 交易强度项 (2/γ) * ln(1 + γ/k)
-            const intensityComponent = (2 / this.gamma) * Math.log(1 + this.gamma / tradingIntensity);
-            
-            // 总价差
-            const optimalSpread = timeComponent + intensityComponent;
-            
-            // 确保不小于最小价差
-            const finalSpread = Math.max(optimalSpread, this.config.get('minSpread'));
-            
-            this.logger.debug('Optimal spread calculated', {
-                volatility,
-                tradingIntensity,
-                timeToExpiry,
-                timeComponent,
-                intensityComponent,
-                optimalSpread,
-                finalSpread
-            });
-            
-            return finalSpread;
-        } catch (error) {
-            this.logger.error('Error calculating optimal spread', error);
-            return this.config.minSpread;
+    getFeeSchedule() {
+        let fees = null;
+        if (this.exchangeManager) {
+            const marketInfo = this.exchangeManager.getMarketInfo();
+            fees = marketInfo && marketInfo.fees ? marketInfo.fees : null;
         }
+        const pick = (override, value) => (typeof override === 'number' ? override : (value || 0));
+        const { makerFee, takerFee } = this.transactionCosts;
+        return {
+            maker: pick(makerFee, fees && fees.maker),
+            taker: pick(takerFee, fees && fees.taker),
+            source: typeof makerFee === 'number' || typeof takerFee === 'number' ? 'config' : (fees ? 'exchange' : 'none')
+        };
     }
 
     /**
-     * 计算最优买卖价格
-     * @param {number} midPrice - 中间价
-     * @param {number} optimalSpread - 最优价差
-     * @returns {Object} {optimalBid, optimalAsk}
+     * 将挂单手续费加入报价（对应Hummingbot的add_transaction_costs）
+     * 买价乘以(1 − 挂单费率)、卖价乘以(1 + 挂单费率)，两边各外推一次成交的手续费，合计覆盖一次往返成本
+     * @param {number} bid - 买价
+     * @param {number} ask - 卖价
+     * @returns {Object} {bid, ask, enabled, makerFee, takerFee, bidAdjustment, askAdjustment}
      */
-    calculateOptimalPrices(midPrice, optimalSpread) {
-        try {
-            if (!midPrice || midPrice <= 0) {
-                this.logger.warn('Invalid mid price for optimal prices calculation', { midPrice });
-                return { optimalBid: 0, optimalAsk: 0 };
-            }
+    applyTransactionCosts(bid, ask) {
+        const fees = this.getFeeSchedule();
+        const enabled = this.transactionCosts.enabled === true && fees.maker > 0;
+        const adjustedBid = enabled ? bid * (1 - fees.maker) : bid;
+        const adjustedAsk = enabled ? ask * (1 + fees.maker) : ask;
+        return {
+            bid: adjustedBid,
+            ask: adjustedAsk,
+            enabled,
+            makerFee: fees.maker,
+            takerFee: fees.taker,
+            feeSource: fees.source,
+            bidAdjustment: bid - adjustedBid,
+            askAdjustment: adjustedAsk - ask
+        };
+    }
 
-            // 获取交易所价格精度
-            let pricePrecision = 2; // 默认精度位数
-            let priceStep = 0.01; // 默认价格步长
-            
-            if (this.exchangeManager) {
-                try {
-                    const marketInfo = this.exchangeManager.getMarketInfo();
-                    if (marketInfo && marketInfo.precision && marketInfo.precision.price !== undefined) {
-                        // CCXT中precision.price直接是价格步长，不是精度位数
-                        priceStep = marketInfo.precision.price;
-                        // 计算精度位数：例如 0.01 -> 2位小数
-                        pricePrecision = Math.abs(Math.floor(Math.log10(priceStep)));
-                    }
-                } catch (error) {
-                    this.logger.warn('无法获取交易所价格精度，使用默认值', { error: error.message });
-                }
-            }
-            
-            // 计算理论最优价格
-            const halfSpread = optimalSpread / 2;
-            const theoreticalBid = midPrice - halfSpread;
-            const theoreticalAsk = midPrice + halfSpread;
-            
-            // 考虑精度限制调整价格
-            const adjustedPrices = this.adjustPricesForPrecision(
-                theoreticalBid, 
-                theoreticalAsk, 
-                priceStep, 
-                optimalSpread
-            );
-            
-            this.logger.debug('Optimal prices calculated', {
-                midPrice,
-                optimalSpread,
-                pricePrecision,
-                priceStep,
-                theoreticalBid,
-                theoreticalAsk,
-                adjustedBid: adjustedPrices.bid,
-                adjustedAsk: adjustedPrices.ask
-            });
-            
-            return {
-                optimalBid: adjustedPrices.bid,
-                optimalAsk: adjustedPrices.ask
-            };
-        } catch (error) {
-            this.logger.error('Error calculating optimal prices', error);
-            return { optimalBid: 0, optimalAsk: 0 };
-        }
+    /**
+     * 计算手续费对报价价差的侵蚀
+     * @param {number} midPrice - 中间价
+     * @param {number} bid - 报价买价
+     * @param {number} ask - 报价卖价
+     * @returns {Object} {makerFee, takerFee, roundTripCost, quotedSpread, netSpread, enabled}，比例值
+     */
+    getFeeDrag(midPrice, bid, ask) {
+        const fees = this.getFeeSchedule();
+        // 买卖各以挂单成交一次的往返成本
+        const roundTripCost = 2 * fees.maker;
+        const quotedSpread = midPrice > 0 && bid > 0 && ask > 0 ? (ask - bid) / midPrice : 0;
+        return {
+            makerFee: fees.maker,
+            takerFee: fees.taker,
+            feeSource: fees.source,
+            roundTripCost,
+            quotedSpread,
+            netSpread: quotedSpread - roundTripCost,
+            enabled: this.transactionCosts.enabled === true
+        };
     }
 
     /**
-     * 根据精度限制调整价格
-     * @param {number} theoreticalBid - 理论买价
-     * @param {number} theoreticalAsk - 理论卖价
-     * @param {number} priceStep - 价格步长
-     * @param {number} minSpread - 最小价差
-     * @returns {Object} {bid, ask} 调整后的价格
+     * 计算多档位报价价格
+     * 对应Hummingbot的_get_level_spreads：档位间距 = 最优价差/2 × levelDistances%，第0档为最优买卖价
+     * @param {number} optimalBid - 最优买价
+     * @param {number} optimalAsk - 最优卖价
+     * @param {number} optimalSpread - 最优价差（价格单位）
+     * @param {number} orderLevels - 每侧档位数
+     * @param {number} levelDistances - 档位间距（最优价差一半的百分比）
+     * @returns {Object} {bids, asks} 由近到远排列的价格
      */
-    adjustPricesForPrecision(theoreticalBid, theoreticalAsk, priceStep, minSpread) {
-        try {
-            // 将价格对齐到价格步长
-            const alignedBid = Math.floor(theoreticalBid / priceStep) * priceStep;
-            const alignedAsk = Math.ceil(theoreticalAsk / priceStep) * priceStep;
-            
-            // 检查对齐后的价差是否满足最小要求
-            const alignedSpread = (alignedAsk - alignedBid) / ((alignedBid + alignedAsk) / 2);
-            
-            if (alignedSpread >= minSpread) {
-                // 价差满足要求，直接返回对齐后的价格
-                return { bid: alignedBid, ask: alignedAsk };
-            }
-            
-            // 价差不满足要求，需要调整
-            const midPrice = (alignedBid + alignedAsk) / 2;
-            const requiredSpread = minSpread * midPrice;
-            const halfRequiredSpread = requiredSpread / 2;
-            
-            // 计算满足最小价差的价格
-            let adjustedBid = Math.floor((midPrice - halfRequiredSpread) / priceStep) * priceStep;
-            let adjustedAsk = Math.ceil((midPrice + halfRequiredSpread) / priceStep) * priceStep;
-            
-            // 确保价格不为零或负数
-            if (adjustedBid <= 0) {
-                adjustedBid = priceStep;
-                adjustedAsk = Math.ceil((adjustedBid + requiredSpread) / priceStep) * priceStep;
-            }
-            
-            // 确保价格完全符合精度要求
-            adjustedBid = Math.round(adjustedBid / priceStep) * priceStep;
-            adjustedAsk = Math.round(adjustedAsk / priceStep) * priceStep;
-            
-            // 验证最终价差
-            const finalSpread = (adjustedAsk - adjustedBid) / ((adjustedBid + adjustedAsk) / 2);
-            
-            this.logger.debug('Prices adjusted for precision', {
-                theoreticalBid,
-                theoreticalAsk,
-                alignedBid,
-                alignedAsk,
-                alignedSpread,
-                adjustedBid,
-                adjustedAsk,
-                finalSpread,
-                minSpread,
-                priceStep
-            });
-            
-            return { bid: adjustedBid, ask: adjustedAsk };
-        } catch (error) {
-            this.logger.error('Error adjusting prices for precision', error);
-            // 出错时返回原始价格
-            return { 
-                bid: Math.round(theoreticalBid / priceStep) * priceStep, 
-                ask: Math.round(theoreticalAsk / priceStep) * priceStep 
-            };
+    calculateLevelPrices(optimalBid, optimalAsk, optimalSpread, orderLevels, levelDistances) {
+        const levels = Math.max(1, Math.floor(orderLevels || 1));
+        const levelStep = ((optimalSpread || 0) / 2) * ((levelDistances || 0) / 100);
+
+        let priceStep = 0;
+        if (this.exchangeManager) {
+            const marketInfo = this.exchangeManager.getMarketInfo();
+            priceStep = marketInfo && marketInfo.precision ? marketInfo.precision.price || 0 : 0;
         }
+        // 买价向下、卖价向上对齐价格步长，避免远档位越过近档位
+        const decimals = priceStep > 0 ? Math.max(0, -Math.floor(Math.log10(priceStep))) : 0;
+        const align = (price, round) => priceStep > 0
+            ? parseFloat((round(price / priceStep + (round === Math.floor ? 1e-9 : -1e-9)) * priceStep).toFixed(decimals))
+            : price;
+
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < levels; level++) {
+            bids.push(align(optimalBid - level * levelStep, Math.floor));
+            asks.push(align(optimalAsk + level * levelStep, Math.ceil));
+        }
+
+        this.logger.debug('Level prices calculated', {
+            orderLevels: levels,
+            levelDistances,
+            levelStep,
+            bids,
+            asks
+        });
+
+        return { bids, asks };
     }
 
     /**
@@ -256,21 +189,15 @@ class AvellanedaCalculator {
      */
     calculateTargetInventory(totalInventoryValue, price) {
         try {
-            if (!totalInventoryValue || !price || price <= 0) {
-                return 0;
-            }
-            
-            const targetInventoryValue = totalInventoryValue * this.inventoryTargetBase;
-            const targetInventory = targetInventoryValue / price;
+            const target = this.inventoryTarget.calculate(totalInventoryValue, price);
             
             this.logger.debug('Target inventory calculated', {
                 totalInventoryValue,
                 price,
-                targetInventoryValue,
-                targetInventory
+                ...target
             });
             
-            return targetInventory;
+            return target.targetInventory;
         } catch (error) {
             this.logger.error('Error calculating target inventory', error);
             return 0;
@@ -363,7 +290,7 @@ class AvellanedaCalculator {
                 baseAmount,
                 currentInventory,
                 targetInventory,
-                totalInventory,
+                totalInventoryValue,
                 inventorySkew,
                 isBuy,
                 adjustedAmount,
@@ -491,70 +418,6 @@ class AvellanedaCalculator {
         }
     }
 
-    /**
-     * 更新计算器状态
-     * @param {Object} marketData - 市场数据
-     * @param {Object} indicators - 技术指标
-     * @param {Object} balances - 账户余额
-     * @returns {Object} 计算器状态
-     */
-    updateState(marketData, indicators, balances) {
-        try {
-            const { midPrice, timestamp } = marketData;
-            const { volatility, tradingIntensity } = indicators;
-            const { baseAmount, quoteAmount } = balances;
-            
-            // 计算库存价值
-            const inventoryValue = this.calculateInventoryValue(baseAmount, quoteAmount, midPrice);
-            
-            // 计算目标库存
-            const targetInventory = this.calculateTargetInventory(inventoryValue.totalValue, midPrice);
-            
-            // 计算库存偏差
-            const inventorySkew = this.calculateInventorySkew(baseAmount, targetInventory, inventoryValue.totalValue, midPrice);
-            
-            // 计算最优价差
-            const optimalSpread = this.calculateOptimalSpread(volatility, tradingIntensity);
-            
-            // 计算最优价格
-            const { optimalBid, optimalAsk } = this.calculateOptimalPrices(midPrice, optimalSpread);
-            
-            // 打印详细的计算过程
-            this.printCalculationDetails({
-                midPrice,
-                volatility,
-                tradingIntensity,
-                baseAmount,
-                quoteAmount,
-                inventoryValue,
-                targetInventory,
-                inventorySkew,
-                optimalSpread,
-                optimalBid,
-                optimalAsk
-            });
-            
-            // 更新状态
-            this.reservationPrice = midPrice;
-            this.optimalSpread = optimalSpread;
-            this.optimalBid = optimalBid;
-            this.optimalAsk = optimalAsk;
-            
-            return {
-                optimalBid,
-                optimalAsk,
-                optimalSpread,
-                inventorySkew,
-                targetInventory,
-                inventoryValue
-            };
-            
-        } catch (error) {
-            this.logger.error('更新计算器状态失败', error);
-            return null;
-        }
-    }
-
     /**
      * 打印详细的计算过程
      */
@@ -562,7 +425,7 @@ class AvellanedaCalculator {
         const {
             midPrice,
             volatility,
-            tradingIntensity,
+            kappa,
             baseAmount,
             quoteAmount,
             inventoryValue,
@@ -572,19 +435,22 @@ class AvellanedaCalculator {
             optimalBid,
             optimalAsk
         } = data;
+        const pricing = data.pricing || this.pricingModel.calculate({ midPrice, volatility, kappa, inventory: inventorySkew });
         
         console.log('\n🧮 参数计算详情:');
         console.log('─'.repeat(50));
         
-        console.log(`📊 输入参数: 中间价 ${midPrice.toFixed(2)} USDT | 波动率 ${(volatility * 100).toFixed(4)}% | 交易强度 ${tradingIntensity.toFixed(6)} | 基础余额 ${baseAmount.toFixed(8)} BTC | 计价余额 ${quoteAmount.toFixed(2)} USDT`);
+        console.log(`📊 输入参数: 中间价 ${midPrice.toFixed(2)} USDT | 波动率 ${(volatility * 100).toFixed(4)}% | 强度衰减k ${kappa.toFixed(6)} | 基础余额 ${baseAmount.toFixed(8)} BTC | 计价余额 ${quoteAmount.toFixed(2)} USDT`);
         
         console.log(`💰 库存价值计算: 基础货币价值 ${inventoryValue.baseValue.toFixed(2)} USDT | 计价货币价值 ${inventoryValue.quoteValue.toFixed(2)} USDT | 总价值 ${inventoryValue.totalValue.toFixed(2)} USDT`);
         
         console.log(`🎯 库存管理: 当前库存 ${baseAmount.toFixed(8)} BTC | 目标库存 ${targetInventory.toFixed(8)} BTC | 库存偏差 ${(inventorySkew * 100).toFixed(4)}%`);
         
-        const timeComponent = (this.gamma * Math.pow(volatility, 2) * 0).toFixed(6);
-        const intensityComponent = ((2 / this.gamma) * Math.log(1 + this.gamma / tradingIntensity)).toFixed(6);
-        console.log(`📈 最优价差计算: γ=${this.gamma} | η=${this.eta} | 时间项 ${timeComponent} | 强度项 ${intensityComponent} | 最优价差 ${optimalSpread.toFixed(6)} (${(optimalSpread / midPrice * 100).toFixed(4)}%)`);
+        if (pricing.valid) {
+            console.log(`📈 最优价差计算: γ=${pricing.gamma} | η=${this.eta} | 库存项 ${pricing.inventoryTerm.toExponential(4)} | 风险项 ${pricing.riskTerm.toExponential(4)} | 流动性项 ${pricing.liquidityTerm.toExponential(4)} | 保留价 ${pricing.reservationPrice.toFixed(2)} | 最优价差 ${optimalSpread.toFixed(6)} (${(optimalSpread / midPrice * 100).toFixed(4)}%)`);
+        } else {
+            console.log(`📈 最优价差计算: ${pricing.reason} | 最优价差 ${optimalSpread.toFixed(6)} (${(optimalSpread / midPrice * 100).toFixed(4)}%)`);
+        }
         
         console.log(`💱 最优价格计算: 价差的一半 ${(optimalSpread / 2).toFixed(6)} | 最优买价 ${optimalBid.toFixed(2)} USDT | 最优卖价 ${optimalAsk.toFixed(2)} USDT | 价格差 ${(optimalAsk - optimalBid).toFixed(2)} USDT`);
         
@@ -597,13 +463,10 @@ class AvellanedaCalculator {
      */
     getState() {
         return {
-            gamma: this.gamma,
+            pricingModel: this.pricingModel.name,
+            gamma: this.pricingModel.gamma,
             eta: this.eta,
-            inventoryTargetBase: this.inventoryTargetBase,
-            reservationPrice: this.reservationPrice,
-            optimalSpread: this.optimalSpread,
-            optimalBid: this.optimalBid,
-            optimalAsk: this.optimalAsk
+            inventoryTargetMode: this.inventoryTarget.mode
         };
     }
 }
@@ -0,0 +1,201 @@
+const EPSILON = 1e-12;
+
+/**
+ * 资金分配
+ * 账户同时用于其他用途时，策略只使用分配给它的基础货币和计价货币。
+ * 分配的资金从配置的数量开始，按策略自身订单的成交记账：买入增加基础货币、减少计价货币，卖出相反，
+ * 手续费按计价货币价值从计价货币中扣除。策略挂单冻结的部分计为已用，可用余额同时不超过账户的实际可用余额。
+ * 未启用时直接使用整个账户的余额
+ */
+class CapitalAllocation {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} logger - 日志记录器（可选）
+     */
+    constructor(config, logger = null) {
+        const options = config.get('capitalAllocation') || {};
+        this.enabled = !!options.enabled;
+        this.baseBudget = options.baseAmount || 0;
+        this.quoteBudget = options.quoteAmount || 0;
+        this.baseCurrency = config.get('baseCurrency');
+        this.quoteCurrency = config.get('quoteCurrency');
+        this.logger = logger;
+
+        this.base = this.baseBudget; // 策略持有的基础货币
+        this.quote = this.quoteBudget; // 策略持有的计价货币
+        this.totalFees = 0;
+        this.fillCount = 0;
+        this.accountShortfall = false; // 账户余额是否少于分配的资金
+    }
+
+    /**
+     * 记录策略订单的成交
+     * @param {Object} fill - 持仓账本记账的成交 {side, amount, price, fee}
+     */
+    applyFill(fill) {
+        if (!this.enabled || !fill || !(fill.amount > 0)) {
+            return;
+        }
+
+        const value = fill.amount * fill.price;
+        const fee = fill.fee || 0;
+        if (fill.side === 'buy') {
+            this.base += fill.amount;
+            this.quote -= value;
+        } else {
+            this.base -= fill.amount;
+            this.quote += value;
+        }
+        this.quote -= fee;
+        if (Math.abs(this.base) < EPSILON) {
+            this.base = 0;
+        }
+        this.totalFees += fee;
+        this.fillCount++;
+
+        this.log('debug', '分配资金已按成交更新', {
+            side: fill.side,
+            amount: fill.amount,
+            price: fill.price,
+            fee,
+            base: this.base,
+            quote: this.quote
+        });
+    }
+
+    /**
+     * 获取策略可用的余额
+     * @param {Object} accountBalances - 账户余额（ccxt格式），未知时为null
+     * @param {Array} openOrders - 策略的未成交订单，剩余数量计为已用
+     * @returns {Object} 未启用时原样返回账户余额，启用时基础货币和计价货币替换为分配的资金 {free, used, total}
+     */
+    getBalances(accountBalances, openOrders = []) {
+        if (!this.enabled) {
+            return accountBalances;
+        }
+
+        let baseUsed = 0;
+        let quoteUsed = 0;
+        for (const order of openOrders) {
+            const remaining = order.remaining !== undefined && order.remaining !== null
+                ? order.remaining
+                : Math.max(0, (order.amount || 0) - (order.filled || 0));
+            if (order.side === 'sell') {
+                baseUsed += remaining;
+            } else {
+                quoteUsed += remaining * (order.price || 0);
+            }
+        }
+
+        return {
+            ...(accountBalances || {}),
+            [this.baseCurrency]: this.buildBalance(this.base, baseUsed, accountBalances, this.baseCurrency),
+            [this.quoteCurrency]: this.buildBalance(this.quote, quoteUsed, accountBalances, this.quoteCurrency)
+        };
+    }
+
+    /**
+     * 计算单个币种的分配余额，账户余额未知时只按分配的资金计算
+     */
+    buildBalance(total, used, accountBalances, currency) {
+        const accountFree = accountBalances ? accountBalances[currency]?.free || 0 : Infinity;
+        return {
+            free: Math.max(0, Math.min(total - used, accountFree)),
+            used,
+            total
+        };
+    }
+
+    /**
+     * 分配资金的当前价值（计价货币）
+     * @param {number} price - 当前价格
+     */
+    getTotalValue(price) {
+        return this.base * (price > 0 ? price : 0) + this.quote;
+    }
+
+    /**
+     * 检查账户余额是否足够覆盖分配的资金，不足时记录一次警告
+     * @param {Object} accountBalances - 账户余额
+     * @returns {boolean} 是否不足
+     */
+    checkAccountBalances(accountBalances) {
+        if (!this.enabled || !accountBalances) {
+            return false;
+        }
+
+        const accountBase = accountBalances[this.baseCurrency]?.total || 0;
+        const accountQuote = accountBalances[this.quoteCurrency]?.total || 0;
+        const shortfall = this.base > accountBase + EPSILON || this.quote > accountQuote + EPSILON;
+        if (shortfall && !this.accountShortfall) {
+            this.log('warn', '账户余额少于分配的资金，可用余额按账户实际余额限制', {
+                allocatedBase: this.base,
+                accountBase,
+                allocatedQuote: this.quote,
+                accountQuote
+            });
+        }
+        this.accountShortfall = shortfall;
+        return shortfall;
+    }
+
+    /**
+     * 导出分配资金的记账状态
+     */
+    exportState() {
+        return {
+            baseBudget: this.baseBudget,
+            quoteBudget: this.quoteBudget,
+            base: this.base,
+            quote: this.quote,
+            totalFees: this.totalFees,
+            fillCount: this.fillCount
+        };
+    }
+
+    /**
+     * 恢复分配资金的记账状态，配置的分配数量变更时按差额增减
+     */
+    restoreState(state) {
+        const baseChange = this.baseBudget - (state.baseBudget || 0);
+        const quoteChange = this.quoteBudget - (state.quoteBudget || 0);
+        this.base = (state.base || 0) + baseChange;
+        this.quote = (state.quote || 0) + quoteChange;
+        this.totalFees = state.totalFees || 0;
+        this.fillCount = state.fillCount || 0;
+
+        if (baseChange !== 0 || quoteChange !== 0) {
+            this.log('info', '分配资金数量已变更，按差额调整', { baseChange, quoteChange });
+        }
+        this.log('info', '分配资金已恢复', { base: this.base, quote: this.quote });
+    }
+
+    /**
+     * 获取资金分配状态
+     * @param {number} price - 当前价格
+     */
+    getStatus(price = 0) {
+        return {
+            enabled: this.enabled,
+            baseBudget: this.baseBudget,
+            quoteBudget: this.quoteBudget,
+            base: this.base,
+            quote: this.quote,
+            totalValue: this.getTotalValue(price),
+            totalFees: this.totalFees,
+            fillCount: this.fillCount,
+            accountShortfall: this.accountShortfall
+        };
+    }
+
+    /**
+     * 记录日志（未提供日志记录器时忽略）
+     */
+    log(level, message, data) {
+        if (this.logger) {
+            this.logger[level](message, data);
+        }
+    }
+}
+
+module.exports = CapitalAllocation;
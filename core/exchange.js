@@ -3,19 +3,38 @@ const EventEmitter = require('events');
 const Helpers = require('../utils/helpers');
 const Logger = require('../utils/logger');
 const NetworkManager = require('./network-manager');
+const MarketStream = require('./stream/market-stream');
+const { SystemClock } = require('../utils/clock');
 
 /**
  * 交易所接口管理类
  * 负责CCXT交易所连接、实时数据获取、订单管理等
  */
 class ExchangeManager extends EventEmitter {
-    constructor(config) {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} options - 可选参数
+     * @param {ExchangeManager} options.connection - 共用连接的主交易所管理器（多交易对），
+     *   共用ccxt实例即共用REST限频和WebSocket连接，连接的创建、检测和重连由主管理器负责
+     * @param {Object} options.clock - 时钟（默认使用系统时钟），轮询、超时和重连定时器都使用该时钟
+     * @param {Function} options.exchangeFactory - 创建ccxt实例的函数（可选），参数为ccxt构造参数，
+     *   用于测试时注入模拟交易所
+     * @param {NetworkManager|null} options.networkManager - 网络管理器（可选），传入null时不检测网络
+     */
+    constructor(config, options = {}) {
         super();
         this.config = config;
         this.logger = new Logger(config);
+        this.connection = options.connection || null;
+        this.clock = options.clock || new SystemClock();
+        this.exchangeFactory = options.exchangeFactory || null;
         
-        // 网络管理器
-        this.networkManager = new NetworkManager(config);
+        // 网络管理器（离线模式或共用连接时为null）
+        if (this.connection) {
+            this.networkManager = null;
+        } else {
+            this.networkManager = options.networkManager !== undefined ? options.networkManager : this.createNetworkManager(config);
+        }
         
         // 交易所实例
         this.exchange = null;
@@ -33,6 +52,7 @@ class ExchangeManager extends EventEmitter {
             orderBook: null,
             ticker: null,
             trades: [],
+            lastTrade: null,
             lastUpdate: 0
         };
         
@@ -48,13 +68,36 @@ class ExchangeManager extends EventEmitter {
         this.orderBookUpdateInterval = 1000; // 1秒
         this.tickerUpdateInterval = 2000;    // 2秒
         this.balanceUpdateInterval = 5000;   // 5秒
+        this.tradeUpdateInterval = config.get('tradeUpdateInterval') || 0; // 0为不获取公开成交
         
         // 更新定时器
         this.updateTimers = {
             orderBook: null,
             ticker: null,
-            balance: null
+            balance: null,
+            trades: null
+        };
+
+        // WebSocket行情推送，推送异常时回退到定时轮询
+        this.streamingConfig = config.get('streaming') || {};
+        this.marketStream = null;
+        this.dataMode = 'stopped'; // stream为推送，polling为轮询，stopped为未获取数据
+        this.dataModeStats = {
+            switches: 0,
+            lastSwitchTime: 0,
+            lastReason: null
         };
+
+        // 公开成交去重状态
+        this.lastTradeTimestamp = 0;
+        this.seenTradeIds = new Set();
+
+        // 账户成交（订单成交明细）：优先推送，不支持时按间隔查询增量，按成交ID去重
+        this.fillUpdateInterval = config.get('fillUpdateInterval') || 0; // 0为不查询
+        this.fillPollingTimer = null;
+        this.lastFillTimestamp = 0;
+        this.seenFillIds = new Set();
+        this.fillCount = 0;
         
         // 重连定时器
         this.reconnectTimer = null;
@@ -64,20 +107,42 @@ class ExchangeManager extends EventEmitter {
         this.setupEventListeners();
         
         // 监听网络状态变化
-        this.networkManager.on('connectionLost', () => {
-            this.handleNetworkConnectionLost();
-        });
-        
-        this.networkManager.on('connectionRestored', () => {
-            this.handleNetworkConnectionRestored();
-        });
+        if (this.networkManager) {
+            this.networkManager.on('connectionLost', () => {
+                this.handleNetworkConnectionLost();
+            });
+            
+            this.networkManager.on('connectionRestored', () => {
+                this.handleNetworkConnectionRestored();
+            });
+        }
+
+        // 共用连接时跟随主管理器的连接状态
+        if (this.connection) {
+            this.connection.on('connectionLost', () => {
+                this.handleSharedConnectionLost();
+            });
+
+            this.connection.on('connectionRestored', () => {
+                this.handleSharedConnectionRestored();
+            });
+        }
         
         this.logger.info('交易所管理器已初始化', {
             exchange: this.exchangeName,
-            symbol: config.get('symbol')
+            symbol: config.get('symbol'),
+            sharedConnection: !!this.connection
         });
     }
 
+    /**
+     * 创建网络管理器
+     * 子类可覆盖，不依赖网络的模式下返回null
+     */
+    createNetworkManager(config) {
+        return new NetworkManager(config);
+    }
+
     /**
      * 设置事件监听器
      */
@@ -134,17 +199,25 @@ class ExchangeManager extends EventEmitter {
                 exchange: this.exchangeName
             });
 
-            // 检查网络连接
-            if (!this.networkManager.isNetworkAvailable()) {
-                this.logger.warn('网络不可用，等待连接...');
-                await this.waitForNetworkConnection();
-            }
+            if (this.connection) {
+                // 共用主管理器已建立的ccxt实例
+                if (!this.connection.isConnected || !this.connection.exchange) {
+                    throw new Error('Shared exchange connection is not available');
+                }
+                this.exchange = this.connection.exchange;
+            } else {
+                // 检查网络连接
+                if (this.networkManager && !this.networkManager.isNetworkAvailable()) {
+                    this.logger.warn('网络不可用，等待连接...');
+                    await this.waitForNetworkConnection();
+                }
 
-            // 创建交易所实例
-            await this.createExchangeInstance();
-            
-            // 测试连接
-            await this.testConnection();
+                // 创建交易所实例
+                await this.createExchangeInstance();
+                
+                // 测试连接
+                await this.testConnection();
+            }
             
             // 加载市场信息
             await this.loadMarketInfo();
@@ -153,7 +226,16 @@ class ExchangeManager extends EventEmitter {
             this.startDataUpdates();
             
             this.isConnected = true;
-            this.lastConnectionTime = Date.now();
+            this.lastConnectionTime = this.clock.now();
+            
+            // 立即获取一次行情和余额，避免策略验证和重连后的首次循环等待轮询
+            await this.updateOrderBook();
+            await this.updateTicker();
+            await this.updateBalances();
+            if (!this.isConnected) {
+                // 获取失败时已标记断开并安排重连
+                return false;
+            }
             
             this.logger.info('Exchange connection initialized successfully');
             this.emit('connectionRestored');
@@ -172,7 +254,7 @@ class ExchangeManager extends EventEmitter {
      */
     async waitForNetworkConnection(timeout = 60000) {
         return new Promise((resolve, reject) => {
-            const startTime = Date.now();
+            const startTime = this.clock.now();
             
             const checkNetwork = () => {
                 if (this.networkManager.isNetworkAvailable()) {
@@ -181,12 +263,12 @@ class ExchangeManager extends EventEmitter {
                     return;
                 }
                 
-                if (Date.now() - startTime > timeout) {
+                if (this.clock.now() - startTime > timeout) {
                     reject(new Error('Network connection timeout'));
                     return;
                 }
                 
-                setTimeout(checkNetwork, 5000);
+                this.clock.setTimeout(checkNetwork, 5000);
             };
             
             checkNetwork();
@@ -200,13 +282,13 @@ class ExchangeManager extends EventEmitter {
         try {
             const exchangeConfig = this.config.get('exchange');
             
-            // 检查交易所是否支持
-            if (!ccxt[this.exchangeName]) {
+            // 检查交易所是否支持（注入的交易所工厂不检查）
+            if (!this.exchangeFactory && !ccxt[this.exchangeName]) {
                 throw new Error(`Unsupported exchange: ${this.exchangeName}`);
             }
             
             // 获取代理配置
-            const proxyConfig = this.networkManager.getProxyConfig();
+            const proxyConfig = this.networkManager ? this.networkManager.getProxyConfig() : { enabled: false };
             
             // 创建交易所实例
             const exchangeOptions = {
@@ -229,7 +311,18 @@ class ExchangeManager extends EventEmitter {
                 }
             }
             
-            this.exchange = new ccxt[this.exchangeName](exchangeOptions);
+            // 重连时关闭旧实例的WebSocket连接
+            await this.closeExchangeInstance();
+
+            if (this.exchangeFactory) {
+                this.exchange = this.exchangeFactory(exchangeOptions);
+            } else {
+                // 启用推送且ccxt.pro支持该交易所时使用ccxt.pro实例，REST接口与ccxt一致
+                const ExchangeClass = this.isStreamingEnabled() && ccxt.pro && ccxt.pro[this.exchangeName]
+                    ? ccxt.pro[this.exchangeName]
+                    : ccxt[this.exchangeName];
+                this.exchange = new ExchangeClass(exchangeOptions);
+            }
             
             // 设置请求超时
             this.exchange.timeout = 30000;
@@ -237,7 +330,8 @@ class ExchangeManager extends EventEmitter {
             this.logger.info('Exchange instance created', {
                 exchange: this.exchangeName,
                 sandbox: this.config.isSandbox(),
-                hasProxy: proxyConfig.enabled
+                hasProxy: proxyConfig.enabled,
+                streaming: MarketStream.isSupported(this.exchange)
             });
             
         } catch (error) {
@@ -268,6 +362,7 @@ class ExchangeManager extends EventEmitter {
             
         } catch (error) {
             this.logger.error('Exchange connection test failed', error);
+            this.recordApiError('testConnection', error);
             throw error;
         }
     }
@@ -290,14 +385,22 @@ class ExchangeManager extends EventEmitter {
                 quote: market.quote,
                 precision: market.precision,
                 limits: market.limits,
-                active: market.active
+                active: market.active,
+                // 市场默认的挂单/吃单费率
+                fees: {
+                    maker: market.maker || 0,
+                    taker: market.taker || 0
+                }
             };
+
+            await this.loadTradingFees(symbol);
             
             this.logger.info('Market info loaded', {
                 symbol: market.symbol,
                 base: market.base,
                 quote: market.quote,
-                active: market.active
+                active: market.active,
+                fees: this.marketInfo.fees
             });
             
         } catch (error) {
@@ -306,45 +409,206 @@ class ExchangeManager extends EventEmitter {
         }
     }
 
+    /**
+     * 获取账户实际费率（VIP等级费率），需要API密钥，失败时保留市场默认费率
+     * @param {string} symbol - 交易对
+     */
+    async loadTradingFees(symbol) {
+        if (!this.exchange.has || !this.exchange.has.fetchTradingFee || !this.exchange.apiKey) {
+            return;
+        }
+        try {
+            const fee = await this.exchange.fetchTradingFee(symbol);
+            if (fee && typeof fee.maker === 'number' && typeof fee.taker === 'number') {
+                this.marketInfo.fees = { maker: fee.maker, taker: fee.taker };
+            }
+        } catch (error) {
+            this.logger.warn('Failed to fetch account trading fees, using market defaults', { error: error.message });
+        }
+    }
+
+    /**
+     * 是否启用WebSocket推送
+     */
+    isStreamingEnabled() {
+        return this.streamingConfig.enabled !== false;
+    }
+
+    /**
+     * 关闭交易所实例的WebSocket连接
+     */
+    async closeExchangeInstance() {
+        if (!this.exchange || typeof this.exchange.close !== 'function') {
+            return;
+        }
+        try {
+            await this.exchange.close();
+        } catch (error) {
+            this.logger.warn('Failed to close exchange websocket connections', { error: error.message });
+        }
+    }
+
     /**
      * 启动数据更新
+     * 交易所支持推送时使用WebSocket推送，否则使用定时轮询
      */
     startDataUpdates() {
+        // 只获取启动之后的账户成交，重连时从上次的位置继续
+        if (!this.lastFillTimestamp) {
+            this.lastFillTimestamp = this.clock.now();
+        }
+        if (!this.startMarketStream()) {
+            this.startPolling();
+            this.dataMode = 'polling';
+        }
+        this.updateFillPolling();
+    }
+
+    /**
+     * 推送订阅的频道，子类可覆盖（如模拟盘只订阅公开行情）
+     */
+    getStreamChannels() {
+        return ['orderBook', 'ticker', 'trades', 'orders', 'myTrades', 'balance'];
+    }
+
+    /**
+     * 是否需要按账户成交汇总订单成交
+     * 实盘的订单状态和成交明细分开到达，成交事件用于及时发现（部分）成交；
+     * 本地撮合的交易所每次成交都会同步发出累计的订单更新，不需要
+     */
+    needsFillTracking() {
+        return true;
+    }
+
+    /**
+     * 启动WebSocket推送
+     * @returns {boolean} 是否已启动推送
+     */
+    startMarketStream() {
+        if (!this.isStreamingEnabled() || !MarketStream.isSupported(this.exchange)) {
+            return false;
+        }
+        if (this.marketStream) {
+            this.marketStream.stop();
+            this.marketStream.removeAllListeners();
+        }
+
+        this.marketStream = new MarketStream(this.exchange, {
+            symbol: this.config.get('symbol'),
+            channels: this.getStreamChannels(),
+            config: this.streamingConfig,
+            logger: this.logger,
+            clock: this.clock,
+            handlers: {
+                orderBook: (orderBook) => this.applyOrderBook(orderBook),
+                ticker: (ticker) => this.applyTicker(ticker),
+                trades: (trades) => this.handleTrades(trades),
+                orders: (orders) => orders.forEach(order => this.emit('orderUpdate', order)),
+                myTrades: (trades) => this.handleMyTrades(trades),
+                balance: (balances) => this.applyBalances(balances)
+            }
+        });
+        this.marketStream.on('degraded', ({ reason }) => this.switchDataMode('polling', reason));
+        this.marketStream.on('recovered', () => this.switchDataMode('stream', '推送已恢复'));
+        this.marketStream.on('channelError', ({ channel, error }) => this.recordApiError(MarketStream.CHANNEL_METHODS[channel] || channel, error));
+
+        this.marketStream.start();
+        this.dataMode = 'stream';
+        this.logger.info('Market data streaming started', { channels: this.marketStream.channels });
+        return true;
+    }
+
+    /**
+     * 切换行情获取方式
+     * 推送降级时启动轮询定时器，推送恢复后停止轮询
+     * @param {string} mode - stream或polling
+     * @param {string} reason - 切换原因
+     */
+    switchDataMode(mode, reason) {
+        if (this.dataMode === mode || this.dataMode === 'stopped') {
+            return;
+        }
+        this.dataMode = mode;
+        this.dataModeStats.switches++;
+        this.dataModeStats.lastSwitchTime = this.clock.now();
+        this.dataModeStats.lastReason = reason;
+
+        this.updateFillPolling();
+        if (mode === 'polling') {
+            this.startPolling();
+            this.logger.warn('行情推送异常，切换到REST轮询', { reason });
+            console.log(`⚠️ 行情推送异常，切换到REST轮询: ${reason}`);
+        } else {
+            this.stopPolling();
+            this.logger.info('行情推送已恢复，停止REST轮询', { reason });
+            console.log('📡 行情推送已恢复，停止REST轮询');
+        }
+        this.emit('dataModeChange', { mode, reason });
+    }
+
+    /**
+     * 启动定时轮询
+     */
+    startPolling() {
+        if (this.updateTimers.orderBook) {
+            return;
+        }
+
         // 启动订单簿更新
-        this.updateTimers.orderBook = setInterval(() => {
+        this.updateTimers.orderBook = this.clock.setInterval(() => {
             this.updateOrderBook();
         }, this.orderBookUpdateInterval);
 
         // 启动价格更新
-        this.updateTimers.ticker = setInterval(() => {
+        this.updateTimers.ticker = this.clock.setInterval(() => {
             this.updateTicker();
         }, this.tickerUpdateInterval);
 
         // 启动余额更新
-        this.updateTimers.balance = setInterval(() => {
+        this.updateTimers.balance = this.clock.setInterval(() => {
             this.updateBalances();
         }, this.balanceUpdateInterval);
 
-        this.logger.info('Data updates started');
+        // 启动公开成交更新
+        if (this.tradeUpdateInterval > 0) {
+            this.updateTimers.trades = this.clock.setInterval(() => {
+                this.updateTrades();
+            }, this.tradeUpdateInterval);
+        }
+
+        this.logger.info('Data polling started');
     }
 
     /**
      * 停止数据更新
      */
     stopDataUpdates() {
+        if (this.marketStream) {
+            this.marketStream.stop();
+        }
+        this.stopPolling();
+        this.dataMode = 'stopped';
+        this.updateFillPolling();
+        
+        this.logger.info('Data updates stopped');
+    }
+
+    /**
+     * 停止定时轮询
+     */
+    stopPolling() {
         Object.values(this.updateTimers).forEach(timer => {
             if (timer) {
-                clearInterval(timer);
+                this.clock.clearInterval(timer);
             }
         });
         
         this.updateTimers = {
             orderBook: null,
             ticker: null,
-            balance: null
+            balance: null,
+            trades: null
         };
-        
-        this.logger.info('Data updates stopped');
     }
 
     /**
@@ -360,12 +624,14 @@ class ExchangeManager extends EventEmitter {
             const symbol = this.config.get('symbol');
             
             // 添加超时保护
+            let timeoutTimer = null;
             const orderBookPromise = this.exchange.fetchOrderBook(symbol);
             const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Order book fetch timeout')), 10000);
+                timeoutTimer = this.clock.setTimeout(() => reject(new Error('Order book fetch timeout')), 10000);
             });
             
-            const orderBook = await Promise.race([orderBookPromise, timeoutPromise]);
+            const orderBook = await Promise.race([orderBookPromise, timeoutPromise])
+                .finally(() => this.clock.clearTimeout(timeoutTimer));
             
             // 验证订单簿数据
             if (!orderBook || !orderBook.bids || !orderBook.asks) {
@@ -373,32 +639,40 @@ class ExchangeManager extends EventEmitter {
                 return;
             }
 
-            this.marketData.orderBook = orderBook;
-            this.marketData.lastUpdate = Date.now();
-
-            // 计算中间价
-            const midPrice = Helpers.calculateMidPrice(
-                orderBook.bids[0][0], 
-                orderBook.asks[0][0]
-            );
-
-            const orderBookData = {
-                symbol,
-                bids: orderBook.bids,
-                asks: orderBook.asks,
-                midPrice,
-                timestamp: orderBook.timestamp,
-                datetime: orderBook.datetime
-            };
-
-            this.emit('orderBookUpdate', orderBookData);
+            this.applyOrderBook(orderBook);
             
         } catch (error) {
             this.logger.error('Failed to update order book', error);
+            this.recordApiError('fetchOrderBook', error);
             this.handleConnectionError(error);
         }
     }
 
+    /**
+     * 应用订单簿数据并发出更新事件
+     */
+    applyOrderBook(orderBook) {
+        this.marketData.orderBook = orderBook;
+        this.marketData.lastUpdate = this.clock.now();
+
+        // 计算中间价
+        const midPrice = Helpers.calculateMidPrice(
+            orderBook.bids[0][0], 
+            orderBook.asks[0][0]
+        );
+
+        const orderBookData = {
+            symbol: this.config.get('symbol'),
+            bids: orderBook.bids,
+            asks: orderBook.asks,
+            midPrice,
+            timestamp: orderBook.timestamp,
+            datetime: orderBook.datetime
+        };
+
+        this.emit('orderBookUpdate', orderBookData);
+    }
+
     /**
      * 更新价格数据
      */
@@ -417,31 +691,107 @@ class ExchangeManager extends EventEmitter {
                 return;
             }
 
-            this.marketData.ticker = ticker;
-            this.marketData.lastUpdate = Date.now();
-
-            const tickerData = {
-                symbol,
-                last: ticker.last,
-                bid: ticker.bid,
-                ask: ticker.ask,
-                high: ticker.high,
-                low: ticker.low,
-                volume: ticker.baseVolume,
-                change: ticker.change,
-                percentage: ticker.percentage,
-                timestamp: ticker.timestamp,
-                datetime: ticker.datetime
-            };
-
-            this.emit('tickerUpdate', tickerData);
+            this.applyTicker(ticker);
             
         } catch (error) {
             this.logger.error('Failed to update ticker', error);
+            this.recordApiError('fetchTicker', error);
             this.handleConnectionError(error);
         }
     }
 
+    /**
+     * 应用价格数据并发出更新事件
+     */
+    applyTicker(ticker) {
+        this.marketData.ticker = ticker;
+        this.marketData.lastUpdate = this.clock.now();
+
+        const tickerData = {
+            symbol: this.config.get('symbol'),
+            last: ticker.last,
+            bid: ticker.bid,
+            ask: ticker.ask,
+            high: ticker.high,
+            low: ticker.low,
+            volume: ticker.baseVolume,
+            change: ticker.change,
+            percentage: ticker.percentage,
+            timestamp: ticker.timestamp,
+            datetime: ticker.datetime
+        };
+
+        this.emit('tickerUpdate', tickerData);
+    }
+
+    /**
+     * 是否需要获取公开成交
+     * 只有在有订阅者（如数据录制）时才请求，避免多余的API调用
+     */
+    needsTradeUpdates() {
+        return this.listenerCount('tradeUpdate') > 0;
+    }
+
+    /**
+     * 更新公开成交，跳过已处理的成交
+     */
+    async updateTrades() {
+        try {
+            if (!this.isConnected || !this.exchange || !this.needsTradeUpdates()) {
+                return;
+            }
+
+            const symbol = this.config.get('symbol');
+            const trades = await this.exchange.fetchTrades(symbol, this.lastTradeTimestamp || undefined);
+            this.handleTrades(trades);
+
+        } catch (error) {
+            // 公开成交不影响策略运行，获取失败不触发重连
+            this.logger.warn('获取公开成交失败', {
+                errorMessage: error.message
+            });
+            this.recordApiError('fetchTrades', error);
+        }
+    }
+
+    /**
+     * 处理一批公开成交（轮询或推送），跳过已处理的成交
+     */
+    handleTrades(trades) {
+        if (!this.needsTradeUpdates()) {
+            return;
+        }
+        for (const trade of trades || []) {
+            if (trade.timestamp < this.lastTradeTimestamp || this.seenTradeIds.has(trade.id)) {
+                continue;
+            }
+            if (trade.timestamp > this.lastTradeTimestamp) {
+                this.lastTradeTimestamp = trade.timestamp;
+                this.seenTradeIds.clear();
+            }
+            this.seenTradeIds.add(trade.id);
+            this.applyTrade(trade);
+        }
+    }
+
+    /**
+     * 应用公开成交数据并发出更新事件
+     */
+    applyTrade(trade) {
+        this.marketData.lastTrade = {
+            id: trade.id,
+            price: trade.price,
+            amount: trade.amount,
+            side: trade.side,
+            timestamp: trade.timestamp
+        };
+
+        this.emit('tradeUpdate', {
+            symbol: this.config.get('symbol'),
+            ...this.marketData.lastTrade
+        });
+    }
+
     /**
      * 更新账户余额
      */
@@ -452,42 +802,145 @@ class ExchangeManager extends EventEmitter {
             }
 
             const balances = await this.exchange.fetchBalance();
-            
-            // 获取基础货币和计价货币余额
-            const baseCurrency = this.config.get('baseCurrency');
-            const quoteCurrency = this.config.get('quoteCurrency');
-            
-            const baseBalance = balances[baseCurrency] || { free: 0, used: 0, total: 0 };
-            const quoteBalance = balances[quoteCurrency] || { free: 0, used: 0, total: 0 };
-
-            this.accountData.balances = {
-                [baseCurrency]: baseBalance,
-                [quoteCurrency]: quoteBalance
-            };
-            this.accountData.lastUpdate = Date.now();
-
-            const balanceData = {
-                base: {
-                    free: baseBalance.free,
-                    used: baseBalance.used,
-                    total: baseBalance.total
-                },
-                quote: {
-                    free: quoteBalance.free,
-                    used: quoteBalance.used,
-                    total: quoteBalance.total
-                },
-                timestamp: Date.now()
-            };
-
-            this.emit('balanceUpdate', balanceData);
+            this.applyBalances(balances);
             
         } catch (error) {
             this.logger.error('Failed to update balances', error);
+            this.recordApiError('fetchBalance', error);
             this.handleConnectionError(error);
         }
     }
 
+    /**
+     * 应用账户余额（轮询或推送）并发出更新事件
+     */
+    applyBalances(balances) {
+        // 获取基础货币和计价货币余额
+        const baseCurrency = this.config.get('baseCurrency');
+        const quoteCurrency = this.config.get('quoteCurrency');
+        
+        const baseBalance = balances[baseCurrency] || { free: 0, used: 0, total: 0 };
+        const quoteBalance = balances[quoteCurrency] || { free: 0, used: 0, total: 0 };
+
+        this.accountData.balances = {
+            [baseCurrency]: baseBalance,
+            [quoteCurrency]: quoteBalance
+        };
+        this.accountData.lastUpdate = this.clock.now();
+
+        const balanceData = {
+            base: {
+                free: baseBalance.free,
+                used: baseBalance.used,
+                total: baseBalance.total
+            },
+            quote: {
+                free: quoteBalance.free,
+                used: quoteBalance.used,
+                total: quoteBalance.total
+            },
+            timestamp: this.clock.now()
+        };
+
+        this.emit('balanceUpdate', balanceData);
+    }
+
+    /**
+     * 根据行情获取方式启动或停止账户成交查询
+     * 推送订阅了账户成交时不查询，推送降级或交易所不支持账户成交推送时按间隔查询
+     */
+    updateFillPolling() {
+        const streamed = this.dataMode === 'stream' && this.marketStream.channels.includes('myTrades');
+        const shouldPoll = this.dataMode !== 'stopped' && !streamed && this.fillUpdateInterval > 0 &&
+            !!(this.exchange && this.exchange.has && this.exchange.has.fetchMyTrades);
+
+        if (shouldPoll && !this.fillPollingTimer) {
+            this.fillPollingTimer = this.clock.setInterval(() => {
+                this.updateMyTrades();
+            }, this.fillUpdateInterval);
+            this.logger.info('Account trade polling started', { interval: this.fillUpdateInterval });
+        } else if (!shouldPoll && this.fillPollingTimer) {
+            this.clock.clearInterval(this.fillPollingTimer);
+            this.fillPollingTimer = null;
+            this.logger.info('Account trade polling stopped');
+        }
+    }
+
+    /**
+     * 当前账户成交的获取方式：stream为推送，polling为查询，null为未获取
+     */
+    getFillSource() {
+        if (this.fillPollingTimer) {
+            return 'polling';
+        }
+        const streamed = this.dataMode === 'stream' && this.marketStream && this.marketStream.channels.includes('myTrades');
+        return streamed ? 'stream' : null;
+    }
+
+    /**
+     * 查询上次位置之后的账户成交
+     */
+    async updateMyTrades() {
+        try {
+            if (!this.isConnected || !this.exchange) {
+                return;
+            }
+            const symbol = this.config.get('symbol');
+            const trades = await this.exchange.fetchMyTrades(symbol, this.lastFillTimestamp || undefined);
+            this.handleMyTrades(trades);
+        } catch (error) {
+            // 订单状态监控仍会发现成交，查询失败不触发重连
+            this.logger.warn('获取账户成交失败', {
+                errorMessage: error.message
+            });
+            this.recordApiError('fetchMyTrades', error);
+        }
+    }
+
+    /**
+     * 处理一批账户成交（查询或推送），按成交ID去重后发出标准化的成交事件
+     */
+    handleMyTrades(trades) {
+        const symbol = this.config.get('symbol');
+        for (const trade of trades || []) {
+            if (!trade || !trade.id || this.seenFillIds.has(trade.id) || (trade.symbol && trade.symbol !== symbol)) {
+                continue;
+            }
+            this.seenFillIds.add(trade.id);
+            // 查询按时间增量进行，只需保留最近的成交ID
+            if (this.seenFillIds.size > 1000) {
+                this.seenFillIds.delete(this.seenFillIds.values().next().value);
+            }
+            if (trade.timestamp > this.lastFillTimestamp) {
+                this.lastFillTimestamp = trade.timestamp;
+            }
+            this.fillCount++;
+            this.emit('fill', this.normalizeFill(trade));
+        }
+    }
+
+    /**
+     * 将ccxt账户成交转换为与本地撮合引擎一致的成交格式
+     */
+    normalizeFill(trade) {
+        const fees = trade.fees && trade.fees.length > 0 ? trade.fees : (trade.fee ? [trade.fee] : []);
+        return {
+            id: String(trade.id),
+            order: trade.order,
+            clientOrderId: trade.clientOrderId || (trade.info && trade.info.clientOid),
+            timestamp: trade.timestamp,
+            datetime: trade.datetime,
+            symbol: trade.symbol || this.config.get('symbol'),
+            side: trade.side,
+            price: trade.price,
+            amount: trade.amount,
+            cost: typeof trade.cost === 'number' ? trade.cost : trade.price * trade.amount,
+            takerOrMaker: trade.takerOrMaker,
+            fee: fees[0],
+            fees
+        };
+    }
+
     /**
      * 获取当前订单簿
      */
@@ -502,6 +955,20 @@ class ExchangeManager extends EventEmitter {
         return this.marketData.ticker;
     }
 
+    /**
+     * 获取当前市场价格
+     * 优先使用订单簿中间价，订单簿不可用时使用最新成交价
+     */
+    getMarketPrice() {
+        const orderBook = this.marketData.orderBook;
+        if (orderBook && orderBook.bids && orderBook.bids.length > 0 && orderBook.asks && orderBook.asks.length > 0) {
+            return Helpers.calculateMidPrice(orderBook.bids[0][0], orderBook.asks[0][0]);
+        }
+
+        const ticker = this.marketData.ticker;
+        return ticker && ticker.last ? ticker.last : 0;
+    }
+
     /**
      * 获取当前余额
      */
@@ -516,6 +983,28 @@ class ExchangeManager extends EventEmitter {
         return this.marketInfo;
     }
 
+    /**
+     * 记录交易所API错误，按操作和错误类型（ccxt错误类名）发出apiError事件供监控统计
+     * @param {string} operation - API操作名
+     * @param {Error} error - 错误
+     */
+    recordApiError(operation, error) {
+        this.emit('apiError', {
+            operation,
+            type: (error && error.constructor && error.constructor.name) || 'Error',
+            message: error && error.message
+        });
+    }
+
+    /**
+     * 发出API调用耗时事件
+     * @param {string} operation - API操作名（createOrder、cancelOrder）
+     * @param {number} startTime - 调用开始时间（毫秒）
+     */
+    recordApiLatency(operation, startTime) {
+        this.emit('apiLatency', { operation, duration: Date.now() - startTime });
+    }
+
     /**
      * 创建订单
      */
@@ -537,6 +1026,7 @@ class ExchangeManager extends EventEmitter {
                 clientOrderId: params.clientOrderId || Helpers.generateUniqueId()
             };
 
+            const startTime = Date.now();
             let order;
             if (type === 'limit') {
                 order = await this.exchange.createLimitOrder(
@@ -547,6 +1037,7 @@ class ExchangeManager extends EventEmitter {
                     symbol, side, formattedAmount, orderParams
                 );
             }
+            this.recordApiLatency('createOrder', startTime);
 
             this.logger.info('Order created', {
                 id: order.id,
@@ -581,6 +1072,7 @@ class ExchangeManager extends EventEmitter {
                 errorMessage: error.message,
                 stack: error.stack
             });
+            this.recordApiError('createOrder', error);
             throw error;
         }
     }
@@ -595,7 +1087,9 @@ class ExchangeManager extends EventEmitter {
             }
 
             const orderSymbol = symbol || this.config.get('symbol');
+            const startTime = Date.now();
             const order = await this.exchange.cancelOrder(orderId, orderSymbol);
+            this.recordApiLatency('cancelOrder', startTime);
 
             this.logger.info('Order cancelled', {
                 id: order.id,
@@ -612,6 +1106,7 @@ class ExchangeManager extends EventEmitter {
                 symbol,
                 error: error.message
             });
+            this.recordApiError('cancelOrder', error);
             throw error;
         }
     }
@@ -636,6 +1131,7 @@ class ExchangeManager extends EventEmitter {
                 symbol,
                 error: error.message
             });
+            this.recordApiError('fetchOrder', error);
             throw error;
         }
     }
@@ -674,6 +1170,7 @@ class ExchangeManager extends EventEmitter {
                 symbol,
                 error: error.message
             });
+            this.recordApiError('fetchOrderByClientId', error);
             throw error;
         }
     }
@@ -693,7 +1190,7 @@ class ExchangeManager extends EventEmitter {
             }
             
             // 检查网络连接状态
-            if (!this.networkManager.isNetworkAvailable()) {
+            if (this.networkManager && !this.networkManager.isNetworkAvailable()) {
                 this.logger.warn('网络不可用，跳过订单状态获取', {
                     networkStatus: this.networkManager.getNetworkStatus()
                 });
@@ -717,6 +1214,7 @@ class ExchangeManager extends EventEmitter {
                 isConnected: this.isConnected,
                 networkAvailable: this.networkManager ? this.networkManager.isNetworkAvailable() : 'unknown'
             });
+            this.recordApiError('fetchOpenOrders', error);
             return null; // 返回null而不是抛出异常，避免程序崩溃
         }
     }
@@ -725,7 +1223,8 @@ class ExchangeManager extends EventEmitter {
      * 格式化价格
      */
     formatPrice(price) {
-        if (!this.marketInfo || !this.marketInfo.precision) {
+        // 市价单没有价格
+        if (price === undefined || price === null || !this.marketInfo || !this.marketInfo.precision) {
             return price;
         }
 
@@ -782,7 +1281,7 @@ class ExchangeManager extends EventEmitter {
         this.connectionRetryCount = 0;
         
         // 等待网络稳定
-        setTimeout(async () => {
+        this.clock.setTimeout(async () => {
             try {
                 await this.reconnect();
             } catch (error) {
@@ -791,15 +1290,49 @@ class ExchangeManager extends EventEmitter {
         }, 2000);
     }
 
+    /**
+     * 处理共用连接丢失：停止本交易对的数据更新，等待主管理器重连
+     */
+    handleSharedConnectionLost() {
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.emit('connectionLost');
+        }
+        this.stopDataUpdates();
+    }
+
+    /**
+     * 处理共用连接恢复：使用主管理器的新实例重新加载市场信息并启动数据更新
+     * 首次连接由策略初始化，这里只处理重连
+     */
+    async handleSharedConnectionRestored() {
+        if (!this.lastConnectionTime || (this.isConnected && this.exchange === this.connection.exchange)) {
+            return;
+        }
+        this.logger.info('Shared exchange connection restored, reinitializing symbol data');
+        await this.initialize();
+    }
+
     /**
      * 处理连接错误
      */
     handleConnectionError(error) {
+        // 共用连接的错误交给主管理器统一重连（主管理器已断开时正在重连）
+        if (this.connection) {
+            this.logger.error('Shared connection error occurred', error);
+            if (this.connection.isConnected) {
+                this.connection.handleConnectionError(error);
+            }
+            return;
+        }
+
         this.logger.error('Connection error occurred', error);
         
         if (this.isConnected) {
+            // connectionLost的处理中会停止数据更新并安排重连
             this.isConnected = false;
             this.emit('connectionLost');
+            return;
         }
 
         // 尝试重连
@@ -815,8 +1348,10 @@ class ExchangeManager extends EventEmitter {
         // 停止数据更新
         this.stopDataUpdates();
         
-        // 尝试重连
-        this.scheduleReconnect();
+        // 尝试重连（共用连接时由主管理器重连）
+        if (!this.connection) {
+            this.scheduleReconnect();
+        }
     }
 
     /**
@@ -824,7 +1359,7 @@ class ExchangeManager extends EventEmitter {
      */
     scheduleReconnect() {
         if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
+            this.clock.clearTimeout(this.reconnectTimer);
         }
 
         if (this.connectionRetryCount >= this.maxRetryCount) {
@@ -837,7 +1372,8 @@ class ExchangeManager extends EventEmitter {
 
         this.logger.info(`Scheduling reconnection attempt ${this.connectionRetryCount}/${this.maxRetryCount} in ${delay}ms`);
 
-        this.reconnectTimer = setTimeout(async () => {
+        this.reconnectTimer = this.clock.setTimeout(async () => {
+            this.reconnectTimer = null;
             await this.reconnect();
         }, delay);
     }
@@ -849,15 +1385,13 @@ class ExchangeManager extends EventEmitter {
         try {
             this.logger.info('Attempting to reconnect');
             
-            // 重新初始化连接
+            // 重新初始化连接（成功时由initialize发出connectionRestored，失败时已安排下一次重连）
             const success = await this.initialize();
             
             if (success) {
                 this.logger.info('Reconnection successful');
-                this.emit('connectionRestored');
             } else {
                 this.logger.error('Reconnection failed');
-                this.scheduleReconnect();
             }
             
         } catch (error) {
@@ -873,17 +1407,22 @@ class ExchangeManager extends EventEmitter {
         try {
             this.logger.info('Closing exchange connection');
             
-            // 停止数据更新
+            // 停止数据更新（共用的ccxt实例由主管理器关闭）
             this.stopDataUpdates();
+            if (!this.connection) {
+                await this.closeExchangeInstance();
+            }
             
             // 清除重连定时器
             if (this.reconnectTimer) {
-                clearTimeout(this.reconnectTimer);
+                this.clock.clearTimeout(this.reconnectTimer);
                 this.reconnectTimer = null;
             }
             
             // 关闭网络管理器
-            this.networkManager.close();
+            if (this.networkManager) {
+                this.networkManager.close();
+            }
             
             // 重置状态
             this.isConnected = false;
@@ -905,11 +1444,17 @@ class ExchangeManager extends EventEmitter {
             isConnecting: this.isConnecting,
             exchange: this.exchangeName,
             symbol: this.config.get('symbol'),
+            sharedConnection: !!this.connection,
             lastConnectionTime: this.lastConnectionTime,
             connectionRetryCount: this.connectionRetryCount,
             lastUpdate: this.marketData.lastUpdate,
-            networkStatus: this.networkManager.getNetworkStatus(),
-            networkStats: this.networkManager.getConnectionStats()
+            dataMode: this.dataMode,
+            dataModeStats: this.dataModeStats,
+            fillSource: this.getFillSource(),
+            fillCount: this.fillCount,
+            stream: this.marketStream ? this.marketStream.getStatus() : null,
+            networkStatus: this.networkManager ? this.networkManager.getNetworkStatus() : null,
+            networkStats: this.networkManager ? this.networkManager.getConnectionStats() : null
         };
     }
 }
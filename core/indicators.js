@@ -1,6 +1,8 @@
 const Helpers = require('../utils/helpers');
 const Logger = require('../utils/logger');
 
+const REFERENCE_PRICE_SOURCES = ['mid', 'last', 'microprice', 'depth', 'vwap'];
+
 /**
  * 瞬时波动率指标计算器
  */
@@ -149,13 +151,19 @@ class InstantVolatilityIndicator {
 
 /**
  * 交易强度指标计算器
+ * 参照Hummingbot的TradingIntensityIndicator，用公开成交估计订单到达强度 λ(δ) = α·e^(−κδ)：
+ * 每个采样周期把期间的成交按与上一周期中间价的距离δ归档，统计挂在距离δ处的订单每秒可被成交的数量，
+ * 再对 ln λ 与 δ 做线性回归得到 α 和 κ。δ为价格绝对距离，κ的单位为 1/价格
  */
 class TradingIntensityIndicator {
-    constructor(bufferSize = 100, depth = 10, config = null) {
+    constructor(bufferSize = 100, bucketCount = 20, config = null) {
         this.bufferSize = bufferSize;
-        this.depth = depth;
-        this.intensityBuffer = [];
-        this.currentValue = 0;
+        this.bucketCount = bucketCount;
+        this.pendingTrades = [];
+        this.sampleBuffer = [];
+        this.lastMidPrice = 0;
+        this.alpha = 0;
+        this.kappa = 0;
         this.isSamplingBufferFull = false;
         this.isSamplingBufferChanged = false;
         
@@ -163,133 +171,163 @@ class TradingIntensityIndicator {
         if (this.logger.info) {
             this.logger.info('交易强度指标已初始化', {
                 bufferSize,
-                depth
+                bucketCount
             });
         }
     }
 
     /**
-     * 添加订单簿数据
-     * @param {Array} bids - 买单数组 [{price, amount}, ...]
-     * @param {Array} asks - 卖单数组 [{price, amount}, ...]
+     * 添加公开成交，在下一次采样时归档
+     * @param {Object} trade - 成交 {price, amount, timestamp}
+     */
+    addTrade(trade) {
+        if (!trade || !(trade.price > 0) || !(trade.amount > 0)) {
+            return;
+        }
+        this.pendingTrades.push({
+            price: trade.price,
+            amount: trade.amount,
+            timestamp: trade.timestamp
+        });
+    }
+
+    /**
+     * 采样一个周期并重新估计参数
+     * @param {number} midPrice - 当前中间价
      * @param {number} timestamp - 时间戳
      */
-    addOrderBook(bids, asks, timestamp) {
+    calculate(midPrice, timestamp) {
         try {
-            if (!bids || !asks || bids.length === 0 || asks.length === 0) {
+            if (!midPrice || midPrice <= 0) {
                 return;
             }
 
-            const intensity = this.calculateTradingIntensity(bids, asks);
-            const intensityData = { intensity, timestamp };
-            
-            this.intensityBuffer.push(intensityData);
-            
-            // 保持缓冲区大小
-            if (this.intensityBuffer.length > this.bufferSize) {
-                this.intensityBuffer.shift();
-            }
-            
-            // 检查缓冲区是否已满
-            this.isSamplingBufferFull = this.intensityBuffer.length >= this.bufferSize;
-            
-            // 更新当前值
-            if (this.intensityBuffer.length > 0) {
-                this.currentValue = this.intensityBuffer[this.intensityBuffer.length - 1].intensity;
-            }
-            
-            this.isSamplingBufferChanged = true;
-            
-            if (this.logger.debug) {
-                this.logger.debug('Order book added to trading intensity indicator', {
-                    bidsCount: bids.length,
-                    asksCount: asks.length,
-                    intensity,
-                    bufferSize: this.intensityBuffer.length,
-                    isFull: this.isSamplingBufferFull
-                });
+            // 第一个周期没有参考中间价，期间的成交无法归档
+            if (this.lastMidPrice > 0) {
+                const trades = this.pendingTrades.map(trade => ({
+                    distance: Math.abs(trade.price - this.lastMidPrice),
+                    amount: trade.amount
+                }));
+                this.sampleBuffer.push({ timestamp, trades });
+
+                // 保持缓冲区大小
+                if (this.sampleBuffer.length > this.bufferSize) {
+                    this.sampleBuffer.shift();
+                }
+
+                this.isSamplingBufferFull = this.sampleBuffer.length >= this.bufferSize;
+                this.estimateIntensity();
+                this.isSamplingBufferChanged = true;
             }
+
+            this.pendingTrades = [];
+            this.lastMidPrice = midPrice;
         } catch (error) {
             if (this.logger.error) {
-                this.logger.error('向交易强度指标添加订单簿数据时出错', error);
+                this.logger.error('计算交易强度时出错', error);
             }
         }
     }
 
     /**
-     * 计算交易强度
-     * @param {Array} bids - 买单数组
-     * @param {Array} asks - 卖单数组
-     * @returns {number} 交易强度值
+     * 按距离分档拟合 λ(δ) = α·e^(−κδ)
+     * 拟合无效时保留上一次的估计值
      */
-    calculateTradingIntensity(bids, asks) {
-        try {
-            if (!bids || !asks || bids.length === 0 || asks.length === 0) {
-                return 0;
-            }
+    estimateIntensity() {
+        if (this.sampleBuffer.length < 2) {
+            return;
+        }
 
-            // 计算中间价
-            const bestBid = bids[0].price;
-            const bestAsk = asks[0].price;
-            const midPrice = (bestBid + bestAsk) / 2;
-            
-            // 计算指定深度的流动性
-            let bidLiquidity = 0;
-            let askLiquidity = 0;
-            
-            // 买单流动性 (价格从高到低)
-            for (let i = 0; i < Math.min(this.depth, bids.length); i++) {
-                const bid = bids[i];
-                const priceDistance = (midPrice - bid.price) / midPrice;
-                bidLiquidity += bid.amount / (1 + priceDistance);
-            }
-            
-            // 卖单流动性 (价格从低到高)
-            for (let i = 0; i < Math.min(this.depth, asks.length); i++) {
-                const ask = asks[i];
-                const priceDistance = (ask.price - midPrice) / midPrice;
-                askLiquidity += ask.amount / (1 + priceDistance);
+        // 第一个周期的成交发生在缓冲区起点之前，只统计之后的周期
+        const counted = this.sampleBuffer.slice(1).flatMap(sample => sample.trades);
+        const duration = (this.sampleBuffer[this.sampleBuffer.length - 1].timestamp - this.sampleBuffer[0].timestamp) / 1000;
+        const maxDistance = counted.reduce((max, sample) => Math.max(max, sample.distance), 0);
+        if (counted.length === 0 || duration <= 0 || maxDistance <= 0) {
+            return;
+        }
+
+        // 挂在距离δ处的订单会被所有距离不小于δ的成交触及
+        const bucketWidth = maxDistance / this.bucketCount;
+        const points = [];
+        for (let i = 0; i < this.bucketCount; i++) {
+            const distance = i * bucketWidth;
+            const volume = counted.reduce((sum, sample) => sample.distance >= distance ? sum + sample.amount : sum, 0);
+            // 无成交的档位无法取对数，跳过
+            if (volume > 0) {
+                points.push({ distance, volume, logLambda: Math.log(volume / duration) });
             }
-            
-            // 计算交易强度 (流动性加权平均)
-            const totalLiquidity = bidLiquidity + askLiquidity;
-            const tradingIntensity = totalLiquidity > 0 ? totalLiquidity / (2 * this.depth) : 0;
-            
+        }
+
+        if (points.length < 2) {
+            return;
+        }
+
+        // 加权最小二乘：ln λ = ln α − κδ，以成交量为权重，避免远端少量成交的档位主导拟合
+        const totalWeight = points.reduce((sum, point) => sum + point.volume, 0);
+        const meanX = points.reduce((sum, point) => sum + point.volume * point.distance, 0) / totalWeight;
+        const meanY = points.reduce((sum, point) => sum + point.volume * point.logLambda, 0) / totalWeight;
+        let covariance = 0;
+        let variance = 0;
+        for (const point of points) {
+            covariance += point.volume * (point.distance - meanX) * (point.logLambda - meanY);
+            variance += point.volume * Math.pow(point.distance - meanX, 2);
+        }
+        if (variance <= 0) {
+            return;
+        }
+
+        const kappa = -covariance / variance;
+        const alpha = Math.exp(meanY + kappa * meanX);
+        if (!Number.isFinite(kappa) || !Number.isFinite(alpha) || kappa <= 0) {
             if (this.logger.debug) {
-                this.logger.debug('Trading intensity calculated', {
-                    bestBid,
-                    bestAsk,
-                    midPrice,
-                    bidLiquidity,
-                    askLiquidity,
-                    totalLiquidity,
-                    tradingIntensity
-                });
-            }
-            
-            return tradingIntensity;
-        } catch (error) {
-            if (this.logger.error) {
-                this.logger.error('计算交易强度时出错', error);
+                this.logger.debug('交易强度拟合结果无效，保留上次估计', { kappa, alpha });
             }
-            return 0;
+            return;
+        }
+
+        this.alpha = alpha;
+        this.kappa = kappa;
+
+        if (this.logger.debug) {
+            this.logger.debug('Trading intensity estimated', {
+                trades: counted.length,
+                duration,
+                maxDistance,
+                points: points.length,
+                alpha,
+                kappa
+            });
         }
     }
 
     /**
-     * 获取当前交易强度值
-     * @returns {number} 当前交易强度
+     * 获取当前估计值
+     * @returns {Object} {alpha, kappa}
      */
     getValue() {
-        return this.currentValue;
+        return {
+            alpha: this.alpha,
+            kappa: this.kappa
+        };
+    }
+
+    /**
+     * 获取已采样的成交数量
+     * @returns {number} 成交数量
+     */
+    getSampleCount() {
+        return this.sampleBuffer.reduce((sum, sample) => sum + sample.trades.length, 0);
     }
 
     /**
      * 重置指标
      */
     reset() {
-        this.intensityBuffer = [];
-        this.currentValue = 0;
+        this.pendingTrades = [];
+        this.sampleBuffer = [];
+        this.lastMidPrice = 0;
+        this.alpha = 0;
+        this.kappa = 0;
         this.isSamplingBufferFull = false;
         this.isSamplingBufferChanged = false;
         
@@ -299,6 +337,254 @@ class TradingIntensityIndicator {
     }
 }
 
+/**
+ * 参考价格指标
+ * 根据订单簿、最新成交价和公开成交计算定价使用的参考价格：
+ * - mid：买一卖一的中间价
+ * - last：最新成交价
+ * - microprice：按买一卖一数量加权的微价格 (bid·askSize + ask·bidSize) / (bidSize + askSize)，偏向挂单量较少的一侧
+ * - depth：前depthLevels档买盘和卖盘各自按数量加权均价的中间价
+ * - vwap：最近vwapWindow毫秒内公开成交的成交量加权均价
+ * 所选价格不可用时（如窗口内没有成交）回退到中间价
+ */
+class ReferencePriceIndicator {
+    constructor(options = {}, config = null) {
+        this.source = options.source || 'mid';
+        this.depthLevels = options.depthLevels || 5;
+        this.vwapWindow = options.vwapWindow || 60000;
+        this.orderBook = null;
+        this.lastPrice = 0;
+        this.trades = [];
+        this.timestamp = 0;
+
+        this.logger = config ? new Logger(config) : console;
+        if (this.logger.info) {
+            this.logger.info('参考价格指标已初始化', {
+                source: this.source,
+                depthLevels: this.depthLevels,
+                vwapWindow: this.vwapWindow
+            });
+        }
+    }
+
+    /**
+     * 更新订单簿和最新成交价
+     * @param {Object} orderBook - 订单簿 {bids, asks}
+     * @param {number} lastPrice - 最新成交价
+     * @param {number} timestamp - 时间戳
+     */
+    updateOrderBook(orderBook, lastPrice, timestamp) {
+        if (orderBook && orderBook.bids && orderBook.asks && orderBook.bids.length > 0 && orderBook.asks.length > 0) {
+            this.orderBook = orderBook;
+        }
+        if (lastPrice > 0) {
+            this.lastPrice = lastPrice;
+        }
+        this.timestamp = timestamp;
+        this.pruneTrades(timestamp);
+    }
+
+    /**
+     * 添加公开成交
+     * @param {Object} trade - 成交 {price, amount, timestamp}
+     */
+    addTrade(trade) {
+        if (!trade || !(trade.price > 0) || !(trade.amount > 0)) {
+            return;
+        }
+        this.trades.push({ price: trade.price, amount: trade.amount, timestamp: trade.timestamp });
+        this.lastPrice = trade.price;
+        this.pruneTrades(trade.timestamp);
+    }
+
+    /**
+     * 移除VWAP窗口之外的成交
+     */
+    pruneTrades(timestamp) {
+        const cutoff = timestamp - this.vwapWindow;
+        while (this.trades.length > 0 && this.trades[0].timestamp < cutoff) {
+            this.trades.shift();
+        }
+    }
+
+    /**
+     * 买一卖一的中间价
+     */
+    getMidPrice() {
+        if (!this.orderBook) {
+            return 0;
+        }
+        return (this.orderBook.bids[0][0] + this.orderBook.asks[0][0]) / 2;
+    }
+
+    /**
+     * 按买一卖一数量加权的微价格
+     */
+    getMicroprice() {
+        if (!this.orderBook) {
+            return 0;
+        }
+        const [bid, bidSize] = this.orderBook.bids[0];
+        const [ask, askSize] = this.orderBook.asks[0];
+        if (!(bidSize + askSize > 0)) {
+            return 0;
+        }
+        return (bid * askSize + ask * bidSize) / (bidSize + askSize);
+    }
+
+    /**
+     * 前depthLevels档买卖盘各自按数量加权均价的中间价
+     */
+    getDepthWeightedMid() {
+        if (!this.orderBook) {
+            return 0;
+        }
+        const weightedPrice = (levels) => {
+            let volume = 0;
+            let value = 0;
+            for (const [price, amount] of levels.slice(0, this.depthLevels)) {
+                volume += amount;
+                value += price * amount;
+            }
+            return volume > 0 ? value / volume : 0;
+        };
+        const bid = weightedPrice(this.orderBook.bids);
+        const ask = weightedPrice(this.orderBook.asks);
+        return bid > 0 && ask > 0 ? (bid + ask) / 2 : 0;
+    }
+
+    /**
+     * 最近vwapWindow内公开成交的成交量加权均价
+     */
+    getVwap() {
+        const cutoff = this.timestamp - this.vwapWindow;
+        let volume = 0;
+        let value = 0;
+        for (const trade of this.trades) {
+            if (trade.timestamp >= cutoff) {
+                volume += trade.amount;
+                value += trade.price * trade.amount;
+            }
+        }
+        return volume > 0 ? value / volume : 0;
+    }
+
+    /**
+     * 计算所有来源的参考价格，不可用的为0
+     */
+    getValues() {
+        return {
+            mid: this.getMidPrice(),
+            last: this.lastPrice,
+            microprice: this.getMicroprice(),
+            depth: this.getDepthWeightedMid(),
+            vwap: this.getVwap()
+        };
+    }
+
+    /**
+     * 获取所选来源的参考价格
+     * @param {number} midPrice - 当前中间价，mid来源和回退时使用
+     * @returns {Object} {source, price, fallback}
+     */
+    getValue(midPrice) {
+        if (this.source === 'mid') {
+            return { source: 'mid', price: midPrice, fallback: false };
+        }
+        const price = this.getValues()[this.source];
+        if (price > 0) {
+            return { source: this.source, price, fallback: false };
+        }
+        return { source: this.source, price: midPrice, fallback: true };
+    }
+
+    /**
+     * 重置指标
+     */
+    reset() {
+        this.orderBook = null;
+        this.lastPrice = 0;
+        this.trades = [];
+        this.timestamp = 0;
+    }
+}
+
+/**
+ * 订单流不平衡（OFI）指标
+ * 参照Cont、Kukanov和Stoikov的定义，比较相邻两次订单簿的买一卖一：
+ * e = 1{Pb≥Pb'}·qb − 1{Pb≤Pb'}·qb' − 1{Pa≤Pa'}·qa + 1{Pa≥Pa'}·qa'（带'的为上一次订单簿）。
+ * 最近window次变化的e之和除以同期买一卖一平均数量之和，限制在[-1, 1]，正值表示买方压力
+ */
+class OrderFlowImbalanceIndicator {
+    constructor(window = 20, config = null) {
+        this.window = window;
+        this.previous = null;
+        this.events = [];
+        this.currentValue = 0;
+
+        this.logger = config ? new Logger(config) : console;
+        if (this.logger.info) {
+            this.logger.info('订单流不平衡指标已初始化', { window });
+        }
+    }
+
+    /**
+     * 添加订单簿
+     * @param {Object} orderBook - 订单簿 {bids, asks}
+     */
+    addOrderBook(orderBook) {
+        if (!orderBook || !orderBook.bids || !orderBook.asks || orderBook.bids.length === 0 || orderBook.asks.length === 0) {
+            return;
+        }
+        const [bidPrice, bidSize] = orderBook.bids[0];
+        const [askPrice, askSize] = orderBook.asks[0];
+        const current = { bidPrice, bidSize, askPrice, askSize };
+
+        if (this.previous) {
+            const previous = this.previous;
+            const flow = (bidPrice >= previous.bidPrice ? bidSize : 0)
+                - (bidPrice <= previous.bidPrice ? previous.bidSize : 0)
+                - (askPrice <= previous.askPrice ? askSize : 0)
+                + (askPrice >= previous.askPrice ? previous.askSize : 0);
+            this.events.push({ flow, depth: (bidSize + askSize) / 2 });
+            if (this.events.length > this.window) {
+                this.events.shift();
+            }
+            this.currentValue = this.calculate();
+        }
+        this.previous = current;
+    }
+
+    /**
+     * 计算标准化的订单流不平衡
+     */
+    calculate() {
+        const flow = this.events.reduce((sum, event) => sum + event.flow, 0);
+        const depth = this.events.reduce((sum, event) => sum + event.depth, 0);
+        if (!(depth > 0)) {
+            return 0;
+        }
+        return Math.max(-1, Math.min(1, flow / depth));
+    }
+
+    /**
+     * 获取当前值
+     * @returns {number} 标准化的订单流不平衡，范围[-1, 1]
+     */
+    getValue() {
+        return this.currentValue;
+    }
+
+    /**
+     * 重置指标
+     */
+    reset() {
+        this.previous = null;
+        this.events = [];
+        this.currentValue = 0;
+    }
+}
+
 /**
  * 技术指标管理器
  */
@@ -316,15 +602,23 @@ class IndicatorsManager {
         
         this.tradingIntensityIndicator = new TradingIntensityIndicator(
             config.get ? (config.get('tradingIntensityBufferSize') || 100) : 100,
-            config.get ? (config.get('orderBookDepth') || 10) : 10,
+            config.get ? (config.get('tradingIntensityBucketCount') || 20) : 20,
             config
         );
+        // 成交样本不足时使用配置的备用κ
+        this.minIntensityTrades = config.get ? (config.get('tradingIntensityMinTrades') || 0) : 0;
+        this.fallbackKappa = config.get ? (config.get('tradingIntensityFallbackKappa') || 0) : 0;
+        
+        // 参考价格和订单流不平衡由订单簿和公开成交计算
+        this.referencePriceConfig = (config.get ? config.get('referencePrice') : null) || {};
+        this.referencePriceIndicator = new ReferencePriceIndicator(this.referencePriceConfig, config);
+        this.orderFlowImbalanceIndicator = new OrderFlowImbalanceIndicator(this.referencePriceConfig.ofiWindow || 20, config);
         
         if (this.logger.info) {
             this.logger.info('技术指标管理器已初始化', {
                 volatilityBufferSize: config.get ? (config.get('volatilityBufferSize') || 100) : 100,
                 tradingIntensityBufferSize: config.get ? (config.get('tradingIntensityBufferSize') || 100) : 100,
-                orderBookDepth: config.get ? (config.get('orderBookDepth') || 10) : 10
+                tradingIntensityBucketCount: config.get ? (config.get('tradingIntensityBucketCount') || 20) : 20
             });
         }
     }
@@ -339,23 +633,70 @@ class IndicatorsManager {
     }
 
     /**
-     * 更新订单簿数据
-     * @param {Array} bids - 买单数组
-     * @param {Array} asks - 卖单数组
+     * 更新公开成交数据
+     * @param {Object} trade - 成交 {price, amount, timestamp}
+     */
+    updateTrade(trade) {
+        this.tradingIntensityIndicator.addTrade(trade);
+        this.referencePriceIndicator.addTrade(trade);
+    }
+
+    /**
+     * 更新订单簿和最新成交价
+     * @param {Object} orderBook - 订单簿 {bids, asks}
+     * @param {number} lastPrice - 最新成交价
+     * @param {number} timestamp - 时间戳
+     */
+    updateOrderBook(orderBook, lastPrice, timestamp) {
+        this.referencePriceIndicator.updateOrderBook(orderBook, lastPrice, timestamp);
+        this.orderFlowImbalanceIndicator.addOrderBook(orderBook);
+    }
+
+    /**
+     * 获取定价使用的参考价格
+     * 启用订单流不平衡时按不平衡程度偏移参考价格：偏移 = OFI × ofiMaxSkewBps / 10000 × 参考价格
+     * @param {number} midPrice - 当前中间价
+     * @returns {Object} {source, price, fallback, orderFlowImbalance, skew, adjustedPrice}
+     */
+    getReferencePrice(midPrice) {
+        const reference = this.referencePriceIndicator.getValue(midPrice);
+        const orderFlowImbalance = this.orderFlowImbalanceIndicator.getValue();
+        const skew = this.referencePriceConfig.ofiEnabled
+            ? orderFlowImbalance * (this.referencePriceConfig.ofiMaxSkewBps || 0) / 10000 * reference.price
+            : 0;
+        return {
+            ...reference,
+            orderFlowImbalance,
+            skew,
+            adjustedPrice: reference.price + skew
+        };
+    }
+
+    /**
+     * 按当前中间价采样交易强度
+     * @param {number} midPrice - 中间价
      * @param {number} timestamp - 时间戳
      */
-    updateOrderBook(bids, asks, timestamp) {
-        this.tradingIntensityIndicator.addOrderBook(bids, asks, timestamp);
+    updateTradingIntensity(midPrice, timestamp) {
+        this.tradingIntensityIndicator.calculate(midPrice, timestamp);
     }
 
     /**
      * 获取当前指标值
-     * @returns {Object} {volatility, tradingIntensity}
+     * 拟合的κ无效或成交样本少于tradingIntensityMinTrades时，如配置了备用κ则使用备用κ
+     * @returns {Object} {volatility, alpha, kappa, kappaSource: 'fitted'|'fallback'|'none', tradeCount}
      */
     getCurrentValues() {
+        const { alpha, kappa } = this.tradingIntensityIndicator.getValue();
+        const tradeCount = this.tradingIntensityIndicator.getSampleCount();
+        const fitted = kappa > 0 && tradeCount >= this.minIntensityTrades;
+        const useFallback = !fitted && this.fallbackKappa > 0;
         return {
             volatility: this.volatilityIndicator.getValue(),
-            tradingIntensity: this.tradingIntensityIndicator.getValue()
+            alpha,
+            kappa: useFallback ? this.fallbackKappa : kappa,
+            kappaSource: useFallback ? 'fallback' : (kappa > 0 ? 'fitted' : 'none'),
+            tradeCount
         };
     }
 
@@ -383,6 +724,8 @@ class IndicatorsManager {
     reset() {
         this.volatilityIndicator.reset();
         this.tradingIntensityIndicator.reset();
+        this.referencePriceIndicator.reset();
+        this.orderFlowImbalanceIndicator.reset();
         
         if (this.logger.info) {
             this.logger.info('所有指标已重置');
@@ -402,10 +745,25 @@ class IndicatorsManager {
                 maxBufferSize: this.volatilityIndicator.bufferSize
             },
             tradingIntensity: {
-                currentValue: this.tradingIntensityIndicator.currentValue,
+                alpha: this.tradingIntensityIndicator.alpha,
+                kappa: this.tradingIntensityIndicator.kappa,
                 isReady: this.tradingIntensityIndicator.isSamplingBufferFull,
-                bufferSize: this.tradingIntensityIndicator.intensityBuffer.length,
-                maxBufferSize: this.tradingIntensityIndicator.bufferSize
+                bufferSize: this.tradingIntensityIndicator.sampleBuffer.length,
+                maxBufferSize: this.tradingIntensityIndicator.bufferSize,
+                tradeCount: this.tradingIntensityIndicator.getSampleCount(),
+                minTrades: this.minIntensityTrades,
+                fallbackKappa: this.fallbackKappa
+            },
+            referencePrice: {
+                source: this.referencePriceIndicator.source,
+                values: this.referencePriceIndicator.getValues(),
+                vwapTradeCount: this.referencePriceIndicator.trades.length
+            },
+            orderFlowImbalance: {
+                enabled: !!this.referencePriceConfig.ofiEnabled,
+                value: this.orderFlowImbalanceIndicator.getValue(),
+                sampleCount: this.orderFlowImbalanceIndicator.events.length,
+                window: this.orderFlowImbalanceIndicator.window
             },
             overall: {
                 isReady: this.isReady(),
@@ -415,8 +773,12 @@ class IndicatorsManager {
     }
 }
 
+ReferencePriceIndicator.SOURCES = REFERENCE_PRICE_SOURCES;
+
 module.exports = {
     InstantVolatilityIndicator,
     TradingIntensityIndicator,
+    ReferencePriceIndicator,
+    OrderFlowImbalanceIndicator,
     IndicatorsManager
 }; 
\ No newline at end of file
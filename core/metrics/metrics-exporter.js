@@ -0,0 +1,282 @@
+const http = require('http');
+const Logger = require('../../utils/logger');
+const PortfolioManager = require('../portfolio/portfolio-manager');
+const { MetricsRegistry } = require('./metrics-registry');
+
+const HOST = '127.0.0.1';
+// 耗时直方图的分桶上界，单位为秒
+const LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const LOOP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const NETWORK_QUALITIES = ['excellent', 'good', 'fair', 'poor', 'unusable', 'unknown'];
+
+/**
+ * Prometheus指标导出
+ * 在127.0.0.1上提供GET /metrics（Prometheus文本格式），只读且不需要令牌。
+ * 行情、报价、指标、盈亏、风险和挂单数量在每次采集时从策略读取；订单创建/撤销耗时、API错误和主循环耗时
+ * 由交易所管理器和策略的事件累计。所有交易对相关的指标带symbol标签，多交易对时每个交易对一组
+ */
+class MetricsExporter {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} strategy - 策略实例或多交易对组合管理器
+     */
+    constructor(config, strategy) {
+        this.config = config;
+        this.strategy = strategy;
+        this.logger = new Logger(config);
+
+        const metricsConfig = config.get('metrics') || {};
+        this.port = metricsConfig.port === undefined ? 9464 : metricsConfig.port;
+        this.server = null;
+        this.listeners = []; // [emitter, 事件名, 处理函数]，停止时移除
+        this.scrapes = 0;
+
+        this.registry = new MetricsRegistry();
+        this.defineMetrics();
+        this.attachListeners();
+    }
+
+    /**
+     * 定义所有指标
+     */
+    defineMetrics() {
+        const r = this.registry;
+        this.metrics = {
+            midPrice: r.gauge('avellaneda_mid_price', 'Order book mid price'),
+            optimalBid: r.gauge('avellaneda_optimal_bid_price', 'Optimal bid price from the pricing model'),
+            optimalAsk: r.gauge('avellaneda_optimal_ask_price', 'Optimal ask price from the pricing model'),
+            reservationPrice: r.gauge('avellaneda_reservation_price', 'Reservation price from the pricing model'),
+            spread: r.gauge('avellaneda_spread', 'Quoted spread (optimal ask minus optimal bid) in quote currency'),
+            volatility: r.gauge('avellaneda_volatility', 'Estimated price volatility'),
+            intensityAlpha: r.gauge('avellaneda_trading_intensity_alpha', 'Trading intensity alpha'),
+            intensityKappa: r.gauge('avellaneda_trading_intensity_kappa', 'Trading intensity kappa (order book liquidity)'),
+            inventory: r.gauge('avellaneda_inventory', 'Current base currency inventory'),
+            inventorySkew: r.gauge('avellaneda_inventory_skew', 'Normalized inventory deviation from target used by the pricing model'),
+            realizedPnL: r.gauge('avellaneda_realized_pnl', 'Realized PnL net of fees in quote currency'),
+            unrealizedPnL: r.gauge('avellaneda_unrealized_pnl', 'Unrealized PnL at mid price in quote currency'),
+            fees: r.gauge('avellaneda_fees_paid', 'Total trading fees paid in quote currency'),
+            drawdown: r.gauge('avellaneda_drawdown_percent', 'Current drawdown from peak account value in percent'),
+            dailyPnL: r.gauge('avellaneda_daily_pnl', 'Realized PnL since the start of the day in quote currency'),
+            emergencyStop: r.gauge('avellaneda_emergency_stop', 'Whether the emergency stop is active (1) or not (0)'),
+            paused: r.gauge('avellaneda_paused', 'Whether the strategy is paused (1) or not (0)'),
+            activeOrders: r.gauge('avellaneda_active_orders', 'Number of active quote orders'),
+            hangingOrders: r.gauge('avellaneda_hanging_orders', 'Number of hanging orders'),
+            exchangeConnected: r.gauge('avellaneda_exchange_connected', 'Whether the exchange connection is up (1) or not (0)'),
+            lastLoopDuration: r.gauge('avellaneda_main_loop_last_duration_seconds', 'Duration of the last main loop'),
+            mainLoops: r.counter('avellaneda_main_loops_total', 'Main loop iterations'),
+            fills: r.counter('avellaneda_fills_total', 'Fills booked in the position ledger'),
+            apiErrors: r.counter('avellaneda_api_errors_total', 'Exchange API errors by operation and error type'),
+            orderCreateLatency: r.histogram('avellaneda_order_create_latency_seconds', 'Order create request latency', LATENCY_BUCKETS),
+            orderCancelLatency: r.histogram('avellaneda_order_cancel_latency_seconds', 'Order cancel request latency', LATENCY_BUCKETS),
+            loopDuration: r.histogram('avellaneda_main_loop_duration_seconds', 'Main loop duration', LOOP_BUCKETS),
+            networkUp: r.gauge('avellaneda_network_up', 'Whether the network health check succeeds (1) or not (0)'),
+            networkLatency: r.gauge('avellaneda_network_latency_seconds', 'Average latency of the last network health check'),
+            networkQuality: r.gauge('avellaneda_network_quality', 'Network connection quality (1 for the current quality label)'),
+            networkFailures: r.gauge('avellaneda_network_consecutive_failures', 'Consecutive failed network health checks'),
+            networkChecks: r.counter('avellaneda_network_checks_total', 'Network health checks by result')
+        };
+    }
+
+    /**
+     * 各交易对的策略实例
+     * @returns {Map<string, Object>} 交易对 -> 策略实例
+     */
+    getStrategies() {
+        return this.strategy instanceof PortfolioManager
+            ? this.strategy.strategies
+            : new Map([[this.strategy.config.get('symbol'), this.strategy]]);
+    }
+
+    /**
+     * 订阅耗时、错误和主循环事件
+     */
+    attachListeners() {
+        for (const [symbol, strategy] of this.getStrategies()) {
+            const labels = { symbol };
+            this.listen(strategy.exchangeManager, 'apiLatency', ({ operation, duration }) => {
+                const histogram = operation === 'createOrder' ? this.metrics.orderCreateLatency
+                    : operation === 'cancelOrder' ? this.metrics.orderCancelLatency : null;
+                if (histogram) {
+                    histogram.observe(labels, duration / 1000);
+                }
+            });
+            this.listen(strategy.exchangeManager, 'apiError', ({ operation, type }) => {
+                this.metrics.apiErrors.inc({ symbol, operation, type });
+            });
+            this.listen(strategy, 'loopCompleted', ({ duration }) => {
+                this.metrics.loopDuration.observe(labels, duration / 1000);
+            });
+        }
+    }
+
+    listen(emitter, event, handler) {
+        emitter.on(event, handler);
+        this.listeners.push([emitter, event, handler]);
+    }
+
+    /**
+     * 从策略读取当前值
+     */
+    collect() {
+        const m = this.metrics;
+        for (const metric of this.registry.metrics.values()) {
+            if (metric.type === 'gauge') {
+                metric.reset();
+            }
+        }
+
+        for (const [symbol, strategy] of this.getStrategies()) {
+            const labels = { symbol };
+            const midPrice = strategy.currentMarketData.midPrice || 0;
+            const state = strategy.strategyState;
+            const indicators = strategy.indicators.getCurrentValues();
+            const pnl = strategy.positionLedger.getSummary(midPrice);
+            const risk = strategy.riskManager;
+
+            if (midPrice > 0) {
+                m.midPrice.set(labels, midPrice);
+            }
+            if (state.optimalBid > 0 && state.optimalAsk > 0) {
+                m.optimalBid.set(labels, state.optimalBid);
+                m.optimalAsk.set(labels, state.optimalAsk);
+                m.spread.set(labels, state.optimalAsk - state.optimalBid);
+            }
+            if (state.pricing) {
+                m.reservationPrice.set(labels, state.pricing.reservationPrice);
+                m.inventorySkew.set(labels, state.pricing.inventory);
+            }
+            m.volatility.set(labels, indicators.volatility);
+            m.intensityAlpha.set(labels, indicators.alpha);
+            m.intensityKappa.set(labels, indicators.kappa);
+            m.inventory.set(labels, state.currentInventory);
+            m.realizedPnL.set(labels, pnl.netRealizedPnL);
+            m.unrealizedPnL.set(labels, pnl.unrealizedPnL);
+            m.fees.set(labels, pnl.totalFees);
+            m.drawdown.set(labels, risk.calculateDrawdown());
+            m.dailyPnL.set(labels, risk.riskState.dailyPnL);
+            m.emergencyStop.set(labels, risk.riskState.isEmergencyStop ? 1 : 0);
+            m.paused.set(labels, strategy.lifecycleManager.isPaused ? 1 : 0);
+            m.activeOrders.set(labels, strategy.orderManager.getActiveOrdersCount());
+            m.hangingOrders.set(labels, strategy.orderManager.getHangingOrders().length);
+            m.exchangeConnected.set(labels, strategy.exchangeManager.isConnected ? 1 : 0);
+            m.lastLoopDuration.set(labels, strategy.lifecycleManager.lastLoopDuration / 1000);
+            m.mainLoops.set(labels, strategy.lifecycleManager.loopCount);
+            m.fills.set(labels, pnl.fillCount);
+        }
+
+        this.collectNetwork();
+    }
+
+    /**
+     * 网络质量（共用连接时只有主交易所管理器有网络管理器，离线模式下没有）
+     */
+    collectNetwork() {
+        const strategy = Array.from(this.getStrategies().values()).find(leg => leg.exchangeManager.networkManager);
+        if (!strategy) {
+            return;
+        }
+        const m = this.metrics;
+        const status = strategy.exchangeManager.networkManager.getNetworkStatus();
+        m.networkUp.set({}, status.isConnected ? 1 : 0);
+        m.networkLatency.set({}, status.latency / 1000);
+        m.networkFailures.set({}, status.consecutiveFailures);
+        for (const quality of NETWORK_QUALITIES) {
+            m.networkQuality.set({ quality }, status.connectionQuality === quality ? 1 : 0);
+        }
+        m.networkChecks.set({ result: 'success' }, status.totalSuccesses);
+        m.networkChecks.set({ result: 'failure' }, status.totalFailures);
+    }
+
+    /**
+     * 采集并输出Prometheus文本
+     */
+    render() {
+        this.collect();
+        this.scrapes++;
+        return this.registry.render();
+    }
+
+    /**
+     * 启动监听
+     * @returns {Promise<number>} 实际监听的端口
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, HOST, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                this.logger.info('指标导出已启动', { host: HOST, port: this.port });
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * 停止监听并移除事件订阅
+     */
+    stop() {
+        for (const [emitter, event, handler] of this.listeners) {
+            emitter.removeListener(event, handler);
+        }
+        this.listeners = [];
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => {
+                this.logger.info('指标导出已停止');
+                resolve();
+            });
+            if (typeof server.closeAllConnections === 'function') {
+                server.closeAllConnections();
+            }
+        });
+    }
+
+    /**
+     * 指标地址
+     */
+    getAddress() {
+        return `http://${HOST}:${this.port}/metrics`;
+    }
+
+    handleRequest(req, res) {
+        const pathname = new URL(req.url, `http://${HOST}`).pathname;
+        if (pathname !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found\n');
+            return;
+        }
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET' });
+            res.end('Method not allowed\n');
+            return;
+        }
+        try {
+            const body = this.render();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            this.logger.error('指标采集出错', { errorMessage: error.message });
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Error collecting metrics: ${error.message}\n`);
+        }
+    }
+
+    /**
+     * 获取指标导出状态
+     */
+    getStatus() {
+        return {
+            running: !!this.server,
+            address: this.getAddress(),
+            scrapes: this.scrapes
+        };
+    }
+}
+
+module.exports = MetricsExporter;
@@ -0,0 +1,200 @@
+/**
+ * Prometheus指标注册表
+ * 提供计数器、仪表和直方图三种指标，按标签组合分别记录，render()输出Prometheus文本格式（0.0.4）
+ */
+
+/**
+ * 标签组合的键（按标签名排序，保证相同组合得到相同的键）
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+/**
+ * 格式化标签，值中的反斜杠、双引号和换行需要转义
+ */
+function formatLabels(labels) {
+    const names = Object.keys(labels).sort();
+    if (names.length === 0) {
+        return '';
+    }
+    const pairs = names.map(name => {
+        const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${value}"`;
+    });
+    return `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.values = new Map(); // 标签组合键 -> {labels, value}
+    }
+
+    /**
+     * 清除所有标签组合（采集型仪表每次采集前清除，已移除的交易对不再输出）
+     */
+    reset() {
+        this.values.clear();
+    }
+
+    renderHeader() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    renderSamples() {
+        return Array.from(this.values.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+/**
+ * 计数器：只增不减
+ */
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = this.values.get(key) || { labels: { ...labels }, value: 0 };
+        entry.value += amount;
+        this.values.set(key, entry);
+    }
+
+    /**
+     * 从已有的累计值设置（来源本身是单调递增的统计）
+     */
+    set(labels, value) {
+        this.values.set(labelKey(labels), { labels: { ...labels }, value });
+    }
+
+    get(labels = {}) {
+        const entry = this.values.get(labelKey(labels));
+        return entry ? entry.value : 0;
+    }
+}
+
+/**
+ * 仪表：可任意设置的当前值
+ */
+class Gauge extends Metric {
+    constructor(name, help) {
+        super('gauge', name, help);
+    }
+
+    set(labels, value) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return;
+        }
+        this.values.set(labelKey(labels), { labels: { ...labels }, value });
+    }
+
+    get(labels = {}) {
+        const entry = this.values.get(labelKey(labels));
+        return entry ? entry.value : undefined;
+    }
+}
+
+/**
+ * 直方图：按上界累计的分桶计数、总和和总次数
+ */
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = labelKey(labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, entry);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    get(labels = {}) {
+        return this.values.get(labelKey(labels)) || null;
+    }
+
+    renderSamples() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * 输出Prometheus文本格式，没有样本的指标只输出说明
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.renderHeader(), ...metric.renderSamples());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+// 排序指标：key为试验结果中的字段，higherIsBetter为false时越小越好
+const METRICS = {
+    sharpe: { key: 'sharpeRatio', higherIsBetter: true },
+    pnl: { key: 'totalPnL', higherIsBetter: true },
+    fillRate: { key: 'fillRate', higherIsBetter: true },
+    maxInventory: { key: 'maxInventory', higherIsBetter: false }
+};
+
+// 结果文件中的指标列
+const RESULT_COLUMNS = ['sharpeRatio', 'totalPnL', 'totalPnLPercent', 'pnlVsHold', 'fillRate', 'maxInventory',
+    'fills', 'totalFees', 'maxDrawdownPercent'];
+
+/**
+ * 参数优化报告 - 按夏普比率、盈亏、成交率和最大库存偏离对试验排名
+ */
+class OptimizationReport {
+    /**
+     * @param {Object} params
+     * @param {Object} params.meta - 优化元信息（搜索方法、排序指标、参数空间、回测数据等）
+     * @param {Array} params.trials - 试验结果 [{id, params, status, metrics, error, duration}]
+     */
+    constructor({ meta, trials }) {
+        this.meta = meta;
+        this.parameterNames = meta.parameters;
+        this.trials = this.rankTrials(trials);
+    }
+
+    /**
+     * 计算每个指标的排名，并按排序指标排序（其余指标依次作为并列时的排序依据），失败的试验排在最后
+     */
+    rankTrials(trials) {
+        const completed = trials.filter(trial => trial.status === 'ok');
+        const failed = trials.filter(trial => trial.status !== 'ok').sort((a, b) => a.id - b.id);
+
+        const ranked = completed.map(trial => ({ ...trial, ranks: {} }));
+        for (const [name, metric] of Object.entries(METRICS)) {
+            const sorted = [...ranked].sort((a, b) => OptimizationReport.compare(a, b, metric));
+            sorted.forEach((trial, index) => {
+                // 指标相同的试验排名相同
+                const previous = sorted[index - 1];
+                trial.ranks[name] = previous && OptimizationReport.compare(previous, trial, metric) === 0
+                    ? previous.ranks[name]
+                    : index + 1;
+            });
+        }
+
+        const order = [this.meta.metric, ...Object.keys(METRICS).filter(name => name !== this.meta.metric)];
+        ranked.sort((a, b) => {
+            for (const name of order) {
+                const diff = a.ranks[name] - b.ranks[name];
+                if (diff !== 0) {
+                    return diff;
+                }
+            }
+            return a.id - b.id;
+        });
+        ranked.forEach((trial, index) => { trial.rank = index + 1; });
+
+        return [...ranked, ...failed.map(trial => ({ ...trial, rank: null, ranks: {} }))];
+    }
+
+    /**
+     * 按指标比较两个试验，较好的排在前面
+     */
+    static compare(a, b, metric) {
+        const diff = a.metrics[metric.key] - b.metrics[metric.key];
+        return metric.higherIsBetter ? -diff : diff;
+    }
+
+    /**
+     * 排名第一的试验，没有成功的试验时返回null
+     */
+    getBest() {
+        return this.trials[0] && this.trials[0].status === 'ok' ? this.trials[0] : null;
+    }
+
+    /**
+     * 打印优化结果
+     * @param {number} top - 显示的试验数量
+     */
+    print(top = 10) {
+        const completed = this.trials.filter(trial => trial.status === 'ok');
+        const failed = this.trials.length - completed.length;
+        console.log(`\n🏆 参数优化结果 [${this.meta.symbol}] | 方法: ${this.meta.method} | 排序: ${this.meta.metric}`);
+        console.log(`🧪 试验: ${this.trials.length}个 (成功${completed.length}, 失败/无效${failed}) | 耗时: ${(this.meta.duration / 1000).toFixed(1)}s`);
+
+        for (const trial of completed.slice(0, top)) {
+            const m = trial.metrics;
+            const params = this.parameterNames.map(name => `${name}=${trial.params[name]}`).join(' ');
+            console.log(`   #${trial.rank} [试验${trial.id}] 夏普 ${m.sharpeRatio.toFixed(3)} | 盈亏 ${m.totalPnL.toFixed(4)} | 成交率 ${m.fillRate.toFixed(2)}% | 最大库存偏离 ${m.maxInventory.toFixed(6)} | ${params}`);
+        }
+
+        const best = this.getBest();
+        if (best) {
+            console.log(`✅ 最优参数: ${JSON.stringify(best.params)}`);
+        }
+    }
+
+    /**
+     * 转为CSV文本
+     */
+    toCsv(rows, columns) {
+        const escape = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns.join(',')];
+        for (const row of rows) {
+            lines.push(columns.map(column => escape(row[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 保存结果到目录
+     * @param {string} outputDir - 输出目录
+     * @returns {Object} 生成的文件路径
+     */
+    save(outputDir) {
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const files = {
+            csv: path.join(outputDir, 'results.csv'),
+            json: path.join(outputDir, 'results.json')
+        };
+
+        const rankColumns = Object.keys(METRICS).map(name => `${name}Rank`);
+        const rows = this.trials.map(trial => {
+            const row = { rank: trial.rank, id: trial.id, status: trial.status, duration: trial.duration, error: trial.error };
+            for (const name of this.parameterNames) {
+                row[name] = trial.params[name];
+            }
+            for (const column of RESULT_COLUMNS) {
+                row[column] = trial.metrics ? trial.metrics[column] : null;
+            }
+            for (const name of Object.keys(METRICS)) {
+                row[`${name}Rank`] = trial.ranks[name];
+            }
+            return row;
+        });
+
+        fs.writeFileSync(files.csv, this.toCsv(rows,
+            ['rank', 'id', 'status', ...this.parameterNames, ...RESULT_COLUMNS, ...rankColumns, 'duration', 'error']));
+        fs.writeFileSync(files.json, JSON.stringify({ meta: this.meta, best: this.getBest(), trials: this.trials }, null, 2));
+
+        return files;
+    }
+}
+
+OptimizationReport.METRICS = METRICS;
+
+module.exports = OptimizationReport;
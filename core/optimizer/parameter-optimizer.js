@@ -0,0 +1,257 @@
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+const StrategyConfig = require('../../config/strategy');
+const Logger = require('../../utils/logger');
+const { SearchSpace } = require('./search-space');
+const { createSampler, TpeSampler } = require('./samplers');
+const OptimizationReport = require('./optimization-report');
+
+const WORKER_SCRIPT = path.join(__dirname, 'trial-worker.js');
+
+/**
+ * 参数优化器
+ * 按搜索方法生成参数组合，在工作线程中并行回测录制数据，收集夏普比率、盈亏、成交率和库存指标后排名。
+ * 每次试验都使用策略自身的定价和订单逻辑（BacktestEngine驱动AvellanedaStrategy）
+ *
+ * 事件：
+ * - trialComplete: (trial, {completed, total}) 每个试验完成时
+ */
+class ParameterOptimizer extends EventEmitter {
+    /**
+     * @param {Object} overrides - 配置覆盖项（回测数据、手续费、optimizer参数等），工作线程以相同的覆盖项创建配置
+     */
+    constructor(overrides = {}) {
+        super();
+        this.overrides = { ...overrides, tradingMode: 'backtest' };
+        this.config = new StrategyConfig(this.overrides);
+        this.logger = new Logger(this.config);
+
+        const optimizerConfig = this.config.get('optimizer') || {};
+        this.method = optimizerConfig.method || 'random';
+        this.metric = optimizerConfig.metric || 'sharpe';
+        if (!OptimizationReport.METRICS[this.metric]) {
+            throw new Error(`不支持的排序指标: ${this.metric}，可选 ${Object.keys(OptimizationReport.METRICS).join(', ')}`);
+        }
+        this.maxTrials = optimizerConfig.trials || 50;
+        this.workerCount = optimizerConfig.workers > 0 ? optimizerConfig.workers : Math.max(1, os.cpus().length - 1);
+
+        this.space = new SearchSpace(optimizerConfig.parameters);
+        this.sampler = createSampler(this.method, this.space, {
+            trials: this.maxTrials,
+            seed: optimizerConfig.seed,
+            initialTrials: optimizerConfig.initialTrials
+        });
+
+        this.trials = [];
+        this.workers = [];
+        this.startedTrials = 0;
+        this.exhausted = false;
+        this.finish = null;
+    }
+
+    /**
+     * 运行优化
+     * @returns {Promise<OptimizationReport>} 优化报告
+     */
+    async run() {
+        const startTime = Date.now();
+        this.logger.info('开始参数优化', {
+            method: this.method,
+            metric: this.metric,
+            trials: this.maxTrials,
+            workers: this.workerCount,
+            parameters: this.space.getNames()
+        });
+
+        try {
+            await new Promise((resolve) => {
+                this.finish = resolve;
+                for (let i = 0; i < this.workerCount; i++) {
+                    this.workers.push(this.createWorker());
+                }
+                this.dispatch();
+            });
+        } finally {
+            await this.stopWorkers();
+        }
+
+        const backtestConfig = this.config.get('backtest');
+        return new OptimizationReport({
+            meta: {
+                symbol: this.config.get('symbol'),
+                dataPath: backtestConfig.dataPath,
+                method: this.method,
+                metric: this.metric,
+                workers: this.workerCount,
+                parameters: this.space.getNames(),
+                searchSpace: this.space.parameters,
+                backtest: backtestConfig,
+                startTime,
+                duration: Date.now() - startTime
+            },
+            trials: this.trials
+        });
+    }
+
+    /**
+     * 创建工作线程
+     */
+    createWorker() {
+        const slot = {
+            worker: new Worker(WORKER_SCRIPT, { workerData: { overrides: this.overrides } }),
+            trial: null
+        };
+        slot.worker.on('message', (message) => this.completeTrial(slot, message));
+        slot.worker.on('error', (error) => {
+            // 工作线程异常退出时记录当前试验失败并替换线程
+            this.logger.error('参数优化工作线程异常退出', { errorMessage: error.message });
+            const index = this.workers.indexOf(slot);
+            if (index !== -1) {
+                this.workers[index] = this.createWorker();
+            }
+            if (slot.trial) {
+                this.completeTrial(slot, { id: slot.trial.id, error: error.message });
+            }
+        });
+        return slot;
+    }
+
+    /**
+     * 给空闲的工作线程分配试验，全部试验完成时结束
+     */
+    dispatch() {
+        for (const slot of this.workers) {
+            if (slot.trial) {
+                continue;
+            }
+            const trial = this.nextTrial();
+            if (!trial) {
+                break;
+            }
+            slot.trial = trial;
+            slot.worker.postMessage({ id: trial.id, params: trial.params });
+        }
+
+        if (this.workers.every(slot => !slot.trial) && (this.exhausted || this.startedTrials >= this.maxTrials)) {
+            this.finish();
+        }
+    }
+
+    /**
+     * 生成下一个有效的试验，配置校验失败的参数组合直接记为无效试验
+     * @returns {Object|null} 试验 {id, params, startTime}，没有更多试验时返回null
+     */
+    nextTrial() {
+        while (!this.exhausted && this.startedTrials < this.maxTrials) {
+            const params = this.sampler.next(this.getHistory());
+            if (!params) {
+                this.exhausted = true;
+                break;
+            }
+
+            const trial = { id: ++this.startedTrials, params, startTime: Date.now() };
+            const error = this.validateParameters(params);
+            if (error) {
+                this.recordTrial({ id: trial.id, params, status: 'invalid', metrics: null, error, duration: 0 });
+                continue;
+            }
+            return trial;
+        }
+        return null;
+    }
+
+    /**
+     * 用策略配置的校验规则检查参数组合（如maxSpread必须大于minSpread）
+     * @returns {string|null} 错误信息
+     */
+    validateParameters(params) {
+        try {
+            new StrategyConfig({ ...this.overrides, ...params });
+            return null;
+        } catch (error) {
+            return error.message.replace('Configuration validation failed:\n', '').replace(/\n/g, '; ');
+        }
+    }
+
+    /**
+     * 处理工作线程返回的试验结果
+     */
+    completeTrial(slot, message) {
+        const trial = slot.trial;
+        if (!trial || trial.id !== message.id) {
+            return;
+        }
+        slot.trial = null;
+
+        const duration = Date.now() - trial.startTime;
+        if (message.error) {
+            this.recordTrial({ id: trial.id, params: trial.params, status: 'failed', metrics: null, error: message.error, duration });
+        } else {
+            this.recordTrial({
+                id: trial.id,
+                params: trial.params,
+                status: 'ok',
+                metrics: ParameterOptimizer.extractMetrics(message.summary),
+                stopReason: message.stopReason || null,
+                error: null,
+                duration
+            });
+        }
+        this.dispatch();
+    }
+
+    /**
+     * 记录试验结果
+     */
+    recordTrial(trial) {
+        this.trials.push(trial);
+        if (trial.status !== 'ok') {
+            this.logger.warn('参数优化试验失败', { id: trial.id, params: trial.params, error: trial.error });
+        }
+        this.emit('trialComplete', trial, { completed: this.trials.length, total: this.maxTrials });
+    }
+
+    /**
+     * 从回测汇总中提取排名指标，最大库存为相对初始库存的最大偏离
+     */
+    static extractMetrics(summary) {
+        return {
+            sharpeRatio: summary.sharpeRatio,
+            totalPnL: summary.totalPnL,
+            totalPnLPercent: summary.totalPnLPercent,
+            pnlVsHold: summary.pnlVsHold,
+            fillRate: summary.fillRate,
+            maxInventory: Math.max(summary.maxInventory - summary.initialInventory, summary.initialInventory - summary.minInventory),
+            fills: summary.fills,
+            totalFees: summary.totalFees,
+            maxDrawdownPercent: summary.maxDrawdownPercent
+        };
+    }
+
+    /**
+     * 已完成试验的得分（bayesian搜索使用），越大越好，失败的试验为null
+     */
+    getHistory() {
+        if (!(this.sampler instanceof TpeSampler)) {
+            return [];
+        }
+        const metric = OptimizationReport.METRICS[this.metric];
+        return this.trials.map(trial => ({
+            params: trial.params,
+            score: trial.status === 'ok' ? (metric.higherIsBetter ? 1 : -1) * trial.metrics[metric.key] : null
+        }));
+    }
+
+    /**
+     * 结束所有工作线程
+     */
+    async stopWorkers() {
+        const workers = this.workers;
+        this.workers = [];
+        await Promise.all(workers.map(slot => slot.worker.terminate()));
+    }
+}
+
+module.exports = ParameterOptimizer;
@@ -0,0 +1,213 @@
+const { createRandom } = require('./search-space');
+
+// 随机采样时连续生成重复参数组合的次数上限，超过后认为搜索空间已耗尽
+const MAX_DUPLICATE_DRAWS = 100;
+
+/**
+ * 网格搜索：按顺序返回全部网格点
+ */
+class GridSampler {
+    /**
+     * @param {SearchSpace} space - 搜索空间
+     * @param {Object} options
+     * @param {number} options.trials - 网格点数上限
+     */
+    constructor(space, options = {}) {
+        const size = space.getGridSize();
+        if (options.trials && size > options.trials) {
+            throw new Error(`网格共有${size}个参数组合，超过试验次数上限${options.trials}，请缩小参数范围或增大trials`);
+        }
+        this.combinations = space.grid();
+        this.index = 0;
+    }
+
+    /**
+     * 下一组待试验的参数，网格遍历完时返回null
+     */
+    next() {
+        return this.index < this.combinations.length ? this.combinations[this.index++] : null;
+    }
+}
+
+/**
+ * 随机搜索：均匀采样，跳过已试验过的参数组合
+ */
+class RandomSampler {
+    /**
+     * @param {SearchSpace} space - 搜索空间
+     * @param {Object} options
+     * @param {number} options.seed - 随机种子
+     */
+    constructor(space, options = {}) {
+        this.space = space;
+        this.random = createRandom(options.seed);
+        this.seen = new Set();
+    }
+
+    /**
+     * 记录参数组合，已存在时返回false
+     */
+    mark(params) {
+        const key = this.space.key(params);
+        if (this.seen.has(key)) {
+            return false;
+        }
+        this.seen.add(key);
+        return true;
+    }
+
+    /**
+     * 下一组待试验的参数，离散空间采样耗尽时返回null
+     */
+    next() {
+        for (let i = 0; i < MAX_DUPLICATE_DRAWS; i++) {
+            const params = this.space.sample(this.random);
+            if (this.mark(params)) {
+                return params;
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * bayesian搜索（TPE，Tree-structured Parzen Estimator）
+ * 先随机试验initialTrials次，之后把已完成的试验按得分分为较好的前gamma部分和其余部分，
+ * 在较好试验附近生成候选参数，选择l(x)/g(x)最大的候选（l、g分别为两组试验的Parzen核密度，各参数独立估计）
+ */
+class TpeSampler extends RandomSampler {
+    /**
+     * @param {SearchSpace} space - 搜索空间
+     * @param {Object} options
+     * @param {number} options.seed - 随机种子
+     * @param {number} options.initialTrials - 随机试验次数
+     * @param {number} options.gamma - 较好试验的比例
+     * @param {number} options.candidates - 每次生成的候选数量
+     */
+    constructor(space, options = {}) {
+        super(space, options);
+        this.initialTrials = Math.max(2, options.initialTrials || 10);
+        this.gamma = options.gamma || 0.25;
+        this.candidates = options.candidates || 24;
+        this.bandwidth = 0.15;
+    }
+
+    /**
+     * 下一组待试验的参数
+     * @param {Array<Object>} history - 已完成的试验 [{params, score}]，score越大越好，失败的试验score为null
+     */
+    next(history = []) {
+        if (history.length < this.initialTrials) {
+            return super.next();
+        }
+
+        const ranked = [...history].sort((a, b) => TpeSampler.compareScore(b.score, a.score));
+        const goodCount = Math.max(1, Math.ceil(ranked.length * this.gamma));
+        const good = ranked.slice(0, goodCount);
+        const bad = ranked.slice(goodCount);
+
+        let best = null;
+        for (let i = 0; i < this.candidates; i++) {
+            const candidate = this.sampleNear(good);
+            if (this.seen.has(this.space.key(candidate))) {
+                continue;
+            }
+            const score = this.score(candidate, good, bad);
+            if (!best || score > best.score) {
+                best = { params: candidate, score };
+            }
+        }
+
+        if (best && this.mark(best.params)) {
+            return best.params;
+        }
+        // 候选都已试验过时退回随机采样
+        return super.next();
+    }
+
+    /**
+     * 比较得分，失败的试验排在最后
+     */
+    static compareScore(a, b) {
+        if (a === null || a === undefined) {
+            return b === null || b === undefined ? 0 : -1;
+        }
+        if (b === null || b === undefined) {
+            return 1;
+        }
+        return a - b;
+    }
+
+    /**
+     * 在随机选择的较好试验附近按高斯核采样
+     */
+    sampleNear(good) {
+        const params = {};
+        for (const parameter of this.space.parameters) {
+            const center = this.space.toUnit(parameter, good[Math.floor(this.random() * good.length)].params[parameter.name]);
+            params[parameter.name] = this.space.fromUnit(parameter, center + this.gaussian() * this.bandwidth);
+        }
+        return params;
+    }
+
+    /**
+     * 候选参数的log(l(x)/g(x))
+     */
+    score(params, good, bad) {
+        let total = 0;
+        for (const parameter of this.space.parameters) {
+            const unit = this.space.toUnit(parameter, params[parameter.name]);
+            total += Math.log(this.density(unit, parameter, good)) - Math.log(this.density(unit, parameter, bad));
+        }
+        return total;
+    }
+
+    /**
+     * Parzen核密度，混合均匀先验避免没有样本的区域密度为0
+     */
+    density(unit, parameter, trials) {
+        let sum = 1;
+        for (const trial of trials) {
+            const distance = (unit - this.space.toUnit(parameter, trial.params[parameter.name])) / this.bandwidth;
+            sum += Math.exp(-0.5 * distance * distance) / (this.bandwidth * Math.sqrt(2 * Math.PI));
+        }
+        return sum / (trials.length + 1);
+    }
+
+    /**
+     * 标准正态分布随机数（Box-Muller）
+     */
+    gaussian() {
+        const u = Math.max(this.random(), 1e-12);
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+// 已支持的搜索方法
+const samplers = new Map([
+    ['grid', GridSampler],
+    ['random', RandomSampler],
+    ['bayesian', TpeSampler]
+]);
+
+/**
+ * 根据搜索方法创建采样器
+ * @param {string} method - grid | random | bayesian
+ * @param {SearchSpace} space - 搜索空间
+ * @param {Object} options - 采样器参数
+ */
+function createSampler(method, space, options = {}) {
+    const SamplerClass = samplers.get(method);
+    if (!SamplerClass) {
+        throw new Error(`不支持的搜索方法: ${method}，可选 ${[...samplers.keys()].join(', ')}`);
+    }
+    return new SamplerClass(space, options);
+}
+
+module.exports = {
+    GridSampler,
+    RandomSampler,
+    TpeSampler,
+    createSampler
+};
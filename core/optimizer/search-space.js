@@ -0,0 +1,167 @@
+/**
+ * 参数搜索空间
+ * 每个参数定义为{min, max, step}区间或{values: [...]}候选值列表：
+ * - step大于0的区间展开为离散候选值，取值对齐到步长
+ * - step为0（或未设置）的区间为连续取值，只能用于随机和bayesian搜索
+ */
+class SearchSpace {
+    /**
+     * @param {Object} parameters - 参数定义 {name: {min, max, step} | {values}}
+     */
+    constructor(parameters = {}) {
+        this.parameters = [];
+        for (const [name, definition] of Object.entries(parameters)) {
+            this.parameters.push(SearchSpace.parseDefinition(name, definition));
+        }
+        if (this.parameters.length === 0) {
+            throw new Error('参数搜索空间为空，请至少配置一个参数');
+        }
+    }
+
+    /**
+     * 解析单个参数定义
+     */
+    static parseDefinition(name, definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error(`参数 ${name} 的定义无效`);
+        }
+
+        if (Array.isArray(definition.values)) {
+            if (definition.values.length === 0 || !definition.values.every(value => Number.isFinite(value))) {
+                throw new Error(`参数 ${name} 的候选值必须为非空数字列表`);
+            }
+            const values = [...new Set(definition.values)].sort((a, b) => a - b);
+            return { name, values, min: values[0], max: values[values.length - 1] };
+        }
+
+        const { min, max } = definition;
+        const step = definition.step || 0;
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+            throw new Error(`参数 ${name} 的区间无效: min=${min}, max=${max}`);
+        }
+        if (!Number.isFinite(step) || step < 0) {
+            throw new Error(`参数 ${name} 的步长无效: ${step}`);
+        }
+        if (step === 0) {
+            return { name, values: null, min, max };
+        }
+
+        // 按步长展开候选值，消除浮点误差
+        const decimals = Math.max(SearchSpace.countDecimals(step), SearchSpace.countDecimals(min));
+        const count = Math.floor((max - min) / step + 1e-9) + 1;
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            values.push(Number((min + i * step).toFixed(decimals)));
+        }
+        return { name, values, min, max: values[values.length - 1] };
+    }
+
+    /**
+     * 数字的小数位数
+     */
+    static countDecimals(value) {
+        const text = String(value);
+        if (text.includes('e-')) {
+            return parseInt(text.split('e-')[1], 10);
+        }
+        const index = text.indexOf('.');
+        return index === -1 ? 0 : text.length - index - 1;
+    }
+
+    /**
+     * 参数名列表
+     */
+    getNames() {
+        return this.parameters.map(parameter => parameter.name);
+    }
+
+    /**
+     * 网格点数，存在连续参数时为Infinity
+     */
+    getGridSize() {
+        return this.parameters.reduce((size, parameter) => parameter.values ? size * parameter.values.length : Infinity, 1);
+    }
+
+    /**
+     * 展开全部网格点
+     * @returns {Array<Object>} 参数组合列表
+     */
+    grid() {
+        const continuous = this.parameters.filter(parameter => !parameter.values);
+        if (continuous.length > 0) {
+            throw new Error(`网格搜索需要为参数设置step或values: ${continuous.map(parameter => parameter.name).join(', ')}`);
+        }
+
+        let combinations = [{}];
+        for (const parameter of this.parameters) {
+            const next = [];
+            for (const combination of combinations) {
+                for (const value of parameter.values) {
+                    next.push({ ...combination, [parameter.name]: value });
+                }
+            }
+            combinations = next;
+        }
+        return combinations;
+    }
+
+    /**
+     * 均匀随机采样一组参数
+     * @param {Function} random - 返回[0, 1)的随机数函数
+     */
+    sample(random) {
+        const params = {};
+        for (const parameter of this.parameters) {
+            params[parameter.name] = this.fromUnit(parameter, random());
+        }
+        return params;
+    }
+
+    /**
+     * 参数值映射到[0, 1]（离散参数映射到候选值所在区间的中点，与fromUnit互逆）
+     */
+    toUnit(parameter, value) {
+        if (parameter.values) {
+            const index = parameter.values.indexOf(value);
+            return index === -1 ? 0.5 : (index + 0.5) / parameter.values.length;
+        }
+        return parameter.max > parameter.min ? (value - parameter.min) / (parameter.max - parameter.min) : 0.5;
+    }
+
+    /**
+     * [0, 1]映射回参数值（离散参数取最近的候选值）
+     */
+    fromUnit(parameter, unit) {
+        const u = Math.min(1, Math.max(0, unit));
+        if (parameter.values) {
+            const index = Math.min(parameter.values.length - 1, Math.floor(u * parameter.values.length));
+            return parameter.values[index];
+        }
+        return parameter.min + u * (parameter.max - parameter.min);
+    }
+
+    /**
+     * 参数组合的唯一键，用于去重
+     */
+    key(params) {
+        return this.parameters.map(parameter => params[parameter.name]).join('|');
+    }
+}
+
+/**
+ * 可复现的伪随机数生成器（mulberry32）
+ * @param {number} seed - 随机种子
+ * @returns {Function} 返回[0, 1)的随机数函数
+ */
+function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = { SearchSpace, createRandom };
@@ -0,0 +1,18 @@
+const { parentPort, workerData } = require('worker_threads');
+const StrategyConfig = require('../../config/strategy');
+const BacktestEngine = require('../backtest/backtest-engine');
+
+/**
+ * 参数优化工作线程
+ * 接收 {id, params}，以基础配置覆盖试验参数后运行一次回测，返回 {id, summary} 或 {id, error}
+ */
+parentPort.on('message', async ({ id, params }) => {
+    try {
+        const config = new StrategyConfig({ ...workerData.overrides, ...params });
+        const engine = new BacktestEngine(config, { quiet: true });
+        const report = await engine.run();
+        parentPort.postMessage({ id, summary: report.getSummary(), stopReason: report.meta.stopReason });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
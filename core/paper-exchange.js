@@ -0,0 +1,467 @@
+const ExchangeManager = require('./exchange');
+const MatchingEngine = require('./backtest/matching-engine');
+const BacktestDataLoader = require('./backtest/data-loader');
+const Helpers = require('../utils/helpers');
+const { SystemClock } = require('../utils/clock');
+
+/**
+ * 模拟盘交易所管理器
+ * 行情来自交易所实时公开数据或离线回放的录制数据，订单在本地撮合引擎中成交，
+ * 余额和手续费均为模拟值，发出与ExchangeManager相同的orderUpdate/balanceUpdate事件
+ */
+class PaperExchangeManager extends ExchangeManager {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} clock - 时钟（默认使用系统时钟）
+     * @param {Object} options - 可选参数，options.connection为共用实时行情连接的主交易所管理器（多交易对）
+     */
+    constructor(config, clock = new SystemClock(), options = {}) {
+        super(config, { ...options, clock });
+        this.paperConfig = config.get('paper') || {};
+        this.offline = !!this.paperConfig.dataPath;
+        this.latency = this.paperConfig.latency || 0;
+        this.replaySpeed = this.paperConfig.replaySpeed > 0 ? this.paperConfig.replaySpeed : 1;
+        this.fillUpdateInterval = 0; // 成交来自本地撮合引擎，不查询账户成交
+
+        // 录制数据回放状态
+        this.replayLoader = null;
+        this.replayEvents = null;
+        this.replayTimer = null;
+        this.lastReplayTimestamp = 0;
+        this.replayFinished = false;
+
+        this.matchingEngine = new MatchingEngine({
+            symbol: config.get('symbol'),
+            base: config.get('baseCurrency'),
+            quote: config.get('quoteCurrency'),
+            initialBase: this.paperConfig.initialBase,
+            initialQuote: this.paperConfig.initialQuote,
+            makerFee: this.paperConfig.makerFee,
+            takerFee: this.paperConfig.takerFee,
+            queuePositionModel: this.paperConfig.queuePositionModel,
+            maxClosedOrders: this.paperConfig.maxClosedOrders,
+            maxFills: this.paperConfig.maxFills,
+            clock
+        });
+
+        // 撮合引擎的订单更新转发给策略，成交后同步推送余额
+        this.matchingEngine.on('orderUpdate', (order) => this.emit('orderUpdate', order));
+        this.matchingEngine.on('fill', (fill) => {
+            this.emit('fill', fill);
+            this.emitBalanceUpdate();
+        });
+
+        this.logger.info('模拟盘交易所已创建', {
+            dataSource: this.offline ? this.paperConfig.dataPath : 'live',
+            initialBase: this.paperConfig.initialBase,
+            initialQuote: this.paperConfig.initialQuote
+        });
+    }
+
+    /**
+     * 离线回放时不需要网络管理器
+     */
+    createNetworkManager(config) {
+        const paperConfig = config.get('paper') || {};
+        return paperConfig.dataPath ? null : super.createNetworkManager(config);
+    }
+
+    /**
+     * 初始化
+     * 实时行情模式连接交易所公开接口，离线模式加载录制数据
+     */
+    async initialize() {
+        if (!this.offline) {
+            const success = await super.initialize();
+            if (success) {
+                // 成交由本地撮合引擎模拟，报价按模拟费率计算（启动时的行情和余额已由父类获取）
+                this.marketInfo.fees = this.getSimulatedFees();
+            }
+            return success;
+        }
+
+        try {
+            this.marketInfo = {
+                symbol: this.config.get('symbol'),
+                base: this.config.get('baseCurrency'),
+                quote: this.config.get('quoteCurrency'),
+                precision: {
+                    price: this.paperConfig.pricePrecision || 0.01,
+                    amount: this.paperConfig.amountPrecision || 0.000001
+                },
+                limits: {
+                    amount: { min: this.paperConfig.amountPrecision || 0.000001 }
+                },
+                active: true,
+                fees: this.getSimulatedFees()
+            };
+
+            this.openReplay();
+            this.isConnected = true;
+            this.lastConnectionTime = this.clock.now();
+
+            // 回放到第一个订单簿，保证策略启动时有可用行情
+            while (!this.marketData.orderBook) {
+                const event = await this.readReplayEvent();
+                if (!event) {
+                    throw new Error(`录制数据中没有订单簿事件: ${this.paperConfig.dataPath}`);
+                }
+                this.applyReplayEvent(event);
+            }
+
+            this.scheduleReplay();
+            this.emitBalanceUpdate();
+
+            this.logger.info('模拟盘离线回放已启动', {
+                dataPath: this.paperConfig.dataPath,
+                replaySpeed: this.replaySpeed
+            });
+            this.emit('connectionRestored');
+            return true;
+
+        } catch (error) {
+            this.isConnected = false;
+            this.logger.error('模拟盘初始化失败', {
+                errorMessage: error.message
+            });
+            return false;
+        }
+    }
+
+    /**
+     * 测试连接（只验证公开行情接口，不查询账户余额）
+     */
+    async testConnection() {
+        try {
+            this.logger.info('Testing exchange public market data');
+
+            await this.exchange.loadMarkets();
+
+            const symbol = this.config.get('symbol');
+            await this.exchange.fetchOrderBook(symbol);
+            await this.exchange.fetchTicker(symbol);
+
+            this.logger.info('Exchange public market data test passed');
+
+        } catch (error) {
+            this.logger.error('Exchange public market data test failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 撮合引擎每次成交都会同步发出累计的订单更新
+     */
+    needsFillTracking() {
+        return false;
+    }
+
+    /**
+     * 订单和余额由本地撮合引擎维护，只订阅公开行情推送
+     */
+    getStreamChannels() {
+        return ['orderBook', 'ticker', 'trades'];
+    }
+
+    /**
+     * 公开成交用于推进本地挂单的排队位置，始终需要获取
+     */
+    needsTradeUpdates() {
+        return true;
+    }
+
+    /**
+     * 更新账户余额（使用模拟余额）
+     */
+    async updateBalances() {
+        this.emitBalanceUpdate();
+    }
+
+    /**
+     * 发出模拟余额更新事件
+     */
+    emitBalanceUpdate() {
+        const baseCurrency = this.config.get('baseCurrency');
+        const quoteCurrency = this.config.get('quoteCurrency');
+        const balances = this.matchingEngine.getBalances();
+
+        this.accountData.balances = balances;
+        this.accountData.lastUpdate = this.clock.now();
+
+        this.emit('balanceUpdate', {
+            base: { ...balances[baseCurrency] },
+            quote: { ...balances[quoteCurrency] },
+            timestamp: this.clock.now()
+        });
+    }
+
+    /**
+     * 应用订单簿数据，同时推进本地挂单的排队和穿越成交
+     */
+    applyOrderBook(orderBook) {
+        super.applyOrderBook(orderBook);
+        this.matchingEngine.onOrderBook(orderBook);
+    }
+
+    /**
+     * 应用公开成交数据，同时推进本地挂单的排队位置
+     */
+    applyTrade(trade) {
+        super.applyTrade(trade);
+        this.matchingEngine.onTrade(this.marketData.lastTrade);
+    }
+
+    /**
+     * 打开录制数据流
+     */
+    openReplay() {
+        this.replayLoader = new BacktestDataLoader(this.paperConfig.dataPath, { symbol: this.config.get('symbol') });
+        this.replayEvents = this.replayLoader.events();
+        this.lastReplayTimestamp = 0;
+    }
+
+    /**
+     * 读取下一个录制事件，数据结束时按配置从头循环
+     * @returns {Object|null} 录制事件，没有更多数据时返回null
+     */
+    async readReplayEvent() {
+        let result = await this.replayEvents.next();
+        if (result.done && this.paperConfig.loop && this.replayLoader.getStats().events > 0) {
+            this.logger.info('录制数据回放结束，从头循环');
+            this.openReplay();
+            result = await this.replayEvents.next();
+        }
+        return result.done ? null : result.value;
+    }
+
+    /**
+     * 按录制时的时间间隔（除以回放速度）调度下一个事件
+     */
+    async scheduleReplay() {
+        try {
+            const event = await this.readReplayEvent();
+            if (!this.isConnected) {
+                return;
+            }
+            if (!event) {
+                this.replayFinished = true;
+                this.logger.info('录制数据回放完成', this.replayLoader.getStats());
+                this.emit('replayFinished', this.replayLoader.getStats());
+                return;
+            }
+
+            const delay = this.lastReplayTimestamp > 0
+                ? Math.max(0, (event.timestamp - this.lastReplayTimestamp) / this.replaySpeed)
+                : 0;
+
+            this.replayTimer = this.clock.setTimeout(() => {
+                this.replayTimer = null;
+                if (!this.isConnected) {
+                    return;
+                }
+                this.applyReplayEvent(event);
+                this.scheduleReplay();
+            }, delay);
+
+        } catch (error) {
+            this.logger.error('录制数据回放失败', {
+                errorMessage: error.message
+            });
+        }
+    }
+
+    /**
+     * 应用单个录制事件
+     */
+    applyReplayEvent(event) {
+        this.lastReplayTimestamp = event.timestamp;
+        const datetime = new Date(event.timestamp).toISOString();
+
+        if (event.type === 'orderBook') {
+            this.applyOrderBook({
+                symbol: event.symbol || this.config.get('symbol'),
+                bids: event.bids || [],
+                asks: event.asks || [],
+                timestamp: event.timestamp,
+                datetime
+            });
+        } else if (event.type === 'ticker') {
+            this.applyTicker({ ...event, datetime });
+        } else if (event.type === 'trade') {
+            this.applyTrade(event);
+        }
+    }
+
+    /**
+     * 获取当前价格数据
+     * 没有行情数据时，使用最近成交或订单簿中间价合成
+     */
+    getTicker() {
+        if (this.marketData.ticker) {
+            return this.marketData.ticker;
+        }
+
+        const orderBook = this.marketData.orderBook;
+        const last = this.marketData.lastTrade ? this.marketData.lastTrade.price : this.getMarketPrice();
+        if (!last) {
+            return null;
+        }
+        return {
+            symbol: this.config.get('symbol'),
+            last,
+            bid: orderBook && orderBook.bids.length > 0 ? orderBook.bids[0][0] : undefined,
+            ask: orderBook && orderBook.asks.length > 0 ? orderBook.asks[0][0] : undefined,
+            timestamp: this.marketData.lastUpdate
+        };
+    }
+
+    /**
+     * 获取当前余额
+     */
+    getBalances() {
+        return this.matchingEngine.getBalances();
+    }
+
+    /**
+     * 撮合引擎使用的挂单/吃单费率
+     */
+    getSimulatedFees() {
+        return { maker: this.matchingEngine.makerFee, taker: this.matchingEngine.takerFee };
+    }
+
+    /**
+     * 创建订单（本地撮合，模拟网络延迟）
+     */
+    async createOrder(side, amount, price, type = 'limit', params = {}) {
+        if (!this.isConnected) {
+            throw new Error('Exchange not connected');
+        }
+
+        const startTime = Date.now();
+        await this.clock.sleep(this.latency);
+        this.recordApiLatency('createOrder', startTime);
+
+        const order = this.matchingEngine.createOrder({
+            side,
+            type,
+            amount: this.formatAmount(amount),
+            price: type === 'limit' ? this.formatPrice(price) : undefined,
+            clientOrderId: params.clientOrderId || Helpers.generateUniqueId(),
+            timeInForce: params.timeInForce
+        });
+
+        this.logger.info('模拟订单已创建', {
+            id: order.id,
+            side: order.side,
+            amount: order.amount,
+            price: order.price,
+            status: order.status,
+            clientOrderId: order.clientOrderId
+        });
+        this.emit('orderUpdate', order);
+        this.emitBalanceUpdate();
+        return order;
+    }
+
+    /**
+     * 取消订单（本地撮合，模拟网络延迟）
+     */
+    async cancelOrder(orderId, symbol = null) {
+        if (!this.isConnected) {
+            throw new Error('Exchange not connected');
+        }
+
+        const startTime = Date.now();
+        await this.clock.sleep(this.latency);
+        this.recordApiLatency('cancelOrder', startTime);
+        const order = this.matchingEngine.cancelOrder(orderId);
+        this.emitBalanceUpdate();
+        return order;
+    }
+
+    /**
+     * 获取订单信息
+     */
+    async getOrder(orderId, symbol = null) {
+        return this.matchingEngine.getOrder(orderId);
+    }
+
+    /**
+     * 通过 clientOrderId 获取订单信息
+     */
+    async getOrderByClientOrderId(clientOrderId, symbol = null) {
+        return this.matchingEngine.getOrderByClientOrderId(clientOrderId);
+    }
+
+    /**
+     * 获取挂单
+     */
+    async getOpenOrders(symbol = null) {
+        return this.matchingEngine.getOpenOrders();
+    }
+
+    /**
+     * 格式化价格
+     * 离线回放时按最小价格变动单位对齐，实时行情时使用交易所精度
+     */
+    formatPrice(price) {
+        if (!this.offline) {
+            return super.formatPrice(price);
+        }
+        const tickSize = this.marketInfo ? this.marketInfo.precision.price : 0;
+        if (!tickSize) {
+            return price;
+        }
+        const decimals = Math.max(0, -Math.floor(Math.log10(tickSize)));
+        return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(decimals));
+    }
+
+    /**
+     * 格式化数量
+     * 离线回放时向下对齐到最小数量单位，实时行情时使用交易所精度
+     */
+    formatAmount(amount) {
+        if (!this.offline) {
+            return super.formatAmount(amount);
+        }
+        const step = this.marketInfo ? this.marketInfo.precision.amount : 0;
+        if (!step) {
+            return amount;
+        }
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        return parseFloat((Math.floor(amount / step + 1e-9) * step).toFixed(decimals));
+    }
+
+    /**
+     * 获取成交记录
+     */
+    getFills() {
+        return this.matchingEngine.fills;
+    }
+
+    /**
+     * 关闭连接
+     */
+    async close() {
+        if (this.replayTimer) {
+            this.clock.clearTimeout(this.replayTimer);
+            this.replayTimer = null;
+        }
+        await super.close();
+    }
+
+    /**
+     * 获取连接状态
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            mode: 'paper',
+            dataSource: this.offline ? this.paperConfig.dataPath : 'live',
+            replayFinished: this.replayFinished,
+            ...this.matchingEngine.getStats()
+        };
+    }
+}
+
+module.exports = PaperExchangeManager;
@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const AvellanedaStrategy = require('../strategy');
+const ExchangeManager = require('../exchange');
+const PaperExchangeManager = require('../paper-exchange');
+const PortfolioRiskManager = require('./portfolio-risk-manager');
+const Logger = require('../../utils/logger');
+const { SystemClock } = require('../../utils/clock');
+
+/**
+ * 多交易对组合管理器
+ * 每个交易对一个独立的策略实例（指标、计算器、订单管理器和风险管理器），
+ * 第一个交易对的交易所管理器创建连接，其余交易对共用该连接（同一个ccxt实例，共用限频和WebSocket连接）；
+ * 组合风险管理器按所有交易对合计检查持仓价值和当日亏损。对外提供与单个策略相同的启动、停止和状态接口
+ */
+class PortfolioManager extends EventEmitter {
+    /**
+     * @param {Object} config - 全局策略配置（包含symbols）
+     * @param {Object} options - 可选依赖注入
+     * @param {Object} options.clock - 时钟（默认使用系统时钟）
+     */
+    constructor(config, options = {}) {
+        super();
+        this.config = config;
+        this.logger = new Logger(config);
+        this.clock = options.clock || new SystemClock();
+
+        this.portfolioRisk = new PortfolioRiskManager(config);
+        this.strategies = new Map(); // 交易对 -> 策略实例
+        this.connection = null; // 创建共用连接的主交易所管理器
+
+        for (const symbolConfig of config.getSymbolConfigs()) {
+            const symbol = symbolConfig.get('symbol');
+            const exchangeManager = this.createExchangeManager(symbolConfig, this.connection);
+            if (!this.connection) {
+                this.connection = exchangeManager;
+            }
+            const strategy = new AvellanedaStrategy(symbolConfig, { exchangeManager, clock: this.clock });
+            this.portfolioRisk.register(strategy);
+            this.strategies.set(symbol, strategy);
+
+            // 任一交易对的停止信号转发给主程序，统一停止
+            strategy.on('emergencyStop', (data) => this.emit('emergencyStop', { ...data, symbol }));
+            strategy.on('strategyStop', (data) => this.emit('strategyStop', { ...data, symbol }));
+        }
+        this.portfolioRisk.on('portfolioStop', (data) => this.emit('emergencyStop', data));
+
+        this.isRunning = false;
+        this.riskCheckTimer = null;
+        this.riskCheckInterval = config.get('riskCheckInterval') || 5000;
+        this.lastStatusPrint = 0;
+        this.statusPrintInterval = config.get('statusPrintInterval') || 30000;
+
+        this.logger.info('多交易对组合已创建', {
+            symbols: this.getSymbols(),
+            portfolioRisk: config.get('portfolioRisk')
+        });
+    }
+
+    /**
+     * 按交易模式创建交易所管理器，connection不为空时共用其连接
+     */
+    createExchangeManager(symbolConfig, connection) {
+        // 离线回放的模拟盘各自读取录制数据，不需要连接
+        const options = symbolConfig.isOfflinePaper() ? {} : { connection };
+        return symbolConfig.get('tradingMode') === 'paper'
+            ? new PaperExchangeManager(symbolConfig, this.clock, options)
+            : new ExchangeManager(symbolConfig, { ...options, clock: this.clock });
+    }
+
+    /**
+     * 交易对列表
+     */
+    getSymbols() {
+        return Array.from(this.strategies.keys());
+    }
+
+    /**
+     * 所有交易对的策略实例
+     */
+    getStrategies() {
+        return Array.from(this.strategies.values());
+    }
+
+    /**
+     * 按顺序初始化各交易对，第一个交易对先建立共用连接
+     */
+    async initialize() {
+        for (const [symbol, strategy] of this.strategies) {
+            if (!await strategy.initialize()) {
+                this.logger.error('交易对初始化失败', { symbol });
+                return false;
+            }
+        }
+        this.logger.info('多交易对组合初始化完成', { symbols: this.getSymbols() });
+        return true;
+    }
+
+    /**
+     * 按顺序启动各交易对，任一交易对启动失败时停止已启动的交易对
+     */
+    async start() {
+        const started = [];
+        for (const [symbol, strategy] of this.strategies) {
+            console.log(`🧺 启动交易对 ${symbol} (${started.length + 1}/${this.strategies.size})`);
+            const success = await strategy.start().catch((error) => {
+                this.logger.error('交易对启动出错', { symbol, errorMessage: error.message });
+                return false;
+            });
+            if (!success) {
+                this.logger.error('交易对启动失败，停止已启动的交易对', { symbol });
+                for (const startedStrategy of started.reverse()) {
+                    await startedStrategy.stop();
+                }
+                return false;
+            }
+            started.push(strategy);
+        }
+
+        this.riskCheckTimer = setInterval(() => this.checkRisk(), this.riskCheckInterval);
+        this.isRunning = true;
+        this.logger.info('多交易对组合已启动', { symbols: this.getSymbols() });
+        return true;
+    }
+
+    /**
+     * 停止所有交易对（撤销各自的订单并按停止策略调整库存），共用连接的主交易对最后停止
+     * @param {Object} options - {emergency, reason}，传给各交易对的策略
+     */
+    async stop(options = {}) {
+        if (this.riskCheckTimer) {
+            clearInterval(this.riskCheckTimer);
+            this.riskCheckTimer = null;
+        }
+        for (const strategy of this.getStrategies().reverse()) {
+            await strategy.stop(options);
+        }
+        this.isRunning = false;
+        this.logger.info('多交易对组合已停止');
+    }
+
+    /**
+     * 定期检查组合风险并打印组合摘要
+     */
+    checkRisk() {
+        try {
+            this.portfolioRisk.checkLimits();
+
+            const now = this.clock.now();
+            if (now - this.lastStatusPrint >= this.statusPrintInterval) {
+                this.lastStatusPrint = now;
+                this.printStatus();
+            }
+        } catch (error) {
+            this.logger.error('组合风险检查出错', {
+                errorName: error.name,
+                errorMessage: error.message
+            });
+        }
+    }
+
+    /**
+     * 打印组合摘要
+     */
+    printStatus() {
+        const { totals, limits } = this.portfolioRisk.getStatus();
+        const limit = value => (value > 0 ? `/${value}` : '');
+        console.log(`\n🧺 组合: ${this.strategies.size}个交易对 | 持仓价值 ${totals.positionValue.toFixed(2)}${limit(limits.maxTotalPositionValue)} | 当日盈亏 ${totals.dailyLoss.toFixed(4)}${limits.maxTotalDailyLoss > 0 ? `/-${limits.maxTotalDailyLoss}` : ''} | 已实现 ${totals.netRealizedPnL.toFixed(4)}`);
+    }
+
+    /**
+     * 获取组合状态
+     */
+    getStatus() {
+        const strategies = {};
+        for (const [symbol, strategy] of this.strategies) {
+            strategies[symbol] = strategy.getStatus();
+        }
+        return {
+            isRunning: this.isRunning,
+            symbols: this.getSymbols(),
+            portfolio: this.portfolioRisk.getStatus(),
+            connection: this.connection ? this.connection.getStatus() : null,
+            strategies
+        };
+    }
+}
+
+module.exports = PortfolioManager;
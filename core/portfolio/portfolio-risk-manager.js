@@ -0,0 +1,175 @@
+const EventEmitter = require('events');
+const Logger = require('../../utils/logger');
+
+/**
+ * 组合风险管理器
+ * 汇总所有交易对的持仓价值和当日盈亏（金额以共同的计价货币为单位），在各交易对风险管理器的下单检查中
+ * 限制合计持仓价值；合计当日亏损达到上限时发出portfolioStop事件，由组合管理器停止所有交易对
+ */
+class PortfolioRiskManager extends EventEmitter {
+    /**
+     * @param {Object} config - 全局策略配置
+     */
+    constructor(config) {
+        super();
+        this.config = config;
+        this.logger = new Logger(config);
+
+        const portfolioRisk = config.get('portfolioRisk') || {};
+        this.maxTotalPositionValue = portfolioRisk.maxTotalPositionValue || 0; // 0为不限制
+        this.maxTotalDailyLoss = portfolioRisk.maxTotalDailyLoss || 0; // 0为不限制
+
+        this.legs = new Map(); // 交易对 -> 策略实例
+        this.isHalted = false;
+        this.haltReason = null;
+        this.stats = {
+            rejectedOrders: 0,
+            checks: 0
+        };
+    }
+
+    /**
+     * 注册一个交易对的策略，其风险管理器下单前会检查组合限制
+     * @param {Object} strategy - 交易对的策略实例
+     */
+    register(strategy) {
+        const symbol = strategy.config.get('symbol');
+        this.legs.set(symbol, strategy);
+        strategy.riskManager.portfolioRisk = this;
+    }
+
+    /**
+     * 交易对当前的持仓和盈亏
+     */
+    getLegSummary(strategy) {
+        const midPrice = strategy.currentMarketData.midPrice || 0;
+        const ledger = strategy.positionLedger;
+        const unrealizedPnL = midPrice > 0 ? ledger.getUnrealizedPnL(midPrice) : 0;
+        return {
+            position: ledger.position,
+            midPrice,
+            positionValue: Math.abs(ledger.position) * midPrice,
+            dailyPnL: strategy.riskManager.riskState.dailyPnL,
+            unrealizedPnL,
+            netRealizedPnL: ledger.getNetRealizedPnL()
+        };
+    }
+
+    /**
+     * 所有交易对合计的持仓价值和当日盈亏
+     */
+    getTotals() {
+        const totals = { positionValue: 0, dailyPnL: 0, unrealizedPnL: 0, netRealizedPnL: 0 };
+        for (const strategy of this.legs.values()) {
+            const leg = this.getLegSummary(strategy);
+            totals.positionValue += leg.positionValue;
+            totals.dailyPnL += leg.dailyPnL;
+            totals.unrealizedPnL += leg.unrealizedPnL;
+            totals.netRealizedPnL += leg.netRealizedPnL;
+        }
+        // 当日亏损按已实现盈亏加当前未实现盈亏计算
+        totals.dailyLoss = totals.dailyPnL + totals.unrealizedPnL;
+        return totals;
+    }
+
+    /**
+     * 验证订单是否符合组合限制
+     * 合计持仓价值超限时只拒绝增加该交易对持仓绝对值的订单，减仓订单不受限制
+     * @returns {Object} {valid, reason, type}
+     */
+    validateOrder(symbol, side, amount, price) {
+        if (this.isHalted) {
+            return {
+                valid: false,
+                reason: `组合风险已停止交易: ${this.haltReason}`,
+                type: 'PORTFOLIO_HALTED'
+            };
+        }
+
+        const strategy = this.legs.get(symbol);
+        if (!strategy || this.maxTotalPositionValue <= 0) {
+            return { valid: true };
+        }
+
+        const position = strategy.positionLedger.position;
+        const newPosition = position + (side === 'buy' ? amount : -amount);
+        if (Math.abs(newPosition) <= Math.abs(position)) {
+            return { valid: true };
+        }
+
+        const totalValue = this.getTotals().positionValue;
+        const increase = (Math.abs(newPosition) - Math.abs(position)) * price;
+        if (totalValue + increase > this.maxTotalPositionValue) {
+            this.stats.rejectedOrders++;
+            return {
+                valid: false,
+                reason: `组合持仓价值超限: 当前 ${totalValue.toFixed(2)} + 订单 ${increase.toFixed(2)} > ${this.maxTotalPositionValue}`,
+                type: 'PORTFOLIO_POSITION_LIMIT'
+            };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * 检查合计当日亏损，达到上限时停止所有交易对
+     * @returns {boolean} 是否触发停止
+     */
+    checkLimits() {
+        this.stats.checks++;
+        if (this.isHalted || this.maxTotalDailyLoss <= 0) {
+            return false;
+        }
+
+        const totals = this.getTotals();
+        if (totals.dailyLoss <= -this.maxTotalDailyLoss) {
+            this.isHalted = true;
+            this.haltReason = `组合当日亏损 ${totals.dailyLoss.toFixed(2)} 达到上限 ${this.maxTotalDailyLoss}`;
+            this.logger.error('组合风险限制触发，停止所有交易对', {
+                reason: this.haltReason,
+                totals
+            });
+            this.emit('portfolioStop', {
+                reason: this.haltReason,
+                timestamp: new Date().toISOString(),
+                totals
+            });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 解除组合风险停止
+     */
+    resetHalt() {
+        if (!this.isHalted) {
+            return;
+        }
+        this.isHalted = false;
+        this.haltReason = null;
+        this.logger.info('组合风险停止已解除');
+    }
+
+    /**
+     * 获取组合风险状态
+     */
+    getStatus() {
+        const legs = {};
+        for (const [symbol, strategy] of this.legs) {
+            legs[symbol] = this.getLegSummary(strategy);
+        }
+        return {
+            limits: {
+                maxTotalPositionValue: this.maxTotalPositionValue,
+                maxTotalDailyLoss: this.maxTotalDailyLoss
+            },
+            totals: this.getTotals(),
+            legs,
+            isHalted: this.isHalted,
+            haltReason: this.haltReason,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = PortfolioRiskManager;
@@ -0,0 +1,352 @@
+const FINAL_STATUSES = ['closed', 'filled', 'canceled', 'rejected', 'expired'];
+const MAX_TRACKED_ORDERS = 1000;
+const EPSILON = 1e-12;
+
+/**
+ * 持仓账本
+ * 根据实际成交（订单累计成交量、成交额和手续费的增量，支持部分成交）维护持仓和成本价，
+ * 计算已实现盈亏、相对中间价的未实现盈亏和手续费合计。
+ * 成本价支持两种模式：fifo按先进先出逐笔平仓，average按加权平均成本平仓。
+ * 持仓为负时表示空头，反向成交先平仓，剩余部分按成交价开新仓
+ */
+class PositionLedger {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} logger - 日志记录器（可选）
+     */
+    constructor(config, logger = null) {
+        this.config = config;
+        this.logger = logger;
+        this.method = config.get('costBasisMethod') === 'fifo' ? 'fifo' : 'average';
+
+        this.isInitialized = false;
+        this.initialPosition = 0; // 初始化时的持仓
+        this.initialCostBasis = 0; // 初始持仓的成本价
+        this.position = 0; // 持仓数量（基础货币，负数为空头）
+        this.lots = []; // fifo模式的持仓批次 [{amount, price}]，数量为正
+        this.averageCost = 0; // average模式的平均成本价
+        this.realizedPnL = 0; // 已实现盈亏（不含手续费）
+        this.totalFees = 0; // 手续费合计（计价货币）
+        this.totalVolume = 0; // 成交额合计（计价货币）
+        this.fillCount = 0;
+
+        // 每个订单已记账的累计成交，用于从订单更新中计算成交增量
+        this.orderFills = new Map();
+    }
+
+    /**
+     * 用启动时的持仓初始化账本，成本价按当时的中间价计
+     * @param {number} amount - 持仓数量
+     * @param {number} price - 成本价
+     */
+    initialize(amount, price) {
+        this.position = 0;
+        this.lots = [];
+        this.averageCost = 0;
+        if (amount > EPSILON && price > 0) {
+            this.openPosition(amount, price);
+        }
+        this.position = amount > EPSILON ? amount : 0;
+        this.initialPosition = this.position;
+        this.initialCostBasis = price;
+        this.isInitialized = true;
+
+        this.log('info', '持仓账本已初始化', { method: this.method, position: this.position, costBasis: price });
+    }
+
+    /**
+     * 将持仓校正为实际余额（恢复的账本与交易所余额不一致时），差额按当前价格计入或移出持仓，不计已实现盈亏
+     * @param {number} amount - 实际持仓数量
+     * @param {number} price - 差额的成本价
+     * @returns {number} 校正的差额
+     */
+    rebase(amount, price) {
+        const difference = amount - this.position;
+        if (Math.abs(difference) <= EPSILON) {
+            return 0;
+        }
+
+        if (this.position !== 0 && Math.sign(amount) === Math.sign(this.position)) {
+            if (Math.abs(amount) > Math.abs(this.position)) {
+                this.openPosition(Math.abs(difference), price);
+            } else {
+                this.closePosition(Math.abs(difference), price, Math.sign(this.position));
+            }
+        } else {
+            // 原持仓为零或方向改变，按当前价格重新建仓
+            this.lots = this.method === 'fifo' && Math.abs(amount) > EPSILON ? [{ amount: Math.abs(amount), price }] : [];
+            this.averageCost = this.method === 'fifo' || Math.abs(amount) <= EPSILON ? 0 : price;
+        }
+        this.position = Math.abs(amount) > EPSILON ? amount : 0;
+        this.isInitialized = true;
+
+        this.log('warn', '持仓账本已按实际余额校正', { difference, position: this.position, price, costBasis: this.getCostBasis() });
+        return difference;
+    }
+
+    /**
+     * 根据订单更新记账，订单的filled、cost和fee为累计值
+     * @param {Object} order - ccxt格式订单
+     * @returns {Object|null} 本次记账的成交，没有新成交时返回null
+     */
+    applyOrderUpdate(order) {
+        if (!order || !order.id) {
+            return null;
+        }
+
+        const previous = this.orderFills.get(order.id) || { filled: 0, cost: 0, fee: 0, final: false };
+        if (previous.final) {
+            return null;
+        }
+
+        const filled = order.filled || 0;
+        const amount = filled - previous.filled;
+        let fill = null;
+        if (amount > EPSILON) {
+            // 优先使用累计成交额计算本次成交均价，交易所未返回成交额时使用成交均价或委托价
+            const hasCost = order.cost > 0 && order.cost > previous.cost;
+            const price = hasCost ? (order.cost - previous.cost) / amount : (order.average || order.price);
+            const feeCost = this.getFeeCost(order, price);
+            fill = this.applyFill({
+                orderId: order.id,
+                side: order.side,
+                amount,
+                price,
+                fee: Math.max(0, feeCost - previous.fee),
+                timestamp: order.lastTradeTimestamp || order.timestamp
+            });
+            this.orderFills.set(order.id, {
+                filled,
+                cost: hasCost ? order.cost : previous.cost + amount * price,
+                fee: Math.max(feeCost, previous.fee),
+                final: false
+            });
+        }
+
+        if (FINAL_STATUSES.includes(order.status)) {
+            const record = this.orderFills.get(order.id) || previous;
+            this.orderFills.delete(order.id);
+            this.orderFills.set(order.id, { ...record, final: true });
+        } else if (!this.orderFills.has(order.id)) {
+            this.orderFills.set(order.id, previous);
+        }
+        this.pruneOrderFills();
+
+        return fill;
+    }
+
+    /**
+     * 获取订单的累计手续费（折算为计价货币）
+     */
+    getFeeCost(order, price) {
+        const fees = order.fees && order.fees.length > 0 ? order.fees : (order.fee ? [order.fee] : []);
+        const baseCurrency = this.config.get('baseCurrency');
+        let total = 0;
+        for (const fee of fees) {
+            if (!fee || !(fee.cost > 0)) {
+                continue;
+            }
+            // 以基础货币收取的手续费按成交价折算
+            total += fee.currency && fee.currency === baseCurrency ? fee.cost * price : fee.cost;
+        }
+        return total;
+    }
+
+    /**
+     * 记录一笔成交
+     * @param {Object} fill - {orderId, side, amount, price, fee, timestamp}
+     * @returns {Object} 成交及本次已实现盈亏
+     */
+    applyFill(fill) {
+        const signedAmount = fill.side === 'buy' ? fill.amount : -fill.amount;
+        let realized = 0;
+
+        if (this.position === 0 || Math.sign(this.position) === Math.sign(signedAmount)) {
+            this.openPosition(fill.amount, fill.price);
+        } else {
+            // 反向成交先平仓，超出持仓的部分按成交价开新仓
+            const direction = Math.sign(this.position);
+            const closeAmount = Math.min(fill.amount, Math.abs(this.position));
+            realized = this.closePosition(closeAmount, fill.price, direction);
+            const remaining = fill.amount - closeAmount;
+            if (remaining > EPSILON) {
+                this.lots = this.method === 'fifo' ? [{ amount: remaining, price: fill.price }] : [];
+                this.averageCost = this.method === 'fifo' ? 0 : fill.price;
+            }
+        }
+
+        this.position += signedAmount;
+        if (Math.abs(this.position) < EPSILON) {
+            this.position = 0;
+            this.lots = [];
+            this.averageCost = 0;
+        }
+
+        this.realizedPnL += realized;
+        this.totalFees += fill.fee || 0;
+        this.totalVolume += fill.amount * fill.price;
+        this.fillCount++;
+        this.isInitialized = true;
+
+        const result = { ...fill, realizedPnL: realized };
+        this.log('info', '持仓账本记录成交', {
+            ...result,
+            position: this.position,
+            costBasis: this.getCostBasis(),
+            totalRealizedPnL: this.realizedPnL,
+            totalFees: this.totalFees
+        });
+        return result;
+    }
+
+    /**
+     * 增加持仓
+     */
+    openPosition(amount, price) {
+        if (this.method === 'fifo') {
+            this.lots.push({ amount, price });
+        } else {
+            const current = Math.abs(this.position);
+            this.averageCost = (current * this.averageCost + amount * price) / (current + amount);
+        }
+    }
+
+    /**
+     * 减少持仓并返回已实现盈亏
+     * @param {number} amount - 平仓数量
+     * @param {number} price - 平仓价格
+     * @param {number} direction - 原持仓方向，1为多头，-1为空头
+     */
+    closePosition(amount, price, direction) {
+        if (this.method !== 'fifo') {
+            return amount * (price - this.averageCost) * direction;
+        }
+
+        let realized = 0;
+        let remaining = amount;
+        while (remaining > EPSILON && this.lots.length > 0) {
+            const lot = this.lots[0];
+            const matched = Math.min(lot.amount, remaining);
+            realized += matched * (price - lot.price) * direction;
+            lot.amount -= matched;
+            remaining -= matched;
+            if (lot.amount <= EPSILON) {
+                this.lots.shift();
+            }
+        }
+        return realized;
+    }
+
+    /**
+     * 获取持仓成本价
+     */
+    getCostBasis() {
+        if (this.method !== 'fifo') {
+            return this.averageCost;
+        }
+        const amount = this.lots.reduce((sum, lot) => sum + lot.amount, 0);
+        return amount > EPSILON ? this.lots.reduce((sum, lot) => sum + lot.amount * lot.price, 0) / amount : 0;
+    }
+
+    /**
+     * 获取相对中间价的未实现盈亏
+     */
+    getUnrealizedPnL(midPrice) {
+        if (!(midPrice > 0) || this.position === 0) {
+            return 0;
+        }
+        return this.position * (midPrice - this.getCostBasis());
+    }
+
+    /**
+     * 获取扣除手续费后的已实现盈亏
+     */
+    getNetRealizedPnL() {
+        return this.realizedPnL - this.totalFees;
+    }
+
+    /**
+     * 获取账本摘要
+     * @param {number} midPrice - 当前中间价
+     */
+    getSummary(midPrice = 0) {
+        const unrealizedPnL = this.getUnrealizedPnL(midPrice);
+        return {
+            method: this.method,
+            position: this.position,
+            costBasis: this.getCostBasis(),
+            realizedPnL: this.realizedPnL,
+            totalFees: this.totalFees,
+            netRealizedPnL: this.getNetRealizedPnL(),
+            unrealizedPnL,
+            totalPnL: this.getNetRealizedPnL() + unrealizedPnL,
+            totalVolume: this.totalVolume,
+            fillCount: this.fillCount
+        };
+    }
+
+    /**
+     * 限制已记账订单的数量，最早的已结束订单先移除
+     */
+    pruneOrderFills() {
+        for (const [orderId, record] of this.orderFills) {
+            if (this.orderFills.size <= MAX_TRACKED_ORDERS) {
+                break;
+            }
+            if (record.final) {
+                this.orderFills.delete(orderId);
+            }
+        }
+    }
+
+    /**
+     * 导出需要持久化的账本状态
+     */
+    exportState() {
+        return {
+            method: this.method,
+            isInitialized: this.isInitialized,
+            initialPosition: this.initialPosition,
+            initialCostBasis: this.initialCostBasis,
+            position: this.position,
+            lots: this.lots,
+            averageCost: this.averageCost,
+            realizedPnL: this.realizedPnL,
+            totalFees: this.totalFees,
+            totalVolume: this.totalVolume,
+            fillCount: this.fillCount,
+            orderFills: Array.from(this.orderFills)
+        };
+    }
+
+    /**
+     * 恢复持久化的账本状态，成本价模式变更时按原持仓的成本价重建
+     */
+    restoreState(state) {
+        const { method, orderFills, lots, averageCost, ...rest } = state;
+        Object.assign(this, rest);
+        this.orderFills = new Map(orderFills || []);
+        if (method === this.method) {
+            this.lots = lots || [];
+            this.averageCost = averageCost || 0;
+        } else {
+            const costBasis = method === 'fifo'
+                ? (lots || []).reduce((sum, lot) => sum + lot.amount * lot.price, 0) / Math.max(Math.abs(this.position), EPSILON)
+                : averageCost;
+            this.lots = this.method === 'fifo' && this.position !== 0 ? [{ amount: Math.abs(this.position), price: costBasis }] : [];
+            this.averageCost = this.method === 'fifo' ? 0 : costBasis;
+        }
+        this.log('info', '持仓账本已恢复', this.getSummary());
+    }
+
+    /**
+     * 记录日志（未提供日志记录器时忽略）
+     */
+    log(level, message, data) {
+        if (this.logger) {
+            this.logger[level](message, data);
+        }
+    }
+}
+
+module.exports = PositionLedger;
@@ -0,0 +1,91 @@
+const PricingModel = require('./pricing-model');
+
+const HOURS_PER_YEAR = 365 * 24;
+
+/**
+ * Avellaneda-Stoikov定价模型
+ *
+ * 保留价：r = s − q·γ·σ²·(T−t)
+ * 最优价差：δ = γ·σ²·(T−t) + (2/γ)·ln(1 + γ/κ)
+ *
+ * 单位约定：
+ * - 在相对中间价的收益率空间计算，γ无量纲，与风险因子配置范围(0, 1]一致
+ * - σ为年化波动率（与InstantVolatilityIndicator一致），T−t按时间地平线和剩余时间比例换算为年；
+ *   有限执行时间窗口中时间地平线为窗口长度，由调用方通过timeHorizon传入
+ * - q为库存偏差占总库存（按基础货币计）的比例，与Hummingbot一致，不随账户规模变化
+ * - κ由公开成交按价格距离拟合，单位为1/价格，乘以中间价换算到收益率空间
+ *
+ * 价差限制在[minSpread, maxSpread]内，并与Hummingbot一致保证买价不高于 s·(1 − minSpread/2)、卖价不低于 s·(1 + minSpread/2)
+ */
+class AvellanedaPricingModel extends PricingModel {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'avellaneda';
+    }
+
+    /**
+     * 计算报价
+     * @returns {Object} 计算明细
+     */
+    calculate({ midPrice, volatility, kappa, inventory = 0, timeLeftFraction = 1, timeHorizon = null }) {
+        const inputs = { midPrice, volatility, kappa, inventory, timeLeftFraction };
+        const reason = this.validateInput(inputs);
+        if (reason) {
+            return { model: this.name, valid: false, reason, ...inputs };
+        }
+
+        const gamma = this.gamma;
+        const horizon = timeHorizon || this.timeHorizon;
+        const timeLeft = Math.min(Math.max(timeLeftFraction, 0), 1);
+
+        // σ²·(T−t)：剩余时间内的收益率方差
+        const variance = Math.pow(volatility, 2) * (horizon / HOURS_PER_YEAR) * timeLeft;
+
+        // 库存项 q·γ·σ²·(T−t)，限制保留价偏移幅度，避免过度偏离市场价格
+        const inventoryTerm = inventory * gamma * variance;
+        const reservationOffset = Math.max(-this.maxReservationOffset, Math.min(this.maxReservationOffset, inventoryTerm));
+        const reservationPrice = midPrice * (1 - reservationOffset);
+
+        // 风险项 γ·σ²·(T−t) 与流动性项 (2/γ)·ln(1 + γ/κ)
+        const riskTerm = gamma * variance;
+        const liquidityTerm = (2 / gamma) * Math.log(1 + gamma / (kappa * midPrice));
+        const optimalSpread = (riskTerm + liquidityTerm) * midPrice;
+
+        // 应用价差限制
+        const minSpreadAbs = midPrice * this.minSpread;
+        const maxSpreadAbs = midPrice * this.maxSpread;
+        let spreadLimit = null;
+        let spread = optimalSpread;
+        if (spread < minSpreadAbs) {
+            spread = minSpreadAbs;
+            spreadLimit = 'min';
+        } else if (spread > maxSpreadAbs) {
+            spread = maxSpreadAbs;
+            spreadLimit = 'max';
+        }
+
+        const bid = Math.min(reservationPrice - spread / 2, midPrice - minSpreadAbs / 2);
+        const ask = Math.max(reservationPrice + spread / 2, midPrice + minSpreadAbs / 2);
+
+        return {
+            model: this.name,
+            valid: true,
+            ...inputs,
+            gamma,
+            timeHorizon: horizon,
+            variance,
+            inventoryTerm,
+            reservationLimited: reservationOffset !== inventoryTerm,
+            reservationPrice,
+            riskTerm,
+            liquidityTerm,
+            optimalSpread,
+            spreadLimit,
+            spread,
+            bid,
+            ask
+        };
+    }
+}
+
+module.exports = AvellanedaPricingModel;
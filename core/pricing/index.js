@@ -0,0 +1,48 @@
+const PricingModel = require('./pricing-model');
+const AvellanedaPricingModel = require('./avellaneda-model');
+
+// 已注册的定价模型
+const pricingModels = new Map([
+    ['avellaneda', AvellanedaPricingModel]
+]);
+
+/**
+ * 注册定价模型
+ * @param {string} name - 模型名称，对应配置pricing.model
+ * @param {Function} ModelClass - 继承PricingModel的模型类
+ */
+function registerPricingModel(name, ModelClass) {
+    if (!(ModelClass.prototype instanceof PricingModel)) {
+        throw new Error(`定价模型 ${name} 必须继承PricingModel`);
+    }
+    pricingModels.set(name, ModelClass);
+}
+
+/**
+ * 根据配置创建定价模型
+ * @param {Object} config - 策略配置
+ * @returns {PricingModel} 定价模型实例
+ */
+function createPricingModel(config) {
+    const pricingConfig = config.get('pricing') || {};
+    const name = pricingConfig.model || 'avellaneda';
+    const ModelClass = pricingModels.get(name);
+    if (!ModelClass) {
+        throw new Error(`不支持的定价模型: ${name}`);
+    }
+
+    return new ModelClass({
+        gamma: config.get('riskFactor'),
+        timeHorizon: pricingConfig.timeHorizon,
+        minSpread: config.get('minSpread'),
+        maxSpread: config.get('maxSpread'),
+        maxReservationOffset: pricingConfig.maxReservationOffset
+    });
+}
+
+module.exports = {
+    PricingModel,
+    AvellanedaPricingModel,
+    registerPricingModel,
+    createPricingModel
+};
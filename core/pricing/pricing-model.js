@@ -0,0 +1,82 @@
+/**
+ * 定价模型基类
+ * 根据中间价、波动率、订单到达强度和库存计算保留价与最优价差，返回可记录和断言的计算明细。
+ * 自定义模型继承此类并实现calculate，通过core/pricing注册后在配置pricing.model中选择
+ */
+class PricingModel {
+    /**
+     * @param {Object} options
+     * @param {number} options.gamma - 风险因子γ
+     * @param {number} options.timeHorizon - 时间地平线T，单位为小时
+     * @param {number} options.minSpread - 最小价差比例
+     * @param {number} options.maxSpread - 最大价差比例
+     * @param {number} options.maxReservationOffset - 保留价相对中间价的最大偏移比例
+     */
+    constructor(options = {}) {
+        this.name = 'base';
+        this.gamma = options.gamma || 0.1;
+        this.timeHorizon = options.timeHorizon || 1;
+        this.minSpread = options.minSpread || 0.001;
+        this.maxSpread = options.maxSpread || 0.01;
+        this.maxReservationOffset = options.maxReservationOffset || 0.01;
+    }
+
+    /**
+     * 计算报价
+     * @param {Object} input
+     * @param {number} input.midPrice - 中间价
+     * @param {number} input.volatility - 波动率
+     * @param {number} input.kappa - 订单到达强度衰减系数κ
+     * @param {number} input.inventory - 标准化库存偏差q
+     * @param {number} input.timeLeftFraction - 剩余时间比例 (T−t)/T
+     * @param {number} input.timeHorizon - 时间地平线T（小时），不传时使用模型参数
+     * @returns {Object} 计算明细，valid为false时包含reason
+     */
+    calculate(input) {
+        throw new Error(`定价模型 ${this.name} 未实现calculate`);
+    }
+
+    /**
+     * 检查输入是否有效
+     * @returns {string|null} 无效原因
+     */
+    validateInput({ midPrice, volatility, kappa }) {
+        if (!(midPrice > 0)) {
+            return '中间价无效';
+        }
+        if (!(volatility > 0)) {
+            return '波动率无效';
+        }
+        if (!(kappa > 0)) {
+            return '订单到达强度尚未估计';
+        }
+        return null;
+    }
+
+    /**
+     * 更新模型参数
+     */
+    updateParameters(params) {
+        for (const key of ['gamma', 'timeHorizon', 'minSpread', 'maxSpread', 'maxReservationOffset']) {
+            if (params[key] !== undefined) {
+                this[key] = params[key];
+            }
+        }
+    }
+
+    /**
+     * 获取模型参数
+     */
+    getParameters() {
+        return {
+            model: this.name,
+            gamma: this.gamma,
+            timeHorizon: this.timeHorizon,
+            minSpread: this.minSpread,
+            maxSpread: this.maxSpread,
+            maxReservationOffset: this.maxReservationOffset
+        };
+    }
+}
+
+module.exports = PricingModel;
@@ -0,0 +1,151 @@
+const path = require('path');
+const Logger = require('../../utils/logger');
+const PartitionedNdjsonWriter = require('./ndjson-writer');
+const {
+    formatOrderBookEvent,
+    formatTickerEvent,
+    formatTradeEvent,
+    formatOrderEvent
+} = require('./schema');
+
+/**
+ * 市场数据录制器
+ * 订阅交易所管理器的订单簿、行情、公开成交和订单更新事件，写入按交易对和日期分区的NDJSON文件
+ */
+class MarketRecorder {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} exchangeManager - 交易所管理器（实盘、模拟盘均可）
+     */
+    constructor(config, exchangeManager) {
+        this.config = config;
+        this.exchangeManager = exchangeManager;
+        this.logger = new Logger(config);
+        this.recorderConfig = config.get('recorder') || {};
+        this.symbol = config.get('symbol');
+
+        this.writer = null;
+        this.registeredListeners = [];
+        this.isRecording = false;
+        this.startTime = 0;
+
+        this.counts = {
+            orderBook: 0,
+            ticker: 0,
+            trade: 0,
+            order: 0
+        };
+    }
+
+    /**
+     * 获取当前交易对的录制目录
+     */
+    getOutputPath() {
+        return path.join(this.recorderConfig.dataPath || 'data/recordings', this.symbol.replace('/', '_'));
+    }
+
+    /**
+     * 开始录制
+     */
+    start() {
+        if (this.isRecording) {
+            return;
+        }
+
+        const recorderConfig = this.recorderConfig;
+        this.writer = new PartitionedNdjsonWriter({
+            dataPath: this.getOutputPath(),
+            compress: recorderConfig.compress !== false,
+            flushInterval: recorderConfig.flushInterval,
+            logger: this.logger
+        });
+
+        if (recorderConfig.recordOrderBook !== false) {
+            this.registerListener('orderBookUpdate', (data) => {
+                this.record(formatOrderBookEvent(this.symbol, data, recorderConfig.orderBookDepth));
+            });
+        }
+        if (recorderConfig.recordTicker !== false) {
+            this.registerListener('tickerUpdate', (data) => {
+                this.record(formatTickerEvent(this.symbol, data));
+            });
+        }
+        if (recorderConfig.recordTrades !== false) {
+            // 订阅后交易所管理器才会请求公开成交
+            this.registerListener('tradeUpdate', (data) => {
+                this.record(formatTradeEvent(this.symbol, data));
+            });
+        }
+        if (recorderConfig.recordOrders !== false) {
+            this.registerListener('orderUpdate', (order) => {
+                this.record(formatOrderEvent(this.symbol, order));
+            });
+        }
+
+        this.isRecording = true;
+        this.startTime = Date.now();
+        this.logger.info('市场数据录制已启动', {
+            outputPath: this.getOutputPath(),
+            events: this.registeredListeners.map(item => item.eventName)
+        });
+    }
+
+    /**
+     * 注册事件监听器并记录，便于停止时移除
+     */
+    registerListener(eventName, listener) {
+        this.exchangeManager.on(eventName, listener);
+        this.registeredListeners.push({ eventName, listener });
+    }
+
+    /**
+     * 写入单个事件
+     */
+    record(event) {
+        if (!this.isRecording) {
+            return;
+        }
+        try {
+            this.writer.write(event);
+            this.counts[event.type]++;
+        } catch (error) {
+            this.logger.error('录制事件失败', {
+                type: event.type,
+                errorMessage: error.message
+            });
+        }
+    }
+
+    /**
+     * 停止录制并等待数据写入磁盘
+     */
+    async stop() {
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.isRecording = false;
+        for (const { eventName, listener } of this.registeredListeners) {
+            this.exchangeManager.removeListener(eventName, listener);
+        }
+        this.registeredListeners = [];
+
+        await this.writer.close();
+        this.logger.info('市场数据录制已停止', this.getStats());
+    }
+
+    /**
+     * 获取录制统计
+     */
+    getStats() {
+        return {
+            isRecording: this.isRecording,
+            outputPath: this.getOutputPath(),
+            duration: this.startTime ? Date.now() - this.startTime : 0,
+            counts: { ...this.counts },
+            ...(this.writer ? this.writer.getStats() : {})
+        };
+    }
+}
+
+module.exports = MarketRecorder;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * 按UTC日期分区的NDJSON写入器
+ * 文件路径为 <dataPath>/<YYYY-MM-DD>/<HHmmss-SSS>.ndjson[.gz]，以文件中第一个事件的时间命名，
+ * 按路径排序即为时间顺序；事件跨日时自动切换到新分区。
+ * gzip压缩时定期执行同步刷新，进程异常退出时已刷新的数据仍可读取
+ */
+class PartitionedNdjsonWriter {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataPath - 输出根目录
+     * @param {boolean} options.compress - 是否gzip压缩
+     * @param {number} options.flushInterval - 刷新间隔（毫秒）
+     * @param {Object} options.logger - 日志记录器
+     */
+    constructor({ dataPath, compress = true, flushInterval = 5000, logger = null }) {
+        this.dataPath = dataPath;
+        this.compress = compress;
+        this.flushInterval = flushInterval;
+        this.logger = logger;
+
+        this.partition = null;
+        this.filePath = null;
+        this.output = null;
+        this.fileStream = null;
+        this.flushTimer = null;
+        this.pendingCloses = [];
+
+        this.stats = {
+            files: 0,
+            events: 0,
+            errors: 0
+        };
+    }
+
+    /**
+     * 获取时间戳对应的UTC日期分区
+     */
+    static getPartition(timestamp) {
+        return new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    /**
+     * 打开新文件
+     */
+    open(timestamp) {
+        const partition = PartitionedNdjsonWriter.getPartition(timestamp);
+        const dir = path.join(this.dataPath, partition);
+        fs.mkdirSync(dir, { recursive: true });
+
+        // 文件名格式 HHmmss-SSS
+        const iso = new Date(timestamp).toISOString();
+        const time = `${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}-${iso.slice(20, 23)}`;
+        const extension = this.compress ? '.ndjson.gz' : '.ndjson';
+        let filePath = path.join(dir, `${time}${extension}`);
+        for (let index = 1; fs.existsSync(filePath); index++) {
+            filePath = path.join(dir, `${time}-${index}${extension}`);
+        }
+
+        this.fileStream = fs.createWriteStream(filePath);
+        this.fileStream.on('error', (error) => this.handleError(error));
+        if (this.compress) {
+            this.output = zlib.createGzip();
+            this.output.on('error', (error) => this.handleError(error));
+            this.output.pipe(this.fileStream);
+        } else {
+            this.output = this.fileStream;
+        }
+
+        this.partition = partition;
+        this.filePath = filePath;
+        this.stats.files++;
+
+        if (this.compress && this.flushInterval > 0 && !this.flushTimer) {
+            this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+            this.flushTimer.unref();
+        }
+
+        if (this.logger) {
+            this.logger.info('录制文件已创建', { filePath });
+        }
+    }
+
+    /**
+     * 写入单个事件
+     */
+    write(event) {
+        const timestamp = event.timestamp || Date.now();
+        const partition = PartitionedNdjsonWriter.getPartition(timestamp);
+
+        // 只向后切换分区，跨日附近的乱序事件写入当前文件
+        if (!this.output || partition > this.partition) {
+            this.pendingCloses.push(this.closeCurrent());
+            this.open(timestamp);
+        }
+
+        this.output.write(JSON.stringify(event) + '\n');
+        this.stats.events++;
+    }
+
+    /**
+     * 同步刷新压缩数据到磁盘
+     */
+    flush() {
+        if (this.output && this.compress) {
+            this.output.flush(zlib.constants.Z_SYNC_FLUSH);
+        }
+    }
+
+    /**
+     * 关闭当前文件
+     */
+    closeCurrent() {
+        const output = this.output;
+        const fileStream = this.fileStream;
+        this.output = null;
+        this.fileStream = null;
+
+        if (!output) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            fileStream.on('close', resolve);
+            fileStream.on('error', resolve);
+            output.end();
+        });
+    }
+
+    /**
+     * 关闭写入器，等待所有数据写入磁盘
+     */
+    async close() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.pendingCloses.push(this.closeCurrent());
+        await Promise.all(this.pendingCloses);
+        this.pendingCloses = [];
+    }
+
+    /**
+     * 处理写入错误
+     */
+    handleError(error) {
+        this.stats.errors++;
+        if (this.logger) {
+            this.logger.error('录制文件写入失败', {
+                filePath: this.filePath,
+                errorMessage: error.message
+            });
+        }
+    }
+
+    /**
+     * 获取写入统计
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            currentFile: this.filePath
+        };
+    }
+}
+
+module.exports = PartitionedNdjsonWriter;
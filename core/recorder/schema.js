@@ -0,0 +1,95 @@
+/**
+ * 录制数据格式定义
+ * 每个事件一行JSON，均包含schemaVersion、type、timestamp、symbol字段，
+ * 市场事件（orderBook/ticker/trade）与回测数据加载器的输入格式一致
+ *
+ * 版本1：
+ * - 订单簿：{ type: 'orderBook', bids: [[price, amount], ...], asks: [[price, amount], ...] }
+ * - 行情：  { type: 'ticker', last, bid, ask, high, low, volume }
+ * - 成交：  { type: 'trade', id, price, amount, side }
+ * - 订单：  { type: 'order', id, clientOrderId, side, orderType, price, amount, filled, remaining, average, status, fee, orderTimestamp }
+ */
+
+const RECORDING_SCHEMA_VERSION = 1;
+
+/**
+ * 订单簿事件
+ * @param {number} depth - 录制档位数，0为全部档位
+ */
+function formatOrderBookEvent(symbol, data, depth = 0) {
+    const limit = (levels) => depth > 0 ? levels.slice(0, depth) : levels;
+    return {
+        schemaVersion: RECORDING_SCHEMA_VERSION,
+        type: 'orderBook',
+        timestamp: data.timestamp || Date.now(),
+        symbol,
+        bids: limit(data.bids || []).map(([price, amount]) => [price, amount]),
+        asks: limit(data.asks || []).map(([price, amount]) => [price, amount])
+    };
+}
+
+/**
+ * 行情事件
+ */
+function formatTickerEvent(symbol, data) {
+    return {
+        schemaVersion: RECORDING_SCHEMA_VERSION,
+        type: 'ticker',
+        timestamp: data.timestamp || Date.now(),
+        symbol,
+        last: data.last,
+        bid: data.bid,
+        ask: data.ask,
+        high: data.high,
+        low: data.low,
+        volume: data.volume
+    };
+}
+
+/**
+ * 公开成交事件
+ */
+function formatTradeEvent(symbol, data) {
+    return {
+        schemaVersion: RECORDING_SCHEMA_VERSION,
+        type: 'trade',
+        timestamp: data.timestamp || Date.now(),
+        symbol,
+        id: data.id,
+        price: data.price,
+        amount: data.amount,
+        side: data.side
+    };
+}
+
+/**
+ * 订单生命周期事件（时间戳为观察到状态变化的时间）
+ */
+function formatOrderEvent(symbol, order, timestamp = Date.now()) {
+    return {
+        schemaVersion: RECORDING_SCHEMA_VERSION,
+        type: 'order',
+        timestamp,
+        symbol: order.symbol || symbol,
+        id: order.id,
+        clientOrderId: order.clientOrderId,
+        side: order.side,
+        orderType: order.type,
+        price: order.price,
+        amount: order.amount,
+        filled: order.filled,
+        remaining: order.remaining,
+        average: order.average,
+        status: order.status,
+        fee: order.fee ? order.fee.cost : undefined,
+        orderTimestamp: order.timestamp
+    };
+}
+
+module.exports = {
+    RECORDING_SCHEMA_VERSION,
+    formatOrderBookEvent,
+    formatTickerEvent,
+    formatTradeEvent,
+    formatOrderEvent
+};
@@ -1,23 +1,33 @@
 const Logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
+const PositionLedger = require('./position-ledger');
 const EventEmitter = require('events');
+const { SystemClock } = require('../utils/clock');
 
 /**
  * 风险控制管理器
  * 负责监控和管理策略的风险，包括持仓控制、止损、资金管理等
  */
 class RiskManager extends EventEmitter {
-    constructor(config) {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {PositionLedger} positionLedger - 持仓账本，盈亏按实际成交和成本价计算（未提供时自动创建）
+     * @param {Object} options - 可选参数，options.clock为时钟（默认使用系统时钟），风险检查定时器和时间戳都使用该时钟；
+     *                           options.capitalAllocation为资金分配，启用时下单检查按分配的资金计算
+     */
+    constructor(config, positionLedger = null, options = {}) {
         super();
         this.config = config;
         this.logger = new Logger(config);
+        this.clock = options.clock || new SystemClock();
+        this.positionLedger = positionLedger || new PositionLedger(config, this.logger);
+        this.capitalAllocation = options.capitalAllocation || null;
         
         // 风险配置
         this.riskConfig = {
             // 持仓限制 (百分比)
             maxPositionSizePercent: config.get('maxPositionSizePercent') || 10.0, // 最大持仓数量百分比
             maxPositionValuePercent: config.get('maxPositionValuePercent') || 50.0, // 最大持仓价值百分比
-            targetInventory: config.get('targetInventory') || 0, // 目标库存
             
             // 止损设置
             stopLossPercent: config.get('stopLossPercent') || 2.0, // 止损百分比
@@ -35,6 +45,28 @@ class RiskManager extends EventEmitter {
             emergencyStopThreshold: config.get('emergencyStopThreshold') || 10.0, // 紧急停止阈值
         };
         
+        // 分级风险应对：MEDIUM放宽价差，HIGH放宽价差并缩小订单量，持仓超限时下减仓单，条件解除并经过冷却时间后恢复参数
+        this.responseConfig = {
+            enabled: false,
+            cooldown: 300000,
+            medium: { spreadMultiplier: 1.5, orderSizeMultiplier: 1 },
+            high: { spreadMultiplier: 2, orderSizeMultiplier: 0.5 },
+            reduceOrderType: 'ioc',
+            reductionRatio: 0.5,
+            maxSlippagePct: 0.5,
+            reduceInterval: 30000,
+            ...config.get('riskResponse')
+        };
+        
+        // 风险应对状态：当前调整级别、最近一次触发时间和最近一次减仓时间
+        this.responseState = {
+            level: null,
+            reason: null,
+            since: 0,
+            lastBreachTime: 0,
+            lastReduceTime: 0
+        };
+        
         // 风险状态
         this.riskState = {
             currentPosition: 0, // 当前持仓
@@ -46,7 +78,7 @@ class RiskManager extends EventEmitter {
             maxAccountValue: 0, // 历史最高账户价值 (用于回撤计算)
             maxDrawdownReached: 0, // 达到的最大回撤
             dailyPnL: 0, // 当日盈亏
-            lastResetTime: Date.now(), // 上次重置时间
+            lastResetTime: this.clock.now(), // 上次重置时间
             isEmergencyStop: false, // 是否紧急停止
             riskAlerts: [], // 风险警报
             lastRiskCheck: 0, // 上次风险检查时间
@@ -63,6 +95,9 @@ class RiskManager extends EventEmitter {
         // 风险检查定时器
         this.riskCheckTimer = null;
         
+        // 组合风险管理器（多交易对时由PortfolioRiskManager注册），下单时检查跨交易对的合计限制
+        this.portfolioRisk = null;
+        
         this.logger.info('风险管理器已初始化', {
             riskConfig: this.riskConfig,
             maxPositionSize: this.riskConfig.maxPositionSize,
@@ -77,8 +112,8 @@ class RiskManager extends EventEmitter {
         try {
             this.logger.info('正在初始化风险管理器');
             
-            // 重置日盈亏
-            this.resetDailyPnL();
+            // 跨日时重置日盈亏（恢复的状态和重启前的当日盈亏保留）
+            this.checkDailyReset();
             
             // 启动风险检查定时器
             this.startRiskCheck();
@@ -97,10 +132,10 @@ class RiskManager extends EventEmitter {
      */
     startRiskCheck() {
         if (this.riskCheckTimer) {
-            clearInterval(this.riskCheckTimer);
+            this.clock.clearInterval(this.riskCheckTimer);
         }
         
-        this.riskCheckTimer = setInterval(() => {
+        this.riskCheckTimer = this.clock.setInterval(() => {
             this.performRiskCheck();
         }, this.riskConfig.riskCheckInterval);
         
@@ -114,7 +149,7 @@ class RiskManager extends EventEmitter {
      */
     stopRiskCheck() {
         if (this.riskCheckTimer) {
-            clearInterval(this.riskCheckTimer);
+            this.clock.clearInterval(this.riskCheckTimer);
             this.riskCheckTimer = null;
             this.logger.info('风险检查定时器已停止');
         }
@@ -125,7 +160,7 @@ class RiskManager extends EventEmitter {
      */
     async performRiskCheck() {
         try {
-            const now = Date.now();
+            const now = this.clock.now();
             this.riskState.lastRiskCheck = now;
             
             // 检查是否需要重置日盈亏
@@ -149,6 +184,9 @@ class RiskManager extends EventEmitter {
                 }
             }
             
+            // 风险条件解除后恢复策略参数
+            this.checkResponseRecovery(results);
+            
         } catch (error) {
             this.logger.error('执行风险检查时出错', error);
         }
@@ -343,7 +381,7 @@ class RiskManager extends EventEmitter {
             
             // 记录风险事件
             this.riskState.riskAlerts.push({
-                timestamp: Date.now(),
+                timestamp: this.clock.now(),
                 ...event
             });
             
@@ -364,7 +402,7 @@ class RiskManager extends EventEmitter {
             
             // 记录到历史
             this.history.riskEvents.push({
-                timestamp: Date.now(),
+                timestamp: this.clock.now(),
                 ...event
             });
             
@@ -393,8 +431,13 @@ class RiskManager extends EventEmitter {
     async handleHighRisk(event) {
         this.logger.warn('高风险事件', event);
         
-        // 减少仓位
-        await this.reducePosition(event);
+        // 放宽价差并缩小订单量
+        await this.adjustStrategyParameters(event);
+        
+        // 持仓超限时减少仓位
+        if (event.type === 'POSITION_LIMIT') {
+            await this.reducePosition(event);
+        }
         
         // 发送风险警告
         this.sendRiskWarning(event);
@@ -463,19 +506,50 @@ class RiskManager extends EventEmitter {
      */
     async reducePosition(event) {
         try {
+            if (!this.responseConfig.enabled) {
+                return;
+            }
+            
+            // 持仓超限期间每次风险检查都会触发，按减仓间隔限制下单频率
+            const now = this.clock.now();
+            if (now - this.responseState.lastReduceTime < this.responseConfig.reduceInterval) {
+                this.logger.debug('减仓间隔内，跳过本次减仓');
+                return;
+            }
+            
             this.logger.warn('因风险事件减少仓位', event);
             
-            // 计算需要减少的仓位
+            // 计算需要减少的仓位：按比例减仓，且至少减到持仓价值限制以内
             const currentPosition = this.riskState.currentPosition;
-            const reductionAmount = Math.abs(currentPosition) * 0.5; // 减少50%
+            const positionValue = Math.abs(this.riskState.currentPositionValue);
+            const maxValue = event.data?.maxValue;
+            const price = currentPosition !== 0 ? positionValue / Math.abs(currentPosition) : 0;
+            const excessAmount = price > 0 && maxValue >= 0 ? Math.max(0, positionValue - maxValue) / price : 0;
+            const reductionAmount = Math.min(
+                Math.abs(currentPosition),
+                Math.max(excessAmount, Math.abs(currentPosition) * this.responseConfig.reductionRatio)
+            );
             
             this.logger.info('仓位减少计算完成', {
                 currentPosition,
+                excessAmount,
                 reductionAmount
             });
             
-            // 这里应该通知策略减少仓位
-            // 实际实现中需要与策略模块通信
+            if (!(reductionAmount > 0)) {
+                return;
+            }
+            
+            this.responseState.lastReduceTime = now;
+            
+            // 由策略通过订单管理器下减仓单
+            this.emit('reducePosition', {
+                side: currentPosition > 0 ? 'sell' : 'buy',
+                amount: reductionAmount,
+                orderType: this.responseConfig.reduceOrderType,
+                maxSlippagePct: this.responseConfig.maxSlippagePct,
+                reason: event.type
+            });
             
         } catch (error) {
             this.logger.error('减少仓位时出错', error);
@@ -484,41 +558,102 @@ class RiskManager extends EventEmitter {
     
     /**
      * 调整策略参数
+     * 按事件级别放宽价差、缩小订单量，只在级别升高时通知策略；持续触发时刷新最近触发时间，推迟参数恢复
      */
     async adjustStrategyParameters(event) {
         try {
-            this.logger.info('因风险事件调整策略参数', event);
+            if (!this.responseConfig.enabled) {
+                return;
+            }
+            
+            const now = this.clock.now();
+            this.responseState.lastBreachTime = now;
             
-            // 根据风险事件调整参数
-            // 例如：减少订单大小、增加价差等
+            const levels = ['MEDIUM', 'HIGH'];
+            const level = event.severity === 'HIGH' ? 'HIGH' : 'MEDIUM';
+            if (this.responseState.level && levels.indexOf(level) <= levels.indexOf(this.responseState.level)) {
+                return;
+            }
+            
+            const { spreadMultiplier, orderSizeMultiplier } = this.responseConfig[level.toLowerCase()];
+            this.responseState.level = level;
+            this.responseState.reason = event.type;
+            this.responseState.since = now;
+            
+            this.logger.info('因风险事件调整策略参数', {
+                level,
+                reason: event.type,
+                spreadMultiplier,
+                orderSizeMultiplier
+            });
+            
+            this.emit('adjustParameters', {
+                level,
+                spreadMultiplier,
+                orderSizeMultiplier,
+                reason: event.type,
+                message: event.message
+            });
             
         } catch (error) {
             this.logger.error('调整策略参数时出错', error);
         }
     }
     
+    /**
+     * 风险条件解除并经过冷却时间后，通知策略恢复参数
+     * @param {Array} results - 本次风险检查结果
+     */
+    checkResponseRecovery(results) {
+        if (!this.responseState.level) {
+            return;
+        }
+        
+        const now = this.clock.now();
+        const breached = results.some(result => result.triggered && ['MEDIUM', 'HIGH'].includes(result.severity));
+        if (breached || now - this.responseState.lastBreachTime < this.responseConfig.cooldown) {
+            return;
+        }
+        
+        const { level, reason, since } = this.responseState;
+        this.responseState.level = null;
+        this.responseState.reason = null;
+        this.responseState.since = 0;
+        
+        this.logger.info('风险条件已解除，恢复策略参数', {
+            level,
+            reason,
+            duration: now - since
+        });
+        
+        this.emit('restoreParameters', { level, reason, duration: now - since });
+    }
+    
     /**
      * 发送紧急警报
      */
     sendEmergencyAlert(event) {
-        // 这里可以实现发送邮件、短信、推送通知等
         this.logger.error('紧急警报', {
             message: event.message,
             timestamp: new Date().toISOString(),
             severity: event.severity
         });
+        
+        // 由警报管理器（core/alerts）发送到已配置的通知渠道
+        this.emit('riskAlert', { level: 'critical', ...event });
     }
     
     /**
      * 发送风险警告
      */
     sendRiskWarning(event) {
-        // 这里可以实现发送风险警告
         this.logger.warn('风险警告', {
             message: event.message,
             timestamp: new Date().toISOString(),
             severity: event.severity
         });
+        
+        this.emit('riskAlert', { level: 'warning', ...event });
     }
     
     /**
@@ -532,17 +667,8 @@ class RiskManager extends EventEmitter {
         this.riskState.currentPosition = position;
         this.riskState.currentPositionValue = positionValue;
         
-        // 计算未实现盈亏
-        if (midPrice > 0) {
-            // 确保 unrealizedPnL 的计算逻辑正确，这里假设 positionValue 是基于 midPrice 计算的
-            // 如果 positionValue 已经是基于当前市价计算的，那么 unrealizedPnL 应该是 (currentPositionValue - initialCost)
-            // 但根据代码，unrealizedPnL 似乎是当前持仓的市值，这与 PnL 的定义不符。
-            // 修正：unrealizedPnL 应该是当前持仓的市值与成本价的差额。
-            // 由于这里没有成本价信息，暂时保持原样，但需要注意这可能不是严格意义上的未实现盈亏。
-            this.riskState.unrealizedPnL = position * midPrice;
-        } else {
-            this.riskState.unrealizedPnL = 0; // 如果 midPrice 无效，则未实现盈亏为0
-        }
+        // 未实现盈亏为持仓相对成本价的浮动盈亏
+        this.riskState.unrealizedPnL = this.positionLedger.getUnrealizedPnL(midPrice);
         
         // 更新总盈亏
         this.riskState.totalPnL = this.riskState.realizedPnL + this.riskState.unrealizedPnL;
@@ -563,6 +689,16 @@ class RiskManager extends EventEmitter {
         });
     }
     
+    /**
+     * 按持仓账本更新已实现盈亏、持仓和未实现盈亏
+     * @param {number} midPrice - 当前中间价
+     */
+    updateFromLedger(midPrice) {
+        const ledger = this.positionLedger;
+        this.updateRealizedPnL(ledger.getNetRealizedPnL());
+        this.updatePosition(ledger.position, ledger.position * midPrice, midPrice);
+    }
+    
     /**
      * 更新账户总价值
      */
@@ -661,15 +797,33 @@ class RiskManager extends EventEmitter {
      * 检查日重置
      */
     checkDailyReset() {
-        const now = Date.now();
+        const now = this.clock.now();
         const lastReset = this.riskState.lastResetTime;
         const oneDay = 24 * 60 * 60 * 1000; // 24小时
         
         if (now - lastReset >= oneDay) {
+            const summary = this.getDailySummary();
             this.resetDailyPnL();
+            this.emit('dailySummary', summary);
         }
     }
     
+    /**
+     * 当日盈亏汇总（日重置前发出，用于每日报告）
+     */
+    getDailySummary() {
+        const lastReset = this.riskState.lastResetTime;
+        return {
+            date: new Date(lastReset).toISOString().split('T')[0],
+            dailyPnL: this.riskState.dailyPnL,
+            realizedPnL: this.riskState.realizedPnL,
+            unrealizedPnL: this.riskState.unrealizedPnL,
+            totalPnL: this.riskState.totalPnL,
+            drawdown: this.calculateDrawdown(),
+            riskEvents: this.history.riskEvents.filter(event => event.timestamp >= lastReset).length
+        };
+    }
+    
     /**
      * 重置日盈亏
      */
@@ -684,19 +838,31 @@ class RiskManager extends EventEmitter {
         
         // 重置日盈亏
         this.riskState.dailyPnL = 0;
-        this.riskState.lastResetTime = Date.now();
+        this.riskState.lastResetTime = this.clock.now();
         
         this.logger.info('Daily PnL reset', {
             lastDailyPnL: this.history.dailyPnL[this.history.dailyPnL.length - 1]?.pnl || 0
         });
     }
     
+    /**
+     * 获取下单检查使用的账户总价值，启用资金分配时为分配资金的当前价值
+     * @param {number} price - 当前价格
+     */
+    getOrderAccountValue(price) {
+        if (this.capitalAllocation && this.capitalAllocation.enabled) {
+            return this.capitalAllocation.getTotalValue(price);
+        }
+        return this.riskState.totalAccountValue;
+    }
+    
     /**
      * 验证订单风险
+     * 启用资金分配时，balances应为策略可用的分配余额（OrderManager.getAvailableBalances），订单限制按分配资金的价值计算
      */
     validateOrder(side, amount, price, balances = null) {
         const orderValue = amount * price;
-        const totalAccountValue = this.riskState.totalAccountValue;
+        const totalAccountValue = this.getOrderAccountValue(price);
         
         // 检查紧急停止状态
         if (this.riskState.isEmergencyStop) {
@@ -707,6 +873,14 @@ class RiskManager extends EventEmitter {
             };
         }
         
+        // 组合风险检查
+        if (this.portfolioRisk) {
+            const portfolioValidation = this.portfolioRisk.validateOrder(this.config.get('symbol'), side, amount, price);
+            if (!portfolioValidation.valid) {
+                return portfolioValidation;
+            }
+        }
+        
         // 余额检查 - 这是新增的关键功能
         if (balances) {
             const baseCurrency = this.config.get('baseCurrency') || 'BTC';
@@ -771,7 +945,45 @@ class RiskManager extends EventEmitter {
         
         return { valid: true };
     }
-    
+
+    /**
+     * 导出需要持久化的风险状态（历史峰值、已实现盈亏和日盈亏）
+     */
+    exportState() {
+        return {
+            totalAccountValue: this.riskState.totalAccountValue,
+            maxAccountValue: this.riskState.maxAccountValue,
+            maxDrawdownReached: this.riskState.maxDrawdownReached,
+            realizedPnL: this.riskState.realizedPnL,
+            dailyPnL: this.riskState.dailyPnL,
+            lastResetTime: this.riskState.lastResetTime,
+            isInitialized: this.riskState.isInitialized,
+            dailyPnLHistory: this.history.dailyPnL,
+            maxDrawdowns: this.history.maxDrawdowns
+        };
+    }
+
+    /**
+     * 恢复持久化的风险状态，重启后回撤和日亏损限制继续以重启前的数据计算
+     */
+    restoreState(state) {
+        const { dailyPnLHistory, maxDrawdowns, ...riskState } = state;
+        Object.assign(this.riskState, riskState);
+        this.riskState.totalPnL = this.riskState.realizedPnL + this.riskState.unrealizedPnL;
+        this.history.dailyPnL = dailyPnLHistory || [];
+        this.history.maxDrawdowns = maxDrawdowns || [];
+
+        // 停机期间跨日时重置日盈亏
+        this.checkDailyReset();
+
+        this.logger.info('风险状态已恢复', {
+            maxAccountValue: this.riskState.maxAccountValue,
+            realizedPnL: this.riskState.realizedPnL,
+            dailyPnL: this.riskState.dailyPnL,
+            lastResetTime: new Date(this.riskState.lastResetTime).toISOString()
+        });
+    }
+
     /**
      * 获取风险状态
      */
@@ -782,6 +994,7 @@ class RiskManager extends EventEmitter {
                 ...this.riskState,
                 currentDrawdown: this.calculateDrawdown()
             },
+            response: { ...this.responseState },
             history: {
                 dailyPnLCount: this.history.dailyPnL.length,
                 riskEventsCount: this.history.riskEvents.length,
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+/**
+ * 策略状态持久化存储
+ * 快照文件（snapshot.json）加预写日志（journal.ndjson）：每次成交等关键事件先追加写入日志并同步到磁盘，
+ * 定期将完整状态写入快照（先写临时文件再重命名，保证快照文件始终完整）后清空日志。
+ * 启动时读取快照，再用日志中序号更新的最后一条完整记录覆盖，进程崩溃时最多丢失未写完的最后一行
+ */
+class StateStore {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} options
+     * @param {Object} options.clock - 时钟，定期快照的定时器和记录时间都使用该时钟
+     * @param {Object} options.logger - 日志记录器
+     */
+    constructor(config, { clock, logger }) {
+        this.config = config;
+        this.clock = clock;
+        this.logger = logger;
+
+        const options = config.get('stateStore') || {};
+        // 回测每次从头回放，不读写持久化状态
+        this.enabled = options.enabled === true && config.get('tradingMode') !== 'backtest';
+        this.snapshotInterval = options.snapshotInterval || 60000;
+        this.maxJournalEntries = options.maxJournalEntries || 1000;
+
+        // 按交易模式和交易对区分状态目录，模拟盘状态不会覆盖实盘状态
+        const symbol = (config.get('symbol') || '').replace('/', '_');
+        this.dir = path.join(options.path || 'data/state', `${config.get('tradingMode') || 'live'}-${symbol}`);
+        this.snapshotPath = path.join(this.dir, 'snapshot.json');
+        this.journalPath = path.join(this.dir, 'journal.ndjson');
+
+        this.providers = new Map(); // 状态提供者 name -> {exportState, restoreState}
+        this.sequence = 0;
+        this.journalEntries = 0;
+        this.snapshotTimer = null;
+        this.stats = {
+            journalWrites: 0,
+            snapshots: 0,
+            errors: 0,
+            restoredAt: null
+        };
+    }
+
+    /**
+     * 注册需要持久化的组件
+     * @param {string} name - 状态名称
+     * @param {Object} provider - 实现exportState()和restoreState(state)的组件
+     */
+    register(name, provider) {
+        this.providers.set(name, provider);
+    }
+
+    /**
+     * 收集所有组件的当前状态
+     */
+    collectState() {
+        const state = {};
+        for (const [name, provider] of this.providers) {
+            state[name] = provider.exportState();
+        }
+        return state;
+    }
+
+    /**
+     * 读取快照和日志，恢复各组件状态
+     * @returns {boolean} 是否恢复了已保存的状态
+     */
+    load() {
+        if (!this.enabled) {
+            return false;
+        }
+
+        let record = null;
+        try {
+            if (fs.existsSync(this.snapshotPath)) {
+                record = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+            }
+        } catch (error) {
+            this.stats.errors++;
+            this.logger.error('读取状态快照失败，忽略快照', { path: this.snapshotPath, error: error.message });
+        }
+
+        // 日志中的记录按序号递增追加，取序号大于快照的最后一条完整记录
+        for (const entry of this.readJournal()) {
+            if (!record || entry.sequence > record.sequence) {
+                record = entry;
+            }
+        }
+
+        if (!record || record.version !== STATE_VERSION || !record.state) {
+            this.logger.info('没有可恢复的策略状态', { dir: this.dir });
+            return false;
+        }
+
+        this.sequence = record.sequence;
+        for (const [name, provider] of this.providers) {
+            if (record.state[name] === undefined) {
+                continue;
+            }
+            try {
+                provider.restoreState(record.state[name]);
+            } catch (error) {
+                this.stats.errors++;
+                this.logger.error('恢复组件状态失败', { name, error: error.message });
+            }
+        }
+
+        this.stats.restoredAt = record.timestamp;
+        this.logger.info('已恢复策略状态', {
+            dir: this.dir,
+            sequence: record.sequence,
+            savedAt: new Date(record.timestamp).toISOString(),
+            reason: record.reason,
+            components: Object.keys(record.state)
+        });
+        console.log(`💾 已恢复策略状态 | 保存于 ${new Date(record.timestamp).toISOString()} (${record.reason})`);
+
+        // 合并为新快照，后续日志从空文件开始
+        this.snapshot('restored');
+        return true;
+    }
+
+    /**
+     * 读取日志中的完整记录，跳过崩溃时未写完的行
+     */
+    readJournal() {
+        if (!fs.existsSync(this.journalPath)) {
+            return [];
+        }
+        const entries = [];
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                this.logger.warn('跳过不完整的状态日志记录', { path: this.journalPath, length: line.length });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * 创建状态记录
+     */
+    createRecord(reason) {
+        this.sequence++;
+        return {
+            version: STATE_VERSION,
+            sequence: this.sequence,
+            timestamp: this.clock.now(),
+            reason,
+            state: this.collectState()
+        };
+    }
+
+    /**
+     * 将当前状态追加到预写日志（成交等关键事件后调用）
+     * @param {string} reason - 保存原因
+     */
+    save(reason) {
+        if (!this.enabled) {
+            return;
+        }
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            const fd = fs.openSync(this.journalPath, 'a');
+            try {
+                fs.writeSync(fd, JSON.stringify(this.createRecord(reason)) + '\n');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            this.journalEntries++;
+            this.stats.journalWrites++;
+        } catch (error) {
+            this.stats.errors++;
+            this.logger.error('写入状态日志失败', { reason, error: error.message });
+            return;
+        }
+
+        // 日志过长时合并为快照
+        if (this.journalEntries >= this.maxJournalEntries) {
+            this.snapshot('journalCompaction');
+        }
+    }
+
+    /**
+     * 写入完整状态快照并清空日志
+     * @param {string} reason - 保存原因
+     */
+    snapshot(reason = 'periodic') {
+        if (!this.enabled) {
+            return;
+        }
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            const tempPath = `${this.snapshotPath}.tmp`;
+            const fd = fs.openSync(tempPath, 'w');
+            try {
+                fs.writeSync(fd, JSON.stringify(this.createRecord(reason), null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempPath, this.snapshotPath);
+            // 快照已包含日志中的全部状态，日志可以清空
+            fs.writeFileSync(this.journalPath, '');
+            this.journalEntries = 0;
+            this.stats.snapshots++;
+            this.logger.debug('策略状态快照已保存', { reason, sequence: this.sequence });
+        } catch (error) {
+            this.stats.errors++;
+            this.logger.error('保存状态快照失败', { reason, error: error.message });
+        }
+    }
+
+    /**
+     * 启动定期快照
+     */
+    start() {
+        if (!this.enabled || this.snapshotTimer) {
+            return;
+        }
+        this.snapshotTimer = this.clock.setInterval(() => this.snapshot('periodic'), this.snapshotInterval);
+        this.logger.info('状态定期快照已启动', { dir: this.dir, interval: this.snapshotInterval });
+    }
+
+    /**
+     * 停止定期快照并保存最终状态
+     */
+    stop() {
+        if (this.snapshotTimer) {
+            this.clock.clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+        this.snapshot('stopped');
+    }
+
+    /**
+     * 获取存储状态
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            dir: this.dir,
+            sequence: this.sequence,
+            journalEntries: this.journalEntries,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = StateStore;
@@ -1,9 +1,15 @@
 const AvellanedaCalculator = require('./calculator');
 const { IndicatorsManager } = require('./indicators');
+const { createPricingModel } = require('./pricing');
 const ExchangeManager = require('./exchange');
+const PaperExchangeManager = require('./paper-exchange');
 const RiskManager = require('./risk-manager');
+const PositionLedger = require('./position-ledger');
+const CapitalAllocation = require('./capital-allocation');
+const StateStore = require('./state-store');
 const Helpers = require('../utils/helpers');
 const Logger = require('../utils/logger');
+const { SystemClock } = require('../utils/clock');
 const EventEmitter = require('events');
 
 // 导入策略子模块
@@ -12,22 +18,47 @@ const OrderManager = require('./strategy/order-manager');
 const DataManager = require('./strategy/data-manager');
 const StrategyCore = require('./strategy/strategy-core');
 const LifecycleManager = require('./strategy/lifecycle-manager');
+const ExecutionTimeframe = require('./strategy/execution-timeframe');
+const InventoryUnwinder = require('./strategy/inventory-unwinder');
+const InventoryTarget = require('./strategy/inventory-target');
 
 /**
  * Avellaneda做市策略核心逻辑
  * 重构后的版本，使用模块化架构
  */
 class AvellanedaStrategy extends EventEmitter {
-    constructor(config) {
+    /**
+     * @param {Object} config - 策略配置
+     * @param {Object} options - 可选依赖注入
+     * @param {Object} options.exchangeManager - 交易所管理器（回测/模拟盘时替换）
+     * @param {Object} options.clock - 时钟（默认使用系统时钟）
+     */
+    constructor(config, options = {}) {
         super();
         this.config = config;
         this.logger = new Logger(config);
+        this.clock = options.clock || new SystemClock();
         
-        // 初始化核心组件
-        this.exchangeManager = new ExchangeManager(config);
-        this.calculator = new AvellanedaCalculator(config, this.exchangeManager);
+        // 初始化核心组件（模拟盘模式下订单在本地撮合）
+        this.exchangeManager = options.exchangeManager || (config.get('tradingMode') === 'paper'
+            ? new PaperExchangeManager(config, this.clock)
+            : new ExchangeManager(config, { clock: this.clock }));
+        // 定价模型由策略核心和计算器共用
+        this.pricingModel = createPricingModel(config);
+        // 目标库存的唯一来源，由计算器按库存目标模式计算
+        this.inventoryTarget = new InventoryTarget(config.get('inventoryTarget'), {
+            symbol: config.get('symbol'),
+            clock: this.clock,
+            logger: this.logger
+        });
+        this.calculator = new AvellanedaCalculator(config, this.exchangeManager, this.pricingModel, this.inventoryTarget);
+        this.executionTimeframe = new ExecutionTimeframe(config.get('executionTimeframe'));
         this.indicators = new IndicatorsManager(config);
-        this.riskManager = new RiskManager(config);
+        // 持仓账本按实际成交计算成本价和盈亏，风险管理器据此检查止损和日亏损
+        this.positionLedger = new PositionLedger(config, this.logger);
+        // 共用账户时策略只使用分配的资金，库存和下单风险检查按分配的资金计算
+        this.capitalAllocation = new CapitalAllocation(config, this.logger);
+        this.riskManager = new RiskManager(config, this.positionLedger, { clock: this.clock, capitalAllocation: this.capitalAllocation });
         
         // 初始化策略子模块
         this.eventHandler = new EventHandler(this);
@@ -35,6 +66,17 @@ class AvellanedaStrategy extends EventEmitter {
         this.dataManager = new DataManager(this);
         this.strategyCore = new StrategyCore(this);
         this.lifecycleManager = new LifecycleManager(this);
+        // 停止时按停止策略调整库存
+        this.inventoryUnwinder = new InventoryUnwinder(this);
+        
+        // 状态持久化：重启后恢复盈亏、历史峰值和订单历史
+        this.stateStore = new StateStore(config, { clock: this.clock, logger: this.logger });
+        this.stateStore.register('risk', this.riskManager);
+        this.stateStore.register('ledger', this.positionLedger);
+        this.stateStore.register('capital', this.capitalAllocation);
+        this.stateStore.register('orders', this.orderManager);
+        this.stateStore.register('core', this.strategyCore);
+        this.stateStore.register('inventoryTarget', this.inventoryTarget);
         
         // 策略状态
         this.isRunning = false;
@@ -61,12 +103,19 @@ class AvellanedaStrategy extends EventEmitter {
         this.strategyState = {
             currentPrice: 0,
             volatility: 0,
+            alpha: 0,
+            kappa: 0,
+            kappaSource: 'none',
+            intensityTradeCount: 0,
             currentInventory: 0,
             targetInventory: 0,
             totalInventoryValue: 0,
             optimalBid: 0,
             optimalAsk: 0,
             currentSpread: 0,
+            pricing: null,
+            referencePrice: null,
+            transactionCosts: null,
             lastCalculationTime: 0,
             executionCount: 0,
             averageExecutionTime: 0
@@ -95,6 +144,9 @@ class AvellanedaStrategy extends EventEmitter {
                 throw new Error('配置验证失败');
             }
             
+            // 恢复上次运行保存的状态
+            this.stateStore.load();
+            
             // 初始化交易所连接
             await this.exchangeManager.initialize();
             
@@ -174,9 +226,10 @@ class AvellanedaStrategy extends EventEmitter {
 
     /**
      * 停止策略
+     * @param {Object} options - {emergency: 是否为紧急停止（使用紧急停止的库存处理策略）, reason: 停止原因}
      */
-    async stop() {
-        return await this.lifecycleManager.stop();
+    async stop(options = {}) {
+        return await this.lifecycleManager.stop(options);
     }
 
     /**
@@ -231,10 +284,28 @@ class AvellanedaStrategy extends EventEmitter {
             // 订单数据
             orders: {
                 active: activeOrders,
+                hanging: this.orderManager.getHangingOrders(),
                 history: orderHistory,
-                activeCount: activeOrders.length
+                activeCount: activeOrders.length,
+                hangingOrders: this.orderManager.hangingOrdersTracker.getStatus(),
+                fills: this.orderManager.fillTracker.getStatus()
             },
             
+            // 持仓盈亏
+            pnl: this.positionLedger.getSummary(this.currentMarketData.midPrice),
+            
+            // 资金分配
+            capital: this.capitalAllocation.getStatus(this.currentMarketData.midPrice),
+            
+            // 目标库存
+            inventoryTarget: this.inventoryTarget.getStatus(),
+            
+            // 停止时的库存调整
+            shutdown: this.inventoryUnwinder.getStatus(),
+            
+            // 状态持久化
+            stateStore: this.stateStore.getStatus(),
+            
             // 组件状态
             components: {
                 exchange: {
@@ -245,7 +316,7 @@ class AvellanedaStrategy extends EventEmitter {
             },
             
             // 时间戳
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
     }
 
@@ -258,10 +329,12 @@ class AvellanedaStrategy extends EventEmitter {
             lifecycle: this.lifecycleManager.getStatus(),
             orders: {
                 activeCount: this.orderManager.getActiveOrdersCount(),
+                hangingCount: this.orderManager.getHangingOrders().length,
                 historyCount: this.orderManager.getOrderHistory().length
             },
             market: this.dataManager.getMarketDataSummary(),
-            account: this.dataManager.getBalanceSummary()
+            account: this.dataManager.getBalanceSummary(),
+            pnl: this.positionLedger.getSummary(this.currentMarketData.midPrice)
         };
     }
 
@@ -274,10 +347,21 @@ class AvellanedaStrategy extends EventEmitter {
             throw new Error(`参数验证失败: ${validation.errors.join(', ')}`);
         }
         
-        this.strategyCore.updateParameters(params);
+        this.strategyCore.updateBaseParameters(params);
         this.logger.info('策略参数已更新', params);
     }
 
+    /**
+     * 设置外部库存目标（external模式），立即重新计算目标库存
+     * @param {Object} signal - {baseAmount} 或 {basePercent}
+     * @returns {Object} 库存目标状态
+     */
+    setInventoryTarget(signal) {
+        this.inventoryTarget.setSignal(signal, 'api');
+        this.dataManager.updateTargetInventory();
+        return this.inventoryTarget.getStatus();
+    }
+
     /**
      * 获取当前策略参数
      */
@@ -350,7 +434,7 @@ class AvellanedaStrategy extends EventEmitter {
      * 工具函数：睡眠
      */
     sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return this.clock.sleep(ms);
     }
 }
 
@@ -11,6 +11,7 @@ class DataManager {
         this.lastMarketDataUpdate = 0;
         this.lastBalanceUpdate = 0;
         this.lastIndicatorUpdate = 0;
+        this.ledgerReconciled = false; // 持仓账本是否已与首次获取的余额核对
         
         // 数据更新间隔配置
         this.marketDataUpdateInterval = this.config.get('marketDataUpdateInterval') || 1000; // 1秒
@@ -23,7 +24,7 @@ class DataManager {
      */
     async updateMarketData() {
         try {
-            const now = Date.now();
+            const now = this.strategy.clock.now();
             
             // 检查更新间隔
             if (now - this.lastMarketDataUpdate < this.marketDataUpdateInterval) {
@@ -70,6 +71,9 @@ class DataManager {
             // 更新策略状态中的当前价格
             this.strategy.strategyState.currentPrice = midPrice;
             
+            // 参考价格和订单流不平衡指标使用本次获取的订单簿和最新成交价
+            this.strategy.indicators.updateOrderBook(orderbook, ticker.last, now);
+            
             this.lastMarketDataUpdate = now;
             
             this.logger.debug('市场数据更新完成', {
@@ -94,7 +98,7 @@ class DataManager {
      */
     async updateBalances() {
         try {
-            const now = Date.now();
+            const now = this.strategy.clock.now();
             
             // 检查更新间隔
             if (now - this.lastBalanceUpdate < this.balanceUpdateInterval) {
@@ -124,26 +128,42 @@ class DataManager {
                 timestamp: now
             };
             
-            // 计算当前库存
+            // 计算当前库存，启用资金分配时只计算分配给策略的资金
+            const allocation = this.strategy.capitalAllocation;
+            allocation.checkAccountBalances(balances);
+            const inventory = allocation.enabled ? allocation.base : baseBalance.total;
+            const quoteAmount = allocation.enabled ? allocation.quote : quoteBalance.total;
             const currentPrice = this.strategy.currentMarketData?.midPrice || 0;
             if (currentPrice > 0) {
                 // 计算总库存价值（以报价货币计算）
-                const baseValue = baseBalance.total * currentPrice;
-                const quoteValue = quoteBalance.total;
+                const baseValue = inventory * currentPrice;
+                const quoteValue = quoteAmount;
                 const totalValue = baseValue + quoteValue;
                 
                 // 更新策略状态中的库存信息
-                this.strategy.strategyState.currentInventory = baseBalance.total;
+                this.strategy.strategyState.currentInventory = inventory;
                 this.strategy.strategyState.totalInventoryValue = totalValue;
                 
-                // 计算目标库存（通常是总价值的一半转换为基础资产）
-                this.strategy.strategyState.targetInventory = (totalValue / 2) / currentPrice;
+                // 按库存目标模式计算目标库存
+                this.updateTargetInventory();
+                
+                // 首次获取余额时以当前中间价作为已有持仓的成本价，之后持仓由成交记账；
+                // 账本已有记录（从状态存储恢复）时，首次获取余额后与实际余额核对
+                const ledger = this.strategy.positionLedger;
+                if (!ledger.isInitialized) {
+                    ledger.initialize(inventory, currentPrice);
+                } else if (!this.ledgerReconciled) {
+                    this.reconcileLedger(inventory, currentPrice);
+                }
+                this.ledgerReconciled = true;
+                this.strategy.riskManager.updatePosition(ledger.position, ledger.position * currentPrice, currentPrice);
                 
                 this.logger.debug('余额和库存信息更新完成', {
                     baseAsset: baseAsset,
                     quoteAsset: quoteAsset,
                     baseBalance: baseBalance.total.toFixed(6),
                     quoteBalance: quoteBalance.total.toFixed(2),
+                    capitalAllocation: allocation.enabled,
                     currentInventory: this.strategy.strategyState.currentInventory.toFixed(6),
                     targetInventory: this.strategy.strategyState.targetInventory.toFixed(6),
                     totalValue: totalValue.toFixed(2),
@@ -162,12 +182,50 @@ class DataManager {
         }
     }
 
+    /**
+     * 核对恢复的持仓账本与实际余额（启用资金分配时为分配的基础货币），差额超过数量精度时按余额校正
+     * @param {number} inventory - 实际持仓数量
+     * @param {number} currentPrice - 当前中间价，作为差额的成本价
+     */
+    reconcileLedger(inventory, currentPrice) {
+        const ledger = this.strategy.positionLedger;
+        const marketInfo = this.strategy.exchangeManager.getMarketInfo();
+        const tolerance = marketInfo?.precision?.amount || 0;
+        const difference = inventory - ledger.position;
+        if (Math.abs(difference) <= tolerance) {
+            return;
+        }
+
+        this.logger.warn('恢复的持仓账本与实际余额不一致，按余额校正', {
+            ledgerPosition: ledger.position,
+            balance: inventory,
+            difference,
+            tolerance,
+            capitalAllocation: this.strategy.capitalAllocation.enabled
+        });
+        console.log(`⚠️ 持仓账本与余额不一致 (账本 ${ledger.position.toFixed(6)} / 余额 ${inventory.toFixed(6)})，已按余额校正`);
+        ledger.rebase(inventory, currentPrice);
+    }
+
+    /**
+     * 按库存目标模式重新计算目标库存（external模式同时检查信号文件是否更新）
+     * @returns {number} 目标库存
+     */
+    updateTargetInventory() {
+        const { totalInventoryValue } = this.strategy.strategyState;
+        const currentPrice = this.strategy.currentMarketData?.midPrice || 0;
+        if (currentPrice > 0 && totalInventoryValue > 0) {
+            this.strategy.strategyState.targetInventory = this.strategy.calculator.calculateTargetInventory(totalInventoryValue, currentPrice);
+        }
+        return this.strategy.strategyState.targetInventory;
+    }
+
     /**
      * 更新技术指标
      */
     async updateIndicators() {
         try {
-            const now = Date.now();
+            const now = this.strategy.clock.now();
             
             // 检查更新间隔
             if (now - this.lastIndicatorUpdate < this.indicatorUpdateInterval) {
@@ -185,16 +243,8 @@ class DataManager {
             // 更新技术指标
             this.strategy.indicators.updatePrice(this.strategy.currentMarketData.midPrice, now);
             
-            // 更新订单簿数据到交易强度指标
-            if (this.strategy.currentMarketData.orderbook && 
-                this.strategy.currentMarketData.orderbook.bids && 
-                this.strategy.currentMarketData.orderbook.asks) {
-                this.strategy.indicators.updateOrderBook(
-                    this.strategy.currentMarketData.orderbook.bids,
-                    this.strategy.currentMarketData.orderbook.asks,
-                    now
-                );
-            }
+            // 以本周期中间价为参考，归档上一周期以来的公开成交
+            this.strategy.indicators.updateTradingIntensity(this.strategy.currentMarketData.midPrice, now);
             
             // 获取更新后的指标值
             const indicatorValues = this.strategy.indicators.getCurrentValues();
@@ -204,10 +254,19 @@ class DataManager {
                 this.strategy.strategyState.volatility = indicatorValues.volatility;
             }
             
+            // 更新策略状态中的订单到达强度参数，拟合无效时指标保留上次估计，样本不足时可使用备用κ
+            this.strategy.strategyState.alpha = indicatorValues.alpha;
+            this.strategy.strategyState.kappa = indicatorValues.kappa;
+            this.strategy.strategyState.kappaSource = indicatorValues.kappaSource;
+            this.strategy.strategyState.intensityTradeCount = indicatorValues.tradeCount;
+            
             this.lastIndicatorUpdate = now;
             
             this.logger.debug('技术指标更新完成', {
                 volatility: this.strategy.strategyState.volatility?.toFixed(6),
+                alpha: this.strategy.strategyState.alpha,
+                kappa: this.strategy.strategyState.kappa,
+                kappaSource: this.strategy.strategyState.kappaSource,
                 indicatorCount: Object.keys(indicatorValues).length,
                 midPrice: this.strategy.currentMarketData.midPrice.toFixed(2)
             });
@@ -225,7 +284,7 @@ class DataManager {
      * 检查数据是否需要更新
      */
     needsUpdate() {
-        const now = Date.now();
+        const now = this.strategy.clock.now();
         
         const needsMarketData = (now - this.lastMarketDataUpdate) >= this.marketDataUpdateInterval;
         const needsBalance = (now - this.lastBalanceUpdate) >= this.balanceUpdateInterval;
@@ -262,7 +321,7 @@ class DataManager {
      * 获取数据更新状态
      */
     getUpdateStatus() {
-        const now = Date.now();
+        const now = this.strategy.clock.now();
         
         return {
             marketData: {
@@ -314,7 +373,7 @@ class DataManager {
             spread: data.bestAsk - data.bestBid,
             spreadPercent: ((data.bestAsk - data.bestBid) / data.midPrice * 100).toFixed(4),
             timestamp: data.timestamp,
-            age: Date.now() - data.timestamp
+            age: this.strategy.clock.now() - data.timestamp
         };
     }
 
@@ -343,11 +402,14 @@ class DataManager {
                 used: quoteBalance?.used || 0,
                 total: quoteBalance?.total || 0
             },
+            allocated: this.strategy.capitalAllocation.enabled
+                ? { [baseAsset]: this.strategy.capitalAllocation.base, [quoteAsset]: this.strategy.capitalAllocation.quote }
+                : null,
             currentInventory: this.strategy.strategyState?.currentInventory || 0,
             targetInventory: this.strategy.strategyState?.targetInventory || 0,
             totalValue: this.strategy.strategyState?.totalInventoryValue || 0,
             timestamp: this.strategy.currentBalances.timestamp,
-            age: Date.now() - this.strategy.currentBalances.timestamp
+            age: this.strategy.clock.now() - this.strategy.currentBalances.timestamp
         };
     }
 }
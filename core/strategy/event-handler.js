@@ -8,6 +8,20 @@ class EventHandler extends EventEmitter {
         super();
         this.strategy = strategy;
         this.logger = strategy.logger;
+        
+        // 已注册的监听器记录，用于停止时移除
+        this.registeredListeners = [];
+        
+        // 风险应对按顺序执行（先撤单释放余额、再下减仓单）
+        this.riskResponseQueue = Promise.resolve();
+    }
+
+    /**
+     * 注册监听器并记录，便于后续移除
+     */
+    registerListener(emitter, eventName, listener) {
+        emitter.on(eventName, listener);
+        this.registeredListeners.push({ emitter, eventName, listener });
     }
 
     /**
@@ -17,31 +31,43 @@ class EventHandler extends EventEmitter {
         const { exchangeManager } = this.strategy;
 
         // 监听订单簿更新
-        exchangeManager.on('orderBookUpdate', (data) => {
+        this.registerListener(exchangeManager, 'orderBookUpdate', (data) => {
             this.handleOrderBookUpdate(data);
         });
 
         // 监听价格更新
-        exchangeManager.on('tickerUpdate', (data) => {
+        this.registerListener(exchangeManager, 'tickerUpdate', (data) => {
             this.handleTickerUpdate(data);
         });
 
+        // 监听公开成交，用于估计订单到达强度（订阅后交易所管理器才会请求公开成交）
+        this.registerListener(exchangeManager, 'tradeUpdate', (data) => {
+            this.handleTradeUpdate(data);
+        });
+
         // 监听余额更新
-        exchangeManager.on('balanceUpdate', (data) => {
+        this.registerListener(exchangeManager, 'balanceUpdate', (data) => {
             this.handleBalanceUpdate(data);
         });
 
         // 监听订单更新
-        exchangeManager.on('orderUpdate', (data) => {
+        this.registerListener(exchangeManager, 'orderUpdate', (data) => {
             this.handleOrderUpdate(data);
         });
 
+        // 监听账户成交（实盘），部分成交无需等待订单状态查询
+        if (exchangeManager.needsFillTracking && exchangeManager.needsFillTracking()) {
+            this.registerListener(exchangeManager, 'fill', (data) => {
+                this.strategy.orderManager.handleFill(data);
+            });
+        }
+
         // 监听连接状态变化
-        exchangeManager.on('connectionLost', () => {
+        this.registerListener(exchangeManager, 'connectionLost', () => {
             this.handleConnectionLost();
         });
 
-        exchangeManager.on('connectionRestored', () => {
+        this.registerListener(exchangeManager, 'connectionRestored', () => {
             this.handleConnectionRestored();
         });
     }
@@ -53,14 +79,38 @@ class EventHandler extends EventEmitter {
         const { riskManager } = this.strategy;
 
         // 监听紧急停止信号
-        riskManager.on('emergencyStop', (data) => {
+        this.registerListener(riskManager, 'emergencyStop', (data) => {
             this.handleEmergencyStop(data);
         });
 
         // 监听策略停止信号
-        riskManager.on('strategyStop', (data) => {
+        this.registerListener(riskManager, 'strategyStop', (data) => {
             this.handleStrategyStop(data);
         });
+
+        // 监听风险应对：调整参数、恢复参数和减仓
+        this.registerListener(riskManager, 'adjustParameters', (data) => {
+            this.enqueueRiskResponse(() => this.handleAdjustParameters(data));
+        });
+
+        this.registerListener(riskManager, 'restoreParameters', (data) => {
+            this.enqueueRiskResponse(() => this.handleRestoreParameters(data));
+        });
+
+        this.registerListener(riskManager, 'reducePosition', (data) => {
+            this.enqueueRiskResponse(() => this.strategy.orderManager.reducePosition(data));
+        });
+    }
+
+    /**
+     * 风险应对任务排队执行，出错不影响后续任务
+     * @returns {Promise} 本任务完成
+     */
+    enqueueRiskResponse(task) {
+        this.riskResponseQueue = this.riskResponseQueue.then(task).catch(error => {
+            this.logger.error('执行风险应对时出错', { errorMessage: error.message });
+        });
+        return this.riskResponseQueue;
     }
 
     /**
@@ -72,6 +122,17 @@ class EventHandler extends EventEmitter {
         this.logger.info('事件监听器设置完成');
     }
 
+    /**
+     * 移除所有已注册的事件监听器
+     */
+    removeEventListeners() {
+        for (const { emitter, eventName, listener } of this.registeredListeners) {
+            emitter.removeListener(eventName, listener);
+        }
+        this.registeredListeners = [];
+        this.logger.info('事件监听器已移除');
+    }
+
     /**
      * 处理订单簿更新
      */
@@ -110,6 +171,18 @@ class EventHandler extends EventEmitter {
         }
     }
 
+    /**
+     * 处理公开成交
+     */
+    handleTradeUpdate(data) {
+        try {
+            this.strategy.indicators.updateTrade(data);
+            
+        } catch (error) {
+            this.logger.error('处理公开成交时出错', error);
+        }
+    }
+
     /**
      * 处理余额更新
      */
@@ -141,7 +214,7 @@ class EventHandler extends EventEmitter {
         this.logger.info('交易所连接恢复，继续策略执行');
         
         // 等待连接稳定后再同步挂单，避免在连接不稳定时同步失败
-        setTimeout(async () => {
+        this.strategy.clock.setTimeout(async () => {
             try {
                 this.logger.info('开始同步交易所订单状态...');
                 await this.strategy.orderManager.syncActiveOrdersFromExchange();
@@ -188,6 +261,31 @@ class EventHandler extends EventEmitter {
         this.strategy.emit('strategyStop', data);
     }
 
+    /**
+     * 处理风险应对参数调整：放宽价差、缩小订单量，撤销现有报价后按新参数重新报价
+     */
+    async handleAdjustParameters(data) {
+        this.strategy.strategyCore.applyRiskAdjustment(data);
+        console.warn(`🛡️ 风险应对 (${data.level}/${data.reason}) | 价差×${data.spreadMultiplier} | 订单量×${data.orderSizeMultiplier}`);
+        
+        await this.strategy.orderManager.cancelActiveOrders();
+        this.strategy.forceOrderUpdate = true;
+    }
+
+    /**
+     * 处理风险条件解除：恢复参数，撤销减仓挂单和现有报价后按原参数重新报价
+     */
+    async handleRestoreParameters(data) {
+        if (!this.strategy.strategyCore.restoreRiskAdjustment()) {
+            return;
+        }
+        console.log(`✅ 风险条件已解除 (${data.reason})，策略参数已恢复`);
+        
+        await this.strategy.orderManager.cancelReduceOrders();
+        await this.strategy.orderManager.cancelActiveOrders();
+        this.strategy.forceOrderUpdate = true;
+    }
+
     /**
      * 处理订单更新
      */
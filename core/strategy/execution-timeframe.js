@@ -0,0 +1,122 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const EXECUTION_TIMEFRAME_MODES = ['infinite', 'daily_between_times', 'from_date_to_date'];
+
+/**
+ * 执行时间窗口
+ * 对应Hummingbot的execution_timeframe_mode：
+ * - infinite：一直运行，剩余时间比例固定为1
+ * - daily_between_times：每天在startTime到endTime之间运行（UTC），结束时间早于开始时间时跨越午夜
+ * - from_date_to_date：在startDatetime到endDatetime之间运行一次
+ *
+ * 有限时间窗口中，时间地平线T为窗口长度，剩余时间比例为 (T−t)/T
+ */
+class ExecutionTimeframe {
+    /**
+     * @param {Object} options - 配置executionTimeframe
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'infinite';
+        if (!EXECUTION_TIMEFRAME_MODES.includes(this.mode)) {
+            throw new Error(`不支持的执行时间模式: ${this.mode}`);
+        }
+
+        if (this.mode === 'daily_between_times') {
+            this.startOffset = ExecutionTimeframe.parseTimeOfDay(options.startTime, 'startTime');
+            this.endOffset = ExecutionTimeframe.parseTimeOfDay(options.endTime, 'endTime');
+            // 开始和结束时间相同时视为全天运行
+            this.windowLength = ((this.endOffset - this.startOffset) + DAY_MS) % DAY_MS || DAY_MS;
+        } else if (this.mode === 'from_date_to_date') {
+            this.startTimestamp = ExecutionTimeframe.parseDatetime(options.startDatetime, 'startDatetime');
+            this.endTimestamp = ExecutionTimeframe.parseDatetime(options.endDatetime, 'endDatetime');
+            if (this.endTimestamp <= this.startTimestamp) {
+                throw new Error('执行时间窗口的endDatetime必须晚于startDatetime');
+            }
+        }
+    }
+
+    /**
+     * 解析每日时间 HH:mm[:ss]（UTC）
+     * @returns {number} 距离当天零点的毫秒数
+     */
+    static parseTimeOfDay(value, name) {
+        const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value || '').trim());
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+            throw new Error(`执行时间窗口的${name}格式无效，应为HH:mm或HH:mm:ss: ${value}`);
+        }
+        return ((Number(match[1]) * 60 + Number(match[2])) * 60 + Number(match[3] || 0)) * 1000;
+    }
+
+    /**
+     * 解析日期时间（ISO格式或时间戳）
+     * @returns {number} 时间戳
+     */
+    static parseDatetime(value, name) {
+        const timestamp = typeof value === 'number' ? value : Date.parse(value);
+        if (!Number.isFinite(timestamp)) {
+            throw new Error(`执行时间窗口的${name}格式无效: ${value}`);
+        }
+        return timestamp;
+    }
+
+    /**
+     * 获取包含指定时间的窗口，不在窗口内时返回下一个窗口
+     * @returns {Object} {start, end}
+     */
+    getWindow(timestamp) {
+        if (this.mode === 'from_date_to_date') {
+            return { start: this.startTimestamp, end: this.endTimestamp };
+        }
+
+        const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS;
+        // 跨越午夜的窗口可能从前一天开始
+        for (const start of [dayStart - DAY_MS + this.startOffset, dayStart + this.startOffset]) {
+            if (timestamp >= start && timestamp < start + this.windowLength) {
+                return { start, end: start + this.windowLength };
+            }
+        }
+        const nextStart = dayStart + this.startOffset > timestamp
+            ? dayStart + this.startOffset
+            : dayStart + DAY_MS + this.startOffset;
+        return { start: nextStart, end: nextStart + this.windowLength };
+    }
+
+    /**
+     * 获取指定时间的执行状态
+     * @param {number} timestamp - 当前时间戳
+     * @returns {Object} {mode, inWindow, timeLeftFraction, timeLeft, closingTime, timeHorizon, windowStart, windowEnd}
+     */
+    getState(timestamp) {
+        if (this.mode === 'infinite') {
+            return {
+                mode: this.mode,
+                inWindow: true,
+                timeLeftFraction: 1,
+                timeLeft: null,
+                closingTime: null,
+                timeHorizon: null,
+                windowStart: null,
+                windowEnd: null
+            };
+        }
+
+        const { start, end } = this.getWindow(timestamp);
+        const closingTime = end - start;
+        const inWindow = timestamp >= start && timestamp < end;
+        const timeLeft = inWindow ? end - timestamp : 0;
+
+        return {
+            mode: this.mode,
+            inWindow,
+            timeLeftFraction: timeLeft / closingTime,
+            timeLeft,
+            closingTime,
+            timeHorizon: closingTime / HOUR_MS,
+            windowStart: start,
+            windowEnd: end
+        };
+    }
+}
+
+module.exports = ExecutionTimeframe;
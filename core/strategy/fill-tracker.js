@@ -0,0 +1,191 @@
+const EPSILON = 1e-12;
+const MAX_SEEN_FILLS = 1000;
+const PENDING_FILL_TTL = 60000; // 未知订单的成交最多暂存1分钟
+
+/**
+ * 订单成交跟踪器
+ * 将交易所的账户成交事件（推送或查询增量，每笔成交一条）按订单汇总为累计成交量、成交额和手续费，
+ * 生成与交易所订单格式一致的订单更新交给OrderManager.handleOrderUpdate，部分成交也会立即更新。
+ * 成交按ID去重；下单请求返回前到达的成交先暂存，订单记录后再处理
+ */
+class FillTracker {
+    constructor(strategy) {
+        this.strategy = strategy;
+        this.logger = strategy.logger;
+
+        this.orders = new Map(); // 订单ID -> 累计成交 {filled, cost, fees, includedUntil, lastTradeTimestamp}
+        this.seenFillIds = new Set();
+        this.pendingFills = new Map(); // 订单ID -> 暂存的成交
+        this.stats = {
+            fills: 0,
+            duplicates: 0,
+            pending: 0,
+            orderUpdates: 0
+        };
+    }
+
+    /**
+     * 处理一条成交事件
+     * @param {Object} fill - 成交 {id, order, side, amount, price, cost, fee, fees, timestamp}
+     * @returns {Object|null} 生成的订单更新
+     */
+    handleFill(fill) {
+        if (!fill || !fill.id || !fill.order) {
+            return null;
+        }
+        if (this.seenFillIds.has(fill.id)) {
+            this.stats.duplicates++;
+            return null;
+        }
+        this.seenFillIds.add(fill.id);
+        if (this.seenFillIds.size > MAX_SEEN_FILLS) {
+            this.seenFillIds.delete(this.seenFillIds.values().next().value);
+        }
+        this.stats.fills++;
+
+        const localOrder = this.findOrder(fill.order);
+        if (!localOrder) {
+            this.addPendingFill(fill);
+            return null;
+        }
+        return this.applyFill(localOrder, fill);
+    }
+
+    /**
+     * 查找本地跟踪的订单（常规报价、挂起订单或减仓订单）
+     */
+    findOrder(orderId) {
+        const { orderManager } = this.strategy;
+        return orderManager.activeOrders.get(orderId) ||
+            orderManager.hangingOrdersTracker.hangingOrders.get(orderId) ||
+            orderManager.getReduceOrders().find(order => order.id === orderId) ||
+            null;
+    }
+
+    /**
+     * 将成交累加到订单并发出订单更新
+     */
+    applyFill(localOrder, fill) {
+        let total = this.orders.get(localOrder.id);
+        // 首次成交或订单更新（推送或查询）已包含更多成交时，以本地订单的累计成交为基础
+        if (!total || (localOrder.filled || 0) > total.filled + EPSILON) {
+            total = {
+                filled: localOrder.filled || 0,
+                cost: localOrder.cost || 0,
+                fees: this.getOrderFees(localOrder),
+                includedUntil: localOrder.lastTradeTimestamp || 0,
+                lastTradeTimestamp: localOrder.lastTradeTimestamp || 0
+            };
+            this.orders.set(localOrder.id, total);
+        }
+        // 早于订单最近成交时间的成交已包含在订单的累计成交中
+        if (fill.timestamp && fill.timestamp <= total.includedUntil) {
+            this.stats.duplicates++;
+            return null;
+        }
+
+        total.filled += fill.amount;
+        total.cost += typeof fill.cost === 'number' ? fill.cost : fill.amount * fill.price;
+        const fees = fill.fees && fill.fees.length > 0 ? fill.fees : (fill.fee ? [fill.fee] : []);
+        for (const fee of fees) {
+            if (fee && fee.cost) {
+                total.fees.set(fee.currency, (total.fees.get(fee.currency) || 0) + fee.cost);
+            }
+        }
+        total.lastTradeTimestamp = Math.max(total.lastTradeTimestamp, fill.timestamp || 0);
+
+        const amount = localOrder.amount || total.filled;
+        const remaining = Math.max(0, amount - total.filled);
+        const feeList = Array.from(total.fees, ([currency, cost]) => ({ currency, cost }));
+        const update = {
+            ...localOrder,
+            filled: total.filled,
+            remaining,
+            cost: total.cost,
+            average: total.filled > 0 ? total.cost / total.filled : localOrder.average,
+            fee: feeList[0],
+            fees: feeList,
+            lastTradeTimestamp: total.lastTradeTimestamp,
+            status: remaining <= amount * 1e-9 ? 'closed' : localOrder.status
+        };
+        if (update.status === 'closed') {
+            this.orders.delete(localOrder.id);
+        }
+
+        this.stats.orderUpdates++;
+        this.logger.info('收到订单成交', {
+            orderId: localOrder.id,
+            tradeId: fill.id,
+            side: fill.side,
+            amount: fill.amount,
+            price: fill.price,
+            filled: update.filled,
+            remaining: update.remaining,
+            status: update.status
+        });
+        this.strategy.orderManager.handleOrderUpdate(update);
+        return update;
+    }
+
+    /**
+     * 订单已有的手续费（按币种）
+     */
+    getOrderFees(order) {
+        const fees = new Map();
+        const list = order.fees && order.fees.length > 0 ? order.fees : (order.fee ? [order.fee] : []);
+        for (const fee of list) {
+            if (fee && fee.cost) {
+                fees.set(fee.currency, (fees.get(fee.currency) || 0) + fee.cost);
+            }
+        }
+        return fees;
+    }
+
+    /**
+     * 暂存尚未记录的订单的成交（下单请求返回前成交已推送）
+     */
+    addPendingFill(fill) {
+        const now = this.strategy.clock.now();
+        for (const [orderId, pending] of this.pendingFills) {
+            if (now - pending.receivedAt > PENDING_FILL_TTL) {
+                this.pendingFills.delete(orderId);
+            }
+        }
+        const pending = this.pendingFills.get(fill.order) || { receivedAt: now, fills: [] };
+        pending.fills.push(fill);
+        this.pendingFills.set(fill.order, pending);
+        this.stats.pending++;
+        this.logger.debug('成交对应的订单尚未记录，暂存成交', { orderId: fill.order, tradeId: fill.id });
+    }
+
+    /**
+     * 订单记录后处理暂存的成交
+     * @param {string} orderId - 订单ID
+     */
+    flushPendingFills(orderId) {
+        const pending = this.pendingFills.get(orderId);
+        if (!pending) {
+            return;
+        }
+        this.pendingFills.delete(orderId);
+        for (const fill of pending.fills) {
+            const localOrder = this.findOrder(orderId);
+            if (localOrder) {
+                this.applyFill(localOrder, fill);
+            }
+        }
+    }
+
+    /**
+     * 获取跟踪器状态
+     */
+    getStatus() {
+        return {
+            trackedOrders: this.orders.size,
+            pendingOrders: this.pendingFills.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = FillTracker;
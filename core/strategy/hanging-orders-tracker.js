@@ -0,0 +1,194 @@
+const ccxt = require('ccxt');
+
+const FINAL_STATUSES = ['filled', 'closed', 'canceled', 'rejected', 'expired'];
+
+/**
+ * 挂起订单跟踪器
+ * 对应Hummingbot的HangingOrdersTracker：同一档位的买单和卖单组成订单对，其中一侧完全成交后，
+ * 另一侧订单转为挂起订单，不随常规报价刷新撤销，直到价格偏离中间价超过hangingOrders.cancelPct
+ */
+class HangingOrdersTracker {
+    constructor(strategy) {
+        this.strategy = strategy;
+        this.logger = strategy.logger;
+        this.config = strategy.config;
+
+        const options = this.config.get('hangingOrders') || {};
+        this.enabled = options.enabled === true;
+        this.cancelPct = (options.cancelPct !== undefined ? options.cancelPct : 10) / 100;
+
+        this.currentPairs = []; // 当前报价的订单对 [{buy, sell}]，元素为订单ID
+        this.hangingOrders = new Map(); // 挂起订单
+        this.stats = {
+            created: 0,
+            filled: 0,
+            cancelled: 0
+        };
+    }
+
+    /**
+     * 记录最新一轮报价的订单对
+     * @param {Array<Object>} pairs - [{buy, sell}] 同一档位的买卖单ID
+     */
+    setCurrentPairs(pairs) {
+        this.currentPairs = this.enabled ? pairs : [];
+    }
+
+    /**
+     * 判断订单是否为挂起订单
+     */
+    isHangingOrder(orderId) {
+        return this.hangingOrders.has(orderId);
+    }
+
+    /**
+     * 订单完全成交时，将同一订单对的另一侧从常规报价中移出，转为挂起订单
+     * @param {Object} order - 已成交订单
+     * @param {Map} activeOrders - 常规报价的活跃订单
+     * @returns {Object|null} 转为挂起订单的订单
+     */
+    handleFilledOrder(order, activeOrders) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const index = this.currentPairs.findIndex(pair => pair.buy === order.id || pair.sell === order.id);
+        if (index === -1) {
+            return null;
+        }
+        const [pair] = this.currentPairs.splice(index, 1);
+        const counterpartId = pair.buy === order.id ? pair.sell : pair.buy;
+        const counterpart = activeOrders.get(counterpartId);
+        if (!counterpart || FINAL_STATUSES.includes(counterpart.status)) {
+            return null;
+        }
+
+        activeOrders.delete(counterpartId);
+        this.hangingOrders.set(counterpartId, counterpart);
+        this.stats.created++;
+
+        this.logger.info('订单对一侧成交，另一侧转为挂起订单', {
+            filledOrderId: order.id,
+            hangingOrderId: counterpartId,
+            side: counterpart.side,
+            amount: counterpart.amount,
+            price: counterpart.price,
+            cancelPct: this.cancelPct * 100
+        });
+        console.log(`🪝 挂起订单 #${String(counterpartId).slice(-6)} | ${counterpart.side === 'buy' ? '买' : '卖'} ${counterpart.amount}@${counterpart.price}`);
+        return counterpart;
+    }
+
+    /**
+     * 更新挂起订单状态，进入终态的订单停止跟踪
+     */
+    updateOrder(order) {
+        if (!this.hangingOrders.has(order.id)) {
+            return;
+        }
+        if (FINAL_STATUSES.includes(order.status)) {
+            this.removeOrder(order.id, order.status);
+        } else {
+            this.hangingOrders.set(order.id, order);
+        }
+    }
+
+    /**
+     * 停止跟踪挂起订单
+     * @param {string} orderId - 订单ID
+     * @param {string} reason - 原因（订单状态）
+     */
+    removeOrder(orderId, reason) {
+        if (!this.hangingOrders.delete(orderId)) {
+            return;
+        }
+        if (reason === 'filled' || reason === 'closed') {
+            this.stats.filled++;
+        } else {
+            this.stats.cancelled++;
+        }
+        this.logger.info('挂起订单结束跟踪', { orderId, reason });
+    }
+
+    /**
+     * 撤销价格偏离中间价超过阈值的挂起订单
+     * @param {number} midPrice - 当前中间价
+     * @returns {Array<string>} 已撤销的订单ID
+     */
+    async processTick(midPrice) {
+        if (this.hangingOrders.size === 0 || !(midPrice > 0)) {
+            return [];
+        }
+
+        const cancelled = [];
+        for (const [orderId, order] of Array.from(this.hangingOrders)) {
+            const distance = Math.abs(order.price - midPrice) / midPrice;
+            if (distance <= this.cancelPct) {
+                continue;
+            }
+            try {
+                await this.strategy.exchangeManager.cancelOrder(orderId, this.config.get('symbol'));
+                this.removeOrder(orderId, 'canceled');
+                cancelled.push(orderId);
+                this.logger.info('挂起订单偏离中间价过远，已撤销', {
+                    orderId,
+                    side: order.side,
+                    price: order.price,
+                    midPrice,
+                    distance: (distance * 100).toFixed(4) + '%',
+                    cancelPct: this.cancelPct * 100
+                });
+                console.log(`🗑️ 撤销挂起订单 #${String(orderId).slice(-6)} | 偏离中间价 ${(distance * 100).toFixed(2)}%`);
+            } catch (error) {
+                this.logger.warn('撤销挂起订单失败', {
+                    orderId,
+                    error: error.message
+                });
+            }
+        }
+        return cancelled;
+    }
+
+    /**
+     * 撤销所有挂起订单
+     * 撤单失败（订单不存在除外）的订单继续跟踪，下次撤单时重试
+     */
+    async cancelAll() {
+        this.currentPairs = [];
+        for (const orderId of Array.from(this.hangingOrders.keys())) {
+            try {
+                await this.strategy.exchangeManager.cancelOrder(orderId, this.config.get('symbol'));
+                this.logger.debug('挂起订单已撤销', { orderId });
+            } catch (error) {
+                if (!(error instanceof ccxt.OrderNotFound)) {
+                    this.logger.warn('撤销挂起订单失败，继续跟踪', { orderId, error: error.message });
+                    continue;
+                }
+                this.logger.warn('挂起订单不存在，停止跟踪', { orderId, error: error.message });
+            }
+            this.removeOrder(orderId, 'canceled');
+        }
+    }
+
+    /**
+     * 获取挂起订单列表
+     */
+    getHangingOrders() {
+        return Array.from(this.hangingOrders.values());
+    }
+
+    /**
+     * 获取跟踪器状态
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            cancelPct: this.cancelPct * 100,
+            hangingCount: this.hangingOrders.size,
+            currentPairs: this.currentPairs.length,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = HangingOrdersTracker;
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const { SystemClock } = require('../../utils/clock');
+
+const INVENTORY_TARGET_MODES = ['percentage', 'amount', 'external'];
+
+/**
+ * 目标库存
+ * 策略中目标库存的唯一来源，支持三种模式：
+ * - percentage：基础货币价值占组合总价值的basePercent%（对应Hummingbot的inventory_target_base_pct）
+ * - amount：固定的基础货币数量baseAmount
+ * - external：运行时由外部信号设置，信号来自signalFile或控制接口，内容为{baseAmount}或{basePercent}；
+ *   没有信号或信号超过signalMaxAge时按basePercent计算
+ *
+ * 目标库存不超过按当前价格计算的总价值可持有的基础货币数量
+ */
+class InventoryTarget {
+    /**
+     * @param {Object} options - 配置inventoryTarget
+     * @param {Object} deps
+     * @param {string} deps.symbol - 交易对，信号文件按交易对分别设置时使用
+     * @param {Object} deps.clock - 时钟
+     * @param {Object} deps.logger - 日志
+     */
+    constructor(options = {}, deps = {}) {
+        this.mode = options.mode || 'percentage';
+        if (!INVENTORY_TARGET_MODES.includes(this.mode)) {
+            throw new Error(`不支持的库存目标模式: ${this.mode}`);
+        }
+        this.basePercent = options.basePercent === undefined ? 50 : options.basePercent;
+        this.baseAmount = options.baseAmount || 0;
+        this.signalFile = options.signalFile || null;
+        this.signalMaxAge = options.signalMaxAge || 0;
+
+        this.symbol = deps.symbol || null;
+        this.clock = deps.clock || new SystemClock();
+        this.logger = deps.logger || null;
+
+        // 外部信号 {baseAmount | basePercent, source, timestamp}
+        this.signal = null;
+        this.signalFileMtime = 0;
+        this.signalFileError = null;
+        this.lastTarget = null;
+    }
+
+    /**
+     * 验证外部信号
+     * @param {Object} value - {baseAmount} 或 {basePercent}，可带timestamp
+     * @returns {Object} {valid, errors}
+     */
+    static validateSignal(value) {
+        const errors = [];
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push('inventory target signal must be an object with baseAmount or basePercent');
+            return { valid: false, errors };
+        }
+
+        const hasAmount = value.baseAmount !== undefined;
+        const hasPercent = value.basePercent !== undefined;
+        if (hasAmount === hasPercent) {
+            errors.push('inventory target signal must set exactly one of baseAmount or basePercent');
+        }
+        if (hasAmount && !(typeof value.baseAmount === 'number' && value.baseAmount >= 0)) {
+            errors.push('baseAmount must be a non-negative number');
+        }
+        if (hasPercent && !(typeof value.basePercent === 'number' && value.basePercent >= 0 && value.basePercent <= 100)) {
+            errors.push('basePercent must be a number between 0 and 100');
+        }
+        if (value.timestamp !== undefined && !Number.isFinite(value.timestamp)) {
+            errors.push('timestamp must be a number');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * 设置外部信号
+     * @param {Object} value - {baseAmount} 或 {basePercent}，timestamp为信号生成时间（默认为当前时间）
+     * @param {string} source - 信号来源 api | file
+     */
+    setSignal(value, source = 'api') {
+        if (this.mode !== 'external') {
+            throw new Error(`库存目标模式为${this.mode}，只有external模式可以设置外部信号`);
+        }
+        const validation = InventoryTarget.validateSignal(value);
+        if (!validation.valid) {
+            throw new Error(`外部库存目标无效: ${validation.errors.join(', ')}`);
+        }
+
+        this.signal = {
+            ...(value.baseAmount !== undefined ? { baseAmount: value.baseAmount } : { basePercent: value.basePercent }),
+            source,
+            timestamp: value.timestamp !== undefined ? value.timestamp : this.clock.now()
+        };
+        if (this.logger) {
+            this.logger.info('外部库存目标已更新', { symbol: this.symbol, ...this.signal });
+        }
+        return this.signal;
+    }
+
+    /**
+     * 信号文件更新后重新读取
+     * 文件内容为信号对象，或按交易对分别设置 {"BTC/USDT": {...}}；读取失败时保留上一个信号
+     */
+    refreshSignalFile() {
+        if (!this.signalFile) {
+            return;
+        }
+
+        let mtime;
+        try {
+            mtime = fs.statSync(this.signalFile).mtimeMs;
+        } catch (error) {
+            this.reportSignalFileError(`信号文件不存在: ${this.signalFile}`);
+            return;
+        }
+        if (mtime === this.signalFileMtime) {
+            return;
+        }
+        this.signalFileMtime = mtime;
+
+        try {
+            const content = JSON.parse(fs.readFileSync(this.signalFile, 'utf8'));
+            const value = this.symbol && content && typeof content[this.symbol] === 'object' ? content[this.symbol] : content;
+            // 文件中没有时间戳时以文件修改时间作为信号时间
+            this.setSignal({ timestamp: Math.floor(mtime), ...value }, 'file');
+            this.signalFileError = null;
+        } catch (error) {
+            this.reportSignalFileError(`读取信号文件失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 记录信号文件错误（相同错误只记录一次）
+     */
+    reportSignalFileError(message) {
+        if (this.signalFileError !== message && this.logger) {
+            this.logger.warn(message, { symbol: this.symbol, signalFile: this.signalFile });
+        }
+        this.signalFileError = message;
+    }
+
+    /**
+     * 当前有效的外部信号，过期时返回null
+     */
+    getActiveSignal() {
+        if (!this.signal) {
+            return null;
+        }
+        if (this.signalMaxAge > 0 && this.clock.now() - this.signal.timestamp > this.signalMaxAge) {
+            return null;
+        }
+        return this.signal;
+    }
+
+    /**
+     * 计算目标库存
+     * @param {number} totalValue - 组合总价值（计价货币）
+     * @param {number} price - 当前价格
+     * @returns {Object} {targetInventory, basePercent, source}
+     */
+    calculate(totalValue, price) {
+        if (!(totalValue > 0) || !(price > 0)) {
+            return { targetInventory: 0, basePercent: 0, source: this.mode };
+        }
+
+        let source = this.mode;
+        let targetInventory;
+        if (this.mode === 'amount') {
+            targetInventory = this.baseAmount;
+        } else if (this.mode === 'external') {
+            this.refreshSignalFile();
+            const signal = this.getActiveSignal();
+            if (signal) {
+                source = signal.source;
+                targetInventory = signal.baseAmount !== undefined ? signal.baseAmount : (totalValue * signal.basePercent / 100) / price;
+            } else {
+                source = 'fallback';
+                targetInventory = (totalValue * this.basePercent / 100) / price;
+            }
+        } else {
+            targetInventory = (totalValue * this.basePercent / 100) / price;
+        }
+
+        const maxInventory = totalValue / price;
+        const clamped = targetInventory > maxInventory;
+        if (clamped) {
+            targetInventory = maxInventory;
+        }
+
+        this.lastTarget = {
+            targetInventory,
+            basePercent: (targetInventory * price / totalValue) * 100,
+            source,
+            clamped
+        };
+        return this.lastTarget;
+    }
+
+    /**
+     * 计算目标库存数量
+     * @param {number} totalValue - 组合总价值（计价货币）
+     * @param {number} price - 当前价格
+     * @returns {number} 目标库存（基础货币）
+     */
+    getTargetInventory(totalValue, price) {
+        return this.calculate(totalValue, price).targetInventory;
+    }
+
+    /**
+     * 导出控制接口设置的信号（信号文件在重启后重新读取）
+     */
+    exportState() {
+        return {
+            signal: this.signal && this.signal.source === 'api' ? this.signal : null
+        };
+    }
+
+    /**
+     * 恢复控制接口设置的信号
+     */
+    restoreState(state) {
+        if (this.mode === 'external' && state.signal && InventoryTarget.validateSignal(state.signal).valid) {
+            this.signal = { ...state.signal };
+        }
+    }
+
+    /**
+     * 获取库存目标状态
+     */
+    getStatus() {
+        return {
+            mode: this.mode,
+            basePercent: this.basePercent,
+            baseAmount: this.baseAmount,
+            signalFile: this.signalFile,
+            signalMaxAge: this.signalMaxAge,
+            signal: this.signal,
+            signalActive: !!this.getActiveSignal(),
+            signalFileError: this.signalFileError,
+            lastTarget: this.lastTarget
+        };
+    }
+}
+
+InventoryTarget.MODES = INVENTORY_TARGET_MODES;
+
+module.exports = InventoryTarget;
@@ -0,0 +1,269 @@
+const EPSILON = 1e-12;
+
+/**
+ * 停止时的库存调整器
+ * 撤单后按停止策略把库存调整到目标库存（执行时间窗口外的库存调整也使用aggressive策略）：
+ * - none: 保留现有库存
+ * - passive: 在己方最优价挂限价单，每隔repriceInterval按最新盘口重新挂单，直到完成或超时
+ * - aggressive: 下IOC单吃单，最多maxAttempts次
+ * 所有价格都不超过相对开始调整时中间价的maxSlippagePct。
+ * 结束后按持仓账本记录的成交计算调整成本（相对开始时中间价的滑点成本加手续费）
+ */
+class InventoryUnwinder {
+    constructor(strategy) {
+        this.strategy = strategy;
+        this.logger = strategy.logger;
+        this.config = strategy.config;
+
+        this.shutdownConfig = {
+            policy: 'none',
+            emergencyPolicy: 'none',
+            timeout: 60000,
+            repriceInterval: 5000,
+            maxSlippagePct: 0.5,
+            maxAttempts: 3,
+            ...this.config.get('shutdown')
+        };
+
+        this.isUnwinding = false;
+        this.lastReport = null;
+    }
+
+    /**
+     * 获取停止策略，紧急停止可以使用不同的策略
+     * @param {boolean} emergency - 是否为紧急停止
+     */
+    getPolicy(emergency = false) {
+        return emergency ? this.shutdownConfig.emergencyPolicy : this.shutdownConfig.policy;
+    }
+
+    /**
+     * 按停止策略调整库存（调用前应已撤销报价挂单）
+     * @param {string} policy - none、passive或aggressive
+     * @param {string} reason - 停止原因
+     * @returns {Promise<Object|null>} 调整报告，无需调整时返回null
+     */
+    async unwind(policy, reason) {
+        if (!policy || policy === 'none') {
+            this.logger.info('停止策略为none，保留现有库存', { reason });
+            return null;
+        }
+        if (this.isUnwinding) {
+            this.logger.warn('库存调整进行中，忽略重复请求', { policy, reason });
+            return null;
+        }
+
+        this.isUnwinding = true;
+        try {
+            await this.refreshData();
+
+            const { currentInventory, targetInventory } = this.strategy.strategyState;
+            const referencePrice = this.strategy.currentMarketData.midPrice;
+            const side = currentInventory > targetInventory ? 'sell' : 'buy';
+            const targetAmount = Math.abs(currentInventory - targetInventory);
+            const minAmount = this.getMinAmount();
+            if (!(referencePrice > 0) || !(targetAmount > EPSILON) || targetAmount < minAmount) {
+                this.logger.info('库存已接近目标或缺少价格，停止时无需调整', {
+                    policy,
+                    reason,
+                    currentInventory,
+                    targetInventory,
+                    referencePrice,
+                    minAmount
+                });
+                return null;
+            }
+
+            const baseCurrency = this.config.get('baseCurrency');
+            this.logger.warn('调整库存到目标库存', { policy, reason, side, targetAmount, referencePrice, currentInventory, targetInventory });
+            console.log(`⚖️ 调整库存 (${reason}, ${policy}) | ${side === 'buy' ? '买入' : '卖出'} ${targetAmount.toFixed(6)} ${baseCurrency} | 参考价 ${referencePrice.toFixed(2)}`);
+
+            const ledger = this.strategy.positionLedger;
+            const run = {
+                policy,
+                reason,
+                side,
+                targetAmount,
+                minAmount,
+                referencePrice,
+                // 滑点上限：卖出不低于、买入不高于该价格
+                limitPrice: side === 'sell'
+                    ? referencePrice * (1 - this.shutdownConfig.maxSlippagePct / 100)
+                    : referencePrice * (1 + this.shutdownConfig.maxSlippagePct / 100),
+                startPosition: ledger.position,
+                startVolume: ledger.totalVolume,
+                startFees: ledger.totalFees,
+                startTime: this.strategy.clock.now(),
+                orders: 0
+            };
+
+            if (policy === 'passive') {
+                await this.unwindPassive(run);
+            } else {
+                await this.unwindAggressive(run);
+            }
+            await this.strategy.orderManager.cancelReduceOrders();
+
+            const report = this.buildReport(run);
+            this.lastReport = report;
+            this.logger.warn('库存调整完成', report);
+            const quoteCurrency = this.config.get('quoteCurrency');
+            console.log(`⚖️ 库存调整${report.completed ? '完成' : '未完成'} | 成交 ${report.filledAmount.toFixed(6)}/${targetAmount.toFixed(6)} ${baseCurrency}` +
+                `${report.filledAmount > 0 ? ` | 均价 ${report.averagePrice.toFixed(2)}` : ''}` +
+                ` | 成本 ${report.totalCost.toFixed(4)} ${quoteCurrency} (${report.costBps.toFixed(2)} bps)`);
+            return report;
+
+        } catch (error) {
+            this.logger.error('库存调整失败', {
+                policy,
+                reason,
+                errorMessage: error.message
+            });
+            console.log(`❌ 库存调整失败: ${error.message}`);
+            return null;
+        } finally {
+            this.isUnwinding = false;
+        }
+    }
+
+    /**
+     * 被动调整：在己方最优价挂限价单，到期撤单后按最新盘口重新挂单
+     * 盘口缺少己方最优价时跳过本轮挂单，等待下一轮
+     */
+    async unwindPassive(run) {
+        const { timeout, repriceInterval } = this.shutdownConfig;
+        const deadline = run.startTime + timeout;
+        const orderManager = this.strategy.orderManager;
+
+        while (this.strategy.clock.now() < deadline) {
+            const remaining = this.getRemaining(run);
+            if (remaining < run.minAmount || remaining <= EPSILON) {
+                break;
+            }
+
+            await this.refreshData();
+            const { bestBid, bestAsk } = this.strategy.currentMarketData;
+            const bestPrice = run.side === 'sell' ? bestAsk : bestBid;
+            if (bestPrice > 0) {
+                const price = run.side === 'sell'
+                    ? Math.max(bestPrice, run.limitPrice)
+                    : Math.min(bestPrice, run.limitPrice);
+                const order = await orderManager.placeReduceOrder({ side: run.side, amount: remaining, price, orderType: 'limit', reason: run.reason });
+                if (order) {
+                    run.orders++;
+                }
+            } else {
+                this.logger.warn('盘口缺少己方最优价，跳过本轮挂单', { side: run.side, bestBid, bestAsk, reason: run.reason });
+            }
+
+            await this.strategy.clock.sleep(Math.min(repriceInterval, Math.max(0, deadline - this.strategy.clock.now())));
+            await orderManager.cancelReduceOrders();
+        }
+    }
+
+    /**
+     * 主动调整：按滑点上限下IOC单，未成交部分在重试间隔后再次下单
+     */
+    async unwindAggressive(run) {
+        const { timeout, repriceInterval, maxAttempts } = this.shutdownConfig;
+        const deadline = run.startTime + timeout;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const remaining = this.getRemaining(run);
+            if (remaining < run.minAmount || remaining <= EPSILON) {
+                break;
+            }
+
+            await this.refreshData();
+            const order = await this.strategy.orderManager.placeReduceOrder({
+                side: run.side,
+                amount: remaining,
+                price: run.limitPrice,
+                orderType: 'ioc',
+                reason: run.reason
+            });
+            if (order) {
+                run.orders++;
+            }
+
+            const now = this.strategy.clock.now();
+            if (attempt === maxAttempts || now >= deadline || this.getRemaining(run) < run.minAmount) {
+                break;
+            }
+            await this.strategy.clock.sleep(Math.min(repriceInterval, deadline - now));
+        }
+    }
+
+    /**
+     * 剩余需要调整的数量（按持仓账本记录的成交计算）
+     */
+    getRemaining(run) {
+        return Math.max(0, run.targetAmount - Math.abs(this.strategy.positionLedger.position - run.startPosition));
+    }
+
+    /**
+     * 生成调整报告：滑点成本为成交额相对开始时中间价的差额，总成本另加手续费
+     */
+    buildReport(run) {
+        const ledger = this.strategy.positionLedger;
+        const filledAmount = Math.min(run.targetAmount, Math.abs(ledger.position - run.startPosition));
+        const notional = ledger.totalVolume - run.startVolume;
+        const fees = ledger.totalFees - run.startFees;
+        const referenceValue = run.referencePrice * filledAmount;
+        const slippageCost = run.side === 'sell' ? referenceValue - notional : notional - referenceValue;
+        const totalCost = slippageCost + fees;
+        const remaining = Math.max(0, run.targetAmount - filledAmount);
+
+        return {
+            policy: run.policy,
+            reason: run.reason,
+            side: run.side,
+            targetAmount: run.targetAmount,
+            filledAmount,
+            remaining,
+            completed: remaining < run.minAmount || remaining <= EPSILON,
+            referencePrice: run.referencePrice,
+            limitPrice: run.limitPrice,
+            averagePrice: filledAmount > EPSILON ? notional / filledAmount : 0,
+            slippageCost,
+            fees,
+            totalCost,
+            costBps: referenceValue > 0 ? totalCost / referenceValue * 10000 : 0,
+            orders: run.orders,
+            duration: this.strategy.clock.now() - run.startTime
+        };
+    }
+
+    /**
+     * 刷新盘口和余额（主循环已停止）
+     */
+    async refreshData() {
+        const { dataManager, exchangeManager } = this.strategy;
+        if (typeof exchangeManager.updateBalances === 'function') {
+            await exchangeManager.updateBalances();
+        }
+        dataManager.lastMarketDataUpdate = 0;
+        dataManager.lastBalanceUpdate = 0;
+        await dataManager.updateMarketData();
+        await dataManager.updateBalances();
+    }
+
+    getMinAmount() {
+        const marketInfo = this.strategy.exchangeManager.getMarketInfo();
+        return marketInfo?.limits?.amount?.min || marketInfo?.precision?.amount || 0;
+    }
+
+    /**
+     * 获取停止策略和最近一次调整报告
+     */
+    getStatus() {
+        return {
+            policy: this.shutdownConfig.policy,
+            emergencyPolicy: this.shutdownConfig.emergencyPolicy,
+            isUnwinding: this.isUnwinding,
+            lastReport: this.lastReport
+        };
+    }
+}
+
+module.exports = InventoryUnwinder;
@@ -25,6 +25,10 @@ class LifecycleManager {
         this.lastLoopTime = 0;
         this.lastLoopDuration = 0;
         
+        // 执行时间窗口
+        this.isOutsideWindow = false;
+        this.flattenOutsideWindow = (this.config.get('executionTimeframe') || {}).flattenOutsideWindow === true;
+        
         // 状态监控
         this.lastStatusPrint = 0;
         this.statusPrintInterval = this.config.get('statusPrintInterval') || 30000; // 30秒
@@ -60,12 +64,19 @@ class LifecycleManager {
             // 启动订单监控
             this.strategy.orderManager.startOrderMonitoring();
             
+            // 初始化风险管理器，启动定期风险检查（止损、回撤、日亏损和紧急停止）
+            await this.strategy.riskManager.initialize();
+            
+            // 启动状态定期快照
+            this.strategy.stateStore.start();
+            
             // 启动主循环
             this.startMainLoop();
             
-            // 更新状态
+            // 更新状态（订单监控按策略的运行标志判断是否核对挂单）
             this.isRunning = true;
-            this.startTime = Date.now();
+            this.strategy.isRunning = true;
+            this.startTime = this.strategy.clock.now();
             
             this.logger.info('Avellaneda做市策略启动成功', {
                 startTime: new Date(this.startTime).toISOString(),
@@ -92,8 +103,9 @@ class LifecycleManager {
 
     /**
      * 停止策略
+     * @param {Object} options - {emergency: 是否为紧急停止, reason: 停止原因}
      */
-    async stop() {
+    async stop(options = {}) {
         if (!this.isRunning) {
             this.logger.warn('策略未在运行，忽略停止请求');
             return;
@@ -109,15 +121,27 @@ class LifecycleManager {
             // 取消所有订单
             await this.strategy.orderManager.cancelAllOrders();
             
-            // 停止订单监控
+            // 按停止策略调整库存（紧急停止可使用不同的策略），需要在移除事件监听前完成以记录成交
+            const emergency = options.emergency === true;
+            await this.strategy.inventoryUnwinder.unwind(
+                this.strategy.inventoryUnwinder.getPolicy(emergency),
+                options.reason || (emergency ? '紧急停止' : '停止策略')
+            );
+            
+            // 停止订单监控和风险检查
             this.strategy.orderManager.stopOrderMonitoring();
+            this.strategy.riskManager.stopRiskCheck();
+            
+            // 停止定期快照并保存最终状态
+            this.strategy.stateStore.stop();
             
             // 清理事件监听
             this.strategy.eventHandler.removeEventListeners();
             
             // 更新状态
             this.isRunning = false;
-            this.stopTime = Date.now();
+            this.strategy.isRunning = false;
+            this.stopTime = this.strategy.clock.now();
             
             // 打印最终统计
             this.printFinalStats();
@@ -188,12 +212,15 @@ class LifecycleManager {
                 this.logger.error('强制取消订单失败', { error: error.message });
             }
             
-            // 停止所有监控
+            // 停止所有监控并保存最终状态
             this.strategy.orderManager.stopOrderMonitoring();
+            this.strategy.riskManager.stopRiskCheck();
+            this.strategy.stateStore.stop();
             
             // 更新状态
             this.isRunning = false;
-            this.stopTime = Date.now();
+            this.strategy.isRunning = false;
+            this.stopTime = this.strategy.clock.now();
             
             this.logger.warn('强制清理完成');
             console.log('✅ 强制清理完成');
@@ -258,12 +285,12 @@ class LifecycleManager {
      */
     startMainLoop() {
         if (this.mainLoopTimer) {
-            clearInterval(this.mainLoopTimer);
+            this.strategy.clock.clearInterval(this.mainLoopTimer);
         }
         
         this.logger.info('启动主循环', { interval: this.loopInterval });
         
-        this.mainLoopTimer = setInterval(async () => {
+        this.mainLoopTimer = this.strategy.clock.setInterval(async () => {
             try {
                 await this.mainLoop();
             } catch (error) {
@@ -290,7 +317,7 @@ class LifecycleManager {
      */
     stopMainLoop() {
         if (this.mainLoopTimer) {
-            clearInterval(this.mainLoopTimer);
+            this.strategy.clock.clearInterval(this.mainLoopTimer);
             this.mainLoopTimer = null;
             this.logger.info('主循环已停止');
         }
@@ -300,7 +327,7 @@ class LifecycleManager {
      * 主循环逻辑
      */
     async mainLoop() {
-        const loopStartTime = Date.now();
+        const loopStartTime = this.strategy.clock.now();
         this.loopCount++;
         this.lastLoopTime = loopStartTime;
         
@@ -324,9 +351,30 @@ class LifecycleManager {
             // 更新余额
             await this.strategy.dataManager.updateBalances();
             
-            // 更新技术指标
+            // 更新技术指标（窗口外也保持更新，进入窗口时指标已就绪）
             await this.strategy.dataManager.updateIndicators();
             
+            // 检查执行时间窗口
+            const timeframe = this.strategy.executionTimeframe.getState(this.strategy.clock.now());
+            if (!timeframe.inWindow) {
+                await this.handleOutsideWindow(timeframe);
+                this.printStrategyStatus();
+                this.recordLoopDuration(loopStartTime);
+                this.totalLoopTime += this.lastLoopDuration;
+                return;
+            }
+            if (this.isOutsideWindow) {
+                this.isOutsideWindow = false;
+                this.logger.info('进入执行时间窗口，恢复报价', {
+                    mode: timeframe.mode,
+                    windowEnd: new Date(timeframe.windowEnd).toISOString()
+                });
+                console.log(`▶️ 进入执行时间窗口，恢复报价 (结束: ${new Date(timeframe.windowEnd).toISOString()})`);
+            }
+            
+            // 撤销偏离中间价过远的挂起订单
+            await this.strategy.orderManager.hangingOrdersTracker.processTick(this.strategy.currentMarketData.midPrice);
+            
             // 执行策略逻辑
             const strategyExecuted = await this.strategy.strategyCore.executeStrategy();
             
@@ -342,7 +390,7 @@ class LifecycleManager {
             this.loopErrorCount = 0;
             
             // 记录循环时间
-            this.lastLoopDuration = Date.now() - loopStartTime;
+            this.recordLoopDuration(loopStartTime);
             this.totalLoopTime += this.lastLoopDuration;
             
             this.logger.debug('主循环完成', {
@@ -352,16 +400,53 @@ class LifecycleManager {
             });
             
         } catch (error) {
-            this.lastLoopDuration = Date.now() - loopStartTime;
+            this.recordLoopDuration(loopStartTime);
             throw error;
         }
     }
 
+    /**
+     * 记录本次主循环耗时，并发出loopCompleted事件供监控统计
+     */
+    recordLoopDuration(loopStartTime) {
+        this.lastLoopDuration = this.strategy.clock.now() - loopStartTime;
+        this.strategy.emit('loopCompleted', { duration: this.lastLoopDuration });
+    }
+
+    /**
+     * 处理执行时间窗口外的循环
+     * 首次离开窗口时撤销挂单，并按配置将库存调整到目标库存（按停止时的滑点上限下IOC单）；之后只确保没有挂单
+     */
+    async handleOutsideWindow(timeframe) {
+        if (!this.isOutsideWindow) {
+            this.isOutsideWindow = true;
+            const nextWindow = timeframe.windowStart > this.strategy.clock.now()
+                ? new Date(timeframe.windowStart).toISOString()
+                : '无';
+            this.logger.info('不在执行时间窗口内，停止报价', {
+                mode: timeframe.mode,
+                nextWindowStart: nextWindow,
+                flattenOutsideWindow: this.flattenOutsideWindow
+            });
+            console.log(`⏸️ 不在执行时间窗口内，停止报价 (下一窗口: ${nextWindow})`);
+            
+            await this.strategy.orderManager.cancelAllOrders();
+            if (this.flattenOutsideWindow) {
+                await this.strategy.inventoryUnwinder.unwind('aggressive', '执行时间窗口外');
+            }
+            return;
+        }
+        
+        if (this.strategy.orderManager.getActiveOrdersCount() > 0) {
+            await this.strategy.orderManager.cancelAllOrders();
+        }
+    }
+
     /**
      * 打印策略状态
      */
     printStrategyStatus() {
-        const now = Date.now();
+        const now = this.strategy.clock.now();
         
         // 检查是否需要打印状态
         if (now - this.lastStatusPrint < this.statusPrintInterval) {
@@ -372,6 +457,7 @@ class LifecycleManager {
             const marketData = this.strategy.dataManager.getMarketDataSummary();
             const balanceData = this.strategy.dataManager.getBalanceSummary();
             const activeOrders = this.strategy.orderManager.getActiveOrdersCount();
+            const hangingOrders = this.strategy.orderManager.getHangingOrders().length;
             const { optimalBid, optimalAsk } = this.strategy.strategyState;
             
             if (marketData && balanceData) {
@@ -379,21 +465,33 @@ class LifecycleManager {
                 const avgLoopTime = this.loopCount > 0 ? (this.totalLoopTime / this.loopCount).toFixed(2) : '0';
                 
                 console.log(`\n📊 策略状态 [运行时间: ${runTime}]`);
-                console.log(`💰 市场: ${marketData.bestBid.toFixed(2)}/${marketData.bestAsk.toFixed(2)} (价差: ${marketData.spreadPercent}%)`);
+                const dataMode = { stream: 'WebSocket推送', polling: 'REST轮询' }[this.strategy.exchangeManager.dataMode];
+                console.log(`💰 市场: ${marketData.bestBid.toFixed(2)}/${marketData.bestAsk.toFixed(2)} (价差: ${marketData.spreadPercent}%)${dataMode ? ` | ${dataMode}` : ''}`);
                 console.log(`🎯 报价: ${optimalBid?.toFixed(2) || 'N/A'}/${optimalAsk?.toFixed(2) || 'N/A'}`);
-                console.log(`📦 订单: ${activeOrders}个活跃`);
+                const fillSource = { stream: '成交推送', polling: '成交查询' }[this.strategy.exchangeManager.getFillSource()];
+                console.log(`📦 订单: ${activeOrders}个活跃${hangingOrders > 0 ? ` | ${hangingOrders}个挂起` : ''}${fillSource ? ` | ${fillSource}` : ''}`);
                 console.log(`💼 库存: ${balanceData.currentInventory?.toFixed(4) || 'N/A'} (目标: ${balanceData.targetInventory?.toFixed(4) || 'N/A'})`);
+                const pnl = this.strategy.positionLedger.getSummary(marketData.midPrice);
+                console.log(`💵 盈亏: 已实现 ${pnl.netRealizedPnL.toFixed(4)} | 未实现 ${pnl.unrealizedPnL.toFixed(4)} | 手续费 ${pnl.totalFees.toFixed(4)} | 成本价 ${pnl.costBasis.toFixed(2)}`);
+                const feeDrag = this.strategy.calculator.getFeeDrag(marketData.midPrice, optimalBid, optimalAsk);
+                const pct = value => (value * 100).toFixed(4);
+                console.log(`💸 手续费: 挂单 ${pct(feeDrag.makerFee)}% | 往返成本 ${pct(feeDrag.roundTripCost)}% | 报价价差 ${pct(feeDrag.quotedSpread)}% | 扣费后 ${pct(feeDrag.netSpread)}%${feeDrag.netSpread <= 0 ? ' ⚠️' : ''} | 报价外推 ${feeDrag.enabled ? '✅' : '❌'}`);
                 console.log(`⚡ 性能: ${this.loopCount}次循环, 平均${avgLoopTime}ms/次`);
                 
                 this.logger.info('策略状态摘要', {
                     runTime: runTime,
                     marketBid: marketData.bestBid,
                     marketAsk: marketData.bestAsk,
+                    dataMode: this.strategy.exchangeManager.dataMode,
+                    fillSource: this.strategy.exchangeManager.getFillSource(),
                     optimalBid: optimalBid,
                     optimalAsk: optimalAsk,
                     activeOrders: activeOrders,
+                    hangingOrders: hangingOrders,
                     currentInventory: balanceData.currentInventory,
                     targetInventory: balanceData.targetInventory,
+                    pnl: pnl,
+                    feeDrag: feeDrag,
                     loopCount: this.loopCount,
                     avgLoopTime: avgLoopTime
                 });
@@ -420,12 +518,15 @@ class LifecycleManager {
             console.log(`🔄 循环次数: ${this.loopCount}`);
             console.log(`⚡ 平均循环时间: ${avgLoopTime}ms`);
             console.log(`📦 历史订单: ${orderHistory.length}个`);
+            const pnl = this.strategy.positionLedger.getSummary(this.strategy.currentMarketData.midPrice);
+            console.log(`💵 盈亏: 已实现 ${pnl.netRealizedPnL.toFixed(4)} | 未实现 ${pnl.unrealizedPnL.toFixed(4)} | 手续费 ${pnl.totalFees.toFixed(4)} | ${pnl.fillCount}笔成交`);
             
             this.logger.info('最终统计', {
                 runDuration: runDuration,
                 totalLoops: this.loopCount,
                 avgLoopTime: avgLoopTime,
-                totalOrderHistory: orderHistory.length
+                totalOrderHistory: orderHistory.length,
+                pnl: pnl
             });
             
         } catch (error) {
@@ -447,6 +548,7 @@ class LifecycleManager {
         this.lastLoopDuration = 0;
         this.loopErrorCount = 0;
         this.lastStatusPrint = 0;
+        this.isOutsideWindow = false;
         
         this.logger.debug('生命周期状态已重置');
     }
@@ -458,6 +560,7 @@ class LifecycleManager {
         try {
             this.stopMainLoop();
             this.strategy.orderManager.stopOrderMonitoring();
+            this.strategy.riskManager.stopRiskCheck();
             this.strategy.eventHandler.removeEventListeners();
             this.resetState();
             
@@ -476,7 +579,7 @@ class LifecycleManager {
             return '未启动';
         }
         
-        const endTime = this.stopTime || Date.now();
+        const endTime = this.stopTime || this.strategy.clock.now();
         const duration = endTime - this.startTime;
         
         const hours = Math.floor(duration / (1000 * 60 * 60));
@@ -501,6 +604,7 @@ class LifecycleManager {
             lastLoopDuration: this.lastLoopDuration,
             averageLoopTime: this.loopCount > 0 ? this.totalLoopTime / this.loopCount : 0,
             loopErrorCount: this.loopErrorCount,
+            isOutsideWindow: this.isOutsideWindow,
             maxLoopErrors: this.maxLoopErrors,
             loopInterval: this.loopInterval
         };
@@ -510,7 +614,7 @@ class LifecycleManager {
      * 工具函数：睡眠
      */
     sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return this.strategy.clock.sleep(ms);
     }
 }
 
@@ -1,4 +1,7 @@
+const ccxt = require('ccxt');
 const Helpers = require('../../utils/helpers');
+const HangingOrdersTracker = require('./hanging-orders-tracker');
+const FillTracker = require('./fill-tracker');
 
 /**
  * 订单管理器 - 负责订单的创建、取消、监控和状态管理
@@ -22,6 +25,32 @@ class OrderManager {
             timestamp: 0
         };
         
+        // 多档位报价，每侧档位数受最大订单数限制
+        const maxOrders = this.config.get('maxOrders') || 10;
+        const orderLevels = Math.max(1, Math.floor(this.config.get('orderLevels') || 1));
+        this.orderLevels = Math.min(orderLevels, Math.max(1, Math.floor(maxOrders / 2)));
+        this.levelDistances = this.config.get('levelDistances') || 0;
+        if (this.orderLevels < orderLevels) {
+            this.logger.warn('订单档位数超过最大订单数限制，已自动减少', {
+                orderLevels,
+                maxOrders,
+                effectiveLevels: this.orderLevels
+            });
+        }
+        
+        // 订单刷新：价格在容忍度内且未超过最大存活时间的订单保留，避免失去排队位置
+        this.orderRefreshTolerance = (this.config.get('orderRefreshTolerancePct') || 0) / 100;
+        this.maxOrderAge = this.config.get('maxOrderAge') || 1800000;
+        
+        // 挂起订单（订单对一侧成交后保留的另一侧订单），与常规报价分开跟踪
+        this.hangingOrdersTracker = new HangingOrdersTracker(strategy);
+        
+        // 账户成交事件按订单汇总为订单更新（实盘）
+        this.fillTracker = new FillTracker(strategy);
+        
+        // 风险减仓订单（clientOrderId → 订单，提交中为null），与常规报价分开跟踪
+        this.reduceOrders = new Map();
+        
         // 订单监控配置
         this.orderMonitoringInterval = this.config.get('orderMonitoringInterval') || 5000; // 默认5秒检查一次
         this.orderMonitoringTimer = null;
@@ -42,7 +71,9 @@ class OrderManager {
                 
                 if (Array.isArray(openOrders)) {
                     for (const order of openOrders) {
-                        this.activeOrders.set(order.id, order);
+                        if (!this.hangingOrdersTracker.isHangingOrder(order.id)) {
+                            this.activeOrders.set(order.id, order);
+                        }
                     }
                     this.logger.info(`同步完成，当前活跃挂单数: ${this.activeOrders.size}`, {
                         previousCount: previousOrderCount,
@@ -77,7 +108,7 @@ class OrderManager {
      * 检查是否需要更新订单
      */
     shouldUpdateOrders() {
-        const now = Date.now();
+        const now = this.strategy.clock.now();
         const timeSinceLastUpdate = (now - this.strategy.lastUpdateTime) / 1000;
         
         // 如果标记了强制更新，直接返回true
@@ -86,27 +117,15 @@ class OrderManager {
             return true;
         }
         
-        // 智能订单管理：允许的情况下最多1个买单和1个卖单存在，总订单数受配置限制
-        // 检查当前余额，确定应该有哪些类型的订单
-        const balances = this.strategy.exchangeManager.getBalances();
+        // 智能订单管理：允许的情况下每侧最多orderLevels个订单存在，总订单数受配置限制
+        // 已有订单占用对应档位，其余档位按当前余额逐档校验，确定每侧应该有多少个订单
+        const balances = this.getAvailableBalances();
         const { optimalBid, optimalAsk } = this.strategy.strategyState;
-        
-        // 计算订单数量
-        const baseAmount = this.config.get('orderAmount');
-        const buyAmount = this.strategy.calculator.calculateOrderAmount(
-            baseAmount, this.strategy.strategyState.currentInventory, 
-            this.strategy.strategyState.targetInventory, this.strategy.strategyState.totalInventoryValue, true, this.strategy.strategyState.optimalBid
-        );
-        const sellAmount = this.strategy.calculator.calculateOrderAmount(
-            baseAmount, this.strategy.strategyState.currentInventory, 
-            this.strategy.strategyState.targetInventory, this.strategy.strategyState.totalInventoryValue, false, this.strategy.strategyState.optimalAsk
-        );
-        
-        // 检查是否可以创建买单和卖单
-        const canCreateBuy = buyAmount > 0 && optimalBid > 0 && 
-            this.strategy.riskManager.validateOrder('buy', buyAmount, optimalBid, balances).valid;
-        const canCreateSell = sellAmount > 0 && optimalAsk > 0 && 
-            this.strategy.riskManager.validateOrder('sell', sellAmount, optimalAsk, balances).valid;
+        const existingOrders = this.matchOrdersToLevels();
+        const proposal = this.buildOrderProposal(this.config.get('orderAmount'), balances, existingOrders);
+        const isPlaceable = item => item.kept || (item.validation && item.validation.valid);
+        const buyLevels = proposal.buys.filter(isPlaceable).length;
+        const sellLevels = proposal.sells.filter(isPlaceable).length;
         
         // 计算当前活跃订单类型
         let activeBuyOrders = 0;
@@ -116,31 +135,41 @@ class OrderManager {
             else if (order.side === 'sell') activeSellOrders++;
         }
         
-        // 检查是否需要补充订单（智能策略：只在允许的情况下要求对应订单存在）
-        const needBuyOrder = canCreateBuy && activeBuyOrders === 0;
-        const needSellOrder = canCreateSell && activeSellOrders === 0;
+        // 检查是否需要补充订单（智能策略：只在允许的情况下要求对应档位的订单存在）
+        const needBuyOrder = activeBuyOrders < buyLevels;
+        const needSellOrder = activeSellOrders < sellLevels;
         
         if (needBuyOrder || needSellOrder) {
             this.logger.info('检测到需要补充订单（智能策略）', {
                 activeBuyOrders,
                 activeSellOrders,
-                canCreateBuy,
-                canCreateSell,
+                buyLevels,
+                sellLevels,
                 needBuyOrder,
                 needSellOrder,
-                strategy: `允许的情况下最多1个买单和1个卖单存在，总订单数不超过${this.config.get('maxOrders') || 10}个`
+                strategy: `允许的情况下每侧最多${this.orderLevels}个订单存在，总订单数不超过${this.config.get('maxOrders') || 10}个`
             });
             return true;
         } else {
             this.logger.debug('当前订单状态符合智能策略要求', {
-                canCreateBuy,
-                canCreateSell,
+                buyLevels,
+                sellLevels,
                 activeBuyOrders,
                 activeSellOrders,
-                strategy: '允许的情况下最多1个买单和1个卖单存在'
+                strategy: `允许的情况下每侧最多${this.orderLevels}个订单存在`
             });
         }
         
+        // 检查是否有订单超过最大存活时间
+        const expiredOrders = Array.from(this.activeOrders.values()).filter(order => this.getOrderAge(order, now) >= this.maxOrderAge);
+        if (expiredOrders.length > 0) {
+            this.logger.info('检测到订单超过最大存活时间', {
+                expiredOrders: expiredOrders.map(order => order.id),
+                maxOrderAge: this.maxOrderAge
+            });
+            return true;
+        }
+        
         // 检查是否存在过多订单（紧急清理）
         const maxOrders = this.config.get('maxOrders') || 10;
         if (this.activeOrders.size > maxOrders) {
@@ -217,22 +246,22 @@ class OrderManager {
             // 重置强制更新标志
             this.strategy.forceOrderUpdate = false;
             
-            // 取消现有订单
-            this.logger.info('调用 cancelActiveOrders 取消现有订单');
-            await this.cancelActiveOrders();
+            // 逐个订单比对目标价格，只撤销超出刷新容忍度或超过最大存活时间的订单
+            this.logger.info('调用 cancelStaleOrders 撤销需要刷新的订单');
+            const keptOrders = await this.cancelStaleOrders();
             
-            // 创建新订单
+            // 为没有保留订单的档位创建新订单
             this.logger.info('调用 createOrders 创建新订单');
-            await this.createOrders();
+            await this.createOrders(keptOrders);
             
             // 更新上次订单价格记录
             this.lastOrderPrices = {
                 bid: this.strategy.strategyState.optimalBid,
                 ask: this.strategy.strategyState.optimalAsk,
-                timestamp: Date.now()
+                timestamp: this.strategy.clock.now()
             };
             
-            this.strategy.lastUpdateTime = Date.now();
+            this.strategy.lastUpdateTime = this.strategy.clock.now();
             this.logger.info('订单更新流程完成', { 
                 lastUpdateTime: new Date(this.strategy.lastUpdateTime).toISOString(),
                 updatedPrices: {
@@ -297,10 +326,117 @@ class OrderManager {
         }
     }
 
+    /**
+     * 获取订单存活时间（毫秒）
+     */
+    getOrderAge(order, now = this.strategy.clock.now()) {
+        return order.timestamp ? now - order.timestamp : 0;
+    }
+
+    /**
+     * 将活跃订单按价格对应到档位：买单价格由高到低、卖单价格由低到高依次对应第0档起的档位
+     * @returns {Object} {buy: Map(level → order), sell: Map(level → order), unmatched: 超出档位数的订单}
+     */
+    matchOrdersToLevels() {
+        const result = { buy: new Map(), sell: new Map(), unmatched: [] };
+        for (const side of ['buy', 'sell']) {
+            const orders = Array.from(this.activeOrders.values())
+                .filter(order => order.side === side)
+                .sort((a, b) => side === 'buy' ? b.price - a.price : a.price - b.price);
+            orders.forEach((order, index) => {
+                if (index < this.orderLevels) {
+                    result[side].set(index, order);
+                } else {
+                    result.unmatched.push(order);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * 撤销需要刷新的订单
+     * 对应Hummingbot的order_refresh_tolerance_pct和max_order_age，但按订单逐个比较：
+     * 价格与新目标价的偏差在容忍度内且未超过最大存活时间的订单保留，其余订单单独撤销
+     * @returns {Object} 保留的订单 {buy: Map(level → order), sell: Map(level → order)}
+     */
+    async cancelStaleOrders() {
+        const { optimalBid, optimalAsk, currentSpread } = this.strategy.strategyState;
+        const { bids, asks } = this.strategy.calculator.calculateLevelPrices(
+            optimalBid, optimalAsk, currentSpread, this.orderLevels, this.levelDistances
+        );
+        const matched = this.matchOrdersToLevels();
+        const now = this.strategy.clock.now();
+        const kept = { buy: new Map(), sell: new Map() };
+        const toCancel = matched.unmatched.map(order => ({ order, reason: '超出档位数' }));
+        
+        for (const side of ['buy', 'sell']) {
+            const targets = side === 'buy' ? bids : asks;
+            for (const [level, order] of matched[side]) {
+                const target = targets[level];
+                const deviation = target > 0 ? Math.abs(order.price - target) / target : Infinity;
+                const age = this.getOrderAge(order, now);
+                if (age >= this.maxOrderAge) {
+                    toCancel.push({ order, level, reason: '超过最大存活时间' });
+                } else if (deviation > this.orderRefreshTolerance) {
+                    toCancel.push({ order, level, reason: '价格超出刷新容忍度' });
+                } else {
+                    kept[side].set(level, order);
+                }
+                this.logger.debug('订单刷新检查', {
+                    orderId: order.id,
+                    side,
+                    level,
+                    price: order.price,
+                    target,
+                    deviation,
+                    age
+                });
+            }
+        }
+        
+        // 撤单失败（订单不存在除外）的订单继续跟踪并占用原档位，下次刷新时重试撤单
+        const failed = [];
+        for (const { order, level, reason } of toCancel) {
+            try {
+                await this.strategy.exchangeManager.cancelOrder(order.id, this.config.get('symbol'));
+                this.logger.debug('Order cancelled', { orderId: order.id, reason });
+            } catch (error) {
+                if (!(error instanceof ccxt.OrderNotFound)) {
+                    this.logger.warn('撤单失败，保留订单并在下次刷新时重试', { orderId: order.id, reason, error: error.message });
+                    if (level !== undefined) {
+                        kept[order.side].set(level, order);
+                    }
+                    failed.push(order.id);
+                    continue;
+                }
+                this.logger.warn('订单不存在，从活跃订单列表中移除', { orderId: order.id, error: error.message });
+            }
+            this.activeOrders.delete(order.id);
+        }
+        
+        const keptCount = kept.buy.size + kept.sell.size;
+        this.logger.info('订单刷新检查完成', {
+            kept: keptCount,
+            cancelled: toCancel.filter(({ order }) => !failed.includes(order.id))
+                .map(({ order, reason }) => ({ id: order.id, side: order.side, price: order.price, reason })),
+            cancelFailed: failed,
+            tolerancePct: this.orderRefreshTolerance * 100,
+            maxOrderAge: this.maxOrderAge
+        });
+        if (keptCount > 0) {
+            console.log(`♻️ 保留 ${keptCount} 个订单 | 撤销 ${toCancel.length - failed.length} 个`);
+        }
+        return kept;
+    }
+
     /**
      * 取消活跃订单
+     * 撤单失败（订单不存在除外）的订单继续跟踪，下次刷新时按新目标价重新检查并重试撤单
+     * @returns {Array} 撤单失败的订单ID
      */
     async cancelActiveOrders() {
+        const failed = [];
         try {
             const orderIds = Array.from(this.activeOrders.keys());
             
@@ -309,21 +445,27 @@ class OrderManager {
                     await this.strategy.exchangeManager.cancelOrder(orderId, this.config.get('symbol'));
                     this.logger.debug('Order cancelled', { orderId });
                 } catch (error) {
-                    this.logger.warn('Failed to cancel order', { orderId, error: error.message });
+                    if (!(error instanceof ccxt.OrderNotFound)) {
+                        this.logger.warn('撤单失败，保留订单并在下次刷新时重试', { orderId, error: error.message });
+                        failed.push(orderId);
+                        continue;
+                    }
+                    this.logger.warn('订单不存在，从活跃订单列表中移除', { orderId, error: error.message });
                 }
+                this.activeOrders.delete(orderId);
             }
             
-            this.activeOrders.clear();
-            
         } catch (error) {
             this.logger.error('Failed to cancel active orders', error);
         }
+        return failed;
     }
 
     /**
      * 创建订单（增强网络状态检查）
+     * @param {Object} keptOrders - 保留的订单 {buy: Map(level → order), sell: Map(level → order)}，对应档位不再下单
      */
-    async createOrders() {
+    async createOrders(keptOrders = null) {
         try {
             // 并发保护：如果正在创建订单，则跳过
             if (this.isCreatingOrders) {
@@ -355,7 +497,6 @@ class OrderManager {
             });
             
             const { optimalBid, optimalAsk } = this.strategy.strategyState;
-            const { currentInventory, targetInventory, totalInventoryValue } = this.strategy.strategyState;
             
             // 获取市场信息以确保正确的精度
             const marketInfo = this.strategy.exchangeManager.getMarketInfo();
@@ -365,97 +506,47 @@ class OrderManager {
                 return;
             }
             
-            // 计算订单数量
+            // 计算各档位订单数量并逐档进行风险校验
             const baseAmount = this.config.get('orderAmount');
             const minAmount = marketInfo.precision.amount;
             const adjustedBaseAmount = Math.max(baseAmount, minAmount * 10);
+            const proposal = this.buildOrderProposal(adjustedBaseAmount, this.getAvailableBalances(), keptOrders);
+            const buyAmount = proposal.buys[0].amount;
+            const sellAmount = proposal.sells[0].amount;
             
-            const buyAmount = this.strategy.calculator.calculateOrderAmount(
-                adjustedBaseAmount, currentInventory, targetInventory, totalInventoryValue, true, optimalBid
-            );
-            const sellAmount = this.strategy.calculator.calculateOrderAmount(
-                adjustedBaseAmount, currentInventory, targetInventory, totalInventoryValue, false, optimalAsk
-            );
+            // 紧凑输出订单信息，保留价和库存偏差取自定价模型的计算明细
+            const { pricing } = this.strategy.strategyState;
+            const inventorySkew = pricing ? (pricing.inventory * 100).toFixed(2) : '0.00';
+            const reservation = pricing ? ` | 保留价: ${pricing.reservationPrice.toFixed(2)}` : '';
+            const levels = this.orderLevels > 1 ? ` | 档位: ${this.orderLevels}` : '';
+            console.log(`🔄下单 | 买: ${buyAmount.toFixed(4)}@${optimalBid.toFixed(2)} | 卖: ${sellAmount.toFixed(4)}@${optimalAsk.toFixed(2)}${reservation} | 库存偏差: ${inventorySkew}%${levels}`);
+            if (pricing) {
+                this.logger.info('报价计算明细', pricing);
+            }
             
-            // 紧凑输出订单信息
-            const inventorySkew = (this.strategy.calculator.calculateInventorySkew(currentInventory, targetInventory, totalInventoryValue, this.strategy.exchangeManager.getMarketPrice()) * 100).toFixed(2);
-            console.log(`🔄下单 | 买: ${buyAmount.toFixed(4)}@${optimalBid.toFixed(2)} | 卖: ${sellAmount.toFixed(4)}@${optimalAsk.toFixed(2)} | 库存偏差: ${inventorySkew}%`);
-            
-            // 并发创建买单和卖单
-            const orderTasks = [];
-            
-            // 买单
-            orderTasks.push((async () => {
-                if (buyAmount > 0 && optimalBid > 0) {
-                    const buyValidation = this.strategy.riskManager.validateOrder('buy', buyAmount, optimalBid, this.strategy.exchangeManager.getBalances());
-                    if (buyValidation.valid) {
-                        const buyClientOrderId = Helpers.generateUniqueId();
-                        const buyOrder = await this.createOrder('buy', buyAmount, optimalBid, buyClientOrderId);
-                        if (buyOrder) {
-                            this.activeOrders.set(buyOrder.id, buyOrder);
-                            console.log(`✅买单 #${buyOrder.id.slice(-6)} | ${buyAmount.toFixed(4)}@${optimalBid.toFixed(2)}`);
-                            this.logger.info('买单创建成功', {
-                                orderId: buyOrder.id,
-                                clientOrderId: buyClientOrderId,
-                                amount: buyOrder.amount,
-                                price: buyOrder.price,
-                                status: buyOrder.status
-                            });
-                        } else {
-                            console.log(`❌买单创建失败`);
-                        }
-                    } else {
-                        console.log(`❌买单风险拒绝: ${buyValidation.reason}`);
-                        this.logger.warn('买单被风险管理器拒绝', buyValidation);
-                    }
-                } else {
-                    const reason = buyAmount <= 0 ? '数量为零' : '价格无效';
-                    console.log(`⏭️跳过买单: ${reason}`);
-                    this.logger.debug('跳过买单创建', {
-                        buyAmount: buyAmount,
-                        optimalBid: optimalBid,
-                        reason: reason
-                    });
+            // 买卖两侧并发下单，同一侧按档位由近到远依次下单
+            const createSide = async (side, items) => {
+                const orders = [];
+                for (const item of items) {
+                    orders.push(item.kept || await this.createLevelOrder(side, item));
                 }
-            })());
-            
-            // 卖单
-            orderTasks.push((async () => {
-                if (sellAmount > 0 && optimalAsk > 0) {
-                    const sellValidation = this.strategy.riskManager.validateOrder('sell', sellAmount, optimalAsk, this.strategy.exchangeManager.getBalances());
-                    if (sellValidation.valid) {
-                        const sellClientOrderId = Helpers.generateUniqueId();
-                        const sellOrder = await this.createOrder('sell', sellAmount, optimalAsk, sellClientOrderId);
-                        if (sellOrder) {
-                            this.activeOrders.set(sellOrder.id, sellOrder);
-                            console.log(`✅卖单 #${sellOrder.id.slice(-6)} | ${sellAmount.toFixed(4)}@${optimalAsk.toFixed(2)}`);
-                            this.logger.info('卖单创建成功', {
-                                orderId: sellOrder.id,
-                                clientOrderId: sellClientOrderId,
-                                amount: sellOrder.amount,
-                                price: sellOrder.price,
-                                status: sellOrder.status
-                            });
-                        } else {
-                            console.log(`❌卖单创建失败`);
-                        }
-                    } else {
-                        console.log(`❌卖单风险拒绝: ${sellValidation.reason}`);
-                        this.logger.warn('卖单被风险管理器拒绝', sellValidation);
-                    }
-                } else {
-                    const reason = sellAmount <= 0 ? '数量为零' : '价格无效';
-                    console.log(`⏭️跳过卖单: ${reason}`);
-                    this.logger.debug('跳过卖单创建', {
-                        sellAmount: sellAmount,
-                        optimalAsk: optimalAsk,
-                        reason: reason
-                    });
-                }
-            })());
+                return orders;
+            };
             
             // 并发执行买卖单下单
-            await Promise.all(orderTasks);
+            const [buyOrders, sellOrders] = await Promise.all([
+                createSide('buy', proposal.buys),
+                createSide('sell', proposal.sells)
+            ]);
+            
+            // 同一档位的买卖单组成订单对，一侧成交后另一侧转为挂起订单
+            const pairs = [];
+            buyOrders.forEach((buyOrder, level) => {
+                if (buyOrder && sellOrders[level]) {
+                    pairs.push({ buy: buyOrder.id, sell: sellOrders[level].id });
+                }
+            });
+            this.hangingOrdersTracker.setCurrentPairs(pairs);
             
             // 紧凑输出订单创建结果
             console.log(`📋订单完成 | 活跃: ${this.activeOrders.size}个`);
@@ -465,6 +556,7 @@ class OrderManager {
                 sellAmount,
                 optimalBid,
                 optimalAsk,
+                orderLevels: this.orderLevels,
                 activeOrdersCount: this.activeOrders.size
             });
         } catch (error) {
@@ -476,6 +568,119 @@ class OrderManager {
         }
     }
 
+    /**
+     * 生成各档位的订单提案
+     * 同一侧的档位依次占用可用余额进行风险校验，余额不足或超出风险限制的档位校验结果为无效
+     * @param {number} baseAmount - 基础订单数量
+     * @param {Object} balances - 当前余额
+     * @param {Object} keptOrders - 已在簿上保留的订单 {buy: Map(level → order), sell: Map(level → order)}
+     * @returns {Object} {buys, sells}，每项为 {level, price, amount, validation, kept}，数量或价格无效时validation为null，
+     *                   保留档位的kept为对应订单
+     */
+    buildOrderProposal(baseAmount, balances, keptOrders = null) {
+        const { optimalBid, optimalAsk, currentSpread } = this.strategy.strategyState;
+        const { bids, asks } = this.strategy.calculator.calculateLevelPrices(
+            optimalBid, optimalAsk, currentSpread, this.orderLevels, this.levelDistances
+        );
+        return {
+            buys: this.buildSideProposal('buy', bids, baseAmount, balances, keptOrders ? keptOrders.buy : null),
+            sells: this.buildSideProposal('sell', asks, baseAmount, balances, keptOrders ? keptOrders.sell : null)
+        };
+    }
+
+    /**
+     * 生成单侧各档位的订单提案
+     */
+    buildSideProposal(side, prices, baseAmount, balances, keptLevels = null) {
+        const isBuy = side === 'buy';
+        const { currentInventory, targetInventory, totalInventoryValue } = this.strategy.strategyState;
+        const currency = this.config.get(isBuy ? 'quoteCurrency' : 'baseCurrency');
+        let reserved = 0;
+        
+        return prices.map((price, level) => {
+            // 保留的订单已冻结余额，不再占用可用余额
+            const kept = keptLevels ? keptLevels.get(level) : null;
+            if (kept) {
+                return { level, price: kept.price, amount: kept.amount, validation: null, kept };
+            }
+            
+            // 每个档位按自身价格计算库存偏差并应用形状因子
+            const amount = this.strategy.calculator.calculateOrderAmount(
+                baseAmount, currentInventory, targetInventory, totalInventoryValue, isBuy, price
+            );
+            if (!(amount > 0) || !(price > 0)) {
+                return { level, price, amount, validation: null };
+            }
+            
+            // 扣除近档位已占用的余额
+            const available = balances
+                ? { ...balances, [currency]: { ...balances[currency], free: (balances[currency]?.free || 0) - reserved } }
+                : null;
+            const validation = this.strategy.riskManager.validateOrder(side, amount, price, available);
+            if (validation.valid) {
+                reserved += isBuy ? amount * price : amount;
+            }
+            return { level, price, amount, validation };
+        });
+    }
+
+    /**
+     * 创建单个档位的订单
+     * @param {string} side - 买卖方向
+     * @param {Object} item - 档位提案 {level, price, amount, validation}
+     * @returns {Object|null} 创建的订单，跳过或失败时返回null
+     */
+    async createLevelOrder(side, item) {
+        const { level, price, amount, validation } = item;
+        const sideName = side === 'buy' ? '买单' : '卖单';
+        const levelName = this.orderLevels > 1 ? ` L${level + 1}` : '';
+        
+        if (!validation) {
+            const reason = amount <= 0 ? '数量为零' : '价格无效';
+            console.log(`⏭️跳过${sideName}${levelName}: ${reason}`);
+            this.logger.debug(`跳过${sideName}创建`, { level, amount, price, reason });
+            return null;
+        }
+        
+        if (!validation.valid) {
+            console.log(`❌${sideName}${levelName}风险拒绝: ${validation.reason}`);
+            this.logger.warn(`${sideName}被风险管理器拒绝`, { level, ...validation });
+            return null;
+        }
+        
+        const clientOrderId = Helpers.generateUniqueId();
+        const order = await this.createOrder(side, amount, price, clientOrderId);
+        if (order) {
+            this.trackCreatedOrder(order);
+            console.log(`✅${sideName}${levelName} #${order.id.slice(-6)} | ${amount.toFixed(4)}@${price.toFixed(2)}`);
+            this.logger.info(`${sideName}创建成功`, {
+                orderId: order.id,
+                clientOrderId,
+                level,
+                amount: order.amount,
+                price: order.price,
+                status: order.status
+            });
+        } else {
+            console.log(`❌${sideName}${levelName}创建失败`);
+        }
+        return order;
+    }
+
+    /**
+     * 记录新创建的订单
+     * 订单在下单校验期间可能已经成交或被取消，此时交给订单更新流程处理，避免终态订单滞留在活跃列表中
+     */
+    trackCreatedOrder(order) {
+        this.activeOrders.set(order.id, order);
+        const finalStatuses = ['filled', 'closed', 'canceled', 'rejected', 'expired'];
+        if (finalStatuses.includes(order.status)) {
+            this.handleOrderUpdate(order);
+        }
+        // 下单请求返回前已推送的成交
+        this.fillTracker.flushPendingFills(order.id);
+    }
+
     /**
      * 创建单个订单（下单后主动校验订单状态，带超时和重试）
      */
@@ -589,12 +794,158 @@ class OrderManager {
     async cancelAllOrders() {
         try {
             await this.cancelActiveOrders();
+            await this.hangingOrdersTracker.cancelAll();
+            await this.cancelReduceOrders();
             this.logger.info('All orders cancelled');
         } catch (error) {
             this.logger.error('Failed to cancel all orders', error);
         }
     }
 
+    /**
+     * 下风险减仓单
+     * ioc按对手最优价加最大滑点下单，未成交部分由交易所取消；limit按己方最优价挂单，下次减仓或恢复参数时撤销
+     * @param {Object} request - {side, amount, orderType: 'ioc'|'limit', maxSlippagePct, reason}
+     * @returns {Object|null} 创建的订单，无需减仓或失败时返回null
+     */
+    async reducePosition({ side, amount, orderType = 'ioc', maxSlippagePct = 0.5, reason }) {
+        // 上一次未成交的减仓挂单先撤销，释放冻结余额
+        await this.cancelReduceOrders();
+        
+        const { bestBid, bestAsk } = this.strategy.currentMarketData;
+        const slippage = maxSlippagePct / 100;
+        const isIoc = orderType === 'ioc';
+        let price;
+        if (side === 'sell') {
+            price = isIoc ? bestBid * (1 - slippage) : bestAsk;
+        } else {
+            price = isIoc ? bestAsk * (1 + slippage) : bestBid;
+        }
+        return await this.placeReduceOrder({ side, amount, price, orderType, reason });
+    }
+    
+    /**
+     * 按指定价格下减仓单（限价单，不经过风险校验，数量不超过可用余额），风险减仓和停止时调整库存共用
+     * @param {Object} request - {side, amount, price, orderType: 'ioc'|'limit', reason}
+     * @returns {Object|null} 创建的订单，价格无效、余额不足或失败时返回null
+     */
+    async placeReduceOrder({ side, amount, price, orderType = 'ioc', reason }) {
+        let clientOrderId = null;
+        try {
+            const isIoc = orderType === 'ioc';
+            if (!(price > 0)) {
+                this.logger.warn('缺少盘口价格，跳过减仓', { side, amount, reason });
+                return null;
+            }
+            
+            // 不超过可用余额（报价挂单冻结的余额由风险应对撤单释放）
+            const balances = this.getAvailableBalances();
+            const baseCurrency = this.config.get('baseCurrency');
+            const quoteCurrency = this.config.get('quoteCurrency');
+            const available = side === 'sell'
+                ? balances?.[baseCurrency]?.free || 0
+                : (balances?.[quoteCurrency]?.free || 0) / price;
+            const orderAmount = Math.min(amount, available);
+            
+            const marketInfo = this.strategy.exchangeManager.getMarketInfo();
+            const minAmount = marketInfo?.limits?.amount?.min || marketInfo?.precision?.amount || 0;
+            if (!(orderAmount > 0) || orderAmount < minAmount) {
+                this.logger.warn('可用余额不足，跳过减仓', { side, amount, available, minAmount, reason });
+                return null;
+            }
+            
+            clientOrderId = Helpers.generateUniqueId();
+            this.reduceOrders.set(clientOrderId, null);
+            const params = isIoc ? { clientOrderId, timeInForce: 'IOC' } : { clientOrderId };
+            const order = await this.strategy.exchangeManager.createOrder(side, orderAmount, price, 'limit', params);
+            this.updateReduceOrder(clientOrderId, order);
+            
+            this.logger.warn('已提交风险减仓单', {
+                reason,
+                orderId: order.id,
+                orderType,
+                side,
+                amount: orderAmount,
+                price,
+                status: order.status,
+                filled: order.filled
+            });
+            console.log(`🛡️ 风险减仓 (${reason}) | ${side === 'buy' ? '买入' : '卖出'} ${orderAmount.toFixed(6)}@${price.toFixed(2)} ${isIoc ? 'IOC' : '限价'}`);
+            return order;
+            
+        } catch (error) {
+            if (clientOrderId) {
+                this.reduceOrders.delete(clientOrderId);
+            }
+            this.logger.error('风险减仓失败', {
+                reason,
+                errorMessage: error.message
+            });
+            console.log(`❌ 风险减仓失败: ${error.message}`);
+            return null;
+        }
+    }
+    
+    /**
+     * 更新减仓订单状态，终态订单不再跟踪
+     */
+    updateReduceOrder(clientOrderId, order) {
+        if (['open', 'partially_filled'].includes(order.status)) {
+            this.reduceOrders.set(clientOrderId, order);
+        } else {
+            this.reduceOrders.delete(clientOrderId);
+        }
+    }
+    
+    /**
+     * 查找订单对应的减仓订单键（交易所未回传clientOrderId时按订单ID匹配）
+     */
+    findReduceOrderKey(order) {
+        if (order.clientOrderId && this.reduceOrders.has(order.clientOrderId)) {
+            return order.clientOrderId;
+        }
+        for (const [clientOrderId, reduceOrder] of this.reduceOrders) {
+            if (reduceOrder && reduceOrder.id === order.id) {
+                return clientOrderId;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 撤销未成交的减仓挂单
+     */
+    async cancelReduceOrders() {
+        for (const [clientOrderId, order] of Array.from(this.reduceOrders)) {
+            if (!order) {
+                continue;
+            }
+            try {
+                await this.strategy.exchangeManager.cancelOrder(order.id, this.config.get('symbol'));
+                this.logger.info('减仓挂单已撤销', { orderId: order.id });
+            } catch (error) {
+                this.logger.warn('Failed to cancel reduce order', { orderId: order.id, error: error.message });
+            }
+            this.reduceOrders.delete(clientOrderId);
+        }
+    }
+    
+    /**
+     * 获取未成交的减仓挂单
+     */
+    getReduceOrders() {
+        return Array.from(this.reduceOrders.values()).filter(Boolean);
+    }
+
+    /**
+     * 获取策略可用的余额
+     * 启用资金分配时为分配的资金，策略的活跃、挂起和减仓订单的剩余数量计为已用；否则为账户余额
+     */
+    getAvailableBalances() {
+        const openOrders = [...this.activeOrders.values(), ...this.getHangingOrders(), ...this.getReduceOrders()];
+        return this.strategy.capitalAllocation.getBalances(this.strategy.exchangeManager.getBalances(), openOrders);
+    }
+
     /**
      * 处理订单更新
      */
@@ -611,8 +962,21 @@ class OrderManager {
                 clientOrderId: order.clientOrderId
             });
 
-            // 更新活跃订单
-            if (this.activeOrders.has(orderId)) {
+            // 按累计成交量的增量记账（包括部分成交和已撤销订单的成交部分）
+            const fill = this.recordFills(order);
+
+            // 挂起订单和减仓订单单独跟踪，不进入常规报价的活跃订单
+            const reduceOrderKey = this.findReduceOrderKey(order);
+            if (reduceOrderKey) {
+                this.updateReduceOrder(reduceOrderKey, order);
+            } else if (this.hangingOrdersTracker.isHangingOrder(orderId)) {
+                if (order.status === 'filled' || order.status === 'closed') {
+                    this.handleOrderFilled(order);
+                } else {
+                    this.hangingOrdersTracker.updateOrder(order);
+                }
+            } else if (this.activeOrders.has(orderId)) {
+                // 更新活跃订单
                 const existingOrder = this.activeOrders.get(orderId);
                 // 仅当新状态更"终结"时才更新，避免旧状态覆盖新状态
                 if (this.isNewOrderStatusMoreFinal(existingOrder.status, order.status)) {
@@ -622,8 +986,8 @@ class OrderManager {
                     this.logger.debug('活跃订单状态未更新 (新状态不更终结)', { id: order.id, oldStatus: existingOrder.status, newStatus: order.status });
                 }
                 
-                // 检查订单状态
-                if (order.status === 'filled') {
+                // 检查订单状态（ccxt统一格式中完全成交的状态为closed）
+                if (order.status === 'filled' || order.status === 'closed') {
                     this.logger.info('订单已成交，调用 handleOrderFilled', { id: order.id });
                     this.handleOrderFilled(order);
                 } else if (order.status === 'canceled' || order.status === 'rejected' || order.status === 'expired') {
@@ -643,10 +1007,15 @@ class OrderManager {
             // 记录订单历史
             this.orderHistory.push({
                 ...order,
-                timestamp: Date.now()
+                timestamp: this.strategy.clock.now()
             });
             this.logger.debug('订单已添加到历史记录', { id: order.id, historySize: this.orderHistory.length });
             
+            // 成交记入历史后立即持久化状态，进程崩溃时不丢失盈亏
+            if (fill) {
+                this.strategy.stateStore.save('orderFilled');
+            }
+            
         } catch (error) {
             this.logger.error('处理订单更新时出错', {
                 orderId: order ? order.id : 'N/A',
@@ -657,6 +1026,45 @@ class OrderManager {
         }
     }
 
+    /**
+     * 处理账户成交事件（推送或查询），汇总为订单更新
+     */
+    handleFill(fill) {
+        try {
+            this.fillTracker.handleFill(fill);
+        } catch (error) {
+            this.logger.error('处理订单成交事件时出错', {
+                tradeId: fill ? fill.id : 'N/A',
+                orderId: fill ? fill.order : 'N/A',
+                errorName: error.name,
+                errorMessage: error.message
+            });
+        }
+    }
+
+    /**
+     * 将订单的新增成交记入持仓账本和分配资金，并更新风险管理器的盈亏
+     * @returns {Object|null} 本次记账的成交
+     */
+    recordFills(order) {
+        const fill = this.strategy.positionLedger.applyOrderUpdate(order);
+        if (!fill) {
+            return null;
+        }
+        
+        this.strategy.capitalAllocation.applyFill(fill);
+        this.strategy.riskManager.updateFromLedger(this.strategy.currentMarketData.midPrice);
+        this.logger.info('已实现盈亏已更新', {
+            orderId: order.id,
+            fillAmount: fill.amount,
+            fillPrice: fill.price,
+            fee: fill.fee,
+            realizedPnL: fill.realizedPnL,
+            netRealizedPnL: this.strategy.positionLedger.getNetRealizedPnL()
+        });
+        return fill;
+    }
+
     /**
      * 辅助函数：判断新订单状态是否比旧状态更"终结"
      * 用于避免旧的或不完整的状态更新覆盖新的、更准确的状态
@@ -668,7 +1076,8 @@ class OrderManager {
             'canceled': 3,
             'rejected': 3,
             'expired': 3,
-            'filled': 4
+            'filled': 4,
+            'closed': 4
         };
         return (statusPrecedence[newStatus] || 0) >= (statusPrecedence[oldStatus] || 0);
     }
@@ -689,19 +1098,18 @@ class OrderManager {
                 clientOrderId: order.clientOrderId
             });
             
-            // 从活跃订单中移除
+            // 从活跃订单中移除，同一订单对的另一侧转为挂起订单
             if (this.activeOrders.has(order.id)) {
+                this.hangingOrdersTracker.handleFilledOrder(order, this.activeOrders);
                 this.activeOrders.delete(order.id);
                 this.logger.debug('已成交订单从活跃订单列表中移除', { id: order.id });
+            } else if (this.hangingOrdersTracker.isHangingOrder(order.id)) {
+                this.hangingOrdersTracker.removeOrder(order.id, order.status);
+                this.logger.debug('挂起订单已成交', { id: order.id });
             } else {
                 this.logger.warn('尝试移除已成交订单，但该订单不在活跃订单列表中', { id: order.id });
             }
             
-            // 更新已实现盈亏（这里简化处理，实际应该根据成本价计算）
-            const realizedPnL = this.calculateRealizedPnL(order);
-            this.strategy.riskManager.updateRealizedPnL(realizedPnL);
-            this.logger.info('已实现盈亏已更新', { orderId: order.id, realizedPnL: realizedPnL });
-            
             // 标记需要强制更新订单（订单成交后立即更新）
             this.strategy.forceOrderUpdate = true;
             this.logger.info('订单成交，已设置强制更新标志，等待下次策略循环时更新订单');
@@ -716,18 +1124,6 @@ class OrderManager {
         }
     }
     
-    /**
-     * 计算已实现盈亏
-     */
-    calculateRealizedPnL(order) {
-        // 这里简化计算，实际应该根据持仓成本价计算
-        // 对于做市策略，通常通过买卖价差获得利润
-        const spread = this.strategy.currentMarketData.bestAsk - this.strategy.currentMarketData.bestBid;
-        const estimatedPnL = order.amount * spread * 0.5; // 假设获得一半价差
-        
-        return estimatedPnL;
-    }
-
     /**
      * 启动订单监控
      */
@@ -741,7 +1137,7 @@ class OrderManager {
             interval: this.orderMonitoringInterval
         });
         
-        this.orderMonitoringTimer = setInterval(async () => {
+        this.orderMonitoringTimer = this.strategy.clock.setInterval(async () => {
             try {
                 await this.monitorOrderStatus();
             } catch (error) {
@@ -758,7 +1154,7 @@ class OrderManager {
      */
     stopOrderMonitoring() {
         if (this.orderMonitoringTimer) {
-            clearInterval(this.orderMonitoringTimer);
+            this.strategy.clock.clearInterval(this.orderMonitoringTimer);
             this.orderMonitoringTimer = null;
             this.logger.info('订单监控已停止');
         }
@@ -766,9 +1162,12 @@ class OrderManager {
     
     /**
      * 监控订单状态
+     * 成交由账户成交事件及时发现，这里定期核对：一次查询全部挂单，状态或成交量变化的订单按挂单更新，
+     * 不在挂单中的订单再单独查询最终状态。挂单查询失败时逐个查询
      */
     async monitorOrderStatus() {
-        if (!this.strategy.isRunning || this.activeOrders.size === 0) {
+        const hangingOrders = this.hangingOrdersTracker.hangingOrders;
+        if (!this.strategy.isRunning || (this.activeOrders.size === 0 && hangingOrders.size === 0)) {
             return;
         }
         
@@ -777,19 +1176,24 @@ class OrderManager {
         });
         
         // 创建当前活跃订单的副本，避免在迭代过程中修改
-        const ordersToCheck = new Map(this.activeOrders);
+        const ordersToCheck = new Map([...this.activeOrders, ...hangingOrders]);
+        const openOrders = await this.strategy.exchangeManager.getOpenOrders();
+        const openOrdersById = Array.isArray(openOrders) ? new Map(openOrders.map(order => [order.id, order])) : null;
         
         for (const [orderId, localOrder] of ordersToCheck) {
             try {
-                // 查询远程订单状态
-                const remoteOrder = await this.strategy.exchangeManager.getOrder(orderId);
+                // 查询远程订单状态（挂单列表中没有的订单已成交或已取消）
+                const remoteOrder = (openOrdersById && openOrdersById.get(orderId)) ||
+                    await this.strategy.exchangeManager.getOrder(orderId);
                 
-                // 检查状态是否发生变化
-                if (remoteOrder.status !== localOrder.status) {
+                // 检查状态或成交量是否发生变化
+                if (remoteOrder.status !== localOrder.status || (remoteOrder.filled || 0) > (localOrder.filled || 0)) {
                     this.logger.info('检测到订单状态变化', {
                         orderId: orderId,
                         localStatus: localOrder.status,
                         remoteStatus: remoteOrder.status,
+                        localFilled: localOrder.filled,
+                        remoteFilled: remoteOrder.filled,
                         side: remoteOrder.side,
                         amount: remoteOrder.amount,
                         price: remoteOrder.price
@@ -800,12 +1204,11 @@ class OrderManager {
                 }
                 
             } catch (error) {
-                // 如果订单查询失败，可能是订单已被取消或不存在
-                if (error.message.includes('Order not found') || 
-                    error.message.includes('order not found') ||
-                    error.message.includes('Invalid order')) {
+                // 订单不存在或已失效（OrderNotFound是InvalidOrder的子类），可能是订单已被取消
+                if (error instanceof ccxt.InvalidOrder) {
                     this.logger.warn('订单不存在，从活跃订单列表中移除', {
                         orderId: orderId,
+                        errorName: error.name,
                         error: error.message
                     });
                     
@@ -813,7 +1216,7 @@ class OrderManager {
                     const canceledOrder = {
                         ...localOrder,
                         status: 'canceled',
-                        timestamp: Date.now()
+                        timestamp: this.strategy.clock.now()
                     };
                     
                     this.handleOrderUpdate(canceledOrder);
@@ -832,7 +1235,7 @@ class OrderManager {
      * 工具函数：睡眠
      */
     sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return this.strategy.clock.sleep(ms);
     }
 
     /**
@@ -849,12 +1252,42 @@ class OrderManager {
         return Array.from(this.activeOrders.values());
     }
 
+    /**
+     * 获取挂起订单列表
+     */
+    getHangingOrders() {
+        return this.hangingOrdersTracker.getHangingOrders();
+    }
+
     /**
      * 获取订单历史
      */
     getOrderHistory(limit = 10) {
         return this.orderHistory.slice(-limit);
     }
+
+    /**
+     * 导出需要持久化的订单状态（最近的订单历史和上次报价价格），不包含交易所原始返回数据
+     */
+    exportState() {
+        const maxHistory = (this.config.get('stateStore') || {}).maxOrderHistory || 200;
+        return {
+            orderHistory: this.orderHistory.slice(-maxHistory).map(({ info, ...order }) => order),
+            lastOrderPrices: this.lastOrderPrices
+        };
+    }
+
+    /**
+     * 恢复持久化的订单状态
+     */
+    restoreState(state) {
+        this.orderHistory = state.orderHistory || [];
+        this.lastOrderPrices = { ...this.lastOrderPrices, ...state.lastOrderPrices };
+        this.logger.info('订单状态已恢复', {
+            historySize: this.orderHistory.length,
+            lastOrderPrices: this.lastOrderPrices
+        });
+    }
 }
 
 module.exports = OrderManager;
\ No newline at end of file
@@ -1,22 +1,21 @@
 /**
  * 策略核心模块 - 负责Avellaneda算法的核心逻辑计算
+ * 保留价和最优价差由策略的定价模型（core/pricing）计算，本模块负责准备输入、应用价格精度和更新策略状态
  */
 class StrategyCore {
     constructor(strategy) {
         this.strategy = strategy;
         this.logger = strategy.logger;
         this.config = strategy.config;
-        
-        // 策略参数
-        this.riskAversion = this.config.get('riskFactor') || 0.1;
-        this.timeHorizon = this.config.get('timeHorizon') || 1; // 小时
-        this.minSpread = this.config.get('minSpread') || 0.001; // 最小价差
-        this.maxSpread = this.config.get('maxSpread') || 0.01; // 最大价差
+        this.pricingModel = strategy.pricingModel;
         
         // 性能统计
         this.executionCount = 0;
         this.lastExecutionTime = 0;
         this.totalExecutionTime = 0;
+        
+        // 风险应对调整：{level, spreadMultiplier, orderSizeMultiplier, reason, baseline}，baseline为调整前的参数
+        this.riskAdjustment = null;
     }
 
     /**
@@ -104,6 +103,16 @@ class StrategyCore {
             return false;
         }
         
+        // 检查订单到达强度，κ由公开成交拟合，样本不足且未配置备用κ时不报价
+        if (!(this.strategy.strategyState.kappa > 0)) {
+            this.logger.warn('订单到达强度κ尚未拟合出来，暂停报价（可配置tradingIntensityFallbackKappa）', {
+                kappa: this.strategy.strategyState.kappa,
+                tradeCount: this.strategy.strategyState.intensityTradeCount,
+                minTrades: this.config.get('tradingIntensityMinTrades')
+            });
+            return false;
+        }
+        
         // 检查库存数据
         if (this.strategy.strategyState.totalInventoryValue <= 0) {
             this.logger.debug('缺少有效的库存数据', {
@@ -117,56 +126,43 @@ class StrategyCore {
 
     /**
      * 计算Avellaneda最优价格
+     * 定价模型的价格输入为参考价格（config.referencePrice），默认为中间价
      */
     calculateOptimalPrices() {
         try {
-            const { currentPrice, volatility, currentInventory, targetInventory, totalInventoryValue } = this.strategy.strategyState;
+            const { volatility, kappa, currentInventory, targetInventory, totalInventoryValue } = this.strategy.strategyState;
             const { midPrice } = this.strategy.currentMarketData;
             
-            // 使用中间价作为参考价格
-            const referencePrice = midPrice;
-            
-            // 计算库存偏差
-            const inventoryImbalance = currentInventory - targetInventory;
-            const inventoryRatio = inventoryImbalance / totalInventoryValue;
-            
-            // 计算时间衰减因子（距离时间地平线的剩余时间比例）
-            const timeDecay = 1.0; // 简化处理，实际应该根据交易时间计算
-            
-            // 计算Avellaneda最优价差
-            const optimalSpread = this.calculateOptimalSpread(volatility, timeDecay);
-            
-            // 计算库存调整
-            const inventoryAdjustment = this.calculateInventoryAdjustment(
-                inventoryRatio, volatility, timeDecay
+            // 标准化库存偏差q：库存偏差占总库存（按基础货币计）的比例
+            const inventory = this.strategy.calculator.calculateInventorySkew(
+                currentInventory, targetInventory, totalInventoryValue, midPrice
             );
             
-            // 计算最优买卖价
-            const halfSpread = optimalSpread / 2;
-            const optimalBid = referencePrice - halfSpread + inventoryAdjustment;
-            const optimalAsk = referencePrice + halfSpread + inventoryAdjustment;
+            // 定价以所选来源的参考价格为基准，启用订单流不平衡时加上OFI偏移，库存价值仍按中间价计算
+            const referencePrice = this.strategy.indicators.getReferencePrice(midPrice);
             
-            // 应用价差限制
-            const { bid: adjustedBid, ask: adjustedAsk } = this.applySpreadLimits(
-                optimalBid, optimalAsk, referencePrice
-            );
+            // 剩余时间比例由执行时间窗口决定，无限时间段固定为1（与Hummingbot一致）
+            const timeframe = this.strategy.executionTimeframe.getState(this.strategy.clock.now());
+            const pricing = this.pricingModel.calculate({
+                midPrice: referencePrice.adjustedPrice,
+                volatility,
+                kappa,
+                inventory,
+                timeLeftFraction: timeframe.timeLeftFraction,
+                timeHorizon: timeframe.timeHorizon
+            });
+            if (!pricing.valid) {
+                this.logger.warn('定价模型输入无效', pricing);
+                return null;
+            }
             
-            // 应用价格精度
-            const { bid: finalBid, ask: finalAsk } = this.applyPricePrecision(
-                adjustedBid, adjustedAsk
-            );
+            // 启用交易成本时按挂单费率外推报价，再应用价格精度
+            const transactionCosts = this.strategy.calculator.applyTransactionCosts(pricing.bid, pricing.ask);
+            const { bid: finalBid, ask: finalAsk } = this.applyPricePrecision(transactionCosts.bid, transactionCosts.ask);
             
             this.logger.debug('Avellaneda最优价格计算完成', {
-                referencePrice: referencePrice.toFixed(2),
-                volatility: volatility.toFixed(6),
-                inventoryImbalance: inventoryImbalance.toFixed(6),
-                inventoryRatio: inventoryRatio.toFixed(4),
-                optimalSpread: optimalSpread.toFixed(6),
-                inventoryAdjustment: inventoryAdjustment.toFixed(6),
-                rawBid: optimalBid.toFixed(6),
-                rawAsk: optimalAsk.toFixed(6),
-                adjustedBid: adjustedBid.toFixed(6),
-                adjustedAsk: adjustedAsk.toFixed(6),
+                ...pricing,
+                referencePrice,
                 finalBid: finalBid.toFixed(2),
                 finalAsk: finalAsk.toFixed(2),
                 finalSpread: (finalAsk - finalBid).toFixed(4)
@@ -176,8 +172,9 @@ class StrategyCore {
                 bid: finalBid,
                 ask: finalAsk,
                 spread: finalAsk - finalBid,
-                inventoryAdjustment: inventoryAdjustment,
-                rawSpread: optimalSpread
+                pricing,
+                referencePrice,
+                transactionCosts
             };
             
         } catch (error) {
@@ -190,85 +187,6 @@ class StrategyCore {
         }
     }
 
-    /**
-     * 计算Avellaneda最优价差
-     */
-    calculateOptimalSpread(volatility, timeDecay) {
-        // Avellaneda-Stoikov模型的最优价差公式
-        // spread = γ * σ² * T + (2/γ) * ln(1 + γ/k)
-        // 这里简化为: spread = γ * σ² * T + 2 * ln(1 + γ)
-        
-        const gamma = this.riskAversion;
-        const sigma = volatility;
-        const T = timeDecay * this.timeHorizon;
-        
-        // 第一项：风险厌恶 * 波动率平方 * 时间
-        const riskTerm = gamma * Math.pow(sigma, 2) * T;
-        
-        // 第二项：流动性补偿项（简化）
-        const liquidityTerm = 2 * Math.log(1 + gamma);
-        
-        const optimalSpread = riskTerm + liquidityTerm;
-        
-        // 确保价差在合理范围内
-        return Math.max(this.minSpread, Math.min(this.maxSpread, optimalSpread));
-    }
-
-    /**
-     * 计算库存调整
-     */
-    calculateInventoryAdjustment(inventoryRatio, volatility, timeDecay) {
-        // 库存调整公式：adjustment = -γ * σ² * T * q
-        // 其中 q 是标准化的库存偏差
-        
-        const gamma = this.riskAversion;
-        const sigma = volatility;
-        const T = timeDecay * this.timeHorizon;
-        const q = inventoryRatio; // 标准化库存偏差
-        
-        const adjustment = -gamma * Math.pow(sigma, 2) * T * q;
-        
-        // 限制调整幅度，避免过度偏离市场价格
-        const maxAdjustment = this.strategy.currentMarketData.midPrice * 0.01; // 最大1%调整
-        return Math.max(-maxAdjustment, Math.min(maxAdjustment, adjustment));
-    }
-
-    /**
-     * 应用价差限制
-     */
-    applySpreadLimits(bid, ask, referencePrice) {
-        const currentSpread = ask - bid;
-        const minSpreadAbs = referencePrice * this.minSpread;
-        const maxSpreadAbs = referencePrice * this.maxSpread;
-        
-        let adjustedBid = bid;
-        let adjustedAsk = ask;
-        
-        // 如果价差太小，扩大价差
-        if (currentSpread < minSpreadAbs) {
-            const adjustment = (minSpreadAbs - currentSpread) / 2;
-            adjustedBid = bid - adjustment;
-            adjustedAsk = ask + adjustment;
-        }
-        
-        // 如果价差太大，缩小价差
-        if (currentSpread > maxSpreadAbs) {
-            const adjustment = (currentSpread - maxSpreadAbs) / 2;
-            adjustedBid = bid + adjustment;
-            adjustedAsk = ask - adjustment;
-        }
-        
-        // 确保买价小于卖价
-        if (adjustedBid >= adjustedAsk) {
-            const midPoint = (adjustedBid + adjustedAsk) / 2;
-            const halfMinSpread = minSpreadAbs / 2;
-            adjustedBid = midPoint - halfMinSpread;
-            adjustedAsk = midPoint + halfMinSpread;
-        }
-        
-        return { bid: adjustedBid, ask: adjustedAsk };
-    }
-
     /**
      * 应用价格精度
      */
@@ -282,12 +200,13 @@ class StrategyCore {
             };
         }
         
-        const pricePrecision = marketInfo.precision.price;
-        const multiplier = Math.pow(10, pricePrecision);
+        // ccxt统一返回的price精度为最小价格变动单位（如0.01），买价向下、卖价向上对齐，避免压缩价差
+        const tickSize = marketInfo.precision.price;
+        const decimals = Math.max(0, -Math.floor(Math.log10(tickSize)));
         
         return {
-            bid: Math.round(bid * multiplier) / multiplier,
-            ask: Math.round(ask * multiplier) / multiplier
+            bid: parseFloat((Math.floor(bid / tickSize + 1e-9) * tickSize).toFixed(decimals)),
+            ask: parseFloat((Math.ceil(ask / tickSize - 1e-9) * tickSize).toFixed(decimals))
         };
     }
 
@@ -298,7 +217,10 @@ class StrategyCore {
         this.strategy.strategyState.optimalBid = optimalPrices.bid;
         this.strategy.strategyState.optimalAsk = optimalPrices.ask;
         this.strategy.strategyState.currentSpread = optimalPrices.spread;
-        this.strategy.strategyState.lastCalculationTime = Date.now();
+        this.strategy.strategyState.pricing = optimalPrices.pricing;
+        this.strategy.strategyState.referencePrice = optimalPrices.referencePrice;
+        this.strategy.strategyState.transactionCosts = optimalPrices.transactionCosts;
+        this.strategy.strategyState.lastCalculationTime = this.strategy.clock.now();
         
         // 更新策略统计
         this.strategy.strategyState.executionCount = this.executionCount;
@@ -321,10 +243,7 @@ class StrategyCore {
             lastExecutionTime: this.lastExecutionTime,
             averageExecutionTime: this.executionCount > 0 ? this.totalExecutionTime / this.executionCount : 0,
             totalExecutionTime: this.totalExecutionTime,
-            riskAversion: this.riskAversion,
-            timeHorizon: this.timeHorizon,
-            minSpread: this.minSpread,
-            maxSpread: this.maxSpread
+            ...this.getParameters()
         };
     }
 
@@ -339,40 +258,127 @@ class StrategyCore {
         this.logger.info('策略统计已重置');
     }
 
+    /**
+     * 导出需要持久化的执行统计
+     */
+    exportState() {
+        return {
+            executionCount: this.executionCount,
+            totalExecutionTime: this.totalExecutionTime
+        };
+    }
+
+    /**
+     * 恢复持久化的执行统计
+     */
+    restoreState(state) {
+        this.executionCount = state.executionCount || 0;
+        this.totalExecutionTime = state.totalExecutionTime || 0;
+    }
+
     /**
      * 更新策略参数
      */
     updateParameters(params) {
-        if (params.riskFactor !== undefined) {
-            this.riskAversion = params.riskFactor;
+        this.pricingModel.updateParameters({
+            gamma: params.riskFactor,
+            timeHorizon: params.timeHorizon,
+            minSpread: params.minSpread,
+            maxSpread: params.maxSpread
+        });
+        if (params.orderAmount !== undefined) {
+            this.config.update('orderAmount', params.orderAmount);
         }
-        if (params.timeHorizon !== undefined) {
-            this.timeHorizon = params.timeHorizon;
+        
+        this.logger.info('策略参数已更新', this.getParameters());
+    }
+    
+    /**
+     * 外部更新策略参数（控制接口）
+     * 风险应对调整期间更新的价差和订单量作为新的调整基准，按当前调整倍数生效，恢复时不会被调整前的参数覆盖
+     */
+    updateBaseParameters(params) {
+        this.updateParameters(params);
+        if (!this.riskAdjustment) {
+            return;
         }
-        if (params.minSpread !== undefined) {
-            this.minSpread = params.minSpread;
+        
+        const { baseline } = this.riskAdjustment;
+        const rebased = Object.keys(baseline).filter(key => params[key] !== undefined);
+        if (rebased.length === 0) {
+            return;
         }
-        if (params.maxSpread !== undefined) {
-            this.maxSpread = params.maxSpread;
+        for (const key of rebased) {
+            baseline[key] = params[key];
         }
+        this.applyRiskAdjustment(this.riskAdjustment);
+        this.logger.info('风险应对期间参数已更新，调整基准已同步', { baseline });
+    }
+    
+    /**
+     * 应用风险应对调整：按调整前的参数放宽价差、缩小订单量（级别升高时基于同一基准重新计算，不叠加）
+     * @param {Object} adjustment - {level, spreadMultiplier, orderSizeMultiplier, reason}
+     */
+    applyRiskAdjustment(adjustment) {
+        const baseline = this.riskAdjustment ? this.riskAdjustment.baseline : {
+            minSpread: this.pricingModel.getParameters().minSpread,
+            maxSpread: this.pricingModel.getParameters().maxSpread,
+            orderAmount: this.config.get('orderAmount')
+        };
+        const { spreadMultiplier, orderSizeMultiplier } = adjustment;
         
-        this.logger.info('策略参数已更新', {
-            riskAversion: this.riskAversion,
-            timeHorizon: this.timeHorizon,
-            minSpread: this.minSpread,
-            maxSpread: this.maxSpread
-        });
+        const params = { orderAmount: baseline.orderAmount * orderSizeMultiplier };
+        if (baseline.minSpread > 0) {
+            params.minSpread = baseline.minSpread * spreadMultiplier;
+        }
+        if (baseline.maxSpread > 0) {
+            params.maxSpread = baseline.maxSpread * spreadMultiplier;
+        }
+        this.updateParameters(params);
+        
+        this.riskAdjustment = {
+            level: adjustment.level,
+            spreadMultiplier,
+            orderSizeMultiplier,
+            reason: adjustment.reason,
+            baseline
+        };
+        this.logger.warn('已应用风险应对参数调整', this.riskAdjustment);
+    }
+    
+    /**
+     * 恢复风险应对调整前的参数
+     * @returns {boolean} 是否有需要恢复的调整
+     */
+    restoreRiskAdjustment() {
+        if (!this.riskAdjustment) {
+            return false;
+        }
+        const { baseline } = this.riskAdjustment;
+        this.riskAdjustment = null;
+        this.updateParameters(baseline);
+        this.logger.info('已恢复风险应对前的策略参数', baseline);
+        return true;
     }
 
     /**
      * 获取当前策略参数
      */
     getParameters() {
+        const { model, gamma, timeHorizon, minSpread, maxSpread } = this.pricingModel.getParameters();
         return {
-            riskAversion: this.riskAversion,
-            timeHorizon: this.timeHorizon,
-            minSpread: this.minSpread,
-            maxSpread: this.maxSpread
+            pricingModel: model,
+            riskAversion: gamma,
+            timeHorizon,
+            minSpread,
+            maxSpread,
+            orderAmount: this.config.get('orderAmount'),
+            riskAdjustment: this.riskAdjustment ? {
+                level: this.riskAdjustment.level,
+                spreadMultiplier: this.riskAdjustment.spreadMultiplier,
+                orderSizeMultiplier: this.riskAdjustment.orderSizeMultiplier,
+                reason: this.riskAdjustment.reason
+            } : null
         };
     }
 
@@ -400,11 +406,24 @@ class StrategyCore {
             }
         }
         
+        if (params.orderAmount !== undefined) {
+            if (typeof params.orderAmount !== 'number' || params.orderAmount <= 0) {
+                errors.push('orderAmount must be a positive number');
+            }
+        }
+        
         if (params.maxSpread !== undefined) {
             if (typeof params.maxSpread !== 'number' || params.maxSpread <= 0) {
                 errors.push('maxSpread must be a positive number');
             }
-            if (params.minSpread !== undefined && params.maxSpread <= params.minSpread) {
+        }
+        
+        // 只更新价差上下限之一时与当前的另一个比较（风险应对期间为调整前的基准参数）
+        if (params.minSpread !== undefined || params.maxSpread !== undefined) {
+            const current = this.riskAdjustment ? this.riskAdjustment.baseline : this.pricingModel.getParameters();
+            const minSpread = params.minSpread !== undefined ? params.minSpread : current.minSpread;
+            const maxSpread = params.maxSpread !== undefined ? params.maxSpread : current.maxSpread;
+            if (typeof minSpread === 'number' && typeof maxSpread === 'number' && maxSpread <= minSpread) {
                 errors.push('maxSpread must be greater than minSpread');
             }
         }
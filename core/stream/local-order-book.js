@@ -0,0 +1,110 @@
+/**
+ * 本地订单簿
+ * 保存WebSocket推送的订单簿副本（只保留前depth档），并做序号校验：
+ * 序号（ccxt的nonce）或时间戳不大于当前订单簿的推送视为重复或乱序，直接跳过；
+ * 买一价不低于卖一价（交叉盘）说明增量更新丢失，本地订单簿已失去同步，需要重新订阅
+ */
+class LocalOrderBook {
+    /**
+     * @param {string} symbol - 交易对
+     * @param {number} depth - 保留的档位数
+     */
+    constructor(symbol, depth = 20) {
+        this.symbol = symbol;
+        this.depth = depth;
+        this.stats = {
+            updates: 0,
+            skipped: 0,
+            desyncs: 0
+        };
+        this.reset();
+    }
+
+    /**
+     * 清空订单簿，下一次推送作为新的快照
+     */
+    reset() {
+        this.bids = [];
+        this.asks = [];
+        this.nonce = null;
+        this.timestamp = 0;
+    }
+
+    /**
+     * 应用一次订单簿推送
+     * @param {Object} book - ccxt格式订单簿 {bids, asks, nonce, timestamp}
+     * @returns {Object} {applied, reason, desync} desync为true表示本地订单簿已失去同步
+     */
+    update(book) {
+        if (!book || !Array.isArray(book.bids) || !Array.isArray(book.asks)) {
+            return this.reject('invalid', true);
+        }
+
+        const nonce = typeof book.nonce === 'number' ? book.nonce : null;
+        if (nonce !== null && this.nonce !== null && nonce <= this.nonce) {
+            return this.reject(nonce === this.nonce ? 'duplicate' : 'outOfOrder', false);
+        }
+        if (book.timestamp && this.timestamp && book.timestamp < this.timestamp) {
+            return this.reject('outOfOrder', false);
+        }
+
+        const bids = book.bids.slice(0, this.depth).map(([price, amount]) => [price, amount]);
+        const asks = book.asks.slice(0, this.depth).map(([price, amount]) => [price, amount]);
+        if (bids.length === 0 || asks.length === 0) {
+            return this.reject('empty', false);
+        }
+        if (bids[0][0] >= asks[0][0]) {
+            this.stats.desyncs++;
+            this.reset();
+            return { applied: false, reason: 'crossed', desync: true };
+        }
+
+        this.bids = bids;
+        this.asks = asks;
+        this.nonce = nonce;
+        this.timestamp = book.timestamp || this.timestamp;
+        this.stats.updates++;
+        return { applied: true, reason: null, desync: false };
+    }
+
+    /**
+     * 记录被跳过的推送
+     */
+    reject(reason, desync) {
+        if (desync) {
+            this.stats.desyncs++;
+        } else {
+            this.stats.skipped++;
+        }
+        return { applied: false, reason, desync };
+    }
+
+    /**
+     * 转换为ccxt格式订单簿
+     */
+    toOrderBook() {
+        return {
+            symbol: this.symbol,
+            bids: this.bids,
+            asks: this.asks,
+            nonce: this.nonce,
+            timestamp: this.timestamp || undefined,
+            datetime: this.timestamp ? new Date(this.timestamp).toISOString() : undefined
+        };
+    }
+
+    /**
+     * 获取订单簿状态
+     */
+    getStatus() {
+        return {
+            nonce: this.nonce,
+            timestamp: this.timestamp,
+            bestBid: this.bids.length > 0 ? this.bids[0][0] : null,
+            bestAsk: this.asks.length > 0 ? this.asks[0][0] : null,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = LocalOrderBook;
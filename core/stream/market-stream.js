@@ -0,0 +1,263 @@
+const EventEmitter = require('events');
+const LocalOrderBook = require('./local-order-book');
+const { SystemClock } = require('../../utils/clock');
+
+// 频道对应的ccxt.pro订阅方法
+const CHANNEL_METHODS = {
+    orderBook: 'watchOrderBook',
+    ticker: 'watchTicker',
+    trades: 'watchTrades',
+    orders: 'watchOrders',
+    myTrades: 'watchMyTrades',
+    balance: 'watchBalance'
+};
+
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * WebSocket行情推送
+ * 每个频道（订单簿、价格、公开成交、订单、账户成交、余额）一个循环调用ccxt.pro的watch方法，收到数据后交给处理函数。
+ * 某个频道连续出错达到上限，或订单簿超时没有推送时发出degraded事件，由交易所管理器切换到REST轮询；
+ * 降级期间订阅继续重试，所有频道恢复正常且订单簿连续推送recoveryMessages次后发出recovered事件；每次订阅出错发出channelError事件
+ */
+class MarketStream extends EventEmitter {
+    /**
+     * @param {Object} exchange - ccxt.pro交易所实例
+     * @param {Object} options
+     * @param {string} options.symbol - 交易对
+     * @param {string[]} options.channels - 订阅的频道，交易所不支持的频道自动跳过
+     * @param {Object} options.handlers - 各频道的数据处理函数 {orderBook, ticker, trades, orders, myTrades, balance}
+     * @param {Object} options.config - streaming配置
+     * @param {Object} options.logger - 日志记录器
+     * @param {Object} options.clock - 时钟（默认使用系统时钟），订阅重试和订单簿超时检查的定时器都使用该时钟
+     */
+    constructor(exchange, { symbol, channels, handlers, config = {}, logger, clock = null }) {
+        super();
+        this.exchange = exchange;
+        this.symbol = symbol;
+        this.handlers = handlers;
+        this.logger = logger;
+        this.clock = clock || new SystemClock();
+
+        this.staleTimeout = config.staleTimeout || 10000;
+        this.maxConsecutiveErrors = config.maxConsecutiveErrors || 3;
+        this.retryDelay = config.retryDelay || 1000;
+        this.recoveryMessages = config.recoveryMessages || 5;
+
+        this.channels = channels.filter(channel => MarketStream.supportsChannel(exchange, channel));
+        this.localOrderBook = new LocalOrderBook(symbol, config.orderBookDepth || 20);
+
+        this.running = false;
+        this.generation = 0; // 每次启动递增，旧的订阅循环发现代数变化后退出
+        this.degraded = false;
+        this.recoveryCount = 0;
+        this.startTime = 0;
+        this.watchdogTimer = null;
+
+        this.channelStates = {};
+        for (const channel of this.channels) {
+            this.channelStates[channel] = {
+                messages: 0,
+                errors: 0,
+                consecutiveErrors: 0,
+                lastMessageTime: 0,
+                lastError: null
+            };
+        }
+        this.stats = {
+            degradations: 0,
+            recoveries: 0,
+            sequenceErrors: 0
+        };
+    }
+
+    /**
+     * 交易所是否支持订单簿推送
+     */
+    static isSupported(exchange) {
+        return MarketStream.supportsChannel(exchange, 'orderBook');
+    }
+
+    /**
+     * 交易所是否支持指定频道
+     */
+    static supportsChannel(exchange, channel) {
+        const method = CHANNEL_METHODS[channel];
+        return !!(exchange && exchange.has && method && exchange.has[method] && typeof exchange[method] === 'function');
+    }
+
+    now() {
+        return this.clock.now();
+    }
+
+    /**
+     * 启动所有频道的订阅循环和订单簿超时检查
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.generation++;
+        this.degraded = false;
+        this.recoveryCount = 0;
+        this.startTime = this.now();
+        this.localOrderBook.reset();
+
+        const generation = this.generation;
+        for (const channel of this.channels) {
+            this.runChannel(channel, generation);
+        }
+
+        const checkInterval = Math.max(1000, Math.floor(this.staleTimeout / 2));
+        this.watchdogTimer = this.clock.setInterval(() => this.checkStale(), checkInterval);
+
+        this.logger.info('行情推送已启动', { symbol: this.symbol, channels: this.channels });
+    }
+
+    /**
+     * 停止订阅，进行中的watch调用返回后循环退出
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        this.generation++;
+        if (this.watchdogTimer) {
+            this.clock.clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
+        this.logger.info('行情推送已停止', { symbol: this.symbol });
+    }
+
+    /**
+     * 单个频道的订阅循环
+     */
+    async runChannel(channel, generation) {
+        const state = this.channelStates[channel];
+        const isCurrent = () => this.running && generation === this.generation;
+
+        while (isCurrent()) {
+            try {
+                const data = channel === 'balance'
+                    ? await this.exchange.watchBalance()
+                    : await this.exchange[CHANNEL_METHODS[channel]](this.symbol);
+                if (!isCurrent()) {
+                    break;
+                }
+                state.messages++;
+                state.lastMessageTime = this.now();
+                this.handleMessage(channel, data);
+                state.consecutiveErrors = 0;
+            } catch (error) {
+                if (!isCurrent()) {
+                    break;
+                }
+                state.errors++;
+                state.consecutiveErrors++;
+                state.lastError = error.message;
+                this.emit('channelError', { channel, error });
+                if (channel === 'orderBook') {
+                    // 序号不连续或校验失败后本地订单簿作废，下一次推送作为新快照
+                    this.localOrderBook.reset();
+                    this.recoveryCount = 0;
+                }
+                this.logger.warn('行情推送订阅出错', {
+                    channel,
+                    error: error.message,
+                    consecutiveErrors: state.consecutiveErrors
+                });
+
+                if (state.consecutiveErrors >= this.maxConsecutiveErrors) {
+                    this.degrade(`${channel}订阅连续出错${state.consecutiveErrors}次: ${error.message}`);
+                }
+                await this.sleep(Math.min(this.retryDelay * state.consecutiveErrors, MAX_RETRY_DELAY));
+            }
+        }
+    }
+
+    /**
+     * 处理一条推送
+     */
+    handleMessage(channel, data) {
+        if (channel !== 'orderBook') {
+            this.handlers[channel](data);
+            return;
+        }
+
+        const result = this.localOrderBook.update(data);
+        if (!result.applied) {
+            if (result.desync) {
+                this.stats.sequenceErrors++;
+                throw new Error(`本地订单簿失去同步: ${result.reason}`);
+            }
+            this.logger.debug('跳过订单簿推送', { reason: result.reason, nonce: data && data.nonce });
+            return;
+        }
+
+        this.channelStates.orderBook.consecutiveErrors = 0;
+        this.handlers.orderBook(this.localOrderBook.toOrderBook());
+
+        if (this.degraded) {
+            this.recoveryCount++;
+            const healthy = Object.values(this.channelStates).every(state => state.consecutiveErrors === 0);
+            if (healthy && this.recoveryCount >= this.recoveryMessages) {
+                this.degraded = false;
+                this.recoveryCount = 0;
+                this.stats.recoveries++;
+                this.logger.info('行情推送已恢复');
+                this.emit('recovered');
+            }
+        }
+    }
+
+    /**
+     * 检查订单簿推送是否超时
+     */
+    checkStale() {
+        if (!this.running || this.degraded || !this.channelStates.orderBook) {
+            return;
+        }
+        const lastMessageTime = this.channelStates.orderBook.lastMessageTime || this.startTime;
+        const elapsed = this.now() - lastMessageTime;
+        if (elapsed > this.staleTimeout) {
+            this.degrade(`订单簿${elapsed}ms没有推送`);
+        }
+    }
+
+    /**
+     * 标记推送降级
+     */
+    degrade(reason) {
+        this.recoveryCount = 0;
+        if (this.degraded) {
+            return;
+        }
+        this.degraded = true;
+        this.stats.degradations++;
+        this.logger.warn('行情推送降级', { reason });
+        this.emit('degraded', { reason });
+    }
+
+    sleep(ms) {
+        return this.clock.sleep(ms);
+    }
+
+    /**
+     * 获取推送状态
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            degraded: this.degraded,
+            channels: this.channels,
+            channelStates: this.channelStates,
+            orderBook: this.localOrderBook.getStatus(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = MarketStream;
+module.exports.CHANNEL_METHODS = CHANNEL_METHODS;
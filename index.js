@@ -1,6 +1,11 @@
 const StrategyConfig = require('./config/strategy');
 const Logger = require('./utils/logger');
 const AvellanedaStrategy = require('./core/strategy');
+const PortfolioManager = require('./core/portfolio/portfolio-manager');
+const MarketRecorder = require('./core/recorder/market-recorder');
+const ControlServer = require('./core/api/control-server');
+const MetricsExporter = require('./core/metrics/metrics-exporter');
+const AlertManager = require('./core/alerts/alert-manager');
 const ccxt = require('ccxt');
 
 class AvellanedaMarketMaking {
@@ -9,6 +14,10 @@ class AvellanedaMarketMaking {
         this.logger = null;
         this.strategy = null;
         this.exchange = null;
+        this.recorders = [];
+        this.controlServer = null;
+        this.metricsExporter = null;
+        this.alertManager = null;
         this.isRunning = false;
         this.isShuttingDown = false;
         this.healthCheckInterval = null;
@@ -41,17 +50,66 @@ class AvellanedaMarketMaking {
         // 交易所和交易配置 - 合并显示
         const apiStatus = `${config.exchange.apiKey ? '✅' : '❌'}API ${config.exchange.secret ? '✅' : '❌'}密钥 ${config.exchange.password ? '✅' : '❌'}Pass`;
         console.log(`🏢 交易所: ${config.exchange.name} | ${apiStatus} | 沙盒 ${config.exchange.sandbox ? '✅' : '❌'}`);
+        if (this.config.isPaper()) {
+            const paper = config.paper;
+            console.log(`📝 模拟盘: 行情 ${paper.dataPath || '实时'} | 初始余额 ${paper.initialBase} ${config.baseCurrency} + ${paper.initialQuote} ${config.quoteCurrency} | 手续费 ${paper.makerFee}/${paper.takerFee}`);
+        }
         console.log(`💰 交易: ${config.symbol} | 风险因子 ${config.riskFactor} | 订单金额 ${config.orderAmount}`);
+        if (this.config.isMultiSymbol()) {
+            const { maxTotalPositionValue, maxTotalDailyLoss } = config.portfolioRisk;
+            const limit = value => (value > 0 ? value : '不限');
+            console.log(`🧺 多交易对: ${config.symbols.map(entry => entry.symbol).join(', ')} | 共用连接 | 组合持仓价值上限 ${limit(maxTotalPositionValue)} | 组合日亏损上限 ${limit(maxTotalDailyLoss)}`);
+        }
         console.log(`📊 价差: 最小 ${config.minSpread} | 最大 ${config.maxSpread} | 更新间隔 ${config.updateInterval}ms`);
+        const timeframe = config.executionTimeframe;
+        if (timeframe.mode === 'daily_between_times') {
+            console.log(`🕒 执行时间: 每日 ${timeframe.startTime}-${timeframe.endTime} (UTC) | 窗口外平仓 ${timeframe.flattenOutsideWindow ? '✅' : '❌'}`);
+        } else if (timeframe.mode === 'from_date_to_date') {
+            console.log(`🕒 执行时间: ${timeframe.startDatetime} 至 ${timeframe.endDatetime} | 窗口外平仓 ${timeframe.flattenOutsideWindow ? '✅' : '❌'}`);
+        }
+        if (config.hangingOrders.enabled) {
+            console.log(`🪝 挂起订单: 启用 | 偏离中间价 ${config.hangingOrders.cancelPct}% 时撤销`);
+        }
+        if (!this.config.isOfflinePaper()) {
+            const streaming = config.streaming;
+            console.log(`📡 行情: ${streaming.enabled ? `WebSocket推送 | 超时 ${streaming.staleTimeout / 1000}s 或连续出错 ${streaming.maxConsecutiveErrors} 次回退REST轮询` : 'REST轮询'}`);
+        }
+        if (config.transactionCosts.enabled) {
+            const { makerFee, takerFee } = config.transactionCosts;
+            const rate = fee => (typeof fee === 'number' ? fee : '交易所费率');
+            console.log(`💸 交易成本: 报价按挂单费率外推 | 挂单 ${rate(makerFee)} | 吃单 ${rate(takerFee)}`);
+        }
+        if (config.stateStore.enabled) {
+            console.log(`💾 状态持久化: ${config.stateStore.path} | 快照间隔 ${config.stateStore.snapshotInterval / 1000}s`);
+        }
+        if (config.controlApi.enabled) {
+            console.log(`🛠️ 控制接口: 127.0.0.1:${config.controlApi.port} | 令牌 ${config.controlApi.token ? '✅' : '❌'}`);
+        }
+        if (config.metrics.enabled) {
+            console.log(`📈 指标导出: http://127.0.0.1:${config.metrics.port}/metrics`);
+        }
         
         // 执行和风险配置 - 合并显示
-        console.log(`⚙️ 执行: 最大订单 ${config.maxOrders} | 超时 ${config.orderTimeout}ms | 成交延迟 ${config.filledOrderDelay}ms`);
+        console.log(`⚙️ 执行: 最大订单 ${config.maxOrders} | 档位 ${config.orderLevels}×${config.levelDistances}% | 超时 ${config.orderTimeout}ms | 刷新容忍 ${config.orderRefreshTolerancePct}% | 最大存活 ${config.maxOrderAge / 1000}s | 成交延迟 ${config.filledOrderDelay}ms`);
         console.log(`🛡️ 风险: 仓位 ${config.maxPositionSizePercent}% | 价值 ${config.maxPositionValuePercent}% | 止损 ${config.stopLossPercent}%`);
         console.log(`📉 限制: 回撤 ${config.maxDrawdown}% | 日亏损 ${config.maxDailyLossPercent}%`);
         
         console.log('─'.repeat(70) + '\n');
     }
 
+    /**
+     * 实盘未启用状态持久化时警告：重启后风险状态从零开始
+     */
+    warnStateStoreDisabled() {
+        if (!this.config.isLive() || this.config.get('stateStore').enabled) {
+            return;
+        }
+        console.warn('\n⚠️  实盘未启用状态持久化（stateStore.enabled = false）');
+        console.warn('   重启后已实现盈亏、历史峰值（回撤基准）、日盈亏和订单历史都会重置，回撤和日亏损限制从零重新计算');
+        console.warn('   建议在 config/trading.js 中设置 stateStore.enabled = true\n');
+        this.logger.warn('实盘未启用状态持久化，重启后风险状态将重置', { stateStore: this.config.get('stateStore') });
+    }
+
     /**
      * 初始化策略
      */
@@ -83,6 +141,7 @@ class AvellanedaMarketMaking {
                 nodeVersion: process.version,
                 memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
             });
+            this.warnStateStoreDisabled();
 
             // 步骤3: 验证配置
             process.stdout.write('🔍 3/5 验证配置...');
@@ -141,18 +200,26 @@ class AvellanedaMarketMaking {
 
         // 检查关键配置
         const validationChecks = [
+            {
+                name: '运行模式',
+                check: () => this.config.isLive() || this.config.isPaper(),
+                error: `当前运行模式为 ${config.tradingMode}，回测请使用 npm run backtest`
+            },
             {
                 name: 'API密钥',
+                liveOnly: true,
                 check: () => config.exchange.apiKey && config.exchange.apiKey !== 'your_api_key_here',
                 error: '请配置有效的交易所API密钥'
             },
             {
                 name: '密钥',
+                liveOnly: true,
                 check: () => config.exchange.secret && config.exchange.secret !== 'your_secret_here',
                 error: '请配置有效的交易所密钥'
             },
             {
                 name: 'Passphrase',
+                liveOnly: true,
                 check: () => config.exchange.password && config.exchange.password !== 'your_passphrase_here',
                 error: '请配置有效的交易所Passphrase'
             },
@@ -171,7 +238,7 @@ class AvellanedaMarketMaking {
                 check: () => config.orderAmount > 0,
                 error: '订单金额必须大于0'
             }
-        ];
+        ].filter(check => !check.liveOnly || this.config.isLive()); // 模拟盘不需要API密钥
 
         const failedChecks = [];
         
@@ -204,8 +271,10 @@ class AvellanedaMarketMaking {
         try {
             console.log('   initializeStrategy: 开始创建策略实例...');
             
-            // 创建策略实例，传递配置管理器实例
-            this.strategy = new AvellanedaStrategy(this.config);
+            // 创建策略实例，传递配置管理器实例（多交易对时由组合管理器为每个交易对创建策略）
+            this.strategy = this.config.isMultiSymbol()
+                ? new PortfolioManager(this.config)
+                : new AvellanedaStrategy(this.config);
             
             console.log('   initializeStrategy: 策略实例创建完成，开始初始化策略组件...');
             
@@ -358,16 +427,53 @@ class AvellanedaMarketMaking {
             console.log('🚀 开始启动策略...\n');
             this.logger.info('启动策略');
 
-            // 网络连接测试
-            console.log('🔍 执行网络连接测试...');
-            const networkTestPassed = await this.testNetworkConnection();
-            if (!networkTestPassed) {
-                throw new Error('网络连接测试失败，无法启动策略');
+            // 网络连接测试（离线回放的模拟盘不需要网络）
+            if (this.config.isOfflinePaper()) {
+                console.log('📼 模拟盘离线回放模式，跳过网络连接测试\n');
+            } else {
+                console.log('🔍 执行网络连接测试...');
+                const networkTestPassed = await this.testNetworkConnection();
+                if (!networkTestPassed) {
+                    throw new Error('网络连接测试失败，无法启动策略');
+                }
+                console.log('✅ 网络连接测试通过\n');
             }
-            console.log('✅ 网络连接测试通过\n');
 
             // 设置策略事件监听
             this.setupStrategyEventListeners();
+
+            // 启动本地控制接口（端口被占用等启动失败时不启动策略）
+            if (this.config.get('controlApi').enabled) {
+                this.controlServer = new ControlServer(this.config, this.strategy);
+                await this.controlServer.start();
+                console.log(`🛠️ 控制接口已启动: ${this.controlServer.getAddress()}`);
+            }
+
+            // 启动Prometheus指标导出
+            if (this.config.get('metrics').enabled) {
+                this.metricsExporter = new MetricsExporter(this.config, this.strategy);
+                await this.metricsExporter.start();
+                console.log(`📈 指标导出已启动: ${this.metricsExporter.getAddress()}`);
+            }
+
+            // 启动警报通知（在策略启动前订阅，启动过程中的风险事件和连接中断也会发送）
+            if (this.config.get('alerts').enabled) {
+                this.alertManager = new AlertManager(this.config, this.strategy);
+                this.alertManager.start();
+                const notifiers = this.alertManager.notifiers.map(notifier => notifier.name);
+                console.log(`🔔 警报通知已启用: ${notifiers.length > 0 ? notifiers.join(', ') : '未启用任何渠道'}`);
+            }
+
+            // 启动数据录制（在策略启动前订阅，录制完整的订单生命周期）
+            if (this.config.get('recorder').enabled) {
+                const strategies = this.strategy instanceof PortfolioManager ? this.strategy.getStrategies() : [this.strategy];
+                for (const strategy of strategies) {
+                    const recorder = new MarketRecorder(strategy.config, strategy.exchangeManager);
+                    recorder.start();
+                    this.recorders.push(recorder);
+                    console.log(`📼 数据录制已启动: ${recorder.getOutputPath()}`);
+                }
+            }
             
             // 启动策略
             console.log('🎯 启动策略算法...');
@@ -396,7 +502,7 @@ class AvellanedaMarketMaking {
             console.log('─'.repeat(40));
             console.log(`📅 启动时间: ${new Date().toLocaleString('zh-CN')}`);
             console.log(`🏢 交易所: ${this.config.get('exchange').name}`);
-            console.log(`💰 交易对: ${this.config.get('symbol')}`);
+            console.log(`💰 交易对: ${this.strategy instanceof PortfolioManager ? this.strategy.getSymbols().join(', ') : this.config.get('symbol')}`);
             console.log(`⚙️ 更新间隔: ${this.config.get('updateInterval')}ms`);
             console.log('─'.repeat(40));
             console.log('📊 策略正在运行中...');
@@ -406,6 +512,7 @@ class AvellanedaMarketMaking {
 
         } catch (error) {
             this.isRunning = false;
+            await this.stopServers();
             this.logger.errorWithStack('策略启动失败', error);
             
             console.error('\n❌ 策略启动失败:');
@@ -423,8 +530,9 @@ class AvellanedaMarketMaking {
 
     /**
      * 停止策略
+     * @param {Object} options - {emergency: 是否为紧急停止, reason: 停止原因}，决定停止时的库存处理策略
      */
-    async stop() {
+    async stop(options = {}) {
         try {
             if (!this.isRunning || this.isShuttingDown) {
                 this.logger.warn('策略未在运行或正在关闭中');
@@ -448,10 +556,20 @@ class AvellanedaMarketMaking {
             // 停止策略
             if (this.strategy) {
                 console.log('🎯 停止策略算法...');
-                await this.strategy.stop();
+                await this.strategy.stop(options);
                 console.log('✅ 策略算法已停止');
             }
 
+            // 停止数据录制（等待撤单事件写入后再关闭文件）
+            for (const recorder of this.recorders) {
+                await recorder.stop();
+                console.log(`📼 数据录制已停止，共 ${recorder.getStats().events} 个事件`);
+            }
+            this.recorders = [];
+
+            // 停止控制接口、指标导出和警报通知
+            await this.stopServers();
+
             // 标记为停止状态
             this.isRunning = false;
             this.isShuttingDown = false;
@@ -487,6 +605,27 @@ class AvellanedaMarketMaking {
         }
     }
 
+    /**
+     * 停止控制接口、指标导出和警报通知（等待发送中的警报完成）
+     */
+    async stopServers() {
+        if (this.controlServer) {
+            await this.controlServer.stop();
+            this.controlServer = null;
+            console.log('🛠️ 控制接口已停止');
+        }
+        if (this.metricsExporter) {
+            await this.metricsExporter.stop();
+            this.metricsExporter = null;
+            console.log('📈 指标导出已停止');
+        }
+        if (this.alertManager) {
+            await this.alertManager.stop();
+            this.alertManager = null;
+            console.log('🔔 警报通知已停止');
+        }
+    }
+
     /**
      * 启动健康检查
      */
@@ -591,8 +730,8 @@ class AvellanedaMarketMaking {
         console.log('─'.repeat(40));
         
         try {
-            // 停止策略
-            await this.stop();
+            // 停止策略（紧急停止使用单独的库存处理策略）
+            await this.stop({ emergency: signal === 'EMERGENCY_STOP', reason: signal });
             
             // 清理资源
             console.log('🧹 清理资源...');
@@ -0,0 +1,132 @@
+const path = require('path');
+const StrategyConfig = require('./config/strategy');
+const ParameterOptimizer = require('./core/optimizer/parameter-optimizer');
+const { buildBacktestOverrides } = require('./backtest');
+const Helpers = require('./utils/helpers');
+
+/**
+ * 参数优化入口
+ * 在录制数据上用回测搜索策略参数，多个工作线程并行试验，按夏普比率、盈亏、成交率和最大库存偏离排名
+ *
+ * 用法：
+ *   node optimize.js --data data/recordings/BTC_USDT --method bayesian --trials 100 --workers 3
+ *   node optimize.js --method grid --params riskFactor,shapeFactor --riskFactor 0.2:1:0.2 --shapeFactor 1,2,4
+ *
+ * 参数：
+ *   --method <方法>     搜索方法 grid | random | bayesian
+ *   --trials <次数>     试验次数上限
+ *   --initial <次数>    bayesian搜索先随机试验的次数
+ *   --workers <数量>    并行工作线程数
+ *   --metric <指标>     排序指标 sharpe | pnl | fillRate | maxInventory
+ *   --seed <种子>       随机种子
+ *   --params <列表>     只搜索指定参数（逗号分隔），其余参数使用 config/trading.js 中的值
+ *   --<参数名> <范围>   覆盖参数范围，min:max[:step] 或逗号分隔的候选值，如 --riskFactor 0.1:1:0.1
+ *   --top <数量>        显示排名前几的试验
+ *   --out <目录>        结果输出目录（默认 optimizer.outputDir/<时间戳>）
+ *   以及 backtest.js 的回测参数 --data --base --quote --maker-fee --taker-fee --latency --queue
+ */
+
+/**
+ * 解析参数范围：min:max[:step] 或逗号分隔的候选值
+ */
+function parseRange(name, text) {
+    const parseNumber = (value) => {
+        const number = parseFloat(value);
+        if (isNaN(number)) {
+            throw new Error(`参数 --${name} 的范围无效: ${text}`);
+        }
+        return number;
+    };
+
+    if (String(text).includes(':')) {
+        const [min, max, step] = String(text).split(':').map(parseNumber);
+        return step === undefined ? { min, max } : { min, max, step };
+    }
+    return { values: String(text).split(',').map(parseNumber) };
+}
+
+/**
+ * 根据命令行参数生成optimizer配置覆盖项
+ */
+function buildOptimizerOverrides(args, parameters) {
+    const overrides = {};
+    const numberArgs = { trials: 'trials', initial: 'initialTrials', workers: 'workers', seed: 'seed' };
+    for (const [arg, key] of Object.entries(numberArgs)) {
+        if (args[arg] !== undefined) {
+            const value = parseInt(args[arg], 10);
+            if (isNaN(value)) {
+                throw new Error(`参数 --${arg} 必须为整数`);
+            }
+            overrides[key] = value;
+        }
+    }
+    if (args.method) {
+        overrides.method = args.method;
+    }
+    if (args.metric) {
+        overrides.metric = args.metric;
+    }
+
+    // 参数范围：命令行中与参数同名的选项覆盖配置
+    let selected = { ...parameters };
+    for (const name of Object.keys(args)) {
+        if (Object.prototype.hasOwnProperty.call(parameters, name)) {
+            selected[name] = parseRange(name, args[name]);
+        }
+    }
+    if (args.params) {
+        const names = String(args.params).split(',').map(name => name.trim()).filter(Boolean);
+        const unknown = names.filter(name => !selected[name]);
+        if (unknown.length > 0) {
+            throw new Error(`未配置的参数: ${unknown.join(', ')}，请在 optimizer.parameters 中添加`);
+        }
+        selected = Object.fromEntries(names.map(name => [name, selected[name]]));
+    }
+    overrides.parameters = selected;
+
+    return overrides;
+}
+
+async function main() {
+    const args = Helpers.parseCommandLineArgs(process.argv.slice(2));
+    const defaults = new StrategyConfig({ tradingMode: 'backtest' });
+    const optimizer = buildOptimizerOverrides(args, defaults.get('optimizer').parameters);
+    const outputDir = args.out || path.join(defaults.get('optimizer').outputDir, new Date().toISOString().replace(/[:.]/g, '-'));
+
+    const runner = new ParameterOptimizer({
+        logLevel: 'warn',
+        logFile: 'logs/optimize.log',
+        backtest: buildBacktestOverrides(args),
+        optimizer
+    });
+
+    const backtestConfig = runner.config.get('backtest');
+    console.log(`🚀 开始参数优化 | 交易对: ${runner.config.get('symbol')} | 数据: ${backtestConfig.dataPath}`);
+    console.log(`⚙️ 方法: ${runner.method} | 试验上限: ${runner.maxTrials} | 工作线程: ${runner.workerCount} | 排序: ${runner.metric} | 参数: ${runner.space.getNames().join(', ')}`);
+
+    runner.on('trialComplete', (trial, progress) => {
+        const params = JSON.stringify(trial.params);
+        if (trial.status === 'ok') {
+            const m = trial.metrics;
+            console.log(`🧪 [${progress.completed}/${progress.total}] 试验${trial.id} 夏普 ${m.sharpeRatio.toFixed(3)} | 盈亏 ${m.totalPnL.toFixed(4)} | 成交率 ${m.fillRate.toFixed(2)}% | ${params}`);
+        } else {
+            console.log(`⚠️ [${progress.completed}/${progress.total}] 试验${trial.id} ${trial.status === 'invalid' ? '参数无效' : '失败'}: ${trial.error} | ${params}`);
+        }
+    });
+
+    const report = await runner.run();
+    report.print(args.top ? parseInt(args.top, 10) : 10);
+    const files = report.save(outputDir);
+    console.log(`\n💾 结果已保存: ${path.dirname(files.csv)}`);
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(`❌ 参数优化失败: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { parseRange, buildOptimizerOverrides };
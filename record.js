@@ -0,0 +1,105 @@
+const StrategyConfig = require('./config/strategy');
+const PaperExchangeManager = require('./core/paper-exchange');
+const MarketRecorder = require('./core/recorder/market-recorder');
+const Helpers = require('./utils/helpers');
+
+/**
+ * 市场数据录制入口
+ * 只使用交易所公开行情，不需要API密钥，也不会下单
+ *
+ * 用法：
+ *   node record.js --out data/recordings --depth 20
+ *
+ * 参数：
+ *   --out <目录>        录制数据根目录（默认使用 config/trading.js 中的 recorder.dataPath）
+ *   --depth <档位>      订单簿录制档位数，0为全部档位
+ *   --duration <分钟>   录制时长，不设置时一直录制直到按 Ctrl+C
+ *   --no-compress       不使用gzip压缩
+ */
+
+const STATUS_INTERVAL = 60000; // 状态输出间隔
+
+/**
+ * 根据命令行参数生成录制配置覆盖项
+ */
+function buildRecorderOverrides(args) {
+    const overrides = {};
+    if (args.out) {
+        overrides.dataPath = args.out;
+    }
+    if (args.depth !== undefined) {
+        const depth = parseInt(args.depth, 10);
+        if (isNaN(depth) || depth < 0) {
+            throw new Error('参数 --depth 必须为非负整数');
+        }
+        overrides.orderBookDepth = depth;
+    }
+    if (args['no-compress']) {
+        overrides.compress = false;
+    }
+    return overrides;
+}
+
+async function main() {
+    const args = Helpers.parseCommandLineArgs(process.argv.slice(2));
+
+    // 使用模拟盘交易所获取公开行情，保证录制过程不会产生真实订单
+    const config = new StrategyConfig({
+        tradingMode: 'paper',
+        logFile: 'logs/recorder.log',
+        paper: { dataPath: '' },
+        recorder: buildRecorderOverrides(args)
+    });
+
+    const exchangeManager = new PaperExchangeManager(config);
+    const recorder = new MarketRecorder(config, exchangeManager);
+
+    console.log(`📼 开始录制 | 交易所: ${config.get('exchange').name} | 交易对: ${config.get('symbol')} | 输出: ${recorder.getOutputPath()}`);
+
+    // 先订阅再连接，首批行情也会被录制
+    recorder.start();
+    if (!await exchangeManager.initialize()) {
+        await recorder.stop();
+        throw new Error('交易所连接失败');
+    }
+
+    const statusTimer = setInterval(() => {
+        const stats = recorder.getStats();
+        console.log(`📊 已录制 订单簿${stats.counts.orderBook} 行情${stats.counts.ticker} 成交${stats.counts.trade} | 文件: ${stats.currentFile}`);
+    }, STATUS_INTERVAL);
+
+    let stopping = false;
+    const stop = async (reason) => {
+        if (stopping) {
+            return;
+        }
+        stopping = true;
+        clearInterval(statusTimer);
+        console.log(`\n🛑 停止录制 (${reason})`);
+        await recorder.stop();
+        await exchangeManager.close();
+        const stats = recorder.getStats();
+        console.log(`✅ 录制完成 | 事件: ${stats.events} | 文件: ${stats.files} | 目录: ${stats.outputPath}`);
+        process.exit(0);
+    };
+
+    process.on('SIGINT', () => stop('SIGINT'));
+    process.on('SIGTERM', () => stop('SIGTERM'));
+
+    if (args.duration) {
+        const minutes = parseFloat(args.duration);
+        if (isNaN(minutes) || minutes <= 0) {
+            throw new Error('参数 --duration 必须为正数');
+        }
+        setTimeout(() => stop('达到录制时长'), minutes * 60000);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`❌ 录制失败: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildRecorderOverrides };
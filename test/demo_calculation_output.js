@@ -66,7 +66,7 @@ class CalculationOutputDemo {
         const calculationData = {
             midPrice: 118405.01,
             volatility: 0.0020,
-            tradingIntensity: 0.000150,
+            kappa: 0.000150,
             baseAmount: 0.00005485,
             quoteAmount: 100.90,
             inventoryValue: {
@@ -49,7 +49,7 @@ class MockAvellanedaStrategy {
             hasChanged: () => Math.random() > 0.3,
             getCurrentValues: () => ({
                 volatility: 0.0234,
-                tradingIntensity: 1.2345
+                kappa: 1.2345
             })
         };
         
@@ -0,0 +1,408 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const PortfolioManager = require('../core/portfolio/portfolio-manager');
+const AlertManager = require('../core/alerts/alert-manager');
+const { Notifier, WebhookNotifier, TelegramNotifier, SlackNotifier, EmailNotifier, createNotifiers } = require('../core/alerts/notifiers');
+
+/**
+ * 警报通知测试脚本
+ * 验证配置验证、模板渲染、按级别和类型路由、去重和限流、风险事件/紧急停止/连接中断恢复/日报的订阅，
+ * 以及通用Webhook、Telegram、Slack兼容Webhook（本地HTTP桩）和SMTP邮件（本地SMTP桩）的实际发送
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(dataPath, overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/alerts-test.log',
+        paper: { dataPath, replaySpeed: 1000, loop: false },
+        ...overrides
+    });
+}
+
+/**
+ * 记录收到的警报的通知渠道
+ */
+class RecordingNotifier extends Notifier {
+    constructor(name, options = {}) {
+        super(name, options);
+        this.received = [];
+    }
+
+    async deliver(alert, message) {
+        this.received.push({ alert, message });
+    }
+}
+
+/**
+ * 本地HTTP桩，记录请求并按路径返回预设响应
+ */
+function startHttpStub(responses = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+            const { status = 200, body = { ok: true } } = responses[req.url] || {};
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+/**
+ * 本地SMTP桩，支持EHLO、AUTH PLAIN、MAIL/RCPT/DATA，rejectRecipient为拒收的地址
+ */
+function startSmtpStub({ rejectRecipient = null } = {}) {
+    const sessions = [];
+    const server = net.createServer((socket) => {
+        const session = { commands: [], auth: null, from: null, to: [], data: null };
+        sessions.push(session);
+        let buffer = '';
+        let dataLines = null;
+        socket.setEncoding('utf8');
+        socket.write('220 stub ESMTP ready\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (dataLines) {
+                    if (line === '.') {
+                        session.data = dataLines.join('\r\n');
+                        dataLines = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+                session.commands.push(line.split(' ')[0].toUpperCase());
+                if (/^EHLO/i.test(line)) {
+                    socket.write('250-stub greets you\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+                } else if (/^AUTH PLAIN /i.test(line)) {
+                    session.auth = Buffer.from(line.slice(11), 'base64').toString('utf8').split('\0');
+                    socket.write('235 authenticated\r\n');
+                } else if (/^MAIL FROM:/i.test(line)) {
+                    session.from = line.slice(10);
+                    socket.write('250 ok\r\n');
+                } else if (/^RCPT TO:/i.test(line)) {
+                    const address = line.slice(8);
+                    if (address === `<${rejectRecipient}>`) {
+                        socket.write('550 mailbox unavailable\r\n');
+                    } else {
+                        session.to.push(address);
+                        socket.write('250 ok\r\n');
+                    }
+                } else if (/^DATA/i.test(line)) {
+                    dataLines = [];
+                    socket.write('354 end with .\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('502 not implemented\r\n');
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        port: server.address().port,
+        sessions,
+        close: () => new Promise(done => server.close(done))
+    })));
+}
+
+/**
+ * 解码Base64正文的邮件
+ */
+function parseMail(data) {
+    const [headerText, body] = data.split('\r\n\r\n');
+    const headers = {};
+    for (const line of headerText.split('\r\n')) {
+        const index = line.indexOf(': ');
+        headers[line.slice(0, index).toLowerCase()] = line.slice(index + 2);
+    }
+    const subjectMatch = /^=\?UTF-8\?B\?(.+)\?=$/.exec(headers.subject);
+    return {
+        headers,
+        subject: subjectMatch ? Buffer.from(subjectMatch[1], 'base64').toString('utf8') : headers.subject,
+        text: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8')
+    };
+}
+
+function testConfig(dataPath) {
+    console.log('\n📋 测试1: 配置验证');
+    const errorOf = (alerts) => {
+        try {
+            createConfig(dataPath, { alerts: { enabled: true, ...alerts } });
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    const telegram = errorOf({ telegram: { enabled: true, chatId: '123', botToken: '' } });
+    check('启用Telegram时必须配置令牌', telegram && telegram.includes('TELEGRAM_BOT_TOKEN'), telegram);
+    const severity = errorOf({ minSeverity: 'fatal' });
+    check('无效的级别被拒绝', severity && severity.includes('ALERTS.minSeverity'), severity);
+    const email = errorOf({ email: { enabled: true, host: 'smtp.example.com', port: 587, from: 'bot@example.com', to: [] } });
+    check('启用邮件时必须配置收件人', email && email.includes('ALERTS.email'), email);
+    const slack = errorOf({ slack: { enabled: true, webhookUrl: 'hooks.slack.com/x' } });
+    check('Slack地址必须是http(s)', slack && slack.includes('SLACK_WEBHOOK_URL'), slack);
+
+    const config = createConfig(dataPath, {
+        alerts: {
+            enabled: true,
+            webhook: { enabled: true, url: 'http://127.0.0.1:1/hook' },
+            telegram: { enabled: false },
+            email: { enabled: true, host: '127.0.0.1', port: 2525, from: 'bot@example.com', to: ['ops@example.com'], minSeverity: 'critical' }
+        }
+    });
+    const notifiers = createNotifiers(config.get('alerts'));
+    check('只创建已启用的渠道', notifiers.length === 2 && notifiers[0] instanceof WebhookNotifier && notifiers[1] instanceof EmailNotifier);
+}
+
+async function testRouting(dataPath) {
+    console.log('\n📋 测试2: 模板、路由、去重和限流');
+    const config = createConfig(dataPath, {
+        alerts: {
+            enabled: true,
+            minSeverity: 'info',
+            dedupWindow: 60000,
+            rateLimit: { maxAlerts: 2, interval: 60000 },
+            templates: { emergencyStop: { text: '停止原因 {{reason}} ({{unknown}})' } }
+        }
+    });
+    const all = new RecordingNotifier('all', { minSeverity: 'info' });
+    const criticalOnly = new RecordingNotifier('pager', { minSeverity: 'critical' });
+    const riskOnly = new RecordingNotifier('risk', { events: ['riskEvent'] });
+    const manager = new AlertManager(config, new AvellanedaStrategy(config), [all, criticalOnly, riskOnly]);
+
+    const sent = await manager.notify({ type: 'emergencyStop', severity: 'critical', symbol: 'BTC/USDT', data: { reason: 'drawdown' } });
+    const message = all.received[0].message;
+    check('标题带级别前缀并渲染交易对', message.title === '[CRITICAL] BTC/USDT 紧急停止', message.title);
+    check('自定义模板覆盖正文，未知字段原样保留', message.text === '停止原因 drawdown ({{unknown}})', message.text);
+    check('按级别路由到渠道', sent.join() === 'all,pager' && riskOnly.received.length === 0, sent.join());
+
+    await manager.notify({ type: 'riskEvent', severity: 'warning', symbol: 'BTC/USDT', data: { riskType: 'DRAWDOWN', message: 'drawdown 6%' } });
+    check('按警报类型路由', riskOnly.received.length === 1 && criticalOnly.received.length === 1);
+
+    const duplicate = await manager.notify({ type: 'riskEvent', severity: 'warning', symbol: 'BTC/USDT', data: { riskType: 'DRAWDOWN', message: 'drawdown 6%' } });
+    check('去重窗口内的相同警报不再发送', duplicate.length === 0 && manager.getStatus().deduplicated === 1);
+
+    await manager.notify({ type: 'riskEvent', severity: 'info', symbol: 'BTC/USDT', data: { message: 'third' } });
+    check('超过限流的非critical警报被丢弃', all.received.length === 2 && manager.getStatus().rateLimited >= 1);
+    await manager.notify({ type: 'connectionLost', severity: 'critical', symbol: 'BTC/USDT', data: { exchange: 'bitget' } });
+    check('critical警报不受限流', all.received.length === 3 && all.received[2].alert.type === 'connectionLost');
+
+    const quiet = new AlertManager(createConfig(dataPath, { alerts: { enabled: true, minSeverity: 'warning' } }),
+        new AvellanedaStrategy(config), [new RecordingNotifier('all')]);
+    await quiet.notify({ type: 'dailySummary', severity: 'info', symbol: 'BTC/USDT', data: {} });
+    check('低于全局最低级别的警报不发送', quiet.notifiers[0].received.length === 0 && quiet.getStatus().alerts === 0);
+}
+
+async function testSubscriptions(dataPath) {
+    console.log('\n📋 测试3: 事件订阅');
+    const config = createConfig(dataPath, { alerts: { enabled: true } });
+    const strategy = new AvellanedaStrategy(config);
+    const notifier = new RecordingNotifier('all');
+    const manager = new AlertManager(config, strategy, [notifier]);
+    manager.start();
+    strategy.eventHandler.setupRiskManagerEventListeners();
+    const received = () => notifier.received.map(({ alert }) => alert);
+    const risk = strategy.riskManager;
+
+    await risk.handleRiskEvent({ type: 'POSITION_LIMIT', severity: 'HIGH', message: 'Position limit exceeded', data: { position: 1 } });
+    await Promise.all(manager.pending);
+    check('高风险事件发送warning警报', received().length === 1 && received()[0].severity === 'warning' &&
+        notifier.received[0].message.text === 'Position limit exceeded');
+
+    await risk.handleRiskEvent({ type: 'EMERGENCY_STOP_THRESHOLD', severity: 'CRITICAL', message: 'Emergency stop threshold exceeded', data: {} });
+    await Promise.all(manager.pending);
+    const types = received().map(alert => `${alert.type}:${alert.severity}`);
+    check('严重风险事件发送风险警报和紧急停止警报', types.includes('riskEvent:critical') && types.includes('emergencyStop:critical'), types.join());
+    const stopAlert = notifier.received.find(({ alert }) => alert.type === 'emergencyStop');
+    check('紧急停止警报包含原因', stopAlert.message.text.includes('Emergency stop threshold exceeded'));
+
+    const before = received().length;
+    strategy.exchangeManager.emit('connectionRestored');
+    check('启动时的首次连接成功不发送恢复警报', received().length === before);
+    strategy.exchangeManager.emit('connectionLost');
+    strategy.exchangeManager.emit('connectionLost');
+    strategy.exchangeManager.emit('connectionRestored');
+    await Promise.all(manager.pending);
+    const connection = received().slice(before).map(alert => alert.type);
+    check('连接中断只发送一次，恢复时发送恢复警报', connection.join() === 'connectionLost,connectionRestored', connection.join());
+    const restored = notifier.received[notifier.received.length - 1].message.text;
+    check('恢复警报包含中断时长', /中断 \d+ 秒/.test(restored), restored);
+    strategy.exchangeManager.emit('connectionLost');
+    check('恢复后再次中断重新发送', received()[received().length - 1].type === 'connectionLost');
+
+    risk.riskState.dailyPnL = -12.345;
+    risk.riskState.realizedPnL = 40;
+    risk.riskState.lastResetTime = Date.now() - 25 * 60 * 60 * 1000;
+    risk.checkDailyReset();
+    await Promise.all(manager.pending);
+    const summary = notifier.received[notifier.received.length - 1];
+    check('日重置时发送日报', summary.alert.type === 'dailySummary' && summary.message.text.includes('当日盈亏: -12.35') &&
+        summary.message.text.includes('已实现盈亏: 40.00') && risk.riskState.dailyPnL === 0, summary.message.text);
+
+    await manager.stop();
+    strategy.eventHandler.removeEventListeners();
+    check('停止后移除事件订阅', risk.listenerCount('riskAlert') === 0 && strategy.exchangeManager.listenerCount('connectionLost') === 1);
+}
+
+async function testHttpNotifiers() {
+    console.log('\n📋 测试4: Webhook、Telegram和Slack');
+    const stub = await startHttpStub({
+        '/botbad-token/sendMessage': { status: 200, body: { ok: false, description: 'chat not found' } },
+        '/broken': { status: 500, body: { error: 'down' } }
+    });
+    const alert = { type: 'riskEvent', severity: 'warning', symbol: 'BTC/USDT', data: { riskType: 'DRAWDOWN' }, timestamp: '2026-10-19T00:00:00.000Z' };
+    const message = { title: '[WARNING] BTC/USDT 风险事件 DRAWDOWN', text: '回撤 6%' };
+
+    try {
+        await new WebhookNotifier({ url: `${stub.url}/hook`, headers: { 'X-Token': 'abc' } }).deliver(alert, message);
+        const webhook = stub.requests[0];
+        check('Webhook发送完整警报JSON和自定义请求头', webhook.url === '/hook' && webhook.headers['x-token'] === 'abc' &&
+            webhook.body.type === 'riskEvent' && webhook.body.data.riskType === 'DRAWDOWN' && webhook.body.text === '回撤 6%');
+
+        await new TelegramNotifier({ apiUrl: stub.url, botToken: 'good-token', chatId: '42' }).deliver(alert, message);
+        const telegram = stub.requests[1];
+        check('Telegram调用sendMessage', telegram.url === '/botgood-token/sendMessage' && telegram.body.chat_id === '42' &&
+            telegram.body.text === `${message.title}\n${message.text}`);
+        let telegramError = null;
+        await new TelegramNotifier({ apiUrl: stub.url, botToken: 'bad-token', chatId: '42' }).deliver(alert, message)
+            .catch(error => { telegramError = error.message; });
+        check('Telegram返回ok:false时视为失败', telegramError && telegramError.includes('chat not found'), telegramError);
+
+        await new SlackNotifier({ webhookUrl: `${stub.url}/slack` }).deliver(alert, message);
+        check('Slack兼容Webhook发送text', stub.requests[3].body.text === `*${message.title}*\n${message.text}`);
+
+        const config = createConfig(path.join(os.tmpdir(), 'unused.jsonl'), { alerts: { enabled: true } });
+        const broken = new WebhookNotifier({ url: `${stub.url}/broken` });
+        const manager = new AlertManager(config, new AvellanedaStrategy(config), [broken]);
+        const sent = await manager.notify(alert);
+        const status = manager.getStatus();
+        check('发送失败只记录统计，不抛出', sent.length === 0 && status.failed === 1 && status.notifiers[0].lastError.includes('HTTP 500'),
+            JSON.stringify(status));
+    } finally {
+        await stub.close();
+    }
+}
+
+async function testEmail() {
+    console.log('\n📋 测试5: SMTP邮件');
+    const stub = await startSmtpStub({ rejectRecipient: 'nobody@example.com' });
+    const options = {
+        host: '127.0.0.1',
+        port: stub.port,
+        requireTLS: false,
+        username: 'bot',
+        password: 'secret',
+        from: 'Avellaneda <bot@example.com>',
+        to: ['ops@example.com', 'risk@example.com'],
+        timeout: 2000
+    };
+    const alert = { type: 'emergencyStop', severity: 'critical', symbol: 'BTC/USDT', data: {} };
+    const text = '策略已紧急停止\n.以点开头的行';
+
+    try {
+        await new EmailNotifier(options).deliver(alert, { title: '[CRITICAL] BTC/USDT 紧急停止', text });
+        const session = stub.sessions[0];
+        check('AUTH PLAIN认证', session.auth && session.auth[1] === 'bot' && session.auth[2] === 'secret');
+        check('发件人和收件人', session.from === '<bot@example.com>' && session.to.join() === '<ops@example.com>,<risk@example.com>');
+        const mail = parseMail(session.data);
+        check('主题按UTF-8编码', mail.subject === '[CRITICAL] BTC/USDT 紧急停止', mail.subject);
+        check('正文按UTF-8 Base64编码', mail.text === text, mail.text);
+        check('发送后QUIT', session.commands[session.commands.length - 1] === 'QUIT');
+
+        let rejected = null;
+        await new EmailNotifier({ ...options, to: ['nobody@example.com'] }).deliver(alert, { title: 'x', text: 'y' })
+            .catch(error => { rejected = error; });
+        check('收件人被拒时返回SMTP状态码', rejected && rejected.code === 550, rejected && rejected.message);
+
+        let tlsError = null;
+        await new EmailNotifier({ ...options, requireTLS: true }).deliver(alert, { title: 'x', text: 'y' })
+            .catch(error => { tlsError = error.message; });
+        check('要求TLS但服务器不支持STARTTLS时拒绝发送', tlsError && tlsError.includes('STARTTLS'), tlsError);
+    } finally {
+        await stub.close();
+    }
+}
+
+async function testPortfolio(dataPath) {
+    console.log('\n📋 测试6: 多交易对');
+    const config = createConfig(dataPath, {
+        symbols: [{ symbol: 'BTC/USDT' }, { symbol: 'ETH/USDT' }],
+        alerts: { enabled: true }
+    });
+    const portfolio = new PortfolioManager(config);
+    const notifier = new RecordingNotifier('all');
+    const manager = new AlertManager(config, portfolio, [notifier]);
+    manager.start();
+
+    const [, eth] = portfolio.getStrategies();
+    eth.riskManager.sendRiskWarning({ type: 'POSITION_LIMIT', severity: 'HIGH', message: 'ETH position limit' });
+    portfolio.portfolioRisk.emit('portfolioStop', { reason: '组合当日亏损达到上限' });
+    await Promise.all(manager.pending);
+
+    const [riskAlert, stopAlert] = notifier.received;
+    check('风险警报带对应交易对', riskAlert.alert.symbol === 'ETH/USDT' && riskAlert.message.title.includes('ETH/USDT'));
+    check('组合停止发送紧急停止警报', stopAlert.alert.type === 'emergencyStop' && stopAlert.alert.symbol === 'portfolio' &&
+        stopAlert.message.text.includes('组合当日亏损达到上限'));
+    await manager.stop();
+}
+
+async function main() {
+    console.log('🧪 开始警报通知测试');
+    console.log('='.repeat(60));
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+    const dataPath = path.join(tempDir, 'recording.jsonl');
+    fs.writeFileSync(dataPath, '');
+    try {
+        testConfig(dataPath);
+        await testRouting(dataPath);
+        await testSubscriptions(dataPath);
+        await testHttpNotifiers();
+        await testEmail();
+        await testPortfolio(dataPath);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ 测试执行出错: ${error.stack}`);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
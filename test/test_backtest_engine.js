@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const StrategyConfig = require('../config/strategy');
+const BacktestEngine = require('../core/backtest/backtest-engine');
+const QueueFillModel = require('../core/backtest/fill-model');
+const BacktestDataLoader = require('../core/backtest/data-loader');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 回测引擎测试脚本
+ * 使用随机游走生成的合成订单簿数据验证模拟时钟、排队成交模型、数据加载和完整回测流程
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+/**
+ * 生成合成市场数据（固定随机种子，保证结果可复现）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+function testSimulatedClock() {
+    console.log('\n⏱️ 测试1: 模拟时钟');
+    const clock = new SimulatedClock(1000);
+    const fired = [];
+    clock.setTimeout(() => fired.push('b'), 200);
+    clock.setTimeout(() => fired.push('a'), 100);
+    const cancelled = clock.setTimeout(() => fired.push('x'), 150);
+    clock.clearTimeout(cancelled);
+
+    clock.advanceTo(1150);
+    check('到期定时器按时间顺序触发', fired.join(',') === 'a', `实际: ${fired.join(',')}`);
+    check('时间推进到目标时间', clock.now() === 1150);
+
+    clock.advanceTo(1100);
+    check('时间不会倒退', clock.now() === 1150);
+
+    clock.advanceBy(100);
+    check('已取消的定时器不会触发', fired.join(',') === 'a,b', `实际: ${fired.join(',')}`);
+}
+
+function testFillModel() {
+    console.log('\n📐 测试2: 排队成交模型');
+    const model = new QueueFillModel({ queuePositionModel: 'conservative' });
+    const book = { bids: [[100, 2], [99, 1]], asks: [[101, 1], [102, 1]] };
+
+    const order = { side: 'buy', price: 100, remaining: 1 };
+    model.onOrderPlaced(order, book);
+    check('挂单排在同价位已有数量之后', order.queueAhead === 2);
+
+    let filled = model.onTrade(order, { price: 100, amount: 1.5, side: 'sell' });
+    check('成交先消耗排在前面的数量', filled === 0 && order.queueAhead === 0.5);
+
+    filled = model.onTrade(order, { price: 100, amount: 1, side: 'sell' });
+    check('排队消耗完后剩余部分成交挂单', Math.abs(filled - 0.5) < 1e-12);
+
+    filled = model.onTrade(order, { price: 100, amount: 1, side: 'buy' });
+    check('同方向主动成交不会成交挂单', filled === 0);
+
+    filled = model.onTrade(order, { price: 99.5, amount: 0.01, side: 'sell' });
+    check('成交价穿越挂单价格时全部成交', filled === order.remaining);
+
+    const sellOrder = { side: 'sell', price: 101, remaining: 1 };
+    model.onOrderPlaced(sellOrder, book);
+    filled = model.onOrderBook(sellOrder, { bids: [[101, 1]], asks: [[102, 1]] });
+    check('对手盘价格穿越时全部成交', filled === 1);
+
+    const optimistic = new QueueFillModel({ queuePositionModel: 'optimistic' });
+    const queued = { side: 'buy', price: 100, remaining: 1 };
+    optimistic.onOrderPlaced(queued, book);
+    optimistic.onOrderBook(queued, { bids: [[100, 1.5]], asks: [[101, 1]] });
+    check('乐观模型在盘口数量减少时推进队列', queued.queueAhead === 1.5);
+}
+
+async function testDataLoader(dataDir) {
+    console.log('\n📂 测试3: 数据加载');
+    const loader = new BacktestDataLoader(dataDir, { symbol: 'BTC/USDT' });
+    let count = 0;
+    let lastTimestamp = 0;
+    let ordered = true;
+    for await (const event of loader.events()) {
+        count++;
+        if (event.timestamp < lastTimestamp) {
+            ordered = false;
+        }
+        lastTimestamp = event.timestamp;
+    }
+    const stats = loader.getStats();
+    check('读取目录下的普通和gzip文件', stats.files === 2, `文件数: ${stats.files}`);
+    check('跨文件事件按时间顺序', ordered);
+    check('无效行被跳过', stats.skipped === 1, `跳过: ${stats.skipped}`);
+    return count;
+}
+
+async function testBacktestRun(dataDir, outputDir, expectedEvents) {
+    console.log('\n🚀 测试4: 完整回测流程');
+    const config = new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: 'error',
+        logFile: 'logs/backtest-test.log',
+        backtest: {
+            initialBase: 0.01,
+            initialQuote: 300,
+            makerFee: 0.001,
+            takerFee: 0.001,
+            latency: 50,
+            queuePositionModel: 'conservative',
+            equitySampleInterval: 10000
+        }
+    });
+
+    const engine = new BacktestEngine(config, { dataPath: dataDir, quiet: true });
+    const report = await engine.run();
+    const summary = report.getSummary();
+
+    check('回放全部事件', summary.events === expectedEvents, `事件数: ${summary.events}`);
+    check('策略提交了订单', summary.submittedOrders > 0, `订单数: ${summary.submittedOrders}`);
+    check('挂单产生成交', summary.fills > 0, `成交数: ${summary.fills}`);
+    check('成交均为挂单成交', summary.takerFills === 0, `吃单成交: ${summary.takerFills}`);
+
+    const expectedBase = 0.01 + summary.buyVolume - summary.sellVolume;
+    check('期末库存与成交记录一致', Math.abs(summary.finalInventory - expectedBase) < 1e-9,
+        `期末: ${summary.finalInventory}, 预期: ${expectedBase}`);
+
+    const fees = report.fills.reduce((total, fill) => total + fill.cost * 0.001, 0);
+    check('手续费按挂单费率计算', Math.abs(summary.totalFees - fees) < 1e-9);
+
+    check('回测结束后没有遗留挂单', engine.exchangeManager.matchingEngine.getOpenOrders().length === 0);
+    check('生成权益曲线', report.equityCurve.length > 2, `采样数: ${report.equityCurve.length}`);
+    check('库存区间包含期末库存', summary.minInventory <= summary.finalInventory && summary.finalInventory <= summary.maxInventory);
+
+    const files = report.save(outputDir);
+    check('报告文件已保存', Object.values(files).every(file => fs.existsSync(file)));
+
+    report.print();
+}
+
+async function main() {
+    console.log('🧪 开始回测引擎测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-test-'));
+    const dataDir = path.join(tempDir, 'data');
+    const outputDir = path.join(tempDir, 'output');
+
+    try {
+        testSimulatedClock();
+        testFillModel();
+
+        // 生成30分钟的数据，拆分为两个按日期命名的文件（第二个为gzip压缩）
+        const startTime = Date.UTC(2025, 0, 1, 0, 0, 0);
+        const events = generateMarketData(startTime, 9000, 200);
+        const half = Math.floor(events.length / 2);
+        const toLines = (items) => items.map(item => JSON.stringify(item)).join('\n') + '\n';
+        fs.mkdirSync(path.join(dataDir, '2025-01-01'), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, '2025-01-01', 'part-0001.jsonl'), toLines(events.slice(0, half)) + 'not-json\n');
+        fs.writeFileSync(path.join(dataDir, '2025-01-01', 'part-0002.jsonl.gz'), zlib.gzipSync(toLines(events.slice(half))));
+
+        const count = await testDataLoader(dataDir);
+        await testBacktestRun(dataDir, outputDir, count);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const PortfolioManager = require('../core/portfolio/portfolio-manager');
+const ControlServer = require('../core/api/control-server');
+
+/**
+ * 本地控制接口测试脚本
+ * 验证令牌认证、只监听127.0.0.1、状态/订单/风险/指标查询、参数热更新及验证、
+ * 暂停/恢复、撤销全部订单、重置紧急停止，以及多交易对时按symbol选择交易对
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+const TOKEN = 'test-control-token-0123456789';
+
+function createConfig(dataPath, overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/control-api-test.log',
+        paper: { dataPath, replaySpeed: 1000, loop: false },
+        controlApi: { enabled: true, port: 0, token: TOKEN },
+        ...overrides
+    });
+}
+
+/**
+ * 发送请求，返回 {status, body}
+ */
+function request(server, method, urlPath, { body, token = TOKEN, rawBody } = {}) {
+    return new Promise((resolve, reject) => {
+        const payload = rawBody !== undefined ? rawBody : (body !== undefined ? JSON.stringify(body) : '');
+        const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const req = http.request(`${server.getAddress()}${urlPath}`, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+            });
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+async function testConfig(dataPath) {
+    console.log('\n📋 测试1: 配置验证');
+    let error = null;
+    try {
+        createConfig(dataPath, { controlApi: { enabled: true, port: 8686, token: '' } });
+    } catch (e) {
+        error = e.message;
+    }
+    check('启用控制接口时必须配置令牌', error && error.includes('CONTROL_API_TOKEN'), error);
+
+    error = null;
+    try {
+        createConfig(dataPath, { controlApi: { enabled: true, port: 70000, token: TOKEN } });
+    } catch (e) {
+        error = e.message;
+    }
+    check('端口超出范围被拒绝', error && error.includes('port'), error);
+
+    const config = createConfig(dataPath, { controlApi: { enabled: false, token: '' } });
+    const server = new ControlServer(config, new AvellanedaStrategy(config));
+    let startError = null;
+    await server.start().catch(e => { startError = e.message; });
+    check('没有令牌时拒绝启动', startError && startError.includes('token'), startError);
+}
+
+async function testSingleStrategy(dataPath) {
+    console.log('\n📋 测试2: 单交易对');
+    const config = createConfig(dataPath);
+    const strategy = new AvellanedaStrategy(config);
+    const server = new ControlServer(config, strategy);
+    const port = await server.start();
+
+    try {
+        check('只监听127.0.0.1', server.server.address().address === '127.0.0.1' && port > 0);
+
+        const noToken = await request(server, 'GET', '/api/status', { token: null });
+        const wrongToken = await request(server, 'GET', '/api/status', { token: 'wrong-token' });
+        check('缺少或错误的令牌返回401', noToken.status === 401 && wrongToken.status === 401 && !noToken.body.success);
+
+        const notFound = await request(server, 'GET', '/api/unknown');
+        const wrongMethod = await request(server, 'GET', '/api/pause');
+        check('未知路径返回404，方法不符返回405', notFound.status === 404 && wrongMethod.status === 405);
+
+        const status = await request(server, 'GET', '/api/status');
+        check('状态接口返回策略状态', status.status === 200 && status.body.success &&
+            status.body.data.lifecycle !== undefined && status.body.data.orders.activeCount === 0);
+
+        const orders = await request(server, 'GET', '/api/orders');
+        check('订单接口按交易对返回挂单、挂起订单和历史',
+            Array.isArray(orders.body.data['BTC/USDT'].active) && Array.isArray(orders.body.data['BTC/USDT'].history));
+
+        const risk = await request(server, 'GET', '/api/risk');
+        check('风险接口返回风险状态', risk.body.data.strategies['BTC/USDT'].state.isEmergencyStop === false &&
+            risk.body.data.portfolio === undefined);
+
+        const indicators = await request(server, 'GET', '/api/indicators');
+        const values = indicators.body.data['BTC/USDT'].values;
+        check('指标接口返回波动率和交易强度', 'volatility' in values && 'kappa' in values &&
+            indicators.body.data['BTC/USDT'].status.overall.isReady === false);
+
+        const updated = await request(server, 'POST', '/api/parameters', { body: { riskFactor: 0.25, maxSpread: 0.03 } });
+        check('参数热更新生效', updated.status === 200 &&
+            updated.body.data['BTC/USDT'].riskAversion === 0.25 && strategy.getParameters().maxSpread === 0.03);
+
+        const invalid = await request(server, 'POST', '/api/parameters', { body: { riskFactor: -1 } });
+        check('无效参数返回400且不修改', invalid.status === 400 && strategy.getParameters().riskAversion === 0.25, invalid.body.error);
+        const unsupported = await request(server, 'POST', '/api/parameters', { body: { shapeFactor: 1 } });
+        check('不支持热更新的参数返回400', unsupported.status === 400 && unsupported.body.error.includes('shapeFactor'));
+        const badJson = await request(server, 'POST', '/api/parameters', { rawBody: '{riskFactor:' });
+        check('请求体不是JSON时返回400', badJson.status === 400);
+
+        strategy.lifecycleManager.isRunning = true;
+        const paused = await request(server, 'POST', '/api/pause');
+        check('暂停策略', paused.body.data['BTC/USDT'].isPaused === true && strategy.lifecycleManager.isPaused);
+        const resumed = await request(server, 'POST', '/api/resume');
+        check('恢复策略', resumed.body.data['BTC/USDT'].isPaused === false && !strategy.lifecycleManager.isPaused);
+        strategy.lifecycleManager.isRunning = false;
+
+        let cancelCalls = 0;
+        strategy.orderManager.cancelAllOrders = async () => { cancelCalls++; };
+        const cancelled = await request(server, 'POST', '/api/cancel-all');
+        check('撤销全部订单', cancelled.status === 200 && cancelCalls === 1 && cancelled.body.data['BTC/USDT'].activeCount === 0);
+
+        strategy.riskManager.riskState.isEmergencyStop = true;
+        const reset = await request(server, 'POST', '/api/emergency-stop/reset');
+        check('重置紧急停止', reset.body.data['BTC/USDT'].isEmergencyStop === false && !strategy.riskManager.riskState.isEmergencyStop);
+
+        check('统计请求和未认证次数', server.getStatus().requests >= 15 && server.getStatus().unauthorized === 2);
+    } finally {
+        await server.stop();
+    }
+    check('停止后不再监听', !server.getStatus().running);
+}
+
+async function testPortfolio(dataPath) {
+    console.log('\n📋 测试3: 多交易对');
+    const config = createConfig(dataPath, {
+        symbols: [{ symbol: 'BTC/USDT' }, { symbol: 'ETH/USDT', riskFactor: 0.3 }]
+    });
+    const portfolio = new PortfolioManager(config);
+    const server = new ControlServer(config, portfolio);
+    await server.start();
+
+    try {
+        const status = await request(server, 'GET', '/api/status');
+        check('状态接口返回组合状态', status.body.data.symbols.length === 2 && status.body.data.portfolio !== undefined);
+        const ethStatus = await request(server, 'GET', '/api/status?symbol=ETH/USDT');
+        check('指定交易对返回该交易对的状态', ethStatus.body.data.lifecycle !== undefined && ethStatus.body.data.symbols === undefined);
+
+        const unknown = await request(server, 'GET', '/api/parameters?symbol=XRP/USDT');
+        check('未知交易对返回404', unknown.status === 404);
+
+        const updated = await request(server, 'POST', '/api/parameters?symbol=ETH/USDT', { body: { riskFactor: 0.4 } });
+        const [btc, eth] = portfolio.getStrategies();
+        check('只更新指定交易对的参数', Object.keys(updated.body.data).join() === 'ETH/USDT' &&
+            eth.getParameters().riskAversion === 0.4 && btc.getParameters().riskAversion !== 0.4);
+
+        const risk = await request(server, 'GET', '/api/risk');
+        check('风险接口附带组合风险', risk.body.data.portfolio.limits !== undefined &&
+            Object.keys(risk.body.data.strategies).length === 2);
+
+        portfolio.portfolioRisk.isHalted = true;
+        portfolio.portfolioRisk.haltReason = 'test';
+        eth.riskManager.riskState.isEmergencyStop = true;
+        await request(server, 'POST', '/api/emergency-stop/reset?symbol=ETH/USDT');
+        check('指定交易对时只重置该交易对', !eth.riskManager.riskState.isEmergencyStop && portfolio.portfolioRisk.isHalted);
+        await request(server, 'POST', '/api/emergency-stop/reset');
+        check('不指定交易对时同时解除组合停止', !portfolio.portfolioRisk.isHalted && portfolio.portfolioRisk.haltReason === null);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function main() {
+    console.log('🧪 开始本地控制接口测试');
+    console.log('='.repeat(60));
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'control-api-test-'));
+    const dataPath = path.join(tempDir, 'recording.jsonl');
+    fs.writeFileSync(dataPath, '');
+    try {
+        await testConfig(dataPath);
+        await testSingleStrategy(dataPath);
+        await testPortfolio(dataPath);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ 测试执行出错: ${error.stack}`);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
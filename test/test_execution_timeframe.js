@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const BacktestEngine = require('../core/backtest/backtest-engine');
+const ExecutionTimeframe = require('../core/strategy/execution-timeframe');
+const { AvellanedaPricingModel } = require('../core/pricing');
+
+/**
+ * 执行时间窗口测试脚本
+ * 验证三种执行时间模式的窗口和剩余时间比例、定价模型随窗口收敛，以及回测中窗口外停止报价和库存调整
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function expectError(fn) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+function testTimeframeModes() {
+    console.log('\n🕒 测试1: 执行时间模式');
+    const day = Date.UTC(2025, 0, 1);
+    const hour = 60 * 60 * 1000;
+
+    const infinite = new ExecutionTimeframe({ mode: 'infinite' }).getState(day);
+    check('无限模式始终在窗口内且比例为1', infinite.inWindow && infinite.timeLeftFraction === 1 && infinite.timeHorizon === null);
+
+    const daily = new ExecutionTimeframe({ mode: 'daily_between_times', startTime: '09:00', endTime: '17:00' });
+    const midday = daily.getState(day + 13 * hour);
+    check('每日窗口内剩余时间比例', midday.inWindow && near(midday.timeLeftFraction, 0.5),
+        `比例: ${midday.timeLeftFraction}`);
+    check('每日窗口长度作为时间地平线', near(midday.timeHorizon, 8), `T: ${midday.timeHorizon}`);
+
+    const evening = daily.getState(day + 18 * hour);
+    check('每日窗口外比例为0', !evening.inWindow && evening.timeLeftFraction === 0);
+    check('窗口外返回下一天的窗口', evening.windowStart === day + 33 * hour, new Date(evening.windowStart).toISOString());
+    check('窗口开始时间包含、结束时间不包含',
+        daily.getState(day + 9 * hour).inWindow && !daily.getState(day + 17 * hour).inWindow);
+
+    const overnight = new ExecutionTimeframe({ mode: 'daily_between_times', startTime: '22:00', endTime: '02:00' });
+    const afterMidnight = overnight.getState(day + 1 * hour);
+    check('跨越午夜的窗口', afterMidnight.inWindow && near(afterMidnight.timeLeftFraction, 0.25) &&
+        afterMidnight.windowStart === day - 2 * hour, `比例: ${afterMidnight.timeLeftFraction}`);
+    check('跨越午夜窗口的白天不在窗口内', !overnight.getState(day + 12 * hour).inWindow);
+
+    const fullDay = new ExecutionTimeframe({ mode: 'daily_between_times', startTime: '00:00', endTime: '00:00' });
+    check('开始和结束时间相同视为全天', fullDay.getState(day + 23 * hour).inWindow && near(fullDay.getState(day).timeHorizon, 24));
+
+    const fixed = new ExecutionTimeframe({
+        mode: 'from_date_to_date',
+        startDatetime: '2025-01-01T00:00:00Z',
+        endDatetime: '2025-01-01T04:00:00Z'
+    });
+    const fixedState = fixed.getState(day + 3 * hour);
+    check('固定时间窗口剩余时间比例', fixedState.inWindow && near(fixedState.timeLeftFraction, 0.25));
+    check('固定时间窗口开始前和结束后不在窗口内',
+        !fixed.getState(day - 1).inWindow && !fixed.getState(day + 5 * hour).inWindow);
+
+    check('无效模式抛出错误', expectError(() => new ExecutionTimeframe({ mode: 'weekly' })));
+    check('无效时间格式抛出错误', expectError(() => new ExecutionTimeframe({
+        mode: 'daily_between_times', startTime: '25:00', endTime: '17:00'
+    })));
+    check('结束早于开始的固定窗口抛出错误', expectError(() => new ExecutionTimeframe({
+        mode: 'from_date_to_date', startDatetime: '2025-01-02', endDatetime: '2025-01-01'
+    })));
+}
+
+function testPricingConvergence() {
+    console.log('\n📉 测试2: 窗口结束时报价收敛');
+    const model = new AvellanedaPricingModel({ gamma: 0.5, timeHorizon: 1, minSpread: 0, maxSpread: 1, maxReservationOffset: 1 });
+    const input = { midPrice: 30000, volatility: 0.5, kappa: 0.001, inventory: 1 };
+
+    const early = model.calculate({ ...input, timeLeftFraction: 0.9, timeHorizon: 8 });
+    const late = model.calculate({ ...input, timeLeftFraction: 0.1, timeHorizon: 8 });
+    const fallback = model.calculate({ ...input, timeLeftFraction: 1, timeHorizon: null });
+
+    check('使用窗口长度作为时间地平线', early.timeHorizon === 8 && fallback.timeHorizon === 1);
+    check('库存项随剩余时间减小', late.inventoryTerm < early.inventoryTerm && near(late.inventoryTerm * 9, early.inventoryTerm));
+    check('风险项随剩余时间减小', late.riskTerm < early.riskTerm);
+    check('保留价向中间价收敛', Math.abs(late.reservationPrice - 30000) < Math.abs(early.reservationPrice - 30000));
+}
+
+/**
+ * 生成合成市场数据（固定随机种子）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+async function testBacktestWindow(tempDir) {
+    console.log('\n🚀 测试3: 回测中的执行时间窗口');
+    const startTime = Date.UTC(2025, 0, 1, 0, 0, 0);
+    const dataPath = path.join(tempDir, 'data.jsonl');
+    const events = generateMarketData(startTime, 9000, 200);
+    fs.writeFileSync(dataPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    // 30分钟数据中只在第10到20分钟报价，初始库存偏多以便窗口结束时调整
+    const windowStart = startTime + 10 * 60000;
+    const windowEnd = startTime + 20 * 60000;
+    const config = new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: 'error',
+        logFile: 'logs/execution-timeframe-test.log',
+        executionTimeframe: {
+            mode: 'from_date_to_date',
+            startDatetime: new Date(windowStart).toISOString(),
+            endDatetime: new Date(windowEnd).toISOString(),
+            flattenOutsideWindow: true
+        },
+        backtest: {
+            initialBase: 0.02,
+            initialQuote: 300,
+            makerFee: 0.001,
+            takerFee: 0.001,
+            latency: 50,
+            queuePositionModel: 'conservative',
+            equitySampleInterval: 10000
+        }
+    });
+
+    const engine = new BacktestEngine(config, { dataPath, quiet: true });
+    const report = await engine.run();
+    const summary = report.getSummary();
+    const makerFills = report.fills.filter(fill => fill.takerOrMaker === 'maker');
+    const takerFills = report.fills.filter(fill => fill.takerOrMaker === 'taker');
+    // 撤单有网络延迟，窗口结束后短时间内的成交属于撤单前已在簿上的挂单
+    const grace = 5000;
+
+    check('窗口内挂单产生成交', makerFills.length > 0, `成交数: ${makerFills.length}`);
+    check('挂单成交都在窗口内', makerFills.every(fill => fill.timestamp >= windowStart && fill.timestamp <= windowEnd + grace),
+        `首笔: ${makerFills.length ? new Date(makerFills[0].timestamp).toISOString() : 'N/A'}`);
+    // 回测开始时不在窗口内，首次循环即调整初始库存，窗口结束时再次调整
+    check('库存调整IOC单只在窗口外提交', takerFills.length > 0 &&
+        takerFills.every(fill => fill.timestamp < windowStart || fill.timestamp >= windowEnd),
+        `吃单成交: ${takerFills.length}`);
+    check('窗口开始前调整了初始库存', takerFills.some(fill => fill.timestamp < windowStart));
+    check('调整方向为卖出多余库存', takerFills.length > 0 && takerFills.every(fill => fill.side === 'sell'));
+
+    const finalValue = summary.finalInventory * summary.endMidPrice;
+    check('调整后库存接近目标比例', Math.abs(finalValue / summary.finalEquity - 0.5) < 0.05,
+        `库存价值占比: ${(finalValue / summary.finalEquity * 100).toFixed(2)}%`);
+    check('窗口外没有遗留挂单', engine.exchangeManager.matchingEngine.getOpenOrders().length === 0);
+    check('生命周期处于窗口外状态', engine.strategy.lifecycleManager.getStatus().isOutsideWindow === true);
+}
+
+async function main() {
+    console.log('🧪 开始执行时间窗口测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-timeframe-test-'));
+
+    try {
+        testTimeframeModes();
+        testPricingConvergence();
+        await testBacktestWindow(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const BacktestEngine = require('../core/backtest/backtest-engine');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 挂起订单测试脚本
+ * 验证订单对一侧成交后另一侧转为挂起订单、报价刷新时不撤销、偏离中间价过远时撤销，以及回测中的挂起订单
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: 'error',
+        logFile: 'logs/hanging-orders-test.log',
+        hangingOrders: { enabled: true, cancelPct: 1 },
+        ...overrides
+    });
+}
+
+async function createStrategy(config) {
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    exchangeManager.applyOrderBook({
+        timestamp: clock.now(),
+        bids: [[29999.5, 1]],
+        asks: [[30000.5, 1]]
+    });
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+    strategy.eventHandler.setupEventListeners();
+    return strategy;
+}
+
+/**
+ * 推进模拟时钟直到异步操作完成（回测交易所的撤单等待模拟延迟）
+ */
+async function settle(strategy, promise) {
+    let done = false;
+    promise.then(() => { done = true; }, () => { done = true; });
+    while (!done) {
+        await new Promise(resolve => setImmediate(resolve));
+        strategy.clock.advanceTo(strategy.clock.now() + 100);
+    }
+    return promise;
+}
+
+/**
+ * 直接在撮合引擎中挂出一对买卖单并登记为当前报价
+ */
+function placePair(strategy, bid, ask) {
+    const engine = strategy.exchangeManager.matchingEngine;
+    const buy = engine.createOrder({ side: 'buy', amount: 0.001, price: bid, clientOrderId: `b${bid}` });
+    const sell = engine.createOrder({ side: 'sell', amount: 0.001, price: ask, clientOrderId: `s${ask}` });
+    const orderManager = strategy.orderManager;
+    orderManager.trackCreatedOrder(buy);
+    orderManager.trackCreatedOrder(sell);
+    orderManager.hangingOrdersTracker.setCurrentPairs([{ buy: buy.id, sell: sell.id }]);
+    return { buyId: buy.id, sellId: sell.id };
+}
+
+function trade(strategy, side, price) {
+    strategy.exchangeManager.applyTrade({ timestamp: strategy.clock.now(), price, amount: 1, side });
+}
+
+async function testHangingLifecycle() {
+    console.log('\n🪝 测试1: 挂起订单生命周期');
+    const strategy = await createStrategy(createConfig());
+    const orderManager = strategy.orderManager;
+    const tracker = orderManager.hangingOrdersTracker;
+    const engine = strategy.exchangeManager.matchingEngine;
+
+    const { buyId, sellId } = placePair(strategy, 29990, 30010);
+    trade(strategy, 'sell', 29980);
+
+    check('买单成交后卖单转为挂起订单', tracker.isHangingOrder(sellId) && !orderManager.activeOrders.has(sellId) &&
+        !orderManager.activeOrders.has(buyId));
+    check('成交后仍触发报价刷新', strategy.forceOrderUpdate === true);
+
+    await settle(strategy, orderManager.cancelActiveOrders());
+    check('刷新报价不撤销挂起订单', engine.getOpenOrders().some(order => order.id === sellId));
+
+    await settle(strategy, orderManager.syncActiveOrdersFromExchange());
+    check('同步挂单时挂起订单不进入活跃订单', !orderManager.activeOrders.has(sellId) && tracker.isHangingOrder(sellId));
+
+    let cancelled = await settle(strategy, tracker.processTick(30100));
+    check('偏离未超过阈值时保留挂起订单', cancelled.length === 0 && tracker.isHangingOrder(sellId));
+
+    cancelled = await settle(strategy, tracker.processTick(31000));
+    check('偏离超过阈值时撤销挂起订单', cancelled.includes(sellId) && !tracker.isHangingOrder(sellId) &&
+        engine.getOpenOrders().length === 0);
+
+    console.log('\n💰 测试2: 挂起订单成交和停止撤单');
+    const second = placePair(strategy, 29990, 30010);
+    trade(strategy, 'buy', 30020);
+    check('卖单成交后买单转为挂起订单', tracker.isHangingOrder(second.buyId));
+
+    trade(strategy, 'sell', 29980);
+    const status = tracker.getStatus();
+    check('挂起订单成交后停止跟踪', !tracker.isHangingOrder(second.buyId) && !orderManager.activeOrders.has(second.buyId) &&
+        status.filled === 1, JSON.stringify(status));
+
+    const third = placePair(strategy, 29990, 30010);
+    trade(strategy, 'sell', 29980);
+    check('新的订单对再次产生挂起订单', tracker.isHangingOrder(third.sellId));
+    await settle(strategy, orderManager.cancelAllOrders());
+    check('停止策略时撤销挂起订单', tracker.getHangingOrders().length === 0 && engine.getOpenOrders().length === 0);
+}
+
+async function testDisabled() {
+    console.log('\n🚫 测试3: 未启用挂起订单');
+    const strategy = await createStrategy(createConfig({ hangingOrders: { enabled: false } }));
+    const { sellId } = placePair(strategy, 29990, 30010);
+    trade(strategy, 'sell', 29980);
+    check('另一侧订单仍为常规报价', strategy.orderManager.activeOrders.has(sellId) &&
+        strategy.orderManager.getHangingOrders().length === 0);
+}
+
+/**
+ * 生成合成市场数据（固定随机种子）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 23;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+async function testBacktest(tempDir) {
+    console.log('\n🚀 测试4: 回测中的挂起订单');
+    const startTime = Date.UTC(2025, 0, 1, 0, 0, 0);
+    const dataPath = path.join(tempDir, 'data.jsonl');
+    const events = generateMarketData(startTime, 9000, 200);
+    fs.writeFileSync(dataPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const config = createConfig({
+        hangingOrders: { enabled: true, cancelPct: 0.05 },
+        backtest: {
+            initialBase: 0.01,
+            initialQuote: 300,
+            makerFee: 0.001,
+            takerFee: 0.001,
+            latency: 50,
+            queuePositionModel: 'conservative',
+            equitySampleInterval: 10000
+        }
+    });
+    const engine = new BacktestEngine(config, { dataPath, quiet: true });
+    const report = await engine.run();
+    const status = engine.strategy.orderManager.hangingOrdersTracker.getStatus();
+
+    check('成交后产生挂起订单', status.created > 0, JSON.stringify(status));
+    check('挂起订单成交或被撤销', status.filled + status.cancelled === status.created, JSON.stringify(status));
+    check('挂单产生成交', report.getSummary().fills > 0);
+    check('回测结束后没有遗留挂单', engine.exchangeManager.matchingEngine.getOpenOrders().length === 0);
+}
+
+async function main() {
+    console.log('🧪 开始挂起订单测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hanging-orders-test-'));
+
+    try {
+        await testHangingLifecycle();
+        await testDisabled();
+        await testBacktest(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
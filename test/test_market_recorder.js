@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const StrategyConfig = require('../config/strategy');
+const PaperExchangeManager = require('../core/paper-exchange');
+const MarketRecorder = require('../core/recorder/market-recorder');
+const PartitionedNdjsonWriter = require('../core/recorder/ndjson-writer');
+const BacktestDataLoader = require('../core/backtest/data-loader');
+const { RECORDING_SCHEMA_VERSION } = require('../core/recorder/schema');
+
+/**
+ * 市场数据录制测试脚本
+ * 验证按日期分区的gzip写入、异常中断文件的读取，以及录制结果可直接被回测数据加载器回放
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function listFiles(dir) {
+    return new BacktestDataLoader(dir).listFiles().map(file => path.relative(dir, file));
+}
+
+async function loadAll(dataPath) {
+    const loader = new BacktestDataLoader(dataPath);
+    const events = [];
+    for await (const event of loader.events()) {
+        events.push(event);
+    }
+    return { events, stats: loader.getStats() };
+}
+
+async function testWriter(tempDir) {
+    console.log('\n📁 测试1: 分区写入');
+    const dataPath = path.join(tempDir, 'writer');
+    const writer = new PartitionedNdjsonWriter({ dataPath, compress: true, flushInterval: 0 });
+
+    const beforeMidnight = Date.UTC(2025, 0, 1, 23, 59, 59, 500);
+    const afterMidnight = Date.UTC(2025, 0, 2, 0, 0, 0, 100);
+    writer.write({ type: 'ticker', timestamp: beforeMidnight, symbol: 'BTC/USDT', last: 100 });
+    writer.write({ type: 'ticker', timestamp: afterMidnight, symbol: 'BTC/USDT', last: 101 });
+    // 跨日附近的乱序事件写入当前文件，不会切回前一天
+    writer.write({ type: 'ticker', timestamp: beforeMidnight + 1, symbol: 'BTC/USDT', last: 102 });
+    await writer.close();
+
+    const files = listFiles(dataPath);
+    check('按UTC日期分区', files.length === 2 && files[0].startsWith('2025-01-01') && files[1].startsWith('2025-01-02'),
+        `文件: ${files.join(', ')}`);
+    check('文件以首个事件时间命名', files[0].endsWith('235959-500.ndjson.gz') && files[1].endsWith('000000-100.ndjson.gz'));
+
+    const { events } = await loadAll(dataPath);
+    check('压缩文件可被加载器读取', events.map(event => event.last).join(',') === '100,101,102');
+
+    console.log('\n💥 测试2: 异常中断的录制文件');
+    const crashPath = path.join(tempDir, 'crash');
+    const crashWriter = new PartitionedNdjsonWriter({ dataPath: crashPath, compress: true, flushInterval: 0 });
+    for (let i = 0; i < 10; i++) {
+        crashWriter.write({ type: 'ticker', timestamp: beforeMidnight + i, symbol: 'BTC/USDT', last: 100 + i });
+    }
+    crashWriter.flush();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // 复制未结束的文件，模拟进程在刷新后异常退出
+    const truncatedPath = path.join(tempDir, 'truncated');
+    fs.mkdirSync(truncatedPath);
+    fs.copyFileSync(crashWriter.filePath, path.join(truncatedPath, 'part.ndjson.gz'));
+    await crashWriter.close();
+
+    let threw = false;
+    try {
+        zlib.gunzipSync(fs.readFileSync(path.join(truncatedPath, 'part.ndjson.gz')));
+    } catch (error) {
+        threw = true;
+    }
+    const truncated = await loadAll(truncatedPath);
+    check('模拟的中断文件缺少gzip结尾', threw);
+    check('已刷新的事件仍可读取', truncated.events.length === 10, `事件数: ${truncated.events.length}`);
+}
+
+async function testRecorder(tempDir) {
+    console.log('\n📼 测试3: 录制模拟盘事件');
+    const sourcePath = path.join(tempDir, 'source.jsonl');
+    // 订单事件使用观察时间，行情使用接近当前的时间戳以便写入同一分区
+    const startTime = Date.now() - 10000;
+    const lines = [];
+    for (let i = 0; i < 50; i++) {
+        const timestamp = startTime + i * 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 10; level++) {
+            bids.push([30000 - level, 1]);
+            asks.push([30001 + level, 1]);
+        }
+        lines.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+        lines.push({ type: 'ticker', timestamp: timestamp + 1, symbol: 'BTC/USDT', last: 30000.5, bid: 30000, ask: 30001 });
+        lines.push({ type: 'trade', timestamp: timestamp + 2, symbol: 'BTC/USDT', price: 30000, amount: 0.5, side: 'sell' });
+    }
+    fs.writeFileSync(sourcePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+    const outputPath = path.join(tempDir, 'recordings');
+    const config = new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/recorder-test.log',
+        paper: { dataPath: sourcePath, replaySpeed: 1000, latency: 0 },
+        recorder: { dataPath: outputPath, orderBookDepth: 5, flushInterval: 0 }
+    });
+
+    const exchange = new PaperExchangeManager(config);
+    const recorder = new MarketRecorder(config, exchange);
+    const listenersBefore = exchange.listenerCount('orderBookUpdate');
+    recorder.start();
+    await exchange.initialize();
+
+    const order = await exchange.createOrder('buy', 0.001, 29990);
+    await exchange.cancelOrder(order.id);
+
+    await new Promise((resolve) => {
+        if (exchange.replayFinished) {
+            resolve();
+        } else {
+            exchange.once('replayFinished', resolve);
+        }
+    });
+    await recorder.stop();
+    await exchange.close();
+
+    const stats = recorder.getStats();
+    check('录制全部市场事件', stats.counts.orderBook === 50 && stats.counts.ticker === 50 && stats.counts.trade === 50,
+        JSON.stringify(stats.counts));
+    check('录制订单生命周期', stats.counts.order === 2, `订单事件: ${stats.counts.order}`);
+    check('停止后移除事件监听', exchange.listenerCount('orderBookUpdate') === listenersBefore && exchange.listenerCount('tradeUpdate') === 0);
+
+    const files = listFiles(outputPath);
+    const partition = PartitionedNdjsonWriter.getPartition(startTime);
+    check('按交易对和日期目录录制', files.length === 1 && files[0].startsWith(path.join('BTC_USDT', partition)),
+        `文件: ${files.join(', ')}`);
+
+    const recordedFile = path.join(outputPath, files[0]);
+    const rawLines = zlib.gunzipSync(fs.readFileSync(recordedFile)).toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+    check('每个事件包含格式版本', rawLines.every(line => line.schemaVersion === RECORDING_SCHEMA_VERSION));
+    const book = rawLines.find(line => line.type === 'orderBook');
+    check('订单簿按配置档位截断', book.bids.length === 5 && book.asks.length === 5);
+    const orderStatuses = rawLines.filter(line => line.type === 'order').map(line => line.status);
+    check('订单事件包含状态变化', orderStatuses.join(',') === 'open,canceled', `状态: ${orderStatuses.join(',')}`);
+
+    const { events, stats: loaderStats } = await loadAll(outputPath);
+    check('录制数据可被回测加载器读取', events.length === 150, `事件数: ${events.length}`);
+    check('订单事件在回放时被忽略', loaderStats.ignored === 2 && loaderStats.skipped === 0);
+}
+
+async function main() {
+    console.log('🧪 开始市场数据录制测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+
+    try {
+        await testWriter(tempDir);
+        await testRecorder(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,289 @@
+const StrategyConfig = require('../config/strategy');
+const ExchangeManager = require('../core/exchange');
+const PaperExchangeManager = require('../core/paper-exchange');
+const MarketStream = require('../core/stream/market-stream');
+const LocalOrderBook = require('../core/stream/local-order-book');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 行情推送测试脚本
+ * 验证本地订单簿的序号校验、各频道推送的分发、推送异常时回退到REST轮询以及恢复后切回推送
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/market-stream-test.log',
+        streaming: { enabled: true, staleTimeout: 1000, maxConsecutiveErrors: 3, retryDelay: 5, recoveryMessages: 3 },
+        ...overrides
+    });
+}
+
+const silentLogger = { info() {}, debug() {}, warn() {}, error() {} };
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 按5毫秒的步长推进模拟时钟，每步让出事件循环，使订阅循环中的重试等待在模拟时间上完成
+ */
+async function advance(clock, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 5) {
+        clock.advanceTo(clock.now() + 5);
+        await wait(1);
+    }
+}
+
+/**
+ * 模拟ccxt.pro交易所：watch方法从各频道的队列中取推送，队列为空时等待
+ */
+class FakeStreamExchange {
+    constructor(has = {}) {
+        this.has = {
+            watchOrderBook: true,
+            watchTicker: true,
+            watchTrades: true,
+            watchOrders: true,
+            watchBalance: true,
+            ...has
+        };
+        this.queues = {};
+        this.waiters = {};
+        this.restCalls = { orderBook: 0, ticker: 0, balance: 0 };
+    }
+
+    push(channel, value) {
+        const waiter = (this.waiters[channel] || []).shift();
+        if (waiter) {
+            value instanceof Error ? waiter.reject(value) : waiter.resolve(value);
+        } else {
+            (this.queues[channel] = this.queues[channel] || []).push(value);
+        }
+    }
+
+    next(channel) {
+        const queue = this.queues[channel] || [];
+        if (queue.length > 0) {
+            const value = queue.shift();
+            return value instanceof Error ? Promise.reject(value) : Promise.resolve(value);
+        }
+        return new Promise((resolve, reject) => {
+            (this.waiters[channel] = this.waiters[channel] || []).push({ resolve, reject });
+        });
+    }
+
+    watchOrderBook() { return this.next('orderBook'); }
+    watchTicker() { return this.next('ticker'); }
+    watchTrades() { return this.next('trades'); }
+    watchOrders() { return this.next('orders'); }
+    watchBalance() { return this.next('balance'); }
+
+    async fetchOrderBook() {
+        this.restCalls.orderBook++;
+        return { bids: [[99, 1]], asks: [[101, 1]], timestamp: Date.now() };
+    }
+
+    async fetchTicker() {
+        this.restCalls.ticker++;
+        return { last: 100, bid: 99, ask: 101, timestamp: Date.now() };
+    }
+
+    async fetchBalance() {
+        this.restCalls.balance++;
+        return { BTC: { free: 1, used: 0, total: 1 }, USDT: { free: 1000, used: 0, total: 1000 } };
+    }
+}
+
+let nonce = 0;
+function book(bid, ask, extra = {}) {
+    nonce++;
+    return { bids: [[bid, 1], [bid - 1, 2]], asks: [[ask, 1], [ask + 1, 2]], nonce, timestamp: 1000 + nonce, ...extra };
+}
+
+function testLocalOrderBook() {
+    console.log('\n📚 测试1: 本地订单簿序号校验');
+    const local = new LocalOrderBook('BTC/USDT', 1);
+    const source = { bids: [[100, 1], [99, 2]], asks: [[101, 1], [102, 2]], nonce: 10, timestamp: 1000 };
+    check('首次推送作为快照并按档位数截取', local.update(source).applied && local.bids.length === 1 && local.asks.length === 1);
+
+    source.bids[0][1] = 5;
+    check('本地订单簿是推送数据的副本', local.bids[0][1] === 1);
+
+    check('序号相同的推送视为重复', local.update({ ...source, nonce: 10 }).reason === 'duplicate');
+    check('序号更小的推送视为乱序并跳过', local.update({ ...source, nonce: 9 }).reason === 'outOfOrder' && local.nonce === 10);
+
+    const crossed = local.update({ bids: [[102, 1]], asks: [[101, 1]], nonce: 11, timestamp: 1001 });
+    check('交叉盘视为失去同步并清空订单簿', crossed.desync === true && local.nonce === null && local.bids.length === 0);
+    check('清空后接受新的快照', local.update({ bids: [[100, 1]], asks: [[101, 1]], nonce: 3, timestamp: 1002 }).applied &&
+        local.getStatus().desyncs === 1 && local.getStatus().skipped === 2);
+}
+
+async function testMarketStream() {
+    console.log('\n📡 测试2: 推送分发和降级');
+    const exchange = new FakeStreamExchange({ watchOrders: false });
+    const received = { orderBook: [], ticker: [], trades: [], orders: [], balance: [] };
+    const handlers = {};
+    for (const channel of Object.keys(received)) {
+        handlers[channel] = (data) => received[channel].push(data);
+    }
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const stream = new MarketStream(exchange, {
+        symbol: 'BTC/USDT',
+        channels: ['orderBook', 'ticker', 'trades', 'orders', 'balance'],
+        handlers,
+        config: { staleTimeout: 1000, maxConsecutiveErrors: 3, retryDelay: 5, recoveryMessages: 3 },
+        logger: silentLogger,
+        clock
+    });
+    const events = [];
+    stream.on('degraded', (info) => events.push(['degraded', info.reason]));
+    stream.on('recovered', () => events.push(['recovered']));
+
+    check('跳过交易所不支持的频道', !stream.channels.includes('orders') && stream.channels.length === 4);
+    stream.start();
+
+    exchange.push('orderBook', book(100, 101));
+    exchange.push('ticker', { last: 100.5 });
+    exchange.push('trades', [{ id: 't1', price: 100.5, amount: 0.1 }]);
+    exchange.push('balance', { BTC: { total: 1 } });
+    await wait(10);
+    check('各频道推送交给对应的处理函数', received.orderBook.length === 1 && received.ticker.length === 1 &&
+        received.trades.length === 1 && received.balance.length === 1);
+
+    const first = received.orderBook[0];
+    exchange.push('orderBook', { ...book(100, 101), nonce: first.nonce });
+    await wait(10);
+    check('重复序号的订单簿不分发', received.orderBook.length === 1);
+
+    exchange.push('orderBook', book(102, 101));
+    await wait(10);
+    check('交叉盘计为序号错误并重新同步', stream.getStatus().sequenceErrors === 1 && stream.localOrderBook.nonce === null);
+
+    exchange.push('orderBook', new Error('socket closed'));
+    exchange.push('orderBook', new Error('socket closed'));
+    await advance(clock, 50);
+    check('连续出错达到上限时降级', events.length === 1 && events[0][0] === 'degraded' && stream.getStatus().degraded === true,
+        JSON.stringify(events));
+
+    for (let i = 0; i < 3; i++) {
+        exchange.push('orderBook', book(100, 101));
+    }
+    await wait(10);
+    check('订单簿连续恢复推送后发出恢复事件', events.length === 2 && events[1][0] === 'recovered' && stream.getStatus().recoveries === 1);
+
+    clock.advanceTo(clock.now() + 1500);
+    stream.checkStale();
+    check('订单簿超时没有推送时降级', events.length === 3 && events[2][1].includes('没有推送'));
+
+    stream.stop();
+    exchange.push('orderBook', book(100, 101));
+    await wait(10);
+    check('停止后不再分发推送', received.orderBook.length === 4, `分发次数: ${received.orderBook.length}`);
+}
+
+function createManager(exchange, config = createConfig()) {
+    const manager = new ExchangeManager(config);
+    manager.logger = silentLogger;
+    manager.exchange = exchange;
+    manager.isConnected = true;
+    manager.orderBookUpdateInterval = 20;
+    manager.tickerUpdateInterval = 20;
+    manager.balanceUpdateInterval = 20;
+    return manager;
+}
+
+async function testExchangeFallback() {
+    console.log('\n🔀 测试3: 交易所管理器推送和轮询切换');
+    const exchange = new FakeStreamExchange();
+    const manager = createManager(exchange);
+    const updates = { orderBook: [], balance: [], orders: [], trades: [], modes: [] };
+    manager.on('orderBookUpdate', (data) => updates.orderBook.push(data));
+    manager.on('balanceUpdate', (data) => updates.balance.push(data));
+    manager.on('orderUpdate', (data) => updates.orders.push(data));
+    manager.on('tradeUpdate', (data) => updates.trades.push(data));
+    manager.on('dataModeChange', (data) => updates.modes.push(data.mode));
+
+    manager.startDataUpdates();
+    check('支持推送时使用推送，不启动轮询', manager.getStatus().dataMode === 'stream' && manager.updateTimers.orderBook === null);
+
+    exchange.push('orderBook', book(30000, 30001));
+    exchange.push('balance', { BTC: { free: 0.5, used: 0, total: 0.5 }, USDT: { free: 100, used: 0, total: 100 } });
+    exchange.push('orders', [{ id: 'o1', status: 'open' }, { id: 'o2', status: 'closed' }]);
+    const trade = { id: 't1', timestamp: 5000, price: 30000.5, amount: 0.1, side: 'buy' };
+    exchange.push('trades', [trade]);
+    exchange.push('trades', [trade]);
+    await wait(10);
+    check('推送的订单簿、余额和订单发出更新事件', updates.orderBook.length === 1 && updates.orderBook[0].midPrice === 30000.5 &&
+        updates.balance.length === 1 && updates.balance[0].base.total === 0.5 && updates.orders.length === 2);
+    check('推送的公开成交去重', updates.trades.length === 1);
+
+    for (let i = 0; i < 3; i++) {
+        exchange.push('ticker', new Error('subscription rejected'));
+    }
+    await wait(80);
+    check('推送降级后切换到REST轮询', manager.getStatus().dataMode === 'polling' && exchange.restCalls.orderBook > 0 &&
+        manager.getStatus().stream.degraded === true, JSON.stringify(exchange.restCalls));
+
+    for (let i = 0; i < 3; i++) {
+        exchange.push('orderBook', book(30000, 30001));
+    }
+    exchange.push('ticker', { last: 30000.5 });
+    await wait(10);
+    for (let i = 0; i < 3; i++) {
+        exchange.push('orderBook', book(30000, 30001));
+    }
+    await wait(10);
+    const restCalls = exchange.restCalls.orderBook;
+    await wait(60);
+    check('推送恢复后停止轮询', manager.getStatus().dataMode === 'stream' && manager.updateTimers.orderBook === null &&
+        exchange.restCalls.orderBook === restCalls);
+    check('记录行情获取方式的切换', updates.modes.join(',') === 'polling,stream' && manager.getStatus().dataModeStats.switches === 2);
+
+    manager.stopDataUpdates();
+    check('停止后推送和轮询都已停止', manager.getStatus().dataMode === 'stopped' && manager.marketStream.running === false);
+
+    const restOnly = createManager({ has: {}, fetchOrderBook: exchange.fetchOrderBook.bind(exchange) });
+    restOnly.startDataUpdates();
+    check('交易所不支持推送时使用轮询', restOnly.getStatus().dataMode === 'polling' && restOnly.getStatus().stream === null);
+    restOnly.stopDataUpdates();
+
+    const disabled = createManager(new FakeStreamExchange(), createConfig({ streaming: { enabled: false } }));
+    disabled.startDataUpdates();
+    check('关闭推送时使用轮询', disabled.getStatus().dataMode === 'polling');
+    disabled.stopDataUpdates();
+
+    const paper = new PaperExchangeManager(createConfig());
+    check('模拟盘只订阅公开行情推送', paper.getStreamChannels().join(',') === 'orderBook,ticker,trades');
+}
+
+async function main() {
+    console.log('🧪 开始行情推送测试');
+    console.log('='.repeat(60));
+
+    try {
+        testLocalOrderBook();
+        await testMarketStream();
+        await testExchangeFallback();
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
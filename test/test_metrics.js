@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const ccxt = require('ccxt');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const ExchangeManager = require('../core/exchange');
+const PortfolioManager = require('../core/portfolio/portfolio-manager');
+const MetricsExporter = require('../core/metrics/metrics-exporter');
+const { MetricsRegistry } = require('../core/metrics/metrics-registry');
+
+/**
+ * Prometheus指标导出测试脚本
+ * 验证文本格式（标签转义、直方图累计分桶）、订单耗时和API错误事件、主循环耗时、
+ * 采集时从策略读取的行情/报价/盈亏/风险指标、网络质量，以及/metrics接口和多交易对标签
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(dataPath, overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/metrics-test.log',
+        paper: { dataPath, replaySpeed: 1000, loop: false },
+        metrics: { enabled: true, port: 0 },
+        ...overrides
+    });
+}
+
+/**
+ * 取出指定指标和标签的样本值
+ */
+function sample(text, name, labels = '') {
+    const line = text.split('\n').find(entry => entry.startsWith(`${name}${labels} `));
+    return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : undefined;
+}
+
+function get(url, method = 'GET') {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+function testRegistry() {
+    console.log('\n📋 测试1: 文本格式');
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('test_requests_total', 'Requests');
+    const gauge = registry.gauge('test_value', 'Value');
+    const histogram = registry.histogram('test_duration_seconds', 'Duration', [0.1, 0.5, 1]);
+
+    counter.inc({ path: '/a' });
+    counter.inc({ path: '/a' }, 2);
+    gauge.set({ name: 'quote"\\x' }, 1.5);
+    gauge.set({ name: 'nan' }, NaN);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.3);
+    histogram.observe({}, 3);
+    const text = registry.render();
+
+    check('输出HELP和TYPE', text.includes('# HELP test_requests_total Requests\n# TYPE test_requests_total counter'));
+    check('计数器按标签累加', sample(text, 'test_requests_total', '{path="/a"}') === 3);
+    check('标签值转义引号和反斜杠', text.includes('test_value{name="quote\\"\\\\x"} 1.5'));
+    check('仪表忽略非有限值', !text.includes('name="nan"'));
+    check('直方图分桶累计', sample(text, 'test_duration_seconds_bucket', '{le="0.1"}') === 1 &&
+        sample(text, 'test_duration_seconds_bucket', '{le="0.5"}') === 2 &&
+        sample(text, 'test_duration_seconds_bucket', '{le="1"}') === 2 &&
+        sample(text, 'test_duration_seconds_bucket', '{le="+Inf"}') === 3);
+    check('直方图总和和次数', Math.abs(sample(text, 'test_duration_seconds_sum') - 3.35) < 1e-9 &&
+        sample(text, 'test_duration_seconds_count') === 3);
+
+    let duplicate = null;
+    try {
+        registry.gauge('test_value', 'Again');
+    } catch (error) {
+        duplicate = error.message;
+    }
+    check('重复注册报错', duplicate && duplicate.includes('test_value'));
+}
+
+async function testExchangeEvents(dataPath) {
+    console.log('\n📋 测试2: 交易所耗时和错误事件');
+    const manager = new ExchangeManager(createConfig(dataPath));
+    manager.exchange = {
+        has: {},
+        createLimitOrder: async (symbol, side, amount, price) => ({ id: '1', symbol, side, amount, price, status: 'open' }),
+        cancelOrder: async () => { throw new ccxt.OrderNotFound('order not found'); }
+    };
+    manager.isConnected = true;
+    const latencies = [];
+    const errors = [];
+    manager.on('apiLatency', (event) => latencies.push(event));
+    manager.on('apiError', (event) => errors.push(event));
+
+    await manager.createOrder('buy', 0.001, 30000);
+    check('下单成功发出耗时事件', latencies.length === 1 && latencies[0].operation === 'createOrder' && latencies[0].duration >= 0);
+    await manager.cancelOrder('1').catch(() => {});
+    check('撤单失败按ccxt错误类型记录', errors.length === 1 && errors[0].operation === 'cancelOrder' && errors[0].type === 'OrderNotFound');
+    check('失败的撤单不记录耗时', latencies.length === 1);
+}
+
+async function testExporter(dataPath) {
+    console.log('\n📋 测试3: 单交易对指标');
+    const config = createConfig(dataPath);
+    const strategy = new AvellanedaStrategy(config);
+    const exporter = new MetricsExporter(config, strategy);
+    const labels = '{symbol="BTC/USDT"}';
+
+    strategy.currentMarketData.midPrice = 30000;
+    Object.assign(strategy.strategyState, {
+        optimalBid: 29990,
+        optimalAsk: 30010,
+        currentInventory: 0.02,
+        pricing: { reservationPrice: 29995, inventory: 0.25 }
+    });
+    strategy.positionLedger.applyFill({ side: 'buy', amount: 0.01, price: 29900, fee: 0.3 });
+    strategy.riskManager.riskState.isEmergencyStop = true;
+    strategy.exchangeManager.networkManager = {
+        getNetworkStatus: () => ({ isConnected: true, latency: 120, connectionQuality: 'good', consecutiveFailures: 0, totalSuccesses: 7, totalFailures: 2 })
+    };
+
+    strategy.exchangeManager.recordApiLatency('createOrder', Date.now() - 30);
+    strategy.exchangeManager.recordApiLatency('cancelOrder', Date.now() - 700);
+    strategy.exchangeManager.recordApiError('fetchOrderBook', new ccxt.NetworkError('timeout'));
+    strategy.exchangeManager.recordApiError('fetchOrderBook', new ccxt.NetworkError('timeout'));
+    strategy.lifecycleManager.recordLoopDuration(strategy.clock.now() - 40);
+
+    await exporter.start();
+    try {
+        const response = await get(exporter.getAddress());
+        const text = response.body;
+        check('GET /metrics返回Prometheus文本', response.status === 200 && response.headers['content-type'].startsWith('text/plain; version=0.0.4'));
+        check('只监听127.0.0.1', exporter.server.address().address === '127.0.0.1');
+        check('中间价和最优报价', sample(text, 'avellaneda_mid_price', labels) === 30000 &&
+            sample(text, 'avellaneda_optimal_bid_price', labels) === 29990 && sample(text, 'avellaneda_optimal_ask_price', labels) === 30010);
+        check('报价价差', sample(text, 'avellaneda_spread', labels) === 20);
+        check('库存偏差和保留价', sample(text, 'avellaneda_inventory_skew', labels) === 0.25 &&
+            sample(text, 'avellaneda_reservation_price', labels) === 29995);
+        check('波动率和交易强度指标存在', text.includes(`avellaneda_volatility${labels}`) && text.includes(`avellaneda_trading_intensity_kappa${labels}`));
+        const unrealized = sample(text, 'avellaneda_unrealized_pnl', labels);
+        check('已实现和未实现盈亏', Math.abs(unrealized - 1) < 1e-6 && sample(text, 'avellaneda_fills_total', labels) === 1,
+            `unrealized=${unrealized}`);
+        check('回撤、紧急停止和挂单数量', sample(text, 'avellaneda_drawdown_percent', labels) === 0 &&
+            sample(text, 'avellaneda_emergency_stop', labels) === 1 && sample(text, 'avellaneda_active_orders', labels) === 0);
+        check('下单耗时直方图', sample(text, 'avellaneda_order_create_latency_seconds_count', labels) === 1 &&
+            sample(text, 'avellaneda_order_create_latency_seconds_bucket', '{le="0.01",symbol="BTC/USDT"}') === 0 &&
+            sample(text, 'avellaneda_order_create_latency_seconds_bucket', '{le="0.05",symbol="BTC/USDT"}') === 1);
+        check('撤单耗时直方图', sample(text, 'avellaneda_order_cancel_latency_seconds_bucket', '{le="0.5",symbol="BTC/USDT"}') === 0 &&
+            sample(text, 'avellaneda_order_cancel_latency_seconds_bucket', '{le="1",symbol="BTC/USDT"}') === 1);
+        check('API错误按操作和类型计数',
+            sample(text, 'avellaneda_api_errors_total', '{operation="fetchOrderBook",symbol="BTC/USDT",type="NetworkError"}') === 2);
+        check('主循环耗时', sample(text, 'avellaneda_main_loop_duration_seconds_count', labels) === 1 &&
+            sample(text, 'avellaneda_main_loop_last_duration_seconds', labels) === 0.04);
+        check('网络质量', sample(text, 'avellaneda_network_up') === 1 && sample(text, 'avellaneda_network_latency_seconds') === 0.12 &&
+            sample(text, 'avellaneda_network_quality', '{quality="good"}') === 1 && sample(text, 'avellaneda_network_quality', '{quality="poor"}') === 0 &&
+            sample(text, 'avellaneda_network_checks_total', '{result="failure"}') === 2);
+
+        const notFound = await get(`http://127.0.0.1:${exporter.port}/other`);
+        const wrongMethod = await get(exporter.getAddress(), 'POST');
+        check('其他路径404，其他方法405', notFound.status === 404 && wrongMethod.status === 405);
+    } finally {
+        await exporter.stop();
+    }
+    check('停止后移除事件订阅', strategy.exchangeManager.listenerCount('apiLatency') === 0 && strategy.listenerCount('loopCompleted') === 0);
+}
+
+function testPortfolio(dataPath) {
+    console.log('\n📋 测试4: 多交易对标签');
+    const config = createConfig(dataPath, { symbols: [{ symbol: 'BTC/USDT' }, { symbol: 'ETH/USDT' }] });
+    const portfolio = new PortfolioManager(config);
+    const exporter = new MetricsExporter(config, portfolio);
+    const [btc, eth] = portfolio.getStrategies();
+    btc.currentMarketData.midPrice = 30000;
+    eth.currentMarketData.midPrice = 2000;
+    eth.exchangeManager.recordApiError('createOrder', new ccxt.InsufficientFunds('no funds'));
+
+    const text = exporter.render();
+    check('每个交易对一组指标', sample(text, 'avellaneda_mid_price', '{symbol="BTC/USDT"}') === 30000 &&
+        sample(text, 'avellaneda_mid_price', '{symbol="ETH/USDT"}') === 2000);
+    check('错误计入对应交易对',
+        sample(text, 'avellaneda_api_errors_total', '{operation="createOrder",symbol="ETH/USDT",type="InsufficientFunds"}') === 1 &&
+        !text.includes('symbol="BTC/USDT",type="InsufficientFunds"'));
+    check('离线模式没有网络指标样本', sample(text, 'avellaneda_network_up') === undefined);
+    exporter.stop();
+}
+
+async function main() {
+    console.log('🧪 开始Prometheus指标导出测试');
+    console.log('='.repeat(60));
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+    const dataPath = path.join(tempDir, 'recording.jsonl');
+    fs.writeFileSync(dataPath, '');
+    try {
+        testRegistry();
+        await testExchangeEvents(dataPath);
+        await testExporter(dataPath);
+        testPortfolio(dataPath);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ 测试执行出错: ${error.stack}`);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
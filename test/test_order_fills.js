@@ -0,0 +1,301 @@
+const ccxt = require('ccxt');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const ExchangeManager = require('../core/exchange');
+const PaperExchangeManager = require('../core/paper-exchange');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 订单成交事件测试脚本
+ * 验证账户成交的获取方式（推送或查询增量）、按成交ID去重、部分成交汇总为订单更新，
+ * 以及订单状态监控一次查询挂单、按错误类型判断订单不存在
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function near(a, b, tolerance = 1e-9) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/order-fills-test.log',
+        fillUpdateInterval: 20,
+        streaming: { enabled: true, staleTimeout: 1000, maxConsecutiveErrors: 3, retryDelay: 5, recoveryMessages: 3 },
+        ...overrides
+    });
+}
+
+const silentLogger = { info() {}, debug() {}, warn() {}, error() {} };
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 模拟ccxt.pro交易所：watch方法等待推送，fetchMyTrades返回固定的账户成交并记录查询起点
+ */
+class FakePrivateExchange {
+    constructor(has = {}) {
+        this.has = {
+            watchOrderBook: true,
+            watchMyTrades: true,
+            fetchMyTrades: true,
+            ...has
+        };
+        this.waiters = {};
+        this.myTrades = [];
+        this.sinceHistory = [];
+    }
+
+    push(channel, value) {
+        const waiter = (this.waiters[channel] || []).shift();
+        if (waiter) {
+            waiter(value);
+        }
+    }
+
+    next(channel) {
+        return new Promise(resolve => {
+            (this.waiters[channel] = this.waiters[channel] || []).push(resolve);
+        });
+    }
+
+    watchOrderBook() { return this.next('orderBook'); }
+    watchMyTrades() { return this.next('myTrades'); }
+
+    async fetchMyTrades(symbol, since) {
+        this.sinceHistory.push(since);
+        return this.myTrades.filter(trade => !since || trade.timestamp >= since);
+    }
+
+    async fetchOrderBook() {
+        return { bids: [[99, 1]], asks: [[101, 1]], timestamp: Date.now() };
+    }
+}
+
+function createManager(exchange, config = createConfig()) {
+    const manager = new ExchangeManager(config);
+    manager.logger = silentLogger;
+    manager.exchange = exchange;
+    manager.isConnected = true;
+    manager.orderBookUpdateInterval = 20;
+    manager.tickerUpdateInterval = 0;
+    manager.balanceUpdateInterval = 0;
+    return manager;
+}
+
+function trade(id, order, amount, price, timestamp, extra = {}) {
+    return { id, order, symbol: 'BTC/USDT', side: 'buy', amount, price, timestamp, ...extra };
+}
+
+function testNormalize() {
+    console.log('\n🧾 测试1: 账户成交去重和标准化');
+    const manager = createManager(new FakePrivateExchange());
+    const fills = [];
+    manager.on('fill', (fill) => fills.push(fill));
+
+    manager.handleMyTrades([
+        trade(101, 'o1', 0.01, 30000, 5000, { fee: { cost: 0.3, currency: 'USDT' } }),
+        trade(101, 'o1', 0.01, 30000, 5000),
+        trade('e1', 'x1', 0.01, 2000, 5001, { symbol: 'ETH/USDT' })
+    ]);
+    check('相同成交ID只发出一次，其他交易对的成交被忽略', fills.length === 1 && manager.getStatus().fillCount === 1);
+    const fill = fills[0];
+    check('成交标准化为撮合引擎的成交格式', fill.id === '101' && fill.order === 'o1' && near(fill.cost, 300) &&
+        fill.fees.length === 1 && fill.fee.cost === 0.3, JSON.stringify(fill));
+    check('查询位置推进到最新成交时间', manager.lastFillTimestamp === 5000);
+
+    manager.handleMyTrades([trade(101, 'o1', 0.01, 30000, 5000), trade(102, 'o1', 0.02, 30001, 5002)]);
+    check('重叠的查询结果只发出新成交', fills.length === 2 && fills[1].id === '102' && manager.lastFillTimestamp === 5002);
+}
+
+async function testFillSource() {
+    console.log('\n📡 测试2: 账户成交获取方式');
+    const streamed = new FakePrivateExchange();
+    const streamManager = createManager(streamed);
+    const fills = [];
+    streamManager.on('fill', (fill) => fills.push(fill));
+    streamManager.startDataUpdates();
+    check('支持账户成交推送时订阅推送，不查询', streamManager.getFillSource() === 'stream' && streamManager.fillPollingTimer === null);
+
+    streamed.push('myTrades', [trade('s1', 'o1', 0.01, 30000, Date.now())]);
+    await wait(10);
+    check('推送的账户成交发出成交事件', fills.length === 1 && fills[0].id === 's1');
+    streamManager.stopDataUpdates();
+    check('停止后不再获取账户成交', streamManager.getFillSource() === null);
+
+    const restOnly = new FakePrivateExchange({ watchMyTrades: false });
+    const pollManager = createManager(restOnly);
+    const polled = [];
+    pollManager.on('fill', (fill) => polled.push(fill));
+    pollManager.startDataUpdates();
+    const startTime = pollManager.lastFillTimestamp;
+    restOnly.myTrades = [
+        trade('old', 'o0', 0.01, 29000, startTime - 1000),
+        trade('p1', 'o1', 0.01, 30000, startTime + 1)
+    ];
+    await wait(70);
+    check('不支持账户成交推送时按间隔查询增量', pollManager.getFillSource() === 'polling' && restOnly.sinceHistory.length >= 2 &&
+        restOnly.sinceHistory[0] === startTime, JSON.stringify(restOnly.sinceHistory));
+    check('启动前的成交不处理，重复查询到的成交只发出一次', polled.length === 1 && polled[0].id === 'p1' &&
+        restOnly.sinceHistory[restOnly.sinceHistory.length - 1] === startTime + 1);
+    pollManager.stopDataUpdates();
+    check('停止后停止查询', pollManager.fillPollingTimer === null);
+
+    const disabled = createManager(new FakePrivateExchange(), createConfig({ fillUpdateInterval: 0, streaming: { enabled: false } }));
+    disabled.startDataUpdates();
+    check('关闭推送且查询间隔为0时不获取账户成交', disabled.getFillSource() === null);
+    disabled.stopDataUpdates();
+
+    const paper = new PaperExchangeManager(createConfig());
+    check('模拟盘和回测由撮合引擎发出订单更新，不需要汇总成交', paper.needsFillTracking() === false &&
+        new BacktestExchangeManager(createConfig({ tradingMode: 'backtest' }), new SimulatedClock(0)).needsFillTracking() === false &&
+        paper.getFillSource() === null);
+}
+
+function createStrategy() {
+    const config = createConfig();
+    const exchangeManager = createManager(new FakePrivateExchange(), config);
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+    strategy.logger = silentLogger;
+    strategy.orderManager.logger = silentLogger;
+    strategy.orderManager.fillTracker.logger = silentLogger;
+    strategy.currentMarketData = { midPrice: 30000, bestBid: 29999.5, bestAsk: 30000.5, timestamp: clock.now() };
+    return strategy;
+}
+
+function order(id, side, amount, price, extra = {}) {
+    return { id, side, amount, price, symbol: 'BTC/USDT', status: 'open', filled: 0, remaining: amount, cost: 0, ...extra };
+}
+
+function testFillTracker() {
+    console.log('\n🧮 测试3: 成交汇总为订单更新');
+    const strategy = createStrategy();
+    const { orderManager, positionLedger } = strategy;
+    const events = [];
+    const handleOrderUpdate = orderManager.handleOrderUpdate.bind(orderManager);
+    orderManager.handleOrderUpdate = (update) => {
+        events.push({ ...update });
+        handleOrderUpdate(update);
+    };
+
+    orderManager.trackCreatedOrder(order('b1', 'buy', 0.03, 30000));
+    orderManager.handleFill(trade('t1', 'b1', 0.01, 30000, 1000, { fee: { cost: 0.03, currency: 'USDT' } }));
+    const partial = orderManager.activeOrders.get('b1');
+    check('部分成交立即更新活跃订单', events.length === 1 && partial.filled === 0.01 && near(partial.remaining, 0.02) && partial.status === 'open');
+    check('部分成交记入持仓账本', near(positionLedger.position, 0.01) && near(positionLedger.totalFees, 0.03), `持仓: ${positionLedger.position}`);
+
+    orderManager.handleFill(trade('t1', 'b1', 0.01, 30000, 1000));
+    check('重复的成交ID被忽略', events.length === 1 && orderManager.fillTracker.getStatus().duplicates === 1);
+
+    orderManager.handleFill(trade('t2', 'b1', 0.02, 29990, 1000, { fee: { cost: 0.06, currency: 'USDT' } }));
+    const closed = events[1];
+    check('同一时间的另一笔成交继续累加，完全成交后订单关闭', closed.status === 'closed' && near(closed.filled, 0.03) &&
+        near(closed.average, (300 + 599.8) / 0.03) && near(closed.fees[0].cost, 0.09) && !orderManager.activeOrders.has('b1'),
+        JSON.stringify(closed));
+
+    handleOrderUpdate({ ...closed, fee: { cost: 0.09, currency: 'USDT' }, fees: undefined });
+    check('交易所随后的订单更新不重复记账', near(positionLedger.position, 0.03) && near(positionLedger.totalFees, 0.09));
+
+    // 订单更新已包含的成交（时间不晚于订单最近成交时间）不再累加
+    orderManager.trackCreatedOrder(order('s1', 'sell', 0.02, 30100, { filled: 0.01, cost: 301, lastTradeTimestamp: 2000 }));
+    orderManager.handleFill(trade('t3', 's1', 0.01, 30100, 2000, { side: 'sell' }));
+    check('订单已包含的成交不重复累加', orderManager.activeOrders.get('s1').filled === 0.01);
+    orderManager.handleFill(trade('t4', 's1', 0.01, 30100, 2001, { side: 'sell' }));
+    check('新成交在订单已有成交的基础上累加', events[events.length - 1].status === 'closed' && near(events[events.length - 1].filled, 0.02));
+
+    orderManager.handleFill(trade('t5', 'b2', 0.01, 29900, 3000));
+    check('订单记录前到达的成交先暂存', orderManager.fillTracker.getStatus().pendingOrders === 1 && !orderManager.activeOrders.has('b2'));
+    orderManager.trackCreatedOrder(order('b2', 'buy', 0.02, 29900));
+    check('订单记录后处理暂存的成交', orderManager.activeOrders.get('b2').filled === 0.01 &&
+        orderManager.fillTracker.getStatus().pendingOrders === 0);
+}
+
+async function testMonitorOrderStatus() {
+    console.log('\n🔍 测试4: 订单状态核对');
+    const strategy = createStrategy();
+    const { orderManager, exchangeManager } = strategy;
+    strategy.isRunning = true;
+
+    for (const id of ['a', 'b', 'c', 'd']) {
+        orderManager.trackCreatedOrder(order(id, 'buy', 0.02, 29900));
+    }
+    const calls = { openOrders: 0, getOrder: [] };
+    exchangeManager.getOpenOrders = async () => {
+        calls.openOrders++;
+        return [order('a', 'buy', 0.02, 29900), order('b', 'buy', 0.02, 29900, { filled: 0.01, remaining: 0.01 })];
+    };
+    exchangeManager.getOrder = async (id) => {
+        calls.getOrder.push(id);
+        if (id === 'c') {
+            throw new ccxt.OrderNotFound('bitget order c does not exist');
+        }
+        throw new ccxt.NetworkError('order not found in cache, request timed out');
+    };
+
+    await orderManager.monitorOrderStatus();
+    check('一次查询全部挂单，只单独查询不在挂单中的订单', calls.openOrders === 1 && calls.getOrder.join(',') === 'c,d',
+        JSON.stringify(calls));
+    check('挂单的成交量变化按部分成交处理', orderManager.activeOrders.get('b').filled === 0.01 && near(strategy.positionLedger.position, 0.01));
+    check('OrderNotFound的订单视为已取消并移除', !orderManager.activeOrders.has('c'));
+    check('其他错误即使消息包含"order not found"也保留订单', orderManager.activeOrders.has('d'));
+
+    exchangeManager.getOpenOrders = async () => null;
+    calls.getOrder = [];
+    await orderManager.monitorOrderStatus();
+    check('挂单查询失败时逐个查询', calls.getOrder.join(',') === 'a,b,d', calls.getOrder.join(','));
+}
+
+function testEventListeners() {
+    console.log('\n👂 测试5: 成交事件监听');
+    const strategy = createStrategy();
+    strategy.eventHandler.setupExchangeEventListeners();
+    strategy.orderManager.trackCreatedOrder(order('e1', 'buy', 0.01, 30000));
+    strategy.exchangeManager.handleMyTrades([trade('f1', 'e1', 0.01, 30000, Date.now())]);
+    check('实盘的账户成交事件交给订单管理器', !strategy.orderManager.activeOrders.has('e1') &&
+        strategy.orderManager.fillTracker.getStatus().orderUpdates === 1);
+    strategy.eventHandler.removeEventListeners();
+    check('停止时移除成交事件监听', strategy.exchangeManager.listenerCount('fill') === 0);
+
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const backtestConfig = createConfig({ tradingMode: 'backtest' });
+    const backtest = new AvellanedaStrategy(backtestConfig, { exchangeManager: new BacktestExchangeManager(backtestConfig, clock), clock });
+    backtest.eventHandler.setupExchangeEventListeners();
+    check('回测不监听成交事件（撮合引擎发出累计订单更新）', backtest.exchangeManager.listenerCount('fill') === 0);
+    backtest.eventHandler.removeEventListeners();
+}
+
+async function main() {
+    console.log('🧪 开始订单成交事件测试');
+    console.log('='.repeat(60));
+
+    try {
+        testNormalize();
+        await testFillSource();
+        testFillTracker();
+        await testMonitorOrderStatus();
+        testEventListeners();
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
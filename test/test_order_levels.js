@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const BacktestEngine = require('../core/backtest/backtest-engine');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 多档位报价测试脚本
+ * 验证档位价格间距、档位数受最大订单数限制、逐档风险校验，以及回测中每侧同时挂出多个档位
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: 'error',
+        logFile: 'logs/order-levels-test.log',
+        orderLevels: 3,
+        levelDistances: 100,
+        maxOrders: 6,
+        ...overrides
+    });
+}
+
+async function createStrategy(config) {
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    exchangeManager.applyOrderBook({
+        timestamp: clock.now(),
+        bids: [[29999.5, 1]],
+        asks: [[30000.5, 1]]
+    });
+    return new AvellanedaStrategy(config, { exchangeManager, clock });
+}
+
+async function testLevelPrices() {
+    console.log('\n🪜 测试1: 档位价格');
+    const strategy = await createStrategy(createConfig());
+    const calculator = strategy.calculator;
+
+    const ladder = calculator.calculateLevelPrices(29990, 30010, 20, 3, 100);
+    check('第0档为最优买卖价', ladder.bids[0] === 29990 && ladder.asks[0] === 30010);
+    check('档位间距为最优价差一半的百分比', ladder.bids.join(',') === '29990,29980,29970' && ladder.asks.join(',') === '30010,30020,30030',
+        `买: ${ladder.bids.join(',')} 卖: ${ladder.asks.join(',')}`);
+
+    const narrow = calculator.calculateLevelPrices(29990, 30010, 20, 3, 33.3);
+    check('档位价格对齐价格步长且买价向下、卖价向上取整', narrow.bids[1] === 29986.67 && narrow.asks[1] === 30013.33,
+        `买: ${narrow.bids.join(',')} 卖: ${narrow.asks.join(',')}`);
+
+    const flat = calculator.calculateLevelPrices(29990, 30010, 20, 2, 0);
+    check('间距为0时各档位同价', flat.bids.every(price => price === 29990) && flat.asks.every(price => price === 30010));
+
+    const limited = await createStrategy(createConfig({ orderLevels: 4, maxOrders: 6 }));
+    check('每侧档位数受最大订单数限制', limited.orderManager.orderLevels === 3, `档位: ${limited.orderManager.orderLevels}`);
+}
+
+async function testProposal() {
+    console.log('\n🛡️ 测试2: 逐档风险校验');
+    // 计价货币只够两个买单档位
+    const config = createConfig({
+        orderAmount: 0.001,
+        backtest: { initialBase: 0.01, initialQuote: 70 }
+    });
+    const strategy = await createStrategy(config);
+    Object.assign(strategy.strategyState, {
+        optimalBid: 29990,
+        optimalAsk: 30010,
+        currentSpread: 20,
+        currentInventory: 0.01,
+        targetInventory: 0.01,
+        totalInventoryValue: 370
+    });
+
+    const balances = strategy.exchangeManager.getBalances();
+    const proposal = strategy.orderManager.buildOrderProposal(0.001, balances);
+    check('每侧生成配置的档位数', proposal.buys.length === 3 && proposal.sells.length === 3);
+    check('各档位按形状因子计算数量', proposal.buys.every(item => item.amount > 0) && proposal.sells.every(item => item.amount > 0));
+    check('近档位占用余额后远档位被拒绝', proposal.buys[0].validation.valid && proposal.buys[1].validation.valid &&
+        !proposal.buys[2].validation.valid && proposal.buys[2].validation.type === 'INSUFFICIENT_BALANCE',
+        JSON.stringify(proposal.buys.map(item => item.validation)));
+    check('余额充足的一侧全部通过', proposal.sells.every(item => item.validation.valid));
+    check('校验不修改交易所余额', strategy.exchangeManager.getBalances()[config.get('quoteCurrency')].free === 70);
+
+    // 两个买单和两个卖单在簿上时，缺少第三个卖单档位
+    const orders = [['b1', 'buy'], ['b2', 'buy'], ['s1', 'sell'], ['s2', 'sell']];
+    for (const [id, side] of orders) {
+        strategy.orderManager.activeOrders.set(id, { id, side, status: 'open' });
+    }
+    check('缺少档位订单时需要补充订单', strategy.orderManager.shouldUpdateOrders() === true);
+}
+
+/**
+ * 生成合成市场数据（固定随机种子）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 11;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+/**
+ * 记录回测过程中同时在簿上的订单
+ */
+class LadderTrackingEngine extends BacktestEngine {
+    async setup(startTime) {
+        await super.setup(startTime);
+        this.openOrders = new Map();
+        this.maxOpen = { buy: 0, sell: 0 };
+        this.fullLadders = { buy: [], sell: [] };
+        this.exchangeManager.on('orderUpdate', (order) => {
+            if (order.status === 'open') {
+                this.openOrders.set(order.id, order);
+            } else {
+                this.openOrders.delete(order.id);
+            }
+            for (const side of ['buy', 'sell']) {
+                const prices = Array.from(this.openOrders.values()).filter(item => item.side === side).map(item => item.price);
+                this.maxOpen[side] = Math.max(this.maxOpen[side], prices.length);
+                if (prices.length === 3) {
+                    this.fullLadders[side].push(prices);
+                }
+            }
+        });
+    }
+}
+
+async function testBacktestLadder(tempDir) {
+    console.log('\n🚀 测试3: 回测中的多档位报价');
+    const startTime = Date.UTC(2025, 0, 1, 0, 0, 0);
+    const dataPath = path.join(tempDir, 'data.jsonl');
+    const events = generateMarketData(startTime, 4500, 200);
+    fs.writeFileSync(dataPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const config = createConfig({
+        backtest: {
+            initialBase: 0.01,
+            initialQuote: 300,
+            makerFee: 0.001,
+            takerFee: 0.001,
+            latency: 50,
+            queuePositionModel: 'conservative',
+            equitySampleInterval: 10000
+        }
+    });
+    const engine = new LadderTrackingEngine(config, { dataPath, quiet: true });
+    const report = await engine.run();
+    const summary = report.getSummary();
+
+    check('每侧同时挂出3个档位', engine.maxOpen.buy === 3 && engine.maxOpen.sell === 3,
+        `买: ${engine.maxOpen.buy}, 卖: ${engine.maxOpen.sell}`);
+    check('总挂单数不超过最大订单数', engine.maxOpen.buy + engine.maxOpen.sell <= 6);
+    const distinct = (prices) => new Set(prices).size === prices.length;
+    check('同侧档位价格各不相同', engine.fullLadders.buy.length > 0 && engine.fullLadders.buy.every(distinct) &&
+        engine.fullLadders.sell.length > 0 && engine.fullLadders.sell.every(distinct));
+    check('挂单产生成交', summary.fills > 0, `成交数: ${summary.fills}`);
+    check('回测结束后没有遗留挂单', engine.exchangeManager.matchingEngine.getOpenOrders().length === 0);
+}
+
+async function main() {
+    console.log('🧪 开始多档位报价测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-levels-test-'));
+
+    try {
+        await testLevelPrices();
+        await testProposal();
+        await testBacktestLadder(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const BacktestEngine = require('../core/backtest/backtest-engine');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 订单刷新测试脚本
+ * 验证按订单逐个比较刷新容忍度和最大存活时间，只撤销需要刷新的订单，以及回测中减少撤单重挂次数
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: 'error',
+        logFile: 'logs/order-refresh-test.log',
+        orderAmount: 0.001,
+        orderRefreshTolerancePct: 0.1,
+        maxOrderAge: 60000,
+        ...overrides
+    });
+}
+
+async function createStrategy(config) {
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    exchangeManager.applyOrderBook({
+        timestamp: clock.now(),
+        bids: [[29999.5, 1]],
+        asks: [[30000.5, 1]]
+    });
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+    strategy.eventHandler.setupEventListeners();
+    Object.assign(strategy.strategyState, {
+        optimalBid: 29990,
+        optimalAsk: 30010,
+        currentSpread: 20,
+        currentInventory: 0.01,
+        targetInventory: 0.01,
+        totalInventoryValue: 600
+    });
+    return strategy;
+}
+
+/**
+ * 推进模拟时钟直到异步操作完成（下单校验和回测交易所延迟都在模拟时钟上等待）
+ */
+async function settle(strategy, promise) {
+    let done = false;
+    promise.then(() => { done = true; }, () => { done = true; });
+    while (!done) {
+        await new Promise(resolve => setImmediate(resolve));
+        strategy.clock.advanceTo(strategy.clock.now() + 100);
+    }
+    return promise;
+}
+
+function placeOrder(strategy, side, price) {
+    const order = strategy.exchangeManager.matchingEngine.createOrder({ side, amount: 0.001, price, clientOrderId: `${side}${price}` });
+    strategy.orderManager.trackCreatedOrder(order);
+    return order;
+}
+
+async function testToleranceDiffing() {
+    console.log('\n♻️ 测试1: 按订单比较刷新容忍度');
+    const strategy = await createStrategy(createConfig());
+    const orderManager = strategy.orderManager;
+    const engine = strategy.exchangeManager.matchingEngine;
+
+    // 买单与目标价一致，卖单偏离0.13%超过0.1%容忍度
+    const buy = placeOrder(strategy, 'buy', 29990);
+    const sell = placeOrder(strategy, 'sell', 30050);
+
+    await settle(strategy, orderManager.updateOrders());
+    const active = orderManager.getActiveOrders();
+    const newSell = active.find(order => order.side === 'sell');
+    check('容忍度内的订单保留', orderManager.activeOrders.has(buy.id) && engine.getOrder(buy.id).status === 'open');
+    check('超出容忍度的订单单独撤销', engine.getOrder(sell.id).status === 'canceled');
+    check('只为被撤销的档位下新单', active.length === 2 && newSell && newSell.id !== sell.id && newSell.price === 30010,
+        JSON.stringify(active.map(order => [order.side, order.price])));
+    check('保留订单不重复提交', engine.getStats().submittedOrders === 3, `提交数: ${engine.getStats().submittedOrders}`);
+
+    // 目标价小幅变化，仍在容忍度内
+    Object.assign(strategy.strategyState, { optimalBid: 29985, optimalAsk: 30015 });
+    const before = orderManager.getActiveOrders().map(order => order.id).sort().join(',');
+    await settle(strategy, orderManager.updateOrders());
+    const after = orderManager.getActiveOrders().map(order => order.id).sort().join(',');
+    check('价格变化在容忍度内时不撤单重挂', before === after && engine.getStats().submittedOrders === 3);
+
+    console.log('\n⏰ 测试2: 最大存活时间');
+    strategy.lastUpdateTime = strategy.clock.now();
+    check('未超过存活时间时不需要刷新', orderManager.shouldUpdateOrders() === false);
+
+    strategy.clock.advanceTo(strategy.clock.now() + 61000);
+    check('订单超过最大存活时间时需要刷新', orderManager.shouldUpdateOrders() === true);
+
+    await settle(strategy, orderManager.updateOrders());
+    const refreshed = orderManager.getActiveOrders().map(order => order.id).sort().join(',');
+    check('超过存活时间的订单全部重挂', refreshed !== after && orderManager.getActiveOrders().length === 2 &&
+        orderManager.getActiveOrders().every(order => !after.split(',').includes(order.id)));
+}
+
+async function testExcessOrders() {
+    console.log('\n🧹 测试3: 超出档位数的订单');
+    const strategy = await createStrategy(createConfig({ maxOrders: 4 }));
+    const engine = strategy.exchangeManager.matchingEngine;
+    const near = placeOrder(strategy, 'buy', 29990);
+    const far = placeOrder(strategy, 'buy', 29900);
+    placeOrder(strategy, 'sell', 30010);
+
+    await settle(strategy, strategy.orderManager.updateOrders());
+    check('最近的订单对应第0档并保留', engine.getOrder(near.id).status === 'open');
+    check('超出档位数的订单被撤销', engine.getOrder(far.id).status === 'canceled');
+}
+
+/**
+ * 生成合成市场数据（固定随机种子）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 31;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+async function runBacktest(dataPath, tolerancePct) {
+    const config = createConfig({
+        orderAmount: 0.00002,
+        orderRefreshTolerancePct: tolerancePct,
+        maxOrderAge: 1800000,
+        orderTimeout: 2000,
+        priceChangeThreshold: 0.00005,
+        backtest: {
+            initialBase: 0.01,
+            initialQuote: 300,
+            makerFee: 0.001,
+            takerFee: 0.001,
+            latency: 50,
+            queuePositionModel: 'conservative',
+            equitySampleInterval: 10000
+        }
+    });
+    const engine = new BacktestEngine(config, { dataPath, quiet: true });
+    const report = await engine.run();
+    return { summary: report.getSummary(), engine };
+}
+
+async function testBacktest(tempDir) {
+    console.log('\n🚀 测试4: 回测中的订单刷新');
+    const dataPath = path.join(tempDir, 'data.jsonl');
+    const events = generateMarketData(Date.UTC(2025, 0, 1), 4500, 200);
+    fs.writeFileSync(dataPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const strict = await runBacktest(dataPath, 0);
+    const tolerant = await runBacktest(dataPath, 0.05);
+
+    check('容忍度内保留订单减少了提交次数', tolerant.summary.submittedOrders < strict.summary.submittedOrders,
+        `容忍度0: ${strict.summary.submittedOrders}, 容忍度0.05%: ${tolerant.summary.submittedOrders}`);
+    console.log(`   📊 提交订单数 容忍度0: ${strict.summary.submittedOrders} | 容忍度0.05%: ${tolerant.summary.submittedOrders}`);
+    check('保留订单仍产生成交', tolerant.summary.fills > 0, `成交数: ${tolerant.summary.fills}`);
+    check('回测结束后没有遗留挂单', tolerant.engine.exchangeManager.matchingEngine.getOpenOrders().length === 0);
+}
+
+async function main() {
+    console.log('🧪 开始订单刷新测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-refresh-test-'));
+
+    try {
+        await testToleranceDiffing();
+        await testExcessOrders();
+        await testBacktest(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -97,7 +97,7 @@ class MockIndicators {
     getCurrentValues() {
         return {
             volatility: 0.02,
-            tradingIntensity: 0.5
+            kappa: 0.5
         };
     }
     
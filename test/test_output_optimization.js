@@ -215,7 +215,7 @@ class OutputOptimizationTest {
             const calculationData = {
                 midPrice: 118405.01,
                 volatility: 0.0000,
-                tradingIntensity: 0.000000,
+                kappa: 0.000000,
                 baseAmount: 0.00005485,
                 quoteAmount: 100.90,
                 inventoryValue: {
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const PaperExchangeManager = require('../core/paper-exchange');
+
+/**
+ * 模拟盘交易所测试脚本
+ * 使用离线回放的合成行情验证本地撮合、模拟余额、手续费和事件推送，
+ * 以及策略在模拟盘模式下的完整运行流程（不需要网络和API密钥）
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+/**
+ * 生成合成订单簿和成交数据（固定随机种子）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        // 叠加正弦波动，保证价格能穿越策略的报价区间
+        const mid = 30000 + 80 * Math.sin(i / 40) + (random() - 0.5) * 6;
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        lines.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 2 === 0) {
+            const isBuy = random() > 0.5;
+            lines.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.5).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function createConfig(dataPath, replaySpeed, overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/paper-test.log',
+        paper: {
+            dataPath,
+            replaySpeed,
+            loop: false,
+            initialBase: 0.01,
+            initialQuote: 1000,
+            makerFee: 0.001,
+            takerFee: 0.002,
+            latency: 0,
+            queuePositionModel: 'conservative'
+        },
+        ...overrides
+    });
+}
+
+function waitFor(condition, timeout) {
+    return new Promise((resolve) => {
+        const startTime = Date.now();
+        const timer = setInterval(() => {
+            if (condition() || Date.now() - startTime > timeout) {
+                clearInterval(timer);
+                resolve(condition());
+            }
+        }, 50);
+    });
+}
+
+async function testPaperExchange(dataPath) {
+    console.log('\n📝 测试1: 模拟盘本地撮合');
+    const config = createConfig(dataPath, 1000);
+    const exchange = new PaperExchangeManager(config);
+
+    const balanceUpdates = [];
+    const orderUpdates = [];
+    exchange.on('balanceUpdate', (data) => balanceUpdates.push(data));
+    exchange.on('orderUpdate', (order) => orderUpdates.push(order));
+
+    const initialized = await exchange.initialize();
+    check('离线模式初始化成功', initialized === true);
+    check('离线模式不创建网络管理器', exchange.networkManager === null);
+    check('初始化后推送模拟余额', balanceUpdates.length > 0 && balanceUpdates[0].quote.total === 1000);
+    check('策略可获取行情', !!exchange.getTicker() && exchange.getTicker().last > 0);
+
+    const finished = await waitFor(() => exchange.replayFinished, 5000);
+    check('录制数据回放完成', finished);
+
+    // 回放结束后手动推送行情，验证确定性的撮合结果
+    exchange.applyOrderBook({ bids: [[100, 2]], asks: [[101, 1]], timestamp: Date.now() });
+
+    const buy = await exchange.createOrder('buy', 1, 100);
+    check('限价买单挂单成功', buy.status === 'open');
+    check('下单推送orderUpdate事件', orderUpdates.some(order => order.id === buy.id));
+    const reserved = exchange.getBalances().USDT.used;
+    check('挂单冻结计价货币（含手续费）', Math.abs(reserved - 100 * 1.001) < 1e-9, `冻结: ${reserved}`);
+
+    const updatesBeforeFill = balanceUpdates.length;
+    exchange.applyTrade({ price: 100, amount: 2, side: 'sell', timestamp: Date.now() });
+    check('排在前面的数量未消耗完时不成交', exchange.getBalances().BTC.total === 0.01);
+
+    exchange.applyTrade({ price: 100, amount: 1, side: 'sell', timestamp: Date.now() });
+    const filledOrder = await exchange.getOrder(buy.id);
+    const balances = exchange.getBalances();
+    check('排队消耗完后挂单成交', filledOrder.status === 'closed');
+    check('成交后基础货币增加', Math.abs(balances.BTC.total - 1.01) < 1e-9, `BTC: ${balances.BTC.total}`);
+    check('按挂单费率扣除手续费', Math.abs(balances.USDT.total - (1000 - 100 - 0.1)) < 1e-9, `USDT: ${balances.USDT.total}`);
+    check('成交后推送余额更新', balanceUpdates.length > updatesBeforeFill);
+
+    const sell = await exchange.createOrder('sell', 0.5, 105);
+    check('卖单冻结基础货币', Math.abs(exchange.getBalances().BTC.used - 0.5) < 1e-9);
+    await exchange.cancelOrder(sell.id);
+    check('撤单后释放冻结余额', exchange.getBalances().BTC.used === 0);
+    check('撤单后没有挂单', (await exchange.getOpenOrders()).length === 0);
+
+    const market = await exchange.createOrder('sell', 0.5, undefined, 'market');
+    check('市价单按吃单成交', exchange.getFills().some(fill => fill.order === market.id && fill.takerOrMaker === 'taker'));
+
+    const status = exchange.getStatus();
+    check('状态包含模拟盘信息', status.mode === 'paper' && status.networkStatus === null);
+
+    await exchange.close();
+}
+
+async function testPaperStrategy(dataPath) {
+    console.log('\n🚀 测试2: 策略模拟盘运行');
+    // 倍速回放时指标按真实时间采样，采样间隔内价格变化大，拟合的κ偏小；限制最大价差使报价落在正弦波动范围内
+    const config = createConfig(dataPath, 20, { loopInterval: 200, maxSpread: 0.004 });
+
+    const strategy = new AvellanedaStrategy(config);
+    check('模拟盘模式使用PaperExchangeManager', strategy.exchangeManager instanceof PaperExchangeManager);
+
+    const originalLog = console.log;
+    console.log = () => {};
+    let started = false;
+    try {
+        started = await strategy.start();
+        await waitFor(() => strategy.exchangeManager.replayFinished, 20000);
+        await strategy.stop();
+    } finally {
+        console.log = originalLog;
+    }
+
+    const stats = strategy.exchangeManager.matchingEngine.getStats();
+    check('策略启动成功', started === true);
+    check('策略提交了模拟订单', stats.submittedOrders > 0, `订单数: ${stats.submittedOrders}`);
+    check('模拟订单产生成交', stats.fillCount > 0, `成交数: ${stats.fillCount}`);
+    check('停止后撤销所有挂单', strategy.exchangeManager.matchingEngine.getOpenOrders().length === 0);
+
+    await strategy.exchangeManager.close();
+}
+
+async function main() {
+    console.log('🧪 开始模拟盘交易所测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-test-'));
+    const dataPath = path.join(tempDir, 'recording.jsonl');
+    fs.writeFileSync(dataPath, generateMarketData(Date.UTC(2025, 0, 1), 600, 200));
+
+    try {
+        await testPaperExchange(dataPath);
+        await testPaperStrategy(dataPath);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
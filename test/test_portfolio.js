@@ -0,0 +1,286 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const ExchangeManager = require('../core/exchange');
+const PaperExchangeManager = require('../core/paper-exchange');
+const PortfolioManager = require('../core/portfolio/portfolio-manager');
+const PortfolioRiskManager = require('../core/portfolio/portfolio-risk-manager');
+
+/**
+ * 多交易对组合测试脚本
+ * 验证按交易对拆分配置、交易所管理器共用连接（同一个ccxt实例）、
+ * 组合持仓价值限制（只限制加仓）和组合当日亏损停止，以及组合管理器为每个交易对创建独立的策略
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+const SYMBOLS = [
+    { symbol: 'BTC/USDT', orderAmount: 0.001 },
+    { symbol: 'ETH/USDT', orderAmount: 0.02, riskFactor: 0.3 }
+];
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/portfolio-test.log',
+        streaming: { enabled: false },
+        symbols: SYMBOLS,
+        portfolioRisk: { maxTotalPositionValue: 1000, maxTotalDailyLoss: 50 },
+        ...overrides
+    });
+}
+
+function configError(overrides) {
+    try {
+        createConfig(overrides);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * 模拟ccxt交易所：返回固定的市场信息，记录关闭调用
+ */
+class FakeExchange {
+    constructor() {
+        this.has = {};
+        this.closed = 0;
+        this.marketCalls = [];
+    }
+
+    market(symbol) {
+        this.marketCalls.push(symbol);
+        const [base, quote] = symbol.split('/');
+        return { symbol, base, quote, precision: { price: 2, amount: 4 }, limits: {}, active: true, maker: 0.001, taker: 0.001 };
+    }
+
+    async fetchOrderBook(symbol) {
+        return { symbol, timestamp: Date.now(), bids: [[29990, 1]], asks: [[30010, 1]] };
+    }
+
+    async fetchTicker(symbol) {
+        return { symbol, last: 30000, bid: 29990, ask: 30010, timestamp: Date.now() };
+    }
+
+    async fetchBalance() {
+        return { BTC: { free: 1, used: 0, total: 1 }, ETH: { free: 1, used: 0, total: 1 }, USDT: { free: 30000, used: 0, total: 30000 } };
+    }
+
+    async close() {
+        this.closed++;
+    }
+}
+
+/**
+ * 生成单个交易对的合成订单簿数据（固定随机种子）
+ */
+function generateMarketData(symbol, basePrice, startTime, count, intervalMs) {
+    let seed = 61;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+        const mid = basePrice * (1 + 0.002 * Math.sin(i / 20) + (random() - 0.5) * 0.0002);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.5 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.5 + random()).toFixed(4))]);
+        }
+        lines.push({ type: 'orderBook', timestamp: startTime + i * intervalMs, symbol, bids, asks });
+    }
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+/**
+ * 构造一个组合风险测试用的交易对（只包含风险检查用到的字段）
+ */
+function createLeg(symbol, position, midPrice, dailyPnL = 0, unrealizedPnL = 0) {
+    return {
+        config: { get: (key) => (key === 'symbol' ? symbol : undefined) },
+        currentMarketData: { midPrice },
+        positionLedger: {
+            position,
+            getUnrealizedPnL: () => unrealizedPnL,
+            getNetRealizedPnL: () => dailyPnL
+        },
+        riskManager: { riskState: { dailyPnL }, portfolioRisk: null }
+    };
+}
+
+function testSymbolConfigs() {
+    console.log('\n📋 测试1: 按交易对拆分配置');
+    const config = createConfig({ riskFactor: 0.2 });
+    const symbolConfigs = config.getSymbolConfigs();
+
+    check('配置了symbols时为多交易对', config.isMultiSymbol());
+    check('每个交易对一份配置', symbolConfigs.length === 2);
+    check('交易对和币种按symbol拆分',
+        symbolConfigs[1].get('symbol') === 'ETH/USDT' &&
+        symbolConfigs[1].get('baseCurrency') === 'ETH' &&
+        symbolConfigs[1].get('quoteCurrency') === 'USDT');
+    check('交易对的覆盖配置生效', symbolConfigs[1].get('riskFactor') === 0.3 && symbolConfigs[1].get('orderAmount') === 0.02);
+    check('未覆盖的字段沿用全局配置', symbolConfigs[0].get('riskFactor') === 0.2 && symbolConfigs[0].get('logLevel') === 'error');
+    check('交易对配置本身不是多交易对', !symbolConfigs[0].isMultiSymbol());
+    check('未配置symbols时只返回自身', createConfig({ symbols: [] }).getSymbolConfigs()[0] instanceof StrategyConfig &&
+        !createConfig({ symbols: [] }).isMultiSymbol());
+
+    const duplicate = configError({ symbols: [{ symbol: 'BTC/USDT' }, { symbol: 'BTC/USDT' }] });
+    check('重复的交易对被拒绝', duplicate && duplicate.includes('duplicate'), duplicate);
+    const backtest = configError({ tradingMode: 'backtest' });
+    check('回测模式不支持多交易对', backtest && backtest.includes('backtest'), backtest);
+    const mixedQuote = configError({ symbols: [{ symbol: 'BTC/USDT' }, { symbol: 'ETH/BTC' }] });
+    check('启用组合限制时计价货币必须一致', mixedQuote && mixedQuote.includes('quote currency'), mixedQuote);
+    check('不启用组合限制时允许不同计价货币',
+        configError({ symbols: [{ symbol: 'BTC/USDT' }, { symbol: 'ETH/BTC' }], portfolioRisk: { maxTotalPositionValue: 0, maxTotalDailyLoss: 0 } }) === null);
+}
+
+async function testSharedConnection() {
+    console.log('\n📋 测试2: 交易所管理器共用连接');
+    const [btcConfig, ethConfig] = createConfig().getSymbolConfigs();
+    const primary = new ExchangeManager(btcConfig);
+    const secondary = new ExchangeManager(ethConfig, { connection: primary });
+
+    check('共用连接时不创建网络管理器', secondary.networkManager === null && primary.networkManager !== null);
+    check('主连接未建立时初始化失败', !await secondary.initialize());
+
+    const exchange = new FakeExchange();
+    primary.exchange = exchange;
+    primary.isConnected = true;
+    const primaryErrors = [];
+    primary.handleConnectionError = (error) => primaryErrors.push(error.message);
+
+    check('主连接建立后初始化成功', await secondary.initialize());
+    check('共用同一个ccxt实例', secondary.exchange === exchange);
+    check('按本交易对加载市场信息', secondary.getMarketInfo().symbol === 'ETH/USDT' && exchange.marketCalls.includes('ETH/USDT'));
+    check('状态标明共用连接', secondary.getStatus().sharedConnection === true && primary.getStatus().sharedConnection === false);
+
+    secondary.handleConnectionError(new Error('rate limited'));
+    check('连接错误交给主管理器处理', primaryErrors.length === 1 && primaryErrors[0] === 'rate limited');
+    check('共用连接的交易对不自行重连', secondary.reconnectTimer === null || secondary.reconnectTimer === undefined);
+
+    // 主连接断开后交易对停止数据更新，重连（新实例）后重新初始化
+    primary.emit('connectionLost');
+    check('主连接断开时交易对标记为断开', !secondary.isConnected && secondary.dataMode === 'stopped');
+    const reconnected = new FakeExchange();
+    primary.exchange = reconnected;
+    primary.emit('connectionRestored');
+    await new Promise(resolve => setImmediate(resolve));
+    check('主连接恢复后使用新实例重新初始化', secondary.isConnected && secondary.exchange === reconnected);
+
+    await secondary.close();
+    check('关闭交易对不关闭共用的实例', reconnected.closed === 0);
+    primary.handleConnectionError = ExchangeManager.prototype.handleConnectionError;
+    await primary.close();
+    check('主管理器关闭共用的实例', reconnected.closed === 1);
+}
+
+function testPortfolioRisk() {
+    console.log('\n📋 测试3: 组合风险限制');
+    const config = createConfig();
+    const portfolioRisk = new PortfolioRiskManager(config);
+    const btc = createLeg('BTC/USDT', 0.02, 30000); // 600
+    const eth = createLeg('ETH/USDT', -0.1, 2000); // 200
+    portfolioRisk.register(btc);
+    portfolioRisk.register(eth);
+
+    check('注册后交易对的风险管理器检查组合限制', btc.riskManager.portfolioRisk === portfolioRisk);
+    check('合计持仓价值按中间价计算', Math.abs(portfolioRisk.getTotals().positionValue - 800) < 1e-9);
+    check('未超限的加仓订单通过', portfolioRisk.validateOrder('ETH/USDT', 'sell', 0.05, 2000).valid);
+
+    const rejected = portfolioRisk.validateOrder('BTC/USDT', 'buy', 0.01, 30000);
+    check('超过组合持仓价值上限的加仓订单被拒绝', !rejected.valid && rejected.type === 'PORTFOLIO_POSITION_LIMIT', rejected.reason);
+    check('减仓订单不受组合持仓价值限制', portfolioRisk.validateOrder('BTC/USDT', 'sell', 0.01, 30000).valid);
+    check('空头的减仓买单不受限制', portfolioRisk.validateOrder('ETH/USDT', 'buy', 0.1, 2000).valid);
+
+    const stops = [];
+    portfolioRisk.on('portfolioStop', (data) => stops.push(data));
+    btc.riskManager.riskState.dailyPnL = -30;
+    check('合计亏损未达上限时不停止', !portfolioRisk.checkLimits() && stops.length === 0);
+    eth.positionLedger.getUnrealizedPnL = () => -25;
+    check('已实现加未实现亏损达到上限时停止', portfolioRisk.checkLimits() && stops.length === 1 && portfolioRisk.isHalted);
+    const halted = portfolioRisk.validateOrder('BTC/USDT', 'sell', 0.01, 30000);
+    check('停止后拒绝所有订单', !halted.valid && halted.type === 'PORTFOLIO_HALTED');
+}
+
+async function testPortfolioManager(tempDir) {
+    console.log('\n📋 测试4: 组合管理器');
+    const startTime = Date.UTC(2025, 0, 1);
+    const symbols = [
+        { symbol: 'BTC/USDT', basePrice: 30000 },
+        { symbol: 'ETH/USDT', basePrice: 2000 }
+    ].map(({ symbol, basePrice }) => {
+        const dataPath = path.join(tempDir, `${symbol.replace('/', '-')}.jsonl`);
+        fs.writeFileSync(dataPath, generateMarketData(symbol, basePrice, startTime, 50, 200));
+        return { symbol, paper: { dataPath } };
+    });
+    const config = createConfig({
+        symbols,
+        paper: { replaySpeed: 1000, loop: false, initialBase: 0.01, initialQuote: 1000 }
+    });
+
+    const portfolio = new PortfolioManager(config);
+    const strategies = portfolio.getStrategies();
+    check('每个交易对一个策略', strategies.length === 2 && portfolio.getSymbols().join(',') === 'BTC/USDT,ETH/USDT');
+    check('各交易对的订单管理器和计算器独立',
+        strategies[0].orderManager !== strategies[1].orderManager && strategies[0].calculator !== strategies[1].calculator);
+    check('离线模拟盘各自回放本交易对的数据',
+        strategies.every(strategy => strategy.exchangeManager instanceof PaperExchangeManager && !strategy.exchangeManager.connection) &&
+        strategies[1].config.get('paper').dataPath.endsWith('ETH-USDT.jsonl') &&
+        strategies[1].config.get('paper').initialQuote === 1000);
+    check('各交易对注册到组合风险管理器',
+        strategies.every(strategy => strategy.riskManager.portfolioRisk === portfolio.portfolioRisk));
+
+    const stops = [];
+    portfolio.on('emergencyStop', (data) => stops.push(data));
+    strategies[1].emit('emergencyStop', { reason: 'test' });
+    check('交易对的停止信号带交易对转发', stops.length === 1 && stops[0].symbol === 'ETH/USDT');
+    portfolio.portfolioRisk.emit('portfolioStop', { reason: 'portfolio' });
+    check('组合风险停止转为紧急停止', stops.length === 2 && stops[1].reason === 'portfolio');
+
+    const status = portfolio.getStatus();
+    check('组合状态包含各交易对和组合限制',
+        Object.keys(status.strategies).length === 2 && status.portfolio.limits.maxTotalPositionValue === 1000 && !status.isRunning);
+}
+
+async function main() {
+    console.log('🧪 开始多交易对组合测试');
+    console.log('='.repeat(60));
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-test-'));
+    try {
+        testSymbolConfigs();
+        await testSharedConnection();
+        testPortfolioRisk();
+        await testPortfolioManager(tempDir);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ 测试执行出错: ${error.stack}`);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
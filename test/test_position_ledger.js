@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const BacktestEngine = require('../core/backtest/backtest-engine');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const PositionLedger = require('../core/position-ledger');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 持仓账本测试脚本
+ * 验证加权平均和先进先出成本价、反向开仓、部分成交和手续费记账，以及风险管理器按账本计算盈亏
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function near(a, b, tolerance = 1e-9) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: 'error',
+        logFile: 'logs/position-ledger-test.log',
+        ...overrides
+    });
+}
+
+function fill(ledger, side, amount, price, fee = 0) {
+    return ledger.applyFill({ orderId: `${side}${price}`, side, amount, price, fee });
+}
+
+function testCostBasis() {
+    console.log('\n📒 测试1: 成本价计算');
+    const average = new PositionLedger(createConfig({ costBasisMethod: 'average' }));
+    fill(average, 'buy', 1, 100);
+    fill(average, 'buy', 1, 110);
+    check('加权平均成本价', near(average.getCostBasis(), 105), `成本价: ${average.getCostBasis()}`);
+    const averageClose = fill(average, 'sell', 1, 120);
+    check('加权平均模式平仓按平均成本计算已实现盈亏', near(averageClose.realizedPnL, 15) && near(average.getCostBasis(), 105));
+    check('未实现盈亏为持仓相对成本价的浮动盈亏', near(average.getUnrealizedPnL(100), -5), `未实现: ${average.getUnrealizedPnL(100)}`);
+
+    const fifo = new PositionLedger(createConfig({ costBasisMethod: 'fifo' }));
+    fill(fifo, 'buy', 1, 100);
+    fill(fifo, 'buy', 1, 110);
+    const fifoClose = fill(fifo, 'sell', 1, 120);
+    check('先进先出模式先平最早的批次', near(fifoClose.realizedPnL, 20) && near(fifo.getCostBasis(), 110));
+    check('先进先出模式的未实现盈亏', near(fifo.getUnrealizedPnL(100), -10));
+
+    // 多头1个，卖出3个后反向持有2个空头
+    const flip = new PositionLedger(createConfig({ costBasisMethod: 'average' }));
+    fill(flip, 'buy', 1, 100);
+    const flipFill = fill(flip, 'sell', 3, 120);
+    check('反向成交先平仓再按成交价开空头', near(flipFill.realizedPnL, 20) && near(flip.position, -2) && near(flip.getCostBasis(), 120),
+        `持仓: ${flip.position}, 成本价: ${flip.getCostBasis()}`);
+    const cover = fill(flip, 'buy', 1, 110);
+    check('空头平仓盈亏', near(cover.realizedPnL, 10) && near(flip.realizedPnL, 30) && near(flip.getUnrealizedPnL(130), -10));
+
+    const seeded = new PositionLedger(createConfig({ costBasisMethod: 'fifo' }));
+    seeded.initialize(0.5, 200);
+    fill(seeded, 'sell', 0.5, 210, 0.1);
+    check('初始持仓按初始化价格计成本并扣除手续费', near(seeded.realizedPnL, 5) && near(seeded.getNetRealizedPnL(), 4.9) && seeded.position === 0);
+}
+
+function testOrderUpdates() {
+    console.log('\n🧾 测试2: 部分成交和手续费');
+    const ledger = new PositionLedger(createConfig());
+    const order = { id: '1', side: 'buy', amount: 1, price: 100, status: 'open', filled: 0, cost: 0, fee: { cost: 0, currency: 'USDT' } };
+
+    check('未成交的订单更新不记账', ledger.applyOrderUpdate(order) === null && ledger.fillCount === 0);
+
+    const first = ledger.applyOrderUpdate({ ...order, filled: 0.4, cost: 40, fee: { cost: 0.04, currency: 'USDT' } });
+    check('部分成交按累计成交量的增量记账', near(first.amount, 0.4) && near(first.price, 100) && near(first.fee, 0.04));
+
+    check('重复的订单更新不重复记账', ledger.applyOrderUpdate({ ...order, filled: 0.4, cost: 40, fee: { cost: 0.04, currency: 'USDT' } }) === null);
+
+    const second = ledger.applyOrderUpdate({ ...order, status: 'closed', filled: 1, cost: 97, fee: { cost: 0.097, currency: 'USDT' } });
+    check('后续成交按成交额增量计算成交价', near(second.amount, 0.6) && near(second.price, 95) && near(second.fee, 0.057),
+        JSON.stringify(second));
+    check('持仓、成本价和手续费合计', near(ledger.position, 1) && near(ledger.getCostBasis(), 97) && near(ledger.totalFees, 0.097));
+
+    check('已结束订单的重复更新被忽略', ledger.applyOrderUpdate({ ...order, status: 'closed', filled: 1, cost: 97 }) === null && ledger.fillCount === 2);
+
+    const baseFee = ledger.applyOrderUpdate({ id: '2', side: 'sell', status: 'canceled', filled: 0.5, cost: 55, price: 110, fee: { cost: 0.001, currency: 'BTC' } });
+    check('已撤销订单的成交部分也记账，基础货币手续费按成交价折算', near(baseFee.fee, 0.11) && near(baseFee.realizedPnL, 6.5),
+        JSON.stringify(baseFee));
+}
+
+async function testRiskManagerIntegration() {
+    console.log('\n🛡️ 测试3: 风险管理器使用账本盈亏');
+    const config = createConfig({ orderAmount: 0.001 });
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    exchangeManager.applyOrderBook({ timestamp: clock.now(), bids: [[29999.5, 1]], asks: [[30000.5, 1]] });
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+    strategy.eventHandler.setupEventListeners();
+    strategy.currentMarketData = { midPrice: 30000, bestBid: 29999.5, bestAsk: 30000.5, timestamp: clock.now() };
+
+    await strategy.dataManager.updateBalances();
+    const ledger = strategy.positionLedger;
+    check('首次获取余额时用中间价初始化持仓成本', ledger.isInitialized && near(ledger.position, 0.01) && near(ledger.getCostBasis(), 30000));
+
+    const engine = exchangeManager.matchingEngine;
+    const sell = engine.createOrder({ side: 'sell', amount: 0.002, price: 30100, clientOrderId: 's1' });
+    strategy.orderManager.trackCreatedOrder(sell);
+    exchangeManager.applyTrade({ timestamp: clock.now(), price: 30100, amount: 0.001, side: 'buy' });
+
+    const riskState = strategy.riskManager.riskState;
+    const fee = 0.001 * 30100 * 0.001;
+    check('部分成交即更新已实现盈亏（扣除手续费）', near(riskState.realizedPnL, 0.1 - fee, 1e-9) && near(riskState.dailyPnL, riskState.realizedPnL),
+        `已实现: ${riskState.realizedPnL}`);
+    check('部分成交的订单仍在活跃订单中', strategy.orderManager.activeOrders.has(sell.id));
+
+    exchangeManager.applyTrade({ timestamp: clock.now(), price: 30100, amount: 0.001, side: 'buy' });
+    check('完全成交后已实现盈亏累计', near(riskState.realizedPnL, 0.2 - 2 * fee, 1e-9) && near(ledger.position, 0.008));
+
+    strategy.riskManager.updatePosition(ledger.position, ledger.position * 29000, 29000);
+    check('未实现盈亏不再是持仓市值', near(riskState.unrealizedPnL, 0.008 * (29000 - 30000), 1e-9), `未实现: ${riskState.unrealizedPnL}`);
+}
+
+/**
+ * 生成合成市场数据（固定随机种子）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 41;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+async function testBacktest(tempDir) {
+    console.log('\n🚀 测试4: 回测中的账本盈亏');
+    const dataPath = path.join(tempDir, 'data.jsonl');
+    const events = generateMarketData(Date.UTC(2025, 0, 1), 4500, 200);
+    fs.writeFileSync(dataPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    for (const method of ['average', 'fifo']) {
+        const config = createConfig({
+            costBasisMethod: method,
+            backtest: {
+                initialBase: 0.01,
+                initialQuote: 300,
+                makerFee: 0.001,
+                takerFee: 0.001,
+                latency: 50,
+                queuePositionModel: 'conservative',
+                equitySampleInterval: 10000
+            }
+        });
+        const engine = new BacktestEngine(config, { dataPath, quiet: true });
+        const summary = (await engine.run()).getSummary();
+        const ledger = engine.strategy.positionLedger;
+        const pnl = ledger.getSummary(summary.endMidPrice);
+        // 账本以首次获取余额时的中间价作为初始持仓成本，报告以回测开始时的中间价计算初始权益
+        const seedAdjustment = summary.initialInventory * (ledger.initialCostBasis - summary.startMidPrice);
+
+        check(`${method}: 账本持仓与回测期末库存一致`, near(ledger.position, summary.finalInventory, 1e-9),
+            `账本: ${ledger.position}, 回测: ${summary.finalInventory}`);
+        check(`${method}: 手续费合计与回测一致`, near(pnl.totalFees, summary.totalFees, 1e-9));
+        check(`${method}: 账本总盈亏与回测权益变化一致`, near(pnl.totalPnL - seedAdjustment, summary.totalPnL, 1e-6),
+            `账本: ${pnl.totalPnL}, 回测: ${summary.totalPnL}`);
+    }
+}
+
+async function main() {
+    console.log('🧪 开始持仓账本测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'position-ledger-test-'));
+
+    try {
+        testCostBasis();
+        testOrderUpdates();
+        await testRiskManagerIntegration();
+        await testBacktest(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,173 @@
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const { SimulatedClock } = require('../utils/clock');
+const {
+    PricingModel,
+    AvellanedaPricingModel,
+    registerPricingModel,
+    createPricingModel
+} = require('../core/pricing');
+
+/**
+ * 定价模型测试脚本
+ * 验证Avellaneda-Stoikov保留价和最优价差公式、价差限制、模型注册，以及策略核心使用定价模型报价
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function near(a, b, tolerance = 1e-9) {
+    return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/pricing-test.log',
+        riskFactor: 0.5,
+        minSpread: 0.001,
+        maxSpread: 0.05,
+        pricing: { timeHorizon: 24 },
+        ...overrides
+    });
+}
+
+function testFormula() {
+    console.log('\n📐 测试1: 保留价和最优价差公式');
+    const model = new AvellanedaPricingModel({ gamma: 0.5, timeHorizon: 24, minSpread: 0.0001, maxSpread: 0.05 });
+    const input = { midPrice: 30000, volatility: 0.8, kappa: 0.05, inventory: 0.4, timeLeftFraction: 0.5 };
+    const result = model.calculate(input);
+
+    const variance = 0.8 * 0.8 * (24 / (365 * 24)) * 0.5;
+    const liquidityTerm = (2 / 0.5) * Math.log(1 + 0.5 / (0.05 * 30000));
+    check('计算明细有效', result.valid === true && result.model === 'avellaneda');
+    check('σ²·(T−t)按年化波动率和剩余时间计算', near(result.variance, variance));
+    check('库存项 q·γ·σ²·(T−t)', near(result.inventoryTerm, 0.4 * 0.5 * variance));
+    check('库存为正时保留价低于中间价', near(result.reservationPrice, 30000 * (1 - 0.4 * 0.5 * variance)) && result.reservationPrice < 30000);
+    check('最优价差 γσ²(T−t) + (2/γ)ln(1+γ/κ)', near(result.optimalSpread, (0.5 * variance + liquidityTerm) * 30000));
+    check('报价以保留价为中心', near((result.bid + result.ask) / 2, result.reservationPrice) && near(result.ask - result.bid, result.spread));
+
+    const short = model.calculate({ ...input, inventory: -0.4 });
+    check('库存为负时保留价高于中间价', short.reservationPrice > 30000);
+    const expiring = model.calculate({ ...input, timeLeftFraction: 0 });
+    check('到期时库存项和风险项为零', expiring.inventoryTerm === 0 && expiring.riskTerm === 0);
+
+    const invalid = model.calculate({ ...input, kappa: 0 });
+    check('κ无效时返回原因', invalid.valid === false && invalid.reason.includes('订单到达强度'));
+}
+
+function testLimits() {
+    console.log('\n📏 测试2: 价差和保留价限制');
+    const model = new AvellanedaPricingModel({ gamma: 0.5, timeHorizon: 24, minSpread: 0.002, maxSpread: 0.004, maxReservationOffset: 0.001 });
+
+    const tight = model.calculate({ midPrice: 30000, volatility: 0.1, kappa: 10, inventory: 0 });
+    check('价差不低于最小价差', tight.spreadLimit === 'min' && near(tight.spread, 60));
+
+    const wide = model.calculate({ midPrice: 30000, volatility: 0.1, kappa: 0.001, inventory: 0 });
+    check('价差不高于最大价差', wide.spreadLimit === 'max' && near(wide.spread, 120));
+
+    const skewed = model.calculate({ midPrice: 30000, volatility: 50, kappa: 1, inventory: 1 });
+    check('保留价偏移受限', skewed.reservationLimited && near(skewed.reservationPrice, 30000 * 0.999));
+    check('卖价不低于中间价加半个最小价差', skewed.ask >= 30000 + 30 - 1e-9, `卖价=${skewed.ask}`);
+}
+
+function testRegistry() {
+    console.log('\n🧩 测试3: 模型注册和参数更新');
+    const config = createConfig();
+    const model = createPricingModel(config);
+    check('按配置创建Avellaneda模型', model instanceof AvellanedaPricingModel && model.gamma === 0.5 && model.timeHorizon === 24);
+
+    class FixedSpreadModel extends PricingModel {
+        constructor(options) {
+            super(options);
+            this.name = 'fixed';
+        }
+
+        calculate({ midPrice }) {
+            const spread = midPrice * this.minSpread;
+            return { model: this.name, valid: true, midPrice, inventory: 0, reservationPrice: midPrice, spread, bid: midPrice - spread / 2, ask: midPrice + spread / 2 };
+        }
+    }
+    registerPricingModel('fixed', FixedSpreadModel);
+    const custom = createPricingModel(createConfig({ pricing: { model: 'fixed' } }));
+    check('可注册自定义模型', custom instanceof FixedSpreadModel);
+
+    let threw = false;
+    try {
+        createPricingModel(createConfig({ pricing: { model: 'unknown' } }));
+    } catch (error) {
+        threw = true;
+    }
+    check('未知模型抛出错误', threw);
+
+    model.updateParameters({ gamma: 0.2, minSpread: undefined });
+    check('更新参数只修改提供的字段', model.gamma === 0.2 && model.minSpread === 0.001);
+}
+
+async function testStrategyCore() {
+    console.log('\n🚀 测试4: 策略核心使用定价模型');
+    const config = createConfig();
+    const clock = new SimulatedClock(1700000000000);
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+
+    check('策略核心和计算器共用定价模型', strategy.strategyCore.pricingModel === strategy.pricingModel &&
+        strategy.calculator.pricingModel === strategy.pricingModel);
+
+    strategy.currentMarketData = { midPrice: 30000, bestBid: 29999.5, bestAsk: 30000.5, timestamp: clock.now() };
+    strategy.currentBalances = { baseAmount: 0.1, quoteAmount: 1000, timestamp: clock.now() };
+    Object.assign(strategy.strategyState, {
+        volatility: 0.8,
+        kappa: 0.05,
+        currentInventory: 0.1,
+        targetInventory: 0.05,
+        totalInventoryValue: 4000
+    });
+
+    const executed = await strategy.strategyCore.executeStrategy();
+    const { pricing, optimalBid, optimalAsk } = strategy.strategyState;
+    check('策略执行成功', executed === true);
+    check('策略状态保存计算明细', pricing && pricing.valid && near(pricing.inventory, 0.05 / (4000 / 30000)));
+    check('最终报价按价格精度对齐且包含模型报价', optimalBid <= pricing.bid && optimalAsk >= pricing.ask &&
+        near(optimalBid * 100, Math.round(optimalBid * 100)));
+
+    strategy.updateParameters({ riskFactor: 0.9 });
+    check('更新策略参数同步到定价模型', strategy.pricingModel.gamma === 0.9 && strategy.strategyCore.getParameters().riskAversion === 0.9);
+
+    strategy.strategyState.kappa = 0;
+    check('κ未估计时跳过报价', await strategy.strategyCore.executeStrategy() === false);
+}
+
+async function main() {
+    console.log('🧪 开始定价模型测试');
+    console.log('='.repeat(60));
+
+    try {
+        testFormula();
+        testLimits();
+        testRegistry();
+        await testStrategyCore();
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
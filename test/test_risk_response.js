@@ -0,0 +1,279 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const MatchingEngine = require('../core/backtest/matching-engine');
+
+/**
+ * 分级风险应对测试脚本
+ * 验证配置验证、按级别调整参数（只在级别升高时调整，不叠加）、冷却后恢复参数、
+ * 持仓超限时计算减仓数量并按间隔限频、IOC/限价减仓单的下单和跟踪，以及撮合引擎的IOC订单
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(dataPath, overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/risk-response-test.log',
+        paper: { dataPath, replaySpeed: 1000, loop: false },
+        orderAmount: 0.01,
+        minSpread: 0.002,
+        maxSpread: 0.03,
+        riskResponse: { enabled: true },
+        ...overrides
+    });
+}
+
+/**
+ * 记录风险管理器发出的事件
+ */
+function recordEvents(riskManager) {
+    const events = [];
+    for (const name of ['adjustParameters', 'restoreParameters', 'reducePosition']) {
+        riskManager.on(name, (data) => events.push({ name, data }));
+    }
+    return events;
+}
+
+/**
+ * 用记录下单和撤单的假交易所替换策略的交易所管理器方法
+ */
+function stubExchange(strategy, { baseFree = 1, quoteFree = 50000 } = {}) {
+    const calls = { created: [], cancelled: [] };
+    let nextId = 1;
+    const exchange = strategy.exchangeManager;
+    exchange.getBalances = () => ({ BTC: { free: baseFree, total: baseFree }, USDT: { free: quoteFree, total: quoteFree } });
+    exchange.getMarketInfo = () => ({ precision: { amount: 0.0001, price: 0.01 }, limits: { amount: { min: 0.0001 } } });
+    exchange.createOrder = async (side, amount, price, type, params) => {
+        calls.created.push({ side, amount, price, type, params });
+        const ioc = params.timeInForce === 'IOC';
+        const order = {
+            id: String(nextId++),
+            clientOrderId: params.clientOrderId,
+            side,
+            amount,
+            price,
+            filled: ioc ? amount / 2 : 0,
+            remaining: ioc ? 0 : amount,
+            status: ioc ? 'canceled' : 'open'
+        };
+        exchange.emit('orderUpdate', order);
+        return order;
+    };
+    exchange.cancelOrder = async (orderId) => {
+        calls.cancelled.push(orderId);
+        return { id: orderId, status: 'canceled' };
+    };
+    strategy.currentMarketData = { midPrice: 30000, bestBid: 29990, bestAsk: 30010 };
+    return calls;
+}
+
+function testConfig(dataPath) {
+    console.log('\n📋 测试1: 配置验证');
+    const errorOf = (riskResponse) => {
+        try {
+            createConfig(dataPath, { riskResponse: { ...createConfig(dataPath).get('riskResponse'), ...riskResponse } });
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+    const spread = errorOf({ high: { spreadMultiplier: 0.5, orderSizeMultiplier: 0.5 } });
+    check('价差倍数小于1被拒绝', spread && spread.includes('RISK_RESPONSE.high.spreadMultiplier'), spread);
+    const size = errorOf({ medium: { spreadMultiplier: 1.5, orderSizeMultiplier: 2 } });
+    check('订单量倍数大于1被拒绝', size && size.includes('RISK_RESPONSE.medium.orderSizeMultiplier'), size);
+    const type = errorOf({ reduceOrderType: 'market' });
+    check('减仓单类型只能是ioc或limit', type && type.includes('reduceOrderType'), type);
+    check('默认配置有效', errorOf({}) === null);
+}
+
+function testAdjustment(dataPath) {
+    console.log('\n📋 测试2: 参数调整和恢复');
+    const config = createConfig(dataPath, {
+        riskResponse: { ...createConfig(dataPath).get('riskResponse'), cooldown: 60000 }
+    });
+    const strategy = new AvellanedaStrategy(config);
+    const risk = strategy.riskManager;
+    const events = recordEvents(risk);
+
+    risk.adjustStrategyParameters({ type: 'MAX_DRAWDOWN', severity: 'MEDIUM', message: 'drawdown' });
+    risk.adjustStrategyParameters({ type: 'MAX_DRAWDOWN', severity: 'MEDIUM', message: 'drawdown' });
+    check('MEDIUM只在首次触发时调整', events.length === 1 && events[0].data.level === 'MEDIUM' &&
+        events[0].data.spreadMultiplier === 1.5 && events[0].data.orderSizeMultiplier === 1);
+    risk.adjustStrategyParameters({ type: 'DAILY_LOSS', severity: 'HIGH', message: 'daily loss' });
+    risk.adjustStrategyParameters({ type: 'MAX_DRAWDOWN', severity: 'MEDIUM', message: 'drawdown' });
+    check('升级到HIGH时再次调整，之后不降级', events.length === 2 && events[1].data.level === 'HIGH' &&
+        risk.getRiskStatus().response.level === 'HIGH');
+
+    const core = strategy.strategyCore;
+    core.applyRiskAdjustment(events[0].data);
+    core.applyRiskAdjustment(events[1].data);
+    const adjusted = strategy.getParameters();
+    check('HIGH放宽价差、缩小订单量，按调整前的参数计算不叠加',
+        Math.abs(adjusted.minSpread - 0.004) < 1e-12 && Math.abs(adjusted.maxSpread - 0.06) < 1e-12 &&
+        Math.abs(adjusted.orderAmount - 0.005) < 1e-12 && config.get('orderAmount') === adjusted.orderAmount,
+        JSON.stringify(adjusted));
+    check('参数中显示当前风险调整', adjusted.riskAdjustment.level === 'HIGH' && adjusted.riskAdjustment.reason === 'DAILY_LOSS');
+
+    risk.checkResponseRecovery([{ triggered: true, severity: 'HIGH' }]);
+    risk.checkResponseRecovery([{ triggered: false }]);
+    check('冷却时间内不恢复', events.length === 2);
+    risk.responseState.lastBreachTime = Date.now() - 60000;
+    risk.checkResponseRecovery([{ triggered: true, severity: 'HIGH' }]);
+    check('风险条件仍存在时不恢复', events.length === 2);
+    risk.checkResponseRecovery([{ triggered: false }]);
+    check('条件解除并经过冷却时间后发出恢复事件', events.length === 3 && events[2].name === 'restoreParameters' &&
+        events[2].data.level === 'HIGH' && risk.responseState.level === null);
+
+    check('恢复调整前的参数', core.restoreRiskAdjustment() && strategy.getParameters().minSpread === 0.002 &&
+        strategy.getParameters().maxSpread === 0.03 && config.get('orderAmount') === 0.01 &&
+        strategy.getParameters().riskAdjustment === null);
+    check('没有调整时恢复返回false', core.restoreRiskAdjustment() === false);
+
+    const disabled = new AvellanedaStrategy(createConfig(dataPath, {
+        riskResponse: { ...createConfig(dataPath).get('riskResponse'), enabled: false }
+    }));
+    const disabledEvents = recordEvents(disabled.riskManager);
+    disabled.riskManager.adjustStrategyParameters({ type: 'DAILY_LOSS', severity: 'HIGH' });
+    check('关闭风险应对时不调整', disabledEvents.length === 0);
+}
+
+function testReduceAmount(dataPath) {
+    console.log('\n📋 测试3: 减仓数量');
+    const strategy = new AvellanedaStrategy(createConfig(dataPath));
+    const risk = strategy.riskManager;
+    const events = recordEvents(risk);
+
+    risk.riskState.currentPosition = 0.4;
+    risk.riskState.currentPositionValue = 12000;
+    risk.reducePosition({ type: 'POSITION_LIMIT', data: { maxValue: 4000 } });
+    const first = events[0].data;
+    check('至少减到持仓价值限制以内', first.side === 'sell' && Math.abs(first.amount - 0.4 * 8000 / 12000) < 1e-12, JSON.stringify(first));
+    check('减仓单类型和滑点取自配置', first.orderType === 'ioc' && first.maxSlippagePct === 0.5 && first.reason === 'POSITION_LIMIT');
+
+    risk.reducePosition({ type: 'POSITION_LIMIT', data: { maxValue: 4000 } });
+    check('减仓间隔内不重复减仓', events.length === 1);
+
+    risk.responseState.lastReduceTime = 0;
+    risk.riskState.currentPosition = -0.4;
+    risk.riskState.currentPositionValue = -12000;
+    risk.reducePosition({ type: 'POSITION_LIMIT', data: { maxValue: 10000 } });
+    check('超出较少时按比例减仓，空头持仓买入', events[1].data.side === 'buy' && Math.abs(events[1].data.amount - 0.2) < 1e-12,
+        JSON.stringify(events[1].data));
+}
+
+async function testReduceOrders(dataPath) {
+    console.log('\n📋 测试4: 减仓单');
+    const strategy = new AvellanedaStrategy(createConfig(dataPath));
+    const calls = stubExchange(strategy, { baseFree: 0.3 });
+    strategy.eventHandler.setupExchangeEventListeners();
+    const orders = strategy.orderManager;
+
+    const ioc = await orders.reducePosition({ side: 'sell', amount: 0.5, orderType: 'ioc', maxSlippagePct: 0.5, reason: 'POSITION_LIMIT' });
+    const iocCall = calls.created[0];
+    check('IOC按对手价加滑点下限价单', iocCall.type === 'limit' && iocCall.params.timeInForce === 'IOC' &&
+        Math.abs(iocCall.price - 29990 * 0.995) < 1e-9);
+    check('数量不超过可用余额', iocCall.amount === 0.3);
+    check('IOC终态订单不进入活跃订单和减仓跟踪', ioc.status === 'canceled' && orders.getActiveOrdersCount() === 0 &&
+        orders.getReduceOrders().length === 0);
+    check('部分成交记入持仓账本', strategy.positionLedger.getSummary(30000).fillCount === 1);
+
+    const limit = await orders.reducePosition({ side: 'buy', amount: 0.1, orderType: 'limit', reason: 'POSITION_LIMIT' });
+    check('限价减仓单按己方最优价挂单', calls.created[1].price === 29990 && calls.created[1].params.timeInForce === undefined);
+    check('限价减仓单单独跟踪，不进入活跃订单', orders.getReduceOrders().length === 1 && orders.getActiveOrdersCount() === 0);
+
+    await orders.reducePosition({ side: 'buy', amount: 0.1, orderType: 'limit', reason: 'POSITION_LIMIT' });
+    check('再次减仓前撤销上一次的减仓挂单', calls.cancelled.includes(limit.id) && orders.getReduceOrders().length === 1);
+    await orders.cancelAllOrders();
+    check('撤销全部订单时同时撤销减仓挂单', orders.getReduceOrders().length === 0 && calls.cancelled.length === 2);
+
+    strategy.currentMarketData = { midPrice: 0 };
+    const skipped = await orders.reducePosition({ side: 'sell', amount: 0.1, orderType: 'ioc', reason: 'POSITION_LIMIT' });
+    check('缺少盘口价格时跳过', skipped === null && calls.created.length === 3);
+    strategy.eventHandler.removeEventListeners();
+}
+
+async function testEventFlow(dataPath) {
+    console.log('\n📋 测试5: 风险事件到策略的完整流程');
+    const config = createConfig(dataPath, {
+        riskResponse: { ...createConfig(dataPath).get('riskResponse'), cooldown: 0 }
+    });
+    const strategy = new AvellanedaStrategy(config);
+    const calls = stubExchange(strategy);
+    strategy.eventHandler.setupEventListeners();
+    const risk = strategy.riskManager;
+    strategy.orderManager.activeOrders.set('q1', { id: 'q1', side: 'buy', price: 29900, amount: 0.01, status: 'open' });
+
+    risk.riskState.currentPosition = 0.4;
+    risk.riskState.currentPositionValue = 12000;
+    await risk.handleRiskEvent({ type: 'POSITION_LIMIT', severity: 'HIGH', message: 'position limit', data: { maxValue: 4000 } });
+    await strategy.eventHandler.riskResponseQueue;
+    check('HIGH风险放宽价差并缩小订单量', strategy.getParameters().riskAdjustment.level === 'HIGH' && config.get('orderAmount') === 0.005);
+    check('撤销现有报价并强制重新报价', calls.cancelled.includes('q1') && strategy.orderManager.getActiveOrdersCount() === 0 &&
+        strategy.forceOrderUpdate === true);
+    check('持仓超限时下减仓单', calls.created.length === 1 && calls.created[0].side === 'sell' && calls.created[0].params.timeInForce === 'IOC');
+
+    await risk.handleRiskEvent({ type: 'MAX_DRAWDOWN', severity: 'HIGH', message: 'drawdown', data: {} });
+    await strategy.eventHandler.riskResponseQueue;
+    check('非持仓超限的HIGH风险不下减仓单', calls.created.length === 1);
+
+    risk.checkResponseRecovery([]);
+    await strategy.eventHandler.riskResponseQueue;
+    check('条件解除后恢复参数', strategy.getParameters().riskAdjustment === null && config.get('orderAmount') === 0.01 &&
+        strategy.getParameters().minSpread === 0.002);
+    strategy.eventHandler.removeEventListeners();
+}
+
+function testMatchingEngineIoc() {
+    console.log('\n📋 测试6: 撮合引擎IOC订单');
+    const engine = new MatchingEngine({
+        symbol: 'BTC/USDT', base: 'BTC', quote: 'USDT', initialBase: 1, initialQuote: 0, takerFee: 0.001, clock: { now: () => 1000 }
+    });
+    engine.onOrderBook({ bids: [[100, 0.3], [99, 1]], asks: [[101, 1]] });
+    const order = engine.createOrder({ side: 'sell', type: 'limit', amount: 0.5, price: 99.5, timeInForce: 'IOC' });
+    check('IOC按可成交部分吃单，其余取消', order.status === 'canceled' && order.filled === 0.3 && order.timeInForce === 'IOC');
+    check('取消部分不冻结余额', engine.getBalances().BTC.used === 0 && Math.abs(engine.getBalances().BTC.total - 0.7) < 1e-12);
+    const resting = engine.createOrder({ side: 'sell', type: 'limit', amount: 0.1, price: 102 });
+    check('默认GTC订单挂单', resting.status === 'open' && resting.timeInForce === 'GTC');
+}
+
+async function main() {
+    console.log('🧪 开始分级风险应对测试');
+    console.log('='.repeat(60));
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-response-test-'));
+    const dataPath = path.join(tempDir, 'recording.jsonl');
+    fs.writeFileSync(dataPath, '');
+    try {
+        testConfig(dataPath);
+        testAdjustment(dataPath);
+        testReduceAmount(dataPath);
+        await testReduceOrders(dataPath);
+        await testEventFlow(dataPath);
+        testMatchingEngineIoc();
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ 测试执行出错: ${error.stack}`);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const PortfolioManager = require('../core/portfolio/portfolio-manager');
+
+/**
+ * 停止时库存处理测试脚本
+ * 在模拟盘撮合引擎上验证none/passive/aggressive三种停止策略、滑点上限、超时、调整成本报告，
+ * 以及正常停止和紧急停止分别使用各自的策略
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(dataPath, shutdown = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/shutdown-policy-test.log',
+        paper: { dataPath, replaySpeed: 1000, loop: false, latency: 0, initialBase: 1, initialQuote: 10000, makerFee: 0.0005, takerFee: 0.001 },
+        shutdown
+    });
+}
+
+/**
+ * 手动推进的时钟，sleep时推进时间并调用onSleep模拟期间的行情变化
+ */
+function createClock(start = 1700000000000) {
+    const clock = {
+        time: start,
+        onSleep: null,
+        now: () => clock.time,
+        sleep: async (ms) => {
+            clock.time += ms;
+            if (clock.onSleep && ms > 0) {
+                clock.onSleep(ms);
+            }
+        },
+        setTimeout: (callback, ms) => setTimeout(callback, ms),
+        clearTimeout: (timerId) => clearTimeout(timerId)
+    };
+    return clock;
+}
+
+/**
+ * 创建连接到本地撮合引擎的模拟盘策略（初始1 BTC + 10000 USDT，中间价30000时目标库存约0.6667 BTC）
+ */
+function createStrategy(dataPath, shutdown, book) {
+    const clock = createClock();
+    const strategy = new AvellanedaStrategy(createConfig(dataPath, shutdown), { clock });
+    const exchange = strategy.exchangeManager;
+    exchange.isConnected = true;
+    const applyBook = (bids, asks) => exchange.applyOrderBook({ symbol: 'BTC/USDT', bids, asks, timestamp: clock.now() });
+    applyBook(book.bids, book.asks);
+    strategy.eventHandler.setupExchangeEventListeners();
+    return { strategy, clock, exchange, applyBook };
+}
+
+function testConfig(dataPath) {
+    console.log('\n📋 测试1: 配置验证');
+    const errorOf = (shutdown) => {
+        try {
+            createConfig(dataPath, shutdown);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+    check('默认配置有效且不调整库存', errorOf({}) === null &&
+        createConfig(dataPath).get('shutdown').policy === 'none' && createConfig(dataPath).get('shutdown').emergencyPolicy === 'none');
+    const policy = errorOf({ policy: 'market' });
+    check('未知的停止策略被拒绝', policy && policy.includes('SHUTDOWN.policy'), policy);
+    const emergency = errorOf({ emergencyPolicy: 'flatten' });
+    check('未知的紧急停止策略被拒绝', emergency && emergency.includes('SHUTDOWN.emergencyPolicy'), emergency);
+    const attempts = errorOf({ maxAttempts: 0 });
+    check('IOC次数必须为正整数', attempts && attempts.includes('SHUTDOWN.maxAttempts'), attempts);
+    const slippage = errorOf({ maxSlippagePct: -1 });
+    check('滑点上限不能为负', slippage && slippage.includes('SHUTDOWN.maxSlippagePct'), slippage);
+}
+
+async function testNone(dataPath) {
+    console.log('\n📋 测试2: none保留现有库存');
+    const { strategy, exchange } = createStrategy(dataPath, {}, { bids: [[29990, 1]], asks: [[30010, 1]] });
+    const report = await strategy.inventoryUnwinder.unwind('none', '停止策略');
+    check('不下单，返回null', report === null && exchange.matchingEngine.orders.size === 0);
+    strategy.eventHandler.removeEventListeners();
+}
+
+async function testAggressive(dataPath) {
+    console.log('\n📋 测试3: aggressive按滑点上限IOC吃单');
+    const { strategy, exchange } = createStrategy(dataPath, { policy: 'aggressive' },
+        { bids: [[29990, 0.05], [29950, 1]], asks: [[30010, 1]] });
+    const report = await strategy.inventoryUnwinder.unwind('aggressive', 'SIGINT');
+    const target = 1 - 40000 / 2 / 30000;
+    check('卖出到目标库存', report.side === 'sell' && Math.abs(report.targetAmount - target) < 1e-9 &&
+        Math.abs(report.filledAmount - target) < 1e-6 && report.completed === true, JSON.stringify(report));
+    const expectedNotional = 0.05 * 29990 + (target - 0.05) * 29950;
+    check('成交均价按实际吃单计算', Math.abs(report.averagePrice * report.filledAmount - expectedNotional) < 1e-4);
+    check('滑点成本相对开始时中间价计算', Math.abs(report.slippageCost - (30000 * report.filledAmount - expectedNotional)) < 1e-4 &&
+        report.slippageCost > 0);
+    check('总成本包含吃单手续费', Math.abs(report.fees - expectedNotional * 0.001) < 1e-4 &&
+        Math.abs(report.totalCost - report.slippageCost - report.fees) < 1e-9 &&
+        Math.abs(report.costBps - report.totalCost / (30000 * report.filledAmount) * 10000) < 1e-9);
+    check('只下一笔IOC单且没有剩余挂单', report.orders === 1 && exchange.matchingEngine.getOpenOrders().length === 0 &&
+        strategy.orderManager.getReduceOrders().length === 0);
+    check('报告记录在停止状态中', strategy.getStatus().shutdown.lastReport === report);
+    strategy.eventHandler.removeEventListeners();
+}
+
+async function testSlippageCap(dataPath) {
+    console.log('\n📋 测试4: aggressive不超过滑点上限');
+    const { strategy, clock, exchange, applyBook } = createStrategy(dataPath, { maxSlippagePct: 0.5, maxAttempts: 2, repriceInterval: 1000 },
+        { bids: [[29990, 0.05], [29800, 1]], asks: [[30010, 1]] });
+    const sleeps = [];
+    clock.onSleep = (ms) => {
+        sleeps.push(ms);
+        // 重试前盘口已刷新，滑点上限以内的买单已被吃掉
+        applyBook([[29800, 1]], [[30010, 1]]);
+    };
+    const report = await strategy.inventoryUnwinder.unwind('aggressive', 'EMERGENCY_STOP');
+    check('只成交滑点上限以内的买单', Math.abs(report.filledAmount - 0.05) < 1e-9 && report.limitPrice === 30000 * 0.995 &&
+        report.completed === false && Math.abs(report.remaining - (report.targetAmount - 0.05)) < 1e-9, JSON.stringify(report));
+    check('按最大次数重试，间隔为重试间隔', report.orders === 2 && sleeps.length === 1 && sleeps[0] === 1000);
+    check('未成交部分不留挂单', exchange.matchingEngine.getOpenOrders().length === 0);
+    strategy.eventHandler.removeEventListeners();
+}
+
+async function testPassive(dataPath) {
+    console.log('\n📋 测试5: passive挂单直到超时');
+    const { strategy, clock, exchange, applyBook } = createStrategy(dataPath, { timeout: 12000, repriceInterval: 5000 },
+        { bids: [[29990, 1]], asks: [[30010, 1]] });
+    const prices = [];
+    exchange.on('orderUpdate', (order) => {
+        if (order.status === 'open' && order.filled === 0) {
+            prices.push(order.price);
+        }
+    });
+    let sleeps = 0;
+    clock.onSleep = () => {
+        sleeps++;
+        // 第一次等待期间排在前面的1 BTC和挂单的0.1 BTC被主动买入成交，之后卖盘上移
+        if (sleeps === 1) {
+            exchange.applyTrade({ id: 'm1', price: 30010, amount: 1.1, side: 'buy', timestamp: clock.now() });
+            applyBook([[30000, 1]], [[30030, 1]]);
+        }
+    };
+    const report = await strategy.inventoryUnwinder.unwind('passive', 'SIGTERM');
+    check('在己方最优价挂单并按最新盘口重新挂单', prices[0] === 30010 && prices[1] === 30030 && prices.length === 3, JSON.stringify(prices));
+    check('超时后停止，只成交部分', report.completed === false && Math.abs(report.filledAmount - 0.1) < 1e-9 &&
+        report.duration === 12000 && report.orders === 3, JSON.stringify(report));
+    check('挂单成交价格优于参考价，滑点成本为负', report.averagePrice === 30010 && report.slippageCost < 0 &&
+        Math.abs(report.fees - report.filledAmount * 30010 * 0.0005) < 1e-6);
+    check('结束后撤销所有调整挂单', exchange.matchingEngine.getOpenOrders().length === 0 && strategy.orderManager.getReduceOrders().length === 0);
+    check('调整挂单不进入报价的活跃订单', strategy.orderManager.getActiveOrdersCount() === 0);
+    strategy.eventHandler.removeEventListeners();
+}
+
+async function testPassiveFloor(dataPath) {
+    console.log('\n📋 测试6: passive挂单价格不超过滑点上限');
+    const { strategy, exchange } = createStrategy(dataPath, { timeout: 1000, repriceInterval: 1000, maxSlippagePct: 1 },
+        { bids: [[29000, 1]], asks: [[29100, 1]] });
+    // 开始时中间价29050，盘口下移后挂单价格不低于29050*0.99
+    strategy.inventoryUnwinder.refreshData = async () => {};
+    strategy.currentMarketData = { midPrice: 29050, bestBid: 29000, bestAsk: 28700 };
+    strategy.strategyState.currentInventory = 1;
+    strategy.strategyState.targetInventory = 0.5;
+    const prices = [];
+    exchange.on('orderUpdate', (order) => prices.push(order.price));
+    const report = await strategy.inventoryUnwinder.unwind('passive', 'SIGINT');
+    check('卖出挂单价格取滑点下限', Math.abs(prices[0] - 29050 * 0.99) < 0.01 && report.orders === 1, JSON.stringify(prices));
+    strategy.eventHandler.removeEventListeners();
+}
+
+async function testStopPolicies(dataPath) {
+    console.log('\n📋 测试7: 正常停止和紧急停止使用各自的策略');
+    const { strategy } = createStrategy(dataPath, { policy: 'passive', emergencyPolicy: 'aggressive' },
+        { bids: [[29990, 1]], asks: [[30010, 1]] });
+    const calls = [];
+    strategy.inventoryUnwinder.unwind = async (policy, reason) => {
+        calls.push({ policy, reason, listening: strategy.eventHandler.registeredListeners.length > 0 });
+        return null;
+    };
+    strategy.lifecycleManager.isRunning = true;
+    await strategy.stop();
+    strategy.lifecycleManager.isRunning = true;
+    strategy.eventHandler.setupExchangeEventListeners();
+    await strategy.stop({ emergency: true, reason: 'EMERGENCY_STOP' });
+    check('正常停止使用policy', calls[0].policy === 'passive' && calls[0].reason === '停止策略');
+    check('紧急停止使用emergencyPolicy', calls[1].policy === 'aggressive' && calls[1].reason === 'EMERGENCY_STOP');
+    check('调整库存时仍在监听订单更新', calls.every(call => call.listening));
+
+    const received = [];
+    const fake = (symbol) => Object.assign(new (require('events'))(), {
+        stop: async (options) => received.push({ symbol, options })
+    });
+    const portfolio = Object.create(PortfolioManager.prototype);
+    portfolio.strategies = new Map([['BTC/USDT', fake('BTC/USDT')], ['ETH/USDT', fake('ETH/USDT')]]);
+    portfolio.riskCheckTimer = null;
+    portfolio.logger = { info: () => {} };
+    await portfolio.stop({ emergency: true, reason: 'EMERGENCY_STOP' });
+    check('组合停止把停止选项传给每个交易对', received.length === 2 && received.every(entry => entry.options.emergency === true));
+}
+
+function testFillTracking(dataPath) {
+    console.log('\n📋 测试8: 成交推送可匹配调整挂单');
+    const { strategy } = createStrategy(dataPath, {}, { bids: [[29990, 1]], asks: [[30010, 1]] });
+    const order = { id: 'r1', clientOrderId: 'c1', side: 'sell', amount: 0.2, price: 30010, filled: 0, status: 'open' };
+    strategy.orderManager.reduceOrders.set('c1', order);
+    const update = strategy.orderManager.fillTracker.handleFill({ id: 't1', order: 'r1', side: 'sell', amount: 0.2, price: 30010, timestamp: 1 });
+    check('减仓订单的成交生成订单更新', update && update.status === 'closed' && strategy.orderManager.getReduceOrders().length === 0);
+    strategy.eventHandler.removeEventListeners();
+}
+
+async function main() {
+    console.log('🧪 开始停止时库存处理测试');
+    console.log('='.repeat(60));
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shutdown-policy-test-'));
+    const dataPath = path.join(tempDir, 'recording.jsonl');
+    fs.writeFileSync(dataPath, '');
+    try {
+        testConfig(dataPath);
+        await testNone(dataPath);
+        await testAggressive(dataPath);
+        await testSlippageCap(dataPath);
+        await testPassive(dataPath);
+        await testPassiveFloor(dataPath);
+        await testStopPolicies(dataPath);
+        testFillTracking(dataPath);
+    } catch (error) {
+        failed++;
+        console.log(`   ❌ 测试执行出错: ${error.stack}`);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const StateStore = require('../core/state-store');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 状态持久化测试脚本
+ * 验证预写日志和快照的读写、不完整日志记录的跳过，以及策略重启后恢复盈亏、历史峰值和订单历史
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig(statePath, overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/state-store-test.log',
+        stateStore: { enabled: true, path: statePath, maxJournalEntries: 1000 },
+        ...overrides
+    });
+}
+
+const silentLogger = { info() {}, debug() {}, warn() {}, error() {} };
+
+function createStore(config) {
+    return new StateStore(config, { clock: new SimulatedClock(Date.UTC(2025, 0, 1)), logger: silentLogger });
+}
+
+function testJournalAndSnapshot(tempDir) {
+    console.log('\n💾 测试1: 预写日志和快照');
+    const statePath = path.join(tempDir, 'unit');
+    const counter = { value: 0, exportState() { return { value: this.value }; }, restoreState(state) { this.value = state.value; } };
+
+    const store = createStore(createConfig(statePath));
+    store.register('counter', counter);
+    for (let i = 1; i <= 3; i++) {
+        counter.value = i;
+        store.save('test');
+    }
+    check('每次保存追加一条日志记录', store.readJournal().length === 3 && !fs.existsSync(store.snapshotPath));
+
+    // 模拟崩溃时写了一半的记录
+    fs.appendFileSync(store.journalPath, '{"version":1,"sequence":4,"sta');
+    const restored = { value: 0, exportState() { return { value: this.value }; }, restoreState(state) { this.value = state.value; } };
+    const reloaded = createStore(createConfig(statePath));
+    reloaded.register('counter', restored);
+    check('启动时恢复日志中最后一条完整记录', reloaded.load() === true && restored.value === 3, `恢复值: ${restored.value}`);
+    check('恢复后合并为快照并清空日志', fs.existsSync(reloaded.snapshotPath) && reloaded.readJournal().length === 0);
+
+    // 快照之后的日志记录优先于快照
+    restored.value = 5;
+    reloaded.save('test');
+    const third = createStore(createConfig(statePath));
+    const latest = { value: 0, exportState() { return { value: this.value }; }, restoreState(state) { this.value = state.value; } };
+    third.register('counter', latest);
+    third.load();
+    check('日志中序号更新的记录覆盖快照', latest.value === 5, `恢复值: ${latest.value}`);
+
+    const compacting = createStore(createConfig(path.join(tempDir, 'compact'), { stateStore: { enabled: true, path: path.join(tempDir, 'compact'), maxJournalEntries: 2 } }));
+    compacting.register('counter', counter);
+    compacting.save('test');
+    compacting.save('test');
+    check('日志达到上限时合并为快照', compacting.getStatus().snapshots === 1 && compacting.readJournal().length === 0);
+
+    const backtestStore = createStore(createConfig(path.join(tempDir, 'backtest'), { tradingMode: 'backtest' }));
+    backtestStore.save('test');
+    check('回测模式下不读写状态', backtestStore.enabled === false && !fs.existsSync(path.join(tempDir, 'backtest')));
+}
+
+async function createStrategy(config) {
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    exchangeManager.applyOrderBook({
+        timestamp: clock.now(),
+        bids: [[29999.5, 1]],
+        asks: [[30000.5, 1]]
+    });
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+    strategy.eventHandler.setupEventListeners();
+    return strategy;
+}
+
+async function testStrategyRestart(tempDir) {
+    console.log('\n🔄 测试2: 策略重启后恢复状态');
+    const statePath = path.join(tempDir, 'strategy');
+    const config = createConfig(statePath);
+
+    const first = await createStrategy(config);
+    check('首次启动没有可恢复的状态', await first.initialize() === true && first.stateStore.getStatus().restoredAt === null);
+
+    // 账户价值从峰值回撤，随后一笔买单成交
+    first.riskManager.updateAccountValue(1000);
+    first.riskManager.updateAccountValue(950);
+    first.currentMarketData = { midPrice: 30000, bestBid: 29999.5, bestAsk: 30000.5, timestamp: first.clock.now() };
+    first.orderManager.lastOrderPrices = { bid: 29990, ask: 30010, timestamp: first.clock.now() };
+    const buy = first.exchangeManager.matchingEngine.createOrder({ side: 'buy', amount: 0.001, price: 29990, clientOrderId: 'b1' });
+    first.orderManager.trackCreatedOrder(buy);
+    first.exchangeManager.applyTrade({ timestamp: first.clock.now(), price: 29980, amount: 1, side: 'sell' });
+
+    const saved = first.riskManager.exportState();
+    check('成交后立即写入预写日志', first.stateStore.readJournal().some(entry => entry.reason === 'orderFilled'));
+    check('成交更新了已实现盈亏', saved.realizedPnL !== 0 && saved.dailyPnL === saved.realizedPnL, JSON.stringify(saved));
+
+    // 不调用stop，模拟进程崩溃后重启
+    const second = await createStrategy(createConfig(statePath));
+    await second.initialize();
+    const riskState = second.riskManager.riskState;
+    check('恢复历史最高账户价值', riskState.maxAccountValue === 1000 && riskState.isInitialized === true);
+    check('恢复已实现盈亏和日盈亏', riskState.realizedPnL === saved.realizedPnL && riskState.dailyPnL === saved.dailyPnL);
+    check('恢复订单历史和上次报价价格', second.orderManager.orderHistory.length === first.orderManager.orderHistory.length &&
+        second.orderManager.lastOrderPrices.bid === 29990 && second.orderManager.orderHistory.every(order => order.info === undefined),
+        `${second.orderManager.orderHistory.length}/${first.orderManager.orderHistory.length} ${JSON.stringify(second.orderManager.lastOrderPrices)}`);
+
+    check('恢复持仓账本', second.positionLedger.fillCount === 1 &&
+        second.positionLedger.position === first.positionLedger.position && second.positionLedger.orderFills.get(buy.id).final === true);
+
+    second.riskManager.updateAccountValue(950);
+    check('重启后回撤仍按重启前的峰值计算', Math.abs(second.riskManager.calculateDrawdown() - 5) < 1e-9,
+        `回撤: ${second.riskManager.calculateDrawdown()}`);
+
+    second.stateStore.start();
+    second.stateStore.stop();
+    const snapshot = JSON.parse(fs.readFileSync(second.stateStore.snapshotPath, 'utf8'));
+    check('停止时保存最终快照', snapshot.reason === 'stopped' && snapshot.state.risk.maxAccountValue === 1000);
+
+    // 停机跨日后重启，日盈亏重置但峰值保留
+    snapshot.state.risk.lastResetTime = second.clock.now() - 2 * 24 * 60 * 60 * 1000;
+    fs.writeFileSync(second.stateStore.snapshotPath, JSON.stringify(snapshot));
+    const third = await createStrategy(createConfig(statePath));
+    await third.initialize();
+    check('停机跨日后日盈亏重置、峰值保留', third.riskManager.riskState.dailyPnL === 0 &&
+        third.riskManager.riskState.maxAccountValue === 1000 && third.riskManager.history.dailyPnL.length === 1);
+
+    const disabled = await createStrategy(createConfig(statePath, { stateStore: { enabled: false } }));
+    await disabled.initialize();
+    check('未启用时不恢复状态', disabled.riskManager.riskState.maxAccountValue === 0);
+}
+
+async function main() {
+    console.log('🧪 开始状态持久化测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-test-'));
+
+    try {
+        testJournalAndSnapshot(tempDir);
+        await testStrategyRestart(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,165 @@
+const StrategyConfig = require('../config/strategy');
+const { TradingIntensityIndicator, IndicatorsManager } = require('../core/indicators');
+const AvellanedaCalculator = require('../core/calculator');
+const AvellanedaStrategy = require('../core/strategy');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 交易强度指标测试脚本
+ * 按已知的 λ(δ) = α·e^(−κδ) 生成合成成交，验证拟合出的α、κ，以及成交从交易所事件到计算器的传递
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function createConfig() {
+    return new StrategyConfig({
+        tradingMode: 'paper',
+        logLevel: 'error',
+        logFile: 'logs/intensity-test.log',
+        tradingIntensityBufferSize: 100,
+        tradingIntensityBucketCount: 20
+    });
+}
+
+/**
+ * 生成合成成交（固定随机种子）
+ * 成交距离服从速率为κ的指数分布，每个周期固定成交笔数，单笔数量为1，
+ * 则距离不小于δ的成交量每秒为 tradesPerTick·e^(−κδ)，即 α = tradesPerTick（周期为1秒）
+ */
+function feedSyntheticTrades(indicator, { kappa, tradesPerTick, ticks, midPrice = 30000, startTime = 1700000000000 }) {
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return (seed + 1) / 2147483649;
+    };
+
+    indicator.calculate(midPrice, startTime);
+    for (let tick = 1; tick <= ticks; tick++) {
+        const timestamp = startTime + tick * 1000;
+        for (let i = 0; i < tradesPerTick; i++) {
+            const distance = -Math.log(random()) / kappa;
+            const side = random() > 0.5 ? 1 : -1;
+            indicator.addTrade({ price: midPrice + side * distance, amount: 1, timestamp: timestamp - 500 });
+        }
+        indicator.calculate(midPrice, timestamp);
+    }
+}
+
+function testEstimation(config) {
+    console.log('\n📐 测试1: 指数到达强度拟合');
+    const indicator = new TradingIntensityIndicator(100, 20, config);
+    feedSyntheticTrades(indicator, { kappa: 0.5, tradesPerTick: 20, ticks: 120 });
+
+    const { alpha, kappa } = indicator.getValue();
+    check('缓冲区按周期数截断', indicator.sampleBuffer.length === 100 && indicator.isSamplingBufferFull);
+    check('κ接近真实值0.5', Math.abs(kappa - 0.5) / 0.5 < 0.2, `κ=${kappa}`);
+    check('α接近真实值20', Math.abs(alpha - 20) / 20 < 0.3, `α=${alpha}`);
+
+    const steep = new TradingIntensityIndicator(100, 20, config);
+    feedSyntheticTrades(steep, { kappa: 2, tradesPerTick: 20, ticks: 100 });
+    check('成交集中在中间价附近时κ更大', steep.getValue().kappa > kappa * 2, `κ=${steep.getValue().kappa}`);
+}
+
+function testInvalidFit(config) {
+    console.log('\n🧯 测试2: 样本不足和无效拟合');
+    const indicator = new TradingIntensityIndicator(10, 20, config);
+
+    // 第一个周期没有参考中间价，之前的成交被丢弃
+    indicator.addTrade({ price: 30010, amount: 1, timestamp: 1000 });
+    indicator.calculate(30000, 1000);
+    check('首个周期不产生样本', indicator.sampleBuffer.length === 0 && indicator.pendingTrades.length === 0);
+
+    indicator.calculate(30000, 2000);
+    check('没有成交时不产生估计', indicator.getValue().kappa === 0 && indicator.getValue().alpha === 0);
+
+    feedSyntheticTrades(indicator, { kappa: 1, tradesPerTick: 20, ticks: 10, startTime: 3000 });
+    const before = indicator.getValue();
+    check('有效拟合得到正的κ', before.kappa > 0, `κ=${before.kappa}`);
+
+    // 所有成交距离相同，各档成交量相同，斜率为零
+    indicator.reset();
+    indicator.calculate(30000, 0);
+    for (let tick = 1; tick <= 5; tick++) {
+        indicator.addTrade({ price: 30005, amount: 1, timestamp: tick * 1000 });
+        indicator.calculate(30000, tick * 1000);
+    }
+    check('κ非正的拟合结果被丢弃', indicator.getValue().kappa === 0);
+    check('无效数据被忽略', (() => {
+        indicator.addTrade({ price: 0, amount: 1 });
+        indicator.addTrade({ price: 30000, amount: -1 });
+        return indicator.pendingTrades.length === 0;
+    })());
+}
+
+function testManagerAndCalculator(config) {
+    console.log('\n🧮 测试3: 指标管理器和最优价差');
+    const indicators = new IndicatorsManager(config);
+    feedSyntheticTrades({
+        addTrade: trade => indicators.updateTrade(trade),
+        calculate: (midPrice, timestamp) => indicators.updateTradingIntensity(midPrice, timestamp)
+    }, { kappa: 0.5, tradesPerTick: 20, ticks: 100 });
+
+    const values = indicators.getCurrentValues();
+    check('getCurrentValues返回α和κ', values.alpha > 0 && values.kappa > 0 && 'volatility' in values);
+    const status = indicators.getStatus().tradingIntensity;
+    check('状态包含拟合参数和样本数', status.kappa === values.kappa && status.tradeCount === 2000, JSON.stringify(status));
+
+    const calculator = new AvellanedaCalculator(config);
+    const midPrice = 30000;
+    const pricing = calculator.pricingModel.calculate({ midPrice, volatility: 0.01, kappa: values.kappa });
+    const gamma = calculator.pricingModel.gamma;
+    const expected = (2 / gamma) * Math.log(1 + gamma / (values.kappa * midPrice));
+    check('流动性项使用拟合的κ', Math.abs(pricing.liquidityTerm - expected) < 1e-12, `流动性项=${pricing.liquidityTerm}`);
+    // κ未估计时定价模型结果无效，策略核心暂停报价
+    check('κ未估计时定价模型结果无效', calculator.pricingModel.calculate({ midPrice, volatility: 0.01, kappa: 0 }).valid === false);
+}
+
+async function testTradeEventFlow(config) {
+    console.log('\n🔗 测试4: 公开成交事件传递');
+    const clock = new SimulatedClock(1700000000000);
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+    strategy.eventHandler.setupEventListeners();
+
+    exchangeManager.applyTrade({ type: 'trade', timestamp: clock.now(), price: 30001, amount: 0.5, side: 'buy' });
+    const indicator = strategy.indicators.tradingIntensityIndicator;
+    check('回测交易所推送tradeUpdate', indicator.pendingTrades.length === 1 && indicator.pendingTrades[0].price === 30001);
+
+    strategy.eventHandler.removeEventListeners();
+    check('停止后移除成交监听', exchangeManager.listenerCount('tradeUpdate') === 0);
+}
+
+async function main() {
+    console.log('🧪 开始交易强度指标测试');
+    console.log('='.repeat(60));
+
+    try {
+        const config = createConfig();
+        testEstimation(config);
+        testInvalidFit(config);
+        testManagerAndCalculator(config);
+        await testTradeEventFlow(config);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../config/strategy');
+const AvellanedaStrategy = require('../core/strategy');
+const AvellanedaCalculator = require('../core/calculator');
+const ExchangeManager = require('../core/exchange');
+const BacktestEngine = require('../core/backtest/backtest-engine');
+const BacktestExchangeManager = require('../core/backtest/backtest-exchange');
+const { SimulatedClock } = require('../utils/clock');
+
+/**
+ * 交易成本测试脚本
+ * 验证费率加载（交易所市场信息、账户费率和配置覆盖）、报价按挂单费率外推，以及手续费对价差的侵蚀统计
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`   ✅ ${name}`);
+    } else {
+        failed++;
+        console.log(`   ❌ ${name} ${detail}`);
+    }
+}
+
+function near(a, b, tolerance = 1e-9) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'backtest',
+        logLevel: 'error',
+        logFile: 'logs/transaction-costs-test.log',
+        ...overrides
+    });
+}
+
+async function createExchange(config) {
+    const exchangeManager = new BacktestExchangeManager(config, new SimulatedClock(Date.UTC(2025, 0, 1)));
+    await exchangeManager.initialize();
+    return exchangeManager;
+}
+
+async function testFeeSchedule() {
+    console.log('\n💸 测试1: 费率来源');
+    const config = createConfig({ backtest: { makerFee: 0.0008, takerFee: 0.001 } });
+    const exchangeManager = await createExchange(config);
+    check('回测市场信息包含撮合引擎费率', exchangeManager.getMarketInfo().fees.maker === 0.0008 && exchangeManager.getMarketInfo().fees.taker === 0.001);
+
+    const calculator = new AvellanedaCalculator(config, exchangeManager);
+    const schedule = calculator.getFeeSchedule();
+    check('未配置覆盖时使用交易所费率', schedule.maker === 0.0008 && schedule.taker === 0.001 && schedule.source === 'exchange');
+
+    const vipConfig = createConfig({ transactionCosts: { makerFee: 0.0002 } });
+    const vip = new AvellanedaCalculator(vipConfig, await createExchange(vipConfig)).getFeeSchedule();
+    check('配置覆盖优先（VIP等级费率），未覆盖的一侧仍用交易所费率', vip.maker === 0.0002 && vip.taker === 0.001 && vip.source === 'config',
+        JSON.stringify(vip));
+
+    const none = new AvellanedaCalculator(config).getFeeSchedule();
+    check('没有交易所时费率为0', none.maker === 0 && none.taker === 0 && none.source === 'none');
+
+    let error = null;
+    try {
+        createConfig({ transactionCosts: { makerFee: 0.5 } });
+    } catch (e) {
+        error = e;
+    }
+    check('费率超出范围时配置验证失败', error && error.message.includes('TRANSACTION_COSTS.makerFee'));
+}
+
+async function testLoadMarketInfo() {
+    console.log('\n🏢 测试2: 交易所费率加载');
+    const market = {
+        symbol: 'BTC/USDT', base: 'BTC', quote: 'USDT', active: true,
+        precision: { price: 0.01, amount: 0.0001 }, limits: {}, maker: 0.001, taker: 0.001
+    };
+    const createManager = (exchange) => {
+        const manager = new ExchangeManager(createConfig({ tradingMode: 'paper' }));
+        manager.logger = { info() {}, debug() {}, warn() {}, error() {} };
+        manager.exchange = exchange;
+        return manager;
+    };
+
+    const publicOnly = createManager({ has: { fetchTradingFee: true }, apiKey: undefined, market: () => market });
+    await publicOnly.loadMarketInfo();
+    check('没有API密钥时使用市场默认费率', publicOnly.getMarketInfo().fees.maker === 0.001 && publicOnly.getMarketInfo().fees.taker === 0.001);
+
+    const vip = createManager({
+        has: { fetchTradingFee: true },
+        apiKey: 'key',
+        market: () => market,
+        fetchTradingFee: async () => ({ symbol: 'BTC/USDT', maker: 0.0002, taker: 0.0006 })
+    });
+    await vip.loadMarketInfo();
+    check('有API密钥时使用账户实际费率', vip.getMarketInfo().fees.maker === 0.0002 && vip.getMarketInfo().fees.taker === 0.0006);
+
+    const failing = createManager({
+        has: { fetchTradingFee: true },
+        apiKey: 'key',
+        market: () => market,
+        fetchTradingFee: async () => { throw new Error('permission denied'); }
+    });
+    await failing.loadMarketInfo();
+    check('获取账户费率失败时保留市场默认费率', failing.getMarketInfo().fees.maker === 0.001);
+}
+
+async function testQuoting() {
+    console.log('\n🎯 测试3: 报价按挂单费率外推');
+    const disabledConfig = createConfig();
+    const enabledConfig = createConfig({ transactionCosts: { enabled: true, makerFee: 0.001 } });
+    const disabled = new AvellanedaCalculator(disabledConfig, await createExchange(disabledConfig));
+    const enabled = new AvellanedaCalculator(enabledConfig, await createExchange(enabledConfig));
+
+    const unchanged = disabled.applyTransactionCosts(29990, 30010);
+    check('未启用时报价不变', unchanged.bid === 29990 && unchanged.ask === 30010 && unchanged.enabled === false);
+
+    const adjusted = enabled.applyTransactionCosts(29990, 30010);
+    check('买价乘以(1−挂单费率)、卖价乘以(1+挂单费率)', near(adjusted.bid, 29990 * 0.999) && near(adjusted.ask, 30010 * 1.001) &&
+        near(adjusted.bidAdjustment, 29.99) && near(adjusted.askAdjustment, 30.01), JSON.stringify(adjusted));
+
+    const drag = enabled.getFeeDrag(30000, 29990, 30010);
+    check('手续费侵蚀：往返成本超过报价价差时扣费后价差为负', near(drag.roundTripCost, 0.002) && near(drag.quotedSpread, 20 / 30000) && drag.netSpread < 0);
+}
+
+async function testStrategyCore() {
+    console.log('\n🧠 测试4: 策略报价和状态');
+    const config = createConfig({ transactionCosts: { enabled: true, makerFee: 0.0005 } });
+    const clock = new SimulatedClock(Date.UTC(2025, 0, 1));
+    const exchangeManager = new BacktestExchangeManager(config, clock);
+    await exchangeManager.initialize();
+    const strategy = new AvellanedaStrategy(config, { exchangeManager, clock });
+    strategy.currentMarketData = { midPrice: 30000, bestBid: 29999.5, bestAsk: 30000.5, timestamp: clock.now() };
+    Object.assign(strategy.strategyState, {
+        volatility: 0.0005,
+        kappa: 1,
+        currentInventory: 0.01,
+        targetInventory: 0.01,
+        totalInventoryValue: 600
+    });
+
+    const prices = strategy.strategyCore.calculateOptimalPrices();
+    const { pricing } = prices;
+    check('策略报价在定价模型价格外按挂单费率外推', prices.bid <= pricing.bid * (1 - 0.0005) + 1e-9 && prices.ask >= pricing.ask * (1 + 0.0005) - 1e-9,
+        `${pricing.bid}/${pricing.ask} -> ${prices.bid}/${prices.ask}`);
+
+    strategy.strategyCore.updateStrategyState(prices);
+    const costs = strategy.strategyState.transactionCosts;
+    check('策略状态记录外推金额', costs.enabled === true && near(costs.bidAdjustment, pricing.bid * 0.0005) && costs.feeSource === 'config');
+}
+
+/**
+ * 生成合成市场数据（固定随机种子）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    let seed = 53;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+async function testBacktest(tempDir) {
+    console.log('\n🚀 测试5: 回测中的交易成本');
+    const dataPath = path.join(tempDir, 'data.jsonl');
+    const events = generateMarketData(Date.UTC(2025, 0, 1), 4500, 200);
+    fs.writeFileSync(dataPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+
+    const results = {};
+    for (const enabled of [false, true]) {
+        const config = createConfig({
+            transactionCosts: { enabled },
+            backtest: {
+                initialBase: 0.01,
+                initialQuote: 300,
+                makerFee: 0.001,
+                takerFee: 0.001,
+                latency: 50,
+                queuePositionModel: 'conservative',
+                equitySampleInterval: 10000
+            }
+        });
+        const engine = new BacktestEngine(config, { dataPath, quiet: true });
+        const summary = (await engine.run()).getSummary();
+        results[enabled ? 'enabled' : 'disabled'] = { summary, strategy: engine.strategy };
+    }
+
+    const { disabled, enabled } = results;
+    const spreadOf = strategy => strategy.strategyState.optimalAsk - strategy.strategyState.optimalBid;
+    check('启用后报价价差至少覆盖往返手续费', spreadOf(enabled.strategy) / enabled.summary.endMidPrice >= 0.002,
+        `价差: ${spreadOf(enabled.strategy)}`);
+    check('启用后成交次数不多于未启用', enabled.summary.fills <= disabled.summary.fills,
+        `启用: ${enabled.summary.fills}, 未启用: ${disabled.summary.fills}`);
+    const feeDrag = enabled.strategy.calculator.getFeeDrag(enabled.summary.endMidPrice, enabled.strategy.strategyState.optimalBid, enabled.strategy.strategyState.optimalAsk);
+    check('启用后扣费后价差为正', feeDrag.netSpread > 0 && feeDrag.makerFee === 0.001 && feeDrag.feeSource === 'exchange', JSON.stringify(feeDrag));
+}
+
+async function main() {
+    console.log('🧪 开始交易成本测试');
+    console.log('='.repeat(60));
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-costs-test-'));
+
+    try {
+        await testFeeSchedule();
+        await testLoadMarketInfo();
+        await testQuoting();
+        await testStrategyCore();
+        await testBacktest(tempDir);
+    } catch (error) {
+        failed++;
+        console.error('❌ 测试过程中发生错误:', error.stack);
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`测试结果: ${passed} 通过, ${failed} 失败`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
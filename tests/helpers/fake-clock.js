@@ -0,0 +1,56 @@
+const { SimulatedClock } = require('../../utils/clock');
+
+/**
+ * 测试用假时钟
+ * 在模拟时钟的基础上，推进时间时每触发一批定时器就让出一次事件循环，
+ * 使定时器回调中的异步流程（await模拟交易所、clock.sleep）在下一个定时器之前执行完
+ */
+class FakeClock extends SimulatedClock {
+    constructor(startTime = Date.UTC(2025, 0, 1)) {
+        super(startTime);
+    }
+
+    /**
+     * 执行完当前所有待处理的Promise回调
+     */
+    async flush() {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    /**
+     * 推进指定时长，按时间顺序触发其间到期的定时器（包括回调中新建的定时器）
+     * @param {number} ms - 毫秒
+     */
+    async tick(ms) {
+        const target = this.currentTime + ms;
+        await this.flush();
+        while (this.timers.length > 0 && this.timers[0].time <= target) {
+            this.advanceTo(this.timers[0].time);
+            await this.flush();
+        }
+        this.advanceTo(target);
+        await this.flush();
+    }
+
+    /**
+     * 推进时间直到Promise完成（用于等待内部有sleep或模拟延迟的调用）
+     * @param {Promise} promise - 等待的Promise
+     * @param {number} step - 每次推进的毫秒数
+     * @param {number} maxTime - 最多推进的毫秒数，超过时抛出错误
+     */
+    async run(promise, step = 100, maxTime = 600000) {
+        let done = false;
+        promise.then(() => { done = true; }, () => { done = true; });
+        const deadline = this.currentTime + maxTime;
+        await this.flush();
+        while (!done) {
+            if (this.currentTime >= deadline) {
+                throw new Error(`Promise not settled within ${maxTime}ms of simulated time`);
+            }
+            await this.tick(step);
+        }
+        return promise;
+    }
+}
+
+module.exports = FakeClock;
@@ -0,0 +1,415 @@
+const ccxt = require('ccxt');
+const { SystemClock } = require('../../utils/clock');
+
+/**
+ * 可编程的模拟ccxt交易所
+ * 实现ExchangeManager用到的ccxt接口（行情、余额、下单、撤单、订单查询、账户成交），
+ * 测试可以设置订单簿/价格/余额、拒绝订单、手动成交、为接口设置延迟和注入错误。
+ * 所有调用记录在calls中，时间和延迟都使用注入的时钟
+ */
+class FakeCcxtExchange {
+    /**
+     * @param {Object} options - 可选参数
+     * @param {Object} options.clock - 时钟（默认使用系统时钟）
+     * @param {string} options.symbol - 交易对
+     * @param {Object} options.balances - 初始余额 {币种: 数量}
+     * @param {Object} options.has - 覆盖支持的接口
+     * @param {Object} options.market - 覆盖市场信息
+     * @param {Object} options.exchangeOptions - ExchangeManager传入的ccxt构造参数
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || new SystemClock();
+        this.id = 'fake';
+        this.symbol = options.symbol || 'BTC/USDT';
+        const [base, quote] = this.symbol.split('/');
+        this.base = base;
+        this.quote = quote;
+
+        const exchangeOptions = options.exchangeOptions || {};
+        this.apiKey = exchangeOptions.apiKey;
+        this.options = exchangeOptions.options || {};
+        this.timeout = 10000;
+
+        this.has = {
+            fetchMyTrades: true,
+            fetchOrderByClientId: true,
+            fetchTradingFee: false,
+            ...options.has
+        };
+
+        this.markets = {
+            [this.symbol]: {
+                symbol: this.symbol,
+                base,
+                quote,
+                active: true,
+                precision: { price: 2, amount: 0.0001 },
+                limits: { amount: { min: 0.0001 } },
+                maker: 0.001,
+                taker: 0.001,
+                ...options.market
+            }
+        };
+
+        const balances = { [base]: 1, [quote]: 30000, ...options.balances };
+        this.balances = {};
+        for (const [currency, total] of Object.entries(balances)) {
+            this.balances[currency] = { free: total, used: 0, total };
+        }
+
+        this.orderBook = { bids: [[29990, 5]], asks: [[30010, 5]] };
+        this.ticker = { last: 30000, bid: 29990, ask: 30010 };
+
+        this.orders = new Map();
+        this.myTrades = [];
+        this.calls = [];
+        this.failures = new Map(); // 接口 -> [{error, times}]
+        this.latencies = {}; // 接口 -> 毫秒
+        this.orderRejection = null;
+        this.nextOrderId = 1;
+        this.nextTradeId = 1;
+        this.closed = false;
+    }
+
+    // ==================== 测试控制 ====================
+
+    /**
+     * 设置订单簿，同时按最优价更新价格
+     * @param {Array} bids - [[价格, 数量], ...]
+     * @param {Array} asks - [[价格, 数量], ...]
+     */
+    setOrderBook(bids, asks) {
+        this.orderBook = { bids, asks };
+        const bid = bids.length > 0 ? bids[0][0] : undefined;
+        const ask = asks.length > 0 ? asks[0][0] : undefined;
+        this.ticker = { ...this.ticker, bid, ask, last: bid && ask ? (bid + ask) / 2 : this.ticker.last };
+    }
+
+    setTicker(ticker) {
+        this.ticker = { ...this.ticker, ...ticker };
+    }
+
+    /**
+     * 设置币种余额（可用余额为总额减去挂单冻结）
+     */
+    setBalance(currency, total) {
+        const used = this.balances[currency] ? this.balances[currency].used : 0;
+        this.balances[currency] = { free: total - used, used, total };
+    }
+
+    /**
+     * 接下来的times次调用抛出错误
+     * @param {string} method - 接口名（如fetchOrderBook、createLimitOrder）
+     * @param {Error|string} error - 错误，字符串时创建ccxt.NetworkError
+     * @param {number} times - 次数
+     */
+    failNext(method, error = 'Injected network error', times = 1) {
+        const queue = this.failures.get(method) || [];
+        queue.push({ error: typeof error === 'string' ? new ccxt.NetworkError(error) : error, times });
+        this.failures.set(method, queue);
+    }
+
+    /**
+     * 设置接口延迟（在注入的时钟上等待）
+     */
+    setLatency(method, ms) {
+        this.latencies[method] = ms;
+    }
+
+    /**
+     * 按条件拒绝下单，predicate返回true时抛出错误；传入null取消
+     * @param {Function|null} predicate - (请求) => boolean，请求为{side, type, amount, price, params}
+     * @param {Error} error - 拒绝时的错误（默认ccxt.InvalidOrder）
+     */
+    rejectOrders(predicate, error = new ccxt.InvalidOrder('Order rejected by fake exchange')) {
+        this.orderRejection = predicate ? { predicate, error } : null;
+    }
+
+    /**
+     * 成交挂单
+     * @param {string} id - 订单ID
+     * @param {number} amount - 成交数量（默认全部剩余数量）
+     * @param {number} price - 成交价（默认订单价格）
+     * @param {string} takerOrMaker - maker或taker
+     * @returns {Object} 成交记录
+     */
+    fillOrder(id, amount = null, price = null, takerOrMaker = 'maker') {
+        const order = this.orders.get(id);
+        if (!order || order.status !== 'open') {
+            throw new Error(`Order ${id} is not open`);
+        }
+        const fillAmount = Math.min(amount === null ? order.remaining : amount, order.remaining);
+        const fillPrice = price === null ? order.price : price;
+        const market = this.markets[this.symbol];
+        const cost = fillAmount * fillPrice;
+        const feeCost = cost * (takerOrMaker === 'maker' ? market.maker : market.taker);
+
+        const baseBalance = this.balances[this.base];
+        const quoteBalance = this.balances[this.quote];
+        if (order.side === 'buy') {
+            // 买单冻结按挂单价计算，按成交价扣款后退回差额
+            const locked = fillAmount * order.price;
+            quoteBalance.used -= locked;
+            quoteBalance.free += locked - cost - feeCost;
+            quoteBalance.total -= cost + feeCost;
+            baseBalance.free += fillAmount;
+            baseBalance.total += fillAmount;
+        } else {
+            baseBalance.used -= fillAmount;
+            baseBalance.total -= fillAmount;
+            quoteBalance.free += cost - feeCost;
+            quoteBalance.total += cost - feeCost;
+        }
+
+        order.cost += cost;
+        order.filled += fillAmount;
+        order.remaining = Math.max(0, order.amount - order.filled);
+        order.average = order.cost / order.filled;
+        order.fee = { cost: (order.fee ? order.fee.cost : 0) + feeCost, currency: this.quote };
+        order.lastTradeTimestamp = this.clock.now();
+        if (order.remaining <= 1e-12) {
+            order.remaining = 0;
+            order.status = 'closed';
+        }
+
+        const trade = {
+            id: `T${this.nextTradeId++}`,
+            order: order.id,
+            clientOrderId: order.clientOrderId,
+            timestamp: this.clock.now(),
+            datetime: new Date(this.clock.now()).toISOString(),
+            symbol: this.symbol,
+            side: order.side,
+            type: order.type,
+            takerOrMaker,
+            price: fillPrice,
+            amount: fillAmount,
+            cost,
+            fee: { cost: feeCost, currency: this.quote }
+        };
+        this.myTrades.push(trade);
+        return trade;
+    }
+
+    /**
+     * 当前挂单（订单对象副本）
+     */
+    getOpenOrders() {
+        return Array.from(this.orders.values()).filter(order => order.status === 'open').map(order => ({ ...order }));
+    }
+
+    /**
+     * 指定接口的调用记录
+     */
+    getCalls(method) {
+        return this.calls.filter(call => call.method === method);
+    }
+
+    // ==================== ccxt接口 ====================
+
+    async loadMarkets() {
+        return this.call('loadMarkets', [], () => this.markets);
+    }
+
+    market(symbol) {
+        return this.markets[symbol];
+    }
+
+    async fetchBalance() {
+        return this.call('fetchBalance', [], () => {
+            const result = {};
+            for (const [currency, balance] of Object.entries(this.balances)) {
+                result[currency] = { ...balance };
+            }
+            return result;
+        });
+    }
+
+    async fetchOrderBook(symbol) {
+        return this.call('fetchOrderBook', [symbol], () => ({
+            symbol,
+            bids: this.orderBook.bids.map(level => [...level]),
+            asks: this.orderBook.asks.map(level => [...level]),
+            timestamp: this.clock.now(),
+            datetime: new Date(this.clock.now()).toISOString()
+        }));
+    }
+
+    async fetchTicker(symbol) {
+        return this.call('fetchTicker', [symbol], () => ({
+            symbol,
+            ...this.ticker,
+            timestamp: this.clock.now(),
+            datetime: new Date(this.clock.now()).toISOString()
+        }));
+    }
+
+    async fetchTrades(symbol, since) {
+        return this.call('fetchTrades', [symbol, since], () => []);
+    }
+
+    async fetchMyTrades(symbol, since) {
+        return this.call('fetchMyTrades', [symbol, since], () =>
+            this.myTrades.filter(trade => trade.symbol === symbol && (since === undefined || trade.timestamp >= since)).map(trade => ({ ...trade })));
+    }
+
+    async fetchTradingFee(symbol) {
+        return this.call('fetchTradingFee', [symbol], () => {
+            const market = this.markets[symbol];
+            return { symbol, maker: market.maker, taker: market.taker };
+        });
+    }
+
+    async createLimitOrder(symbol, side, amount, price, params = {}) {
+        return this.call('createLimitOrder', [symbol, side, amount, price, params], () =>
+            this.createOrder({ symbol, side, type: 'limit', amount, price, params }));
+    }
+
+    async createMarketOrder(symbol, side, amount, params = {}) {
+        return this.call('createMarketOrder', [symbol, side, amount, params], () =>
+            this.createOrder({ symbol, side, type: 'market', amount, price: undefined, params }));
+    }
+
+    async cancelOrder(id, symbol) {
+        return this.call('cancelOrder', [id, symbol], () => {
+            const order = this.orders.get(id);
+            if (!order || order.status !== 'open') {
+                throw new ccxt.OrderNotFound(`Order ${id} not found or not open`);
+            }
+            this.cancel(order);
+            return { ...order };
+        });
+    }
+
+    async fetchOrder(id, symbol) {
+        return this.call('fetchOrder', [id, symbol], () => {
+            const order = this.orders.get(id);
+            if (!order) {
+                throw new ccxt.OrderNotFound(`Order ${id} not found`);
+            }
+            return { ...order };
+        });
+    }
+
+    async fetchOrderByClientId(clientOrderId, symbol) {
+        return this.call('fetchOrderByClientId', [clientOrderId, symbol], () => {
+            const order = Array.from(this.orders.values()).find(item => item.clientOrderId === clientOrderId);
+            if (!order) {
+                throw new ccxt.OrderNotFound(`Order with clientOrderId ${clientOrderId} not found`);
+            }
+            return { ...order };
+        });
+    }
+
+    async fetchOpenOrders(symbol) {
+        return this.call('fetchOpenOrders', [symbol], () =>
+            this.getOpenOrders().filter(order => !symbol || order.symbol === symbol));
+    }
+
+    async close() {
+        this.closed = true;
+    }
+
+    // ==================== 内部实现 ====================
+
+    /**
+     * 记录调用，按设置等待延迟后执行，注入的错误在延迟之后抛出
+     */
+    async call(method, args, handler) {
+        this.calls.push({ method, args, timestamp: this.clock.now() });
+        const latency = this.latencies[method] || 0;
+        if (latency > 0) {
+            await this.clock.sleep(latency);
+        }
+        const queue = this.failures.get(method);
+        if (queue && queue.length > 0) {
+            const failure = queue[0];
+            failure.times--;
+            if (failure.times <= 0) {
+                queue.shift();
+            }
+            throw failure.error;
+        }
+        return handler();
+    }
+
+    /**
+     * 下单：检查拒绝条件和可用余额，市价单和穿价的限价单按对手最优价立即成交，
+     * IOC单未成交部分立即撤销
+     */
+    createOrder({ symbol, side, type, amount, price, params }) {
+        if (this.orderRejection && this.orderRejection.predicate({ side, type, amount, price, params })) {
+            throw this.orderRejection.error;
+        }
+        if (!(amount > 0)) {
+            throw new ccxt.InvalidOrder(`Invalid order amount: ${amount}`);
+        }
+
+        const bestBid = this.orderBook.bids.length > 0 ? this.orderBook.bids[0][0] : null;
+        const bestAsk = this.orderBook.asks.length > 0 ? this.orderBook.asks[0][0] : null;
+        const takerPrice = side === 'buy' ? bestAsk : bestBid;
+        const lockPrice = type === 'market' ? takerPrice : price;
+        if (lockPrice === null || !(lockPrice > 0)) {
+            throw new ccxt.InvalidOrder('No price available for order');
+        }
+
+        // 冻结余额：买单冻结计价货币，卖单冻结基础货币
+        const currency = side === 'buy' ? this.quote : this.base;
+        const required = side === 'buy' ? amount * lockPrice : amount;
+        const balance = this.balances[currency] || { free: 0, used: 0, total: 0 };
+        if (balance.free + 1e-9 < required) {
+            throw new ccxt.InsufficientFunds(`Insufficient ${currency}: required ${required}, available ${balance.free}`);
+        }
+        balance.free -= required;
+        balance.used += required;
+        this.balances[currency] = balance;
+
+        const now = this.clock.now();
+        const order = {
+            id: String(this.nextOrderId++),
+            clientOrderId: params.clientOrderId,
+            timestamp: now,
+            datetime: new Date(now).toISOString(),
+            lastTradeTimestamp: undefined,
+            symbol,
+            type,
+            timeInForce: type === 'market' ? 'IOC' : (params.timeInForce || 'GTC'),
+            side,
+            price: lockPrice,
+            amount,
+            filled: 0,
+            remaining: amount,
+            cost: 0,
+            average: undefined,
+            status: 'open',
+            fee: undefined
+        };
+        this.orders.set(order.id, order);
+
+        const crosses = takerPrice !== null && (side === 'buy' ? lockPrice >= takerPrice : lockPrice <= takerPrice);
+        if (crosses) {
+            this.fillOrder(order.id, amount, takerPrice, 'taker');
+        }
+        if (order.status === 'open' && order.timeInForce === 'IOC') {
+            this.cancel(order);
+        }
+        return { ...order };
+    }
+
+    /**
+     * 撤单并释放冻结余额
+     */
+    cancel(order) {
+        if (order.side === 'buy') {
+            const released = order.remaining * order.price;
+            this.balances[this.quote].used -= released;
+            this.balances[this.quote].free += released;
+        } else {
+            this.balances[this.base].used -= order.remaining;
+            this.balances[this.base].free += order.remaining;
+        }
+        order.status = 'canceled';
+    }
+}
+
+module.exports = FakeCcxtExchange;
@@ -0,0 +1,90 @@
+const { mock } = require('node:test');
+const StrategyConfig = require('../../config/strategy');
+const ExchangeManager = require('../../core/exchange');
+const AvellanedaStrategy = require('../../core/strategy');
+const FakeClock = require('./fake-clock');
+const FakeCcxtExchange = require('./fake-exchange');
+
+/**
+ * 测试环境组装：实盘模式的ExchangeManager注入模拟ccxt交易所和假时钟，不访问网络
+ */
+
+/**
+ * 创建实盘模式的测试配置（使用假API密钥，不启用推送和状态持久化）
+ * @param {Object} overrides - 覆盖配置
+ */
+function createConfig(overrides = {}) {
+    return new StrategyConfig({
+        tradingMode: 'live',
+        logLevel: 'error',
+        logFile: 'logs/harness-test.log',
+        exchange: { name: 'bitget', apiKey: 'test-key', secret: 'test-secret', password: 'test-passphrase', sandbox: false },
+        streaming: { enabled: false },
+        stateStore: { enabled: false },
+        orderAmount: 0.001,
+        tradeUpdateInterval: 0,
+        ...overrides
+    });
+}
+
+/**
+ * 创建连接模拟交易所的ExchangeManager
+ * @param {Object} options - 可选参数
+ * @param {Object} options.config - 策略配置（默认createConfig()）
+ * @param {FakeClock} options.clock - 假时钟
+ * @param {Object} options.exchangeOptions - FakeCcxtExchange参数（余额、市场信息等）
+ * @param {Object} options.networkManager - 网络管理器（默认null，不检测网络）
+ * @returns {{config, clock, exchange, exchangeManager}} exchange为模拟交易所（重连时复用同一实例，保留订单和余额）
+ */
+function createExchangeHarness(options = {}) {
+    const config = options.config || createConfig();
+    const clock = options.clock || new FakeClock();
+    const exchange = new FakeCcxtExchange({ clock, symbol: config.get('symbol'), ...options.exchangeOptions });
+    const exchangeManager = new ExchangeManager(config, {
+        clock,
+        networkManager: options.networkManager || null,
+        // 重连时ExchangeManager会重新创建实例，返回同一个模拟交易所以保留订单和余额
+        exchangeFactory: (exchangeOptions) => {
+            exchange.apiKey = exchangeOptions.apiKey;
+            exchange.closed = false;
+            return exchange;
+        }
+    });
+    return { config, clock, exchange, exchangeManager };
+}
+
+/**
+ * 创建运行在模拟交易所和假时钟上的策略
+ * @param {Object} options - 同createExchangeHarness
+ * @returns {{config, clock, exchange, exchangeManager, strategy}}
+ */
+function createStrategyHarness(options = {}) {
+    const harness = createExchangeHarness(options);
+    const strategy = new AvellanedaStrategy(harness.config, {
+        exchangeManager: harness.exchangeManager,
+        clock: harness.clock
+    });
+    return { ...harness, strategy };
+}
+
+/**
+ * 屏蔽策略的控制台输出（Node 20的测试运行器在子进程输出大量非TAP内容时可能解析失败），
+ * 设置环境变量TEST_VERBOSE=1时保留输出便于调试
+ */
+function muteConsole() {
+    if (process.env.TEST_VERBOSE === '1') {
+        return;
+    }
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+}
+
+module.exports = {
+    createConfig,
+    createExchangeHarness,
+    createStrategyHarness,
+    muteConsole,
+    FakeClock,
+    FakeCcxtExchange
+};
@@ -0,0 +1,105 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+/**
+ * 按主程序的方式处理紧急停止：收到emergencyStop后以紧急停止的库存处理策略停止策略
+ */
+function handleEmergencyStop(strategy) {
+    const result = { events: [], stopping: null };
+    strategy.on('emergencyStop', (data) => {
+        result.events.push(data);
+        result.stopping = strategy.stop({ emergency: true, reason: 'EMERGENCY_STOP' });
+    });
+    return result;
+}
+
+describe('紧急停止', () => {
+    before(muteConsole);
+
+    it('定期风险检查发现回撤超限后紧急停止并撤销挂单', async () => {
+        const harness = createStrategyHarness({ config: createConfig({ riskCheckInterval: 5000, emergencyStopThreshold: 10, maxPositionValuePercent: 100 }) });
+        const { strategy, clock, exchange } = harness;
+        const emergency = handleEmergencyStop(strategy);
+        await clock.run(strategy.start());
+
+        Object.assign(strategy.strategyState, { optimalBid: 29900, optimalAsk: 30100, currentSpread: 200 });
+        await clock.run(strategy.orderManager.updateOrders());
+        assert.equal(exchange.getOpenOrders().length, 2);
+
+        strategy.riskManager.updateAccountValue(60000);
+        strategy.riskManager.updateAccountValue(52000);
+        // 风险检查从启动时开始每5秒执行一次，推进到下一次检查前1毫秒
+        const { startTime } = strategy.lifecycleManager;
+        const nextCheck = startTime + (Math.floor((clock.now() - startTime) / 5000) + 1) * 5000;
+        await clock.tick(nextCheck - clock.now() - 1);
+        assert.equal(emergency.events.length, 0);
+
+        await clock.tick(1);
+        assert.equal(emergency.events.length, 1);
+        assert.match(emergency.events[0].reason, /Emergency stop threshold exceeded/);
+        assert.equal(strategy.isRunning, false);
+
+        await clock.run(emergency.stopping);
+        assert.equal(strategy.lifecycleManager.isRunning, false);
+        assert.equal(exchange.getOpenOrders().length, 0);
+        assert.equal(strategy.riskManager.riskCheckTimer, null);
+        assert.equal(strategy.riskManager.riskState.isEmergencyStop, true);
+        await harness.exchangeManager.close();
+    });
+
+    it('紧急停止按emergencyPolicy主动调整库存', async () => {
+        const harness = createStrategyHarness({
+            config: createConfig({
+                riskCheckInterval: 5000,
+                emergencyStopThreshold: 10,
+                // 只验证紧急停止，不触发持仓超限减仓
+                maxPositionValuePercent: 100,
+                shutdown: { policy: 'none', emergencyPolicy: 'aggressive', maxSlippagePct: 0.5, maxAttempts: 2, repriceInterval: 1000 }
+            }),
+            // 2 BTC + 30000 USDT，中间价30000时目标库存1.5 BTC
+            exchangeOptions: { balances: { BTC: 2, USDT: 30000 } }
+        });
+        const { strategy, clock, exchange } = harness;
+        const emergency = handleEmergencyStop(strategy);
+        await clock.run(strategy.start());
+
+        strategy.riskManager.updateAccountValue(90000);
+        strategy.riskManager.updateAccountValue(75000);
+        await clock.tick(5000);
+        assert.equal(emergency.events.length, 1);
+        await clock.run(emergency.stopping);
+
+        const report = strategy.inventoryUnwinder.lastReport;
+        assert.ok(report);
+        assert.equal(report.policy, 'aggressive');
+        assert.equal(report.reason, 'EMERGENCY_STOP');
+        assert.equal(report.side, 'sell');
+        assert.ok(Math.abs(report.targetAmount - 0.5) < 1e-9);
+        assert.equal(report.completed, true);
+        assert.equal(report.averagePrice, 29990);
+
+        // 吃单以IOC提交，价格为滑点上限
+        const orderCalls = exchange.getCalls('createLimitOrder');
+        const unwindCall = orderCalls[orderCalls.length - 1];
+        assert.equal(unwindCall.args[4].timeInForce, 'IOC');
+        assert.equal(unwindCall.args[3], 29850);
+        const balance = await exchange.fetchBalance();
+        assert.ok(Math.abs(balance.BTC.total - 1.5) < 1e-9);
+        await harness.exchangeManager.close();
+    });
+
+    it('正常停止使用policy，不调整库存', async () => {
+        const harness = createStrategyHarness({
+            config: createConfig({ shutdown: { policy: 'none', emergencyPolicy: 'aggressive' } }),
+            exchangeOptions: { balances: { BTC: 2, USDT: 30000 } }
+        });
+        const { strategy, clock, exchange } = harness;
+        await clock.run(strategy.start());
+        await clock.run(strategy.stop());
+
+        assert.equal(strategy.inventoryUnwinder.lastReport, null);
+        assert.equal(exchange.getCalls('createLimitOrder').length, 0);
+        await harness.exchangeManager.close();
+    });
+});
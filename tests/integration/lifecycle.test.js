@@ -0,0 +1,105 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+/**
+ * 设置报价目标并下单（主循环需要公开成交拟合κ后才会报价，这里直接使用固定报价）
+ */
+async function placeQuotes(harness, bid = 29900, ask = 30100) {
+    const { strategy, clock } = harness;
+    Object.assign(strategy.strategyState, {
+        optimalBid: bid,
+        optimalAsk: ask,
+        currentSpread: ask - bid
+    });
+    await clock.run(strategy.orderManager.updateOrders());
+    return strategy.orderManager.getActiveOrders();
+}
+
+describe('策略生命周期', () => {
+    before(muteConsole);
+
+    it('启动后按间隔运行主循环和风险检查，停止后清除定时器', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange } = harness;
+
+        assert.equal(await clock.run(strategy.start()), true);
+        assert.equal(strategy.lifecycleManager.isRunning, true);
+        assert.equal(strategy.isRunning, true);
+        assert.equal(strategy.lifecycleManager.startTime, clock.now());
+        assert.ok(strategy.currentMarketData.midPrice > 0);
+        assert.ok(exchange.getCalls('fetchOpenOrders').length >= 1);
+
+        const loopCount = strategy.lifecycleManager.loopCount;
+        await clock.tick(5000);
+        assert.equal(strategy.lifecycleManager.loopCount - loopCount, 5);
+        assert.equal(strategy.riskManager.riskState.lastRiskCheck, clock.now());
+
+        // 行情变化在下一次轮询和主循环后生效
+        exchange.setOrderBook([[30990, 1]], [[31010, 1]]);
+        await clock.tick(2000);
+        assert.equal(strategy.currentMarketData.midPrice, 31000);
+
+        await clock.run(strategy.stop());
+        assert.equal(strategy.lifecycleManager.isRunning, false);
+        assert.equal(strategy.isRunning, false);
+        assert.equal(strategy.lifecycleManager.mainLoopTimer, null);
+        assert.equal(strategy.orderManager.orderMonitoringTimer, null);
+        assert.equal(strategy.riskManager.riskCheckTimer, null);
+
+        const stoppedLoops = strategy.lifecycleManager.loopCount;
+        const lastRiskCheck = strategy.riskManager.riskState.lastRiskCheck;
+        await clock.tick(30000);
+        assert.equal(strategy.lifecycleManager.loopCount, stoppedLoops);
+        assert.equal(strategy.riskManager.riskState.lastRiskCheck, lastRiskCheck);
+
+        await harness.exchangeManager.close();
+        assert.equal(clock.getPendingTimerCount(), 0);
+    });
+
+    it('报价挂到交易所，账户成交查询发现成交并记账，停止时撤销剩余挂单', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange } = harness;
+        await clock.run(strategy.start());
+
+        const orders = await placeQuotes(harness);
+        assert.equal(orders.length, 2);
+        assert.equal(exchange.getOpenOrders().length, 2);
+        const buy = exchange.getOpenOrders().find(order => order.side === 'buy');
+        assert.equal(buy.price, 29900);
+        assert.equal(buy.amount, 0.001);
+
+        exchange.fillOrder(buy.id);
+        await clock.tick(1000);
+        assert.equal(strategy.positionLedger.fillCount, 1);
+        assert.ok(Math.abs(strategy.positionLedger.position - 1.001) < 1e-9);
+        assert.equal(strategy.orderManager.getActiveOrders().some(order => order.id === buy.id), false);
+
+        await clock.run(strategy.stop());
+        assert.equal(exchange.getOpenOrders().length, 0);
+        assert.equal(strategy.orderManager.getActiveOrdersCount(), 0);
+        await harness.exchangeManager.close();
+    });
+
+    it('交易所不支持账户成交查询时由订单监控核对成交', async () => {
+        const harness = createStrategyHarness({
+            config: createConfig({ orderMonitoringInterval: 5000 }),
+            exchangeOptions: { has: { fetchMyTrades: false } }
+        });
+        const { strategy, clock, exchange } = harness;
+        await clock.run(strategy.start());
+        assert.equal(harness.exchangeManager.getFillSource(), null);
+
+        await placeQuotes(harness);
+        const sell = exchange.getOpenOrders().find(order => order.side === 'sell');
+        exchange.fillOrder(sell.id);
+
+        await clock.tick(5000);
+        assert.equal(strategy.orderManager.getActiveOrders().some(order => order.id === sell.id), false);
+        assert.equal(strategy.orderManager.getOrderHistory().some(order => order.id === sell.id && order.status === 'closed'), true);
+        assert.ok(exchange.getCalls('fetchOpenOrders').length >= 2);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+describe('策略断线重连', () => {
+    before(muteConsole);
+
+    it('断线期间跳过主循环，重连后恢复行情并补上断线期间的成交', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange, exchangeManager } = harness;
+        await clock.run(strategy.start());
+
+        Object.assign(strategy.strategyState, { optimalBid: 29900, optimalAsk: 30100, currentSpread: 200 });
+        await clock.run(strategy.orderManager.updateOrders());
+        const buy = exchange.getOpenOrders().find(order => order.side === 'buy');
+
+        // 订单簿请求失败后断开
+        exchange.failNext('fetchOrderBook', 'ECONNRESET');
+        await clock.tick(1000);
+        assert.equal(exchangeManager.isConnected, false);
+        assert.equal(exchangeManager.dataMode, 'stopped');
+
+        // 断线期间行情变化和成交都不会被处理
+        exchange.setOrderBook([[30490, 1]], [[30510, 1]]);
+        exchange.fillOrder(buy.id);
+        await clock.tick(5000);
+        assert.equal(strategy.currentMarketData.midPrice, 30000);
+        assert.equal(strategy.positionLedger.fillCount, 0);
+        assert.equal(strategy.lifecycleManager.isRunning, true);
+
+        // 10秒后重连成功，账户成交查询从断线前的位置继续
+        await clock.tick(5000);
+        assert.equal(exchangeManager.isConnected, true);
+        await clock.tick(1000);
+        assert.equal(strategy.currentMarketData.midPrice, 30500);
+        assert.equal(strategy.positionLedger.fillCount, 1);
+        assert.equal(strategy.orderManager.getActiveOrders().some(order => order.id === buy.id), false);
+
+        // 连接恢复3秒后同步挂单
+        const openOrderCalls = exchange.getCalls('fetchOpenOrders').length;
+        await clock.tick(3000);
+        assert.ok(exchange.getCalls('fetchOpenOrders').length > openOrderCalls);
+        assert.deepEqual(strategy.orderManager.getActiveOrders().map(order => order.id), exchange.getOpenOrders().map(order => order.id));
+
+        await clock.run(strategy.stop());
+        await exchangeManager.close();
+    });
+
+    it('重连期间下单失败不影响策略运行', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange, exchangeManager } = harness;
+        await clock.run(strategy.start());
+
+        exchange.failNext('fetchBalance', 'ETIMEDOUT');
+        await clock.tick(5000);
+        assert.equal(exchangeManager.isConnected, false);
+
+        // 断开时下单直接失败，不会发送到交易所
+        Object.assign(strategy.strategyState, { optimalBid: 29900, optimalAsk: 30100, currentSpread: 200 });
+        await clock.run(strategy.orderManager.updateOrders());
+        assert.equal(exchange.getOpenOrders().length, 0);
+        assert.equal(strategy.orderManager.getActiveOrdersCount(), 0);
+
+        await clock.tick(10000);
+        assert.equal(exchangeManager.isConnected, true);
+        await clock.run(strategy.orderManager.updateOrders());
+        assert.equal(exchange.getOpenOrders().length, 2);
+        assert.equal(strategy.lifecycleManager.loopErrorCount, 0);
+
+        await clock.run(strategy.stop());
+        assert.equal(exchange.getOpenOrders().length, 0);
+        await exchangeManager.close();
+    });
+});
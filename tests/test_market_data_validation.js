@@ -167,7 +167,7 @@ class MarketDataValidationTestSuite {
             strategy.indicators = {
                 getCurrentValues: () => ({
                     volatility: 0.02,
-                    tradingIntensity: 0.5
+                    kappa: 0.5
                 })
             };
             
@@ -0,0 +1,216 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const CapitalAllocation = require('../../core/capital-allocation');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+// 账户中有0.01 BTC和300 USDT，策略只分配0.004 BTC和100 USDT
+const ALLOCATION = { enabled: true, baseAmount: 0.004, quoteAmount: 100 };
+
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+/**
+ * 启动0.01 BTC + 300 USDT账户上的策略（中间价30000）
+ */
+async function startStrategy(capitalAllocation, overrides = {}) {
+    const harness = createStrategyHarness({
+        config: createConfig({ capitalAllocation, ...overrides }),
+        exchangeOptions: { balances: { BTC: 0.01, USDT: 300 } }
+    });
+    await harness.clock.run(harness.strategy.start());
+    return harness;
+}
+
+async function stopStrategy({ strategy, clock, exchangeManager }) {
+    await clock.run(strategy.stop());
+    await exchangeManager.close();
+}
+
+describe('资金分配配置验证', () => {
+    it('默认不启用，部分覆盖时保留其余默认值', () => {
+        assert.equal(createConfig().get('capitalAllocation').enabled, false);
+        assert.doesNotThrow(() => createConfig({ capitalAllocation: ALLOCATION }));
+
+        const partial = createConfig({ capitalAllocation: { enabled: true, quoteAmount: 50 } }).get('capitalAllocation');
+        assert.equal(partial.baseAmount, 0);
+        assert.equal(partial.quoteAmount, 50);
+    });
+
+    it('无效的配置被拒绝', () => {
+        assert.throws(() => createConfig({ capitalAllocation: { enabled: 'yes' } }), /CAPITAL_ALLOCATION\.enabled/);
+        assert.throws(() => createConfig({ capitalAllocation: { quoteAmount: -1 } }), /CAPITAL_ALLOCATION\.quoteAmount/);
+        assert.throws(() => createConfig({ capitalAllocation: { enabled: true } }), /positive baseAmount or quoteAmount/);
+    });
+});
+
+describe('CapitalAllocation分配余额和成交记账', () => {
+    const account = {
+        BTC: { free: 0.01, used: 0, total: 0.01 },
+        USDT: { free: 80, used: 220, total: 300 },
+        ETH: { free: 1, used: 0, total: 1 }
+    };
+    const openOrders = [
+        { side: 'sell', amount: 0.002, filled: 0.0005, remaining: 0.0015, price: 30100 },
+        { side: 'buy', amount: 0.001, filled: 0, price: 29900 }
+    ];
+
+    it('未启用时返回账户余额且不记账', () => {
+        const disabled = new CapitalAllocation(createConfig());
+        assert.equal(disabled.getBalances(account), account);
+        disabled.applyFill({ side: 'buy', amount: 0.001, price: 30000, fee: 0 });
+        assert.equal(disabled.base, 0);
+        assert.equal(disabled.fillCount, 0);
+    });
+
+    it('基础货币为分配数量，挂单剩余数量计为已用，可用余额不超过账户实际可用余额', () => {
+        const allocation = new CapitalAllocation(createConfig({ capitalAllocation: ALLOCATION }));
+        const balances = allocation.getBalances(account, openOrders);
+        assertNear(balances.BTC.total, 0.004);
+        assertNear(balances.BTC.used, 0.0015);
+        assertNear(balances.BTC.free, 0.0025);
+        assertNear(balances.USDT.used, 29.9);
+        assertNear(balances.USDT.free, 70.1);
+        assert.equal(balances.USDT.total, 100);
+        // 其他币种保留账户余额
+        assert.equal(balances.ETH.total, 1);
+
+        const limited = allocation.getBalances({ ...account, USDT: { free: 20, used: 280, total: 300 } }, openOrders);
+        assert.equal(limited.USDT.free, 20);
+
+        // 账户余额未知时只按分配资金计算
+        const unknown = allocation.getBalances(null);
+        assert.equal(unknown.BTC.free, 0.004);
+        assert.equal(unknown.USDT.free, 100);
+    });
+
+    it('按成交记账，恢复时保留成交记账并按分配数量的变更调整', () => {
+        const allocation = new CapitalAllocation(createConfig({ capitalAllocation: ALLOCATION }));
+        allocation.applyFill({ side: 'buy', amount: 0.001, price: 30000, fee: 0.03 });
+        assertNear(allocation.base, 0.005);
+        assertNear(allocation.quote, 69.97);
+        allocation.applyFill({ side: 'sell', amount: 0.002, price: 31000, fee: 0.062 });
+        assertNear(allocation.base, 0.003);
+        assertNear(allocation.quote, 131.908);
+        assertNear(allocation.getTotalValue(30000), 221.908);
+
+        const restored = new CapitalAllocation(createConfig({ capitalAllocation: { enabled: true, baseAmount: 0.004, quoteAmount: 150 } }));
+        restored.restoreState(allocation.exportState());
+        assertNear(restored.base, 0.003);
+        assertNear(restored.quote, 181.908);
+        assert.equal(restored.fillCount, 2);
+    });
+
+    it('账户余额不足时只警告一次，余额足够时恢复', () => {
+        const warnings = [];
+        const logger = { warn: (message) => warnings.push(message), info: () => {}, debug: () => {} };
+        const watched = new CapitalAllocation(createConfig({ capitalAllocation: { enabled: true, baseAmount: 0.02, quoteAmount: 100 } }), logger);
+        assert.equal(watched.checkAccountBalances(account), true);
+        watched.checkAccountBalances(account);
+        assert.equal(warnings.length, 1);
+
+        const allocation = new CapitalAllocation(createConfig({ capitalAllocation: ALLOCATION }));
+        assert.equal(allocation.checkAccountBalances(account), false);
+        assert.ok(!allocation.getStatus().accountShortfall);
+    });
+});
+
+describe('策略库存按分配资金计算', () => {
+    before(muteConsole);
+
+    it('库存、总价值、目标库存和持仓账本只按分配的资金计算', async () => {
+        const harness = await startStrategy(ALLOCATION, { inventoryTarget: { mode: 'percentage', basePercent: 50 } });
+        const { strategy } = harness;
+        const state = strategy.strategyState;
+
+        assert.equal(strategy.riskManager.capitalAllocation, strategy.capitalAllocation);
+        assert.equal(state.currentInventory, 0.004);
+        assertNear(state.totalInventoryValue, 220);
+        assertNear(state.targetInventory, 110 / 30000);
+        assert.equal(strategy.positionLedger.position, 0.004);
+        assert.equal(strategy.getStatus().capital.enabled, true);
+        assertNear(strategy.getStatus().capital.totalValue, 220);
+        assert.equal(strategy.dataManager.getBalanceSummary().allocated.USDT, 100);
+
+        await stopStrategy(harness);
+    });
+
+    it('策略订单成交后按成交记账，下次余额更新时库存随之变化', async () => {
+        const harness = await startStrategy(ALLOCATION);
+        const { strategy, clock } = harness;
+
+        strategy.orderManager.recordFills({
+            id: 'fill-1', side: 'buy', amount: 0.001, filled: 0.001, cost: 30, price: 30000, status: 'closed',
+            fee: { cost: 0.03, currency: 'USDT' }
+        });
+        assertNear(strategy.capitalAllocation.base, 0.005);
+        assertNear(strategy.capitalAllocation.quote, 69.97);
+
+        await clock.tick(strategy.dataManager.balanceUpdateInterval);
+        assertNear(strategy.strategyState.currentInventory, 0.005);
+        assertNear(strategy.strategyState.totalInventoryValue, 219.97);
+
+        await stopStrategy(harness);
+    });
+
+    it('未启用时按整个账户计算库存', async () => {
+        const harness = await startStrategy({}, { inventoryTarget: { mode: 'percentage', basePercent: 50 } });
+        assert.equal(harness.strategy.strategyState.currentInventory, 0.01);
+        assertNear(harness.strategy.strategyState.totalInventoryValue, 600);
+        await stopStrategy(harness);
+    });
+});
+
+describe('下单检查按分配资金计算', () => {
+    before(muteConsole);
+
+    it('账户价值和可用余额为分配的资金', async () => {
+        const harness = await startStrategy(ALLOCATION, { maxOrderValuePercent: 50 });
+        const { strategy } = harness;
+        const risk = strategy.riskManager;
+
+        assertNear(risk.getOrderAccountValue(30000), 220);
+        const available = strategy.orderManager.getAvailableBalances();
+        assert.equal(available.USDT.free, 100);
+        assert.equal(available.BTC.free, 0.004);
+
+        // 买单超过分配的计价货币时拒绝（账户余额足够）
+        const buy = risk.validateOrder('buy', 0.004, 30000, available);
+        assert.equal(buy.valid, false);
+        assert.equal(buy.type, 'INSUFFICIENT_BALANCE');
+        assert.equal(buy.available, 100);
+        assert.equal(risk.validateOrder('sell', 0.005, 30000, available).type, 'INSUFFICIENT_BALANCE');
+        assert.equal(risk.validateOrder('buy', 0.003, 30000, available).valid, true);
+
+        // 订单价值限制相对分配资金计算
+        assert.equal(risk.validateOrder('sell', 0.004, 30000, available).type, 'ORDER_VALUE_LIMIT');
+        assert.equal(risk.validateOrder('sell', 0.003, 30000, available).valid, true);
+
+        await stopStrategy(harness);
+    });
+
+    it('活跃挂单占用分配的资金，订单提案按分配的可用余额校验', async () => {
+        const harness = await startStrategy(ALLOCATION, { maxOrderValuePercent: 50 });
+        const { strategy } = harness;
+
+        strategy.orderManager.activeOrders.set('open-1', { id: 'open-1', side: 'buy', amount: 0.002, filled: 0, remaining: 0.002, price: 29900 });
+        const reserved = strategy.orderManager.getAvailableBalances();
+        assertNear(reserved.USDT.free, 100 - 59.8);
+        assertNear(reserved.USDT.used, 59.8);
+
+        const [proposal] = strategy.orderManager.buildSideProposal('buy', [29900], 0.002, reserved);
+        assert.equal(proposal.validation.valid, false);
+        assert.equal(proposal.validation.type, 'INSUFFICIENT_BALANCE');
+
+        // 模拟的挂单不在交易所上，停止前移除
+        strategy.orderManager.activeOrders.clear();
+        await stopStrategy(harness);
+    });
+
+    it('未启用时使用账户余额', async () => {
+        const harness = await startStrategy({}, { maxOrderValuePercent: 50 });
+        const { strategy } = harness;
+        assert.equal(strategy.riskManager.validateOrder('buy', 0.003, 30000, strategy.orderManager.getAvailableBalances()).valid, true);
+        await stopStrategy(harness);
+    });
+});
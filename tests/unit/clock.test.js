@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulatedClock } = require('../../utils/clock');
+const FakeClock = require('../helpers/fake-clock');
+
+describe('SimulatedClock周期定时器', () => {
+    it('按间隔重复触发，清除后不再触发', () => {
+        const clock = new SimulatedClock(0);
+        const fired = [];
+        const timerId = clock.setInterval(() => fired.push(clock.now()), 1000);
+
+        clock.advanceTo(3500);
+        assert.deepEqual(fired, [1000, 2000, 3000]);
+
+        clock.clearInterval(timerId);
+        clock.advanceTo(10000);
+        assert.equal(fired.length, 3);
+        assert.equal(clock.getPendingTimerCount(), 0);
+    });
+
+    it('回调中可以清除自身', () => {
+        const clock = new SimulatedClock(0);
+        let count = 0;
+        const timerId = clock.setInterval(() => {
+            count++;
+            if (count === 2) {
+                clock.clearInterval(timerId);
+            }
+        }, 100);
+
+        clock.advanceTo(1000);
+        assert.equal(count, 2);
+    });
+
+    it('与单次定时器按触发时间排序', () => {
+        const clock = new SimulatedClock(0);
+        const order = [];
+        clock.setInterval(() => order.push(`interval@${clock.now()}`), 1000);
+        clock.setTimeout(() => order.push(`timeout@${clock.now()}`), 1500);
+
+        clock.advanceTo(2000);
+        assert.deepEqual(order, ['interval@1000', 'timeout@1500', 'interval@2000']);
+    });
+});
+
+describe('FakeClock', () => {
+    it('tick在每个定时器之后执行完异步回调', async () => {
+        const clock = new FakeClock(0);
+        const steps = [];
+        clock.setTimeout(async () => {
+            steps.push(`start@${clock.now()}`);
+            await clock.sleep(500);
+            steps.push(`end@${clock.now()}`);
+        }, 1000);
+
+        await clock.tick(1200);
+        assert.deepEqual(steps, ['start@1000']);
+
+        await clock.tick(300);
+        assert.deepEqual(steps, ['start@1000', 'end@1500']);
+        assert.equal(clock.now(), 1500);
+    });
+
+    it('run推进时间直到Promise完成', async () => {
+        const clock = new FakeClock(0);
+        const result = await clock.run(clock.sleep(2500).then(() => 'done'));
+        assert.equal(result, 'done');
+        assert.ok(clock.now() >= 2500);
+    });
+
+    it('run超过最长模拟时间时抛出错误', async () => {
+        const clock = new FakeClock(0);
+        await assert.rejects(clock.run(new Promise(() => {}), 1000, 5000), /not settled/);
+    });
+});
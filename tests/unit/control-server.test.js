@@ -0,0 +1,46 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const ControlServer = require('../../core/api/control-server');
+const { createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+function createServer() {
+    const harness = createStrategyHarness();
+    return { ...harness, server: new ControlServer(harness.config, harness.strategy) };
+}
+
+const noQuery = new URLSearchParams();
+
+describe('ControlServer热更新参数', () => {
+    before(muteConsole);
+
+    it('可以更新订单数量', async () => {
+        const { server, strategy } = createServer();
+        await server.updateParameters(noQuery, { orderAmount: 0.002 });
+        assert.equal(strategy.config.get('orderAmount'), 0.002);
+        assert.equal(strategy.getParameters().orderAmount, 0.002);
+    });
+
+    it('只更新价差上下限之一时与当前参数合并后校验', async () => {
+        const { server, strategy } = createServer();
+        const { minSpread, maxSpread } = strategy.strategyCore.pricingModel.getParameters();
+
+        await assert.rejects(server.updateParameters(noQuery, { maxSpread: minSpread / 2 }),
+            { status: 400, message: /maxSpread must be greater than minSpread/ });
+        await assert.rejects(server.updateParameters(noQuery, { minSpread: maxSpread * 2 }),
+            { status: 400, message: /maxSpread must be greater than minSpread/ });
+        assert.equal(strategy.strategyCore.pricingModel.getParameters().maxSpread, maxSpread);
+
+        await server.updateParameters(noQuery, { maxSpread: minSpread * 2 });
+        assert.equal(strategy.strategyCore.pricingModel.getParameters().maxSpread, minSpread * 2);
+    });
+
+    it('风险应对期间按调整前的基准参数校验', async () => {
+        const { server, strategy } = createServer();
+        const { minSpread } = strategy.strategyCore.pricingModel.getParameters();
+        strategy.strategyCore.applyRiskAdjustment({ level: 'HIGH', reason: 'test', spreadMultiplier: 2, orderSizeMultiplier: 1 });
+
+        // 调整后的最小价差为2倍，但新的最大价差只需大于基准最小价差
+        await server.updateParameters(noQuery, { maxSpread: minSpread * 1.5 });
+        assert.equal(strategy.strategyCore.riskAdjustment.baseline.maxSpread, minSpread * 1.5);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+/**
+ * 启动前恢复持仓账本（模拟从状态存储恢复，账本记录的持仓与交易所余额不同）
+ */
+async function startWithRestoredLedger(harness, position) {
+    const { strategy, clock } = harness;
+    strategy.positionLedger.restoreState({
+        ...strategy.positionLedger.exportState(),
+        isInitialized: true,
+        position,
+        averageCost: 29000,
+        realizedPnL: 12,
+        fillCount: 3
+    });
+    await clock.run(strategy.start());
+    return strategy.positionLedger;
+}
+
+describe('DataManager核对恢复的持仓账本', () => {
+    before(muteConsole);
+
+    it('首次获取余额后按余额校正账本，保留已实现盈亏', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock } = harness;
+        const ledger = await startWithRestoredLedger(harness, 1.5);
+
+        assert.equal(ledger.position, 1);
+        assert.equal(ledger.realizedPnL, 12);
+        assert.equal(ledger.fillCount, 3);
+        assert.equal(strategy.riskManager.riskState.currentPosition, 1);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+
+    it('启用资金分配时按分配的基础货币核对', async () => {
+        const harness = createStrategyHarness({
+            config: createConfig({ capitalAllocation: { enabled: true, baseAmount: 0.004, quoteAmount: 100 } })
+        });
+        const { strategy, clock } = harness;
+        const ledger = await startWithRestoredLedger(harness, 0.006);
+
+        assert.ok(Math.abs(ledger.position - 0.004) < 1e-12, `${ledger.position}`);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+
+    it('差额不超过数量精度时不校正', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock } = harness;
+        const ledger = await startWithRestoredLedger(harness, 1);
+
+        assert.equal(ledger.position, 1);
+        assert.equal(ledger.getCostBasis(), 29000);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
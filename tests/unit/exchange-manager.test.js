@@ -0,0 +1,221 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const ccxt = require('ccxt');
+const { createConfig, createExchangeHarness } = require('../helpers/harness');
+
+/**
+ * 可手动切换网络状态的网络管理器
+ */
+class FakeNetworkManager extends EventEmitter {
+    constructor() {
+        super();
+        this.available = true;
+    }
+
+    isNetworkAvailable() {
+        return this.available;
+    }
+
+    getNetworkStatus() {
+        return { isConnected: this.available };
+    }
+
+    getProxyConfig() {
+        return { enabled: false };
+    }
+
+    setAvailable(available) {
+        this.available = available;
+        this.emit(available ? 'connectionRestored' : 'connectionLost');
+    }
+
+    close() {}
+}
+
+function recordEvents(emitter, names) {
+    const events = [];
+    for (const name of names) {
+        emitter.on(name, (data) => events.push({ name, data }));
+    }
+    return events;
+}
+
+describe('ExchangeManager连接模拟交易所', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.exchangeManager.close();
+    });
+
+    it('初始化加载市场信息并立即获取行情和余额', async () => {
+        harness = createExchangeHarness();
+        const { exchangeManager, exchange, clock } = harness;
+        const events = recordEvents(exchangeManager, ['connectionRestored']);
+
+        assert.equal(await exchangeManager.initialize(), true);
+
+        assert.equal(exchangeManager.isConnected, true);
+        assert.equal(exchangeManager.lastConnectionTime, clock.now());
+        assert.equal(exchangeManager.getMarketInfo().symbol, 'BTC/USDT');
+        assert.deepEqual(exchangeManager.getMarketInfo().fees, { maker: 0.001, taker: 0.001 });
+        assert.equal(exchangeManager.getTicker().last, 30000);
+        assert.equal(exchangeManager.getOrderBook().bids[0][0], 29990);
+        assert.equal(exchangeManager.getBalances().BTC.total, 1);
+        assert.equal(exchangeManager.dataMode, 'polling');
+        assert.equal(events.length, 1);
+        assert.ok(exchange.getCalls('loadMarkets').length === 1);
+    });
+
+    it('按假时钟轮询订单簿和账户成交', async () => {
+        harness = createExchangeHarness({ config: createConfig({ fillUpdateInterval: 1000 }) });
+        const { exchangeManager, exchange, clock } = harness;
+        await exchangeManager.initialize();
+        const fills = recordEvents(exchangeManager, ['fill']);
+        const bookCalls = exchange.getCalls('fetchOrderBook').length;
+
+        exchange.setOrderBook([[31000, 1]], [[31010, 1]]);
+        await clock.tick(1000);
+        assert.equal(exchange.getCalls('fetchOrderBook').length, bookCalls + 1);
+        assert.equal(exchangeManager.getOrderBook().bids[0][0], 31000);
+
+        const order = await exchangeManager.createOrder('buy', 0.01, 30000, 'limit', { clientOrderId: 'fill-1' });
+        await clock.tick(10);
+        exchange.fillOrder(order.id);
+        await clock.tick(1000);
+
+        assert.equal(fills.length, 1);
+        assert.equal(fills[0].data.order, order.id);
+        assert.equal(fills[0].data.clientOrderId, 'fill-1');
+        assert.equal(fills[0].data.amount, 0.01);
+        assert.equal(exchangeManager.getFillSource(), 'polling');
+    });
+
+    it('下单、撤单和拒绝下单', async () => {
+        harness = createExchangeHarness();
+        const { exchangeManager, exchange } = harness;
+        await exchangeManager.initialize();
+        const events = recordEvents(exchangeManager, ['orderUpdate', 'apiError']);
+
+        const order = await exchangeManager.createOrder('sell', 0.01, 30500.123, 'limit', { clientOrderId: 'sell-1' });
+        assert.equal(order.price, 30500.12);
+        assert.equal(order.clientOrderId, 'sell-1');
+        assert.equal(exchange.getOpenOrders().length, 1);
+
+        const canceled = await exchangeManager.cancelOrder(order.id);
+        assert.equal(canceled.status, 'canceled');
+        assert.deepEqual(events.filter(event => event.name === 'orderUpdate').map(event => event.data.status), ['open', 'canceled']);
+
+        exchange.rejectOrders(() => true, new ccxt.InsufficientFunds('balance not enough'));
+        await assert.rejects(exchangeManager.createOrder('buy', 0.01, 29000), ccxt.InsufficientFunds);
+        const apiErrors = events.filter(event => event.name === 'apiError');
+        assert.equal(apiErrors.length, 1);
+        assert.equal(apiErrors[0].data.operation, 'createOrder');
+        assert.equal(apiErrors[0].data.type, 'InsufficientFunds');
+    });
+});
+
+describe('ExchangeManager断线重连', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.exchangeManager.close();
+    });
+
+    it('轮询出错时断开，按重连间隔重连后恢复轮询', async () => {
+        harness = createExchangeHarness();
+        const { exchangeManager, exchange, clock } = harness;
+        await exchangeManager.initialize();
+        const events = recordEvents(exchangeManager, ['connectionLost', 'connectionRestored']);
+
+        exchange.failNext('fetchOrderBook', 'socket hang up');
+        await clock.tick(1000);
+
+        assert.equal(exchangeManager.isConnected, false);
+        assert.equal(exchangeManager.dataMode, 'stopped');
+        assert.equal(exchangeManager.connectionRetryCount, 1);
+        assert.deepEqual(events.map(event => event.name), ['connectionLost']);
+
+        // 第一次重连在10秒后
+        await clock.tick(9999);
+        assert.equal(exchangeManager.isConnected, false);
+        await clock.tick(1);
+        assert.equal(exchangeManager.isConnected, true);
+        assert.deepEqual(events.map(event => event.name), ['connectionLost', 'connectionRestored']);
+        assert.equal(exchangeManager.connectionRetryCount, 0);
+        assert.equal(exchangeManager.dataMode, 'polling');
+
+        const bookCalls = exchange.getCalls('fetchOrderBook').length;
+        await clock.tick(1000);
+        assert.equal(exchange.getCalls('fetchOrderBook').length, bookCalls + 1);
+    });
+
+    it('重连失败时间隔递增，达到最大次数后停止', async () => {
+        harness = createExchangeHarness();
+        const { exchangeManager, exchange, clock } = harness;
+        await exchangeManager.initialize();
+
+        exchange.failNext('fetchOrderBook', 'exchange down', 1);
+        exchange.failNext('loadMarkets', 'exchange down', 100);
+        await clock.tick(1000);
+
+        // 第n次重连在上一次之后n*10秒
+        const attemptTimes = [];
+        const start = clock.now();
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            await clock.tick(attempt * 10000);
+            attemptTimes.push(exchange.getCalls('loadMarkets').length);
+        }
+        assert.deepEqual(attemptTimes, [2, 3, 4, 5, 6]);
+        assert.equal(exchangeManager.connectionRetryCount, 5);
+        assert.equal(exchangeManager.reconnectTimer, null);
+
+        await clock.tick(600000);
+        assert.equal(exchange.getCalls('loadMarkets').length, 6);
+        assert.equal(exchangeManager.isConnected, false);
+        assert.ok(clock.now() - start >= 150000);
+    });
+
+    it('订单簿请求超过10秒视为超时并断开', async () => {
+        harness = createExchangeHarness();
+        const { exchangeManager, exchange, clock } = harness;
+        await exchangeManager.initialize();
+        const events = recordEvents(exchangeManager, ['connectionLost', 'apiError']);
+
+        exchange.setLatency('fetchOrderBook', 15000);
+        await clock.tick(1000);
+        assert.equal(exchangeManager.isConnected, true);
+
+        await clock.tick(10000);
+        assert.equal(exchangeManager.isConnected, false);
+        assert.equal(events[0].name, 'apiError');
+        assert.match(events[0].data.message, /Order book fetch timeout/);
+        assert.equal(events[1].name, 'connectionLost');
+    });
+
+    it('网络断开时暂停，网络恢复2秒后重连', async () => {
+        const networkManager = new FakeNetworkManager();
+        harness = createExchangeHarness({ networkManager });
+        const { exchangeManager, exchange, clock } = harness;
+        await exchangeManager.initialize();
+        const events = recordEvents(exchangeManager, ['connectionLost', 'connectionRestored']);
+
+        networkManager.setAvailable(false);
+        assert.equal(exchangeManager.isConnected, false);
+        assert.equal(await exchangeManager.getOpenOrders(), null);
+
+        // 网络断开期间不会重连成功
+        exchange.failNext('loadMarkets', 'network unreachable', 100);
+        await clock.tick(60000);
+        assert.equal(exchangeManager.isConnected, false);
+
+        exchange.failures.clear();
+        networkManager.setAvailable(true);
+        assert.equal(exchangeManager.connectionRetryCount, 0);
+        await clock.tick(1999);
+        assert.equal(exchangeManager.isConnected, false);
+        await clock.tick(1);
+        assert.equal(exchangeManager.isConnected, true);
+        assert.equal(events[events.length - 1].name, 'connectionRestored');
+    });
+});
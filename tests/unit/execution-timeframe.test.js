@@ -0,0 +1,51 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+describe('执行时间窗口外调整库存', () => {
+    before(muteConsole);
+
+    it('离开窗口时撤单并按滑点上限下IOC单把库存调整到目标库存', async () => {
+        const harness = createStrategyHarness({
+            config: createConfig({
+                // 假时钟从2025-01-01开始，窗口尚未开始
+                executionTimeframe: {
+                    mode: 'from_date_to_date',
+                    startDatetime: '2025-01-02T00:00:00Z',
+                    endDatetime: '2025-01-03T00:00:00Z',
+                    flattenOutsideWindow: true
+                },
+                shutdown: { maxSlippagePct: 0.5, maxAttempts: 2, repriceInterval: 1000 },
+                // 只验证窗口外的库存调整，不触发持仓超限减仓
+                maxPositionValuePercent: 100
+            }),
+            // 2 BTC + 30000 USDT，中间价30000时目标库存1.5 BTC
+            exchangeOptions: { balances: { BTC: 2, USDT: 30000 } }
+        });
+        const { strategy, clock, exchange } = harness;
+        await clock.run(strategy.start());
+        await clock.tick(3000);
+
+        const report = strategy.inventoryUnwinder.lastReport;
+        assert.ok(report);
+        assert.equal(report.policy, 'aggressive');
+        assert.equal(report.reason, '执行时间窗口外');
+        assert.equal(report.side, 'sell');
+        assert.equal(report.completed, true);
+
+        const orderCalls = exchange.getCalls('createLimitOrder');
+        assert.equal(orderCalls.length, 1);
+        assert.equal(orderCalls[0].args[4].timeInForce, 'IOC');
+        assert.equal(orderCalls[0].args[3], report.limitPrice);
+        const balance = await exchange.fetchBalance();
+        assert.ok(Math.abs(balance.BTC.total - 1.5) < 1e-9);
+
+        // 之后的循环只保持不挂单，不再调整
+        await clock.tick(5000);
+        assert.equal(exchange.getCalls('createLimitOrder').length, 1);
+        assert.equal(exchange.getOpenOrders().length, 0);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
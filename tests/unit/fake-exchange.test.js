@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ccxt = require('ccxt');
+const FakeClock = require('../helpers/fake-clock');
+const FakeCcxtExchange = require('../helpers/fake-exchange');
+
+function createExchange(options = {}) {
+    const clock = new FakeClock(0);
+    const exchange = new FakeCcxtExchange({ clock, balances: { BTC: 1, USDT: 30000 }, ...options });
+    return { clock, exchange };
+}
+
+describe('模拟ccxt交易所行情', () => {
+    it('返回设置的订单簿和价格，并记录调用', async () => {
+        const { exchange } = createExchange();
+        exchange.setOrderBook([[100, 1], [99, 2]], [[101, 1]]);
+
+        const orderBook = await exchange.fetchOrderBook('BTC/USDT');
+        const ticker = await exchange.fetchTicker('BTC/USDT');
+
+        assert.deepEqual(orderBook.bids, [[100, 1], [99, 2]]);
+        assert.deepEqual(orderBook.asks, [[101, 1]]);
+        assert.equal(ticker.last, 100.5);
+        assert.equal(ticker.bid, 100);
+        assert.equal(exchange.getCalls('fetchOrderBook').length, 1);
+        assert.deepEqual(exchange.getCalls('fetchTicker')[0].args, ['BTC/USDT']);
+    });
+
+    it('市场信息包含精度、限制和费率', async () => {
+        const { exchange } = createExchange({ market: { maker: 0.0002 } });
+        await exchange.loadMarkets();
+        const market = exchange.market('BTC/USDT');
+        assert.equal(market.base, 'BTC');
+        assert.equal(market.maker, 0.0002);
+        assert.equal(market.limits.amount.min, 0.0001);
+    });
+});
+
+describe('模拟ccxt交易所订单', () => {
+    it('挂单冻结余额，撤单释放', async () => {
+        const { exchange } = createExchange();
+        const order = await exchange.createLimitOrder('BTC/USDT', 'buy', 0.1, 29000, { clientOrderId: 'c1' });
+
+        assert.equal(order.status, 'open');
+        assert.equal(order.clientOrderId, 'c1');
+        let balance = await exchange.fetchBalance();
+        assert.equal(balance.USDT.used, 2900);
+        assert.equal(balance.USDT.free, 27100);
+
+        const canceled = await exchange.cancelOrder(order.id, 'BTC/USDT');
+        assert.equal(canceled.status, 'canceled');
+        balance = await exchange.fetchBalance();
+        assert.equal(balance.USDT.used, 0);
+        assert.equal(balance.USDT.free, 30000);
+        await assert.rejects(exchange.cancelOrder(order.id, 'BTC/USDT'), ccxt.OrderNotFound);
+    });
+
+    it('fillOrder部分和全部成交，更新订单、余额和账户成交', async () => {
+        const { exchange } = createExchange();
+        const order = await exchange.createLimitOrder('BTC/USDT', 'sell', 0.2, 31000, {});
+
+        exchange.fillOrder(order.id, 0.05);
+        let remote = await exchange.fetchOrder(order.id, 'BTC/USDT');
+        assert.equal(remote.status, 'open');
+        assert.equal(remote.filled, 0.05);
+        assert.ok(Math.abs(remote.remaining - 0.15) < 1e-12);
+
+        exchange.fillOrder(order.id);
+        remote = await exchange.fetchOrder(order.id, 'BTC/USDT');
+        assert.equal(remote.status, 'closed');
+        assert.equal(remote.remaining, 0);
+
+        const balance = await exchange.fetchBalance();
+        assert.ok(Math.abs(balance.BTC.total - 0.8) < 1e-12);
+        assert.ok(Math.abs(balance.USDT.total - (30000 + 6200 * 0.999)) < 1e-6);
+
+        const trades = await exchange.fetchMyTrades('BTC/USDT');
+        assert.equal(trades.length, 2);
+        assert.equal(trades[0].order, order.id);
+        assert.equal(trades[0].takerOrMaker, 'maker');
+        assert.deepEqual(await exchange.fetchOpenOrders('BTC/USDT'), []);
+    });
+
+    it('穿价限价单和市价单按对手最优价成交，IOC未成交部分撤销', async () => {
+        const { exchange } = createExchange();
+        exchange.setOrderBook([[29990, 5]], [[30010, 5]]);
+
+        const crossing = await exchange.createLimitOrder('BTC/USDT', 'buy', 0.1, 30100, {});
+        assert.equal(crossing.status, 'closed');
+        assert.equal(crossing.average, 30010);
+
+        const market = await exchange.createMarketOrder('BTC/USDT', 'sell', 0.1, {});
+        assert.equal(market.status, 'closed');
+        assert.equal(market.average, 29990);
+
+        const ioc = await exchange.createLimitOrder('BTC/USDT', 'sell', 0.1, 30000, { timeInForce: 'IOC' });
+        assert.equal(ioc.status, 'canceled');
+        assert.equal(ioc.filled, 0);
+        const balance = await exchange.fetchBalance();
+        assert.equal(balance.BTC.used, 0);
+    });
+
+    it('按条件拒绝订单，余额不足时抛出InsufficientFunds', async () => {
+        const { exchange } = createExchange();
+        exchange.rejectOrders((request) => request.side === 'sell');
+
+        await assert.rejects(exchange.createLimitOrder('BTC/USDT', 'sell', 0.1, 31000, {}), ccxt.InvalidOrder);
+        const buy = await exchange.createLimitOrder('BTC/USDT', 'buy', 0.1, 29000, {});
+        assert.equal(buy.status, 'open');
+
+        exchange.rejectOrders(null);
+        await assert.rejects(exchange.createLimitOrder('BTC/USDT', 'sell', 5, 31000, {}), ccxt.InsufficientFunds);
+    });
+
+    it('按clientOrderId查询订单', async () => {
+        const { exchange } = createExchange();
+        const order = await exchange.createLimitOrder('BTC/USDT', 'buy', 0.1, 29000, { clientOrderId: 'abc' });
+        const found = await exchange.fetchOrderByClientId('abc', 'BTC/USDT');
+        assert.equal(found.id, order.id);
+        await assert.rejects(exchange.fetchOrderByClientId('missing', 'BTC/USDT'), ccxt.OrderNotFound);
+    });
+});
+
+describe('模拟ccxt交易所故障注入', () => {
+    it('failNext按次数抛出错误后恢复', async () => {
+        const { exchange } = createExchange();
+        exchange.failNext('fetchBalance', 'connection reset', 2);
+
+        await assert.rejects(exchange.fetchBalance(), ccxt.NetworkError);
+        await assert.rejects(exchange.fetchBalance(), /connection reset/);
+        const balance = await exchange.fetchBalance();
+        assert.equal(balance.BTC.total, 1);
+        assert.equal(exchange.getCalls('fetchBalance').length, 3);
+    });
+
+    it('注入指定的错误类型', async () => {
+        const { exchange } = createExchange();
+        exchange.failNext('createLimitOrder', new ccxt.RateLimitExceeded('too many requests'));
+        await assert.rejects(exchange.createLimitOrder('BTC/USDT', 'buy', 0.1, 29000, {}), ccxt.RateLimitExceeded);
+        assert.equal(exchange.getOpenOrders().length, 0);
+    });
+
+    it('接口延迟在时钟推进后才返回', async () => {
+        const { clock, exchange } = createExchange();
+        exchange.setLatency('fetchTicker', 1000);
+
+        let resolved = false;
+        const promise = exchange.fetchTicker('BTC/USDT').then(() => { resolved = true; });
+        await clock.tick(999);
+        assert.equal(resolved, false);
+        await clock.tick(1);
+        await promise;
+        assert.equal(resolved, true);
+    });
+});
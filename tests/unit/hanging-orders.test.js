@@ -0,0 +1,60 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const ccxt = require('ccxt');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+/**
+ * 挂出一对报价并成交买单，卖单转为挂起订单
+ */
+async function createHangingSell() {
+    const harness = createStrategyHarness({
+        config: createConfig({ hangingOrders: { enabled: true, cancelPct: 1 } })
+    });
+    const { strategy, clock, exchange } = harness;
+    await clock.run(strategy.start());
+    Object.assign(strategy.strategyState, { optimalBid: 29900, optimalAsk: 30100, currentSpread: 200 });
+    await clock.run(strategy.orderManager.updateOrders());
+
+    const buy = exchange.getOpenOrders().find(order => order.side === 'buy');
+    const sell = exchange.getOpenOrders().find(order => order.side === 'sell');
+    exchange.fillOrder(buy.id);
+    await clock.tick(1000);
+
+    const tracker = strategy.orderManager.hangingOrdersTracker;
+    assert.equal(tracker.isHangingOrder(sell.id), true);
+    return { harness, tracker, sell };
+}
+
+describe('HangingOrdersTracker撤销挂起订单', () => {
+    before(muteConsole);
+
+    it('撤单失败时继续跟踪挂起订单，下次撤单时重试', async () => {
+        const { harness, tracker, sell } = await createHangingSell();
+        const { strategy, clock, exchange } = harness;
+
+        exchange.failNext('cancelOrder');
+        await clock.run(tracker.cancelAll());
+        assert.equal(tracker.isHangingOrder(sell.id), true);
+        assert.deepEqual(exchange.getOpenOrders().map(order => order.id), [sell.id]);
+
+        await clock.run(tracker.cancelAll());
+        assert.equal(tracker.isHangingOrder(sell.id), false);
+        assert.equal(exchange.getOpenOrders().length, 0);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+
+    it('订单已不存在时停止跟踪', async () => {
+        const { harness, tracker, sell } = await createHangingSell();
+        const { strategy, clock, exchange } = harness;
+
+        exchange.failNext('cancelOrder', new ccxt.OrderNotFound('Order not found'));
+        await clock.run(tracker.cancelAll());
+        assert.equal(tracker.isHangingOrder(sell.id), false);
+        assert.equal(tracker.getStatus().cancelled, 1);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
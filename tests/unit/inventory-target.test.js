@@ -0,0 +1,235 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AvellanedaCalculator = require('../../core/calculator');
+const ControlServer = require('../../core/api/control-server');
+const InventoryTarget = require('../../core/strategy/inventory-target');
+const FakeClock = require('../helpers/fake-clock');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+}
+
+/**
+ * 启动0.01 BTC + 300 USDT的策略（中间价30000，总价值600）
+ */
+async function startStrategy(inventoryTarget) {
+    const harness = createStrategyHarness({
+        config: createConfig({ inventoryTarget }),
+        exchangeOptions: { balances: { BTC: 0.01, USDT: 300 } }
+    });
+    await harness.clock.run(harness.strategy.start());
+    return harness;
+}
+
+async function stopStrategy({ strategy, clock, exchangeManager }) {
+    await clock.run(strategy.stop());
+    await exchangeManager.close();
+}
+
+describe('库存目标配置验证', () => {
+    it('默认为percentage模式50%，不再有单独的targetInventory配置', () => {
+        const config = createConfig();
+        assert.equal(config.get('inventoryTarget').mode, 'percentage');
+        assert.equal(config.get('inventoryTarget').basePercent, 50);
+        assert.equal(config.get('targetInventory'), undefined);
+    });
+
+    it('无效的配置被拒绝', () => {
+        assert.throws(() => createConfig({ inventoryTarget: { mode: 'dynamic' } }), /INVENTORY_TARGET\.mode/);
+        assert.throws(() => createConfig({ inventoryTarget: { basePercent: 150 } }), /basePercent/);
+        assert.throws(() => createConfig({ inventoryTarget: { mode: 'amount', baseAmount: 0 } }), /amount mode/);
+        assert.throws(() => createConfig({ inventoryTarget: { baseAmount: -1 } }), /baseAmount/);
+        assert.throws(() => createConfig({ inventoryTarget: { mode: 'external', signalMaxAge: -5 } }), /signalMaxAge/);
+        assert.throws(() => createConfig({ inventoryTarget: 0.5 }), /INVENTORY_TARGET must be an object/);
+    });
+
+    it('有效的external配置通过', () => {
+        assert.doesNotThrow(() => createConfig({ inventoryTarget: { mode: 'external', signalFile: 'data/target.json', signalMaxAge: 60000 } }));
+    });
+});
+
+describe('InventoryTarget库存目标模式', () => {
+    // 总价值600、价格30000时最多持有0.02
+    it('percentage模式按总价值的百分比计算', () => {
+        const target = new InventoryTarget({ mode: 'percentage', basePercent: 25 }).calculate(600, 30000);
+        assertNear(target.targetInventory, 0.005);
+        assert.equal(target.source, 'percentage');
+    });
+
+    it('amount模式使用固定数量，不超过总价值可持有的数量', () => {
+        const target = new InventoryTarget({ mode: 'amount', baseAmount: 0.003 }).calculate(600, 30000);
+        assert.equal(target.targetInventory, 0.003);
+        assert.ok(Math.abs(target.basePercent - 15) < 1e-9);
+
+        const clamped = new InventoryTarget({ mode: 'amount', baseAmount: 1 }).calculate(600, 30000);
+        assertNear(clamped.targetInventory, 0.02);
+        assert.equal(clamped.clamped, true);
+    });
+
+    it('价格或总价值无效时目标为0', () => {
+        const percentage = new InventoryTarget({ mode: 'percentage', basePercent: 25 });
+        assert.equal(percentage.calculate(0, 30000).targetInventory, 0);
+        assert.equal(percentage.calculate(600, 0).targetInventory, 0);
+    });
+
+    it('不支持的模式抛出错误，非external模式不能设置外部信号', () => {
+        assert.throws(() => new InventoryTarget({ mode: 'signal' }), /signal/);
+        assert.throws(() => new InventoryTarget({ mode: 'percentage' }).setSignal({ basePercent: 10 }), /external/);
+    });
+});
+
+describe('InventoryTarget外部信号', () => {
+    let tempDir;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-target-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('按控制接口设置的信号计算，信号过期后回退到basePercent', async () => {
+        const clock = new FakeClock();
+        const external = new InventoryTarget({ mode: 'external', basePercent: 50, signalMaxAge: 60000 }, { symbol: 'BTC/USDT', clock });
+
+        let target = external.calculate(600, 30000);
+        assertNear(target.targetInventory, 0.01);
+        assert.equal(target.source, 'fallback');
+
+        external.setSignal({ basePercent: 20 });
+        target = external.calculate(600, 30000);
+        assertNear(target.targetInventory, 0.004);
+        assert.equal(target.source, 'api');
+
+        external.setSignal({ baseAmount: 0.007 });
+        assert.equal(external.calculate(600, 30000).targetInventory, 0.007);
+
+        await clock.tick(60001);
+        target = external.calculate(600, 30000);
+        assertNear(target.targetInventory, 0.01);
+        assert.equal(target.source, 'fallback');
+        assert.equal(external.getStatus().signalActive, false);
+    });
+
+    it('无效信号被拒绝，设置无效信号时保留原信号', () => {
+        const invalid = [{}, { baseAmount: 1, basePercent: 10 }, { basePercent: 101 }, { baseAmount: -1 }, { baseAmount: 'x' }, null];
+        for (const value of invalid) {
+            assert.equal(InventoryTarget.validateSignal(value).valid, false);
+        }
+
+        const external = new InventoryTarget({ mode: 'external' }, { clock: new FakeClock() });
+        external.setSignal({ baseAmount: 0.007 });
+        assert.throws(() => external.setSignal({ basePercent: 200 }), /basePercent/);
+        assert.equal(external.signal.baseAmount, 0.007);
+    });
+
+    it('读取信号文件：按交易对设置，修改后重新读取，读取失败保留上一个信号', () => {
+        const clock = new FakeClock();
+        const signalFile = path.join(tempDir, 'target.json');
+        const fileTarget = new InventoryTarget({ mode: 'external', basePercent: 50, signalFile }, { symbol: 'ETH/USDT', clock });
+
+        let target = fileTarget.calculate(600, 30000);
+        assert.equal(target.source, 'fallback');
+        assert.ok(fileTarget.getStatus().signalFileError.includes('不存在'));
+
+        fs.writeFileSync(signalFile, JSON.stringify({ basePercent: 10 }));
+        fs.utimesSync(signalFile, new Date(clock.now()), new Date(clock.now()));
+        target = fileTarget.calculate(600, 30000);
+        assertNear(target.targetInventory, 0.002);
+        assert.equal(target.source, 'file');
+        assert.equal(fileTarget.getStatus().signalFileError, null);
+        // 文件中没有时间戳时使用文件修改时间
+        assert.equal(fileTarget.signal.timestamp, Math.floor(fs.statSync(signalFile).mtimeMs));
+
+        fs.writeFileSync(signalFile, JSON.stringify({ 'BTC/USDT': { basePercent: 30 }, 'ETH/USDT': { baseAmount: 0.005, timestamp: clock.now() } }));
+        fs.utimesSync(signalFile, new Date(clock.now() + 1000), new Date(clock.now() + 1000));
+        assert.equal(fileTarget.calculate(600, 30000).targetInventory, 0.005);
+        assert.equal(fileTarget.signal.timestamp, clock.now());
+
+        fs.writeFileSync(signalFile, '{broken');
+        fs.utimesSync(signalFile, new Date(clock.now() + 2000), new Date(clock.now() + 2000));
+        assert.equal(fileTarget.calculate(600, 30000).targetInventory, 0.005);
+        assert.ok(fileTarget.getStatus().signalFileError.includes('读取信号文件失败'));
+
+        // 信号文件的信号不持久化
+        assert.equal(fileTarget.exportState().signal, null);
+    });
+
+    it('控制接口设置的信号可持久化恢复', () => {
+        const clock = new FakeClock();
+        const external = new InventoryTarget({ mode: 'external' }, { clock });
+        external.setSignal({ baseAmount: 0.007 });
+
+        const restored = new InventoryTarget({ mode: 'external' }, { clock });
+        restored.restoreState(external.exportState());
+        assert.equal(restored.signal.baseAmount, 0.007);
+        assert.equal(restored.signal.source, 'api');
+    });
+});
+
+describe('策略中的目标库存', () => {
+    before(muteConsole);
+
+    it('余额更新时按配置的百分比计算目标库存，计算器与策略共用同一个库存目标', async () => {
+        const harness = await startStrategy({ mode: 'percentage', basePercent: 30 });
+        const { strategy } = harness;
+
+        assert.equal(strategy.calculator.inventoryTarget, strategy.inventoryTarget);
+        assertNear(strategy.strategyState.targetInventory, 0.006);
+        assert.equal(strategy.getStatus().inventoryTarget.mode, 'percentage');
+        assert.equal(strategy.getStatus().inventoryTarget.lastTarget.source, 'percentage');
+
+        await stopStrategy(harness);
+    });
+
+    it('库存偏差相对amount模式的目标计算', async () => {
+        const harness = await startStrategy({ mode: 'amount', baseAmount: 0.004 });
+        const { strategy } = harness;
+        const { currentInventory, targetInventory, totalInventoryValue } = strategy.strategyState;
+
+        assert.equal(targetInventory, 0.004);
+        // 库存高于目标时报价偏向卖出
+        const skew = strategy.calculator.calculateInventorySkew(currentInventory, targetInventory, totalInventoryValue, 30000);
+        assert.ok(Math.abs(skew - (0.01 - 0.004) / 0.02) < 1e-9, `偏差: ${skew}`);
+
+        await stopStrategy(harness);
+    });
+
+    it('单独创建的计算器按配置计算目标库存', () => {
+        const calculator = new AvellanedaCalculator(createConfig({ inventoryTarget: { basePercent: 40 } }));
+        assertNear(calculator.calculateTargetInventory(600, 30000), 0.008);
+    });
+});
+
+describe('控制接口设置外部库存目标', () => {
+    before(muteConsole);
+
+    it('设置外部目标后立即更新目标库存，无效目标返回400且不修改', async () => {
+        const harness = await startStrategy({ mode: 'external', basePercent: 50 });
+        const { strategy } = harness;
+        const server = new ControlServer(harness.config, strategy);
+        const noQuery = new URLSearchParams();
+        assertNear(strategy.strategyState.targetInventory, 0.01);
+
+        const updated = await server.setInventoryTarget(noQuery, { baseAmount: 0.002 });
+        assert.equal(updated['BTC/USDT'].signal.baseAmount, 0.002);
+        assert.equal(strategy.strategyState.targetInventory, 0.002);
+        assert.equal(strategy.inventoryTarget.getStatus().signal.source, 'api');
+
+        await assert.rejects(server.setInventoryTarget(noQuery, { basePercent: 120 }), { status: 400, message: /basePercent/ });
+        assert.equal(strategy.strategyState.targetInventory, 0.002);
+
+        await stopStrategy(harness);
+    });
+
+    it('非external模式返回409', async () => {
+        const { strategy, config } = createStrategyHarness({ config: createConfig({ inventoryTarget: { mode: 'percentage' } }) });
+        const server = new ControlServer(config, strategy);
+        await assert.rejects(server.setInventoryTarget(new URLSearchParams(), { basePercent: 20 }), { status: 409, message: /external/ });
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+describe('InventoryUnwinder被动调整库存', () => {
+    before(muteConsole);
+
+    it('盘口缺少己方最优价时跳过本轮挂单，恢复后按最新盘口挂单', async () => {
+        const harness = createStrategyHarness({
+            config: createConfig({
+                shutdown: { policy: 'passive', timeout: 2000, repriceInterval: 1000, maxSlippagePct: 1 },
+                maxPositionValuePercent: 100
+            }),
+            // 2 BTC + 30000 USDT，中间价30000时目标库存1.5 BTC
+            exchangeOptions: { balances: { BTC: 2, USDT: 30000 } }
+        });
+        const { strategy, clock, exchange } = harness;
+        await clock.run(strategy.start());
+        const ordersBefore = exchange.getCalls('createLimitOrder').length;
+
+        // 数据管理器不会用单边为空的订单簿覆盖行情，这里直接给出每轮刷新后的行情：开始时完整，第一轮缺少卖一，第二轮卖一为30020
+        const books = [
+            { midPrice: 30000, bestBid: 29990, bestAsk: 30010 },
+            { midPrice: 30000, bestBid: 29990, bestAsk: undefined },
+            { midPrice: 30000, bestBid: 29990, bestAsk: 30020 }
+        ];
+        strategy.inventoryUnwinder.refreshData = async () => {
+            strategy.currentMarketData = books.shift() || strategy.currentMarketData;
+        };
+        const report = await clock.run(strategy.inventoryUnwinder.unwind('passive', 'SIGINT'));
+
+        // 缺少卖一的一轮不按滑点下限（29700）挂卖单
+        const prices = exchange.getCalls('createLimitOrder').slice(ordersBefore).map(call => call.args[3]);
+        assert.deepEqual(prices, [30020]);
+        assert.equal(report.orders, 1);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
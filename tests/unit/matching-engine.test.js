@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MatchingEngine = require('../../core/backtest/matching-engine');
+const FakeClock = require('../helpers/fake-clock');
+
+function createEngine(options = {}) {
+    return new MatchingEngine({
+        symbol: 'BTC/USDT', base: 'BTC', quote: 'USDT', initialBase: 10, initialQuote: 100000, clock: new FakeClock(), ...options
+    });
+}
+
+describe('MatchingEngine吃单消耗订单簿数量', () => {
+    it('同一订单簿快照内已被吃掉的数量不能重复成交，订单簿更新后恢复', () => {
+        const engine = createEngine();
+        engine.onOrderBook({ bids: [[100, 1]], asks: [[101, 1], [102, 2]] });
+
+        const first = engine.createOrder({ side: 'buy', amount: 0.6, price: 101, timeInForce: 'IOC' });
+        assert.equal(first.filled, 0.6);
+        assert.equal(first.status, 'closed');
+
+        const second = engine.createOrder({ side: 'buy', amount: 0.6, price: 101, timeInForce: 'IOC' });
+        assert.ok(Math.abs(second.filled - 0.4) < 1e-12);
+        assert.equal(second.status, 'canceled');
+
+        // 已消耗的档位跳过，继续成交下一档
+        const sweep = engine.createOrder({ side: 'buy', amount: 1, price: 102, timeInForce: 'IOC' });
+        const sweepFills = engine.fills.filter(fill => fill.order === sweep.id);
+        assert.equal(sweep.filled, 1);
+        assert.deepEqual(sweepFills.map(fill => fill.price), [102]);
+
+        engine.onOrderBook({ bids: [[100, 1]], asks: [[101, 1], [102, 2]] });
+        const refreshed = engine.createOrder({ side: 'buy', amount: 1, price: 101, timeInForce: 'IOC' });
+        assert.equal(refreshed.filled, 1);
+    });
+});
+
+describe('MatchingEngine订单和成交历史', () => {
+    it('只保留最近结束的订单和成交，统计按全部历史计算', () => {
+        const engine = createEngine({ maxClosedOrders: 3, maxFills: 4 });
+        engine.onOrderBook({ bids: [[100, 100]], asks: [[101, 100]] });
+
+        const resting = engine.createOrder({ side: 'buy', amount: 1, price: 99 });
+        const taken = [];
+        for (let i = 0; i < 5; i++) {
+            taken.push(engine.createOrder({ side: 'sell', amount: 0.1, price: 100 }));
+        }
+        const canceled = engine.createOrder({ side: 'sell', amount: 0.1, price: 105 });
+        engine.cancelOrder(canceled.id);
+
+        assert.equal(engine.orders.size, 4);
+        assert.equal(engine.openOrders.size, 1);
+        assert.throws(() => engine.getOrder(taken[0].id), { name: 'OrderNotFound' });
+        assert.equal(engine.getOrder(resting.id).status, 'open');
+        assert.equal(engine.getOrder(canceled.id).status, 'canceled');
+        assert.deepEqual(engine.getOpenOrders().map(order => order.id), [resting.id]);
+
+        assert.equal(engine.fills.length, 4);
+        assert.equal(engine.fills[0].order, taken[1].id);
+        const stats = engine.getStats();
+        assert.equal(stats.submittedOrders, 7);
+        assert.equal(stats.filledOrders, 5);
+        assert.equal(stats.fillCount, 5);
+    });
+
+    it('默认保留完整历史（回测报告使用）', () => {
+        const engine = createEngine();
+        engine.onOrderBook({ bids: [[100, 100]], asks: [[101, 100]] });
+        for (let i = 0; i < 5; i++) {
+            engine.createOrder({ side: 'sell', amount: 0.1, price: 100 });
+        }
+        assert.equal(engine.orders.size, 5);
+        assert.equal(engine.fills.length, 5);
+    });
+});
@@ -0,0 +1,378 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyConfig = require('../../config/strategy');
+const BacktestEngine = require('../../core/backtest/backtest-engine');
+const BacktestReport = require('../../core/backtest/backtest-report');
+const ParameterOptimizer = require('../../core/optimizer/parameter-optimizer');
+const OptimizationReport = require('../../core/optimizer/optimization-report');
+const { SearchSpace, createRandom } = require('../../core/optimizer/search-space');
+const { GridSampler, RandomSampler, TpeSampler, createSampler } = require('../../core/optimizer/samplers');
+const { parseRange, buildOptimizerOverrides } = require('../../optimize');
+const { muteConsole } = require('../helpers/harness');
+
+/**
+ * 生成合成市场数据（固定随机种子，保证结果可复现）
+ */
+function generateMarketData(startTime, count, intervalMs) {
+    const random = createRandom(7);
+    const events = [];
+    let mid = 30000;
+    for (let i = 0; i < count; i++) {
+        const timestamp = startTime + i * intervalMs;
+        mid = Math.max(1000, mid + (random() - 0.5) * 6);
+        const bestBid = Math.floor((mid - 0.5) * 100) / 100;
+        const bestAsk = Math.ceil((mid + 0.5) * 100) / 100;
+        const bids = [];
+        const asks = [];
+        for (let level = 0; level < 5; level++) {
+            bids.push([Number((bestBid - level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+            asks.push([Number((bestAsk + level).toFixed(2)), Number((0.2 + random()).toFixed(4))]);
+        }
+        events.push({ type: 'orderBook', timestamp, symbol: 'BTC/USDT', bids, asks });
+
+        if (i % 3 === 0) {
+            const isBuy = random() > 0.5;
+            events.push({
+                type: 'trade',
+                timestamp: timestamp + 1,
+                symbol: 'BTC/USDT',
+                price: isBuy ? bestAsk : bestBid,
+                amount: Number((random() * 0.05).toFixed(4)) + 0.0001,
+                side: isBuy ? 'buy' : 'sell'
+            });
+        }
+    }
+    return events;
+}
+
+function drain(sampler) {
+    const combinations = [];
+    let params;
+    while ((params = sampler.next())) {
+        combinations.push(params);
+    }
+    return combinations;
+}
+
+describe('SearchSpace参数搜索空间', () => {
+    const space = new SearchSpace({
+        riskFactor: { min: 0.1, max: 0.5, step: 0.1 },
+        minSpread: { min: 0.0005, max: 0.0015, step: 0.0005 },
+        orderTimeout: { values: [10000, 5000, 10000] },
+        shapeFactor: { min: 1, max: 3 }
+    });
+    const [riskFactor, minSpread, orderTimeout, shapeFactor] = space.parameters;
+
+    it('按步长展开候选值并消除浮点误差，候选值去重并排序', () => {
+        assert.deepEqual(riskFactor.values, [0.1, 0.2, 0.3, 0.4, 0.5]);
+        assert.deepEqual(minSpread.values, [0.0005, 0.001, 0.0015]);
+        assert.deepEqual(orderTimeout.values, [5000, 10000]);
+    });
+
+    it('未设置步长的区间为连续取值，不能网格搜索', () => {
+        assert.equal(shapeFactor.values, null);
+        assert.equal(space.getGridSize(), Infinity);
+        assert.throws(() => space.grid(), /shapeFactor/);
+    });
+
+    it('参数值与[0, 1]互相映射', () => {
+        for (const value of riskFactor.values) {
+            assert.equal(space.fromUnit(riskFactor, space.toUnit(riskFactor, value)), value);
+        }
+        assert.equal(space.fromUnit(shapeFactor, 0.25), 1.5);
+        assert.equal(space.fromUnit(shapeFactor, 2), 3);
+    });
+
+    it('随机采样取值在范围内，相同种子的随机序列相同', () => {
+        const random = createRandom(3);
+        for (let i = 0; i < 200; i++) {
+            const params = space.sample(random);
+            assert.ok(riskFactor.values.includes(params.riskFactor));
+            assert.ok(params.shapeFactor >= 1 && params.shapeFactor <= 3);
+        }
+        assert.equal(createRandom(5)(), createRandom(5)());
+        assert.notEqual(createRandom(5)(), createRandom(6)());
+    });
+
+    it('无效的参数定义抛出错误', () => {
+        const invalid = [
+            { riskFactor: { min: 1, max: 0 } },
+            { riskFactor: { values: [] } },
+            { riskFactor: { min: 0, max: 1, step: -1 } },
+            {}
+        ];
+        for (const parameters of invalid) {
+            assert.throws(() => new SearchSpace(parameters));
+        }
+    });
+});
+
+describe('搜索方法', () => {
+    const space = new SearchSpace({
+        riskFactor: { values: [0.2, 0.5, 0.8] },
+        shapeFactor: { values: [1, 2] }
+    });
+
+    it('网格搜索遍历全部组合，超过试验次数上限时报错', () => {
+        const grid = createSampler('grid', space, { trials: 10 });
+        assert.ok(grid instanceof GridSampler);
+        const combinations = drain(grid);
+        assert.equal(combinations.length, 6);
+        assert.equal(new Set(combinations.map(item => space.key(item))).size, 6);
+        assert.throws(() => createSampler('grid', space, { trials: 5 }), /6/);
+    });
+
+    it('随机搜索按种子复现，不重复，离散空间耗尽后返回null', () => {
+        const randomA = new RandomSampler(space, { seed: 11 });
+        const randomB = new RandomSampler(space, { seed: 11 });
+        const sequenceA = [];
+        const sequenceB = [];
+        for (let i = 0; i < 7; i++) {
+            sequenceA.push(randomA.next());
+            sequenceB.push(randomB.next());
+        }
+        assert.deepEqual(sequenceA, sequenceB);
+        assert.ok(sequenceA.slice(0, 6).every(Boolean));
+        assert.equal(new Set(sequenceA.slice(0, 6).map(item => space.key(item))).size, 6);
+        assert.equal(sequenceA[6], null);
+    });
+
+    it('bayesian搜索前initialTrials次与随机搜索相同，之后集中到较好的区域', () => {
+        // 目标函数在x=0.8、y=0.3附近最好
+        const continuous = new SearchSpace({ x: { min: 0, max: 1 }, y: { min: 0, max: 1 } });
+        const objective = (p) => -Math.abs(p.x - 0.8) - Math.abs(p.y - 0.3);
+        const run = (sampler, count) => {
+            const history = [];
+            for (let i = 0; i < count; i++) {
+                const p = sampler.next(history);
+                history.push({ params: p, score: objective(p) });
+            }
+            return history;
+        };
+        const tpeHistory = run(new TpeSampler(continuous, { seed: 2, initialTrials: 10 }), 60);
+        const randomHistory = run(new RandomSampler(continuous, { seed: 2 }), 60);
+        const meanScore = (history) => history.slice(-20).reduce((total, item) => total + item.score, 0) / 20;
+
+        assert.deepEqual(tpeHistory.slice(0, 10), randomHistory.slice(0, 10));
+        assert.ok(meanScore(tpeHistory) > meanScore(randomHistory) + 0.1,
+            `bayesian: ${meanScore(tpeHistory)}, 随机: ${meanScore(randomHistory)}`);
+
+        // 失败的试验作为较差的试验参与估计
+        const failedHistory = [{ params: { x: 0.1, y: 0.1 }, score: null }, { params: { x: 0.9, y: 0.3 }, score: -0.1 }];
+        const proposal = new TpeSampler(continuous, { seed: 4, initialTrials: 2 }).next(failedHistory);
+        assert.ok(proposal.x >= 0 && proposal.x <= 1);
+    });
+
+    it('不支持的搜索方法报错', () => {
+        assert.throws(() => createSampler('anneal', space), /anneal/);
+    });
+});
+
+describe('OptimizationReport排名和结果文件', () => {
+    const metrics = (sharpeRatio, totalPnL, fillRate, maxInventory) => ({
+        sharpeRatio, totalPnL, totalPnLPercent: 0, pnlVsHold: 0, fillRate, maxInventory, fills: 1, totalFees: 0, maxDrawdownPercent: 0
+    });
+    const trials = [
+        { id: 1, params: { riskFactor: 0.2 }, status: 'ok', metrics: metrics(1.5, 10, 20, 0.02), error: null, duration: 5 },
+        { id: 2, params: { riskFactor: 0.5 }, status: 'ok', metrics: metrics(2.5, 5, 30, 0.01), error: null, duration: 5 },
+        { id: 3, params: { riskFactor: 0.8 }, status: 'failed', metrics: null, error: 'boom, "quoted"', duration: 1 },
+        { id: 4, params: { riskFactor: 0.9 }, status: 'ok', metrics: metrics(1.5, 20, 10, 0.03), error: null, duration: 5 }
+    ];
+    const meta = { symbol: 'BTC/USDT', method: 'grid', metric: 'sharpe', parameters: ['riskFactor'], duration: 20 };
+    let outputDir;
+
+    before(() => {
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizer-report-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it('按排序指标排名，并列时按其余指标排序，失败的试验排在最后', () => {
+        const report = new OptimizationReport({ meta, trials });
+        assert.deepEqual(report.trials.map(trial => trial.id), [2, 4, 1, 3]);
+        assert.equal(report.trials[1].ranks.sharpe, 2);
+        assert.equal(report.trials[2].ranks.sharpe, 2);
+        assert.equal(report.trials[3].rank, null);
+        assert.equal(report.getBest().id, 2);
+    });
+
+    it('最大库存偏离越小排名越高，可选择其他排序指标', () => {
+        const report = new OptimizationReport({ meta, trials });
+        assert.equal(report.trials.find(trial => trial.id === 2).ranks.maxInventory, 1);
+        assert.equal(report.trials.find(trial => trial.id === 4).ranks.maxInventory, 3);
+
+        const byInventory = new OptimizationReport({ meta: { ...meta, metric: 'maxInventory' }, trials });
+        assert.equal(byInventory.getBest().id, 2);
+        assert.equal(byInventory.trials[2].id, 4);
+    });
+
+    it('保存为CSV和JSON', () => {
+        const files = new OptimizationReport({ meta, trials }).save(outputDir);
+        const csv = fs.readFileSync(files.csv, 'utf8').trim().split('\n');
+        const saved = JSON.parse(fs.readFileSync(files.json, 'utf8'));
+
+        assert.equal(csv.length, 5);
+        assert.ok(csv[0].startsWith('rank,id,status,riskFactor,sharpeRatio'), csv[0]);
+        assert.ok(csv[0].includes('fillRateRank'));
+        assert.ok(csv[4].includes('"boom, ""quoted"""'), csv[4]);
+        assert.equal(saved.best.id, 2);
+        assert.equal(saved.trials.length, 4);
+        assert.equal(saved.meta.metric, 'sharpe');
+    });
+});
+
+describe('BacktestReport夏普比率', () => {
+    it('按采样间隔计算年化夏普比率，每个区间只取最后一个采样点', () => {
+        const interval = 60000;
+        const equities = [1000, 1010, 1005, 1020, 1015, 1030];
+        const equityCurve = [];
+        equities.forEach((equity, index) => {
+            equityCurve.push({ timestamp: index * interval + 1000, midPrice: 1, base: 0, quote: equity - 50, equity: equity - 50 });
+            equityCurve.push({ timestamp: index * interval + 2000, midPrice: 1, base: 0, quote: equity, equity });
+        });
+        const report = new BacktestReport({
+            meta: { symbol: 'BTC/USDT', backtest: { equitySampleInterval: interval } },
+            initialBalances: { base: 0, quote: 1000 },
+            finalBalances: { base: 0, quote: 1030 },
+            fills: [],
+            equityCurve,
+            orderStats: {}
+        });
+
+        const returns = equities.slice(1).map((equity, index) => equity / equities[index] - 1);
+        const mean = returns.reduce((total, value) => total + value, 0) / returns.length;
+        const std = Math.sqrt(returns.reduce((total, value) => total + (value - mean) ** 2, 0) / (returns.length - 1));
+        const expected = (mean / std) * Math.sqrt(365 * 24 * 60);
+        assert.ok(Math.abs(report.getSummary().sharpeRatio - expected) < 1e-9);
+    });
+
+    it('采样不足时夏普比率为0', () => {
+        const report = new BacktestReport({
+            meta: { symbol: 'BTC/USDT', backtest: {} },
+            initialBalances: { base: 0, quote: 1000 },
+            finalBalances: { base: 0, quote: 1000 },
+            fills: [],
+            equityCurve: [{ timestamp: 0, midPrice: 1, base: 0, quote: 1000, equity: 1000 }],
+            orderStats: {}
+        });
+        assert.equal(report.getSummary().sharpeRatio, 0);
+    });
+});
+
+describe('optimize.js命令行参数', () => {
+    const parameters = { riskFactor: { min: 0.1, max: 1, step: 0.1 }, shapeFactor: { values: [1, 2] }, minSpread: { values: [0.001] } };
+
+    it('解析区间和候选值', () => {
+        assert.deepEqual(parseRange('riskFactor', '0.1:1:0.1'), { min: 0.1, max: 1, step: 0.1 });
+        assert.deepEqual(parseRange('orderTimeout', '5000,10000'), { values: [5000, 10000] });
+    });
+
+    it('生成optimizer配置覆盖项，只搜索指定参数并覆盖范围', () => {
+        const overrides = buildOptimizerOverrides({
+            method: 'bayesian', trials: '30', workers: '2', params: 'riskFactor,shapeFactor', shapeFactor: '0.5:2'
+        }, parameters);
+        assert.equal(overrides.method, 'bayesian');
+        assert.equal(overrides.trials, 30);
+        assert.equal(overrides.workers, 2);
+        assert.deepEqual(Object.keys(overrides.parameters), ['riskFactor', 'shapeFactor']);
+        assert.equal(overrides.parameters.shapeFactor.min, 0.5);
+        assert.equal(overrides.parameters.riskFactor.step, 0.1);
+    });
+
+    it('无效的命令行参数报错', () => {
+        assert.throws(() => buildOptimizerOverrides({ params: 'gamma' }, parameters));
+        assert.throws(() => buildOptimizerOverrides({ trials: 'many' }, parameters));
+        assert.throws(() => parseRange('riskFactor', 'a:b'));
+    });
+});
+
+describe('ParameterOptimizer工作线程并行回测', () => {
+    let tempDir;
+    let overrides;
+
+    before(() => {
+        muteConsole();
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimizer-test-'));
+        const dataPath = path.join(tempDir, 'data.jsonl');
+        // 10分钟的合成数据
+        const events = generateMarketData(Date.UTC(2025, 0, 1), 3000, 200);
+        fs.writeFileSync(dataPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+        overrides = {
+            logLevel: 'error',
+            logFile: 'logs/optimizer-test.log',
+            backtest: { dataPath, initialBase: 0.01, initialQuote: 300, latency: 50, equitySampleInterval: 10000 },
+            optimizer: {
+                method: 'grid',
+                trials: 10,
+                workers: 2,
+                metric: 'pnl',
+                parameters: {
+                    riskFactor: { values: [0.2, 0.8] },
+                    minSpread: { values: [0.0002, 0.05] },
+                    orderTimeout: { values: [5000] }
+                }
+            }
+        };
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('网格中的每个组合都完成试验，结果与直接回测一致', async () => {
+        const optimizer = new ParameterOptimizer(overrides);
+        const progress = [];
+        optimizer.on('trialComplete', (trial, status) => progress.push({ id: trial.id, status: trial.status, completed: status.completed }));
+        const report = await optimizer.run();
+
+        assert.equal(report.trials.length, 4);
+        assert.equal(progress.length, 4);
+        assert.equal(progress[3].completed, 4);
+        assert.equal(optimizer.workers.length, 0);
+
+        // minSpread不小于maxSpread的组合记为无效且不回测
+        const invalid = report.trials.filter(trial => trial.status === 'invalid');
+        assert.equal(invalid.length, 2);
+        assert.ok(invalid.every(trial => trial.params.minSpread === 0.05 && trial.error.includes('MAX_SPREAD')));
+
+        const ok = report.trials.filter(trial => trial.status === 'ok');
+        assert.equal(ok.length, 2, JSON.stringify(report.trials.map(trial => trial.error)));
+        assert.ok(ok.every(trial => trial.metrics.fills > 0 && Number.isFinite(trial.metrics.sharpeRatio)));
+
+        const best = report.getBest();
+        assert.equal(best.rank, 1);
+        assert.ok(ok.every(trial => trial.metrics.totalPnL <= best.metrics.totalPnL));
+
+        const config = new StrategyConfig({ ...overrides, tradingMode: 'backtest', ...best.params });
+        const direct = (await new BacktestEngine(config, { quiet: true }).run()).getSummary();
+        assert.equal(direct.totalPnL, best.metrics.totalPnL);
+        assert.equal(direct.sharpeRatio, best.metrics.sharpeRatio);
+        assert.equal(direct.fillRate, best.metrics.fillRate);
+        // 最大库存为相对初始库存的最大偏离
+        const expectedInventory = Math.max(direct.maxInventory - direct.initialInventory, direct.initialInventory - direct.minInventory);
+        assert.ok(Math.abs(best.metrics.maxInventory - expectedInventory) < 1e-12);
+
+        const files = report.save(path.join(tempDir, 'output'));
+        assert.ok(fs.existsSync(files.csv));
+        assert.ok(fs.existsSync(files.json));
+    });
+
+    it('bayesian搜索使用相同的工作线程流程完成指定次数的试验', async () => {
+        const bayesian = new ParameterOptimizer({
+            ...overrides,
+            optimizer: { ...overrides.optimizer, method: 'bayesian', trials: 3, initialTrials: 2, parameters: { riskFactor: { min: 0.1, max: 1 } } }
+        });
+        const report = await bayesian.run();
+        assert.equal(report.trials.length, 3);
+        assert.ok(report.trials.every(trial => trial.status === 'ok'), JSON.stringify(report.trials.map(trial => trial.error)));
+    });
+
+    it('不支持的排序指标报错', () => {
+        assert.throws(() => new ParameterOptimizer({ ...overrides, optimizer: { ...overrides.optimizer, metric: 'sortino' } }), /sortino/);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const ccxt = require('ccxt');
+const { createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+/**
+ * 启动策略并按固定报价挂单（主循环需要公开成交拟合κ后才会报价，这里直接设置报价目标）
+ */
+async function startWithQuotes(harness, bid = 29900, ask = 30100) {
+    const { strategy, clock } = harness;
+    await clock.run(strategy.start());
+    Object.assign(strategy.strategyState, { optimalBid: bid, optimalAsk: ask, currentSpread: ask - bid });
+    await clock.run(strategy.orderManager.updateOrders());
+    return strategy.orderManager.getActiveOrders();
+}
+
+const adjustment = { level: 'MEDIUM', reason: 'test', spreadMultiplier: 1.5, orderSizeMultiplier: 1 };
+
+describe('OrderManager撤销活跃订单', () => {
+    before(muteConsole);
+
+    it('风险应对调整时撤单失败的订单继续跟踪，下次刷新时重试撤单', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange } = harness;
+        const orders = await startWithQuotes(harness);
+        assert.equal(orders.length, 2);
+        const [failedOrder, cancelledOrder] = orders;
+
+        exchange.failNext('cancelOrder');
+        await clock.run(strategy.eventHandler.handleAdjustParameters(adjustment));
+
+        const activeIds = strategy.orderManager.getActiveOrders().map(order => order.id);
+        assert.deepEqual(activeIds, [failedOrder.id]);
+        assert.deepEqual(exchange.getOpenOrders().map(order => order.id), [failedOrder.id]);
+        assert.equal(strategy.forceOrderUpdate, true);
+
+        // 按调整后的报价刷新：保留的订单超出刷新容忍度，重试撤单后按新价格重新挂单
+        Object.assign(strategy.strategyState, { optimalBid: 29850, optimalAsk: 30150, currentSpread: 300 });
+        await clock.run(strategy.orderManager.updateOrders());
+
+        const cancelCalls = exchange.getCalls('cancelOrder').map(call => call.args[0]);
+        assert.deepEqual(cancelCalls, [failedOrder.id, cancelledOrder.id, failedOrder.id]);
+        const openOrders = exchange.getOpenOrders();
+        assert.equal(openOrders.length, 2);
+        assert.ok(openOrders.every(order => order.id !== failedOrder.id && order.id !== cancelledOrder.id));
+        assert.deepEqual(strategy.orderManager.getActiveOrders().map(order => order.id).sort(),
+            openOrders.map(order => order.id).sort());
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+
+    it('订单已不存在时从活跃订单列表中移除', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange } = harness;
+        await startWithQuotes(harness);
+
+        exchange.failNext('cancelOrder', new ccxt.OrderNotFound('Order not found'));
+        const failed = await clock.run(strategy.orderManager.cancelActiveOrders());
+
+        assert.deepEqual(failed, []);
+        assert.equal(strategy.orderManager.getActiveOrders().length, 0);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
+
+describe('OrderManager刷新报价时撤销过期订单', () => {
+    before(muteConsole);
+
+    it('撤单失败时保留订单且不在同一档位重复下单，下次刷新时重试撤单', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange } = harness;
+        const orders = await startWithQuotes(harness);
+        const sell = orders.find(order => order.side === 'sell');
+
+        exchange.failNext('cancelOrder');
+        Object.assign(strategy.strategyState, { optimalAsk: 30010, currentSpread: 110 });
+        await clock.run(strategy.orderManager.updateOrders());
+
+        const sells = strategy.orderManager.getActiveOrders().filter(order => order.side === 'sell');
+        assert.deepEqual(sells.map(order => order.id), [sell.id]);
+        assert.equal(exchange.getOpenOrders().some(order => order.id === sell.id), true);
+
+        await clock.run(strategy.orderManager.updateOrders());
+        const refreshed = strategy.orderManager.getActiveOrders().filter(order => order.side === 'sell');
+        assert.equal(refreshed.length, 1);
+        assert.notEqual(refreshed[0].id, sell.id);
+        assert.equal(refreshed[0].price, 30010);
+        assert.equal(exchange.getOpenOrders().some(order => order.id === sell.id), false);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+
+    it('订单已不存在时视为撤销完成', async () => {
+        const harness = createStrategyHarness();
+        const { strategy, clock, exchange } = harness;
+        const orders = await startWithQuotes(harness);
+        const buy = orders.find(order => order.side === 'buy');
+
+        exchange.failNext('cancelOrder', new ccxt.OrderNotFound('Order not found'));
+        Object.assign(strategy.strategyState, { optimalBid: 29950, currentSpread: 150 });
+        await clock.run(strategy.orderManager.updateOrders());
+
+        const buys = strategy.orderManager.getActiveOrders().filter(order => order.side === 'buy');
+        assert.equal(buys.some(order => order.id === buy.id), false);
+        assert.deepEqual(buys.map(order => order.price), [29950]);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
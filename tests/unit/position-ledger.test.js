@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PositionLedger = require('../../core/position-ledger');
+const { createConfig } = require('../helpers/harness');
+
+function fill(ledger, side, amount, price) {
+    return ledger.applyFill({ orderId: `${side}${price}`, side, amount, price, fee: 0 });
+}
+
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+describe('PositionLedger按实际余额校正持仓', () => {
+    it('差额按当前价格计入或移出持仓，不计已实现盈亏', () => {
+        const ledger = new PositionLedger(createConfig({ costBasisMethod: 'fifo' }));
+        fill(ledger, 'buy', 1, 100);
+        fill(ledger, 'buy', 1, 110);
+
+        // 减少持仓时按先进先出移出批次
+        assertNear(ledger.rebase(1.5, 120), -0.5);
+        assertNear(ledger.position, 1.5);
+        assertNear(ledger.getCostBasis(), (0.5 * 100 + 110) / 1.5);
+        assert.equal(ledger.realizedPnL, 0);
+
+        // 增加持仓时按当前价格计成本
+        ledger.rebase(2, 130);
+        assertNear(ledger.position, 2);
+        assertNear(ledger.getCostBasis(), (0.5 * 100 + 110 + 0.5 * 130) / 2);
+    });
+
+    it('持仓一致时不校正，校正为零时清空持仓', () => {
+        const ledger = new PositionLedger(createConfig({ costBasisMethod: 'fifo' }));
+        fill(ledger, 'buy', 1, 100);
+        fill(ledger, 'buy', 1, 110);
+
+        assert.equal(ledger.rebase(2, 140), 0);
+        assertNear(ledger.getCostBasis(), 105);
+
+        ledger.rebase(0, 140);
+        assert.equal(ledger.position, 0);
+        assert.equal(ledger.getCostBasis(), 0);
+        assert.equal(ledger.fillCount, 2);
+    });
+});
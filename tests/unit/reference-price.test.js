@@ -0,0 +1,200 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ReferencePriceIndicator, OrderFlowImbalanceIndicator, IndicatorsManager } = require('../../core/indicators');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+const START = Date.UTC(2025, 0, 1);
+
+// 买一数量大于卖一，微价格偏向卖一
+const BOOK = {
+    bids: [[99, 3], [98, 1], [97, 10]],
+    asks: [[101, 1], [102, 3], [103, 10]]
+};
+
+function assertNear(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+}
+
+/**
+ * 启动策略并设置波动率和κ，使定价模型可以计算报价
+ */
+async function startStrategy(referencePrice) {
+    const harness = createStrategyHarness({ config: createConfig({ referencePrice }) });
+    harness.exchange.setOrderBook([[29990, 3], [29980, 2]], [[30010, 1], [30020, 2]]);
+    await harness.clock.run(harness.strategy.start());
+    Object.assign(harness.strategy.strategyState, { volatility: 0.5, kappa: 0.01 });
+    return harness;
+}
+
+async function stopStrategy({ strategy, clock, exchangeManager }) {
+    await clock.run(strategy.stop());
+    await exchangeManager.close();
+}
+
+describe('参考价格配置验证', () => {
+    it('默认使用中间价且不启用OFI，部分覆盖时保留其余默认值', () => {
+        const defaults = createConfig().get('referencePrice');
+        assert.equal(defaults.source, 'mid');
+        assert.equal(defaults.ofiEnabled, false);
+        assert.equal(createConfig({ referencePrice: { source: 'vwap' } }).get('referencePrice').vwapWindow, defaults.vwapWindow);
+    });
+
+    it('无效的配置被拒绝', () => {
+        assert.throws(() => createConfig({ referencePrice: { source: 'weighted' } }), /REFERENCE_PRICE\.source/);
+        assert.throws(() => createConfig({ referencePrice: { depthLevels: 0 } }), /REFERENCE_PRICE\.depthLevels/);
+        assert.throws(() => createConfig({ referencePrice: { vwapWindow: -1 } }), /REFERENCE_PRICE\.vwapWindow/);
+        assert.throws(() => createConfig({ referencePrice: { ofiEnabled: 'yes', ofiWindow: 1.5, ofiMaxSkewBps: 500 } }),
+            error => ['ofiEnabled', 'ofiWindow', 'ofiMaxSkewBps'].every(key => error.message.includes(key)));
+    });
+});
+
+describe('ReferencePriceIndicator参考价格来源', () => {
+    it('计算中间价、最新成交价、微价格和多档加权中间价', () => {
+        const indicator = new ReferencePriceIndicator({ source: 'microprice', depthLevels: 2, vwapWindow: 60000 });
+        indicator.updateOrderBook(BOOK, 100.4, START);
+
+        const values = indicator.getValues();
+        assert.equal(values.mid, 100);
+        assert.equal(values.last, 100.4);
+        // 微价格按买一卖一数量加权
+        assertNear(values.microprice, (99 * 1 + 101 * 3) / 4);
+        // 多档加权中间价只使用前depthLevels档
+        assertNear(values.depth, ((99 * 3 + 98) / 4 + (101 + 102 * 3) / 4) / 2);
+        // 没有成交时VWAP不可用
+        assert.equal(values.vwap, 0);
+
+        const selected = indicator.getValue(100);
+        assert.equal(selected.source, 'microprice');
+        assertNear(selected.price, 100.5);
+        assert.ok(!selected.fallback);
+    });
+
+    it('VWAP只计算时间窗口内的成交，不可用时回退到中间价', () => {
+        const vwap = new ReferencePriceIndicator({ source: 'vwap', vwapWindow: 60000 });
+        assert.equal(vwap.getValue(100).price, 100);
+        assert.equal(vwap.getValue(100).fallback, true);
+
+        vwap.addTrade({ price: 90, amount: 5, timestamp: START });
+        vwap.addTrade({ price: 100, amount: 1, timestamp: START + 70000 });
+        vwap.addTrade({ price: 104, amount: 3, timestamp: START + 80000 });
+        vwap.updateOrderBook(BOOK, 0, START + 90000);
+        assertNear(vwap.getValue(100).price, (100 + 104 * 3) / 4);
+        assert.equal(vwap.trades.length, 2);
+        // 最新成交价也由公开成交更新
+        assert.equal(vwap.getValues().last, 104);
+    });
+
+    it('mid来源直接使用传入的中间价', () => {
+        assert.equal(new ReferencePriceIndicator({ source: 'mid' }).getValue(100.25).price, 100.25);
+    });
+});
+
+describe('OrderFlowImbalanceIndicator订单流不平衡', () => {
+    it('按买一卖一的价格和数量变化累计不平衡，只保留最近window次变化', () => {
+        const indicator = new OrderFlowImbalanceIndicator(3);
+        indicator.addOrderBook({ bids: [[100, 2]], asks: [[101, 2]] });
+        assert.equal(indicator.getValue(), 0);
+        assert.equal(indicator.events.length, 0);
+
+        // 买一数量增加：e = 3 − 2 = 1
+        indicator.addOrderBook({ bids: [[100, 3]], asks: [[101, 2]] });
+        assertNear(indicator.getValue(), 1 / 2.5);
+
+        // 卖一价格上移（卖方撤单）：e = (3 − 3) + 2 = 2
+        indicator.addOrderBook({ bids: [[100, 3]], asks: [[102, 1]] });
+        assertNear(indicator.getValue(), 3 / (2.5 + 2));
+
+        // 买一价格下移、卖一价格下移：e = −3 − 4 = −7，最早的变化移出窗口
+        indicator.addOrderBook({ bids: [[99, 2]], asks: [[101.5, 4]] });
+        indicator.addOrderBook({ bids: [[98, 1]], asks: [[101, 4]] });
+        assert.equal(indicator.events.length, 3);
+        assert.ok(indicator.getValue() < 0 && indicator.getValue() >= -1, `${indicator.getValue()}`);
+    });
+
+    it('不平衡超过1时截断', () => {
+        const indicator = new OrderFlowImbalanceIndicator(5);
+        indicator.addOrderBook({ bids: [[100, 1]], asks: [[101, 1]] });
+        indicator.addOrderBook({ bids: [[100.5, 10]], asks: [[101, 1]] });
+        assert.equal(indicator.getValue(), 1);
+    });
+
+    it('启用OFI时按不平衡偏移参考价格，未启用时不偏移', () => {
+        const update = (manager) => {
+            manager.updateOrderBook({ bids: [[100, 1]], asks: [[101, 1]] }, 100.5, START);
+            manager.updateOrderBook({ bids: [[100.5, 10]], asks: [[101, 1]] }, 100.5, START + 1000);
+        };
+
+        const manager = new IndicatorsManager(createConfig({ referencePrice: { source: 'mid', ofiEnabled: true, ofiWindow: 5, ofiMaxSkewBps: 10 } }));
+        update(manager);
+        const reference = manager.getReferencePrice(100.75);
+        assertNear(reference.skew, 1 * 10 / 10000 * 100.75);
+        assertNear(reference.adjustedPrice, 100.75 + reference.skew);
+        assert.equal(manager.getStatus().orderFlowImbalance.value, 1);
+        assert.ok(manager.getStatus().referencePrice.values.microprice > 0);
+
+        const disabled = new IndicatorsManager(createConfig());
+        update(disabled);
+        const plain = disabled.getReferencePrice(100.75);
+        assert.equal(plain.skew, 0);
+        assert.equal(plain.adjustedPrice, 100.75);
+        assert.equal(plain.orderFlowImbalance, 1);
+    });
+});
+
+describe('策略按参考价格定价', () => {
+    before(muteConsole);
+
+    it('默认以中间价定价，选择微价格时保留价随参考价格移动', async () => {
+        const midHarness = await startStrategy({});
+        const midPrices = midHarness.strategy.strategyCore.calculateOptimalPrices();
+        assert.equal(midPrices.pricing.midPrice, 30000);
+        assert.equal(midPrices.referencePrice.source, 'mid');
+
+        const microHarness = await startStrategy({ source: 'microprice' });
+        const { strategy } = microHarness;
+        const status = strategy.indicators.getStatus().referencePrice;
+        assertNear(status.values.microprice, (29990 * 1 + 30010 * 3) / 4);
+
+        const microPrices = strategy.strategyCore.calculateOptimalPrices();
+        assertNear(microPrices.pricing.midPrice, 30005);
+        assertNear(microPrices.pricing.reservationPrice - midPrices.pricing.reservationPrice,
+            5 * (microPrices.pricing.reservationPrice / 30005), 1e-6);
+        // 库存偏差仍按中间价计算
+        assert.equal(microPrices.pricing.inventory, midPrices.pricing.inventory);
+        strategy.strategyCore.updateStrategyState(microPrices);
+        assert.equal(strategy.strategyState.referencePrice.source, 'microprice');
+
+        await stopStrategy(midHarness);
+        await stopStrategy(microHarness);
+    });
+
+    it('VWAP由公开成交计算', async () => {
+        const harness = await startStrategy({ source: 'vwap' });
+        const { strategy, clock } = harness;
+        strategy.eventHandler.handleTradeUpdate({ price: 29995, amount: 0.5, timestamp: clock.now() });
+        strategy.eventHandler.handleTradeUpdate({ price: 30015, amount: 1.5, timestamp: clock.now() });
+
+        const prices = strategy.strategyCore.calculateOptimalPrices();
+        assertNear(prices.pricing.midPrice, (29995 * 0.5 + 30015 * 1.5) / 2);
+        assert.ok(!prices.referencePrice.fallback);
+
+        await stopStrategy(harness);
+    });
+
+    it('买方压力时保留价上移', async () => {
+        const harness = await startStrategy({ ofiEnabled: true, ofiMaxSkewBps: 10 });
+        const { strategy, clock, exchange } = harness;
+        // 买一数量增加，下一次主循环更新市场数据时计入订单流不平衡
+        exchange.setOrderBook([[29990, 6], [29980, 2]], [[30010, 1], [30020, 2]]);
+        await clock.tick(strategy.config.get('updateInterval'));
+        // 主循环按公开成交重新估计了指标，恢复定价所需的波动率和κ
+        Object.assign(strategy.strategyState, { volatility: 0.5, kappa: 0.01 });
+
+        const prices = strategy.strategyCore.calculateOptimalPrices();
+        assert.ok(prices.referencePrice.orderFlowImbalance > 0, JSON.stringify(prices.referencePrice));
+        assert.ok(prices.pricing.midPrice > 30000);
+        assertNear(prices.pricing.midPrice, 30000 + prices.referencePrice.skew);
+
+        await stopStrategy(harness);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const RiskManager = require('../../core/risk-manager');
+const FakeClock = require('../helpers/fake-clock');
+const { createConfig, muteConsole } = require('../helpers/harness');
+
+function createRiskManager(overrides = {}) {
+    const clock = new FakeClock();
+    const riskManager = new RiskManager(createConfig({ riskCheckInterval: 5000, ...overrides }), null, { clock });
+    return { clock, riskManager };
+}
+
+describe('RiskManager定期风险检查', () => {
+    before(muteConsole);
+
+    it('按假时钟间隔执行风险检查，停止后不再执行', async () => {
+        const { clock, riskManager } = createRiskManager();
+        riskManager.startRiskCheck();
+
+        await clock.tick(4999);
+        assert.equal(riskManager.riskState.lastRiskCheck, 0);
+        await clock.tick(1);
+        assert.equal(riskManager.riskState.lastRiskCheck, clock.now());
+
+        await clock.tick(10000);
+        assert.equal(riskManager.riskState.lastRiskCheck, clock.now());
+
+        riskManager.stopRiskCheck();
+        const lastCheck = riskManager.riskState.lastRiskCheck;
+        await clock.tick(20000);
+        assert.equal(riskManager.riskState.lastRiskCheck, lastCheck);
+        assert.equal(clock.getPendingTimerCount(), 0);
+    });
+
+    it('回撤超过紧急停止阈值时在下一次检查发出emergencyStop', async () => {
+        const { clock, riskManager } = createRiskManager({ emergencyStopThreshold: 10 });
+        const stops = [];
+        riskManager.on('emergencyStop', (data) => stops.push({ time: clock.now(), data }));
+        riskManager.startRiskCheck();
+
+        riskManager.updateAccountValue(10000);
+        await clock.tick(5000);
+        assert.equal(stops.length, 0);
+
+        riskManager.updateAccountValue(8500);
+        await clock.tick(5000);
+        assert.equal(stops.length, 1);
+        assert.equal(stops[0].time, clock.now());
+        assert.match(stops[0].data.reason, /Emergency stop threshold exceeded/);
+        assert.equal(riskManager.riskState.isEmergencyStop, true);
+        assert.equal(riskManager.riskState.riskAlerts[0].timestamp, clock.now());
+
+        // 紧急停止只触发一次
+        await clock.tick(15000);
+        assert.equal(stops.length, 1);
+        riskManager.cleanup();
+    });
+
+    it('风险条件解除并经过冷却时间后恢复参数', async () => {
+        const { clock, riskManager } = createRiskManager({ maxDrawdown: 5, emergencyStopThreshold: 50, riskResponse: { enabled: true, cooldown: 60000 } });
+        const events = [];
+        riskManager.on('adjustParameters', (data) => events.push({ name: 'adjust', time: clock.now(), data }));
+        riskManager.on('restoreParameters', () => events.push({ name: 'restore', time: clock.now() }));
+        riskManager.startRiskCheck();
+
+        riskManager.updateAccountValue(10000);
+        riskManager.updateAccountValue(9000);
+        await clock.tick(5000);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].data.level, 'HIGH');
+        const breachTime = events[0].time;
+
+        riskManager.updateAccountValue(10000);
+        await clock.tick(55000);
+        assert.equal(events.length, 1);
+        await clock.tick(5000);
+        assert.equal(events.length, 2);
+        assert.equal(events[1].name, 'restore');
+        assert.equal(events[1].time - breachTime, 60000);
+        riskManager.cleanup();
+    });
+
+    it('初始化时启动定期风险检查，当日盈亏只在跨日时重置', async () => {
+        const { clock, riskManager } = createRiskManager();
+        riskManager.riskState.dailyPnL = -50;
+        await riskManager.initialize();
+        assert.equal(riskManager.riskState.dailyPnL, -50);
+
+        await clock.tick(5000);
+        assert.equal(riskManager.riskState.lastRiskCheck, clock.now());
+
+        // 重启后再次初始化只保留一个定时器
+        riskManager.stopRiskCheck();
+        await riskManager.initialize();
+        assert.equal(clock.getPendingTimerCount(), 1);
+
+        riskManager.riskState.lastResetTime = clock.now() - 24 * 60 * 60 * 1000;
+        await riskManager.initialize();
+        assert.equal(riskManager.riskState.dailyPnL, 0);
+        riskManager.cleanup();
+    });
+});
@@ -0,0 +1,11 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const tradingConfig = require('../../config/trading');
+const { createConfig } = require('../helpers/harness');
+
+describe('StrategyConfig读取trading.js', () => {
+    it('订单更新的价格变化阈值从trading.js读取，可被覆盖', () => {
+        assert.equal(createConfig().get('priceChangeThreshold'), tradingConfig.priceChangeThreshold);
+        assert.equal(createConfig({ priceChangeThreshold: 0.002 }).get('priceChangeThreshold'), 0.002);
+    });
+});
@@ -0,0 +1,33 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+describe('StrategyCore风险应对调整期间更新参数', () => {
+    before(muteConsole);
+
+    it('调整期间更新的参数作为新的基准按当前倍数生效，恢复时保留', async () => {
+        const harness = createStrategyHarness({
+            config: createConfig({ minSpread: 0.002, riskResponse: { enabled: true } })
+        });
+        const { strategy, clock, config } = harness;
+        await clock.run(strategy.start());
+
+        const adjustment = { level: 'HIGH', reason: 'test', spreadMultiplier: 2, orderSizeMultiplier: 0.5 };
+        await clock.run(strategy.eventHandler.handleAdjustParameters(adjustment));
+        assert.equal(config.get('orderAmount'), 0.0005);
+        assert.equal(strategy.getParameters().minSpread, 0.004);
+
+        strategy.updateParameters({ orderAmount: 0.002 });
+        assert.equal(config.get('orderAmount'), 0.001);
+        assert.equal(strategy.getParameters().minSpread, 0.004);
+
+        await clock.run(strategy.eventHandler.handleRestoreParameters({ reason: 'test' }));
+        const parameters = strategy.getParameters();
+        assert.equal(parameters.riskAdjustment, null);
+        assert.equal(parameters.orderAmount, 0.002);
+        assert.equal(parameters.minSpread, 0.002);
+
+        await clock.run(strategy.stop());
+        await harness.exchangeManager.close();
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { IndicatorsManager } = require('../../core/indicators');
+const { createConfig, createStrategyHarness, muteConsole } = require('../helpers/harness');
+
+/**
+ * 生成合成成交（固定随机种子）：成交距离服从速率为κ的指数分布，每秒固定成交笔数
+ */
+function feedSyntheticTrades(indicators, { kappa, tradesPerTick, ticks, midPrice = 30000, startTime = 1700000000000 }) {
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return (seed + 1) / 2147483649;
+    };
+
+    indicators.updateTradingIntensity(midPrice, startTime);
+    for (let tick = 1; tick <= ticks; tick++) {
+        const timestamp = startTime + tick * 1000;
+        for (let i = 0; i < tradesPerTick; i++) {
+            const distance = -Math.log(random()) / kappa;
+            const side = random() > 0.5 ? 1 : -1;
+            indicators.updateTrade({ price: midPrice + side * distance, amount: 1, timestamp: timestamp - 500 });
+        }
+        indicators.updateTradingIntensity(midPrice, timestamp);
+    }
+}
+
+function createIndicators(overrides = {}) {
+    return new IndicatorsManager(createConfig({ tradingIntensityBufferSize: 100, tradingIntensityBucketCount: 20, ...overrides }));
+}
+
+describe('交易强度备用κ', () => {
+    before(muteConsole);
+
+    it('默认不使用备用κ，没有拟合结果时κ为0', () => {
+        const values = createIndicators().getCurrentValues();
+        assert.equal(values.kappa, 0);
+        assert.equal(values.kappaSource, 'none');
+    });
+
+    it('成交样本少于最少成交数时使用备用κ，样本足够后使用拟合的κ', () => {
+        const indicators = createIndicators({ tradingIntensityMinTrades: 500, tradingIntensityFallbackKappa: 0.2 });
+        assert.equal(indicators.getCurrentValues().kappa, 0.2);
+        assert.equal(indicators.getCurrentValues().kappaSource, 'fallback');
+
+        feedSyntheticTrades(indicators, { kappa: 0.5, tradesPerTick: 4, ticks: 50 });
+        const few = indicators.getCurrentValues();
+        assert.equal(few.kappa, 0.2);
+        assert.equal(few.kappaSource, 'fallback');
+        assert.equal(few.tradeCount, 200);
+
+        feedSyntheticTrades(indicators, { kappa: 0.5, tradesPerTick: 10, ticks: 60, startTime: 1700000100000 });
+        const enough = indicators.getCurrentValues();
+        assert.equal(enough.kappaSource, 'fitted');
+        assert.ok(enough.kappa > 0 && enough.kappa !== 0.2);
+        assert.ok(enough.tradeCount >= 500);
+    });
+
+    it('没有κ时策略暂停报价并记录警告', () => {
+        const { strategy } = createStrategyHarness();
+        strategy.currentMarketData = { midPrice: 30000, bestBid: 29999, bestAsk: 30001 };
+        strategy.currentBalances = { baseAmount: 0.01, quoteAmount: 300 };
+        Object.assign(strategy.strategyState, { volatility: 0.01, kappa: 0, totalInventoryValue: 600 });
+        const warnings = [];
+        strategy.strategyCore.logger = { ...strategy.strategyCore.logger, debug: () => {}, warn: (message) => warnings.push(message) };
+
+        assert.equal(strategy.strategyCore.validateRequiredData(), false);
+        assert.ok(warnings.some(message => message.includes('κ')));
+
+        strategy.strategyState.kappa = 0.2;
+        assert.equal(strategy.strategyCore.validateRequiredData(), true);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * 时钟抽象
+ * 策略模块通过时钟获取当前时间和等待，实盘使用系统时钟，回测使用模拟时钟
+ */
+
+/**
+ * 系统时钟 - 直接使用真实时间
+ */
+class SystemClock {
+    /**
+     * 获取当前时间戳（毫秒）
+     * @returns {number} 当前时间戳
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * 设置定时器
+     */
+    setTimeout(callback, ms) {
+        return setTimeout(callback, ms);
+    }
+
+    /**
+     * 清除定时器
+     */
+    clearTimeout(timerId) {
+        clearTimeout(timerId);
+    }
+
+    /**
+     * 设置周期定时器
+     */
+    setInterval(callback, ms) {
+        return setInterval(callback, ms);
+    }
+
+    /**
+     * 清除周期定时器
+     */
+    clearInterval(timerId) {
+        clearInterval(timerId);
+    }
+
+    /**
+     * 等待指定时间
+     * @param {number} ms - 毫秒
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+/**
+ * 模拟时钟 - 时间只在调用advanceTo时推进
+ * 定时器（包括周期定时器）在时间推进越过其触发时间时按顺序执行
+ */
+class SimulatedClock {
+    constructor(startTime = 0) {
+        this.currentTime = startTime;
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * 获取当前模拟时间戳（毫秒）
+     * @returns {number} 当前时间戳
+     */
+    now() {
+        return this.currentTime;
+    }
+
+    /**
+     * 设置模拟定时器
+     * @param {Function} callback - 回调函数
+     * @param {number} ms - 延迟毫秒数
+     * @returns {number} 定时器ID
+     */
+    setTimeout(callback, ms = 0) {
+        const timer = {
+            id: this.nextTimerId++,
+            time: this.currentTime + Math.max(0, ms || 0),
+            callback
+        };
+        this.timers.push(timer);
+        // 按触发时间排序，触发时间相同时保持创建顺序
+        this.timers.sort((a, b) => a.time - b.time || a.id - b.id);
+        return timer.id;
+    }
+
+    /**
+     * 清除模拟定时器
+     * @param {number} timerId - 定时器ID
+     */
+    clearTimeout(timerId) {
+        this.timers = this.timers.filter(timer => timer.id !== timerId);
+    }
+
+    /**
+     * 设置模拟周期定时器，每次触发后按间隔重新排队
+     * @param {Function} callback - 回调函数
+     * @param {number} ms - 间隔毫秒数（至少1毫秒）
+     * @returns {number} 定时器ID
+     */
+    setInterval(callback, ms) {
+        const id = this.setTimeout(callback, Math.max(1, ms || 0));
+        this.timers.find(timer => timer.id === id).interval = Math.max(1, ms || 0);
+        return id;
+    }
+
+    /**
+     * 清除模拟周期定时器
+     * @param {number} timerId - 定时器ID
+     */
+    clearInterval(timerId) {
+        this.clearTimeout(timerId);
+    }
+
+    /**
+     * 等待指定的模拟时间
+     * @param {number} ms - 毫秒
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => this.setTimeout(resolve, ms));
+    }
+
+    /**
+     * 获取下一个定时器的触发时间
+     * @returns {number|null} 触发时间，没有定时器时返回null
+     */
+    getNextTimerTime() {
+        return this.timers.length > 0 ? this.timers[0].time : null;
+    }
+
+    /**
+     * 获取待触发的定时器数量
+     */
+    getPendingTimerCount() {
+        return this.timers.length;
+    }
+
+    /**
+     * 推进时间到指定时间戳，并依次执行到期的定时器
+     * 时间只会向前推进，传入更早的时间戳时只执行已到期的定时器
+     * @param {number} timestamp - 目标时间戳
+     */
+    advanceTo(timestamp) {
+        while (this.timers.length > 0 && this.timers[0].time <= timestamp) {
+            const timer = this.timers.shift();
+            this.currentTime = Math.max(this.currentTime, timer.time);
+            // 周期定时器先重新排队，回调中可以清除
+            if (timer.interval) {
+                this.timers.push({ ...timer, time: timer.time + timer.interval });
+                this.timers.sort((a, b) => a.time - b.time || a.id - b.id);
+            }
+            timer.callback();
+        }
+        this.currentTime = Math.max(this.currentTime, timestamp);
+    }
+
+    /**
+     * 推进指定的时间长度
+     * @param {number} ms - 毫秒
+     */
+    advanceBy(ms) {
+        this.advanceTo(this.currentTime + ms);
+    }
+}
+
+module.exports = {
+    SystemClock,
+    SimulatedClock
+};
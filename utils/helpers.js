@@ -432,6 +432,31 @@ class Helpers {
             }
         };
     }
+
+    /**
+     * 解析命令行参数
+     * --key value 解析为 { key: 'value' }，后面没有值的 --flag 解析为 { flag: true }
+     * @param {Array<string>} argv - 命令行参数（不含node和脚本路径）
+     * @returns {Object} 参数对象
+     */
+    static parseCommandLineArgs(argv) {
+        const args = {};
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('--')) {
+                continue;
+            }
+            const key = arg.slice(2);
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                args[key] = true;
+            } else {
+                args[key] = next;
+                i++;
+            }
+        }
+        return args;
+    }
 }
 
 module.exports = Helpers; 
\ No newline at end of file